@@ -0,0 +1,37 @@
+-- Full-text search index over articles (FTS5, external content)
+
+CREATE VIRTUAL TABLE IF NOT EXISTS articles_fts USING fts5(
+  title,
+  excerpt,
+  content_text,
+  content='articles',
+  content_rowid='id',
+  tokenize='porter unicode61 remove_diacritics 2'
+);
+
+-- Keep the index in sync with the articles table
+CREATE TRIGGER IF NOT EXISTS articles_fts_insert
+AFTER INSERT ON articles
+BEGIN
+  INSERT INTO articles_fts (rowid, title, excerpt, content_text)
+  VALUES (NEW.id, NEW.title, NEW.excerpt, NEW.content_text);
+END;
+
+CREATE TRIGGER IF NOT EXISTS articles_fts_delete
+AFTER DELETE ON articles
+BEGIN
+  INSERT INTO articles_fts (articles_fts, rowid, title, excerpt, content_text)
+  VALUES ('delete', OLD.id, OLD.title, OLD.excerpt, OLD.content_text);
+END;
+
+CREATE TRIGGER IF NOT EXISTS articles_fts_update
+AFTER UPDATE OF title, excerpt, content_text ON articles
+BEGIN
+  INSERT INTO articles_fts (articles_fts, rowid, title, excerpt, content_text)
+  VALUES ('delete', OLD.id, OLD.title, OLD.excerpt, OLD.content_text);
+  INSERT INTO articles_fts (rowid, title, excerpt, content_text)
+  VALUES (NEW.id, NEW.title, NEW.excerpt, NEW.content_text);
+END;
+
+-- Index existing articles
+INSERT INTO articles_fts (articles_fts) VALUES ('rebuild');
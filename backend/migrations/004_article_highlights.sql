@@ -0,0 +1,27 @@
+-- Highlights and annotations on saved articles
+-- Anchored with a text quote selector (exact/prefix/suffix) plus character
+-- offsets into articles.content_text
+
+CREATE TABLE IF NOT EXISTS article_highlights (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  article_id INTEGER NOT NULL,
+  exact TEXT NOT NULL CHECK(length(exact) > 0),
+  prefix TEXT DEFAULT '',
+  suffix TEXT DEFAULT '',
+  start_offset INTEGER NOT NULL CHECK(start_offset >= 0),
+  end_offset INTEGER NOT NULL CHECK(end_offset > start_offset),
+  note TEXT,
+  color TEXT NOT NULL DEFAULT 'yellow' CHECK(color IN ('yellow', 'green', 'blue', 'pink', 'purple')),
+  is_orphaned BOOLEAN DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_article_highlights_article_id ON article_highlights(article_id);
+
+CREATE TRIGGER IF NOT EXISTS update_article_highlights_timestamp
+AFTER UPDATE ON article_highlights
+BEGIN
+  UPDATE article_highlights SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
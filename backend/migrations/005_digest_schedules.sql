@@ -0,0 +1,55 @@
+-- Scheduled digests delivered to Kindle
+
+-- Articles included in each EPUB export (used to skip already-sent articles)
+CREATE TABLE IF NOT EXISTS epub_export_articles (
+  export_id INTEGER NOT NULL,
+  article_id INTEGER NOT NULL,
+  PRIMARY KEY (export_id, article_id),
+  FOREIGN KEY (export_id) REFERENCES epub_exports(id) ON DELETE CASCADE,
+  FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_epub_export_articles_article_id ON epub_export_articles(article_id);
+
+-- Digest schedules: cron expression plus an article selection rule
+CREATE TABLE IF NOT EXISTS digest_schedules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL CHECK(length(name) > 0),
+  cron_expression TEXT NOT NULL,
+  title_template TEXT NOT NULL DEFAULT 'Weekly Digest {date}',
+  exclude_archived BOOLEAN DEFAULT 1,
+  exclude_sent BOOLEAN DEFAULT 1,
+  max_articles INTEGER NOT NULL DEFAULT 10 CHECK(max_articles > 0),
+  max_reading_minutes INTEGER CHECK(max_reading_minutes IS NULL OR max_reading_minutes > 0),
+  archive_after_send BOOLEAN DEFAULT 0,
+  is_enabled BOOLEAN DEFAULT 1,
+  next_run_at DATETIME,
+  last_run_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_digest_schedules_next_run_at ON digest_schedules(next_run_at);
+
+-- Run history
+CREATE TABLE IF NOT EXISTS digest_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  schedule_id INTEGER NOT NULL,
+  trigger TEXT NOT NULL CHECK(trigger IN ('schedule', 'manual')),
+  status TEXT NOT NULL DEFAULT 'running' CHECK(status IN ('running', 'success', 'skipped', 'failed')),
+  export_id INTEGER,
+  article_count INTEGER DEFAULT 0,
+  error TEXT,
+  started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  finished_at DATETIME,
+  FOREIGN KEY (schedule_id) REFERENCES digest_schedules(id) ON DELETE CASCADE,
+  FOREIGN KEY (export_id) REFERENCES epub_exports(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_digest_runs_schedule_id ON digest_runs(schedule_id, started_at DESC);
+
+CREATE TRIGGER IF NOT EXISTS update_digest_schedules_timestamp
+AFTER UPDATE ON digest_schedules
+BEGIN
+  UPDATE digest_schedules SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
@@ -0,0 +1,38 @@
+-- Library imports from other read-later services and browser bookmarks
+
+CREATE TABLE IF NOT EXISTS imports (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  source TEXT NOT NULL CHECK(source IN ('pocket', 'instapaper', 'pinboard', 'netscape')),
+  filename TEXT,
+  total_items INTEGER NOT NULL DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One row per bookmark in the import file; pending items are fetched by the import worker
+CREATE TABLE IF NOT EXISTS import_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  import_id INTEGER NOT NULL,
+  url TEXT NOT NULL,
+  title TEXT,
+  tags TEXT,
+  is_archived BOOLEAN DEFAULT 0,
+  is_favorite BOOLEAN DEFAULT 0,
+  saved_at DATETIME,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'imported', 'duplicate', 'failed')),
+  article_id INTEGER,
+  error TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (import_id) REFERENCES imports(id) ON DELETE CASCADE,
+  FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_items_import_id ON import_items(import_id);
+CREATE INDEX IF NOT EXISTS idx_import_items_status ON import_items(status);
+CREATE INDEX IF NOT EXISTS idx_import_items_url ON import_items(url);
+
+CREATE TRIGGER IF NOT EXISTS update_import_items_timestamp
+AFTER UPDATE ON import_items
+BEGIN
+  UPDATE import_items SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
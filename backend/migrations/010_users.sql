@@ -0,0 +1,151 @@
+-- User accounts with per-user libraries
+-- Everything that existed before belongs to the bootstrap admin user (id 1).
+
+-- Tables are rebuilt below; keep child rows (tags, images, highlights...) intact
+PRAGMA foreign_keys = OFF;
+
+CREATE TABLE IF NOT EXISTS users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE COLLATE NOCASE CHECK(length(name) > 0),
+  is_admin BOOLEAN DEFAULT 0,
+  -- Random name of the user's images directory, so image URLs can't be guessed
+  storage_key TEXT NOT NULL UNIQUE,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO users (id, name, is_admin, storage_key)
+VALUES (1, 'admin', 1, lower(hex(randomblob(16))));
+
+-- Articles: URLs are unique per user instead of globally
+CREATE TABLE articles_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  url TEXT NOT NULL,
+  original_url TEXT,
+  title TEXT NOT NULL,
+  content_html TEXT NOT NULL,
+  content_text TEXT,
+  excerpt TEXT,
+  author TEXT,
+  site_name TEXT,
+  published_at DATETIME,
+  word_count INTEGER DEFAULT 0 CHECK(word_count >= 0),
+  reading_time_minutes INTEGER DEFAULT 0 CHECK(reading_time_minutes >= 0),
+  language TEXT DEFAULT 'en',
+  has_images BOOLEAN DEFAULT 0,
+  image_count INTEGER DEFAULT 0 CHECK(image_count >= 0),
+  is_archived BOOLEAN DEFAULT 0,
+  is_favorite BOOLEAN DEFAULT 0,
+  capture_success BOOLEAN DEFAULT 1,
+  capture_error TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, url),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+INSERT INTO articles_new
+  (id, user_id, url, original_url, title, content_html, content_text, excerpt, author, site_name,
+   published_at, word_count, reading_time_minutes, language, has_images, image_count,
+   is_archived, is_favorite, capture_success, capture_error, created_at, updated_at)
+SELECT
+  id, 1, url, original_url, title, content_html, content_text, excerpt, author, site_name,
+  published_at, word_count, reading_time_minutes, language, has_images, image_count,
+  is_archived, is_favorite, capture_success, capture_error, created_at, updated_at
+FROM articles;
+
+DROP TABLE articles;
+ALTER TABLE articles_new RENAME TO articles;
+
+CREATE INDEX IF NOT EXISTS idx_articles_user_id_created_at ON articles(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_articles_created_at ON articles(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_articles_title ON articles(title);
+CREATE INDEX IF NOT EXISTS idx_articles_is_archived ON articles(is_archived);
+CREATE INDEX IF NOT EXISTS idx_articles_is_favorite ON articles(is_favorite);
+CREATE INDEX IF NOT EXISTS idx_articles_site_name ON articles(site_name);
+CREATE INDEX IF NOT EXISTS idx_articles_language ON articles(language);
+CREATE INDEX IF NOT EXISTS idx_articles_capture_success ON articles(capture_success);
+
+-- Dropping the old table dropped its triggers; row IDs are unchanged, so the FTS index is still valid
+CREATE TRIGGER IF NOT EXISTS articles_fts_insert
+AFTER INSERT ON articles
+BEGIN
+  INSERT INTO articles_fts (rowid, title, excerpt, content_text)
+  VALUES (NEW.id, NEW.title, NEW.excerpt, NEW.content_text);
+END;
+
+CREATE TRIGGER IF NOT EXISTS articles_fts_delete
+AFTER DELETE ON articles
+BEGIN
+  INSERT INTO articles_fts (articles_fts, rowid, title, excerpt, content_text)
+  VALUES ('delete', OLD.id, OLD.title, OLD.excerpt, OLD.content_text);
+END;
+
+CREATE TRIGGER IF NOT EXISTS articles_fts_update
+AFTER UPDATE OF title, excerpt, content_text ON articles
+BEGIN
+  INSERT INTO articles_fts (articles_fts, rowid, title, excerpt, content_text)
+  VALUES ('delete', OLD.id, OLD.title, OLD.excerpt, OLD.content_text);
+  INSERT INTO articles_fts (rowid, title, excerpt, content_text)
+  VALUES (NEW.id, NEW.title, NEW.excerpt, NEW.content_text);
+END;
+
+CREATE TRIGGER IF NOT EXISTS update_articles_timestamp
+AFTER UPDATE ON articles
+BEGIN
+  UPDATE articles SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
+
+-- Tags: names are unique per user
+CREATE TABLE tags_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  name TEXT NOT NULL COLLATE NOCASE CHECK(length(name) > 0),
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, name),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+INSERT INTO tags_new (id, user_id, name, created_at)
+SELECT id, 1, name, created_at FROM tags;
+
+DROP TABLE tags;
+ALTER TABLE tags_new RENAME TO tags;
+
+-- Settings: one set of SMTP/Kindle settings per user
+CREATE TABLE settings_new (
+  user_id INTEGER NOT NULL,
+  key TEXT NOT NULL,
+  value TEXT NOT NULL,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, key),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+INSERT INTO settings_new (user_id, key, value, updated_at)
+SELECT 1, key, value, updated_at FROM settings;
+
+DROP TABLE settings;
+ALTER TABLE settings_new RENAME TO settings;
+
+CREATE TRIGGER IF NOT EXISTS update_settings_timestamp
+AFTER UPDATE ON settings
+BEGIN
+  UPDATE settings SET updated_at = CURRENT_TIMESTAMP WHERE user_id = NEW.user_id AND key = NEW.key;
+END;
+
+-- Owner columns on the remaining per-user tables (existing rows go to the bootstrap user)
+ALTER TABLE epub_exports ADD COLUMN user_id INTEGER NOT NULL DEFAULT 1 REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE digest_schedules ADD COLUMN user_id INTEGER NOT NULL DEFAULT 1 REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE imports ADD COLUMN user_id INTEGER NOT NULL DEFAULT 1 REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE webhooks ADD COLUMN user_id INTEGER NOT NULL DEFAULT 1 REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE api_keys ADD COLUMN user_id INTEGER NOT NULL DEFAULT 1 REFERENCES users(id) ON DELETE CASCADE;
+
+-- Jobs without an owner (e.g. internal maintenance) are not visible through the API
+ALTER TABLE jobs ADD COLUMN user_id INTEGER REFERENCES users(id) ON DELETE CASCADE;
+UPDATE jobs SET user_id = 1;
+
+CREATE INDEX IF NOT EXISTS idx_epub_exports_user_id ON epub_exports(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
+
+PRAGMA foreign_keys = ON;
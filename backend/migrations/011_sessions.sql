@@ -0,0 +1,19 @@
+-- Password login for the web frontend
+
+-- NULL until a password is set; such users can only use API keys
+ALTER TABLE users ADD COLUMN password_hash TEXT;
+
+-- Browser sessions (only a SHA-256 hash of each session token is stored)
+CREATE TABLE IF NOT EXISTS sessions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  user_agent TEXT,
+  expires_at DATETIME NOT NULL,
+  last_used_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at);
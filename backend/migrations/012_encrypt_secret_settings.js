@@ -0,0 +1,16 @@
+// Encrypt secret settings (SMTP passwords) that were stored as plaintext
+
+import { SECRET_SETTING_KEYS, encryptSecret, isEncrypted } from '../src/utils/secrets.js';
+
+export function up(db) {
+  const placeholders = SECRET_SETTING_KEYS.map(() => '?').join(', ');
+  const rows = db.prepare(`SELECT user_id, key, value FROM settings WHERE key IN (${placeholders})`)
+    .all(...SECRET_SETTING_KEYS);
+  const update = db.prepare('UPDATE settings SET value = ? WHERE user_id = ? AND key = ?');
+
+  for (const row of rows) {
+    if (row.value !== null && !isEncrypted(row.value)) {
+      update.run(encryptSecret(row.value), row.user_id, row.key);
+    }
+  }
+}
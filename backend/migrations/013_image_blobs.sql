@@ -0,0 +1,40 @@
+-- Content-addressed image files
+-- Each file is stored once per user as images/<storage_key>/<hh>/<sha256>.<ext>
+-- and shared by every article_images row with the same local_path.
+
+CREATE TABLE IF NOT EXISTS image_blobs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  local_path TEXT NOT NULL UNIQUE,
+  hash TEXT NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  -- Number of article_images rows using the file, kept by the triggers below
+  ref_count INTEGER NOT NULL DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  -- Last stored or (un)referenced; garbage collection waits a grace period after this
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_image_blobs_unreferenced ON image_blobs(ref_count, updated_at);
+
+CREATE TRIGGER IF NOT EXISTS article_images_blob_ref
+AFTER INSERT ON article_images
+BEGIN
+  UPDATE image_blobs SET ref_count = ref_count + 1, updated_at = CURRENT_TIMESTAMP
+  WHERE local_path = NEW.local_path;
+END;
+
+CREATE TRIGGER IF NOT EXISTS article_images_blob_unref
+AFTER DELETE ON article_images
+BEGIN
+  UPDATE image_blobs SET ref_count = ref_count - 1, updated_at = CURRENT_TIMESTAMP
+  WHERE local_path = OLD.local_path;
+END;
+
+CREATE TRIGGER IF NOT EXISTS article_images_blob_move
+AFTER UPDATE OF local_path ON article_images
+BEGIN
+  UPDATE image_blobs SET ref_count = ref_count - 1, updated_at = CURRENT_TIMESTAMP
+  WHERE local_path = OLD.local_path;
+  UPDATE image_blobs SET ref_count = ref_count + 1, updated_at = CURRENT_TIMESTAMP
+  WHERE local_path = NEW.local_path;
+END;
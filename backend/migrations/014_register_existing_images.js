@@ -0,0 +1,31 @@
+// Track images saved before content-addressed storage, so their files are
+// garbage collected once no article uses them. They keep their old paths.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const IMAGES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../images');
+
+export function up(db) {
+  const rows = db.prepare(`
+    SELECT local_path, COUNT(*) as refs FROM article_images
+    WHERE local_path LIKE '/images/%'
+    GROUP BY local_path
+  `).all();
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO image_blobs (local_path, hash, size_bytes, ref_count)
+    VALUES (?, ?, ?, ?)
+  `);
+
+  for (const row of rows) {
+    const file = path.resolve(IMAGES_DIR, row.local_path.slice('/images/'.length));
+    if (!file.startsWith(IMAGES_DIR + path.sep) || !fs.existsSync(file)) {
+      continue;
+    }
+
+    const data = fs.readFileSync(file);
+    insert.run(row.local_path, crypto.createHash('sha256').update(data).digest('hex'), data.length, row.refs);
+  }
+}
@@ -0,0 +1,33 @@
+-- E-ink image variants
+-- Each downloaded image also gets a grayscale, dithered copy sized for
+-- e-readers, which EPUBs use by default. Images saved before this have none.
+
+ALTER TABLE article_images ADD COLUMN eink_path TEXT;
+
+-- Both files of an image count as references
+DROP TRIGGER IF EXISTS article_images_blob_ref;
+DROP TRIGGER IF EXISTS article_images_blob_unref;
+DROP TRIGGER IF EXISTS article_images_blob_move;
+
+CREATE TRIGGER IF NOT EXISTS article_images_blob_ref
+AFTER INSERT ON article_images
+BEGIN
+  UPDATE image_blobs SET ref_count = ref_count + 1, updated_at = CURRENT_TIMESTAMP
+  WHERE local_path IN (NEW.local_path, NEW.eink_path);
+END;
+
+CREATE TRIGGER IF NOT EXISTS article_images_blob_unref
+AFTER DELETE ON article_images
+BEGIN
+  UPDATE image_blobs SET ref_count = ref_count - 1, updated_at = CURRENT_TIMESTAMP
+  WHERE local_path IN (OLD.local_path, OLD.eink_path);
+END;
+
+CREATE TRIGGER IF NOT EXISTS article_images_blob_move
+AFTER UPDATE OF local_path, eink_path ON article_images
+BEGIN
+  UPDATE image_blobs SET ref_count = ref_count - 1, updated_at = CURRENT_TIMESTAMP
+  WHERE local_path IN (OLD.local_path, OLD.eink_path);
+  UPDATE image_blobs SET ref_count = ref_count + 1, updated_at = CURRENT_TIMESTAMP
+  WHERE local_path IN (NEW.local_path, NEW.eink_path);
+END;
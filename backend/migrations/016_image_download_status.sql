@@ -0,0 +1,58 @@
+-- Image download status
+-- Images that couldn't be downloaded are kept, without a file, so they can be
+-- retried later. local_path becomes optional, so the table is rebuilt.
+
+PRAGMA foreign_keys = OFF;
+
+CREATE TABLE article_images_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  article_id INTEGER NOT NULL,
+  original_url TEXT NOT NULL,
+  local_path TEXT,
+  alt_text TEXT,
+  width INTEGER,
+  height INTEGER,
+  size_bytes INTEGER,
+  downloaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  eink_path TEXT,
+  status TEXT NOT NULL DEFAULT 'downloaded' CHECK(status IN ('downloaded', 'failed')),
+  -- Why the last download failed
+  error TEXT,
+  FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE CASCADE
+);
+
+-- Dropping the table doesn't fire its delete triggers, so ref counts carry over
+INSERT INTO article_images_new
+  (id, article_id, original_url, local_path, alt_text, width, height, size_bytes, downloaded_at, eink_path)
+SELECT id, article_id, original_url, local_path, alt_text, width, height, size_bytes, downloaded_at, eink_path
+FROM article_images;
+
+DROP TABLE article_images;
+ALTER TABLE article_images_new RENAME TO article_images;
+
+CREATE INDEX IF NOT EXISTS idx_article_images_article_id ON article_images(article_id);
+
+CREATE TRIGGER IF NOT EXISTS article_images_blob_ref
+AFTER INSERT ON article_images
+BEGIN
+  UPDATE image_blobs SET ref_count = ref_count + 1, updated_at = CURRENT_TIMESTAMP
+  WHERE local_path IN (NEW.local_path, NEW.eink_path);
+END;
+
+CREATE TRIGGER IF NOT EXISTS article_images_blob_unref
+AFTER DELETE ON article_images
+BEGIN
+  UPDATE image_blobs SET ref_count = ref_count - 1, updated_at = CURRENT_TIMESTAMP
+  WHERE local_path IN (OLD.local_path, OLD.eink_path);
+END;
+
+CREATE TRIGGER IF NOT EXISTS article_images_blob_move
+AFTER UPDATE OF local_path, eink_path ON article_images
+BEGIN
+  UPDATE image_blobs SET ref_count = ref_count - 1, updated_at = CURRENT_TIMESTAMP
+  WHERE local_path IN (OLD.local_path, OLD.eink_path);
+  UPDATE image_blobs SET ref_count = ref_count + 1, updated_at = CURRENT_TIMESTAMP
+  WHERE local_path IN (NEW.local_path, NEW.eink_path);
+END;
+
+PRAGMA foreign_keys = ON;
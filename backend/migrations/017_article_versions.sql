@@ -0,0 +1,56 @@
+-- Article versions
+-- Re-capturing an article keeps the content it replaces, so changes can be
+-- compared and an older version restored. Each version keeps its images too,
+-- and they hold references to their files like article_images rows do.
+
+CREATE TABLE IF NOT EXISTS article_versions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  article_id INTEGER NOT NULL,
+  title TEXT NOT NULL,
+  content_html TEXT NOT NULL,
+  content_text TEXT,
+  excerpt TEXT,
+  author TEXT,
+  site_name TEXT,
+  published_at DATETIME,
+  word_count INTEGER DEFAULT 0,
+  reading_time_minutes INTEGER DEFAULT 0,
+  language TEXT,
+  has_images BOOLEAN DEFAULT 0,
+  image_count INTEGER DEFAULT 0,
+  -- When this content was replaced
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS article_version_images (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  version_id INTEGER NOT NULL,
+  original_url TEXT NOT NULL,
+  local_path TEXT,
+  eink_path TEXT,
+  alt_text TEXT,
+  width INTEGER,
+  height INTEGER,
+  size_bytes INTEGER,
+  status TEXT NOT NULL DEFAULT 'downloaded',
+  error TEXT,
+  FOREIGN KEY (version_id) REFERENCES article_versions(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_article_versions_article_id ON article_versions(article_id);
+CREATE INDEX IF NOT EXISTS idx_article_version_images_version_id ON article_version_images(version_id);
+
+CREATE TRIGGER IF NOT EXISTS article_version_images_blob_ref
+AFTER INSERT ON article_version_images
+BEGIN
+  UPDATE image_blobs SET ref_count = ref_count + 1, updated_at = CURRENT_TIMESTAMP
+  WHERE local_path IN (NEW.local_path, NEW.eink_path);
+END;
+
+CREATE TRIGGER IF NOT EXISTS article_version_images_blob_unref
+AFTER DELETE ON article_version_images
+BEGIN
+  UPDATE image_blobs SET ref_count = ref_count - 1, updated_at = CURRENT_TIMESTAMP
+  WHERE local_path IN (OLD.local_path, OLD.eink_path);
+END;
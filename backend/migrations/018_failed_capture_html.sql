@@ -0,0 +1,9 @@
+-- Failed capture HTML
+-- Failed captures kept the first 10KB of the page in content_html, too little
+-- to retry extraction. The whole page now goes in capture_html until the
+-- article is captured successfully.
+
+ALTER TABLE articles ADD COLUMN capture_html TEXT;
+
+UPDATE articles SET capture_html = content_html, content_html = ''
+WHERE capture_success = 0 AND content_html != '';
@@ -0,0 +1,19 @@
+-- Duplicate detection
+-- Articles get a SimHash fingerprint of their text, so the same story saved
+-- from different URLs can be found. Merging duplicates records the URLs of
+-- the merged articles, so saving one of them again updates the article kept.
+
+ALTER TABLE articles ADD COLUMN content_simhash TEXT;
+
+CREATE TABLE IF NOT EXISTS article_url_aliases (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  url TEXT NOT NULL,
+  article_id INTEGER NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, url),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_article_url_aliases_article_id ON article_url_aliases(article_id);
@@ -0,0 +1,19 @@
+// Fingerprint articles saved before duplicate detection, so they are
+// compared with new ones
+
+import { simhash } from '../src/utils/simhash.js';
+
+export function up(db) {
+  const articles = db.prepare(`
+    SELECT id, content_text FROM articles
+    WHERE capture_success = 1 AND content_simhash IS NULL
+  `).all();
+  const update = db.prepare('UPDATE articles SET content_simhash = ? WHERE id = ?');
+
+  for (const article of articles) {
+    const hash = simhash(article.content_text);
+    if (hash) {
+      update.run(hash, article.id);
+    }
+  }
+}
@@ -0,0 +1,30 @@
+-- Per-site extraction rules
+-- A rule matches pages by host or URL glob and tells the article processor
+-- where the content is, what to strip, where to find the title, author and
+-- date, which attribute holds lazy-loaded image URLs and how to tune Readability.
+
+CREATE TABLE IF NOT EXISTS site_rules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  pattern TEXT NOT NULL,
+  description TEXT,
+  content_selector TEXT,
+  strip_selector TEXT,
+  title_selector TEXT,
+  author_selector TEXT,
+  date_selector TEXT,
+  lazy_image_attribute TEXT,
+  readability_options TEXT NOT NULL DEFAULT '{}',
+  is_enabled BOOLEAN DEFAULT 1,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_site_rules_user_id ON site_rules(user_id);
+
+CREATE TRIGGER IF NOT EXISTS update_site_rules_timestamp
+AFTER UPDATE ON site_rules
+BEGIN
+  UPDATE site_rules SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
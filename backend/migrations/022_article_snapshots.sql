@@ -0,0 +1,17 @@
+-- Raw HTML snapshots
+-- The page HTML each article was extracted from is kept compressed, one row
+-- per page of a multi-page article, so articles can be extracted again when
+-- extraction improves or a site rule is added, even if the page is gone.
+
+CREATE TABLE IF NOT EXISTS article_snapshots (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  article_id INTEGER NOT NULL,
+  page INTEGER NOT NULL DEFAULT 1,
+  url TEXT NOT NULL,
+  encoding TEXT NOT NULL DEFAULT 'br' CHECK(encoding IN ('br', 'gzip')),
+  content BLOB NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (article_id, page),
+  FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE CASCADE
+);
@@ -0,0 +1,27 @@
+// Move the HTML kept for failed captures into compressed snapshots, which
+// now hold the page HTML of every article
+
+import { HTML_ENCODING, compressHtmlSync } from '../src/utils/htmlCompression.js';
+
+export function up(db) {
+  const articles = db.prepare(`
+    SELECT id, url, original_url, capture_html FROM articles
+    WHERE capture_html IS NOT NULL AND capture_html != ''
+  `).all();
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO article_snapshots (article_id, page, url, encoding, content, size_bytes)
+    VALUES (?, 1, ?, ?, ?, ?)
+  `);
+
+  for (const article of articles) {
+    insert.run(
+      article.id,
+      article.original_url || article.url,
+      HTML_ENCODING,
+      compressHtmlSync(article.capture_html),
+      Buffer.byteLength(article.capture_html)
+    );
+  }
+
+  db.exec('ALTER TABLE articles DROP COLUMN capture_html');
+}
@@ -0,0 +1,15 @@
+-- Original documents
+-- Articles made from an uploaded PDF keep the file, so EPUBs can attach it
+-- and the article can be extracted from it again.
+
+CREATE TABLE IF NOT EXISTS article_documents (
+  article_id INTEGER PRIMARY KEY,
+  filename TEXT NOT NULL,
+  content_type TEXT NOT NULL DEFAULT 'application/pdf',
+  content BLOB NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  sha256 TEXT NOT NULL,
+  page_count INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE CASCADE
+);
@@ -0,0 +1,18 @@
+-- Uploaded PDFs waiting to be captured
+-- The capture job's payload doesn't carry the file; it is kept here under the
+-- job's ID until the job finishes, or is deleted with the job.
+
+CREATE TABLE IF NOT EXISTS pdf_uploads (
+  job_id INTEGER PRIMARY KEY,
+  content BLOB NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE
+);
+
+-- A failed job is not retried, so its upload can go as well
+CREATE TRIGGER IF NOT EXISTS pdf_uploads_job_finished
+AFTER UPDATE OF status ON jobs
+WHEN NEW.status IN ('completed', 'failed')
+BEGIN
+  DELETE FROM pdf_uploads WHERE job_id = NEW.id;
+END;
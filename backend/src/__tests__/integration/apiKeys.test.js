@@ -0,0 +1,215 @@
+// Set test ID before any imports to ensure unique database file
+process.env.TEST_ID = 'api-keys';
+
+import { describe, it, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import request from 'supertest';
+import {
+  createTestApp,
+  setupTestDatabase,
+  cleanupTestDatabase,
+  resetTestDatabase,
+  createAuthHeaders
+} from '../utils/testApp.js';
+import { getConnection } from '../../database/index.js';
+
+describe('API Keys Integration Tests', () => {
+  let app;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+  });
+
+  afterAll(() => {
+    cleanupTestDatabase();
+  });
+
+  afterEach(async () => {
+    await resetTestDatabase();
+  });
+
+  async function createKey(data) {
+    const response = await request(app)
+      .post('/api/keys')
+      .set(createAuthHeaders())
+      .send(data)
+      .expect(201);
+
+    return response.body.key;
+  }
+
+  function withKey(key) {
+    return { 'X-API-Key': key, 'Content-Type': 'application/json' };
+  }
+
+  describe('Key management', () => {
+    it('should create a key and only return it once', async () => {
+      const created = await createKey({ label: 'Extension', scopes: ['articles:read', 'articles:write'] });
+
+      expect(created.key).toMatch(/^bd_[0-9a-f]{64}$/);
+      expect(created).toMatchObject({
+        label: 'Extension',
+        key_prefix: created.key.slice(0, 11),
+        scopes: ['articles:read', 'articles:write'],
+        expires_at: null,
+        revoked_at: null
+      });
+
+      const list = await request(app)
+        .get('/api/keys')
+        .set(createAuthHeaders())
+        .expect(200);
+
+      expect(list.body.keys).toHaveLength(1);
+      expect(list.body.keys[0]).not.toHaveProperty('key');
+      expect(list.body.keys[0]).not.toHaveProperty('key_hash');
+      expect(list.body.available_scopes).toContain('settings:admin');
+
+      // Only a hash is stored
+      const row = getConnection().prepare('SELECT key_hash FROM api_keys').get();
+      expect(row.key_hash).not.toContain(created.key);
+    });
+
+    it('should reject unknown scopes', async () => {
+      await request(app)
+        .post('/api/keys')
+        .set(createAuthHeaders())
+        .send({ label: 'Bad', scopes: ['everything:all'] })
+        .expect(400);
+
+      await request(app)
+        .post('/api/keys')
+        .set(createAuthHeaders())
+        .send({ label: 'Empty', scopes: [] })
+        .expect(400);
+    });
+
+    it('should describe the calling key', async () => {
+      const created = await createKey({ label: 'Script', scopes: ['epub:read'] });
+
+      const me = await request(app)
+        .get('/api/keys/me')
+        .set(withKey(created.key))
+        .expect(200);
+      expect(me.body.key).toEqual({ id: created.id, label: 'Script', scopes: ['epub:read'], bootstrap: false });
+
+      const bootstrap = await request(app)
+        .get('/api/keys/me')
+        .set(createAuthHeaders())
+        .expect(200);
+      expect(bootstrap.body.key).toMatchObject({ bootstrap: true, scopes: ['settings:admin'] });
+    });
+  });
+
+  describe('Authentication', () => {
+    it('should track when a key was last used', async () => {
+      const created = await createKey({ label: 'Reader', scopes: ['articles:read'] });
+
+      await request(app)
+        .get('/api/articles')
+        .set(withKey(created.key))
+        .expect(200);
+
+      const row = getConnection().prepare('SELECT last_used_at FROM api_keys WHERE id = ?').get(created.id);
+      expect(row.last_used_at).toBeTruthy();
+    });
+
+    it('should reject a revoked key', async () => {
+      const created = await createKey({ label: 'Old laptop', scopes: ['articles:read'] });
+
+      const revoked = await request(app)
+        .delete(`/api/keys/${created.id}`)
+        .set(createAuthHeaders())
+        .expect(200);
+      expect(revoked.body.key.revoked_at).toBeTruthy();
+
+      const response = await request(app)
+        .get('/api/articles')
+        .set(withKey(created.key))
+        .expect(401);
+      expect(response.body.error).toBe('Unauthorized');
+    });
+
+    it('should reject an expired key', async () => {
+      const created = await createKey({ label: 'Temporary', scopes: ['articles:read'], expires_in_days: 1 });
+      expect(created.expires_at).toBeTruthy();
+
+      getConnection().prepare("UPDATE api_keys SET expires_at = datetime('now', '-1 minutes') WHERE id = ?").run(created.id);
+
+      await request(app)
+        .get('/api/articles')
+        .set(withKey(created.key))
+        .expect(401);
+    });
+
+    it('should return 404 when revoking an unknown key', async () => {
+      await request(app)
+        .delete('/api/keys/999999')
+        .set(createAuthHeaders())
+        .expect(404);
+    });
+  });
+
+  describe('Scopes', () => {
+    it('should allow reads but not writes with a read scope', async () => {
+      const created = await createKey({ label: 'Reader', scopes: ['articles:read'] });
+
+      await request(app)
+        .get('/api/articles')
+        .set(withKey(created.key))
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/articles/from-url')
+        .set(withKey(created.key))
+        .send({ url: 'https://example.com/page' })
+        .expect(403);
+      expect(response.body).toEqual({
+        error: 'Forbidden',
+        message: 'API key lacks required scope: articles:write'
+      });
+    });
+
+    it('should keep article and EPUB access separate', async () => {
+      const created = await createKey({ label: 'Kindle script', scopes: ['epub:read', 'epub:write'] });
+
+      await request(app)
+        .get('/api/epub/exports')
+        .set(withKey(created.key))
+        .expect(200);
+
+      await request(app)
+        .get('/api/tags')
+        .set(withKey(created.key))
+        .expect(403);
+    });
+
+    it('should require the admin scope for settings, webhooks and key management', async () => {
+      const created = await createKey({
+        label: 'Everything but admin',
+        scopes: ['articles:read', 'articles:write', 'epub:read', 'epub:write']
+      });
+
+      for (const path of ['/api/settings', '/api/webhooks', '/api/keys']) {
+        await request(app)
+          .get(path)
+          .set(withKey(created.key))
+          .expect(403);
+      }
+    });
+
+    it('should grant everything to an admin key', async () => {
+      const created = await createKey({ label: 'Admin', scopes: ['settings:admin'] });
+
+      await request(app)
+        .get('/api/settings')
+        .set(withKey(created.key))
+        .expect(200);
+
+      await request(app)
+        .get('/api/articles')
+        .set(withKey(created.key))
+        .expect(200);
+    });
+  });
+});
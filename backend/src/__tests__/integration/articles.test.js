@@ -17,7 +17,8 @@ import {
   setupTestDatabase,
   cleanupTestDatabase,
   resetTestDatabase,
-  createAuthHeaders
+  createAuthHeaders,
+  waitForJob
 } from '../utils/testApp.js';
 
 describe('Articles API Integration Tests', () => {
@@ -83,14 +84,33 @@ describe('Articles API Integration Tests', () => {
         .set(createAuthHeaders())
         .send(validArticle);
 
-      expect(response.status).toBe(201);
+      expect(response.status).toBe(202);
       expect(response.body).toHaveProperty('success', true);
-      expect(response.body).toHaveProperty('article');
-      expect(response.body.article).toHaveProperty('id');
-      expect(response.body.article).toHaveProperty('title');
-      expect(response.body.article).toHaveProperty('url', validArticle.url);
-      expect(response.body.article).toHaveProperty('wordCount');
-      expect(response.body.article).toHaveProperty('readingTimeMinutes');
+      expect(response.body.job).toHaveProperty('id');
+      expect(response.body.job).toHaveProperty('type', 'article.capture');
+      expect(response.body.job).toHaveProperty('status', 'queued');
+
+      const job = await waitForJob(app, response);
+      expect(job.status).toBe('completed');
+      expect(job.result.article).toHaveProperty('id');
+      expect(job.result.article).toHaveProperty('title');
+      expect(job.result.article).toHaveProperty('url', validArticle.url);
+      expect(job.result.article).toHaveProperty('wordCount');
+      expect(job.result.article).toHaveProperty('readingTimeMinutes');
+    });
+
+    it('should fail the job without retrying when extraction fails', async () => {
+      const response = await request(app)
+        .post('/api/articles')
+        .set(createAuthHeaders())
+        .send({ html: '<html><body></body></html>', url: 'https://example.com/empty' });
+
+      expect(response.status).toBe(202);
+
+      const job = await waitForJob(app, response);
+      expect(job.status).toBe('failed');
+      expect(job.attempts).toBe(1);
+      expect(job.error).toMatch(/Failed to process article/);
     });
 
     it('should require html field', async () => {
@@ -152,8 +172,8 @@ describe('Articles API Integration Tests', () => {
         .set(createAuthHeaders())
         .send(articleData);
 
-      expect(response1.status).toBe(201);
-      const firstId = response1.body.article.id;
+      expect(response1.status).toBe(202);
+      const firstId = (await waitForJob(app, response1)).result.article.id;
 
       // Update with new content
       articleData.html = '<html><body><article><h1>Updated Title</h1><p>Updated content with enough text to pass Readability extraction.</p></article></body></html>';
@@ -163,9 +183,9 @@ describe('Articles API Integration Tests', () => {
         .set(createAuthHeaders())
         .send(articleData);
 
-      expect(response2.status).toBe(201);
+      expect(response2.status).toBe(202);
       // The ID should be the same (upsert)
-      expect(response2.body.article.id).toBe(firstId);
+      expect((await waitForJob(app, response2)).result.article.id).toBe(firstId);
     });
   });
 
@@ -179,10 +199,11 @@ describe('Articles API Integration Tests', () => {
       ];
 
       for (const article of articles) {
-        await request(app)
+        const response = await request(app)
           .post('/api/articles')
           .set(createAuthHeaders())
           .send(article);
+        await waitForJob(app, response);
       }
     });
 
@@ -270,7 +291,8 @@ describe('Articles API Integration Tests', () => {
           url: 'https://example.com/single-test'
         });
 
-      articleId = response.body.article.id;
+      const job = await waitForJob(app, response);
+      articleId = job.result.article.id;
     });
 
     it('should return single article by ID', async () => {
@@ -307,7 +329,8 @@ describe('Articles API Integration Tests', () => {
           url: 'https://example.com/update-test'
         });
 
-      articleId = response.body.article.id;
+      const job = await waitForJob(app, response);
+      articleId = job.result.article.id;
     });
 
     it('should update article title', async () => {
@@ -373,7 +396,8 @@ describe('Articles API Integration Tests', () => {
           url: 'https://example.com/delete-test'
         });
 
-      articleId = response.body.article.id;
+      const job = await waitForJob(app, response);
+      articleId = job.result.article.id;
     });
 
     it('should delete article by ID', async () => {
@@ -410,10 +434,11 @@ describe('Articles API Integration Tests', () => {
       ];
 
       for (const article of articles) {
-        await request(app)
+        const response = await request(app)
           .post('/api/articles')
           .set(createAuthHeaders())
           .send(article);
+        await waitForJob(app, response);
       }
     });
 
@@ -0,0 +1,233 @@
+// Set test ID before any imports to ensure unique database file
+process.env.TEST_ID = 'auth';
+
+import { describe, it, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import request from 'supertest';
+import {
+  createTestApp,
+  setupTestDatabase,
+  cleanupTestDatabase,
+  resetTestDatabase,
+  createAuthHeaders
+} from '../utils/testApp.js';
+import { getConnection } from '../../database/index.js';
+
+describe('Session Login Integration Tests', () => {
+  let app;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+  });
+
+  afterAll(() => {
+    cleanupTestDatabase();
+  });
+
+  afterEach(async () => {
+    await resetTestDatabase();
+  });
+
+  async function setAdminPassword(password = 'correct horse') {
+    await request(app)
+      .put('/api/auth/password')
+      .set(createAuthHeaders())
+      .send({ new_password: password })
+      .expect(200);
+  }
+
+  async function login(name = 'admin', password = 'correct horse') {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ name, password })
+      .expect(200);
+
+    return response.headers['set-cookie'][0].split(';')[0];
+  }
+
+  describe('POST /api/auth/login', () => {
+    it('should set an HttpOnly session cookie', async () => {
+      await setAdminPassword();
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ name: 'Admin', password: 'correct horse' })
+        .expect(200);
+
+      expect(response.body.user).toMatchObject({ id: 1, name: 'admin', is_admin: true, has_password: true });
+      expect(response.body.expires_at).toBeTruthy();
+
+      const cookie = response.headers['set-cookie'][0];
+      expect(cookie).toMatch(/^bd_session=[0-9a-f]{64};/);
+      expect(cookie).toContain('HttpOnly');
+      expect(cookie).toContain('SameSite=Strict');
+
+      // Only a hash is stored
+      const token = cookie.split(';')[0].split('=')[1];
+      const row = getConnection().prepare('SELECT token_hash FROM sessions').get();
+      expect(row.token_hash).not.toBe(token);
+    });
+
+    it('should reject wrong passwords and unknown users', async () => {
+      await setAdminPassword();
+
+      const wrong = await request(app)
+        .post('/api/auth/login')
+        .send({ name: 'admin', password: 'battery staple' })
+        .expect(401);
+      expect(wrong.body).toEqual({ error: 'Unauthorized', message: 'Invalid name or password' });
+      expect(wrong.headers['set-cookie']).toBeUndefined();
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ name: 'nobody', password: 'correct horse' })
+        .expect(401);
+    });
+
+    it('should not log in a user without a password', async () => {
+      await request(app)
+        .post('/api/auth/login')
+        .send({ name: 'admin', password: '' })
+        .expect(400);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ name: 'admin', password: 'anything at all' })
+        .expect(401);
+    });
+  });
+
+  describe('Session authentication', () => {
+    it('should authenticate API requests with the cookie', async () => {
+      await setAdminPassword();
+      const cookie = await login();
+
+      await request(app)
+        .get('/api/articles')
+        .set('Cookie', cookie)
+        .expect(200);
+
+      const session = await request(app)
+        .get('/api/auth/session')
+        .set('Cookie', cookie)
+        .expect(200);
+      expect(session.body.user).toMatchObject({ id: 1, name: 'admin' });
+      expect(session.body.expires_at).toBeTruthy();
+
+      const me = await request(app)
+        .get('/api/keys/me')
+        .set('Cookie', cookie)
+        .expect(200);
+      expect(me.body.key).toMatchObject({ label: 'Browser session', scopes: ['settings:admin'] });
+    });
+
+    it('should reject requests after logout', async () => {
+      await setAdminPassword();
+      const cookie = await login();
+
+      const response = await request(app)
+        .post('/api/auth/logout')
+        .set('Cookie', cookie)
+        .expect(200);
+      expect(response.headers['set-cookie'][0]).toMatch(/^bd_session=;/);
+
+      const rejected = await request(app)
+        .get('/api/articles')
+        .set('Cookie', cookie)
+        .expect(401);
+      expect(rejected.body.message).toBe('Session expired. Please log in again.');
+    });
+
+    it('should reject expired sessions', async () => {
+      await setAdminPassword();
+      const cookie = await login();
+
+      getConnection().prepare("UPDATE sessions SET expires_at = datetime('now', '-1 minutes')").run();
+
+      await request(app)
+        .get('/api/auth/session')
+        .set('Cookie', cookie)
+        .expect(401);
+    });
+
+    it('should still require credentials without a cookie', async () => {
+      await request(app)
+        .get('/api/auth/session')
+        .expect(401);
+    });
+  });
+
+  describe('Passwords', () => {
+    it('should require the current password to change it and end other sessions', async () => {
+      await setAdminPassword();
+      const cookie = await login();
+      const otherCookie = await login();
+
+      const rejected = await request(app)
+        .put('/api/auth/password')
+        .set('Cookie', cookie)
+        .send({ current_password: 'wrong password', new_password: 'new password!' })
+        .expect(400);
+      expect(rejected.body.message).toBe('Current password is incorrect');
+
+      await request(app)
+        .put('/api/auth/password')
+        .set('Cookie', cookie)
+        .send({ current_password: 'correct horse', new_password: 'new password!' })
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/session')
+        .set('Cookie', cookie)
+        .expect(200);
+      await request(app)
+        .get('/api/auth/session')
+        .set('Cookie', otherCookie)
+        .expect(401);
+
+      await login('admin', 'new password!');
+    });
+
+    it('should reject short passwords', async () => {
+      await request(app)
+        .put('/api/auth/password')
+        .set(createAuthHeaders())
+        .send({ new_password: 'short' })
+        .expect(400);
+    });
+
+    it('should let admins create users with a password and reset it', async () => {
+      const created = await request(app)
+        .post('/api/users')
+        .set(createAuthHeaders())
+        .send({ name: 'alice', password: 'alice password' })
+        .expect(201);
+      expect(created.body.user.has_password).toBe(true);
+
+      const cookie = await login('alice', 'alice password');
+      const session = await request(app)
+        .get('/api/auth/session')
+        .set('Cookie', cookie)
+        .expect(200);
+      expect(session.body.user).toMatchObject({ name: 'alice', is_admin: false });
+
+      // A session has full access to the user's own account, but not to other users
+      await request(app)
+        .get('/api/users')
+        .set('Cookie', cookie)
+        .expect(403);
+
+      await request(app)
+        .put(`/api/users/${created.body.user.id}/password`)
+        .set(createAuthHeaders())
+        .send({ password: 'reset password' })
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/session')
+        .set('Cookie', cookie)
+        .expect(401);
+      await login('alice', 'reset password');
+    });
+  });
+});
@@ -0,0 +1,232 @@
+// Set test ID before any imports to ensure unique database file
+process.env.TEST_ID = 'digests';
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import fs from 'fs/promises';
+import {
+  createTestApp,
+  setupTestDatabase,
+  cleanupTestDatabase,
+  resetTestDatabase,
+  createAuthHeaders,
+  waitForJob
+} from '../utils/testApp.js';
+import kindleService from '../../services/kindleService.js';
+import digestScheduler from '../../services/digestScheduler.js';
+import { getConnection } from '../../database/index.js';
+
+const LOREM = 'Lorem ipsum dolor sit amet, consectetur adipiscing elit. Sed do eiusmod tempor incididunt ut labore et dolore magna aliqua. Ut enim ad minim veniam, quis nostrud exercitation ullamco laboris nisi ut aliquip ex ea commodo consequat.';
+
+describe('Digest Schedules API Integration Tests', () => {
+  let app;
+  let sentMail;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+  });
+
+  afterAll(() => {
+    kindleService.configured = false;
+    kindleService.transporter = null;
+    cleanupTestDatabase();
+  });
+
+  beforeEach(() => {
+    // Fake SMTP transport so sendEPUB runs without a mail server
+    sentMail = [];
+    kindleService.configured = true;
+    kindleService.kindleEmail = 'reader@kindle.com';
+    kindleService.fromEmail = 'digest@example.com';
+    kindleService.transporter = {
+      sendMail: async (options) => {
+        sentMail.push(options);
+        return { messageId: `test-${sentMail.length}`, response: '250 OK' };
+      }
+    };
+  });
+
+  afterEach(async () => {
+    const exports = getConnection().prepare('SELECT file_path FROM epub_exports').all();
+    await Promise.all(exports.map(e => fs.unlink(e.file_path).catch(() => {})));
+    await resetTestDatabase();
+  });
+
+  async function createArticle(i, paragraphs = 2) {
+    const body = Array.from({ length: paragraphs }, () => `<p>${LOREM}</p>`).join('');
+    const response = await request(app)
+      .post('/api/articles')
+      .set(createAuthHeaders())
+      .send({
+        html: `<html><body><article><h1>Digest Article ${i}</h1>${body}</article></body></html>`,
+        url: `https://example.com/digest-${i}`
+      });
+    const job = await waitForJob(app, response);
+    return job.result.article.id;
+  }
+
+  function createSchedule(data = {}) {
+    return request(app)
+      .post('/api/digests')
+      .set(createAuthHeaders())
+      .send({ name: 'Weekly', cron_expression: '0 8 * * mon', ...data });
+  }
+
+  function runNow(id) {
+    return request(app)
+      .post(`/api/digests/${id}/run`)
+      .set(createAuthHeaders());
+  }
+
+  describe('Schedule CRUD', () => {
+    it('should create a schedule with defaults and a next run time', async () => {
+      const response = await createSchedule();
+
+      expect(response.status).toBe(201);
+      expect(response.body.schedule).toMatchObject({
+        name: 'Weekly',
+        cron_expression: '0 8 * * mon',
+        title_template: 'Weekly Digest {date}',
+        exclude_archived: true,
+        exclude_sent: true,
+        max_articles: 10,
+        archive_after_send: false,
+        is_enabled: true
+      });
+      expect(new Date(response.body.schedule.next_run_at).getDay()).toBe(1);
+    });
+
+    it('should reject invalid cron expressions', async () => {
+      const response = await createSchedule({ cron_expression: 'every monday' });
+      expect(response.status).toBe(400);
+    });
+
+    it('should update a schedule and clear next run when disabled', async () => {
+      const created = await createSchedule();
+
+      const response = await request(app)
+        .put(`/api/digests/${created.body.schedule.id}`)
+        .set(createAuthHeaders())
+        .send({ is_enabled: false, max_articles: 5 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.schedule.is_enabled).toBe(false);
+      expect(response.body.schedule.max_articles).toBe(5);
+      expect(response.body.schedule.next_run_at).toBeNull();
+    });
+
+    it('should list and delete schedules', async () => {
+      const created = await createSchedule();
+
+      const list = await request(app).get('/api/digests').set(createAuthHeaders());
+      expect(list.body.schedules).toHaveLength(1);
+      expect(list.body.schedules[0].last_run).toBeNull();
+
+      const deleted = await request(app)
+        .delete(`/api/digests/${created.body.schedule.id}`)
+        .set(createAuthHeaders());
+      expect(deleted.status).toBe(200);
+
+      const missing = await request(app)
+        .get(`/api/digests/${created.body.schedule.id}`)
+        .set(createAuthHeaders());
+      expect(missing.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/digests/:id/run', () => {
+    it('should build, send and archive the digest', async () => {
+      const ids = [await createArticle(1), await createArticle(2)];
+      const created = await createSchedule({ title_template: 'Digest {date}', archive_after_send: true });
+
+      const response = await runNow(created.body.schedule.id);
+
+      expect(response.status).toBe(200);
+      expect(response.body.run).toMatchObject({ status: 'success', trigger: 'manual', article_count: 2 });
+      expect(sentMail).toHaveLength(1);
+      expect(sentMail[0].subject).toMatch(/^Digest \d{4}-\d{2}-\d{2}$/);
+
+      const db = getConnection();
+      const exportRecord = db.prepare('SELECT * FROM epub_exports WHERE id = ?').get(response.body.run.export_id);
+      expect(exportRecord.sent_to_kindle).toBe(1);
+
+      const archived = db.prepare(`SELECT COUNT(*) as count FROM articles WHERE is_archived = 1 AND id IN (${ids.join(',')})`).get();
+      expect(archived.count).toBe(2);
+    });
+
+    it('should skip articles that were already sent', async () => {
+      await createArticle(1);
+      const created = await createSchedule();
+
+      const first = await runNow(created.body.schedule.id);
+      expect(first.body.run.status).toBe('success');
+
+      const second = await runNow(created.body.schedule.id);
+      expect(second.body.run.status).toBe('skipped');
+      expect(sentMail).toHaveLength(1);
+    });
+
+    it('should respect max articles and reading time', async () => {
+      await createArticle(1, 6);
+      await createArticle(2, 1);
+      await createArticle(3, 1);
+      const created = await createSchedule({ max_articles: 2, max_reading_minutes: 1 });
+
+      const response = await runNow(created.body.schedule.id);
+
+      // Newest two are articles 3 and 2, both one-minute reads
+      expect(response.body.run.article_count).toBe(1);
+    });
+
+    it('should record a failed run when Kindle is not configured', async () => {
+      await createArticle(1);
+      kindleService.configured = false;
+      const created = await createSchedule();
+
+      const response = await runNow(created.body.schedule.id);
+      expect(response.body.success).toBe(false);
+      expect(response.body.run.status).toBe('failed');
+      expect(response.body.run.error).toMatch(/not configured/);
+
+      const history = await request(app)
+        .get(`/api/digests/${created.body.schedule.id}/runs`)
+        .set(createAuthHeaders());
+      expect(history.body.runs).toHaveLength(1);
+      expect(history.body.runs[0].schedule_name).toBe('Weekly');
+    });
+
+    it('should return 404 for a missing schedule', async () => {
+      const response = await runNow(99999);
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Scheduler', () => {
+    it('should run due schedules and move them to their next time', async () => {
+      await createArticle(1);
+      const created = await createSchedule();
+      const schedule = created.body.schedule;
+
+      // Pretend it is just after the planned run time
+      const now = new Date(new Date(schedule.next_run_at).getTime() + 1000);
+      await digestScheduler.tick(now);
+
+      const runs = await request(app).get('/api/digests/runs').set(createAuthHeaders());
+      expect(runs.body.runs).toHaveLength(1);
+      expect(runs.body.runs[0].trigger).toBe('schedule');
+      expect(runs.body.runs[0].status).toBe('success');
+
+      const updated = await request(app).get(`/api/digests/${schedule.id}`).set(createAuthHeaders());
+      expect(new Date(updated.body.schedule.next_run_at).getTime()).toBeGreaterThan(now.getTime());
+    });
+
+    it('should not run schedules that are not due', async () => {
+      const created = await createSchedule();
+      await digestScheduler.tick(new Date(new Date(created.body.schedule.next_run_at).getTime() - 60000));
+
+      const runs = await request(app).get('/api/digests/runs').set(createAuthHeaders());
+      expect(runs.body.runs).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,229 @@
+// Set test ID before any imports to ensure unique database file
+process.env.TEST_ID = 'duplicates';
+// The fixture server listens on loopback, which outbound requests refuse by default
+process.env.OUTBOUND_ALLOWLIST = '127.0.0.1';
+
+import { describe, it, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import request from 'supertest';
+import http from 'http';
+import {
+  createTestApp,
+  setupTestDatabase,
+  cleanupTestDatabase,
+  resetTestDatabase,
+  createAuthHeaders,
+  waitForJob
+} from '../utils/testApp.js';
+import { getConnection } from '../../database/index.js';
+
+const STORY = 'The city council voted on Tuesday to extend the tram line to the harbour district. ' +
+  'Construction is expected to start next spring and take three years. Residents who spoke at the ' +
+  'meeting welcomed the plan but asked for quieter trams and more frequent night services. ' +
+  'The extension adds six stops, including one beside the ferry terminal and another at the new ' +
+  'hospital, and the council says journeys from the centre will take twelve minutes.';
+const OTHER = 'A rare orchid has flowered in the botanical garden for the first time in twelve years. ' +
+  'Gardeners kept the greenhouse humid and warm through the winter, and visitors queued for an hour ' +
+  'on the opening weekend to see the pale yellow blooms before they fade. The garden plans to ' +
+  'divide the plant next year and share it with two other collections in the region.';
+
+function page(text, head = '') {
+  return `<html><head><title>Trams</title>${head}</head><body><article><h1>Trams</h1><p>${text}</p><p>${text}</p></article></body></html>`;
+}
+
+describe('Duplicate Articles Integration Tests', () => {
+  let app;
+  let server;
+  let baseUrl;
+  let pages;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+
+    server = http.createServer((req, res) => {
+      const html = pages[new URL(req.url, 'http://localhost').pathname];
+      if (html) {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(html);
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    cleanupTestDatabase();
+  });
+
+  afterEach(async () => {
+    pages = {};
+    await resetTestDatabase();
+  });
+
+  async function capture(path) {
+    const response = await request(app)
+      .post('/api/articles/from-url')
+      .set(createAuthHeaders())
+      .send({ url: `${baseUrl}${path}` })
+      .expect(202);
+
+    return waitForJob(app, response);
+  }
+
+  async function captureId(path) {
+    const job = await capture(path);
+    expect(job.status).toBe('completed');
+    return job.result.article.id;
+  }
+
+  async function listGroups() {
+    const response = await request(app)
+      .get('/api/articles/duplicates')
+      .set(createAuthHeaders())
+      .expect(200);
+    return response.body.groups;
+  }
+
+  it('should save URLs that differ only by tracking parameters as one article', async () => {
+    pages = { '/story': page(STORY) };
+
+    const id = await captureId('/story?utm_source=newsletter&utm_medium=email');
+    expect(await captureId('/story?fbclid=abc#comments')).toBe(id);
+
+    // The extension's capture of the page finds it too
+    const response = await request(app)
+      .post('/api/articles')
+      .set(createAuthHeaders())
+      .send({ html: page(STORY), url: `${baseUrl}/story/?utm_campaign=spring` })
+      .expect(202);
+    const job = await waitForJob(app, response);
+    expect(job.result.article.id).toBe(id);
+
+    // The URL first submitted is kept
+    const rows = getConnection().prepare('SELECT url, original_url FROM articles').all();
+    expect(rows).toEqual([{ url: `${baseUrl}/story`, original_url: `${baseUrl}/story?utm_source=newsletter&utm_medium=email` }]);
+  });
+
+  it('should prefer the URL the page declares, but only on the same site', async () => {
+    pages = {
+      '/print/7': page(STORY, '<link rel="canonical" href="/news/trams">'),
+      '/news/trams': page(STORY),
+      '/mirror': page(OTHER, '<link rel="canonical" href="https://elsewhere.example/story">'),
+      '/deep/page': page(OTHER, '<meta property="og:url" content="/">')
+    };
+
+    const id = await captureId('/print/7');
+    expect(await captureId('/news/trams')).toBe(id);
+
+    const mirror = await capture('/mirror');
+    expect(mirror.result.article.url).toBe(`${baseUrl}/mirror`);
+
+    const deep = await capture('/deep/page');
+    expect(deep.result.article.url).toBe(`${baseUrl}/deep/page`);
+  });
+
+  it('should resolve a failed capture once the page is saved under its canonical URL', async () => {
+    pages = { '/print/7': '<html><body><script>render()</script></body></html>' };
+    expect((await capture('/print/7')).status).toBe('failed');
+
+    pages = { '/print/7': page(STORY, '<link rel="canonical" href="/news/trams">') };
+    await captureId('/print/7');
+
+    const rows = getConnection().prepare('SELECT url, capture_success FROM articles').all();
+    expect(rows).toEqual([{ url: `${baseUrl}/news/trams`, capture_success: 1 }]);
+  });
+
+  it('should group near-identical text saved from different URLs', async () => {
+    pages = {
+      '/a': page(STORY),
+      '/b': page(`Published by the city desk. ${STORY}`),
+      '/c': page(OTHER)
+    };
+
+    const a = await captureId('/a');
+    const b = await captureId('/b');
+    await captureId('/c');
+
+    const groups = await listGroups();
+    expect(groups).toHaveLength(1);
+    expect(groups[0].reasons).toEqual(['content']);
+    expect(groups[0].articles.map(article => article.id)).toEqual([a, b]);
+    expect(groups[0].articles[0]).not.toHaveProperty('content_simhash');
+  });
+
+  it('should group articles saved under URLs that now canonicalize alike', async () => {
+    const db = getConnection();
+    const insert = db.prepare(`
+      INSERT INTO articles (user_id, url, title, content_html, content_text) VALUES (1, ?, ?, '<p>x</p>', ?)
+    `);
+    insert.run('https://example.com/story?utm_source=feed', 'Story', 'One');
+    insert.run('https://example.com/story/', 'Story', 'Two');
+    insert.run('https://example.com/other', 'Other', 'Three');
+
+    const groups = await listGroups();
+    expect(groups).toHaveLength(1);
+    expect(groups[0]).toMatchObject({ reasons: ['url'] });
+    expect(groups[0].articles).toHaveLength(2);
+  });
+
+  it('should merge duplicates into the article kept', async () => {
+    pages = { '/a': page(STORY), '/b': page(`Published by the city desk. ${STORY}`) };
+    const keep = await captureId('/a');
+    const duplicate = await captureId('/b');
+
+    await request(app)
+      .put(`/api/articles/${duplicate}`)
+      .set(createAuthHeaders())
+      .send({ tags: ['transport'], is_favorite: true })
+      .expect(200);
+    await request(app)
+      .post(`/api/articles/${duplicate}/highlights`)
+      .set(createAuthHeaders())
+      .send({ exact: 'quieter trams' })
+      .expect(201);
+
+    const response = await request(app)
+      .post('/api/articles/duplicates/merge')
+      .set(createAuthHeaders())
+      .send({ keep_id: keep, article_ids: [duplicate] })
+      .expect(200);
+    expect(response.body).toMatchObject({ id: keep, merged: 1 });
+
+    await request(app).get(`/api/articles/${duplicate}`).set(createAuthHeaders()).expect(404);
+
+    const { article } = (await request(app).get(`/api/articles/${keep}`).set(createAuthHeaders()).expect(200)).body;
+    expect(article.is_favorite).toBe(true);
+    expect(article.tags.map(tag => tag.name)).toEqual(['transport']);
+
+    const highlights = await request(app).get(`/api/articles/${keep}/highlights`).set(createAuthHeaders()).expect(200);
+    expect(highlights.body.highlights).toEqual([expect.objectContaining({ exact: 'quieter trams', is_orphaned: false })]);
+
+    expect(await listGroups()).toHaveLength(0);
+
+    // Saving the merged URL again updates the article kept
+    expect(await captureId('/b?utm_source=feed')).toBe(keep);
+  });
+
+  it('should reject merges of unknown articles or of an article into itself', async () => {
+    pages = { '/a': page(STORY) };
+    const keep = await captureId('/a');
+
+    await request(app)
+      .post('/api/articles/duplicates/merge')
+      .set(createAuthHeaders())
+      .send({ keep_id: keep, article_ids: [keep] })
+      .expect(400);
+
+    await request(app)
+      .post('/api/articles/duplicates/merge')
+      .set(createAuthHeaders())
+      .send({ keep_id: keep, article_ids: [99999] })
+      .expect(404);
+
+    await request(app).get(`/api/articles/${keep}`).set(createAuthHeaders()).expect(200);
+  });
+});
@@ -18,7 +18,8 @@ import {
   setupTestDatabase,
   cleanupTestDatabase,
   resetTestDatabase,
-  createAuthHeaders
+  createAuthHeaders,
+  waitForJob
 } from '../utils/testApp.js';
 
 describe('EPUB API Integration Tests', () => {
@@ -59,10 +60,11 @@ describe('EPUB API Integration Tests', () => {
           url: `https://example.com/epub-test-${timestamp}-${random}-${i}`
         });
 
-      if (response.status !== 201 || !response.body.article) {
-        throw new Error(`Failed to create test article ${i}: ${JSON.stringify(response.body)}`);
+      const job = response.status === 202 ? await waitForJob(app, response) : null;
+      if (job?.status !== 'completed') {
+        throw new Error(`Failed to create test article ${i}: ${JSON.stringify(job || response.body)}`);
       }
-      articleIds.push(response.body.article.id);
+      articleIds.push(job.result.article.id);
     }
 
     if (articleIds.length !== count) {
@@ -85,12 +87,16 @@ describe('EPUB API Integration Tests', () => {
           author: 'Test Author'
         });
 
-      expect([200, 201]).toContain(response.status);
-      expect(response.body).toHaveProperty('epub');
-      expect(response.body.epub).toHaveProperty('id');
-      expect(response.body.epub).toHaveProperty('filename');
-      expect(response.body.epub).toHaveProperty('articleCount', 1);
-      expect(response.body.epub).toHaveProperty('size');
+      expect(response.status).toBe(202);
+      expect(response.body.job).toHaveProperty('type', 'epub.generate');
+
+      const job = await waitForJob(app, response);
+      expect(job.status).toBe('completed');
+      expect(job.result).toHaveProperty('epub');
+      expect(job.result.epub).toHaveProperty('id');
+      expect(job.result.epub).toHaveProperty('filename');
+      expect(job.result.epub).toHaveProperty('articleCount', 1);
+      expect(job.result.epub).toHaveProperty('size');
     });
 
     it('should generate EPUB with multiple articles', async () => {
@@ -104,9 +110,13 @@ describe('EPUB API Integration Tests', () => {
           title: 'Multi-Article EPUB'
         });
 
-      expect([200, 201]).toContain(response.status);
-      expect(response.body).toHaveProperty('epub');
-      expect(response.body.epub).toHaveProperty('articleCount', 3);
+      expect(response.status).toBe(202);
+      expect(response.body.job).toHaveProperty('type', 'epub.generate');
+
+      const job = await waitForJob(app, response);
+      expect(job.status).toBe('completed');
+      expect(job.result).toHaveProperty('epub');
+      expect(job.result.epub).toHaveProperty('articleCount', 3);
     });
 
     it('should use default title when not provided', async () => {
@@ -119,11 +129,15 @@ describe('EPUB API Integration Tests', () => {
           articleIds: articleIds
         });
 
-      expect([200, 201]).toContain(response.status);
-      expect(response.body).toHaveProperty('epub');
+      expect(response.status).toBe(202);
+      expect(response.body.job).toHaveProperty('type', 'epub.generate');
+
+      const job = await waitForJob(app, response);
+      expect(job.status).toBe('completed');
+      expect(job.result).toHaveProperty('epub');
       // When title is not provided, it's undefined and omitted from response
       // The filename should use the default "bookmark-digest"
-      expect(response.body.epub.filename).toMatch(/^bookmark-digest-/);
+      expect(job.result.epub.filename).toMatch(/^bookmark-digest-/);
     });
 
     it('should require articleIds', async () => {
@@ -156,8 +170,8 @@ describe('EPUB API Integration Tests', () => {
           title: 'Test EPUB'
         });
 
-      // Backend returns 500 instead of 400 for this error case
-      expect([400, 500]).toContain(response.status);
+      expect(response.status).toBe(400);
+      expect(response.body.message).toMatch(/No valid articles/);
     });
 
     it('should limit article count to 100', async () => {
@@ -179,13 +193,14 @@ describe('EPUB API Integration Tests', () => {
     it('should return list of EPUB exports', async () => {
       const articleIds = await createTestArticles(1);
 
-      await request(app)
+      const epubResponse = await request(app)
         .post('/api/epub/generate')
         .set(createAuthHeaders())
         .send({
           articleIds: articleIds,
           title: 'List Test EPUB'
         });
+      await waitForJob(app, epubResponse);
 
       const response = await request(app)
         .get('/api/epub/exports')
@@ -209,13 +224,14 @@ describe('EPUB API Integration Tests', () => {
     it('should return exports with correct structure', async () => {
       const articleIds = await createTestArticles(1);
 
-      await request(app)
+      const epubResponse = await request(app)
         .post('/api/epub/generate')
         .set(createAuthHeaders())
         .send({
           articleIds: articleIds,
           title: 'Structure Test EPUB'
         });
+      await waitForJob(app, epubResponse);
 
       const response = await request(app)
         .get('/api/epub/exports')
@@ -248,7 +264,7 @@ describe('EPUB API Integration Tests', () => {
           title: 'Get Single Test EPUB'
         });
 
-      const exportId = epubResponse.body.epub.id;
+      const exportId = (await waitForJob(app, epubResponse)).result.epub.id;
 
       const response = await request(app)
         .get(`/api/epub/exports/${exportId}`)
@@ -283,7 +299,7 @@ describe('EPUB API Integration Tests', () => {
           title: 'Download Test EPUB'
         });
 
-      const exportId = epubResponse.body.epub.id;
+      const exportId = (await waitForJob(app, epubResponse)).result.epub.id;
 
       const response = await request(app)
         .get(`/api/epub/exports/${exportId}/download`)
@@ -316,7 +332,7 @@ describe('EPUB API Integration Tests', () => {
           title: 'Delete Test EPUB'
         });
 
-      const exportId = epubResponse.body.epub.id;
+      const exportId = (await waitForJob(app, epubResponse)).result.epub.id;
 
       const deleteResponse = await request(app)
         .delete(`/api/epub/exports/${exportId}`)
@@ -354,7 +370,7 @@ describe('EPUB API Integration Tests', () => {
           title: 'Kindle Test EPUB'
         });
 
-      const exportId = epubResponse.body.epub.id;
+      const exportId = (await waitForJob(app, epubResponse)).result.epub.id;
 
       const response = await request(app)
         .post(`/api/epub/exports/${exportId}/send-to-kindle`)
@@ -386,9 +402,13 @@ describe('EPUB API Integration Tests', () => {
           title: 'Test EPUB with Special Characters: <>&"\''
         });
 
-      expect([200, 201]).toContain(response.status);
-      expect(response.body).toHaveProperty('epub');
-      expect(response.body.epub).toHaveProperty('filename');
+      expect(response.status).toBe(202);
+      expect(response.body.job).toHaveProperty('type', 'epub.generate');
+
+      const job = await waitForJob(app, response);
+      expect(job.status).toBe('completed');
+      expect(job.result).toHaveProperty('epub');
+      expect(job.result.epub).toHaveProperty('filename');
     });
 
     it('should handle duplicate articles gracefully', async () => {
@@ -403,7 +423,11 @@ describe('EPUB API Integration Tests', () => {
           title: 'Duplicate Test EPUB'
         });
 
-      expect([200, 201]).toContain(response.status);
+      expect(response.status).toBe(202);
+
+      const job = await waitForJob(app, response);
+      expect(job.status).toBe('completed');
+      expect(job.result.epub).toHaveProperty('articleCount', 2);
     });
   });
 });
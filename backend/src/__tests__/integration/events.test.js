@@ -0,0 +1,211 @@
+// Set test ID before any imports to ensure unique database file
+process.env.TEST_ID = 'events';
+
+import { describe, it, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import http from 'http';
+import request from 'supertest';
+import {
+  createTestApp,
+  setupTestDatabase,
+  cleanupTestDatabase,
+  resetTestDatabase,
+  createAuthHeaders
+} from '../utils/testApp.js';
+import articleProcessor from '../../services/articleProcessor.js';
+import eventBus from '../../services/eventBus.js';
+import jobQueue from '../../services/jobQueue.js';
+import { BOOTSTRAP_USER_ID } from '../../services/userService.js';
+
+/**
+ * Open the event stream and collect parsed events
+ */
+function openStream(server, path = '/api/events') {
+  const { port } = server.address();
+  const events = [];
+  let buffer = '';
+  let waiters = [];
+
+  const check = () => {
+    waiters = waiters.filter(({ type, match, resolve }) => {
+      const event = events.find(e => e.type === type && match(e.data));
+      if (event) resolve(event);
+      return !event;
+    });
+  };
+
+  return new Promise((resolve, reject) => {
+    const req = http.get({ port, path, headers: createAuthHeaders() }, (res) => {
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+
+        for (const block of blocks) {
+          const fields = Object.fromEntries(
+            block.split('\n')
+              .filter(line => line && !line.startsWith(':'))
+              .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)])
+          );
+          if (fields.event) {
+            events.push({ id: fields.id, type: fields.event, data: JSON.parse(fields.data) });
+          }
+        }
+        check();
+      });
+
+      resolve({
+        res,
+        events,
+        waitFor: (type, match = () => true) => new Promise((resolveEvent) => {
+          waiters.push({ type, match, resolve: resolveEvent });
+          check();
+        }),
+        close: () => req.destroy()
+      });
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Wait for the server to notice connects and disconnects
+ * Counts are relative to the subscribers present before any stream opened.
+ */
+let baseSubscribers = 0;
+
+async function waitForSubscribers(streams) {
+  const count = baseSubscribers + streams;
+  for (let i = 0; i < 50 && eventBus.subscriberCount() !== count; i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return eventBus.subscriberCount() - baseSubscribers;
+}
+
+describe('Events API Integration Tests', () => {
+  let app;
+  let server;
+  let stream;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+    baseSubscribers = eventBus.subscriberCount();
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    cleanupTestDatabase();
+  });
+
+  afterEach(async () => {
+    stream?.close();
+    stream = null;
+    await waitForSubscribers(0);
+    await resetTestDatabase();
+  });
+
+  function saveArticle(url = 'https://example.com/live') {
+    return articleProcessor.saveArticle(BOOTSTRAP_USER_ID, {
+      url,
+      originalUrl: url,
+      title: 'Live Article',
+      contentHtml: '<p>Live content</p>',
+      contentText: 'Live content',
+      excerpt: 'Live content',
+      wordCount: 2,
+      readingTimeMinutes: 1,
+      language: 'en',
+      hasImages: false,
+      imageCount: 0
+    });
+  }
+
+  it('should require an API key', async () => {
+    const response = await request(app)
+      .get('/api/events')
+      .expect(401);
+
+    expect(response.body.error).toBe('Unauthorized');
+  });
+
+  it('should accept the API key as a query parameter', async () => {
+    const { port } = server.address();
+    const apiKey = createAuthHeaders()['X-API-Key'];
+
+    const res = await new Promise((resolve, reject) => {
+      const req = http.get({ port, path: `/api/events?api_key=${apiKey}` }, resolve);
+      req.on('error', reject);
+      stream = { close: () => req.destroy() };
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+  });
+
+  it('should stream article created, updated and deleted events', async () => {
+    stream = await openStream(server);
+
+    const articleId = await saveArticle();
+    const created = await stream.waitFor('article.created');
+    expect(created.data).toEqual({ id: articleId, title: 'Live Article' });
+
+    await request(app)
+      .put(`/api/articles/${articleId}`)
+      .set(createAuthHeaders())
+      .send({ is_favorite: true })
+      .expect(200);
+    const updated = await stream.waitFor('article.updated');
+    expect(updated.data).toEqual({ id: articleId });
+
+    await request(app)
+      .delete(`/api/articles/${articleId}`)
+      .set(createAuthHeaders())
+      .expect(200);
+    const deleted = await stream.waitFor('article.deleted');
+    expect(deleted.data).toEqual({ id: articleId });
+
+    expect(stream.events.map(e => e.type)).toEqual(['article.created', 'article.updated', 'article.deleted']);
+  });
+
+  it('should report a re-capture as an update', async () => {
+    await saveArticle();
+    stream = await openStream(server);
+
+    await saveArticle();
+
+    await stream.waitFor('article.updated');
+    expect(stream.events.map(e => e.type)).toEqual(['article.updated']);
+  });
+
+  it('should stream job progress', async () => {
+    jobQueue.register('test.stream', async (payload, { progress }) => {
+      progress('Halfway');
+      return { done: true };
+    });
+    stream = await openStream(server);
+
+    const queued = jobQueue.enqueue('test.stream', {}, { userId: BOOTSTRAP_USER_ID });
+    await jobQueue.drain();
+    await stream.waitFor('job.updated', job => job.status === 'completed');
+
+    const updates = stream.events.filter(e => e.type === 'job.updated' && e.data.id === queued.id);
+    expect(updates.map(e => [e.data.status, e.data.progress])).toEqual([
+      ['running', null],
+      ['running', 'Halfway'],
+      ['completed', null]
+    ]);
+    expect(updates[2].data.result).toEqual({ done: true });
+  });
+
+  it('should unsubscribe when the client disconnects', async () => {
+    stream = await openStream(server);
+    expect(await waitForSubscribers(1)).toBe(1);
+
+    stream.close();
+    expect(await waitForSubscribers(0)).toBe(0);
+  });
+});
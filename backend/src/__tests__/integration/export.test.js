@@ -0,0 +1,294 @@
+// Set test ID before any imports to ensure unique database file
+process.env.TEST_ID = 'export';
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import AdmZip from 'adm-zip';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  createTestApp,
+  setupTestDatabase,
+  cleanupTestDatabase,
+  resetTestDatabase,
+  createAuthHeaders
+} from '../utils/testApp.js';
+import { getConnection } from '../../database/index.js';
+import articleProcessor from '../../services/articleProcessor.js';
+import highlightService from '../../services/highlightService.js';
+import imageHandler from '../../services/imageHandler.js';
+import epubGenerator from '../../services/epubGenerator.js';
+import tagService from '../../services/tagService.js';
+import { BOOTSTRAP_USER_ID } from '../../services/userService.js';
+
+const IMAGE_BYTES = Buffer.from('not really a jpeg');
+const EPUB_BYTES = Buffer.from('not really an epub');
+
+/**
+ * Collect a binary response body into a Buffer
+ */
+function binaryParser(res, callback) {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+describe('Library Export API Integration Tests', () => {
+  let app;
+  let imagesDir;
+  let originalImagesDir;
+  let epubDir;
+  let originalEpubDir;
+  let articleId;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+
+    // Keep bundled and restored images out of backend/images
+    originalImagesDir = imageHandler.baseImagesDir;
+    imagesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'library-export-'));
+    imageHandler.baseImagesDir = imagesDir;
+
+    originalEpubDir = epubGenerator.outputDir;
+    epubDir = fs.mkdtempSync(path.join(os.tmpdir(), 'library-export-epubs-'));
+    epubGenerator.outputDir = epubDir;
+  });
+
+  afterAll(() => {
+    imageHandler.baseImagesDir = originalImagesDir;
+    epubGenerator.outputDir = originalEpubDir;
+    fs.rmSync(imagesDir, { recursive: true, force: true });
+    fs.rmSync(epubDir, { recursive: true, force: true });
+    cleanupTestDatabase();
+  });
+
+  beforeEach(async () => {
+    fs.mkdirSync(path.join(imagesDir, 'exported-article'), { recursive: true });
+    fs.writeFileSync(path.join(imagesDir, 'exported-article', 'image-0.jpg'), IMAGE_BYTES);
+
+    articleId = await articleProcessor.saveArticle(BOOTSTRAP_USER_ID, {
+      url: 'https://example.com/exported',
+      originalUrl: 'https://example.com/exported',
+      title: 'Exported Article',
+      contentHtml: '<p>The quick brown fox jumps over the lazy dog.</p><p><img src="/images/exported-article/image-0.jpg" alt="Fox"></p><p><img src="/images/exported-article/gone.jpg" alt="Gone"></p>',
+      contentText: 'The quick brown fox jumps over the lazy dog.',
+      excerpt: 'The quick brown fox',
+      author: 'Jane Writer',
+      siteName: 'Example',
+      wordCount: 9,
+      readingTimeMinutes: 1,
+      language: 'en',
+      hasImages: true,
+      imageCount: 2,
+      images: [
+        { originalUrl: 'https://example.com/fox.jpg', localPath: '/images/exported-article/image-0.jpg', altText: 'Fox' },
+        { originalUrl: 'https://example.com/gone.jpg', localPath: '/images/exported-article/gone.jpg', altText: 'Gone' }
+      ]
+    });
+
+    tagService.setArticleTags(BOOTSTRAP_USER_ID, articleId, ['animals', 'classics']);
+    highlightService.createHighlight(articleId, { exact: 'lazy dog', note: 'Poor dog', color: 'green' });
+
+    const epubPath = path.join(epubDir, 'weekly.epub');
+    fs.writeFileSync(epubPath, EPUB_BYTES);
+
+    const db = getConnection();
+    const exportId = db.prepare(`
+      INSERT INTO epub_exports (name, article_count, file_path, file_size) VALUES (?, 1, ?, 1234)
+    `).run('Weekly Digest', epubPath).lastInsertRowid;
+    db.prepare('INSERT INTO epub_export_articles (export_id, article_id) VALUES (?, ?)').run(exportId, articleId);
+  });
+
+  afterEach(async () => {
+    await resetTestDatabase();
+    fs.rmSync(path.join(imagesDir, 'exported-article'), { recursive: true, force: true });
+    for (const file of fs.readdirSync(epubDir)) {
+      fs.rmSync(path.join(epubDir, file));
+    }
+  });
+
+  async function downloadArchive() {
+    const response = await request(app)
+      .get('/api/export/library')
+      .set(createAuthHeaders())
+      .buffer(true)
+      .parse(binaryParser)
+      .expect(200);
+
+    return { response, zip: new AdmZip(response.body) };
+  }
+
+  function restoreArchive(buffer) {
+    return request(app)
+      .post('/api/export/library/restore')
+      .set('X-API-Key', createAuthHeaders()['X-API-Key'])
+      .set('Content-Type', 'application/zip')
+      .send(buffer);
+  }
+
+  describe('GET /api/export/library', () => {
+    it('should stream a zip with manifest, HTML, Markdown and images', async () => {
+      const { response, zip } = await downloadArchive();
+
+      expect(response.headers['content-type']).toBe('application/zip');
+      expect(response.headers['content-disposition']).toMatch(/bookmark-digest-library-\d{4}-\d{2}-\d{2}\.zip/);
+
+      const manifest = JSON.parse(zip.readAsText('manifest.json'));
+      expect(manifest.format).toBe('bookmark-digest-library');
+      expect(manifest.version).toBe(1);
+      expect(manifest.articles).toHaveLength(1);
+      expect(manifest.article_images).toHaveLength(2);
+      expect(manifest.epub_exports).toHaveLength(1);
+
+      const [article] = manifest.articles;
+      expect(article.title).toBe('Exported Article');
+      expect(article.content_html).toBeUndefined();
+      expect(article.tags).toEqual(['animals', 'classics']);
+      expect(article.highlights).toHaveLength(1);
+      expect(article.highlights[0]).toMatchObject({ exact: 'lazy dog', note: 'Poor dog', color: 'green' });
+      expect(article.files.html).toBe(`articles/${articleId}-exported-article.html`);
+      expect(manifest.epub_exports[0].article_ids).toEqual([articleId]);
+      expect(manifest.epub_exports[0].file_path).toBeUndefined();
+
+      expect(zip.getEntry('images/exported-article/image-0.jpg').getData()).toEqual(IMAGE_BYTES);
+      expect(zip.getEntry(manifest.epub_exports[0].file).getData()).toEqual(EPUB_BYTES);
+    });
+
+    it('should rewrite image references to the bundled files', async () => {
+      const { zip } = await downloadArchive();
+      const manifest = JSON.parse(zip.readAsText('manifest.json'));
+
+      const html = zip.readAsText(manifest.articles[0].files.html);
+      expect(html).toContain('<title>Exported Article</title>');
+      expect(html).toContain('src="../images/exported-article/image-0.jpg"');
+      // Images missing from disk point back at the original URL
+      expect(html).toContain('src="https://example.com/gone.jpg"');
+
+      const missing = manifest.article_images.find(image => image.local_path.endsWith('gone.jpg'));
+      expect(missing.file).toBeNull();
+    });
+
+    it('should include a Markdown version of each article', async () => {
+      const { zip } = await downloadArchive();
+      const manifest = JSON.parse(zip.readAsText('manifest.json'));
+
+      const markdown = zip.readAsText(manifest.articles[0].files.markdown);
+      expect(markdown).toMatch(/^# Exported Article/);
+      expect(markdown).toContain('Source: <https://example.com/exported>');
+      expect(markdown).toContain('The quick brown fox jumps over the lazy dog.');
+      expect(markdown).toContain('![Fox](../images/exported-article/image-0.jpg)');
+    });
+  });
+
+  describe('POST /api/export/library/restore', () => {
+    it('should refuse to restore into a library that has articles', async () => {
+      const { response } = await downloadArchive();
+
+      const restore = await restoreArchive(response.body).expect(409);
+      expect(restore.body.error).toBe('Conflict');
+    });
+
+    it('should restore an archive into an empty instance', async () => {
+      const { response } = await downloadArchive();
+      await resetTestDatabase();
+      fs.rmSync(path.join(imagesDir, 'exported-article'), { recursive: true, force: true });
+      fs.rmSync(path.join(epubDir, 'weekly.epub'));
+
+      const restore = await restoreArchive(response.body).expect(200);
+      expect(restore.body.restored).toEqual({ articles: 1, images: 1, epubExports: 1 });
+
+      const db = getConnection();
+      const article = db.prepare('SELECT * FROM articles WHERE id = ?').get(articleId);
+      expect(article.title).toBe('Exported Article');
+      expect(article.author).toBe('Jane Writer');
+      expect(article.content_text).toBe('The quick brown fox jumps over the lazy dog.');
+      expect(article.content_html).toContain('src="/images/exported-article/image-0.jpg"');
+
+      const tags = tagService.getTagsForArticles([articleId]).get(articleId).map(tag => tag.name);
+      expect(tags).toEqual(['animals', 'classics']);
+
+      const highlights = highlightService.listHighlights(articleId);
+      expect(highlights).toHaveLength(1);
+      expect(highlights[0]).toMatchObject({ exact: 'lazy dog', note: 'Poor dog' });
+
+      expect(db.prepare('SELECT COUNT(*) as count FROM article_images').get().count).toBe(2);
+      expect(db.prepare('SELECT article_id FROM epub_export_articles').all()).toEqual([{ article_id: articleId }]);
+
+      const { file_path: epubPath } = db.prepare('SELECT file_path FROM epub_exports').get();
+      expect(path.dirname(epubPath)).toBe(epubDir);
+      expect(fs.readFileSync(epubPath)).toEqual(EPUB_BYTES);
+
+      const restoredImage = fs.readFileSync(path.join(imagesDir, 'exported-article', 'image-0.jpg'));
+      expect(restoredImage).toEqual(IMAGE_BYTES);
+
+      // Restored articles are searchable again
+      const search = await request(app)
+        .get('/api/articles?search=fox')
+        .set(createAuthHeaders())
+        .expect(200);
+      expect(search.body.data.articles.map(a => a.id)).toEqual([articleId]);
+    });
+
+    it('should reject something that is not a zip archive', async () => {
+      await resetTestDatabase();
+
+      const response = await restoreArchive(Buffer.from('definitely not a zip')).expect(400);
+      expect(response.body.message).toMatch(/Invalid zip archive/);
+    });
+
+    it('should reject a zip without a library manifest', async () => {
+      await resetTestDatabase();
+
+      const zip = new AdmZip();
+      zip.addFile('notes.txt', Buffer.from('hello'));
+
+      const response = await restoreArchive(zip.toBuffer()).expect(400);
+      expect(response.body.message).toMatch(/manifest\.json/);
+    });
+
+    it('should not write images outside the images directory', async () => {
+      await resetTestDatabase();
+
+      const zip = new AdmZip();
+      zip.addFile('manifest.json', Buffer.from(JSON.stringify({
+        format: 'bookmark-digest-library',
+        version: 1,
+        articles: [{ id: 1, url: 'https://example.com/evil', title: 'Evil', files: { html: 'articles/1-evil.html' } }],
+        article_images: [{ id: 1, article_id: 1, original_url: 'x', local_path: '/images/x.jpg', file: 'images/../../escaped.jpg' }],
+        epub_exports: []
+      })));
+      zip.addFile('articles/1-evil.html', Buffer.from('<article><p>Evil</p></article>'));
+      zip.addFile('images/../../escaped.jpg', Buffer.from('nope'));
+
+      const response = await restoreArchive(zip.toBuffer()).expect(200);
+      expect(response.body.restored.images).toBe(0);
+      expect(fs.existsSync(path.join(imagesDir, '..', 'escaped.jpg'))).toBe(false);
+    });
+
+    it('should only restore exports bundled with their file, at a path of its own', async () => {
+      await resetTestDatabase();
+
+      const zip = new AdmZip();
+      zip.addFile('manifest.json', Buffer.from(JSON.stringify({
+        format: 'bookmark-digest-library',
+        version: 1,
+        articles: [],
+        article_images: [],
+        epub_exports: [
+          { id: 1, name: 'Secrets', article_count: 1, file_path: '/etc/passwd', file_size: 1, article_ids: [] },
+          { id: 2, name: 'Env', article_count: 1, file_path: '../../.env', file_size: 1, file: 'epubs/2.epub', article_ids: [] }
+        ]
+      })));
+      zip.addFile('epubs/2.epub', EPUB_BYTES);
+
+      const response = await restoreArchive(zip.toBuffer()).expect(200);
+      expect(response.body.restored.epubExports).toBe(1);
+
+      const rows = getConnection().prepare('SELECT id, file_path FROM epub_exports').all();
+      expect(rows).toEqual([{ id: 2, file_path: path.join(epubDir, 'restored-2.epub') }]);
+      expect(fs.readFileSync(rows[0].file_path)).toEqual(EPUB_BYTES);
+    });
+  });
+});
@@ -0,0 +1,225 @@
+// Set test ID before any imports to ensure unique database file
+process.env.TEST_ID = 'failed-captures';
+// The fixture server listens on loopback, which outbound requests refuse by default
+process.env.OUTBOUND_ALLOWLIST = '127.0.0.1';
+
+import { describe, it, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import request from 'supertest';
+import http from 'http';
+import {
+  createTestApp,
+  setupTestDatabase,
+  cleanupTestDatabase,
+  resetTestDatabase,
+  createAuthHeaders,
+  waitForJob
+} from '../utils/testApp.js';
+import { getConnection } from '../../database/index.js';
+
+const STORY = 'The harbour reopened this morning after three days of storms kept the fishing fleet in port. Crews spent the afternoon repairing nets and checking engines before the evening tide.';
+
+function page(body) {
+  return `<html><head><title>Harbour</title></head><body>${body}</body></html>`;
+}
+
+const READABLE = page(`<article><h1>Harbour</h1><p>${STORY}</p><p>${STORY}</p></article>`);
+// Revealed by a script in a browser; Readability skips hidden content
+const HIDDEN = page(`<main><nav hidden><a href="/">Home</a></nav><div hidden><p>${STORY}</p><p>${STORY}</p></div></main>`);
+const EMPTY = page('<script>render()</script>');
+
+describe('Failed Captures Integration Tests', () => {
+  let app;
+  let server;
+  let baseUrl;
+  let pages;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+
+    server = http.createServer((req, res) => {
+      if (pages[req.url]) {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(pages[req.url]);
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    cleanupTestDatabase();
+  });
+
+  afterEach(async () => {
+    await resetTestDatabase();
+  });
+
+  async function capture(path, html) {
+    pages = { [path]: html };
+    const response = await request(app)
+      .post('/api/articles/from-url')
+      .set(createAuthHeaders())
+      .send({ url: `${baseUrl}${path}` })
+      .expect(202);
+
+    return waitForJob(app, response);
+  }
+
+  async function failedCapture(path, html) {
+    const job = await capture(path, html);
+    expect(job.status).toBe('failed');
+    return getConnection().prepare('SELECT id FROM articles WHERE url = ?').get(`${baseUrl}${path}`).id;
+  }
+
+  async function listFailed() {
+    const response = await request(app)
+      .get('/api/failed-captures')
+      .set(createAuthHeaders())
+      .expect(200);
+    return response.body.failed_captures;
+  }
+
+  async function retry(id, body = {}) {
+    const response = await request(app)
+      .post(`/api/failed-captures/${id}/retry`)
+      .set(createAuthHeaders())
+      .send(body)
+      .expect(202);
+    return waitForJob(app, response);
+  }
+
+  it('should list failed captures with the error and keep the whole page', async () => {
+    const id = await failedCapture('/hidden', HIDDEN);
+
+    expect(await listFailed()).toEqual([expect.objectContaining({
+      id,
+      url: `${baseUrl}/hidden`,
+      capture_error: 'Readability extraction failed - content could not be extracted',
+      html_size: HIDDEN.length
+    })]);
+
+    const list = await request(app).get('/api/articles').set(createAuthHeaders()).expect(200);
+    expect(list.body.data.articles).toHaveLength(0);
+
+    const stats = await request(app).get('/api/articles/stats').set(createAuthHeaders()).expect(200);
+    expect(stats.body).toMatchObject({ total_articles: 0, failed_captures: 1 });
+
+    const article = await request(app).get(`/api/articles/${id}`).set(createAuthHeaders()).expect(200);
+    expect(article.body.article.snapshot).toMatchObject({ pages: 1, size_bytes: HIDDEN.length });
+  });
+
+  it('should retry the kept HTML with relaxed extraction', async () => {
+    const id = await failedCapture('/hidden', HIDDEN);
+    pages = {};
+
+    const job = await retry(id);
+    expect(job.status).toBe('completed');
+    expect(job.result.article).toMatchObject({ id, title: 'Harbour' });
+
+    const { article } = (await request(app).get(`/api/articles/${id}`).set(createAuthHeaders()).expect(200)).body;
+    expect(article).toMatchObject({ capture_success: 1, capture_error: null });
+    expect(article.content_text).toContain('The harbour reopened');
+    expect(article.content_text).not.toContain('Home');
+
+    // The page it was extracted from stays as the article's snapshot
+    expect(article.snapshot).toMatchObject({ pages: 1, size_bytes: HIDDEN.length });
+    expect(await listFailed()).toHaveLength(0);
+  });
+
+  it('should keep the capture listed when the retry fails too', async () => {
+    const id = await failedCapture('/empty', EMPTY);
+
+    const job = await retry(id);
+    expect(job.status).toBe('failed');
+    expect(job.error).toMatch(/^Failed to process article/);
+    expect(await listFailed()).toEqual([expect.objectContaining({ id, html_size: EMPTY.length })]);
+  });
+
+  it('should fetch the page again when asked', async () => {
+    const id = await failedCapture('/later', EMPTY);
+    pages['/later'] = READABLE;
+
+    const job = await retry(id, { refetch: true });
+    expect(job.status).toBe('completed');
+    expect(await listFailed()).toHaveLength(0);
+  });
+
+  it('should save content supplied by hand', async () => {
+    const id = await failedCapture('/empty', EMPTY);
+
+    const response = await request(app)
+      .put(`/api/failed-captures/${id}/content`)
+      .set(createAuthHeaders())
+      .send({ title: 'Harbour reopens', text: `${STORY}\n\nSecond paragraph.` })
+      .expect(202);
+
+    const job = await waitForJob(app, response);
+    expect(job.status).toBe('completed');
+
+    const { article } = (await request(app).get(`/api/articles/${id}`).set(createAuthHeaders()).expect(200)).body;
+    expect(article).toMatchObject({ title: 'Harbour reopens', capture_success: 1, excerpt: STORY });
+    expect(article.content_html).toContain('<p>Second paragraph.</p>');
+    expect(article.word_count).toBeGreaterThan(20);
+  });
+
+  it('should sanitize HTML supplied by hand', async () => {
+    const id = await failedCapture('/empty', EMPTY);
+
+    const response = await request(app)
+      .put(`/api/failed-captures/${id}/content`)
+      .set(createAuthHeaders())
+      .send({ html: `<h1>Harbour</h1><script>alert(1)</script><p onclick="steal()">${STORY}</p>` })
+      .expect(202);
+    expect((await waitForJob(app, response)).status).toBe('completed');
+
+    const { article } = (await request(app).get(`/api/articles/${id}`).set(createAuthHeaders()).expect(200)).body;
+    expect(article.title).toBe('Harbour');
+    expect(article.content_html).not.toMatch(/script|onclick/);
+    expect(article.content_text).not.toContain('alert');
+  });
+
+  it('should not let a failed capture replace a saved article', async () => {
+    const saved = await capture('/story', READABLE);
+    expect(saved.status).toBe('completed');
+
+    const failed = await capture('/story', EMPTY);
+    expect(failed.status).toBe('failed');
+
+    const { article } = (await request(app).get(`/api/articles/${saved.result.article.id}`).set(createAuthHeaders()).expect(200)).body;
+    expect(article.capture_success).toBe(1);
+    expect(article.content_text).toContain('The harbour reopened');
+    expect(await listFailed()).toHaveLength(0);
+  });
+
+  it('should discard failed captures, and only failed ones', async () => {
+    const id = await failedCapture('/empty', EMPTY);
+    const saved = await capture('/story', READABLE);
+
+    await request(app)
+      .delete(`/api/failed-captures/${saved.result.article.id}`)
+      .set(createAuthHeaders())
+      .expect(404);
+
+    await request(app)
+      .put(`/api/failed-captures/${id}/content`)
+      .set(createAuthHeaders())
+      .send({ title: 'Nothing else' })
+      .expect(400);
+
+    await request(app)
+      .delete(`/api/failed-captures/${id}`)
+      .set(createAuthHeaders())
+      .expect(200);
+
+    expect(await listFailed()).toHaveLength(0);
+    await request(app)
+      .post(`/api/failed-captures/${id}/retry`)
+      .set(createAuthHeaders())
+      .expect(404);
+  });
+});
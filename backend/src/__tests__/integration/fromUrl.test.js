@@ -0,0 +1,202 @@
+// Set test ID before any imports to ensure unique database file
+process.env.TEST_ID = 'from-url';
+// The fixture server listens on loopback, which outbound requests refuse by default
+process.env.OUTBOUND_ALLOWLIST = '127.0.0.1';
+
+import { describe, it, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import request from 'supertest';
+import http from 'http';
+import {
+  createTestApp,
+  setupTestDatabase,
+  cleanupTestDatabase,
+  resetTestDatabase,
+  createAuthHeaders,
+  waitForJob
+} from '../utils/testApp.js';
+
+const ARTICLE_HTML = `<html><head><title>Fixture Article</title></head><body><article><h1>Fixture Article</h1><p>This page is served by a local fixture server. Lorem ipsum dolor sit amet, consectetur adipiscing elit. Sed do eiusmod tempor incididunt ut labore et dolore magna aliqua. Ut enim ad minim veniam, quis nostrud exercitation ullamco laboris nisi ut aliquip ex ea commodo consequat.</p><p>Duis aute irure dolor in reprehenderit in voluptate velit esse cillum dolore eu fugiat nulla pariatur. Excepteur sint occaecat cupidatat non proident.</p></article></body></html>`;
+
+/**
+ * Local HTTP server with fixture pages
+ */
+function createFixtureServer() {
+  return http.createServer((req, res) => {
+    switch (req.url) {
+      case '/article':
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(ARTICLE_HTML);
+        break;
+      case '/short':
+        res.writeHead(301, { Location: '/hop' });
+        res.end();
+        break;
+      case '/hop':
+        res.writeHead(302, { Location: '/article' });
+        res.end();
+        break;
+      case '/loop':
+        res.writeHead(302, { Location: '/loop' });
+        res.end();
+        break;
+      case '/huge':
+        // No content-length: the cap must be enforced while streaming
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.write('<html><body>');
+        for (let i = 0; i < 12; i++) {
+          res.write('a'.repeat(1024 * 1024));
+        }
+        res.end('</body></html>');
+        break;
+      case '/metadata':
+        res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+        res.end();
+        break;
+      case '/image':
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        res.end(Buffer.alloc(16));
+        break;
+      default:
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+    }
+  });
+}
+
+describe('Articles from URL Integration Tests', () => {
+  let app;
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+
+    server = createFixtureServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    cleanupTestDatabase();
+  });
+
+  afterEach(async () => {
+    await resetTestDatabase();
+  });
+
+  it('should fetch and save an article', async () => {
+    const response = await request(app)
+      .post('/api/articles/from-url')
+      .set(createAuthHeaders())
+      .send({ url: `${baseUrl}/article` });
+
+    expect(response.status).toBe(202);
+    expect(response.body.job.type).toBe('article.capture_url');
+
+    const job = await waitForJob(app, response);
+    expect(job.status).toBe('completed');
+    expect(job.result.article).toHaveProperty('id');
+    expect(job.result.article.title).toBe('Fixture Article');
+    expect(job.result.article.url).toBe(`${baseUrl}/article`);
+  });
+
+  it('should record final URL and keep the submitted one as original_url', async () => {
+    const response = await request(app)
+      .post('/api/articles/from-url')
+      .set(createAuthHeaders())
+      .send({ url: `${baseUrl}/short` });
+
+    expect(response.status).toBe(202);
+    const job = await waitForJob(app, response);
+
+    const articleResponse = await request(app)
+      .get(`/api/articles/${job.result.article.id}`)
+      .set(createAuthHeaders());
+
+    expect(articleResponse.body.article.url).toBe(`${baseUrl}/article`);
+    expect(articleResponse.body.article.original_url).toBe(`${baseUrl}/short`);
+  });
+
+  it('should stop after too many redirects', async () => {
+    const response = await request(app)
+      .post('/api/articles/from-url')
+      .set(createAuthHeaders())
+      .send({ url: `${baseUrl}/loop` });
+
+    expect(response.status).toBe(202);
+
+    const job = await waitForJob(app, response);
+    expect(job.status).toBe('failed');
+    expect(job.attempts).toBe(1);
+    expect(job.error).toContain('Too many redirects');
+  });
+
+  it('should reject pages exceeding the size cap', async () => {
+    const response = await request(app)
+      .post('/api/articles/from-url')
+      .set(createAuthHeaders())
+      .send({ url: `${baseUrl}/huge` });
+
+    expect(response.status).toBe(202);
+
+    const job = await waitForJob(app, response);
+    expect(job.status).toBe('failed');
+    expect(job.attempts).toBe(1);
+    expect(job.error).toContain('Page too large');
+  });
+
+  it('should reject non-HTML responses', async () => {
+    const response = await request(app)
+      .post('/api/articles/from-url')
+      .set(createAuthHeaders())
+      .send({ url: `${baseUrl}/image` });
+
+    expect(response.status).toBe(202);
+
+    const job = await waitForJob(app, response);
+    expect(job.status).toBe('failed');
+    expect(job.attempts).toBe(1);
+    expect(job.error).toContain('Unsupported content type');
+  });
+
+  it('should refuse private addresses, including behind a redirect', async () => {
+    for (const url of ['http://169.254.169.254/latest/meta-data/', 'http://[::1]/', `${baseUrl}/metadata`]) {
+      const response = await request(app)
+        .post('/api/articles/from-url')
+        .set(createAuthHeaders())
+        .send({ url });
+
+      expect(response.status).toBe(202);
+
+      const job = await waitForJob(app, response);
+      expect(job.status).toBe('failed');
+      expect(job.attempts).toBe(1);
+      expect(job.error).toContain('Blocked request');
+    }
+  });
+
+  it('should report upstream HTTP errors', async () => {
+    const response = await request(app)
+      .post('/api/articles/from-url')
+      .set(createAuthHeaders())
+      .send({ url: `${baseUrl}/missing` });
+
+    expect(response.status).toBe(202);
+
+    const job = await waitForJob(app, response);
+    expect(job.status).toBe('failed');
+    expect(job.attempts).toBe(1);
+    expect(job.error).toContain('HTTP 404');
+  });
+
+  it('should require a valid URL', async () => {
+    const response = await request(app)
+      .post('/api/articles/from-url')
+      .set(createAuthHeaders())
+      .send({ url: 'not-a-url' });
+
+    expect(response.status).toBe(400);
+  });
+});
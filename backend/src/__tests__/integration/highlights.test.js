@@ -0,0 +1,218 @@
+// Set test ID before any imports to ensure unique database file
+process.env.TEST_ID = 'highlights';
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import {
+  createTestApp,
+  setupTestDatabase,
+  cleanupTestDatabase,
+  resetTestDatabase,
+  createAuthHeaders,
+  waitForJob
+} from '../utils/testApp.js';
+
+const ARTICLE_URL = 'https://example.com/highlights';
+
+function articleHtml(paragraphs) {
+  const body = paragraphs.map(p => `<p>${p}</p>`).join('');
+  return `<html><body><article><h1>Highlight Article</h1>${body}</article></body></html>`;
+}
+
+const ORIGINAL = [
+  'The quick brown fox jumps over the lazy dog near the river bank.',
+  'Foxes are known for their cunning and adaptability in many habitats.'
+];
+
+describe('Highlights API Integration Tests', () => {
+  let app;
+  let articleId;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+  });
+
+  afterAll(() => {
+    cleanupTestDatabase();
+  });
+
+  beforeEach(async () => {
+    const job = await saveArticle(ORIGINAL);
+    articleId = job.result.article.id;
+  });
+
+  afterEach(async () => {
+    await resetTestDatabase();
+  });
+
+  async function saveArticle(paragraphs) {
+    const response = await request(app)
+      .post('/api/articles')
+      .set(createAuthHeaders())
+      .send({ html: articleHtml(paragraphs), url: ARTICLE_URL });
+    return waitForJob(app, response);
+  }
+
+  function createHighlight(data) {
+    return request(app)
+      .post(`/api/articles/${articleId}/highlights`)
+      .set(createAuthHeaders())
+      .send(data);
+  }
+
+  async function listHighlights() {
+    const response = await request(app)
+      .get(`/api/articles/${articleId}/highlights`)
+      .set(createAuthHeaders());
+    return response.body.highlights;
+  }
+
+  describe('POST /api/articles/:id/highlights', () => {
+    it('should create a highlight anchored in the article text', async () => {
+      const response = await createHighlight({
+        exact: 'cunning and adaptability',
+        prefix: 'known for their ',
+        suffix: ' in many',
+        note: 'Worth remembering',
+        color: 'green'
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.highlight).toMatchObject({
+        article_id: articleId,
+        exact: 'cunning and adaptability',
+        note: 'Worth remembering',
+        color: 'green',
+        is_orphaned: false
+      });
+
+      const article = await request(app)
+        .get(`/api/articles/${articleId}`)
+        .set(createAuthHeaders());
+      const { start_offset: start, end_offset: end } = response.body.highlight;
+      expect(article.body.article.content_text.slice(start, end)).toBe('cunning and adaptability');
+    });
+
+    it('should default to yellow', async () => {
+      const response = await createHighlight({ exact: 'lazy dog' });
+      expect(response.body.highlight.color).toBe('yellow');
+    });
+
+    it('should reject quotes that are not in the article', async () => {
+      const response = await createHighlight({ exact: 'not in the article' });
+      expect(response.status).toBe(422);
+    });
+
+    it('should reject invalid colors', async () => {
+      const response = await createHighlight({ exact: 'lazy dog', color: 'orange' });
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 404 for missing article', async () => {
+      const response = await request(app)
+        .post('/api/articles/99999/highlights')
+        .set(createAuthHeaders())
+        .send({ exact: 'lazy dog' });
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/articles/:id/highlights', () => {
+    it('should list highlights in reading order', async () => {
+      await createHighlight({ exact: 'cunning' });
+      await createHighlight({ exact: 'quick brown fox' });
+
+      const highlights = await listHighlights();
+      expect(highlights.map(h => h.exact)).toEqual(['quick brown fox', 'cunning']);
+    });
+  });
+
+  describe('PUT /api/articles/:id/highlights/:highlightId', () => {
+    it('should update note and color', async () => {
+      const created = await createHighlight({ exact: 'lazy dog' });
+
+      const response = await request(app)
+        .put(`/api/articles/${articleId}/highlights/${created.body.highlight.id}`)
+        .set(createAuthHeaders())
+        .send({ note: 'Classic pangram', color: 'pink' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.highlight.note).toBe('Classic pangram');
+      expect(response.body.highlight.color).toBe('pink');
+    });
+
+    it('should return 404 for a highlight on another article', async () => {
+      const created = await createHighlight({ exact: 'lazy dog' });
+      const other = await request(app)
+        .post('/api/articles')
+        .set(createAuthHeaders())
+        .send({ html: articleHtml(ORIGINAL), url: 'https://example.com/other' });
+      const otherId = (await waitForJob(app, other)).result.article.id;
+
+      const response = await request(app)
+        .put(`/api/articles/${otherId}/highlights/${created.body.highlight.id}`)
+        .set(createAuthHeaders())
+        .send({ note: 'Nope' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /api/articles/:id/highlights/:highlightId', () => {
+    it('should delete a highlight', async () => {
+      const created = await createHighlight({ exact: 'lazy dog' });
+
+      const response = await request(app)
+        .delete(`/api/articles/${articleId}/highlights/${created.body.highlight.id}`)
+        .set(createAuthHeaders());
+
+      expect(response.status).toBe(200);
+      expect(await listHighlights()).toHaveLength(0);
+    });
+
+    it('should remove highlights with their article', async () => {
+      await createHighlight({ exact: 'lazy dog' });
+      await request(app)
+        .delete(`/api/articles/${articleId}`)
+        .set(createAuthHeaders());
+
+      const response = await request(app)
+        .get(`/api/articles/${articleId}/highlights`)
+        .set(createAuthHeaders());
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Re-capture', () => {
+    it('should re-anchor highlights when the quoted text still exists', async () => {
+      await createHighlight({ exact: 'cunning and adaptability', note: 'Keep me' });
+
+      const recaptured = await saveArticle([
+        'An updated introduction was added to this article by the editors.',
+        ...ORIGINAL
+      ]);
+      expect(recaptured.result.article.id).toBe(articleId);
+
+      const [highlight] = await listHighlights();
+      expect(highlight.is_orphaned).toBe(false);
+      expect(highlight.note).toBe('Keep me');
+
+      const article = await request(app)
+        .get(`/api/articles/${articleId}`)
+        .set(createAuthHeaders());
+      expect(article.body.article.content_text.slice(highlight.start_offset, highlight.end_offset))
+        .toBe('cunning and adaptability');
+    });
+
+    it('should keep highlights as orphaned when the quote was removed', async () => {
+      await createHighlight({ exact: 'cunning and adaptability', note: 'Keep me' });
+
+      await saveArticle([ORIGINAL[0], 'Foxes were rewritten out of this paragraph entirely by the editors.']);
+
+      const [highlight] = await listHighlights();
+      expect(highlight.is_orphaned).toBe(true);
+      expect(highlight.note).toBe('Keep me');
+    });
+  });
+});
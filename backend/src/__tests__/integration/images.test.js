@@ -0,0 +1,329 @@
+// Set test ID before any imports to ensure unique database file
+process.env.TEST_ID = 'images';
+// The fixture server listens on loopback, which outbound requests refuse by default
+process.env.OUTBOUND_ALLOWLIST = '127.0.0.1';
+
+import { describe, it, expect, beforeAll, beforeEach, afterAll, afterEach } from '@jest/globals';
+import request from 'supertest';
+import http from 'http';
+import fs from 'fs';
+import sharp from 'sharp';
+import {
+  createTestApp,
+  setupTestDatabase,
+  cleanupTestDatabase,
+  resetTestDatabase,
+  createAuthHeaders,
+  waitForJob
+} from '../utils/testApp.js';
+import { getConnection } from '../../database/index.js';
+import imageStore from '../../services/imageStore.js';
+import imageHandler from '../../services/imageHandler.js';
+import userService, { BOOTSTRAP_USER_ID } from '../../services/userService.js';
+
+const PARAGRAPHS = '<p>Lorem ipsum dolor sit amet, consectetur adipiscing elit. Sed do eiusmod tempor incididunt ut labore et dolore magna aliqua. Ut enim ad minim veniam, quis nostrud exercitation ullamco laboris nisi ut aliquip ex ea commodo consequat.</p><p>Duis aute irure dolor in reprehenderit in voluptate velit esse cillum dolore eu fugiat nulla pariatur. Excepteur sint occaecat cupidatat non proident.</p>';
+
+function articlePage(title, images) {
+  const tags = images.map(src => `<img src="${src}" alt="">`).join('');
+  return `<html><head><title>${title}</title></head><body><article><h1>${title}</h1>${tags}${PARAGRAPHS}</article></body></html>`;
+}
+
+describe('Image Storage Integration Tests', () => {
+  let app;
+  let server;
+  let baseUrl;
+  let logo;
+  let photo;
+  let pages;
+  let flakyFailures;
+  let requested;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+
+    logo = await sharp({ create: { width: 40, height: 20, channels: 3, background: '#ff0000' } }).png().toBuffer();
+    photo = await sharp({ create: { width: 60, height: 30, channels: 3, background: '#0000ff' } }).png().toBuffer();
+
+    // Both articles share the logo (same title too, which used to share a folder)
+    pages = {
+      '/one': articlePage('Same Title', ['/logo.png', '/photo.png']),
+      '/two': articlePage('Same Title', ['/logo.png']),
+      '/flaky': articlePage('Flaky', ['/logo.png', '/flaky.png']),
+      '/responsive': '<html><head><title>Responsive</title></head><body><article><h1>Responsive</h1>' +
+        '<img src="/small.png" srcset="/small.png 300w, /large.png 1200w, /huge.png 2400w" sizes="600px" alt="">' +
+        '<picture><source media="(min-width: 2000px)" srcset="/huge.png 2400w">' +
+        '<source media="(min-width: 600px)" srcset="/wide.png 1200w"><img src="/fallback.png" alt=""></picture>' +
+        `${PARAGRAPHS}</article></body></html>`,
+      '/lazy': '<html><head><title>Lazy</title></head><body><article><h1>Lazy</h1>' +
+        '<img src="/placeholder.png" data-hi-srcset="/small.png 300w, /large.png 1200w" alt="">' +
+        `${PARAGRAPHS}</article></body></html>`
+    };
+    flakyFailures = 0;
+
+    server = http.createServer((req, res) => {
+      requested.push(req.url);
+      if (pages[req.url]) {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(pages[req.url]);
+      } else if (req.url === '/flaky.png' && flakyFailures > 0) {
+        flakyFailures--;
+        res.writeHead(503);
+        res.end();
+      } else if (req.url.endsWith('.png')) {
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        res.end(req.url === '/logo.png' ? logo : photo);
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await imageStore.removeStorage(userService.getStorageKey(BOOTSTRAP_USER_ID));
+    await new Promise(resolve => server.close(resolve));
+    cleanupTestDatabase();
+  });
+
+  beforeEach(() => {
+    requested = [];
+  });
+
+  afterEach(async () => {
+    imageStore.gcGraceMinutes = 60;
+    imageHandler.retryBaseMs = 500;
+    await resetTestDatabase();
+  });
+
+  async function capture(path) {
+    const response = await request(app)
+      .post('/api/articles/from-url')
+      .set(createAuthHeaders())
+      .send({ url: `${baseUrl}${path}` })
+      .expect(202);
+
+    const job = await waitForJob(app, response);
+    expect(job.status).toBe('completed');
+    return job.result.article.id;
+  }
+
+  function blobs() {
+    return getConnection().prepare('SELECT * FROM image_blobs ORDER BY id').all();
+  }
+
+  function blob(localPath) {
+    return getConnection().prepare('SELECT * FROM image_blobs WHERE local_path = ?').get(localPath);
+  }
+
+  // Web and e-ink blobs of each downloaded image, by its path on the fixture server
+  function storedImages() {
+    const rows = getConnection().prepare('SELECT DISTINCT original_url, local_path, eink_path FROM article_images').all();
+    return Object.fromEntries(rows.map(row => [
+      new URL(row.original_url).pathname,
+      { web: blob(row.local_path), eink: blob(row.eink_path) }
+    ]));
+  }
+
+  async function collectGarbage() {
+    const response = await request(app)
+      .post('/api/images/gc')
+      .set(createAuthHeaders())
+      .expect(202);
+
+    const job = await waitForJob(app, response);
+    expect(job.status).toBe('completed');
+    return job.result;
+  }
+
+  it('should store each image once, named by its content hash', async () => {
+    const first = await capture('/one');
+    const second = await capture('/two');
+
+    const stored = blobs();
+    expect(stored).toHaveLength(4);
+
+    const storageKey = userService.getStorageKey(BOOTSTRAP_USER_ID);
+    for (const { local_path: localPath, hash } of stored) {
+      expect(localPath).toBe(`/images/${storageKey}/${hash.slice(0, 2)}/${hash}.png`);
+      expect(fs.existsSync(imageStore.diskPath(localPath))).toBe(true);
+    }
+
+    const images = storedImages();
+    const { web: shared, eink: sharedEink } = images['/logo.png'];
+    expect([shared.ref_count, sharedEink.ref_count]).toEqual([2, 2]);
+    expect([images['/photo.png'].web.ref_count, images['/photo.png'].eink.ref_count]).toEqual([1, 1]);
+
+    for (const id of [first, second]) {
+      const article = await request(app)
+        .get(`/api/articles/${id}`)
+        .set(createAuthHeaders())
+        .expect(200);
+      expect(article.body.article.content_html).toContain(shared.local_path);
+    }
+
+    const stats = await request(app)
+      .get('/api/images/stats')
+      .set(createAuthHeaders())
+      .expect(200);
+    expect(stats.body.stats).toMatchObject({
+      files: 4,
+      references: 6,
+      deduplicated_bytes: shared.size_bytes + sharedEink.size_bytes,
+      unreferenced_files: 0,
+      unreferenced_bytes: 0
+    });
+  });
+
+  it('should drop references when articles are deleted and collect unused files', async () => {
+    const first = await capture('/one');
+    const second = await capture('/two');
+    imageStore.gcGraceMinutes = 0;
+    const images = storedImages();
+
+    await request(app)
+      .delete(`/api/articles/${first}`)
+      .set(createAuthHeaders())
+      .expect(200);
+
+    // The logo is still used by the second article
+    const [logoBlob, logoEinkBlob] = [images['/logo.png'].web, images['/logo.png'].eink].map(({ local_path: path }) => blob(path));
+    const [photoBlob, photoEinkBlob] = [images['/photo.png'].web, images['/photo.png'].eink].map(({ local_path: path }) => blob(path));
+    expect([logoBlob, logoEinkBlob, photoBlob, photoEinkBlob].map(({ ref_count: refs }) => refs)).toEqual([1, 1, 0, 0]);
+
+    expect(await collectGarbage()).toEqual({
+      deleted_files: 2,
+      reclaimed_bytes: photoBlob.size_bytes + photoEinkBlob.size_bytes,
+      missing_files: 0
+    });
+    expect(fs.existsSync(imageStore.diskPath(photoBlob.local_path))).toBe(false);
+    expect(fs.existsSync(imageStore.diskPath(photoEinkBlob.local_path))).toBe(false);
+    expect(fs.existsSync(imageStore.diskPath(logoBlob.local_path))).toBe(true);
+
+    await request(app)
+      .delete(`/api/articles/${second}`)
+      .set(createAuthHeaders())
+      .expect(200);
+
+    const result = await collectGarbage();
+    expect(result.deleted_files).toBe(2);
+    expect(fs.existsSync(imageStore.diskPath(logoBlob.local_path))).toBe(false);
+    expect(blobs()).toHaveLength(0);
+  });
+
+  it('should keep recently unreferenced files for the grace period', async () => {
+    const id = await capture('/two');
+
+    await request(app)
+      .delete(`/api/articles/${id}`)
+      .set(createAuthHeaders())
+      .expect(200);
+
+    expect(await collectGarbage()).toEqual({ deleted_files: 0, reclaimed_bytes: 0, missing_files: 0 });
+    expect(blobs()).toHaveLength(2);
+  });
+
+  it('should release the old images when an article is captured again', async () => {
+    await capture('/one');
+    const images = storedImages();
+    pages['/one'] = articlePage('Same Title', ['/logo.png']);
+
+    try {
+      await capture('/one');
+    } finally {
+      pages['/one'] = articlePage('Same Title', ['/logo.png', '/photo.png']);
+    }
+
+    const refs = ['/logo.png', '/photo.png']
+      .flatMap(name => [images[name].web, images[name].eink])
+      .map(({ local_path: path }) => blob(path).ref_count);
+    expect(refs).toEqual([1, 1, 0, 0]);
+  });
+
+  it('should record images that failed to download and retry them', async () => {
+    // More failures than one capture's retries
+    flakyFailures = imageHandler.maxAttempts;
+    imageHandler.retryBaseMs = 1;
+
+    const id = await capture('/flaky');
+    const flakyUrl = `${baseUrl}/flaky.png`;
+
+    let article = (await request(app).get(`/api/articles/${id}`).set(createAuthHeaders()).expect(200)).body.article;
+    expect(article.missing_images).toBe(1);
+    expect(article.image_count).toBe(1);
+    expect(article.content_html).toContain(`src="${flakyUrl}"`);
+
+    const failed = getConnection().prepare("SELECT * FROM article_images WHERE article_id = ? AND status = 'failed'").get(id);
+    expect(failed).toMatchObject({ original_url: flakyUrl, local_path: null, error: 'HTTP 503: Service Unavailable' });
+
+    const response = await request(app)
+      .post(`/api/articles/${id}/images/retry`)
+      .set(createAuthHeaders())
+      .expect(202);
+
+    const job = await waitForJob(app, response);
+    expect(job.status).toBe('completed');
+    expect(job.result.images).toEqual({ retried: 1, downloaded: 1, failed: 0 });
+
+    article = (await request(app).get(`/api/articles/${id}`).set(createAuthHeaders()).expect(200)).body.article;
+    const retried = getConnection().prepare('SELECT * FROM article_images WHERE id = ?').get(failed.id);
+    expect(retried).toMatchObject({ status: 'downloaded', error: null });
+    expect(article.missing_images).toBe(0);
+    expect(article.image_count).toBe(2);
+    expect(article.content_html).toContain(`src="${retried.local_path}"`);
+    expect(article.content_html).not.toContain(flakyUrl);
+
+    // Both files of the retried image are referenced
+    const refs = getConnection().prepare('SELECT ref_count FROM image_blobs WHERE local_path IN (?, ?)')
+      .all(retried.local_path, retried.eink_path);
+    expect(refs).toEqual([{ ref_count: 1 }, { ref_count: 1 }]);
+
+    // Nothing left to retry
+    const again = await request(app)
+      .post(`/api/articles/${id}/images/retry`)
+      .set(createAuthHeaders())
+      .expect(200);
+    expect(again.body.job).toBeNull();
+  });
+
+  it('should download the chosen srcset and <picture> candidates', async () => {
+    const id = await capture('/responsive');
+
+    expect(requested.filter(path => path.endsWith('.png')).sort()).toEqual(['/large.png', '/wide.png']);
+    expect(Object.keys(storedImages()).sort()).toEqual(['/large.png', '/wide.png']);
+
+    const article = await request(app)
+      .get(`/api/articles/${id}`)
+      .set(createAuthHeaders())
+      .expect(200);
+    expect(article.body.article.content_html).not.toMatch(/srcset|<source/);
+  });
+
+  it('should download the srcset a site rule copies from a lazy-loading attribute', async () => {
+    await request(app)
+      .post('/api/site-rules')
+      .set(createAuthHeaders())
+      .send({ pattern: '127.0.0.1/lazy', lazy_image_attribute: 'data-hi-srcset' })
+      .expect(201);
+
+    await capture('/lazy');
+
+    expect(requested.filter(path => path.endsWith('.png'))).toEqual(['/large.png']);
+    expect(Object.keys(storedImages())).toEqual(['/large.png']);
+  });
+
+  it('should only let admins collect garbage', async () => {
+    const created = await request(app)
+      .post('/api/users')
+      .set(createAuthHeaders())
+      .send({ name: 'alice' })
+      .expect(201);
+
+    await request(app)
+      .post('/api/images/gc')
+      .set('X-API-Key', created.body.key.key)
+      .expect(403);
+  });
+});
@@ -0,0 +1,189 @@
+// Set test ID before any imports to ensure unique database file
+process.env.TEST_ID = 'import';
+// Bookmarks point at a fixture server on loopback, which is blocked by default
+process.env.OUTBOUND_ALLOWLIST = '127.0.0.1';
+
+import { describe, it, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import request from 'supertest';
+import http from 'http';
+import {
+  createTestApp,
+  setupTestDatabase,
+  cleanupTestDatabase,
+  resetTestDatabase,
+  createAuthHeaders
+} from '../utils/testApp.js';
+import importService from '../../services/importService.js';
+
+function articleHtml(title) {
+  return `<html><head><title>${title}</title></head><body><article><h1>${title}</h1><p>This page is served by a local fixture server for import tests. Lorem ipsum dolor sit amet, consectetur adipiscing elit. Sed do eiusmod tempor incididunt ut labore et dolore magna aliqua. Ut enim ad minim veniam, quis nostrud exercitation ullamco laboris nisi ut aliquip ex ea commodo consequat.</p><p>Duis aute irure dolor in reprehenderit in voluptate velit esse cillum dolore eu fugiat nulla pariatur. Excepteur sint occaecat cupidatat non proident.</p></article></body></html>`;
+}
+
+/**
+ * Local HTTP server: /article/<name> pages, everything else 404
+ */
+function createFixtureServer() {
+  return http.createServer((req, res) => {
+    const match = req.url.match(/^\/article\/(\w+)$/);
+    if (match) {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(articleHtml(`Imported ${match[1]}`));
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+    }
+  });
+}
+
+describe('Import API Integration Tests', () => {
+  let app;
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+
+    // No politeness delay against the local fixture server
+    importService.fetchDelay = 0;
+
+    server = createFixtureServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    cleanupTestDatabase();
+  });
+
+  afterEach(async () => {
+    await importService.processQueue();
+    await resetTestDatabase();
+  });
+
+  function pinboardExport() {
+    return JSON.stringify([
+      { href: `${baseUrl}/article/one`, description: 'One', time: '2020-09-13T12:26:40Z', toread: 'yes', tags: 'reading later' },
+      { href: `${baseUrl}/article/two`, description: 'Two', time: '2017-07-14T02:40:00Z', toread: 'no', tags: '' },
+      { href: `${baseUrl}/missing`, description: 'Gone', time: '2016-01-01T00:00:00Z', toread: 'yes', tags: '' },
+      { href: 'ftp://example.com/file', description: 'Not http', time: '2016-01-01T00:00:00Z', toread: 'yes', tags: '' }
+    ]);
+  }
+
+  function postImport(body) {
+    return request(app)
+      .post('/api/import')
+      .set(createAuthHeaders())
+      .send(body);
+  }
+
+  async function getArticle(id) {
+    const response = await request(app)
+      .get(`/api/articles/${id}`)
+      .set(createAuthHeaders());
+    return response.body.article;
+  }
+
+  it('should queue bookmarks and report per-item status', async () => {
+    const response = await postImport({ content: pinboardExport(), filename: 'pinboard.json' });
+
+    expect(response.status).toBe(202);
+    expect(response.body.import.source).toBe('pinboard');
+    expect(response.body.import.total_items).toBe(4);
+    expect(response.body.import.items.map(item => item.status)).toEqual(['pending', 'pending', 'pending', 'failed']);
+
+    await importService.processQueue();
+
+    const result = await request(app)
+      .get(`/api/import/${response.body.import.id}`)
+      .set(createAuthHeaders());
+
+    expect(result.body.import.counts).toEqual({ pending: 0, imported: 2, duplicate: 0, failed: 2 });
+    expect(result.body.import.items[2].error).toMatch(/404/);
+  });
+
+  it('should preserve archived state, tags and save date', async () => {
+    const response = await postImport({ content: pinboardExport() });
+    await importService.processQueue();
+
+    const result = await request(app)
+      .get(`/api/import/${response.body.import.id}`)
+      .set(createAuthHeaders());
+    const [one, two] = result.body.import.items;
+
+    const first = await getArticle(one.article_id);
+    expect(first.title).toBe('Imported one');
+    expect(Boolean(first.is_archived)).toBe(false);
+    expect(first.created_at).toBe('2020-09-13 12:26:40');
+    expect(first.tags.map(tag => tag.name)).toEqual(['later', 'reading']);
+
+    const second = await getArticle(two.article_id);
+    expect(Boolean(second.is_archived)).toBe(true);
+    expect(second.created_at).toBe('2017-07-14 02:40:00');
+  });
+
+  it('should carry over Instapaper favorites', async () => {
+    const csv = `URL,Title,Selection,Folder,Timestamp\n${baseUrl}/article/starred,Starred,,Starred,1600000000\n`;
+    const response = await postImport({ content: csv, format: 'instapaper' });
+    await importService.processQueue();
+
+    const result = await request(app)
+      .get(`/api/import/${response.body.import.id}`)
+      .set(createAuthHeaders());
+    const article = await getArticle(result.body.import.items[0].article_id);
+    expect(Boolean(article.is_favorite)).toBe(true);
+  });
+
+  it('should be safe to re-run', async () => {
+    await postImport({ content: pinboardExport() });
+    await importService.processQueue();
+
+    const rerun = await postImport({ content: pinboardExport() });
+    expect(rerun.body.import.items.map(item => item.status)).toEqual(['duplicate', 'duplicate', 'pending', 'failed']);
+    expect(rerun.body.import.items[0].article_id).not.toBeNull();
+
+    await importService.processQueue();
+
+    const articles = await request(app)
+      .get('/api/articles')
+      .set(createAuthHeaders());
+    expect(articles.body.data.articles).toHaveLength(2);
+  });
+
+  it('should mark repeated URLs within one file as duplicates', async () => {
+    const csv = `URL,Title,Selection,Folder,Timestamp\n${baseUrl}/article/same,A,,Unread,1\n${baseUrl}/article/same,B,,Unread,2\n`;
+    const response = await postImport({ content: csv });
+    expect(response.body.import.items.map(item => item.status)).toEqual(['pending', 'duplicate']);
+  });
+
+  it('should reject unrecognized files', async () => {
+    const response = await postImport({ content: 'not a bookmark export' });
+    expect(response.status).toBe(400);
+    expect(response.body.message).toMatch(/detect/);
+  });
+
+  it('should reject exports without bookmarks', async () => {
+    const response = await postImport({ content: '[]', format: 'pinboard' });
+    expect(response.status).toBe(400);
+  });
+
+  it('should list imports', async () => {
+    await postImport({ content: pinboardExport() });
+
+    const response = await request(app)
+      .get('/api/import')
+      .set(createAuthHeaders());
+
+    expect(response.status).toBe(200);
+    expect(response.body.imports).toHaveLength(1);
+    expect(response.body.imports[0].counts.failed).toBe(1);
+  });
+
+  it('should return 404 for missing import', async () => {
+    const response = await request(app)
+      .get('/api/import/99999')
+      .set(createAuthHeaders());
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,101 @@
+// Set test ID before any imports to ensure unique database file
+process.env.TEST_ID = 'jobs';
+
+import { describe, it, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import request from 'supertest';
+import {
+  createTestApp,
+  setupTestDatabase,
+  cleanupTestDatabase,
+  resetTestDatabase,
+  createAuthHeaders
+} from '../utils/testApp.js';
+import jobQueue from '../../services/jobQueue.js';
+import apiKeyService from '../../services/apiKeyService.js';
+import { BOOTSTRAP_USER_ID } from '../../services/userService.js';
+
+describe('Jobs API Integration Tests', () => {
+  let app;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+  });
+
+  afterAll(() => {
+    cleanupTestDatabase();
+  });
+
+  afterEach(async () => {
+    await resetTestDatabase();
+  });
+
+  it('should report job status, progress and result', async () => {
+    jobQueue.register('test.report', async (payload, { progress }) => {
+      progress('Working');
+      return { answer: payload.question * 2 };
+    });
+
+    const queued = jobQueue.enqueue('test.report', { question: 21 }, { userId: BOOTSTRAP_USER_ID });
+
+    let response = await request(app)
+      .get(`/api/jobs/${queued.id}`)
+      .set(createAuthHeaders())
+      .expect(200);
+
+    expect(response.body.job).toMatchObject({ id: queued.id, type: 'test.report', status: 'queued' });
+    expect(response.body.job).not.toHaveProperty('payload');
+
+    await jobQueue.drain();
+
+    response = await request(app)
+      .get(`/api/jobs/${queued.id}`)
+      .set(createAuthHeaders())
+      .expect(200);
+
+    expect(response.body.job.status).toBe('completed');
+    expect(response.body.job.result).toEqual({ answer: 42 });
+  });
+
+  it('should return 404 for an unknown job', async () => {
+    const response = await request(app)
+      .get('/api/jobs/999999')
+      .set(createAuthHeaders())
+      .expect(404);
+
+    expect(response.body.error).toBe('Not Found');
+  });
+
+  it('should validate the job ID', async () => {
+    await request(app)
+      .get('/api/jobs/abc')
+      .set(createAuthHeaders())
+      .expect(400);
+  });
+
+  it('should require the read scope of the job\'s type', async () => {
+    jobQueue.register('article.scope_test', async () => ({}));
+    jobQueue.register('webhook.scope_test', async () => ({}));
+    const articleJob = jobQueue.enqueue('article.scope_test', {}, { userId: BOOTSTRAP_USER_ID });
+    const webhookJob = jobQueue.enqueue('webhook.scope_test', {}, { userId: BOOTSTRAP_USER_ID });
+
+    const { key: epubKey } = apiKeyService.createKey(BOOTSTRAP_USER_ID, { label: 'EPUB', scopes: ['epub:read'] });
+    const { key: articlesKey } = apiKeyService.createKey(BOOTSTRAP_USER_ID, { label: 'Articles', scopes: ['articles:read'] });
+
+    const denied = await request(app)
+      .get(`/api/jobs/${articleJob.id}`)
+      .set('X-API-Key', epubKey)
+      .expect(403);
+    expect(denied.body.message).toBe('API key lacks required scope: articles:read');
+
+    await request(app).get(`/api/jobs/${articleJob.id}`).set('X-API-Key', articlesKey).expect(200);
+    await request(app).get(`/api/jobs/${webhookJob.id}`).set('X-API-Key', articlesKey).expect(403);
+    await request(app).get(`/api/jobs/${webhookJob.id}`).set(createAuthHeaders()).expect(200);
+  });
+
+  it('should require authentication', async () => {
+    await request(app)
+      .get('/api/jobs/1')
+      .expect(401);
+  });
+});
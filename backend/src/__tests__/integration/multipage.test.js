@@ -0,0 +1,161 @@
+// Set test ID before any imports to ensure unique database file
+process.env.TEST_ID = 'multipage';
+// The fixture server listens on loopback, which outbound requests refuse by default
+process.env.OUTBOUND_ALLOWLIST = '127.0.0.1';
+
+import { describe, it, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import request from 'supertest';
+import http from 'http';
+import sharp from 'sharp';
+import {
+  createTestApp,
+  setupTestDatabase,
+  cleanupTestDatabase,
+  resetTestDatabase,
+  createAuthHeaders,
+  waitForJob
+} from '../utils/testApp.js';
+import { getConnection } from '../../database/index.js';
+import imageStore from '../../services/imageStore.js';
+import userService, { BOOTSTRAP_USER_ID } from '../../services/userService.js';
+
+const SECTIONS = [
+  'The harbour tram opened in the spring after three years of building work along the waterfront.',
+  'Engineers rebuilt the old swing bridge so that trams and ships could share the narrow channel.',
+  'Ridership doubled in the first month, and the council is already planning a second branch line.'
+];
+
+function storyPage(section, { head = '', after = '', image = '' } = {}) {
+  const paragraphs = [1, 2, 3].map(n => `<p>${section} Paragraph ${n} adds detail about stops, timetables and the crews who run the line through the night.</p>`).join('');
+  return `<html><head><title>The Harbour Tram</title>${head}</head><body>` +
+    `<article><h1>The Harbour Tram</h1>${image}${paragraphs}</article>` +
+    `<nav class="pagination">${after}</nav></body></html>`;
+}
+
+describe('Multi-page Article Integration Tests', () => {
+  let app;
+  let server;
+  let baseUrl;
+  let photo;
+  let pages;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+
+    photo = await sharp({ create: { width: 60, height: 30, channels: 3, background: '#0000ff' } }).png().toBuffer();
+
+    server = http.createServer((req, res) => {
+      if (req.url === '/photo.png') {
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        res.end(photo);
+      } else if (pages[req.url]) {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(pages[req.url]);
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await imageStore.removeStorage(userService.getStorageKey(BOOTSTRAP_USER_ID));
+    await new Promise(resolve => server.close(resolve));
+    cleanupTestDatabase();
+  });
+
+  afterEach(async () => {
+    pages = {};
+    delete process.env.MULTIPAGE_MAX_PAGES;
+    await resetTestDatabase();
+  });
+
+  async function capture(path) {
+    const response = await request(app)
+      .post('/api/articles/from-url')
+      .set(createAuthHeaders())
+      .send({ url: `${baseUrl}${path}` })
+      .expect(202);
+
+    const job = await waitForJob(app, response);
+    expect(job.status).toBe('completed');
+    return job.result.article;
+  }
+
+  function savedArticle(id) {
+    return getConnection().prepare('SELECT * FROM articles WHERE id = ?').get(id);
+  }
+
+  function threePages() {
+    pages = {
+      '/story': storyPage(SECTIONS[0], {
+        head: '<link rel="next" href="/story?page=2">',
+        after: '<a href="/story?page=2">2</a><a href="/story?page=3">3</a>'
+      }),
+      '/story?page=2': storyPage(SECTIONS[1], {
+        image: '<img src="/photo.png" alt="The bridge">',
+        after: '<a href="/story">1</a><a href="/story?page=3">Next page »</a>'
+      }),
+      '/story?page=3': storyPage(SECTIONS[2], {
+        after: '<a href="/story?page=2">‹ Previous</a><a rel="next" href="/ferry-timetables">Next story</a>'
+      }),
+      '/ferry-timetables': storyPage('Ferries will run every twenty minutes this summer.')
+    };
+  }
+
+  it('should join the pages of an article into one', async () => {
+    threePages();
+    const single = await capture('/ferry-timetables');
+
+    const summary = await capture('/story');
+    expect(summary.pageCount).toBe(3);
+    expect(summary.imageCount).toBe(1);
+    expect(summary.wordCount).toBeGreaterThan(single.wordCount * 2.5);
+
+    const article = savedArticle(summary.id);
+    SECTIONS.forEach(section => expect(article.content_text).toContain(section));
+    expect(article.content_text).not.toContain('Ferries will run');
+    expect(article.content_html).toContain('/images/');
+    expect(article.word_count).toBe(summary.wordCount);
+    expect(article.url).toBe(`${baseUrl}/story`);
+    expect(article.original_url).toBe(`${baseUrl}/story`);
+  });
+
+  it('should join only the following pages when a later page is saved', async () => {
+    threePages();
+    const summary = await capture('/story?page=2');
+
+    const article = savedArticle(summary.id);
+    expect(summary.pageCount).toBe(2);
+    expect(article.original_url).toBe(`${baseUrl}/story?page=2`);
+    expect(article.content_text).toContain(SECTIONS[2]);
+  });
+
+  it('should stop at MULTIPAGE_MAX_PAGES pages', async () => {
+    threePages();
+    process.env.MULTIPAGE_MAX_PAGES = '2';
+
+    const summary = await capture('/story');
+    expect(summary.pageCount).toBe(2);
+    expect(savedArticle(summary.id).content_text).not.toContain(SECTIONS[2]);
+  });
+
+  it('should stop when a page repeats or is missing', async () => {
+    pages = {
+      // Serves page one again for every page number
+      '/loop': storyPage(SECTIONS[0], { after: '<a href="/loop?page=2">Next</a>' }),
+      '/loop?page=2': storyPage(SECTIONS[0], { after: '<a href="/loop?page=3">Next</a>' }),
+      '/gone': storyPage(SECTIONS[1], { head: '<link rel="next" href="/gone/2">' })
+    };
+
+    const loop = await capture('/loop');
+    expect(loop.pageCount).toBe(1);
+
+    const gone = await capture('/gone');
+    expect(gone.pageCount).toBe(1);
+    expect(savedArticle(gone.id).content_text).toContain(SECTIONS[1]);
+  });
+});
@@ -0,0 +1,260 @@
+// Set test ID before any imports to ensure unique database file
+process.env.TEST_ID = 'pdf-upload';
+
+import { describe, it, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import request from 'supertest';
+import {
+  createTestApp,
+  setupTestDatabase,
+  cleanupTestDatabase,
+  resetTestDatabase,
+  createAuthHeaders,
+  waitForJob
+} from '../utils/testApp.js';
+import { buildPdf, paragraphLines } from '../utils/pdf.js';
+import { getConnection } from '../../database/index.js';
+import epubGenerator from '../../services/epubGenerator.js';
+import jobQueue from '../../services/jobQueue.js';
+
+const PARAGRAPHS = [
+  'The harbour tram opened in the spring after three years of building work along the waterfront, and crowds lined the quay to watch the first cars run.',
+  'Timetables were printed in four languages for the summer, and conductors handed them out at every stop between the ferry terminal and the old fish market.'
+];
+
+function report({ info = { Title: 'The Harbour Tram', Author: 'Sam Lee', CreationDate: "D:20240315093000+01'00'" }, heading = 'The Harbour Tram' } = {}) {
+  return buildPdf({
+    info,
+    pages: [[{ text: heading, size: 20, y: 740 }, ...paragraphLines(PARAGRAPHS)]]
+  });
+}
+
+describe('PDF Upload Integration Tests', () => {
+  let app;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+  });
+
+  afterAll(() => {
+    cleanupTestDatabase();
+  });
+
+  afterEach(async () => {
+    await resetTestDatabase();
+  });
+
+  async function upload(pdf, query = {}) {
+    const response = await request(app)
+      .post('/api/articles/upload')
+      .query(query)
+      .set(createAuthHeaders())
+      .set('Content-Type', 'application/pdf')
+      .send(pdf)
+      .expect(202);
+    return waitForJob(app, response);
+  }
+
+  function stagedUploads() {
+    return getConnection().prepare('SELECT COUNT(*) as count FROM pdf_uploads').get().count;
+  }
+
+  async function getArticle(id) {
+    return (await request(app).get(`/api/articles/${id}`).set(createAuthHeaders()).expect(200)).body.article;
+  }
+
+  it('should make an article of the text and metadata and keep the file', async () => {
+    const pdf = report();
+    const job = await upload(pdf, { filename: 'harbour-tram.pdf' });
+    expect(job.status).toBe('completed');
+
+    const article = await getArticle(job.result.article.id);
+    expect(article).toMatchObject({
+      title: 'The Harbour Tram',
+      author: 'Sam Lee',
+      published_at: '2024-03-15T08:30:00.000Z',
+      url: expect.stringMatching(/^pdf:[0-9a-f]{64}$/),
+      snapshot: null,
+      document: {
+        filename: 'harbour-tram.pdf',
+        content_type: 'application/pdf',
+        size_bytes: pdf.length,
+        page_count: 1
+      }
+    });
+    expect(article.content_text).toBe(['The Harbour Tram', ...PARAGRAPHS].join('\n\n'));
+
+    // The file was staged apart from the job's payload, and is gone now
+    const { payload } = getConnection().prepare('SELECT payload FROM jobs WHERE id = ?').get(job.id);
+    expect(JSON.parse(payload)).toEqual({ filename: 'harbour-tram.pdf' });
+    expect(stagedUploads()).toBe(0);
+    expect(article.content_html).toContain(`<p>${PARAGRAPHS[0]}</p>`);
+    expect(article.excerpt).toBe(PARAGRAPHS[0]);
+
+    const download = await request(app)
+      .get(`/api/articles/${article.id}/document`)
+      .set(createAuthHeaders())
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+    expect(download.headers['content-type']).toBe('application/pdf');
+    expect(download.headers['content-disposition']).toContain('harbour-tram.pdf');
+    expect(download.body.equals(pdf)).toBe(true);
+  });
+
+  it('should update the same article when a file is uploaded again', async () => {
+    const first = await upload(report());
+    const again = await upload(report());
+    expect(again.result.article.id).toBe(first.result.article.id);
+
+    const fromUrl = await upload(report(), { url: 'https://example.com/papers/tram.pdf' });
+    expect(fromUrl.result.article.id).not.toBe(first.result.article.id);
+
+    const article = await getArticle(fromUrl.result.article.id);
+    expect(article.url).toBe('https://example.com/papers/tram.pdf');
+    expect(article.document.filename).toBe('tram.pdf');
+  });
+
+  it('should ignore titles made up by the authoring software', async () => {
+    const job = await upload(report({ info: { Title: 'Microsoft Word - tram_final_v2.docx' }, heading: 'Trams Return to the Harbour' }));
+    expect(job.result.article.title).toBe('Trams Return to the Harbour');
+
+    const untitled = await upload(buildPdf({ pages: [paragraphLines(PARAGRAPHS)] }), { filename: 'tram-notes.pdf' });
+    expect(untitled.result.article.title).toBe('tram-notes');
+  });
+
+  it('should drop the file when the article is captured from a page again', async () => {
+    const url = 'https://example.com/papers/tram.pdf';
+    const job = await upload(report(), { url });
+
+    const captured = await request(app)
+      .post('/api/articles')
+      .set(createAuthHeaders())
+      .send({ url, html: `<html><body><article><h1>The Harbour Tram</h1><p>${PARAGRAPHS[0]}</p><p>${PARAGRAPHS[1]}</p></article></body></html>` })
+      .expect(202);
+    expect((await waitForJob(app, captured)).result.article.id).toBe(job.result.article.id);
+
+    const article = await getArticle(job.result.article.id);
+    expect(article.document).toBeNull();
+    expect(article.snapshot).toMatchObject({ pages: 1 });
+    await request(app).get(`/api/articles/${article.id}/document`).set(createAuthHeaders()).expect(404);
+  });
+
+  it('should reprocess articles from their file', async () => {
+    const { result } = await upload(report());
+
+    const response = await request(app)
+      .post('/api/articles/reprocess')
+      .set(createAuthHeaders())
+      .send({ article_id: result.article.id })
+      .expect(202);
+    const job = await waitForJob(app, response);
+    expect(job.result).toEqual({ processed: 1, changed: [], unchanged: 1, failed: [] });
+  });
+
+  it('should reject bodies that are not PDFs', async () => {
+    const response = await request(app)
+      .post('/api/articles/upload')
+      .set(createAuthHeaders())
+      .set('Content-Type', 'application/pdf')
+      .send(Buffer.from('<html><body>Not a PDF</body></html>'))
+      .expect(400);
+    expect(response.body.message).toMatch(/must be a PDF/);
+
+    await request(app)
+      .post('/api/articles/upload')
+      .query({ url: 'ftp://example.com/tram.pdf' })
+      .set(createAuthHeaders())
+      .set('Content-Type', 'application/pdf')
+      .send(report())
+      .expect(400);
+  });
+
+  it('should fail PDFs without text', async () => {
+    const response = await request(app)
+      .post('/api/articles/upload')
+      .set(createAuthHeaders())
+      .set('Content-Type', 'application/pdf')
+      .send(buildPdf({ pages: [[]] }))
+      .expect(202);
+
+    const job = await waitForJob(app, response);
+    expect(job.status).toBe('failed');
+    expect(job.error).toMatch(/no text/);
+    expect(stagedUploads()).toBe(0);
+  });
+
+  it('should drop staged files of jobs failed by a restart or deleted', async () => {
+    const db = getConnection();
+    const queue = async () => (await request(app)
+      .post('/api/articles/upload')
+      .set(createAuthHeaders())
+      .set('Content-Type', 'application/pdf')
+      .send(report())
+      .expect(202)).body.job;
+
+    const interrupted = await queue();
+    const pruned = await queue();
+    expect(stagedUploads()).toBe(2);
+
+    db.prepare("UPDATE jobs SET status = 'running', attempts = max_attempts WHERE id = ?").run(interrupted.id);
+    jobQueue.recoverInterrupted();
+    expect(stagedUploads()).toBe(1);
+
+    db.prepare('DELETE FROM jobs WHERE id = ?').run(pruned.id);
+    expect(stagedUploads()).toBe(0);
+  });
+
+  describe('EPUB', () => {
+    async function generate(articleIds, pdfMode) {
+      const response = await request(app)
+        .post('/api/epub/generate')
+        .set(createAuthHeaders())
+        .send({ articleIds, title: 'Harbour Papers', pdfMode })
+        .expect(202);
+      const { result } = await waitForJob(app, response);
+      const { file_path: filePath } = getConnection().prepare('SELECT file_path FROM epub_exports WHERE id = ?').get(result.epub.id);
+      return epubGenerator._openEpub(filePath);
+    }
+
+    function chapter(zip) {
+      const entry = zip.getEntries().find(({ entryName }) => /chapter-1\.x?html$/.test(entryName));
+      return entry.getData().toString('utf8');
+    }
+
+    it('should reflow PDFs by default', async () => {
+      const { result } = await upload(report(), { filename: 'harbour-tram.pdf' });
+      const zip = await generate([result.article.id]);
+
+      expect(chapter(zip)).toContain(PARAGRAPHS[1]);
+      expect(zip.getEntries().some(({ entryName }) => entryName.endsWith('.pdf'))).toBe(false);
+    });
+
+    it('should attach the PDFs themselves when asked', async () => {
+      const pdf = report();
+      const { result } = await upload(pdf, { filename: 'harbour-tram.pdf' });
+      const zip = await generate([result.article.id], 'attach');
+
+      const attached = zip.getEntry('OEBPS/documents/1-harbour-tram.pdf');
+      expect(attached.getData().equals(pdf)).toBe(true);
+      expect(zip.getEntry('OEBPS/content.opf').getData().toString('utf8'))
+        .toContain('href="documents/1-harbour-tram.pdf" media-type="application/pdf"');
+
+      const html = chapter(zip);
+      expect(html).toContain('href="documents/1-harbour-tram.pdf"');
+      expect(html).not.toContain(PARAGRAPHS[1]);
+    });
+
+    it('should reject unknown PDF modes', async () => {
+      await request(app)
+        .post('/api/epub/generate')
+        .set(createAuthHeaders())
+        .send({ articleIds: [1], pdfMode: 'embed' })
+        .expect(400);
+    });
+  });
+});
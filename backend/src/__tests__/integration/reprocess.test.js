@@ -0,0 +1,201 @@
+// Set test ID before any imports to ensure unique database file
+process.env.TEST_ID = 'reprocess';
+// The fixture server listens on loopback, which outbound requests refuse by default
+process.env.OUTBOUND_ALLOWLIST = '127.0.0.1';
+
+import { describe, it, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import request from 'supertest';
+import http from 'http';
+import sharp from 'sharp';
+import {
+  createTestApp,
+  setupTestDatabase,
+  cleanupTestDatabase,
+  resetTestDatabase,
+  createAuthHeaders,
+  waitForJob
+} from '../utils/testApp.js';
+import { getConnection } from '../../database/index.js';
+import imageStore from '../../services/imageStore.js';
+import userService, { BOOTSTRAP_USER_ID } from '../../services/userService.js';
+
+const STORY = 'The harbour tram opened in the spring after three years of building work along the waterfront.';
+
+function storyPage(section, { after = '', image = '' } = {}) {
+  const paragraphs = [1, 2, 3].map(n => `<p>${section} Paragraph ${n} adds detail about stops, timetables and the crews who run the line through the night.</p>`).join('');
+  return `<html><head><title>The Harbour Tram</title></head><body>` +
+    `<article><h1>The Harbour Tram</h1>${image}${paragraphs}` +
+    '<div class="newsletter-signup">Sign up for our newsletter to hear about new routes and timetable changes.</div></article>' +
+    `<nav class="pagination">${after}</nav></body></html>`;
+}
+
+describe('Article Reprocessing Integration Tests', () => {
+  let app;
+  let server;
+  let baseUrl;
+  let photo;
+  let pages;
+  let requests;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+
+    photo = await sharp({ create: { width: 60, height: 30, channels: 3, background: '#00ff00' } }).png().toBuffer();
+
+    server = http.createServer((req, res) => {
+      requests.push(req.url);
+      if (req.url === '/photo.png') {
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        res.end(photo);
+      } else if (pages[req.url]) {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(pages[req.url]);
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await imageStore.removeStorage(userService.getStorageKey(BOOTSTRAP_USER_ID));
+    await new Promise(resolve => server.close(resolve));
+    cleanupTestDatabase();
+  });
+
+  afterEach(async () => {
+    pages = {};
+    requests = [];
+    await resetTestDatabase();
+  });
+
+  async function captureHtml(html, path) {
+    const response = await request(app)
+      .post('/api/articles')
+      .set(createAuthHeaders())
+      .send({ html, url: `${baseUrl}${path}` })
+      .expect(202);
+    return (await waitForJob(app, response)).result.article.id;
+  }
+
+  async function reprocess(body, status = 202) {
+    const response = await request(app)
+      .post('/api/articles/reprocess')
+      .set(createAuthHeaders())
+      .send(body)
+      .expect(status);
+    return status === 202 ? waitForJob(app, response) : response.body;
+  }
+
+  async function getArticle(id) {
+    return (await request(app).get(`/api/articles/${id}`).set(createAuthHeaders()).expect(200)).body.article;
+  }
+
+  async function createRule(rule) {
+    await request(app).post('/api/site-rules').set(createAuthHeaders()).send(rule).expect(201);
+  }
+
+  it('should keep the submitted HTML compressed', async () => {
+    const html = storyPage(STORY);
+    const id = await captureHtml(html, '/tram');
+
+    const { snapshot } = await getArticle(id);
+    expect(snapshot).toMatchObject({ pages: 1, size_bytes: Buffer.byteLength(html) });
+    expect(snapshot.compressed_bytes).toBeLessThan(snapshot.size_bytes);
+  });
+
+  it('should report unchanged articles without saving them', async () => {
+    const id = await captureHtml(storyPage(STORY), '/tram');
+    const before = await getArticle(id);
+
+    const job = await reprocess({ all: true });
+    expect(job.status).toBe('completed');
+    expect(job.result).toEqual({ processed: 1, changed: [], unchanged: 1, failed: [] });
+    expect((await getArticle(id)).updated_at).toBe(before.updated_at);
+  });
+
+  it('should apply a new site rule from the snapshot without fetching the page or its images', async () => {
+    const image = `<img src="${baseUrl}/photo.png" alt="Tram">`;
+    const id = await captureHtml(storyPage(STORY, { image }), '/news/tram');
+    const before = await getArticle(id);
+    expect(before.content_text).toContain('Sign up for our newsletter');
+    expect(before.image_count).toBe(1);
+
+    await createRule({ pattern: '127.0.0.1/news/*', strip_selector: '.newsletter-signup' });
+    requests = [];
+
+    const job = await reprocess({ filter: { site: '127.0.0.1/news/*' } });
+    expect(job.result).toMatchObject({ processed: 1, unchanged: 0, failed: [] });
+    expect(job.result.changed).toEqual([expect.objectContaining({
+      id,
+      title: 'The Harbour Tram',
+      fields: ['content_text', 'content_html'],
+      versionId: expect.any(Number)
+    })]);
+    expect(job.result.changed[0].diff.removed).toBeGreaterThan(0);
+    expect(requests).toEqual([]);
+
+    const after = await getArticle(id);
+    expect(after.content_text).not.toContain('Sign up for our newsletter');
+    expect(after.image_count).toBe(1);
+    expect(after.content_html).toContain(before.content_html.match(/src="([^"]+)"/)[1]);
+
+    const versions = await request(app).get(`/api/articles/${id}/versions`).set(createAuthHeaders()).expect(200);
+    expect(versions.body.versions).toHaveLength(1);
+  });
+
+  it('should reprocess every page of a multi-page article from its snapshot', async () => {
+    const second = 'Engineers rebuilt the old swing bridge so that trams and ships could share the narrow channel.';
+    pages['/story'] = storyPage(STORY, { after: '<a href="/story?page=2">Next</a>' });
+    pages['/story?page=2'] = storyPage(second);
+
+    const captured = await request(app)
+      .post('/api/articles/from-url')
+      .set(createAuthHeaders())
+      .send({ url: `${baseUrl}/story` })
+      .expect(202);
+    const { id } = (await waitForJob(app, captured)).result.article;
+    expect((await getArticle(id)).snapshot.pages).toBe(2);
+
+    await createRule({ pattern: '127.0.0.1/story', strip_selector: '.newsletter-signup' });
+    pages = {};
+
+    const job = await reprocess({ article_id: id });
+    expect(job.result.changed).toHaveLength(1);
+
+    const article = await getArticle(id);
+    expect(article.content_text).toContain(STORY);
+    expect(article.content_text).toContain(second);
+    expect(article.content_text).not.toContain('Sign up for our newsletter');
+  });
+
+  it('should list articles that no longer extract and leave them as they were', async () => {
+    const id = await captureHtml(storyPage(STORY), '/tram');
+    await createRule({ pattern: '127.0.0.1', strip_selector: 'body *' });
+
+    const job = await reprocess({ article_id: id });
+    expect(job.result).toMatchObject({ processed: 1, changed: [], unchanged: 0 });
+    expect(job.result.failed).toEqual([{ id, error: expect.stringMatching(/^Extraction failed/) }]);
+    expect((await getArticle(id)).content_text).toContain(STORY);
+  });
+
+  it('should skip articles without a snapshot', async () => {
+    const id = await captureHtml(storyPage(STORY), '/tram');
+    getConnection().prepare('DELETE FROM article_snapshots WHERE article_id = ?').run(id);
+
+    const body = await reprocess({ filter: { is_archived: false } }, 200);
+    expect(body).toMatchObject({ job: null, without_snapshot: 1 });
+  });
+
+  it('should require exactly one of article_id, filter or all', async () => {
+    await reprocess({}, 400);
+    await reprocess({ all: true, article_id: 1 }, 400);
+    await reprocess({ filter: { site: 'not a pattern/' } }, 400);
+
+    const missing = await reprocess({ article_id: 999 }, 404);
+    expect(missing.message).toBe('Article not found');
+  });
+});
@@ -0,0 +1,139 @@
+// Set test ID before any imports to ensure unique database file
+process.env.TEST_ID = 'search';
+
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import {
+  createTestApp,
+  setupTestDatabase,
+  cleanupTestDatabase,
+  createAuthHeaders,
+  waitForJob
+} from '../utils/testApp.js';
+import { getConnection } from '../../database/index.js';
+
+const FILLER = 'Lorem ipsum dolor sit amet, consectetur adipiscing elit. Sed do eiusmod tempor incididunt ut labore et dolore magna aliqua.';
+
+describe('Full-text Search Integration Tests', () => {
+  let app;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+
+    const articles = [
+      { title: 'Gardening basics', body: 'Tomatoes need sun. Watering daily keeps them healthy.', slug: 'garden' },
+      { title: 'Kitchen notes', body: 'A sauce made from tomatoes is mentioned once here.', slug: 'kitchen' },
+      { title: 'Tomatoes everywhere', body: 'This one talks about peppers instead.', slug: 'title-match' },
+      { title: 'Database internals', body: 'The write ahead log makes SQLite concurrent readers possible.', slug: 'db' },
+      // Unrelated articles so matching terms get a meaningful IDF for BM25
+      ...['Travel', 'Music', 'Cycling', 'Astronomy', 'Chess'].map(topic => ({
+        title: `${topic} journal`,
+        body: `Notes about ${topic.toLowerCase()} and nothing else.`,
+        slug: topic.toLowerCase()
+      }))
+    ];
+
+    for (const article of articles) {
+      const response = await request(app)
+        .post('/api/articles')
+        .set(createAuthHeaders())
+        .send({
+          html: `<html><head><title>${article.title}</title></head><body><article><h1>${article.title}</h1><p>${article.body}</p><p>${FILLER}</p></article></body></html>`,
+          url: `https://example.com/search-${article.slug}`
+        });
+      await waitForJob(app, response);
+    }
+  });
+
+  afterAll(() => {
+    cleanupTestDatabase();
+  });
+
+  async function search(query, extra = '') {
+    return request(app)
+      .get(`/api/articles?search=${encodeURIComponent(query)}${extra}`)
+      .set(createAuthHeaders());
+  }
+
+  it('should rank title matches first', async () => {
+    const response = await search('tomatoes');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.total).toBe(3);
+    expect(response.body.data.articles[0].title).toBe('Tomatoes everywhere');
+  });
+
+  it('should return snippets with marked matches', async () => {
+    const response = await search('watering');
+
+    expect(response.body.data.articles).toHaveLength(1);
+    expect(response.body.data.articles[0].snippet).toContain('<mark>Watering</mark>');
+  });
+
+  it('should support stemming and prefix queries', async () => {
+    const stemmed = await search('tomato');
+    expect(stemmed.body.data.total).toBe(3);
+
+    const prefix = await search('concurr*');
+    expect(prefix.body.data.articles.map(a => a.title)).toEqual(['Database internals']);
+  });
+
+  it('should support phrase queries', async () => {
+    const response = await search('"write ahead log"');
+    expect(response.body.data.total).toBe(1);
+
+    const reordered = await search('"ahead write log"');
+    expect(reordered.body.data.total).toBe(0);
+  });
+
+  it('should support boolean queries', async () => {
+    const or = await search('peppers OR sauce');
+    expect(or.body.data.total).toBe(2);
+
+    const not = await search('tomatoes -sauce');
+    expect(not.body.data.articles.map(a => a.title)).not.toContain('Kitchen notes');
+    expect(not.body.data.total).toBe(2);
+  });
+
+  it('should tolerate FTS syntax in user input', async () => {
+    const response = await search('tomatoes: (AND');
+    expect(response.status).toBe(200);
+  });
+
+  it('should honor an explicit sort order', async () => {
+    const response = await search('tomatoes', '&sort_by=title');
+    expect(response.body.data.articles.map(a => a.title)).toEqual([
+      'Gardening basics',
+      'Kitchen notes',
+      'Tomatoes everywhere'
+    ]);
+  });
+
+  it('should keep the index in sync on update and delete', async () => {
+    const db = getConnection();
+    const article = db.prepare("SELECT id FROM articles WHERE url = 'https://example.com/search-db'").get();
+
+    await request(app)
+      .put(`/api/articles/${article.id}`)
+      .set(createAuthHeaders())
+      .send({ title: 'Storage engines' });
+
+    expect((await search('storage')).body.data.total).toBe(1);
+
+    await request(app)
+      .delete(`/api/articles/${article.id}`)
+      .set(createAuthHeaders());
+
+    expect((await search('storage')).body.data.total).toBe(0);
+    expect((await search('concurrent')).body.data.total).toBe(0);
+  });
+
+  it('should not include snippets when not searching', async () => {
+    const response = await request(app)
+      .get('/api/articles')
+      .set(createAuthHeaders());
+
+    expect(response.body.data.articles[0]).not.toHaveProperty('snippet');
+  });
+});
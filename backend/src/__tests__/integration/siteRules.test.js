@@ -0,0 +1,231 @@
+// Set test ID before any imports to ensure unique database file
+process.env.TEST_ID = 'site-rules';
+// The fixture server listens on loopback, which outbound requests refuse by default
+process.env.OUTBOUND_ALLOWLIST = '127.0.0.1';
+
+import { describe, it, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import request from 'supertest';
+import http from 'http';
+import {
+  createTestApp,
+  setupTestDatabase,
+  cleanupTestDatabase,
+  resetTestDatabase,
+  createAuthHeaders,
+  waitForJob
+} from '../utils/testApp.js';
+import { getConnection } from '../../database/index.js';
+
+// Readability picks the long comment thread over the short story
+const PAGE = `<html><head><title>Daily News</title></head><body>
+  <div class="story-body">
+    <h1 class="story-title">Council Approves Tram Line</h1>
+    <span class="story-author">Sam Lee</span>
+    <p>The council approved the harbour tram line on Tuesday.</p>
+    <div class="newsletter-signup">Sign up for our newsletter</div>
+  </div>
+  <section class="comments">
+    ${'<p>A reader comment that goes on about something else entirely, at considerable length and with a lot of detail.</p>'.repeat(12)}
+  </section>
+</body></html>`;
+
+describe('Site Rules Integration Tests', () => {
+  let app;
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+
+    server = http.createServer((req, res) => {
+      if (req.url === '/news/tram') {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(PAGE);
+      } else if (req.url === '/app') {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end('<html><body><div id="root"></div></body></html>');
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    cleanupTestDatabase();
+  });
+
+  afterEach(async () => {
+    await resetTestDatabase();
+  });
+
+  async function createRule(data) {
+    const response = await request(app)
+      .post('/api/site-rules')
+      .set(createAuthHeaders())
+      .send(data)
+      .expect(201);
+    return response.body.rule;
+  }
+
+  async function capture(path) {
+    const response = await request(app)
+      .post('/api/articles/from-url')
+      .set(createAuthHeaders())
+      .send({ url: `${baseUrl}${path}` })
+      .expect(202);
+    return waitForJob(app, response);
+  }
+
+  const STORY_RULE = {
+    pattern: '127.0.0.1/news/*',
+    content_selector: '.story-body',
+    strip_selector: '.newsletter-signup, .story-title, .story-author',
+    title_selector: '.story-title',
+    author_selector: '.story-author'
+  };
+
+  describe('CRUD', () => {
+    it('should create, list, update and delete rules', async () => {
+      const rule = await createRule({ pattern: 'example.com', description: 'Example', readability_options: { charThreshold: 200 } });
+      expect(rule).toMatchObject({
+        pattern: 'example.com',
+        content_selector: null,
+        readability_options: { charThreshold: 200 },
+        is_enabled: true
+      });
+      await createRule({ pattern: 'example.com/blog/*', content_selector: 'article' });
+
+      const list = await request(app).get('/api/site-rules').set(createAuthHeaders()).expect(200);
+      expect(list.body.rules.map(item => item.pattern)).toEqual(['example.com/blog/*', 'example.com']);
+
+      const updated = await request(app)
+        .put(`/api/site-rules/${rule.id}`)
+        .set(createAuthHeaders())
+        .send({ content_selector: '#main', is_enabled: false })
+        .expect(200);
+      expect(updated.body.rule).toMatchObject({ content_selector: '#main', is_enabled: false, description: 'Example' });
+
+      await request(app).delete(`/api/site-rules/${rule.id}`).set(createAuthHeaders()).expect(200);
+      await request(app).get(`/api/site-rules/${rule.id}`).set(createAuthHeaders()).expect(404);
+      await request(app).delete(`/api/site-rules/${rule.id}`).set(createAuthHeaders()).expect(404);
+    });
+
+    it('should reject invalid patterns, selectors and options', async () => {
+      const invalid = [
+        { pattern: '*' },
+        { pattern: 'example.com', content_selector: 'div[' },
+        { pattern: 'example.com', lazy_image_attribute: 'data src' },
+        { pattern: 'example.com', readability_options: { debug: true } },
+        { pattern: 'example.com', readability_options: { charThreshold: -1 } }
+      ];
+
+      for (const data of invalid) {
+        await request(app).post('/api/site-rules').set(createAuthHeaders()).send(data).expect(400);
+      }
+    });
+  });
+
+  describe('Capturing', () => {
+    it('should apply the matching rule when capturing', async () => {
+      const without = await capture('/news/tram');
+      const before = getConnection().prepare('SELECT content_text FROM articles WHERE id = ?').get(without.result.article.id);
+      expect(before.content_text).toContain('reader comment');
+
+      await createRule(STORY_RULE);
+      const job = await capture('/news/tram');
+      expect(job.status).toBe('completed');
+
+      const article = getConnection().prepare('SELECT title, author, content_text FROM articles WHERE id = ?').get(job.result.article.id);
+      expect(article.title).toBe('Council Approves Tram Line');
+      expect(article.author).toBe('Sam Lee');
+      expect(article.content_text).toContain('approved the harbour tram line');
+      expect(article.content_text).not.toContain('reader comment');
+      expect(article.content_text).not.toContain('newsletter');
+    });
+
+    it('should skip disabled rules and rules for other pages', async () => {
+      await createRule({ ...STORY_RULE, is_enabled: false });
+      await createRule({ ...STORY_RULE, pattern: '127.0.0.1/sport/*' });
+
+      const job = await capture('/news/tram');
+      const article = getConnection().prepare('SELECT content_text FROM articles WHERE id = ?').get(job.result.article.id);
+      expect(article.content_text).toContain('reader comment');
+    });
+  });
+
+  describe('POST /api/site-rules/test', () => {
+    it('should preview a rule against HTML without saving', async () => {
+      const response = await request(app)
+        .post('/api/site-rules/test')
+        .set(createAuthHeaders())
+        .send({ rule: STORY_RULE, html: PAGE, url: `${baseUrl}/news/tram` })
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        success: true,
+        url_matches: true,
+        article: { title: 'Council Approves Tram Line', author: 'Sam Lee' }
+      });
+      expect(response.body.article.content_html).not.toContain('reader comment');
+      expect(getConnection().prepare('SELECT COUNT(*) as count FROM articles').get().count).toBe(0);
+    });
+
+    it('should use the saved rule for the URL when no rule is given', async () => {
+      await createRule(STORY_RULE);
+
+      const response = await request(app)
+        .post('/api/site-rules/test')
+        .set(createAuthHeaders())
+        .send({ html: PAGE, url: `${baseUrl}/news/tram` })
+        .expect(200);
+      expect(response.body.rule.pattern).toBe(STORY_RULE.pattern);
+      expect(response.body.article.title).toBe('Council Approves Tram Line');
+
+      const other = await request(app)
+        .post('/api/site-rules/test')
+        .set(createAuthHeaders())
+        .send({ html: PAGE, url: 'https://elsewhere.example/news/tram' })
+        .expect(200);
+      expect(other.body.rule).toBeNull();
+      expect(other.body.url_matches).toBeNull();
+    });
+
+    it('should test against the HTML kept for a failed capture', async () => {
+      const job = await capture('/app');
+      expect(job.status).toBe('failed');
+      const { id } = getConnection().prepare('SELECT id FROM articles WHERE capture_success = 0').get();
+
+      const failing = await request(app)
+        .post('/api/site-rules/test')
+        .set(createAuthHeaders())
+        .send({ article_id: id, rule: { pattern: '127.0.0.1', content_selector: '#root' } })
+        .expect(200);
+      expect(failing.body).toMatchObject({ success: false, url_matches: true, article: null });
+      expect(failing.body.error).toBeTruthy();
+
+      await request(app)
+        .post('/api/site-rules/test')
+        .set(createAuthHeaders())
+        .send({ article_id: id + 1000 })
+        .expect(404);
+    });
+
+    it('should require HTML and a URL, or an article', async () => {
+      await request(app)
+        .post('/api/site-rules/test')
+        .set(createAuthHeaders())
+        .send({ html: PAGE })
+        .expect(400);
+      await request(app)
+        .post('/api/site-rules/test')
+        .set(createAuthHeaders())
+        .send({ rule: { content_selector: 'div[' }, html: PAGE, url: `${baseUrl}/news/tram` })
+        .expect(400);
+    });
+  });
+});
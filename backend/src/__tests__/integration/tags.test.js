@@ -0,0 +1,221 @@
+// Set test ID before any imports to ensure unique database file
+process.env.TEST_ID = 'tags';
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import {
+  createTestApp,
+  setupTestDatabase,
+  cleanupTestDatabase,
+  resetTestDatabase,
+  createAuthHeaders,
+  waitForJob
+} from '../utils/testApp.js';
+
+describe('Tags API Integration Tests', () => {
+  let app;
+  let articleIds;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+  });
+
+  afterAll(() => {
+    cleanupTestDatabase();
+  });
+
+  beforeEach(async () => {
+    articleIds = [];
+    for (let i = 1; i <= 3; i++) {
+      const response = await request(app)
+        .post('/api/articles')
+        .set(createAuthHeaders())
+        .send({
+          html: `<html><body><article><h1>Tag Article ${i}</h1><p>Content for tag article ${i} with sufficient text.</p></article></body></html>`,
+          url: `https://example.com/tags-${i}`
+        });
+      const job = await waitForJob(app, response);
+      articleIds.push(job.result.article.id);
+    }
+  });
+
+  afterEach(async () => {
+    await resetTestDatabase();
+  });
+
+  async function tagArticle(id, tags) {
+    return request(app)
+      .put(`/api/articles/${id}`)
+      .set(createAuthHeaders())
+      .send({ tags });
+  }
+
+  async function listTags() {
+    const response = await request(app)
+      .get('/api/tags')
+      .set(createAuthHeaders());
+    return response.body.tags;
+  }
+
+  describe('PUT /api/articles/:id with tags', () => {
+    it('should assign tags to an article', async () => {
+      const response = await tagArticle(articleIds[0], ['science', 'Longread']);
+      expect(response.status).toBe(200);
+
+      const article = await request(app)
+        .get(`/api/articles/${articleIds[0]}`)
+        .set(createAuthHeaders());
+
+      expect(article.body.article.tags.map(t => t.name)).toEqual(['Longread', 'science']);
+    });
+
+    it('should replace existing tags and ignore case duplicates', async () => {
+      await tagArticle(articleIds[0], ['science', 'Longread']);
+      await tagArticle(articleIds[0], ['Science', 'science ', 'tech']);
+
+      const article = await request(app)
+        .get(`/api/articles/${articleIds[0]}`)
+        .set(createAuthHeaders());
+
+      expect(article.body.article.tags.map(t => t.name)).toEqual(['science', 'tech']);
+    });
+
+    it('should reject non-array tags', async () => {
+      const response = await tagArticle(articleIds[0], 'science');
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/articles?tag=', () => {
+    it('should filter articles by tag', async () => {
+      await tagArticle(articleIds[0], ['science']);
+      await tagArticle(articleIds[1], ['science', 'tech']);
+
+      const response = await request(app)
+        .get('/api/articles?tag=science')
+        .set(createAuthHeaders());
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.total).toBe(2);
+      response.body.data.articles.forEach(article => {
+        expect(article.tags.map(t => t.name)).toContain('science');
+      });
+    });
+
+    it('should match tag names case-insensitively', async () => {
+      await tagArticle(articleIds[0], ['Science']);
+
+      const response = await request(app)
+        .get('/api/articles?tag=science')
+        .set(createAuthHeaders());
+
+      expect(response.body.data.total).toBe(1);
+    });
+  });
+
+  describe('GET /api/tags', () => {
+    it('should list tags with article counts', async () => {
+      await tagArticle(articleIds[0], ['science']);
+      await tagArticle(articleIds[1], ['science', 'tech']);
+
+      const tags = await listTags();
+
+      expect(tags).toEqual([
+        expect.objectContaining({ name: 'science', article_count: 2 }),
+        expect.objectContaining({ name: 'tech', article_count: 1 })
+      ]);
+    });
+  });
+
+  describe('PUT /api/tags/:id', () => {
+    it('should rename a tag', async () => {
+      await tagArticle(articleIds[0], ['sceince']);
+      const [tag] = await listTags();
+
+      const response = await request(app)
+        .put(`/api/tags/${tag.id}`)
+        .set(createAuthHeaders())
+        .send({ name: 'science' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.tag.name).toBe('science');
+    });
+
+    it('should refuse to rename onto an existing tag', async () => {
+      await tagArticle(articleIds[0], ['science', 'tech']);
+      const [science] = await listTags();
+
+      const response = await request(app)
+        .put(`/api/tags/${science.id}`)
+        .set(createAuthHeaders())
+        .send({ name: 'Tech' });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should return 404 for non-existent tag', async () => {
+      const response = await request(app)
+        .put('/api/tags/999999')
+        .set(createAuthHeaders())
+        .send({ name: 'anything' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/tags/:id/merge', () => {
+    it('should move articles to the target tag and delete the source', async () => {
+      await tagArticle(articleIds[0], ['ml']);
+      await tagArticle(articleIds[1], ['ml', 'machine learning']);
+      await tagArticle(articleIds[2], ['machine learning']);
+      const tags = await listTags();
+      const source = tags.find(t => t.name === 'ml');
+      const target = tags.find(t => t.name === 'machine learning');
+
+      const response = await request(app)
+        .post(`/api/tags/${source.id}/merge`)
+        .set(createAuthHeaders())
+        .send({ targetId: target.id });
+
+      expect(response.status).toBe(200);
+
+      const remaining = await listTags();
+      expect(remaining).toEqual([
+        expect.objectContaining({ name: 'machine learning', article_count: 3 })
+      ]);
+    });
+
+    it('should reject merging a tag into itself', async () => {
+      await tagArticle(articleIds[0], ['science']);
+      const [tag] = await listTags();
+
+      const response = await request(app)
+        .post(`/api/tags/${tag.id}/merge`)
+        .set(createAuthHeaders())
+        .send({ targetId: tag.id });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('DELETE /api/tags/:id', () => {
+    it('should delete a tag but keep its articles', async () => {
+      await tagArticle(articleIds[0], ['science']);
+      const [tag] = await listTags();
+
+      const response = await request(app)
+        .delete(`/api/tags/${tag.id}`)
+        .set(createAuthHeaders());
+
+      expect(response.status).toBe(200);
+      expect(await listTags()).toHaveLength(0);
+
+      const article = await request(app)
+        .get(`/api/articles/${articleIds[0]}`)
+        .set(createAuthHeaders());
+      expect(article.status).toBe(200);
+      expect(article.body.article.tags).toEqual([]);
+    });
+  });
+});
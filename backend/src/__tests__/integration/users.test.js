@@ -0,0 +1,257 @@
+// Set test ID before any imports to ensure unique database file
+process.env.TEST_ID = 'users';
+
+import { describe, it, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import request from 'supertest';
+import {
+  createTestApp,
+  setupTestDatabase,
+  cleanupTestDatabase,
+  resetTestDatabase,
+  createAuthHeaders
+} from '../utils/testApp.js';
+import { getConnection } from '../../database/index.js';
+import articleProcessor from '../../services/articleProcessor.js';
+import jobQueue from '../../services/jobQueue.js';
+import settingsService from '../../services/settingsService.js';
+import { BOOTSTRAP_USER_ID } from '../../services/userService.js';
+
+describe('Users Integration Tests', () => {
+  let app;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+  });
+
+  afterAll(() => {
+    cleanupTestDatabase();
+  });
+
+  afterEach(async () => {
+    await resetTestDatabase();
+  });
+
+  async function createUser(data) {
+    const response = await request(app)
+      .post('/api/users')
+      .set(createAuthHeaders())
+      .send(data)
+      .expect(201);
+
+    return response.body;
+  }
+
+  function withKey(key) {
+    return { 'X-API-Key': key, 'Content-Type': 'application/json' };
+  }
+
+  function saveArticle(userId, url = 'https://example.com/shared') {
+    return articleProcessor.saveArticle(userId, {
+      url,
+      originalUrl: url,
+      title: 'Shared Article',
+      contentHtml: '<p>The quick brown fox jumps over the lazy dog.</p>',
+      contentText: 'The quick brown fox jumps over the lazy dog.',
+      excerpt: 'The quick brown fox',
+      wordCount: 9,
+      readingTimeMinutes: 1,
+      language: 'en',
+      hasImages: false,
+      imageCount: 0,
+      images: []
+    });
+  }
+
+  describe('User management', () => {
+    it('should create a user with an initial key', async () => {
+      const { user, key } = await createUser({ name: 'alice' });
+
+      expect(user).toMatchObject({ name: 'alice', is_admin: false });
+      expect(user).not.toHaveProperty('storage_key');
+      expect(key.key).toMatch(/^bd_[0-9a-f]{64}$/);
+
+      const me = await request(app)
+        .get('/api/keys/me')
+        .set(withKey(key.key))
+        .expect(200);
+      expect(me.body.user).toMatchObject({ id: user.id, name: 'alice', is_admin: false });
+
+      const list = await request(app)
+        .get('/api/users')
+        .set(createAuthHeaders())
+        .expect(200);
+      expect(list.body.users.map(u => u.name)).toEqual(['admin', 'alice']);
+    });
+
+    it('should reject duplicate names', async () => {
+      await createUser({ name: 'alice' });
+
+      const response = await request(app)
+        .post('/api/users')
+        .set(createAuthHeaders())
+        .send({ name: 'Alice' })
+        .expect(409);
+      expect(response.body.error).toBe('Conflict');
+    });
+
+    it('should only let admins manage users', async () => {
+      const { key } = await createUser({ name: 'alice' });
+
+      const response = await request(app)
+        .get('/api/users')
+        .set(withKey(key.key))
+        .expect(403);
+      expect(response.body.error).toBe('Forbidden');
+
+      const admin = await createUser({ name: 'bob', is_admin: true });
+      await request(app)
+        .get('/api/users')
+        .set(withKey(admin.key.key))
+        .expect(200);
+    });
+
+    it('should not delete the bootstrap user or the calling user', async () => {
+      const admin = await createUser({ name: 'bob', is_admin: true });
+
+      await request(app)
+        .delete(`/api/users/${BOOTSTRAP_USER_ID}`)
+        .set(withKey(admin.key.key))
+        .expect(400);
+
+      await request(app)
+        .delete(`/api/users/${admin.user.id}`)
+        .set(withKey(admin.key.key))
+        .expect(400);
+
+      await request(app)
+        .delete('/api/users/999999')
+        .set(createAuthHeaders())
+        .expect(404);
+    });
+
+    it('should delete a user together with their library', async () => {
+      const { user, key } = await createUser({ name: 'alice' });
+      await saveArticle(user.id);
+
+      await request(app)
+        .delete(`/api/users/${user.id}`)
+        .set(createAuthHeaders())
+        .expect(200);
+
+      const db = getConnection();
+      expect(db.prepare('SELECT COUNT(*) as count FROM articles WHERE user_id = ?').get(user.id).count).toBe(0);
+      expect(db.prepare('SELECT COUNT(*) as count FROM api_keys WHERE user_id = ?').get(user.id).count).toBe(0);
+
+      await request(app)
+        .get('/api/articles')
+        .set(withKey(key.key))
+        .expect(401);
+    });
+  });
+
+  describe('Library isolation', () => {
+    it('should keep articles separate', async () => {
+      const { key } = await createUser({ name: 'alice' });
+      const articleId = await saveArticle(BOOTSTRAP_USER_ID);
+
+      const list = await request(app)
+        .get('/api/articles')
+        .set(withKey(key.key))
+        .expect(200);
+      expect(list.body.data.articles).toHaveLength(0);
+
+      await request(app)
+        .get(`/api/articles/${articleId}`)
+        .set(withKey(key.key))
+        .expect(404);
+
+      await request(app)
+        .put(`/api/articles/${articleId}`)
+        .set(withKey(key.key))
+        .send({ is_archived: true })
+        .expect(404);
+
+      await request(app)
+        .delete(`/api/articles/${articleId}`)
+        .set(withKey(key.key))
+        .expect(404);
+
+      await request(app)
+        .get(`/api/articles/${articleId}/highlights`)
+        .set(withKey(key.key))
+        .expect(404);
+
+      await request(app)
+        .get(`/api/articles/${articleId}`)
+        .set(createAuthHeaders())
+        .expect(200);
+    });
+
+    it('should let two users save the same URL', async () => {
+      const { user } = await createUser({ name: 'alice' });
+
+      const adminArticleId = await saveArticle(BOOTSTRAP_USER_ID);
+      const aliceArticleId = await saveArticle(user.id);
+
+      expect(aliceArticleId).not.toBe(adminArticleId);
+    });
+
+    it('should keep tags separate', async () => {
+      const { key } = await createUser({ name: 'alice' });
+      const articleId = await saveArticle(BOOTSTRAP_USER_ID);
+
+      await request(app)
+        .put(`/api/articles/${articleId}`)
+        .set(createAuthHeaders())
+        .send({ tags: ['private'] })
+        .expect(200);
+
+      const tags = await request(app)
+        .get('/api/tags')
+        .set(withKey(key.key))
+        .expect(200);
+      expect(tags.body.tags).toHaveLength(0);
+    });
+
+    it('should keep settings separate', async () => {
+      const { key } = await createUser({ name: 'alice' });
+      settingsService.set(BOOTSTRAP_USER_ID, 'KINDLE_EMAIL', 'admin@kindle.com');
+
+      const response = await request(app)
+        .get('/api/settings')
+        .set(withKey(key.key))
+        .expect(200);
+      expect(response.body.settings).not.toHaveProperty('KINDLE_EMAIL');
+
+      settingsService.delete(BOOTSTRAP_USER_ID, 'KINDLE_EMAIL');
+    });
+
+    it('should hide other users\' EPUB exports and jobs', async () => {
+      const { key } = await createUser({ name: 'alice' });
+
+      const exportId = getConnection().prepare(`
+        INSERT INTO epub_exports (user_id, name, article_count, file_path, file_size) VALUES (?, ?, 1, ?, 1234)
+      `).run(BOOTSTRAP_USER_ID, 'Admin Digest', '/tmp/admin.epub').lastInsertRowid;
+
+      const exports = await request(app)
+        .get('/api/epub/exports')
+        .set(withKey(key.key))
+        .expect(200);
+      expect(exports.body.exports).toHaveLength(0);
+
+      await request(app)
+        .get(`/api/epub/exports/${exportId}`)
+        .set(withKey(key.key))
+        .expect(404);
+
+      jobQueue.register('test.private', async () => ({}));
+      const job = jobQueue.enqueue('test.private', {}, { userId: BOOTSTRAP_USER_ID });
+
+      await request(app)
+        .get(`/api/jobs/${job.id}`)
+        .set(withKey(key.key))
+        .expect(404);
+    });
+  });
+});
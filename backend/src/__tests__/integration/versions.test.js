@@ -0,0 +1,274 @@
+// Set test ID before any imports to ensure unique database file
+process.env.TEST_ID = 'versions';
+// The fixture server listens on loopback, which outbound requests refuse by default
+process.env.OUTBOUND_ALLOWLIST = '127.0.0.1';
+
+import { describe, it, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import request from 'supertest';
+import http from 'http';
+import sharp from 'sharp';
+import {
+  createTestApp,
+  setupTestDatabase,
+  cleanupTestDatabase,
+  resetTestDatabase,
+  createAuthHeaders,
+  waitForJob
+} from '../utils/testApp.js';
+import { getConnection } from '../../database/index.js';
+import imageStore from '../../services/imageStore.js';
+import articleVersionService from '../../services/articleVersionService.js';
+import userService, { BOOTSTRAP_USER_ID } from '../../services/userService.js';
+
+const ORIGINAL = 'The council approved the budget on Monday after a long debate about road repairs and school funding. Members of the public spoke for over an hour, and most supported the plan to resurface the high street before winter.';
+const CORRECTED = 'The council approved the budget on Tuesday after a long debate about road repairs and school funding. Members of the public spoke for over an hour, and most supported the plan to resurface the high street before winter. A final vote is due next month.';
+
+function articlePage(text, images = []) {
+  const tags = images.map(src => `<img src="${src}" alt="">`).join('');
+  return `<html><head><title>Budget</title></head><body><article><h1>Budget</h1>${tags}<p>${text}</p><p>${text}</p></article></body></html>`;
+}
+
+describe('Article Versions Integration Tests', () => {
+  let app;
+  let server;
+  let baseUrl;
+  let chart;
+  let page;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+
+    chart = await sharp({ create: { width: 40, height: 20, channels: 3, background: '#00ff00' } }).png().toBuffer();
+
+    server = http.createServer((req, res) => {
+      if (req.url === '/story' && page) {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(page);
+      } else if (req.url === '/chart.png') {
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        res.end(chart);
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await imageStore.removeStorage(userService.getStorageKey(BOOTSTRAP_USER_ID));
+    await new Promise(resolve => server.close(resolve));
+    cleanupTestDatabase();
+  });
+
+  afterEach(async () => {
+    articleVersionService.maxVersions = 20;
+    await resetTestDatabase();
+  });
+
+  async function capture(html) {
+    page = html;
+    const response = await request(app)
+      .post('/api/articles/from-url')
+      .set(createAuthHeaders())
+      .send({ url: `${baseUrl}/story` })
+      .expect(202);
+
+    const job = await waitForJob(app, response);
+    expect(job.status).toBe('completed');
+    return job.result.article.id;
+  }
+
+  async function refresh(id, html) {
+    page = html;
+    const response = await request(app)
+      .post(`/api/articles/${id}/refresh`)
+      .set(createAuthHeaders())
+      .expect(202);
+
+    return waitForJob(app, response);
+  }
+
+  async function getArticle(id) {
+    const response = await request(app)
+      .get(`/api/articles/${id}`)
+      .set(createAuthHeaders())
+      .expect(200);
+    return response.body.article;
+  }
+
+  async function listVersions(id) {
+    const response = await request(app)
+      .get(`/api/articles/${id}/versions`)
+      .set(createAuthHeaders())
+      .expect(200);
+    return response.body.versions;
+  }
+
+  it('should keep the previous text when a refresh changes it', async () => {
+    const id = await capture(articlePage(ORIGINAL));
+
+    const job = await refresh(id, articlePage(CORRECTED));
+    expect(job.status).toBe('completed');
+    expect(job.result).toMatchObject({ article: { id }, changed: true });
+    // "Monday" became "Tuesday" and a sentence was added, in both paragraphs
+    expect(job.result.diff.removed).toBeLessThan(job.result.diff.added);
+
+    expect((await getArticle(id)).content_text).toContain('on Tuesday');
+
+    const versions = await listVersions(id);
+    expect(versions).toHaveLength(1);
+    expect(versions[0]).toMatchObject({ id: job.result.versionId, title: 'Budget' });
+
+    const response = await request(app)
+      .get(`/api/articles/${id}/versions/${versions[0].id}`)
+      .set(createAuthHeaders())
+      .expect(200);
+
+    const { version } = response.body;
+    expect(version.content_text).toContain('on Monday');
+    expect(version.content_text).not.toContain('final vote');
+    expect(version.diff.changes).toEqual(expect.arrayContaining([
+      { type: 'removed', text: 'Monday' },
+      { type: 'added', text: 'Tuesday' }
+    ]));
+  });
+
+  it('should not add a version when the text is unchanged', async () => {
+    const id = await capture(articlePage(ORIGINAL));
+
+    const job = await refresh(id, articlePage(ORIGINAL));
+    expect(job.result).toMatchObject({ changed: false, versionId: null, diff: { added: 0, removed: 0 } });
+    expect(await listVersions(id)).toHaveLength(0);
+  });
+
+  it('should keep a version when the same URL is captured again', async () => {
+    const id = await capture(articlePage(ORIGINAL));
+    expect(await capture(articlePage(CORRECTED))).toBe(id);
+
+    expect(await listVersions(id)).toHaveLength(1);
+  });
+
+  it('should restore a version and keep the content it replaces', async () => {
+    const id = await capture(articlePage(ORIGINAL));
+    const { result } = await refresh(id, articlePage(CORRECTED));
+
+    // Highlight text that only the corrected version has
+    await request(app)
+      .post(`/api/articles/${id}/highlights`)
+      .set(createAuthHeaders())
+      .send({ exact: 'A final vote is due next month.' })
+      .expect(201);
+
+    const restored = await request(app)
+      .post(`/api/articles/${id}/versions/${result.versionId}/restore`)
+      .set(createAuthHeaders())
+      .expect(200);
+
+    const article = await getArticle(id);
+    expect(article.content_text).toContain('on Monday');
+    expect(article.content_text).not.toContain('final vote');
+
+    const versions = await listVersions(id);
+    expect(versions.map(version => version.id)).toEqual([restored.body.version_id, result.versionId]);
+
+    const { body } = await request(app)
+      .get(`/api/articles/${id}/versions/${restored.body.version_id}`)
+      .set(createAuthHeaders())
+      .expect(200);
+    expect(body.version.content_text).toContain('final vote');
+
+    const highlights = await request(app)
+      .get(`/api/articles/${id}/highlights`)
+      .set(createAuthHeaders())
+      .expect(200);
+    expect(highlights.body.highlights[0].is_orphaned).toBe(true);
+  });
+
+  it('should keep the images of earlier versions', async () => {
+    const id = await capture(articlePage(ORIGINAL, ['/chart.png']));
+    const [image] = getConnection().prepare('SELECT * FROM article_images WHERE article_id = ?').all(id);
+    const refs = () => getConnection().prepare('SELECT ref_count FROM image_blobs WHERE local_path IN (?, ?)')
+      .all(image.local_path, image.eink_path)
+      .map(row => row.ref_count);
+
+    const { result } = await refresh(id, articlePage(CORRECTED));
+    expect((await getArticle(id)).image_count).toBe(0);
+    // Held by the version alone
+    expect(refs()).toEqual([1, 1]);
+
+    await request(app)
+      .post(`/api/articles/${id}/versions/${result.versionId}/restore`)
+      .set(createAuthHeaders())
+      .expect(200);
+
+    const article = await getArticle(id);
+    expect(article.image_count).toBe(1);
+    expect(article.content_html).toContain(image.local_path);
+    // The article and the version it was restored from
+    expect(refs()).toEqual([2, 2]);
+
+    await request(app)
+      .delete(`/api/articles/${id}`)
+      .set(createAuthHeaders())
+      .expect(200);
+    expect(refs()).toEqual([0, 0]);
+  });
+
+  it('should keep only the newest versions', async () => {
+    articleVersionService.maxVersions = 2;
+    const id = await capture(articlePage(ORIGINAL));
+
+    for (const edition of ['one', 'two', 'three']) {
+      await refresh(id, articlePage(`${CORRECTED} Update ${edition}.`));
+    }
+
+    const versions = await listVersions(id);
+    expect(versions).toHaveLength(2);
+
+    const { body } = await request(app)
+      .get(`/api/articles/${id}/versions/${versions[0].id}`)
+      .set(createAuthHeaders())
+      .expect(200);
+    expect(body.version.content_text).toContain('Update two.');
+  });
+
+  it('should leave the article alone when the page can no longer be fetched', async () => {
+    const id = await capture(articlePage(ORIGINAL));
+
+    const job = await refresh(id, null);
+    expect(job.status).toBe('failed');
+    expect(job.error).toMatch(/HTTP 404/);
+
+    const article = await getArticle(id);
+    expect(article.capture_success).toBe(1);
+    expect(article.content_text).toContain('on Monday');
+    expect(await listVersions(id)).toHaveLength(0);
+  });
+
+  it('should 404 for unknown articles and versions', async () => {
+    const id = await capture(articlePage(ORIGINAL));
+
+    await request(app)
+      .post('/api/articles/99999/refresh')
+      .set(createAuthHeaders())
+      .expect(404);
+
+    await request(app)
+      .get(`/api/articles/${id}/versions/99999`)
+      .set(createAuthHeaders())
+      .expect(404);
+
+    await request(app)
+      .post(`/api/articles/${id}/versions/99999/restore`)
+      .set(createAuthHeaders())
+      .expect(404);
+
+    await request(app)
+      .get('/api/articles/99999/versions')
+      .set(createAuthHeaders())
+      .expect(404);
+  });
+});
@@ -0,0 +1,276 @@
+// Set test ID before any imports to ensure unique database file
+process.env.TEST_ID = 'webhooks';
+// Deliveries go to a receiver on loopback, which is blocked by default
+process.env.OUTBOUND_ALLOWLIST = '127.0.0.1';
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import crypto from 'crypto';
+import http from 'http';
+import request from 'supertest';
+import {
+  createTestApp,
+  setupTestDatabase,
+  cleanupTestDatabase,
+  resetTestDatabase,
+  createAuthHeaders
+} from '../utils/testApp.js';
+import { getConnection } from '../../database/index.js';
+import articleProcessor from '../../services/articleProcessor.js';
+import eventBus from '../../services/eventBus.js';
+import jobQueue from '../../services/jobQueue.js';
+import { BOOTSTRAP_USER_ID } from '../../services/userService.js';
+
+describe('Webhooks API Integration Tests', () => {
+  let app;
+  let receiver;
+  let receiverUrl;
+  let received;
+  let respondWith;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+
+    // Local endpoint that records what it receives
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(respondWith());
+        res.end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+    cleanupTestDatabase();
+  });
+
+  beforeEach(() => {
+    received = [];
+    respondWith = () => 200;
+  });
+
+  afterEach(async () => {
+    await resetTestDatabase();
+  });
+
+  async function createWebhook(data = {}) {
+    const response = await request(app)
+      .post('/api/webhooks')
+      .set(createAuthHeaders())
+      .send({ url: receiverUrl, ...data })
+      .expect(201);
+
+    return response.body.webhook;
+  }
+
+  function saveArticle() {
+    return articleProcessor.saveArticle(BOOTSTRAP_USER_ID, {
+      url: 'https://example.com/hooked',
+      originalUrl: 'https://example.com/hooked',
+      title: 'Hooked Article',
+      contentHtml: '<p>Hooked</p>',
+      contentText: 'Hooked',
+      excerpt: 'Hooked',
+      wordCount: 1,
+      readingTimeMinutes: 1,
+      language: 'en',
+      hasImages: false,
+      imageCount: 0
+    });
+  }
+
+  /**
+   * Make every queued job ready now, skipping retry backoff
+   */
+  function skipBackoff() {
+    getConnection().prepare("UPDATE jobs SET run_at = datetime('now', '-1 seconds') WHERE status = 'queued'").run();
+  }
+
+  describe('Webhook management', () => {
+    it('should create a webhook and return its secret only once', async () => {
+      const webhook = await createWebhook({ events: ['article.created'], description: 'Wiki sync' });
+
+      expect(webhook).toMatchObject({
+        url: receiverUrl,
+        events: ['article.created'],
+        description: 'Wiki sync',
+        is_enabled: true
+      });
+      expect(webhook.secret).toMatch(/^[0-9a-f]{64}$/);
+
+      const list = await request(app)
+        .get('/api/webhooks')
+        .set(createAuthHeaders())
+        .expect(200);
+
+      expect(list.body.webhooks).toHaveLength(1);
+      expect(list.body.webhooks[0]).not.toHaveProperty('secret');
+      expect(list.body.available_events).toContain('kindle.failed');
+    });
+
+    it('should default to all events', async () => {
+      const webhook = await createWebhook();
+      expect(webhook.events).toEqual(['*']);
+    });
+
+    it('should reject unknown events and non-http URLs', async () => {
+      await request(app)
+        .post('/api/webhooks')
+        .set(createAuthHeaders())
+        .send({ url: receiverUrl, events: ['article.exploded'] })
+        .expect(400);
+
+      await request(app)
+        .post('/api/webhooks')
+        .set(createAuthHeaders())
+        .send({ url: 'ftp://example.com/hook' })
+        .expect(400);
+    });
+
+    it('should update and delete a webhook', async () => {
+      const webhook = await createWebhook();
+
+      const updated = await request(app)
+        .put(`/api/webhooks/${webhook.id}`)
+        .set(createAuthHeaders())
+        .send({ is_enabled: false, events: ['epub.generated'] })
+        .expect(200);
+
+      expect(updated.body.webhook).toMatchObject({ is_enabled: false, events: ['epub.generated'] });
+
+      await request(app)
+        .delete(`/api/webhooks/${webhook.id}`)
+        .set(createAuthHeaders())
+        .expect(200);
+
+      await request(app)
+        .get(`/api/webhooks/${webhook.id}`)
+        .set(createAuthHeaders())
+        .expect(404);
+    });
+  });
+
+  describe('Deliveries', () => {
+    it('should deliver a signed payload for subscribed events', async () => {
+      const webhook = await createWebhook({ events: ['article.created'] });
+
+      const articleId = await saveArticle();
+      await jobQueue.drain();
+
+      expect(received).toHaveLength(1);
+      const [{ headers, body }] = received;
+
+      expect(headers['x-webhook-event']).toBe('article.created');
+      const expected = crypto.createHmac('sha256', webhook.secret).update(body).digest('hex');
+      expect(headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+
+      const payload = JSON.parse(body);
+      expect(payload.event).toBe('article.created');
+      expect(payload.data).toMatchObject({ id: articleId, url: 'https://example.com/hooked', title: 'Hooked Article' });
+
+      const deliveries = await request(app)
+        .get(`/api/webhooks/${webhook.id}/deliveries`)
+        .set(createAuthHeaders())
+        .expect(200);
+
+      expect(deliveries.body.deliveries).toHaveLength(1);
+      expect(deliveries.body.deliveries[0]).toMatchObject({
+        event: 'article.created',
+        status: 'success',
+        attempts: 1,
+        response_status: 200
+      });
+    });
+
+    it('should skip events the webhook is not subscribed to', async () => {
+      await createWebhook({ events: ['epub.generated'] });
+      await createWebhook({ events: ['article.created'], is_enabled: false });
+
+      await saveArticle();
+      await jobQueue.drain();
+
+      expect(received).toHaveLength(0);
+    });
+
+    it('should deliver archive events', async () => {
+      await createWebhook({ events: ['article.archived'] });
+      const articleId = await saveArticle();
+
+      await request(app)
+        .put(`/api/articles/${articleId}`)
+        .set(createAuthHeaders())
+        .send({ is_archived: true })
+        .expect(200);
+      await jobQueue.drain();
+
+      expect(received).toHaveLength(1);
+      expect(JSON.parse(received[0].body).data).toMatchObject({ id: articleId, is_archived: true });
+    });
+
+    it('should deliver Kindle results', async () => {
+      await createWebhook({ events: ['kindle.sent', 'kindle.failed'] });
+
+      eventBus.publish('kindle.failed', { filename: 'digest.epub', error: 'SMTP down' }, { userId: BOOTSTRAP_USER_ID });
+      await jobQueue.drain();
+
+      expect(received).toHaveLength(1);
+      expect(JSON.parse(received[0].body)).toMatchObject({
+        event: 'kindle.failed',
+        data: { filename: 'digest.epub', error: 'SMTP down' }
+      });
+    });
+
+    it('should retry failed deliveries with backoff', async () => {
+      const webhook = await createWebhook();
+      let calls = 0;
+      respondWith = () => (++calls === 1 ? 503 : 200);
+
+      await request(app)
+        .post(`/api/webhooks/${webhook.id}/test`)
+        .set(createAuthHeaders())
+        .expect(202);
+      await jobQueue.drain();
+
+      let [delivery] = (await request(app)
+        .get(`/api/webhooks/${webhook.id}/deliveries`)
+        .set(createAuthHeaders())).body.deliveries;
+      expect(delivery).toMatchObject({ event: 'ping', status: 'pending', attempts: 1, error: 'HTTP 503' });
+
+      skipBackoff();
+      await jobQueue.drain();
+
+      [delivery] = (await request(app)
+        .get(`/api/webhooks/${webhook.id}/deliveries`)
+        .set(createAuthHeaders())).body.deliveries;
+      expect(delivery).toMatchObject({ status: 'success', attempts: 2, response_status: 200, error: null });
+      expect(received).toHaveLength(2);
+    });
+
+    it('should mark a delivery failed after the last attempt', async () => {
+      const webhook = await createWebhook();
+      respondWith = () => 500;
+
+      await request(app)
+        .post(`/api/webhooks/${webhook.id}/test`)
+        .set(createAuthHeaders())
+        .expect(202);
+
+      const job = getConnection().prepare('SELECT max_attempts FROM jobs').get();
+      for (let attempt = 0; attempt < job.max_attempts; attempt++) {
+        skipBackoff();
+        await jobQueue.drain();
+      }
+
+      const [delivery] = (await request(app)
+        .get(`/api/webhooks/${webhook.id}/deliveries`)
+        .set(createAuthHeaders())).body.deliveries;
+      expect(delivery).toMatchObject({ status: 'failed', attempts: job.max_attempts, response_status: 500 });
+    });
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Build small PDF files for tests
+ * Each page is a list of lines ({ text, size, x, y }) set in Helvetica.
+ */
+export function buildPdf({ info = {}, pages }) {
+  const objects = [];
+  const add = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+  const escape = (text) => text.replace(/[\\()]/g, (char) => `\\${char}`);
+
+  const catalog = add(null);
+  const pageTree = add(null);
+  const font = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+  const pageIds = pages.map((lines) => {
+    const stream = lines
+      .map(({ text, size = 11, x = 72, y }) => `BT /F1 ${size} Tf ${x} ${y} Td (${escape(text)}) Tj ET`)
+      .join('\n');
+    const content = add(`<< /Length ${Buffer.byteLength(stream)} >>\nstream\n${stream}\nendstream`);
+    return add(`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 ${font} 0 R >> >> /Contents ${content} 0 R >>`);
+  });
+  objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+  objects[pageTree - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+  const infoId = add(`<< ${Object.entries(info).map(([key, value]) => `/${key} (${escape(value)})`).join(' ')} >>`);
+
+  let out = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(out);
+    out += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(out);
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, 'latin1');
+}
+
+/**
+ * Lay out paragraphs of text as lines down a page, from `y`
+ * @returns {Object[]} - Lines for buildPdf
+ */
+export function paragraphLines(paragraphs, { y = 700, size = 11, lineSpacing = 14, paragraphSpacing = 10, width = 80 } = {}) {
+  const lines = [];
+  for (const paragraph of paragraphs) {
+    const words = paragraph.split(' ');
+    let line = '';
+    for (const word of words) {
+      if (line && line.length + word.length + 1 > width) {
+        lines.push({ text: line, size, y });
+        y -= lineSpacing;
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    }
+    lines.push({ text: line, size, y });
+    y -= lineSpacing + paragraphSpacing;
+  }
+  return lines;
+}
@@ -3,6 +3,7 @@ import cors from 'cors';
 import helmet from 'helmet';
 import compression from 'compression';
 import fs from 'fs';
+import request from 'supertest';
 
 // Set test mode before importing any modules
 process.env.NODE_ENV = 'test';
@@ -10,13 +11,29 @@ process.env.TEST_MODE = 'true';
 
 import { closeConnection, initializeDatabase } from '../../database/index.js';
 import { ensureConfig } from '../../config.js';
-import { validateApiKey } from '../../middleware/auth.js';
+import { validateApiKey, validateApiKeyOrQuery, requireScope, requireAccess, requireAdmin } from '../../middleware/auth.js';
 import { errorHandler } from '../../middleware/errorHandler.js';
 
 // Import routes
 import articlesRouter from '../../routes/articles.js';
+import failedCapturesRouter from '../../routes/failedCaptures.js';
 import epubRouter from '../../routes/epub.js';
 import settingsRouter from '../../routes/settings.js';
+import tagsRouter from '../../routes/tags.js';
+import digestsRouter from '../../routes/digests.js';
+import importRouter from '../../routes/import.js';
+import exportRouter from '../../routes/export.js';
+import jobsRouter from '../../routes/jobs.js';
+import eventsRouter from '../../routes/events.js';
+import webhooksRouter from '../../routes/webhooks.js';
+import siteRulesRouter from '../../routes/siteRules.js';
+import apiKeysRouter from '../../routes/apiKeys.js';
+import usersRouter from '../../routes/users.js';
+import authRouter from '../../routes/auth.js';
+import imagesRouter from '../../routes/images.js';
+import jobQueue from '../../services/jobQueue.js';
+import { registerJobHandlers } from '../../services/jobHandlers.js';
+import webhookService from '../../services/webhookService.js';
 
 // Store test API key
 let testApiKey = null;
@@ -27,6 +44,10 @@ let testApiKey = null;
 export function createTestApp() {
   const app = express();
 
+  // Jobs are run explicitly by tests through waitForJob()
+  registerJobHandlers();
+  webhookService.start();
+
   // Middleware
   app.use(helmet());
   app.use(compression());
@@ -40,9 +61,22 @@ export function createTestApp() {
   });
 
   // API routes with authentication
-  app.use('/api/articles', validateApiKey, articlesRouter);
-  app.use('/api/epub', validateApiKey, epubRouter);
-  app.use('/api/settings', validateApiKey, settingsRouter);
+  app.use('/api/articles', validateApiKey, requireAccess('articles'), articlesRouter);
+  app.use('/api/failed-captures', validateApiKey, requireAccess('articles'), failedCapturesRouter);
+  app.use('/api/epub', validateApiKey, requireAccess('epub'), epubRouter);
+  app.use('/api/settings', validateApiKey, requireScope('settings:admin'), settingsRouter);
+  app.use('/api/tags', validateApiKey, requireAccess('articles'), tagsRouter);
+  app.use('/api/site-rules', validateApiKey, requireAccess('articles'), siteRulesRouter);
+  app.use('/api/digests', validateApiKey, requireAccess('epub'), digestsRouter);
+  app.use('/api/import', validateApiKey, requireAccess('articles'), importRouter);
+  app.use('/api/export', validateApiKey, exportRouter);
+  app.use('/api/jobs', validateApiKey, jobsRouter);
+  app.use('/api/events', validateApiKeyOrQuery, requireScope('articles:read'), eventsRouter);
+  app.use('/api/webhooks', validateApiKey, requireScope('settings:admin'), webhooksRouter);
+  app.use('/api/keys', validateApiKey, apiKeysRouter);
+  app.use('/api/users', validateApiKey, requireAdmin, usersRouter);
+  app.use('/api/images', validateApiKey, requireAdmin, imagesRouter);
+  app.use('/api/auth', authRouter);
 
   // Error handling
   app.use(errorHandler);
@@ -93,8 +127,30 @@ export async function resetTestDatabase() {
   const db = getConnection();
 
   try {
+    // Other users' rows cascade
+    db.exec('DELETE FROM users WHERE id != 1');
+    db.exec('UPDATE users SET password_hash = NULL');
+    db.exec('DELETE FROM sessions');
+    db.exec('DELETE FROM settings');
+    db.exec('DELETE FROM api_keys');
+    db.exec('DELETE FROM webhook_deliveries');
+    db.exec('DELETE FROM webhooks');
+    db.exec('DELETE FROM site_rules');
+    db.exec('DELETE FROM jobs');
+    db.exec('DELETE FROM imports');
+    db.exec('DELETE FROM digest_schedules');
     db.exec('DELETE FROM epub_exports');
+    db.exec('DELETE FROM article_version_images');
+    db.exec('DELETE FROM article_versions');
+    db.exec('DELETE FROM article_snapshots');
+    db.exec('DELETE FROM article_documents');
+    db.exec('DELETE FROM pdf_uploads');
     db.exec('DELETE FROM article_images');
+    db.exec('DELETE FROM image_blobs');
+    db.exec('DELETE FROM article_highlights');
+    db.exec('DELETE FROM article_url_aliases');
+    db.exec('DELETE FROM article_tags');
+    db.exec('DELETE FROM tags');
     db.exec('DELETE FROM articles');
   } catch (error) {
     // Ignore errors
@@ -117,3 +173,18 @@ export function createAuthHeaders() {
     'Content-Type': 'application/json'
   };
 }
+
+/**
+ * Run queued background jobs, then return the finished job
+ * @param {Object} app - Test app
+ * @param {Object} response - 202 response that carries the queued job
+ */
+export async function waitForJob(app, response) {
+  await jobQueue.drain();
+
+  const jobResponse = await request(app)
+    .get(`/api/jobs/${response.body.job.id}`)
+    .set(createAuthHeaders());
+
+  return jobResponse.body.job;
+}
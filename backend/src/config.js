@@ -46,6 +46,50 @@ export function ensureConfig() {
   return config;
 }
 
+/**
+ * Master secrets for encrypting secret settings
+ * SECRETS_MASTER_KEY (plus SECRETS_PREVIOUS_MASTER_KEYS while rotating) take
+ * precedence. Otherwise a key is generated into config.json on first use, so
+ * it is kept apart from the database and its backups.
+ * @returns {Object} - { current, previous: [], source: 'env' | 'config' }
+ */
+export function getMasterSecrets() {
+  if (process.env.SECRETS_MASTER_KEY) {
+    return {
+      current: process.env.SECRETS_MASTER_KEY,
+      previous: (process.env.SECRETS_PREVIOUS_MASTER_KEYS || '').split(',').map(key => key.trim()).filter(Boolean),
+      source: 'env'
+    };
+  }
+
+  const config = ensureConfig();
+  if (!config.secretsMasterKey) {
+    config.secretsMasterKey = crypto.randomBytes(32).toString('hex');
+    fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
+  }
+
+  return {
+    current: config.secretsMasterKey,
+    previous: config.previousSecretsMasterKeys || [],
+    source: 'config'
+  };
+}
+
+/**
+ * Replace the master secrets stored in config.json
+ * @param {Object} secrets - { current, previous }
+ */
+export function saveMasterSecrets({ current, previous = [] }) {
+  const config = ensureConfig();
+  config.secretsMasterKey = current;
+  if (previous.length > 0) {
+    config.previousSecretsMasterKeys = previous;
+  } else {
+    delete config.previousSecretsMasterKeys;
+  }
+  fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
+}
+
 /**
  * Load environment variables from .env file
  */
@@ -50,7 +50,7 @@ export function closeConnection() {
  */
 export async function initializeDatabase() {
   const { runMigrations } = await import('./migrations.js');
-  runMigrations();
+  await runMigrations();
   logger.info('Database initialized');
 }
 
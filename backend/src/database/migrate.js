@@ -9,7 +9,7 @@ console.log('========================================\n');
 
 try {
   // Run migrations
-  runMigrations();
+  await runMigrations();
 
   // Get status
   const status = getMigrationStatus();
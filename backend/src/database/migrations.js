@@ -1,7 +1,7 @@
 import Database from 'better-sqlite3';
 import path from 'path';
 import fs from 'fs';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
 import { getConfig } from '../config.js';
 import logger from '../utils/logger.js';
 
@@ -20,8 +20,10 @@ function getMigrationDb() {
 
 /**
  * Run all pending migrations
+ * `.sql` files are executed as-is; `.js` files export `up(db)`, which runs
+ * inside a transaction (for data migrations that need application code).
  */
-export function runMigrations() {
+export async function runMigrations() {
   const db = getMigrationDb();
 
   try {
@@ -45,7 +47,7 @@ export function runMigrations() {
     }
 
     const migrationFiles = fs.readdirSync(MIGRATIONS_DIR)
-      .filter(f => f.endsWith('.sql'))
+      .filter(f => f.endsWith('.sql') || f.endsWith('.js'))
       .sort();
 
     logger.info('Found migration files', { count: migrationFiles.length });
@@ -56,16 +58,20 @@ export function runMigrations() {
 
     // Apply pending migrations
     for (const file of migrationFiles) {
-      const migrationName = path.basename(file, '.sql');
+      const migrationName = path.basename(file, path.extname(file));
 
       if (!appliedNames.has(migrationName)) {
         logger.info(`Applying migration: ${migrationName}`);
 
         const migrationPath = path.join(MIGRATIONS_DIR, file);
-        const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
 
         // Execute migration
-        db.exec(migrationSQL);
+        if (file.endsWith('.js')) {
+          const migration = await import(pathToFileURL(migrationPath).href);
+          db.transaction(() => migration.up(db))();
+        } else {
+          db.exec(fs.readFileSync(migrationPath, 'utf8'));
+        }
 
         // Record migration
         db.prepare('INSERT INTO _migrations (name) VALUES (?)').run(migrationName);
@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+
+import crypto from 'crypto';
+import { initializeDatabase } from './index.js';
+import userService from '../services/userService.js';
+import sessionService from '../services/sessionService.js';
+import logger from '../utils/logger.js';
+
+// Usage: npm run reset-password -- <user name>   (defaults to admin)
+const name = process.argv[2] || 'admin';
+
+try {
+  await initializeDatabase();
+
+  const user = userService.findByName(name);
+  if (!user) {
+    console.error(`\n❌ No user named "${name}"\n`);
+    process.exit(1);
+  }
+
+  // Generated rather than typed, so it doesn't end up in the shell history
+  const password = crypto.randomBytes(12).toString('base64url');
+  await userService.setPassword(user.id, password);
+  sessionService.deleteUserSessions(user.id);
+
+  console.log('\n========================================');
+  console.log(`  🔑 New password for ${user.name}: ${password}`);
+  console.log('========================================');
+  console.log('  Log in to the web app and change it in Settings.\n');
+
+  process.exit(0);
+} catch (error) {
+  console.error('\n❌ Password reset failed:', error.message);
+  logger.error('Password reset failed', { error: error.message, stack: error.stack });
+  process.exit(1);
+}
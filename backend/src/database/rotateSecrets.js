@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+import crypto from 'crypto';
+import { initializeDatabase } from './index.js';
+import { getMasterSecrets, saveMasterSecrets } from '../config.js';
+import settingsService from '../services/settingsService.js';
+import logger from '../utils/logger.js';
+
+// Usage: npm run rotate-secrets
+// With SECRETS_MASTER_KEY set, put the new key there and the old one in
+// SECRETS_PREVIOUS_MASTER_KEYS first; this then only re-encrypts.
+try {
+  await initializeDatabase();
+
+  const secrets = getMasterSecrets();
+
+  if (secrets.source === 'config') {
+    // Keep the old key readable until every value has been re-encrypted
+    saveMasterSecrets({
+      current: crypto.randomBytes(32).toString('hex'),
+      previous: [secrets.current, ...secrets.previous]
+    });
+  }
+
+  const count = settingsService.reencryptSecrets();
+
+  if (secrets.source === 'config') {
+    saveMasterSecrets({ current: getMasterSecrets().current, previous: [] });
+  }
+
+  console.log('\n========================================');
+  console.log('  🔐 Master secret rotated');
+  console.log('========================================');
+  console.log(`  Secret settings re-encrypted: ${count}`);
+  if (secrets.source === 'env') {
+    console.log('  You can now remove SECRETS_PREVIOUS_MASTER_KEYS.');
+  }
+  console.log('========================================\n');
+
+  process.exit(0);
+} catch (error) {
+  console.error('\n❌ Rotation failed:', error.message);
+  logger.error('Secret rotation failed', { error: error.message, stack: error.stack });
+  process.exit(1);
+}
@@ -1,10 +1,21 @@
 -- Bookmark Digest Database Schema
 -- SQLite database with constraints and indexes
 
+-- User accounts (each user has their own library)
+CREATE TABLE IF NOT EXISTS users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE COLLATE NOCASE CHECK(length(name) > 0),
+  is_admin BOOLEAN DEFAULT 0,
+  storage_key TEXT NOT NULL UNIQUE,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  password_hash TEXT
+);
+
 -- Articles table
 CREATE TABLE IF NOT EXISTS articles (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
-  url TEXT NOT NULL UNIQUE,
+  user_id INTEGER NOT NULL,
+  url TEXT NOT NULL,
   original_url TEXT,
   title TEXT NOT NULL,
   content_html TEXT NOT NULL,
@@ -23,24 +34,166 @@ CREATE TABLE IF NOT EXISTS articles (
   capture_success BOOLEAN DEFAULT 1,
   capture_error TEXT,
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  -- SimHash of content_text (16 hex digits), for finding near-duplicates
+  content_simhash TEXT,
+  UNIQUE (user_id, url),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
+-- Tags table
+CREATE TABLE IF NOT EXISTS tags (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  name TEXT NOT NULL COLLATE NOCASE CHECK(length(name) > 0),
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, name),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
 
-
-
+-- Article-tag assignments
+CREATE TABLE IF NOT EXISTS article_tags (
+  article_id INTEGER NOT NULL,
+  tag_id INTEGER NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (article_id, tag_id),
+  FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE CASCADE,
+  FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+);
 
 -- Images table (for local image storage)
 CREATE TABLE IF NOT EXISTS article_images (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   article_id INTEGER NOT NULL,
   original_url TEXT NOT NULL,
-  local_path TEXT NOT NULL,
+  -- NULL while the download has failed
+  local_path TEXT,
   alt_text TEXT,
   width INTEGER,
   height INTEGER,
   size_bytes INTEGER,
   downloaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  -- Grayscale, dithered copy sized for e-readers (used in EPUBs)
+  eink_path TEXT,
+  status TEXT NOT NULL DEFAULT 'downloaded' CHECK(status IN ('downloaded', 'failed')),
+  -- Why the last download failed
+  error TEXT,
+  FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE CASCADE
+);
+
+-- Content-addressed image files, shared by article_images rows with the same local_path
+CREATE TABLE IF NOT EXISTS image_blobs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  local_path TEXT NOT NULL UNIQUE,
+  hash TEXT NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  -- Number of article_images and article_version_images rows using the file, kept by the triggers below
+  ref_count INTEGER NOT NULL DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  -- Last stored or (un)referenced; garbage collection waits a grace period after this
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Content an article had before it was re-captured (or restored over)
+CREATE TABLE IF NOT EXISTS article_versions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  article_id INTEGER NOT NULL,
+  title TEXT NOT NULL,
+  content_html TEXT NOT NULL,
+  content_text TEXT,
+  excerpt TEXT,
+  author TEXT,
+  site_name TEXT,
+  published_at DATETIME,
+  word_count INTEGER DEFAULT 0,
+  reading_time_minutes INTEGER DEFAULT 0,
+  language TEXT,
+  has_images BOOLEAN DEFAULT 0,
+  image_count INTEGER DEFAULT 0,
+  -- When this content was replaced
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE CASCADE
+);
+
+-- A version's images, so restoring it brings them back
+CREATE TABLE IF NOT EXISTS article_version_images (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  version_id INTEGER NOT NULL,
+  original_url TEXT NOT NULL,
+  local_path TEXT,
+  eink_path TEXT,
+  alt_text TEXT,
+  width INTEGER,
+  height INTEGER,
+  size_bytes INTEGER,
+  status TEXT NOT NULL DEFAULT 'downloaded',
+  error TEXT,
+  FOREIGN KEY (version_id) REFERENCES article_versions(id) ON DELETE CASCADE
+);
+
+-- Compressed page HTML each article was extracted from, one row per page,
+-- for extracting it again (and for retrying failed captures)
+CREATE TABLE IF NOT EXISTS article_snapshots (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  article_id INTEGER NOT NULL,
+  page INTEGER NOT NULL DEFAULT 1,
+  url TEXT NOT NULL,
+  encoding TEXT NOT NULL DEFAULT 'br' CHECK(encoding IN ('br', 'gzip')),
+  content BLOB NOT NULL,
+  -- Uncompressed size
+  size_bytes INTEGER NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (article_id, page),
+  FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE CASCADE
+);
+
+-- Original files of articles made from uploaded documents (PDFs)
+CREATE TABLE IF NOT EXISTS article_documents (
+  article_id INTEGER PRIMARY KEY,
+  filename TEXT NOT NULL,
+  content_type TEXT NOT NULL DEFAULT 'application/pdf',
+  content BLOB NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  sha256 TEXT NOT NULL,
+  page_count INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE CASCADE
+);
+
+-- Uploaded PDFs waiting for their capture job; removed when the job finishes or is deleted
+CREATE TABLE IF NOT EXISTS pdf_uploads (
+  job_id INTEGER PRIMARY KEY,
+  content BLOB NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE
+);
+
+-- URLs of articles merged into another, so saving them again updates that article
+CREATE TABLE IF NOT EXISTS article_url_aliases (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  url TEXT NOT NULL,
+  article_id INTEGER NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, url),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE CASCADE
+);
+
+-- Highlights and notes (text quote selector + offsets into content_text)
+CREATE TABLE IF NOT EXISTS article_highlights (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  article_id INTEGER NOT NULL,
+  exact TEXT NOT NULL CHECK(length(exact) > 0),
+  prefix TEXT DEFAULT '',
+  suffix TEXT DEFAULT '',
+  start_offset INTEGER NOT NULL CHECK(start_offset >= 0),
+  end_offset INTEGER NOT NULL CHECK(end_offset > start_offset),
+  note TEXT,
+  color TEXT NOT NULL DEFAULT 'yellow' CHECK(color IN ('yellow', 'green', 'blue', 'pink', 'purple')),
+  is_orphaned BOOLEAN DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE CASCADE
 );
 
@@ -53,14 +206,183 @@ CREATE TABLE IF NOT EXISTS epub_exports (
   file_size INTEGER CHECK(file_size > 0),
   sent_to_kindle BOOLEAN DEFAULT 0,
   sent_at DATETIME,
-  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  user_id INTEGER NOT NULL DEFAULT 1 REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Articles included in each EPUB export
+CREATE TABLE IF NOT EXISTS epub_export_articles (
+  export_id INTEGER NOT NULL,
+  article_id INTEGER NOT NULL,
+  PRIMARY KEY (export_id, article_id),
+  FOREIGN KEY (export_id) REFERENCES epub_exports(id) ON DELETE CASCADE,
+  FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE CASCADE
 );
 
--- Settings table
+-- Digest schedules (cron expression + article selection rule)
+CREATE TABLE IF NOT EXISTS digest_schedules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL CHECK(length(name) > 0),
+  cron_expression TEXT NOT NULL,
+  title_template TEXT NOT NULL DEFAULT 'Weekly Digest {date}',
+  exclude_archived BOOLEAN DEFAULT 1,
+  exclude_sent BOOLEAN DEFAULT 1,
+  max_articles INTEGER NOT NULL DEFAULT 10 CHECK(max_articles > 0),
+  max_reading_minutes INTEGER CHECK(max_reading_minutes IS NULL OR max_reading_minutes > 0),
+  archive_after_send BOOLEAN DEFAULT 0,
+  is_enabled BOOLEAN DEFAULT 1,
+  next_run_at DATETIME,
+  last_run_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  user_id INTEGER NOT NULL DEFAULT 1 REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Digest run history
+CREATE TABLE IF NOT EXISTS digest_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  schedule_id INTEGER NOT NULL,
+  trigger TEXT NOT NULL CHECK(trigger IN ('schedule', 'manual')),
+  status TEXT NOT NULL DEFAULT 'running' CHECK(status IN ('running', 'success', 'skipped', 'failed')),
+  export_id INTEGER,
+  article_count INTEGER DEFAULT 0,
+  error TEXT,
+  started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  finished_at DATETIME,
+  FOREIGN KEY (schedule_id) REFERENCES digest_schedules(id) ON DELETE CASCADE,
+  FOREIGN KEY (export_id) REFERENCES epub_exports(id) ON DELETE SET NULL
+);
+
+-- Library imports
+CREATE TABLE IF NOT EXISTS imports (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  source TEXT NOT NULL CHECK(source IN ('pocket', 'instapaper', 'pinboard', 'netscape')),
+  filename TEXT,
+  total_items INTEGER NOT NULL DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  user_id INTEGER NOT NULL DEFAULT 1 REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Bookmarks in each import and their fetch status
+CREATE TABLE IF NOT EXISTS import_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  import_id INTEGER NOT NULL,
+  url TEXT NOT NULL,
+  title TEXT,
+  tags TEXT,
+  is_archived BOOLEAN DEFAULT 0,
+  is_favorite BOOLEAN DEFAULT 0,
+  saved_at DATETIME,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'imported', 'duplicate', 'failed')),
+  article_id INTEGER,
+  error TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (import_id) REFERENCES imports(id) ON DELETE CASCADE,
+  FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE SET NULL
+);
+
+-- Persistent background job queue (captures, EPUB builds)
+CREATE TABLE IF NOT EXISTS jobs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  type TEXT NOT NULL,
+  payload TEXT NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'queued' CHECK(status IN ('queued', 'running', 'completed', 'failed')),
+  progress TEXT,
+  result TEXT,
+  error TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3 CHECK(max_attempts > 0),
+  run_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  started_at DATETIME,
+  finished_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Outbound webhook subscriptions
+CREATE TABLE IF NOT EXISTS webhooks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  url TEXT NOT NULL,
+  description TEXT,
+  events TEXT NOT NULL DEFAULT '["*"]',
+  secret TEXT NOT NULL,
+  is_enabled BOOLEAN DEFAULT 1,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  user_id INTEGER NOT NULL DEFAULT 1 REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Webhook delivery log
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  webhook_id INTEGER NOT NULL,
+  event TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'success', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  response_status INTEGER,
+  error TEXT,
+  duration_ms INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  delivered_at DATETIME,
+  FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+);
+
+-- Per-site extraction rules (pattern is a host or URL glob)
+CREATE TABLE IF NOT EXISTS site_rules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  pattern TEXT NOT NULL,
+  description TEXT,
+  content_selector TEXT,
+  strip_selector TEXT,
+  title_selector TEXT,
+  author_selector TEXT,
+  date_selector TEXT,
+  lazy_image_attribute TEXT,
+  readability_options TEXT NOT NULL DEFAULT '{}',
+  is_enabled BOOLEAN DEFAULT 1,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Named API keys (only a SHA-256 hash of each key is stored)
+CREATE TABLE IF NOT EXISTS api_keys (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  label TEXT NOT NULL,
+  key_prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  scopes TEXT NOT NULL DEFAULT '[]',
+  expires_at DATETIME,
+  last_used_at DATETIME,
+  revoked_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  user_id INTEGER NOT NULL DEFAULT 1 REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Browser sessions (only a SHA-256 hash of each session token is stored)
+CREATE TABLE IF NOT EXISTS sessions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  user_agent TEXT,
+  expires_at DATETIME NOT NULL,
+  last_used_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Settings table (per user)
 CREATE TABLE IF NOT EXISTS settings (
-  key TEXT PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  key TEXT NOT NULL,
   value TEXT NOT NULL,
-  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, key),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
 -- Migrations tracking table
@@ -71,6 +393,7 @@ CREATE TABLE IF NOT EXISTS _migrations (
 );
 
 -- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_articles_user_id_created_at ON articles(user_id, created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_articles_created_at ON articles(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_articles_title ON articles(title);
 CREATE INDEX IF NOT EXISTS idx_articles_is_archived ON articles(is_archived);
@@ -80,6 +403,96 @@ CREATE INDEX IF NOT EXISTS idx_articles_language ON articles(language);
 CREATE INDEX IF NOT EXISTS idx_articles_capture_success ON articles(capture_success);
 
 CREATE INDEX IF NOT EXISTS idx_article_images_article_id ON article_images(article_id);
+CREATE INDEX IF NOT EXISTS idx_article_versions_article_id ON article_versions(article_id);
+CREATE INDEX IF NOT EXISTS idx_article_version_images_version_id ON article_version_images(version_id);
+CREATE INDEX IF NOT EXISTS idx_article_url_aliases_article_id ON article_url_aliases(article_id);
+CREATE INDEX IF NOT EXISTS idx_article_tags_tag_id ON article_tags(tag_id);
+CREATE INDEX IF NOT EXISTS idx_article_highlights_article_id ON article_highlights(article_id);
+CREATE INDEX IF NOT EXISTS idx_epub_export_articles_article_id ON epub_export_articles(article_id);
+CREATE INDEX IF NOT EXISTS idx_digest_schedules_next_run_at ON digest_schedules(next_run_at);
+CREATE INDEX IF NOT EXISTS idx_digest_runs_schedule_id ON digest_runs(schedule_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_import_items_import_id ON import_items(import_id);
+CREATE INDEX IF NOT EXISTS idx_import_items_status ON import_items(status);
+CREATE INDEX IF NOT EXISTS idx_import_items_url ON import_items(url);
+CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at ON jobs(status, run_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_epub_exports_user_id ON epub_exports(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_site_rules_user_id ON site_rules(user_id);
+CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at);
+CREATE INDEX IF NOT EXISTS idx_image_blobs_unreferenced ON image_blobs(ref_count, updated_at);
+
+-- Full-text search index (FTS5, external content)
+CREATE VIRTUAL TABLE IF NOT EXISTS articles_fts USING fts5(
+  title,
+  excerpt,
+  content_text,
+  content='articles',
+  content_rowid='id',
+  tokenize='porter unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS articles_fts_insert
+AFTER INSERT ON articles
+BEGIN
+  INSERT INTO articles_fts (rowid, title, excerpt, content_text)
+  VALUES (NEW.id, NEW.title, NEW.excerpt, NEW.content_text);
+END;
+
+CREATE TRIGGER IF NOT EXISTS articles_fts_delete
+AFTER DELETE ON articles
+BEGIN
+  INSERT INTO articles_fts (articles_fts, rowid, title, excerpt, content_text)
+  VALUES ('delete', OLD.id, OLD.title, OLD.excerpt, OLD.content_text);
+END;
+
+CREATE TRIGGER IF NOT EXISTS articles_fts_update
+AFTER UPDATE OF title, excerpt, content_text ON articles
+BEGIN
+  INSERT INTO articles_fts (articles_fts, rowid, title, excerpt, content_text)
+  VALUES ('delete', OLD.id, OLD.title, OLD.excerpt, OLD.content_text);
+  INSERT INTO articles_fts (rowid, title, excerpt, content_text)
+  VALUES (NEW.id, NEW.title, NEW.excerpt, NEW.content_text);
+END;
+
+-- Image reference counts (both the web and the e-ink file count)
+CREATE TRIGGER IF NOT EXISTS article_images_blob_ref
+AFTER INSERT ON article_images
+BEGIN
+  UPDATE image_blobs SET ref_count = ref_count + 1, updated_at = CURRENT_TIMESTAMP
+  WHERE local_path IN (NEW.local_path, NEW.eink_path);
+END;
+
+CREATE TRIGGER IF NOT EXISTS article_images_blob_unref
+AFTER DELETE ON article_images
+BEGIN
+  UPDATE image_blobs SET ref_count = ref_count - 1, updated_at = CURRENT_TIMESTAMP
+  WHERE local_path IN (OLD.local_path, OLD.eink_path);
+END;
+
+CREATE TRIGGER IF NOT EXISTS article_images_blob_move
+AFTER UPDATE OF local_path, eink_path ON article_images
+BEGIN
+  UPDATE image_blobs SET ref_count = ref_count - 1, updated_at = CURRENT_TIMESTAMP
+  WHERE local_path IN (OLD.local_path, OLD.eink_path);
+  UPDATE image_blobs SET ref_count = ref_count + 1, updated_at = CURRENT_TIMESTAMP
+  WHERE local_path IN (NEW.local_path, NEW.eink_path);
+END;
+
+CREATE TRIGGER IF NOT EXISTS article_version_images_blob_ref
+AFTER INSERT ON article_version_images
+BEGIN
+  UPDATE image_blobs SET ref_count = ref_count + 1, updated_at = CURRENT_TIMESTAMP
+  WHERE local_path IN (NEW.local_path, NEW.eink_path);
+END;
+
+CREATE TRIGGER IF NOT EXISTS article_version_images_blob_unref
+AFTER DELETE ON article_version_images
+BEGIN
+  UPDATE image_blobs SET ref_count = ref_count - 1, updated_at = CURRENT_TIMESTAMP
+  WHERE local_path IN (OLD.local_path, OLD.eink_path);
+END;
 
 -- Triggers for updated_at
 CREATE TRIGGER IF NOT EXISTS update_articles_timestamp
@@ -91,5 +504,48 @@ END;
 CREATE TRIGGER IF NOT EXISTS update_settings_timestamp
 AFTER UPDATE ON settings
 BEGIN
-  UPDATE settings SET updated_at = CURRENT_TIMESTAMP WHERE key = NEW.key;
+  UPDATE settings SET updated_at = CURRENT_TIMESTAMP WHERE user_id = NEW.user_id AND key = NEW.key;
+END;
+
+CREATE TRIGGER IF NOT EXISTS update_article_highlights_timestamp
+AFTER UPDATE ON article_highlights
+BEGIN
+  UPDATE article_highlights SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS update_digest_schedules_timestamp
+AFTER UPDATE ON digest_schedules
+BEGIN
+  UPDATE digest_schedules SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS update_import_items_timestamp
+AFTER UPDATE ON import_items
+BEGIN
+  UPDATE import_items SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS update_jobs_timestamp
+AFTER UPDATE ON jobs
+BEGIN
+  UPDATE jobs SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS pdf_uploads_job_finished
+AFTER UPDATE OF status ON jobs
+WHEN NEW.status IN ('completed', 'failed')
+BEGIN
+  DELETE FROM pdf_uploads WHERE job_id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS update_webhooks_timestamp
+AFTER UPDATE ON webhooks
+BEGIN
+  UPDATE webhooks SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS update_site_rules_timestamp
+AFTER UPDATE ON site_rules
+BEGIN
+  UPDATE site_rules SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
 END;
@@ -6,7 +6,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { getConfig } from './config.js';
 import logger from './utils/logger.js';
-import { validateApiKey } from './middleware/auth.js';
+import { validateApiKey, validateApiKeyOrQuery, requireScope, requireAccess, requireAdmin } from './middleware/auth.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
 import { apiLimiter } from './middleware/rateLimiter.js';
 import { initializeDatabase } from './database/index.js';
@@ -16,13 +16,31 @@ const __dirname = path.dirname(__filename);
 
 // Import routes
 import articlesRouter from './routes/articles.js';
+import failedCapturesRouter from './routes/failedCaptures.js';
 import epubRouter from './routes/epub.js';
+import tagsRouter from './routes/tags.js';
+import digestsRouter from './routes/digests.js';
+import importRouter from './routes/import.js';
+import exportRouter from './routes/export.js';
+import jobsRouter from './routes/jobs.js';
+import eventsRouter from './routes/events.js';
+import webhooksRouter from './routes/webhooks.js';
+import siteRulesRouter from './routes/siteRules.js';
+import apiKeysRouter from './routes/apiKeys.js';
+import usersRouter from './routes/users.js';
+import authRouter from './routes/auth.js';
+import imagesRouter from './routes/images.js';
 
 import settingsRouter from './routes/settings.js';
 
 // Import services
 import kindleService from './services/kindleService.js';
-import settingsService from './services/settingsService.js';
+import digestScheduler from './services/digestScheduler.js';
+import importService from './services/importService.js';
+import jobQueue from './services/jobQueue.js';
+import { registerJobHandlers } from './services/jobHandlers.js';
+import webhookService from './services/webhookService.js';
+import imageStore from './services/imageStore.js';
 
 const app = express();
 const PORT = getConfig('PORT', 3000);
@@ -70,15 +88,30 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Serve static images (no auth required for images)
+// Serve static images (no auth required for images; each user's images live
+// under a random directory name that only their own articles reference)
 const imagesDir = path.join(__dirname, '../images');
 app.use('/images', express.static(imagesDir));
 
 // API routes with authentication
-app.use('/api/articles', validateApiKey, apiLimiter, articlesRouter);
-app.use('/api/epub', validateApiKey, apiLimiter, epubRouter);
-
-app.use('/api/settings', validateApiKey, apiLimiter, settingsRouter);
+app.use('/api/articles', validateApiKey, apiLimiter, requireAccess('articles'), articlesRouter);
+app.use('/api/failed-captures', validateApiKey, apiLimiter, requireAccess('articles'), failedCapturesRouter);
+app.use('/api/epub', validateApiKey, apiLimiter, requireAccess('epub'), epubRouter);
+app.use('/api/tags', validateApiKey, apiLimiter, requireAccess('articles'), tagsRouter);
+app.use('/api/site-rules', validateApiKey, apiLimiter, requireAccess('articles'), siteRulesRouter);
+app.use('/api/digests', validateApiKey, apiLimiter, requireAccess('epub'), digestsRouter);
+app.use('/api/import', validateApiKey, apiLimiter, requireAccess('articles'), importRouter);
+app.use('/api/export', validateApiKey, apiLimiter, exportRouter);
+app.use('/api/jobs', validateApiKey, apiLimiter, jobsRouter);
+app.use('/api/events', validateApiKeyOrQuery, apiLimiter, requireScope('articles:read'), eventsRouter);
+app.use('/api/webhooks', validateApiKey, apiLimiter, requireScope('settings:admin'), webhooksRouter);
+app.use('/api/keys', validateApiKey, apiLimiter, apiKeysRouter);
+app.use('/api/users', validateApiKey, apiLimiter, requireAdmin, usersRouter);
+app.use('/api/images', validateApiKey, apiLimiter, requireAdmin, imagesRouter);
+// Login and logout work without credentials; the router authenticates the rest
+app.use('/api/auth', apiLimiter, authRouter);
+
+app.use('/api/settings', validateApiKey, apiLimiter, requireScope('settings:admin'), settingsRouter);
 
 // API status endpoint (with auth)
 app.get('/api/status', validateApiKey, (req, res) => {
@@ -96,36 +129,39 @@ app.use(notFoundHandler);
 // Error handler (must be last)
 app.use(errorHandler);
 
-// Initialize database
+// Initialize database (before anything below touches it)
 try {
-  initializeDatabase();
+  await initializeDatabase();
   logger.info('Database initialized successfully');
 } catch (error) {
   logger.error('Failed to initialize database', { error: error.message });
   process.exit(1);
 }
 
-// Try to load Kindle configuration from database first, then fall back to environment
-try {
-  const smtpSettings = settingsService.getSmtpSettings();
-  if (settingsService.isSmtpConfigured()) {
-    kindleService.configure(smtpSettings);
-    logger.info('Kindle service configured from database settings');
-  } else {
-    // Database not configured, try loading from environment
-    const loadedFromEnv = kindleService.loadFromEnv();
-    if (!loadedFromEnv) {
-      logger.info('Kindle service not configured - waiting for SMTP settings via API');
-    }
-  }
-} catch (error) {
-  logger.warn('Failed to load Kindle configuration from database, trying environment', {
-    error: error.message
-  });
-  // Fall back to environment variables
-  kindleService.loadFromEnv();
+// Users keep their SMTP settings in the database; the environment only
+// provides a fallback for the bootstrap admin user
+if (!kindleService.loadFromEnv()) {
+  logger.info('No Kindle configuration in environment - users set up SMTP via the API');
 }
 
+// Start background job workers
+registerJobHandlers();
+jobQueue.start();
+
+// Deliver library events to webhooks
+webhookService.start();
+
+// Start scheduled digests
+digestScheduler.start();
+
+// Delete image files no article uses any more
+imageStore.start();
+
+// Resume fetching bookmarks left queued by an earlier import
+importService.processQueue().catch(error => {
+  logger.error('Import queue failed', { error: error.message });
+});
+
 // Start server
 app.listen(PORT, () => {
   logger.info(`Server started`, {
@@ -145,11 +181,17 @@ app.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  digestScheduler.stop();
+  imageStore.stop();
+  jobQueue.stop();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  digestScheduler.stop();
+  imageStore.stop();
+  jobQueue.stop();
   process.exit(0);
 });
 
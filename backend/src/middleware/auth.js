@@ -1,10 +1,38 @@
 import { ensureConfig } from '../config.js';
+import apiKeyService, { ADMIN_SCOPE } from '../services/apiKeyService.js';
+import userService, { BOOTSTRAP_USER_ID } from '../services/userService.js';
+import sessionService, { SESSION_COOKIE } from '../services/sessionService.js';
 import logger from '../utils/logger.js';
 
 const { apiKey: API_KEY } = ensureConfig();
 
+// The config.json key always has full access, as the bootstrap admin user
+const BOOTSTRAP_KEY = {
+  id: null,
+  user_id: BOOTSTRAP_USER_ID,
+  label: 'Bootstrap key (config.json)',
+  scopes: [ADMIN_SCOPE],
+  bootstrap: true
+};
+
+/**
+ * Read the session token from the request's cookies
+ * @returns {string|null}
+ */
+export function getSessionToken(req) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name === SESSION_COOKIE) {
+      return decodeURIComponent(value.join('=')) || null;
+    }
+  }
+  return null;
+}
+
 /**
- * Middleware to validate API key
+ * Middleware to validate API key, or the session cookie of a logged-in browser
+ * Sets req.apiKey and req.user (the key's owner). Sessions act as a key with
+ * full access to the user's own account, and also set req.session.
  */
 export function validateApiKey(req, res, next) {
   // Skip auth for health check
@@ -13,6 +41,11 @@ export function validateApiKey(req, res, next) {
   }
 
   const apiKey = req.headers['x-api-key'];
+  const sessionToken = !apiKey && getSessionToken(req);
+
+  if (sessionToken) {
+    return validateSession(req, res, next, sessionToken);
+  }
 
   if (!apiKey) {
     logger.warn('Unauthorized access attempt - Missing API key', {
@@ -25,7 +58,10 @@ export function validateApiKey(req, res, next) {
     });
   }
 
-  if (apiKey !== API_KEY) {
+  const key = apiKey === API_KEY ? BOOTSTRAP_KEY : apiKeyService.authenticate(apiKey);
+  const user = key && userService.getUser(key.user_id);
+
+  if (!user) {
     logger.warn('Unauthorized access attempt - Invalid API key', {
       ip: req.ip,
       path: req.path,
@@ -37,9 +73,107 @@ export function validateApiKey(req, res, next) {
     });
   }
 
+  req.apiKey = key;
+  req.user = user;
+  next();
+}
+
+function validateSession(req, res, next, token) {
+  const session = sessionService.authenticate(token);
+  const user = session && userService.getUser(session.user_id);
+
+  if (!user) {
+    logger.warn('Unauthorized access attempt - Invalid or expired session', {
+      ip: req.ip,
+      path: req.path
+    });
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Session expired. Please log in again.'
+    });
+  }
+
+  req.session = session;
+  req.apiKey = {
+    id: null,
+    user_id: user.id,
+    label: 'Browser session',
+    scopes: [ADMIN_SCOPE],
+    session: true
+  };
+  req.user = user;
   next();
 }
 
+/**
+ * Middleware to require a scope on the authenticated key
+ * @param {string} scope - e.g. 'settings:admin'
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (apiKeyService.hasScope(req.apiKey?.scopes || [], scope)) {
+      return next();
+    }
+
+    logger.warn('Forbidden - API key lacks scope', {
+      keyId: req.apiKey?.id,
+      scope,
+      method: req.method,
+      path: req.path
+    });
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `API key lacks required scope: ${scope}`
+    });
+  };
+}
+
+/**
+ * Middleware to require `<resource>:read` for reads and `<resource>:write` otherwise
+ * @param {string} resource - e.g. 'articles'
+ */
+export function requireAccess(resource) {
+  const read = requireScope(`${resource}:read`);
+  const write = requireScope(`${resource}:write`);
+
+  return (req, res, next) => {
+    const isRead = req.method === 'GET' || req.method === 'HEAD';
+    return (isRead ? read : write)(req, res, next);
+  };
+}
+
+/**
+ * Middleware to require an admin user with an admin-scoped key
+ * Needed for instance-wide actions (users, image storage); settings:admin alone only covers the key's own account.
+ */
+export function requireAdmin(req, res, next) {
+  if (req.user?.is_admin && apiKeyService.hasScope(req.apiKey?.scopes || [], ADMIN_SCOPE)) {
+    return next();
+  }
+
+  logger.warn('Forbidden - admin user required', {
+    userId: req.user?.id,
+    method: req.method,
+    path: req.path
+  });
+  return res.status(403).json({
+    error: 'Forbidden',
+    message: 'Only admin users can do this'
+  });
+}
+
+/**
+ * Middleware to validate API key from the header or an `api_key` query param
+ * Only for streams opened with EventSource, which can't send headers.
+ */
+export function validateApiKeyOrQuery(req, res, next) {
+  if (!req.headers['x-api-key'] && typeof req.query.api_key === 'string') {
+    req.headers['x-api-key'] = req.query.api_key;
+  }
+
+  return validateApiKey(req, res, next);
+}
+
 /**
  * Get API key (for testing/verification)
  */
@@ -47,4 +181,4 @@ export function getApiKey() {
   return API_KEY;
 }
 
-export default { validateApiKey, getApiKey };
+export default { validateApiKey, validateApiKeyOrQuery, requireScope, requireAccess, requireAdmin, getApiKey, getSessionToken };
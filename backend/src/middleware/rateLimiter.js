@@ -94,7 +94,32 @@ export const articleCreationLimiter = createRateLimiter({
   }
 });
 
+/**
+ * Rate limiter for login attempts (only failed attempts count)
+ */
+export const loginLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 failed logins per 15 minutes
+  skipSuccessfulRequests: true,
+  message: {
+    error: 'Too Many Requests',
+    message: 'Too many failed login attempts. Please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.warn('Login rate limit exceeded', {
+      ip: req.ip,
+      path: req.path
+    });
+    res.status(429).json({
+      error: 'Too Many Requests',
+      message: 'Too many failed login attempts. Please try again later.'
+    });
+  }
+});
+
 // Export the createRateLimiter function for testing
 export { createRateLimiter };
 
-export default { apiLimiter, heavyOperationLimiter, articleCreationLimiter };
+export default { apiLimiter, heavyOperationLimiter, articleCreationLimiter, loginLimiter };
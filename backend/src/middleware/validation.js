@@ -1,6 +1,13 @@
 import pkg from 'express-validator';
 const { body, param, query, validationResult } = pkg;
 import logger from '../utils/logger.js';
+import { isValidCron } from '../utils/cron.js';
+import { IMPORT_FORMATS } from '../utils/importFormats.js';
+import { WEBHOOK_EVENTS } from '../services/webhookService.js';
+import { READABILITY_OPTIONS, SELECTOR_FIELDS, isValidSelector } from '../services/siteRuleService.js';
+import { isValidPattern } from '../utils/sitePattern.js';
+import { API_KEY_SCOPES } from '../services/apiKeyService.js';
+import { MIN_PASSWORD_LENGTH } from '../services/userService.js';
 
 /**
  * Validation middleware
@@ -21,6 +28,147 @@ export function validateRequest(req, res, next) {
   next();
 }
 
+/**
+ * Digest schedule fields
+ * @param {boolean} isUpdate - All fields optional when updating
+ */
+function digestScheduleRules(isUpdate) {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    required(body('name'))
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be 1-100 characters'),
+    required(body('cron_expression'))
+      .isString()
+      .trim()
+      .custom(value => isValidCron(value))
+      .withMessage('Invalid cron expression'),
+    body('title_template')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Title template must be 1-200 characters'),
+    body(['exclude_archived', 'exclude_sent', 'archive_after_send', 'is_enabled'])
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('Must be true or false'),
+    body('max_articles')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('max_articles must be between 1 and 100')
+      .toInt(),
+    body('max_reading_minutes')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 10000 })
+      .withMessage('max_reading_minutes must be a positive integer')
+      .toInt()
+  ];
+}
+
+/**
+ * Webhook fields
+ * @param {boolean} isUpdate - All fields optional when updating
+ */
+function webhookRules(isUpdate) {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    required(body('url'))
+      .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('Valid http(s) URL is required')
+      .isLength({ max: 2048 })
+      .withMessage('URL too long'),
+    body('events')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Events must be a non-empty array'),
+    body('events.*')
+      .isIn(['*', ...WEBHOOK_EVENTS])
+      .withMessage(`Events must be '*' or one of: ${WEBHOOK_EVENTS.join(', ')}`),
+    body('description')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Description must be at most 200 characters'),
+    body('secret')
+      .optional()
+      .isString()
+      .isLength({ min: 16, max: 200 })
+      .withMessage('Secret must be 16-200 characters'),
+    body('is_enabled')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('Must be true or false')
+  ];
+}
+
+/**
+ * Whether a value is an object of Readability options a site rule can override
+ */
+function isValidReadabilityOptions(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+  return Object.entries(value).every(([name, option]) => {
+    const type = READABILITY_OPTIONS[name];
+    if (type === 'number') return Number.isInteger(option) && option >= 0;
+    if (type === 'array') return Array.isArray(option) && option.every(item => typeof item === 'string');
+    return type !== undefined && typeof option === type;
+  });
+}
+
+/**
+ * Site rule fields
+ * @param {boolean} isUpdate - All fields optional when updating
+ * @param {string} prefix - Path of the rule in the body (for rules nested in another request)
+ */
+function siteRuleRules(isUpdate, prefix = '') {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    required(body(`${prefix}pattern`))
+      .isString()
+      .bail()
+      .isLength({ max: 500 })
+      .custom(value => isValidPattern(value))
+      .withMessage('Pattern must be a host or URL glob, e.g. example.com or *.example.com/blog/*'),
+    body(`${prefix}description`)
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Description must be at most 200 characters'),
+    body(SELECTOR_FIELDS.map(field => `${prefix}${field}`))
+      .optional({ nullable: true })
+      .isString()
+      .withMessage('Selectors must be strings')
+      .bail()
+      .isLength({ max: 1000 })
+      .withMessage('Selectors must be at most 1000 characters')
+      .custom(value => !value.trim() || isValidSelector(value))
+      .withMessage('Invalid CSS selector'),
+    body(`${prefix}lazy_image_attribute`)
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .matches(/^(?:[a-z][a-z0-9_.:-]*)?$/i)
+      .withMessage('Lazy image attribute must be an attribute name, e.g. data-original'),
+    body(`${prefix}readability_options`)
+      .optional({ nullable: true })
+      .custom(value => value === null || isValidReadabilityOptions(value))
+      .withMessage(`Readability options must be an object with any of: ${Object.keys(READABILITY_OPTIONS).join(', ')}`),
+    body(`${prefix}is_enabled`)
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('Must be true or false')
+  ];
+}
+
 /**
  * Common validation rules
  */
@@ -45,6 +193,31 @@ export const validationRules = {
 
   ],
 
+  // Server-side capture by URL
+  createArticleFromUrl: [
+    body('url')
+      .isURL({ protocols: ['http', 'https'], require_protocol: true })
+      .withMessage('Valid http(s) URL is required')
+      .isLength({ max: 2048 })
+      .withMessage('URL too long')
+  ],
+
+  // PDF upload (the file is the request body)
+  uploadArticle: [
+    query('url')
+      .optional()
+      .isURL({ protocols: ['http', 'https'], require_protocol: true })
+      .withMessage('url must be a valid http(s) URL')
+      .isLength({ max: 2048 })
+      .withMessage('URL too long'),
+    query('filename')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('filename must be 1-255 characters')
+  ],
+
   // Article ID parameter
   articleId: [
     param('id')
@@ -52,6 +225,56 @@ export const validationRules = {
       .withMessage('Valid article ID required')
   ],
 
+  // Failed capture retry
+  retryCapture: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid article ID required'),
+    body('refetch')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('refetch must be true or false')
+  ],
+
+  // Content supplied by hand for a failed capture
+  setCaptureContent: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid article ID required'),
+    body('title')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Title must be 1-500 characters'),
+    body('html')
+      .optional()
+      .isString()
+      .isLength({ max: 10000000 })
+      .withMessage('HTML content too large (max 10MB)'),
+    body('text')
+      .optional()
+      .isString()
+      .isLength({ max: 10000000 })
+      .withMessage('Text too large (max 10MB)'),
+    body()
+      .custom(value => Boolean(value.html?.trim?.() || value.text?.trim?.()))
+      .withMessage('html or text is required')
+  ],
+
+  // Article update
+  updateArticle: [
+    body('tags')
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage('tags must be an array (max 50)'),
+    body('tags.*')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Each tag must be 1-50 characters')
+  ],
+
   // Pagination and filtering
   listArticles: [
     query('page')
@@ -68,7 +291,170 @@ export const validationRules = {
       .isString()
       .trim()
       .isLength({ min: 1, max: 200 })
-      .withMessage('Search query too long')
+      .withMessage('Search query too long'),
+    query('tag')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Tag must be 1-50 characters'),
+    query('sort_by')
+      .optional()
+      .isIn(['created_at', 'created_at_asc', 'title', 'title_desc', 'reading_time', 'relevance'])
+      .withMessage('Invalid sort option')
+  ],
+
+  // Tag ID parameter
+  tagId: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid tag ID required')
+  ],
+
+  // Tag rename
+  renameTag: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid tag ID required'),
+    body('name')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Tag name must be 1-50 characters')
+  ],
+
+  // Tag merge
+  mergeTag: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid tag ID required'),
+    body('targetId')
+      .isInt({ min: 1 })
+      .withMessage('Valid target tag ID required')
+  ],
+
+  // Highlights
+  createHighlight: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid article ID required'),
+    body('exact')
+      .isString()
+      .isLength({ min: 1, max: 10000 })
+      .withMessage('Highlighted text must be 1-10000 characters'),
+    body('prefix')
+      .optional()
+      .isString()
+      .isLength({ max: 200 }),
+    body('suffix')
+      .optional()
+      .isString()
+      .isLength({ max: 200 }),
+    body('start')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('start must be a non-negative integer')
+      .toInt(),
+    body('note')
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 10000 })
+      .withMessage('Note must be at most 10000 characters'),
+    body('color')
+      .optional()
+      .isIn(['yellow', 'green', 'blue', 'pink', 'purple'])
+      .withMessage('Invalid highlight color')
+  ],
+
+  updateHighlight: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid article ID required'),
+    param('highlightId')
+      .isInt({ min: 1 })
+      .withMessage('Valid highlight ID required'),
+    body('note')
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 10000 })
+      .withMessage('Note must be at most 10000 characters'),
+    body('color')
+      .optional()
+      .isIn(['yellow', 'green', 'blue', 'pink', 'purple'])
+      .withMessage('Invalid highlight color')
+  ],
+
+  highlightId: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid article ID required'),
+    param('highlightId')
+      .isInt({ min: 1 })
+      .withMessage('Valid highlight ID required')
+  ],
+
+  versionId: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid article ID required'),
+    param('versionId')
+      .isInt({ min: 1 })
+      .withMessage('Valid version ID required')
+  ],
+
+  // Duplicate merge
+  mergeDuplicates: [
+    body('keep_id')
+      .isInt({ min: 1 })
+      .withMessage('keep_id must be a positive integer')
+      .toInt(),
+    body('article_ids')
+      .isArray({ min: 1, max: 100 })
+      .withMessage('article_ids must be an array of 1-100 article IDs'),
+    body('article_ids.*')
+      .isInt({ min: 1 })
+      .withMessage('Each article ID must be a positive integer')
+      .toInt(),
+    body('article_ids')
+      .custom((value, { req }) => value.some(id => id !== req.body.keep_id))
+      .withMessage('article_ids must include an article other than keep_id')
+  ],
+
+  // Extracting articles again from their snapshots
+  reprocessArticles: [
+    body('article_id')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('article_id must be a positive integer')
+      .toInt(),
+    body('filter')
+      .optional()
+      .isObject()
+      .withMessage('filter must be an object'),
+    body('filter.tag')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('filter.tag must be 1-50 characters'),
+    body(['filter.is_archived', 'filter.is_favorite'])
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('filter.is_archived and filter.is_favorite must be true or false'),
+    body('filter.site')
+      .optional()
+      .isString()
+      .trim()
+      .custom(value => isValidPattern(value))
+      .withMessage('filter.site must be a site pattern such as example.com or *.example.com/blog/*'),
+    body('all')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('all must be true or false'),
+    body()
+      .custom(value => [value.article_id !== undefined, value.filter !== undefined, value.all === true]
+        .filter(Boolean).length === 1)
+      .withMessage('Exactly one of article_id, filter or all: true is required')
   ],
 
   // EPUB generation
@@ -94,7 +480,199 @@ export const validationRules = {
       .isString()
       .trim()
       .isLength({ min: 1, max: 100 })
-      .withMessage('Author must be 1-100 characters')
+      .withMessage('Author must be 1-100 characters'),
+    body('imageVariant')
+      .optional()
+      .isIn(['eink', 'web'])
+      .withMessage('imageVariant must be eink or web'),
+    body('pdfMode')
+      .optional()
+      .isIn(['reflow', 'attach'])
+      .withMessage('pdfMode must be reflow or attach')
+  ],
+
+  // Digest schedules
+  digestScheduleId: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid schedule ID required')
+  ],
+
+  createDigestSchedule: digestScheduleRules(false),
+
+  updateDigestSchedule: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid schedule ID required'),
+    ...digestScheduleRules(true)
+  ],
+
+  // Library import
+  createImport: [
+    body('content')
+      .isString()
+      .notEmpty()
+      .withMessage('Import file content is required'),
+    body('format')
+      .optional()
+      .isIn(IMPORT_FORMATS)
+      .withMessage(`Format must be one of: ${IMPORT_FORMATS.join(', ')}`),
+    body('filename')
+      .optional()
+      .isString()
+      .isLength({ max: 255 })
+      .withMessage('Filename too long')
+  ],
+
+  importId: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid import ID required')
+  ],
+
+  jobId: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid job ID required')
+  ],
+
+  // Webhooks
+  createWebhook: webhookRules(false),
+
+  updateWebhook: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid webhook ID required'),
+    ...webhookRules(true)
+  ],
+
+  webhookId: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid webhook ID required')
+  ],
+
+  // Site rules
+  createSiteRule: siteRuleRules(false),
+
+  updateSiteRule: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid site rule ID required'),
+    ...siteRuleRules(true)
+  ],
+
+  siteRuleId: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid site rule ID required')
+  ],
+
+  testSiteRule: [
+    body('rule')
+      .optional({ nullable: true })
+      .isObject()
+      .withMessage('rule must be an object'),
+    ...siteRuleRules(true, 'rule.'),
+    body('article_id')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('article_id must be a positive integer')
+      .toInt(),
+    body('html')
+      .optional()
+      .isString()
+      .withMessage('html must be a string'),
+    body('url')
+      .optional()
+      .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('Valid http(s) URL is required'),
+    body()
+      .custom(value => value.article_id !== undefined || (value.html?.trim() && value.url))
+      .withMessage('article_id, or html and url, are required')
+  ],
+
+  // API keys
+  createApiKey: [
+    body('label')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Label must be 1-100 characters'),
+    body('scopes')
+      .isArray({ min: 1 })
+      .withMessage('At least one scope is required'),
+    body('scopes.*')
+      .isIn(API_KEY_SCOPES)
+      .withMessage(`Scopes must be one of: ${API_KEY_SCOPES.join(', ')}`),
+    body('expires_in_days')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 3650 })
+      .withMessage('expires_in_days must be between 1 and 3650')
+      .toInt()
+  ],
+
+  apiKeyId: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid API key ID required')
+  ],
+
+  createUser: [
+    body('name')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be 1-100 characters'),
+    body('is_admin')
+      .optional()
+      .isBoolean()
+      .withMessage('is_admin must be a boolean')
+      .toBoolean(),
+    body('password')
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ min: MIN_PASSWORD_LENGTH, max: 200 })
+      .withMessage(`Password must be ${MIN_PASSWORD_LENGTH}-200 characters`)
+  ],
+
+  setUserPassword: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid user ID required'),
+    body('password')
+      .isString()
+      .isLength({ min: MIN_PASSWORD_LENGTH, max: 200 })
+      .withMessage(`Password must be ${MIN_PASSWORD_LENGTH}-200 characters`)
+  ],
+
+  login: [
+    body('name')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Name is required'),
+    body('password')
+      .isString()
+      .notEmpty()
+      .withMessage('Password is required')
+  ],
+
+  changePassword: [
+    body('current_password')
+      .optional({ nullable: true })
+      .isString()
+      .withMessage('current_password must be a string'),
+    body('new_password')
+      .isString()
+      .isLength({ min: MIN_PASSWORD_LENGTH, max: 200 })
+      .withMessage(`New password must be ${MIN_PASSWORD_LENGTH}-200 characters`)
+  ],
+
+  userId: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid user ID required')
   ],
 
   // SMTP settings validation
@@ -0,0 +1,83 @@
+import express from 'express';
+import apiKeyService, { API_KEY_SCOPES, ADMIN_SCOPE } from '../services/apiKeyService.js';
+import { requireScope } from '../middleware/auth.js';
+import { validateRequest, validationRules } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/keys/me
+ * Describe the key used for this request and its user (any key)
+ */
+router.get('/me',
+  asyncHandler(async (req, res) => {
+    const { id, label, scopes, bootstrap = false } = req.apiKey;
+
+    res.json({
+      key: { id, label, scopes, bootstrap },
+      user: req.user
+    });
+  })
+);
+
+// Managing keys needs admin access to the account
+router.use(requireScope(ADMIN_SCOPE));
+
+/**
+ * GET /api/keys
+ * List the user's API keys and the scopes they can be granted
+ */
+router.get('/',
+  asyncHandler(async (req, res) => {
+    const keys = apiKeyService.listKeys(req.user.id);
+
+    res.json({
+      keys,
+      available_scopes: API_KEY_SCOPES
+    });
+  })
+);
+
+/**
+ * POST /api/keys
+ * Create API key (the key itself is only returned here)
+ */
+router.post('/',
+  validationRules.createApiKey,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const key = apiKeyService.createKey(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      key
+    });
+  })
+);
+
+/**
+ * DELETE /api/keys/:id
+ * Revoke API key
+ */
+router.delete('/:id',
+  validationRules.apiKeyId,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const key = apiKeyService.revokeKey(req.user.id, parseInt(req.params.id));
+
+    if (!key) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      key
+    });
+  })
+);
+
+export default router;
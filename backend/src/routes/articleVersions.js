@@ -0,0 +1,101 @@
+import express from 'express';
+import articleVersionService from '../services/articleVersionService.js';
+import { validateRequest, validationRules } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { getConnection } from '../database/index.js';
+
+// Mounted at /api/articles/:id/versions
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Respond 404 unless the article exists in the user's library
+ */
+function requireArticle(req, res, next) {
+  const db = getConnection();
+  const article = db.prepare('SELECT id FROM articles WHERE id = ? AND user_id = ?').get(req.params.id, req.user.id);
+
+  if (!article) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Article not found'
+    });
+  }
+
+  next();
+}
+
+/**
+ * GET /api/articles/:id/versions
+ * List earlier versions of an article, newest first
+ */
+router.get('/',
+  validationRules.articleId,
+  validateRequest,
+  requireArticle,
+  asyncHandler(async (req, res) => {
+    const versions = articleVersionService.listVersions(parseInt(req.params.id));
+
+    res.json({
+      versions
+    });
+  })
+);
+
+/**
+ * GET /api/articles/:id/versions/:versionId
+ * Get a version, with a word diff from it to the current text
+ */
+router.get('/:versionId',
+  validationRules.versionId,
+  validateRequest,
+  requireArticle,
+  asyncHandler(async (req, res) => {
+    const version = articleVersionService.getVersion(
+      parseInt(req.params.id),
+      parseInt(req.params.versionId)
+    );
+
+    if (!version) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Version not found'
+      });
+    }
+
+    res.json({
+      version
+    });
+  })
+);
+
+/**
+ * POST /api/articles/:id/versions/:versionId/restore
+ * Make a version the article's content again, keeping the current content as a version
+ */
+router.post('/:versionId/restore',
+  validationRules.versionId,
+  validateRequest,
+  requireArticle,
+  asyncHandler(async (req, res) => {
+    const restored = articleVersionService.restoreVersion(
+      req.user.id,
+      parseInt(req.params.id),
+      parseInt(req.params.versionId)
+    );
+
+    if (!restored) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      version_id: restored.versionId,
+      message: 'Version restored successfully'
+    });
+  })
+);
+
+export default router;
@@ -1,16 +1,38 @@
 import express from 'express';
-import articleProcessor from '../services/articleProcessor.js';
+import jobQueue from '../services/jobQueue.js';
+import { JOB_TYPES } from '../services/jobHandlers.js';
+import tagService from '../services/tagService.js';
+import eventBus from '../services/eventBus.js';
+import snapshotService from '../services/snapshotService.js';
+import articleDocumentService from '../services/articleDocumentService.js';
+import highlightsRouter from './highlights.js';
+import versionsRouter from './articleVersions.js';
+import duplicatesRouter from './duplicates.js';
 import { validateRequest, validationRules } from '../middleware/validation.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { articleCreationLimiter } from '../middleware/rateLimiter.js';
 import { getConnection } from '../database/index.js';
+import { buildMatchQuery, snippetSql, formatSnippet } from '../utils/search.js';
+import { patternMatches } from '../utils/sitePattern.js';
+import { isPdf } from '../utils/pdf.js';
+import { getConfig } from '../config.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+const pdfLimitMb = parseInt(getConfig('PDF_MAX_SIZE_MB', 25));
+
+// Highlights and versions are nested under their article
+router.use('/:id/highlights', highlightsRouter);
+router.use('/:id/versions', versionsRouter);
+
+// Before the /:id routes, which would take "duplicates" for an ID
+router.use('/duplicates', duplicatesRouter);
+
 /**
  * POST /api/articles
- * Create a new article from HTML
+ * Queue capture of an article from HTML
+ * Returns 202 with a job; poll GET /api/jobs/:id for the saved article
  */
 router.post('/',
   articleCreationLimiter,
@@ -19,65 +41,216 @@ router.post('/',
   asyncHandler(async (req, res) => {
     const { html, url } = req.body;
 
-    logger.info('Creating article', { url });
+    logger.info('Queueing article capture', { url });
 
-    // Process article
-    const processed = await articleProcessor.processArticle(html, url, {
-      preserveImages: true
+    const job = jobQueue.enqueue(JOB_TYPES.CAPTURE_ARTICLE, { html, url }, { userId: req.user.id });
+
+    res.status(202).json({
+      success: true,
+      job
     });
+  })
+);
 
-    if (!processed.success) {
-      // Save failed attempt for review
-      await articleProcessor.saveFailedArticle(url, processed.error, html);
+/**
+ * POST /api/articles/from-url
+ * Queue a server-side fetch and capture of a page
+ * Returns 202 with a job; poll GET /api/jobs/:id for the saved article
+ */
+router.post('/from-url',
+  articleCreationLimiter,
+  validationRules.createArticleFromUrl,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { url } = req.body;
+
+    logger.info('Queueing article capture from URL', { url });
+
+    const job = jobQueue.enqueue(JOB_TYPES.CAPTURE_URL, { url }, { userId: req.user.id });
+
+    res.status(202).json({
+      success: true,
+      job
+    });
+  })
+);
 
+/**
+ * POST /api/articles/upload
+ * Queue capture of a PDF: its text becomes the article and the file is kept
+ * Body: the file itself (Content-Type: application/pdf)
+ * Query: `url` it was downloaded from (uploads of the same file match
+ * otherwise), `filename`
+ * Returns 202 with a job; poll GET /api/jobs/:id for the saved article
+ */
+router.post('/upload',
+  articleCreationLimiter,
+  express.raw({
+    type: ['application/pdf', 'application/octet-stream'],
+    limit: `${pdfLimitMb}mb`
+  }),
+  validationRules.uploadArticle,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    if (!isPdf(req.body)) {
       return res.status(400).json({
-        error: 'Failed to process article',
-        message: processed.error
+        error: 'Bad Request',
+        message: 'Request body must be a PDF file (Content-Type: application/pdf)'
       });
     }
 
-    // Save to database
-    const articleId = await articleProcessor.saveArticle(processed);
+    const { url, filename } = req.query;
+
+    logger.info('Queueing PDF capture', { url, filename, size: req.body.length });
+
+    // The file is kept apart from the job's payload, and only with a queued job
+    const db = getConnection();
+    const job = db.transaction(() => {
+      const queued = jobQueue.enqueue(JOB_TYPES.CAPTURE_PDF, { url, filename }, { userId: req.user.id });
+      articleDocumentService.stageUpload(queued.id, req.body);
+      return queued;
+    })();
 
-    res.status(201).json({
+    res.status(202).json({
       success: true,
-      article: {
-        id: articleId,
-        url: processed.url,
-        title: processed.title,
-        excerpt: processed.excerpt,
-        wordCount: processed.wordCount,
-        readingTimeMinutes: processed.readingTimeMinutes,
-        hasImages: processed.hasImages,
-        imageCount: processed.imageCount
-      }
+      job
+    });
+  })
+);
+
+/**
+ * POST /api/articles/reprocess
+ * Queue extraction of saved articles again from their snapshots (or
+ * uploaded PDFs), with the current extraction code and site rules; nothing is fetched
+ * Body: `article_id`, `filter` ({ tag, is_archived, is_favorite, site (a site
+ * rule pattern) }) or `all: true`.
+ * Returns 202 with a job, or 200 with no job if no matching article has a snapshot;
+ * the job's result lists the articles that changed and those that failed
+ */
+router.post('/reprocess',
+  validationRules.reprocessArticles,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { article_id: articleId, filter = {} } = req.body;
+    const db = getConnection();
+
+    const conditions = ['a.user_id = ?', 'a.capture_success = 1'];
+    const params = [req.user.id];
+
+    if (articleId !== undefined) {
+      conditions.push('a.id = ?');
+      params.push(articleId);
+    }
+
+    if (filter.tag) {
+      conditions.push(`EXISTS (
+        SELECT 1 FROM article_tags at
+        JOIN tags t ON t.id = at.tag_id
+        WHERE at.article_id = a.id AND t.name = ?
+      )`);
+      params.push(filter.tag);
+    }
+
+    if (filter.is_archived !== undefined) {
+      conditions.push('a.is_archived = ?');
+      params.push(filter.is_archived ? 1 : 0);
+    }
+
+    if (filter.is_favorite !== undefined) {
+      conditions.push('a.is_favorite = ?');
+      params.push(filter.is_favorite ? 1 : 0);
+    }
+
+    let articles = db.prepare(`
+      SELECT a.id, a.url,
+        (EXISTS (SELECT 1 FROM article_snapshots s WHERE s.article_id = a.id) OR
+          EXISTS (SELECT 1 FROM article_documents d WHERE d.article_id = a.id)) as has_snapshot
+      FROM articles a
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY a.id ASC
+    `).all(...params);
+
+    if (filter.site) {
+      articles = articles.filter(article => patternMatches(filter.site, article.url));
+    }
+
+    if (articleId !== undefined && articles.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Article not found'
+      });
+    }
+
+    const articleIds = articles.filter(article => article.has_snapshot).map(article => article.id);
+    const withoutSnapshot = articles.length - articleIds.length;
+
+    if (articleIds.length === 0) {
+      return res.json({
+        success: true,
+        job: null,
+        without_snapshot: withoutSnapshot,
+        message: 'No matching article has a snapshot'
+      });
+    }
+
+    logger.info('Queueing article reprocessing', { articles: articleIds.length });
+
+    const job = jobQueue.enqueue(JOB_TYPES.REPROCESS_ARTICLES, { articleIds }, { userId: req.user.id });
+
+    res.status(202).json({
+      success: true,
+      job,
+      articles: articleIds.length,
+      without_snapshot: withoutSnapshot
     });
   })
 );
 
 /**
  * GET /api/articles
- * List articles with pagination and filters
+ * List the user's articles with pagination and filters
  */
 router.get('/',
   validationRules.listArticles,
   validateRequest,
   asyncHandler(async (req, res) => {
-    const { page = 1, limit = 20, search, is_archived, is_favorite, sort_by = 'created_at' } = req.query;
+    const { page = 1, limit = 20, search, tag, is_archived, is_favorite } = req.query;
+    const sort_by = req.query.sort_by || (search ? 'relevance' : 'created_at');
     const offset = (page - 1) * limit;
 
     const db = getConnection();
 
     // Build WHERE clause
-    let whereConditions = ['a.capture_success = 1'];
-    const params = [];
+    let whereConditions = ['a.user_id = ?', 'a.capture_success = 1'];
+    const params = [req.user.id];
+    let fromClause = 'articles a';
+    let searchColumns = '';
 
+    if (search) {
+      const matchQuery = buildMatchQuery(search);
+      if (!matchQuery) {
+        return res.json({
+          data: {
+            articles: [],
+            total: 0
+          }
+        });
+      }
 
+      // Title matches weigh most, then excerpt, then body text
+      fromClause = 'articles a JOIN articles_fts ON articles_fts.rowid = a.id';
+      searchColumns = `, bm25(articles_fts, 10.0, 5.0, 1.0) as search_rank, ${snippetSql('articles_fts')} as snippet`;
+      whereConditions.push('articles_fts MATCH ?');
+      params.push(matchQuery);
+    }
 
-    if (search) {
-      whereConditions.push('(a.title LIKE ? OR a.content_text LIKE ? OR a.excerpt LIKE ?)');
-      const searchTerm = `%${search}%`;
-      params.push(searchTerm, searchTerm, searchTerm);
+    if (tag) {
+      whereConditions.push(`EXISTS (
+        SELECT 1 FROM article_tags at
+        JOIN tags t ON t.id = at.tag_id
+        WHERE at.article_id = a.id AND t.name = ?
+      )`);
+      params.push(tag);
     }
 
     if (is_archived !== undefined) {
@@ -107,33 +280,52 @@ router.get('/',
       case 'reading_time':
         orderBy = 'a.reading_time_minutes ASC';
         break;
+      case 'relevance':
+        orderBy = search ? 'search_rank ASC, a.created_at DESC' : 'a.created_at DESC';
+        break;
       case 'created_at':
       default:
         orderBy = 'a.created_at DESC';
         break;
     }
 
-    // Fetch articles
-    const articles = db.prepare(`
-      SELECT a.*
-      FROM articles a
-      WHERE ${whereClause}
-      ORDER BY ${orderBy}
-      LIMIT ? OFFSET ?
-    `).all(...params, limit, offset);
-
-    // Get count
-    const countResult = db.prepare(`
-      SELECT COUNT(*) as total
-      FROM articles a
-      WHERE ${whereClause}
-    `).get(...params);
+    let articles;
+    let countResult;
+    try {
+      // Fetch articles
+      articles = db.prepare(`
+        SELECT a.*${searchColumns}
+        FROM ${fromClause}
+        WHERE ${whereClause}
+        ORDER BY ${orderBy}
+        LIMIT ? OFFSET ?
+      `).all(...params, limit, offset);
+
+      // Get count
+      countResult = db.prepare(`
+        SELECT COUNT(*) as total
+        FROM ${fromClause}
+        WHERE ${whereClause}
+      `).get(...params);
+    } catch (error) {
+      if (search && error.message.includes('fts5')) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: `Invalid search query: ${error.message}`
+        });
+      }
+      throw error;
+    }
+
+    const tagsByArticle = tagService.getTagsForArticles(articles.map(article => article.id));
 
-    const articlesWithMetadata = articles.map(article => ({
+    const articlesWithMetadata = articles.map(({ search_rank: _rank, snippet, ...article }) => ({
       ...article,
       has_images: Boolean(article.has_images),
       is_archived: Boolean(article.is_archived),
-      is_favorite: Boolean(article.is_favorite)
+      is_favorite: Boolean(article.is_favorite),
+      tags: tagsByArticle.get(article.id),
+      ...(search && { snippet: formatSnippet(snippet) })
     }));
 
     res.json({
@@ -163,10 +355,12 @@ router.get('/stats',
         SUM(word_count) as total_words,
         SUM(reading_time_minutes) as total_reading_time
       FROM articles
-      WHERE capture_success = 1
-    `).get();
-
+      WHERE user_id = ? AND capture_success = 1
+    `).get(req.user.id);
 
+    const { failed } = db.prepare(
+      'SELECT COUNT(*) as failed FROM articles WHERE user_id = ? AND capture_success = 0'
+    ).get(req.user.id);
 
     res.json({
       total_articles: stats.total_articles || 0,
@@ -175,7 +369,8 @@ router.get('/stats',
       unread_articles: stats.unread_articles || 0,
       articles_with_images: stats.articles_with_images || 0,
       total_words: stats.total_words || 0,
-      total_reading_time: stats.total_reading_time || 0
+      total_reading_time: stats.total_reading_time || 0,
+      failed_captures: failed
     });
   })
 );
@@ -192,10 +387,11 @@ router.get('/:id',
     const db = getConnection();
 
     const article = db.prepare(`
-      SELECT a.*
+      SELECT a.*,
+        (SELECT COUNT(*) FROM article_images i WHERE i.article_id = a.id AND i.status = 'failed') as missing_images
       FROM articles a
-      WHERE a.id = ?
-    `).get(id);
+      WHERE a.id = ? AND a.user_id = ?
+    `).get(id, req.user.id);
 
     if (!article) {
       return res.status(404).json({
@@ -204,31 +400,62 @@ router.get('/:id',
       });
     }
 
+    const tagsByArticle = tagService.getTagsForArticles([article.id]);
+
     res.json({
       article: {
         ...article,
         has_images: Boolean(article.has_images),
         is_archived: Boolean(article.is_archived),
-        is_favorite: Boolean(article.is_favorite)
+        is_favorite: Boolean(article.is_favorite),
+        tags: tagsByArticle.get(article.id),
+        snapshot: snapshotService.getInfo(article.id),
+        document: articleDocumentService.getInfo([article.id]).get(article.id) || null
       }
     });
   })
 );
 
+/**
+ * GET /api/articles/:id/document
+ * Download the PDF an article was made from
+ */
+router.get('/:id/document',
+  validationRules.articleId,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const db = getConnection();
+    const article = db.prepare('SELECT id FROM articles WHERE id = ? AND user_id = ?').get(req.params.id, req.user.id);
+    const document = article ? articleDocumentService.get(article.id) : null;
+
+    if (!document) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Document not found'
+      });
+    }
+
+    res.attachment(document.filename);
+    res.type(document.content_type);
+    res.send(document.content);
+  })
+);
+
 /**
  * PUT /api/articles/:id
  * Update article
  */
 router.put('/:id',
   validationRules.articleId,
+  validationRules.updateArticle,
   validateRequest,
   asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { title, is_archived, is_favorite } = req.body;
+    const { title, is_archived, is_favorite, tags } = req.body;
     const db = getConnection();
 
     // Check if article exists
-    const existing = db.prepare('SELECT id FROM articles WHERE id = ?').get(id);
+    const existing = db.prepare('SELECT id, is_archived FROM articles WHERE id = ? AND user_id = ?').get(id, req.user.id);
     if (!existing) {
       return res.status(404).json({
         error: 'Not Found',
@@ -253,23 +480,35 @@ router.put('/:id',
       params.push(is_favorite ? 1 : 0);
     }
 
-    if (updates.length === 0) {
+    if (updates.length === 0 && tags === undefined) {
       return res.status(400).json({
         error: 'Bad Request',
         message: 'No fields to update'
       });
     }
 
-    params.push(id);
-    const updateStmt = db.prepare(`
-      UPDATE articles SET ${updates.join(', ')}
-      WHERE id = ?
-    `);
+    if (updates.length > 0) {
+      params.push(existing.id);
+      const updateStmt = db.prepare(`
+        UPDATE articles SET ${updates.join(', ')}
+        WHERE id = ?
+      `);
 
-    updateStmt.run(...params);
+      updateStmt.run(...params);
+    }
+
+    if (tags !== undefined) {
+      tagService.setArticleTags(req.user.id, existing.id, tags);
+      updates.push('tags');
+    }
 
     logger.info('Article updated', { articleId: id, updates: updates.join(', ') });
 
+    eventBus.publish('article.updated', { id: existing.id }, { userId: req.user.id });
+    if (is_archived && !existing.is_archived) {
+      eventBus.publish('article.archived', { id: existing.id }, { userId: req.user.id });
+    }
+
     res.json({
       success: true,
       message: 'Article updated successfully'
@@ -288,7 +527,7 @@ router.delete('/:id',
     const { id } = req.params;
     const db = getConnection();
 
-    const result = db.prepare('DELETE FROM articles WHERE id = ?').run(id);
+    const result = db.prepare('DELETE FROM articles WHERE id = ? AND user_id = ?').run(id, req.user.id);
 
     if (result.changes === 0) {
       return res.status(404).json({
@@ -299,6 +538,8 @@ router.delete('/:id',
 
     logger.info('Article deleted', { articleId: id });
 
+    eventBus.publish('article.deleted', { id: parseInt(id) }, { userId: req.user.id });
+
     res.json({
       success: true,
       message: 'Article deleted successfully'
@@ -306,7 +547,81 @@ router.delete('/:id',
   })
 );
 
+/**
+ * POST /api/articles/:id/images/retry
+ * Queue another download of the images that failed at capture
+ * Returns 202 with a job, or 200 with no job if nothing is missing
+ */
+router.post('/:id/images/retry',
+  validationRules.articleId,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const articleId = parseInt(req.params.id);
+    const db = getConnection();
+
+    const article = db.prepare(`
+      SELECT a.id,
+        (SELECT COUNT(*) FROM article_images i WHERE i.article_id = a.id AND i.status = 'failed') as missing_images
+      FROM articles a
+      WHERE a.id = ? AND a.user_id = ?
+    `).get(articleId, req.user.id);
 
+    if (!article) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Article not found'
+      });
+    }
+
+    if (article.missing_images === 0) {
+      return res.json({
+        success: true,
+        job: null,
+        message: 'No missing images'
+      });
+    }
+
+    const job = jobQueue.enqueue(JOB_TYPES.RETRY_IMAGES, { articleId }, { userId: req.user.id });
+
+    res.status(202).json({
+      success: true,
+      job
+    });
+  })
+);
+
+/**
+ * POST /api/articles/:id/refresh
+ * Queue a fresh capture of the article's page; the content it replaces is kept as a version
+ * Returns 202 with a job; its result says whether the text changed and by how many words
+ */
+router.post('/:id/refresh',
+  articleCreationLimiter,
+  validationRules.articleId,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const articleId = parseInt(req.params.id);
+    const db = getConnection();
+
+    const article = db.prepare('SELECT id, url FROM articles WHERE id = ? AND user_id = ?').get(articleId, req.user.id);
+
+    if (!article) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Article not found'
+      });
+    }
+
+    logger.info('Queueing article refresh', { articleId, url: article.url });
+
+    const job = jobQueue.enqueue(JOB_TYPES.REFRESH_ARTICLE, { articleId, url: article.url }, { userId: req.user.id });
+
+    res.status(202).json({
+      success: true,
+      job
+    });
+  })
+);
 
 
 
@@ -0,0 +1,121 @@
+import express from 'express';
+import userService from '../services/userService.js';
+import sessionService, { SESSION_COOKIE } from '../services/sessionService.js';
+import { ADMIN_SCOPE } from '../services/apiKeyService.js';
+import { validateApiKey, requireScope, getSessionToken } from '../middleware/auth.js';
+import { validateRequest, validationRules } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { loginLimiter } from '../middleware/rateLimiter.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// SameSite=Strict keeps other sites from making requests with the cookie
+function cookieOptions(req) {
+  return {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure,
+    path: '/'
+  };
+}
+
+/**
+ * POST /api/auth/login
+ * Log in with name and password; sets the session cookie
+ */
+router.post('/login',
+  loginLimiter,
+  validationRules.login,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const user = await userService.authenticate(req.body.name, req.body.password);
+
+    if (!user) {
+      logger.warn('Failed login attempt', { ip: req.ip, name: req.body.name });
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid name or password'
+      });
+    }
+
+    const session = sessionService.createSession(user.id, { userAgent: req.get('user-agent') });
+
+    res.cookie(SESSION_COOKIE, session.token, {
+      ...cookieOptions(req),
+      maxAge: sessionService.ttlHours * 60 * 60 * 1000
+    });
+
+    res.json({
+      success: true,
+      user,
+      expires_at: session.expires_at
+    });
+  })
+);
+
+/**
+ * POST /api/auth/logout
+ * End the current session and clear the cookie (works with an expired session too)
+ */
+router.post('/logout',
+  asyncHandler(async (req, res) => {
+    const token = getSessionToken(req);
+    if (token) {
+      sessionService.deleteSession(token);
+    }
+
+    res.clearCookie(SESSION_COOKIE, cookieOptions(req));
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  })
+);
+
+/**
+ * GET /api/auth/session
+ * Current user, and when the session expires (null when using an API key)
+ */
+router.get('/session',
+  validateApiKey,
+  asyncHandler(async (req, res) => {
+    res.json({
+      user: req.user,
+      expires_at: req.session?.expires_at ?? null
+    });
+  })
+);
+
+/**
+ * PUT /api/auth/password
+ * Set or change the user's own password
+ * The current password is required once one is set. Other sessions are ended.
+ */
+router.put('/password',
+  validateApiKey,
+  requireScope(ADMIN_SCOPE),
+  validationRules.changePassword,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { current_password: currentPassword, new_password: newPassword } = req.body;
+
+    if (req.user.has_password && !(await userService.verifyPassword(req.user.id, currentPassword ?? ''))) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    await userService.setPassword(req.user.id, newPassword);
+    sessionService.deleteUserSessions(req.user.id, { exceptSessionId: req.session?.id ?? null });
+
+    res.json({
+      success: true,
+      message: 'Password updated'
+    });
+  })
+);
+
+export default router;
@@ -0,0 +1,188 @@
+import express from 'express';
+import digestService from '../services/digestService.js';
+import { validateRequest, validationRules } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { heavyOperationLimiter } from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/digests
+ * List digest schedules with their last run
+ */
+router.get('/',
+  asyncHandler(async (req, res) => {
+    const schedules = digestService.listSchedules(req.user.id);
+
+    res.json({
+      schedules
+    });
+  })
+);
+
+/**
+ * POST /api/digests
+ * Create digest schedule
+ */
+router.post('/',
+  validationRules.createDigestSchedule,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const schedule = digestService.createSchedule(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      schedule
+    });
+  })
+);
+
+/**
+ * GET /api/digests/runs
+ * Run history across all schedules
+ */
+router.get('/runs',
+  asyncHandler(async (req, res) => {
+    const { limit = 50 } = req.query;
+
+    const runs = digestService.listRuns(req.user.id, { limit: parseInt(limit) || 50 });
+
+    res.json({
+      runs
+    });
+  })
+);
+
+/**
+ * GET /api/digests/:id
+ * Get digest schedule
+ */
+router.get('/:id',
+  validationRules.digestScheduleId,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const schedule = digestService.getSchedule(req.user.id, parseInt(req.params.id));
+
+    if (!schedule) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Schedule not found'
+      });
+    }
+
+    res.json({
+      schedule
+    });
+  })
+);
+
+/**
+ * PUT /api/digests/:id
+ * Update digest schedule
+ */
+router.put('/:id',
+  validationRules.updateDigestSchedule,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const schedule = digestService.updateSchedule(req.user.id, parseInt(req.params.id), req.body);
+
+    if (!schedule) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Schedule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      schedule
+    });
+  })
+);
+
+/**
+ * DELETE /api/digests/:id
+ * Delete digest schedule and its run history
+ */
+router.delete('/:id',
+  validationRules.digestScheduleId,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const deleted = digestService.deleteSchedule(req.user.id, parseInt(req.params.id));
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Schedule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Schedule deleted successfully'
+    });
+  })
+);
+
+/**
+ * GET /api/digests/:id/runs
+ * Run history for a schedule
+ */
+router.get('/:id/runs',
+  validationRules.digestScheduleId,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const scheduleId = parseInt(req.params.id);
+
+    if (!digestService.getSchedule(req.user.id, scheduleId)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Schedule not found'
+      });
+    }
+
+    const { limit = 50 } = req.query;
+    const runs = digestService.listRuns(req.user.id, { scheduleId, limit: parseInt(limit) || 50 });
+
+    res.json({
+      runs
+    });
+  })
+);
+
+/**
+ * POST /api/digests/:id/run
+ * Run a digest now, regardless of its schedule
+ */
+router.post('/:id/run',
+  heavyOperationLimiter,
+  validationRules.digestScheduleId,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const scheduleId = parseInt(req.params.id);
+
+    if (!digestService.getSchedule(req.user.id, scheduleId)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Schedule not found'
+      });
+    }
+
+    let run;
+    try {
+      run = await digestService.runSchedule(req.user.id, scheduleId, 'manual');
+    } catch (error) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: run.status !== 'failed',
+      run
+    });
+  })
+);
+
+export default router;
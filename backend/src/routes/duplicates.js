@@ -0,0 +1,51 @@
+import express from 'express';
+import duplicateService from '../services/duplicateService.js';
+import { validateRequest, validationRules } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+// Mounted at /api/articles/duplicates
+const router = express.Router();
+
+/**
+ * GET /api/articles/duplicates
+ * List groups of articles that look like the same story
+ */
+router.get('/',
+  asyncHandler(async (req, res) => {
+    const groups = duplicateService.findDuplicates(req.user.id);
+
+    res.json({
+      groups
+    });
+  })
+);
+
+/**
+ * POST /api/articles/duplicates/merge
+ * Merge articles into the one to keep
+ */
+router.post('/merge',
+  validationRules.mergeDuplicates,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { keep_id, article_ids } = req.body;
+
+    const merged = duplicateService.mergeArticles(req.user.id, keep_id, article_ids);
+
+    if (!merged) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Article not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      id: merged.id,
+      merged: merged.merged,
+      message: 'Articles merged successfully'
+    });
+  })
+);
+
+export default router;
@@ -1,5 +1,7 @@
 import express from 'express';
 import epubGenerator from '../services/epubGenerator.js';
+import jobQueue from '../services/jobQueue.js';
+import { JOB_TYPES } from '../services/jobHandlers.js';
 import { validateRequest, validationRules } from '../middleware/validation.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { heavyOperationLimiter } from '../middleware/rateLimiter.js';
@@ -12,41 +14,54 @@ const router = express.Router();
 
 /**
  * POST /api/epub/generate
- * Generate EPUB from selected articles
+ * Queue EPUB generation from selected articles
+ * Returns 202 with a job; poll GET /api/jobs/:id for the finished export
  */
 router.post('/generate',
   heavyOperationLimiter,
   validationRules.generateEpub,
   validateRequest,
   asyncHandler(async (req, res) => {
-    const { articleIds, title, author } = req.body;
+    const { articleIds, title, author, imageVariant, pdfMode } = req.body;
+
+    // Fail fast instead of queueing a job that can't succeed
+    const db = getConnection();
+    const placeholders = articleIds.map(() => '?').join(',');
+    const { count } = db.prepare(`
+      SELECT COUNT(*) as count FROM articles
+      WHERE id IN (${placeholders}) AND user_id = ? AND capture_success = 1
+    `).get(...articleIds, req.user.id);
+
+    if (count === 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'No valid articles found for EPUB generation'
+      });
+    }
 
     logger.info('EPUB generation requested', {
       articleCount: articleIds.length,
       title
     });
 
-    const result = await epubGenerator.generateFromArticles(articleIds, {
-      title,
-      author
-    });
+    const job = jobQueue.enqueue(JOB_TYPES.GENERATE_EPUB, { articleIds, title, author, imageVariant, pdfMode }, { userId: req.user.id });
 
-    res.status(201).json({
+    res.status(202).json({
       success: true,
-      epub: result
+      job
     });
   })
 );
 
 /**
  * GET /api/epub/exports
- * List EPUB exports
+ * List the user's EPUB exports
  */
 router.get('/exports',
   asyncHandler(async (req, res) => {
     const { limit = 50 } = req.query;
 
-    const exports = epubGenerator.listExports(parseInt(limit));
+    const exports = epubGenerator.listExports(req.user.id, parseInt(limit));
 
     res.json({
       exports
@@ -63,7 +78,7 @@ router.get('/exports/:id',
     const { id } = req.params;
 
     try {
-      const exportRecord = epubGenerator.getExport(parseInt(id));
+      const exportRecord = epubGenerator.getExport(req.user.id, parseInt(id));
       res.json({ export: exportRecord });
     } catch (error) {
       res.status(404).json({
@@ -83,7 +98,7 @@ router.get('/exports/:id/download',
     const { id } = req.params;
 
     try {
-      const exportRecord = epubGenerator.getExport(parseInt(id));
+      const exportRecord = epubGenerator.getExport(req.user.id, parseInt(id));
 
       // Check if file exists
       try {
@@ -125,7 +140,7 @@ router.delete('/exports/:id',
     const db = getConnection();
 
     // Get export record
-    const exportRecord = db.prepare('SELECT * FROM epub_exports WHERE id = ?').get(parseInt(id));
+    const exportRecord = db.prepare('SELECT * FROM epub_exports WHERE id = ? AND user_id = ?').get(parseInt(id), req.user.id);
 
     if (!exportRecord) {
       return res.status(404).json({
@@ -146,7 +161,7 @@ router.delete('/exports/:id',
     }
 
     // Delete database record
-    db.prepare('DELETE FROM epub_exports WHERE id = ?').run(parseInt(id));
+    db.prepare('DELETE FROM epub_exports WHERE id = ?').run(exportRecord.id);
 
     logger.info('EPUB export deleted', { exportId: id });
 
@@ -168,12 +183,12 @@ router.post('/exports/:id/send-to-kindle',
     const db = getConnection();
 
     try {
-      const exportRecord = epubGenerator.getExport(parseInt(id));
+      const exportRecord = epubGenerator.getExport(req.user.id, parseInt(id));
 
       // Check if Kindle service is configured
       const kindleService = (await import('../services/kindleService.js')).default;
 
-      if (!kindleService.isConfigured()) {
+      if (!kindleService.isConfigured(req.user.id)) {
         return res.status(400).json({
           error: 'Bad Request',
           message: 'Kindle service not configured. Please set up SMTP settings.'
@@ -191,7 +206,7 @@ router.post('/exports/:id/send-to-kindle',
       }
 
       // Send to Kindle
-      const result = await kindleService.sendEPUB(exportRecord.file_path, {
+      const result = await kindleService.sendEPUB(req.user.id, exportRecord.file_path, {
         filename: path.basename(exportRecord.file_path)
       });
 
@@ -200,7 +215,7 @@ router.post('/exports/:id/send-to-kindle',
         UPDATE epub_exports
         SET sent_to_kindle = 1, sent_at = ?
         WHERE id = ?
-      `).run(new Date().toISOString(), parseInt(id));
+      `).run(new Date().toISOString(), exportRecord.id);
 
       logger.info('EPUB sent to Kindle', { exportId: id });
 
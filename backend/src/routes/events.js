@@ -0,0 +1,52 @@
+import express from 'express';
+import eventBus from '../services/eventBus.js';
+import { getConfig } from '../config.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const heartbeatInterval = parseInt(getConfig('EVENTS_HEARTBEAT_MS', 25000));
+
+/**
+ * GET /api/events
+ * Server-Sent Events stream of library changes and job progress
+ * Only the calling user's events are sent.
+ */
+router.get('/', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Stop reverse proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Compression buffers writes until flushed
+  const send = (chunk) => {
+    res.write(chunk);
+    res.flush?.();
+  };
+
+  send('retry: 3000\n: connected\n\n');
+
+  const unsubscribe = eventBus.subscribe((event) => {
+    if (event.userId !== req.user.id) {
+      return;
+    }
+    send(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  });
+
+  // Comment lines keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => send(': ping\n\n'), heartbeatInterval);
+
+  logger.debug('Event stream opened', { subscribers: eventBus.subscriberCount() });
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    logger.debug('Event stream closed', { subscribers: eventBus.subscriberCount() });
+  });
+});
+
+export default router;
@@ -0,0 +1,86 @@
+import express from 'express';
+import archiver from 'archiver';
+import libraryExportService from '../services/libraryExportService.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireScope } from '../middleware/auth.js';
+import { heavyOperationLimiter } from '../middleware/rateLimiter.js';
+import { getConfig } from '../config.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const restoreLimitMb = parseInt(getConfig('LIBRARY_RESTORE_MAX_MB', 500));
+
+/**
+ * GET /api/export/library
+ * Download the whole library as a zip (manifest JSON, HTML, Markdown and images)
+ */
+router.get('/library',
+  requireScope('articles:read'),
+  heavyOperationLimiter,
+  asyncHandler(async (req, res) => {
+    const date = new Date().toISOString().split('T')[0];
+    const archive = archiver('zip', { zlib: { level: 6 } });
+
+    archive.on('warning', (error) => {
+      logger.warn('Library export warning', { error: error.message });
+    });
+    archive.on('error', (error) => {
+      logger.error('Library export failed', { error: error.message });
+      res.destroy(error);
+    });
+
+    res.attachment(`bookmark-digest-library-${date}.zip`);
+    archive.pipe(res);
+
+    await libraryExportService.writeArchive(archive, req.user.id);
+  })
+);
+
+/**
+ * POST /api/export/library/restore
+ * Restore a library archive into an empty instance
+ * Body: the zip file itself (Content-Type: application/zip)
+ */
+router.post('/library/restore',
+  requireScope('settings:admin'),
+  heavyOperationLimiter,
+  express.raw({
+    type: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'],
+    limit: `${restoreLimitMb}mb`
+  }),
+  asyncHandler(async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Request body must be a zip archive (Content-Type: application/zip)'
+      });
+    }
+
+    if (!libraryExportService.isLibraryEmpty()) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Library is not empty. Restore only works on a fresh instance.'
+      });
+    }
+
+    let restored;
+    try {
+      restored = await libraryExportService.restoreArchive(req.body, req.user.id);
+    } catch (error) {
+      logger.warn('Library restore rejected', { error: error.message });
+
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      restored
+    });
+  })
+);
+
+export default router;
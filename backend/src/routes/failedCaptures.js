@@ -0,0 +1,126 @@
+import express from 'express';
+import jobQueue from '../services/jobQueue.js';
+import { JOB_TYPES } from '../services/jobHandlers.js';
+import eventBus from '../services/eventBus.js';
+import { validateRequest, validationRules } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { articleCreationLimiter } from '../middleware/rateLimiter.js';
+import { getConnection } from '../database/index.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * Respond 404 unless the article is one of the user's failed captures
+ */
+function requireFailedCapture(req, res, next) {
+  const db = getConnection();
+  const article = db.prepare(
+    'SELECT id FROM articles WHERE id = ? AND user_id = ? AND capture_success = 0'
+  ).get(req.params.id, req.user.id);
+
+  if (!article) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Failed capture not found'
+    });
+  }
+
+  next();
+}
+
+/**
+ * GET /api/failed-captures
+ * List captures that couldn't be extracted, most recent first
+ */
+router.get('/',
+  asyncHandler(async (req, res) => {
+    const db = getConnection();
+
+    const failedCaptures = db.prepare(`
+      SELECT id, url, original_url, title, capture_error, created_at, updated_at,
+        COALESCE((SELECT SUM(s.size_bytes) FROM article_snapshots s WHERE s.article_id = articles.id), 0) as html_size
+      FROM articles
+      WHERE user_id = ? AND capture_success = 0
+      ORDER BY updated_at DESC, id DESC
+    `).all(req.user.id);
+
+    res.json({
+      failed_captures: failedCaptures
+    });
+  })
+);
+
+/**
+ * POST /api/failed-captures/:id/retry
+ * Queue another extraction with relaxed settings, from the kept HTML or a fresh fetch
+ * Returns 202 with a job; poll GET /api/jobs/:id for the saved article
+ */
+router.post('/:id/retry',
+  articleCreationLimiter,
+  validationRules.retryCapture,
+  validateRequest,
+  requireFailedCapture,
+  asyncHandler(async (req, res) => {
+    const articleId = parseInt(req.params.id);
+    const refetch = req.body.refetch === true;
+
+    logger.info('Queueing failed capture retry', { articleId, refetch });
+
+    const job = jobQueue.enqueue(JOB_TYPES.RETRY_CAPTURE, { articleId, refetch }, { userId: req.user.id });
+
+    res.status(202).json({
+      success: true,
+      job
+    });
+  })
+);
+
+/**
+ * PUT /api/failed-captures/:id/content
+ * Queue saving content supplied by hand (HTML or plain text) as the article
+ * Returns 202 with a job; poll GET /api/jobs/:id for the saved article
+ */
+router.put('/:id/content',
+  validationRules.setCaptureContent,
+  validateRequest,
+  requireFailedCapture,
+  asyncHandler(async (req, res) => {
+    const articleId = parseInt(req.params.id);
+    const { title, html, text } = req.body;
+
+    const job = jobQueue.enqueue(JOB_TYPES.SET_CONTENT, { articleId, title, html, text }, { userId: req.user.id });
+
+    res.status(202).json({
+      success: true,
+      job
+    });
+  })
+);
+
+/**
+ * DELETE /api/failed-captures/:id
+ * Discard a failed capture
+ */
+router.delete('/:id',
+  validationRules.articleId,
+  validateRequest,
+  requireFailedCapture,
+  asyncHandler(async (req, res) => {
+    const articleId = parseInt(req.params.id);
+    const db = getConnection();
+
+    db.prepare('DELETE FROM articles WHERE id = ? AND user_id = ?').run(articleId, req.user.id);
+
+    logger.info('Failed capture discarded', { articleId });
+
+    eventBus.publish('article.deleted', { id: articleId }, { userId: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Failed capture discarded'
+    });
+  })
+);
+
+export default router;
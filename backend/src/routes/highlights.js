@@ -0,0 +1,127 @@
+import express from 'express';
+import highlightService from '../services/highlightService.js';
+import { validateRequest, validationRules } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { getConnection } from '../database/index.js';
+
+// Mounted at /api/articles/:id/highlights
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Respond 404 unless the article exists in the user's library
+ */
+function requireArticle(req, res, next) {
+  const db = getConnection();
+  const article = db.prepare('SELECT id FROM articles WHERE id = ? AND user_id = ?').get(req.params.id, req.user.id);
+
+  if (!article) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Article not found'
+    });
+  }
+
+  next();
+}
+
+/**
+ * GET /api/articles/:id/highlights
+ * List highlights for an article
+ */
+router.get('/',
+  validationRules.articleId,
+  validateRequest,
+  requireArticle,
+  asyncHandler(async (req, res) => {
+    const highlights = highlightService.listHighlights(parseInt(req.params.id));
+
+    res.json({
+      highlights
+    });
+  })
+);
+
+/**
+ * POST /api/articles/:id/highlights
+ * Create highlight from a text quote selector
+ */
+router.post('/',
+  validationRules.createHighlight,
+  validateRequest,
+  requireArticle,
+  asyncHandler(async (req, res) => {
+    let highlight;
+    try {
+      highlight = highlightService.createHighlight(parseInt(req.params.id), req.body);
+    } catch (error) {
+      return res.status(422).json({
+        error: 'Unprocessable Entity',
+        message: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      highlight
+    });
+  })
+);
+
+/**
+ * PUT /api/articles/:id/highlights/:highlightId
+ * Update highlight note or color
+ */
+router.put('/:highlightId',
+  validationRules.updateHighlight,
+  validateRequest,
+  requireArticle,
+  asyncHandler(async (req, res) => {
+    const highlight = highlightService.updateHighlight(
+      parseInt(req.params.id),
+      parseInt(req.params.highlightId),
+      req.body
+    );
+
+    if (!highlight) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Highlight not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      highlight
+    });
+  })
+);
+
+/**
+ * DELETE /api/articles/:id/highlights/:highlightId
+ * Delete highlight
+ */
+router.delete('/:highlightId',
+  validationRules.highlightId,
+  validateRequest,
+  requireArticle,
+  asyncHandler(async (req, res) => {
+    const deleted = highlightService.deleteHighlight(
+      parseInt(req.params.id),
+      parseInt(req.params.highlightId)
+    );
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Highlight not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Highlight deleted successfully'
+    });
+  })
+);
+
+export default router;
@@ -0,0 +1,39 @@
+import express from 'express';
+import imageStore from '../services/imageStore.js';
+import jobQueue from '../services/jobQueue.js';
+import { JOB_TYPES } from '../services/jobHandlers.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+// Mounted behind requireAdmin: image storage is shared by the whole instance
+const router = express.Router();
+
+/**
+ * GET /api/images/stats
+ * Stored image files and bytes, space saved by deduplication and
+ * what garbage collection would reclaim
+ */
+router.get('/stats',
+  asyncHandler(async (req, res) => {
+    res.json({
+      stats: imageStore.getStats()
+    });
+  })
+);
+
+/**
+ * POST /api/images/gc
+ * Queue garbage collection of unreferenced image files
+ * The job result reports deleted_files and reclaimed_bytes.
+ */
+router.post('/gc',
+  asyncHandler(async (req, res) => {
+    const job = jobQueue.enqueue(JOB_TYPES.COLLECT_IMAGES, {}, { userId: req.user.id });
+
+    res.status(202).json({
+      success: true,
+      job
+    });
+  })
+);
+
+export default router;
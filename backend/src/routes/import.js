@@ -0,0 +1,94 @@
+import express from 'express';
+import importService from '../services/importService.js';
+import { detectFormat } from '../utils/importFormats.js';
+import { validateRequest, validationRules } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { heavyOperationLimiter } from '../middleware/rateLimiter.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/import
+ * Import bookmarks from a Pocket, Instapaper, Pinboard or browser export
+ * Bookmarks are queued and fetched server-side in the background
+ */
+router.post('/',
+  heavyOperationLimiter,
+  validationRules.createImport,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { content, filename } = req.body;
+    const format = req.body.format || detectFormat(content, filename);
+
+    if (!format) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Could not detect the import format. Please choose one explicitly.'
+      });
+    }
+
+    let result;
+    try {
+      result = importService.createImport(req.user.id, format, content, filename || null);
+    } catch (error) {
+      logger.warn('Import rejected', { format, filename, error: error.message });
+
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+
+    // Fetch queued bookmarks in the background
+    importService.processQueue().catch(error => {
+      logger.error('Import queue failed', { error: error.message });
+    });
+
+    res.status(202).json({
+      success: true,
+      import: result
+    });
+  })
+);
+
+/**
+ * GET /api/import
+ * List recent imports with status counts
+ */
+router.get('/',
+  asyncHandler(async (req, res) => {
+    const { limit = 20 } = req.query;
+
+    const imports = importService.listImports(req.user.id, parseInt(limit) || 20);
+
+    res.json({
+      imports
+    });
+  })
+);
+
+/**
+ * GET /api/import/:id
+ * Get import progress and per-item status
+ */
+router.get('/:id',
+  validationRules.importId,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const result = importService.getImport(req.user.id, parseInt(req.params.id), { includeItems: true });
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Import not found'
+      });
+    }
+
+    res.json({
+      import: result
+    });
+  })
+);
+
+export default router;
@@ -0,0 +1,52 @@
+import express from 'express';
+import jobQueue from '../services/jobQueue.js';
+import apiKeyService, { ADMIN_SCOPE } from '../services/apiKeyService.js';
+import { validateRequest, validationRules } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// Reading a job takes the read scope of what it works on (by type prefix);
+// other jobs (webhook deliveries, image collection) are settings:admin
+const JOB_SCOPES = {
+  article: 'articles:read',
+  epub: 'epub:read'
+};
+
+function jobScope(type) {
+  return JOB_SCOPES[type.split('.')[0]] || ADMIN_SCOPE;
+}
+
+/**
+ * GET /api/jobs/:id
+ * Get background job status, progress and result
+ */
+router.get('/:id',
+  validationRules.jobId,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const job = jobQueue.getJob(parseInt(req.params.id));
+
+    // Other users' jobs look the same as missing ones
+    if (!job || job.user_id !== req.user.id) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Job not found'
+      });
+    }
+
+    const scope = jobScope(job.type);
+    if (!apiKeyService.hasScope(req.apiKey?.scopes || [], scope)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `API key lacks required scope: ${scope}`
+      });
+    }
+
+    res.json({
+      job
+    });
+  })
+);
+
+export default router;
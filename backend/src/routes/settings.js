@@ -9,11 +9,11 @@ const router = express.Router();
 
 /**
  * GET /api/settings
- * Get all settings (passwords masked)
+ * Get the user's settings (passwords masked)
  */
 router.get('/',
   asyncHandler(async (req, res) => {
-    const allSettings = settingsService.getAll();
+    const allSettings = settingsService.getAll(req.user.id);
     
     // Mask sensitive fields
     const maskedSettings = { ...allSettings };
@@ -29,7 +29,7 @@ router.get('/',
 
 /**
  * PUT /api/settings
- * Update settings
+ * Update the user's settings (used for their next Kindle delivery)
  */
 router.put('/',
   validationRules.updateSmtpSettings,
@@ -56,6 +56,7 @@ router.put('/',
     };
 
     logger.info('Updating SMTP settings', {
+      userId: req.user.id,
       kindleEmail,
       smtpHost,
       smtpUser,
@@ -63,23 +64,12 @@ router.put('/',
     });
 
     // Save to database
-    const success = settingsService.setSmtpSettings(smtpConfig);
+    const success = settingsService.setSmtpSettings(req.user.id, smtpConfig);
     
     if (!success) {
       throw new Error('Failed to save SMTP settings');
     }
 
-    // Reconfigure Kindle service with new settings
-    try {
-      kindleService.configure(smtpConfig);
-      logger.info('Kindle service reconfigured with new settings');
-    } catch (error) {
-      logger.error('Failed to reconfigure Kindle service', {
-        error: error.message
-      });
-      // Don't fail the request - settings are saved but Kindle service needs manual restart
-    }
-
     res.json({
       success: true,
       message: 'Settings updated successfully',
@@ -101,7 +91,7 @@ router.put('/',
  */
 router.post('/test-smtp',
   asyncHandler(async (req, res) => {
-    if (!kindleService.isConfigured()) {
+    if (!kindleService.isConfigured(req.user.id)) {
       return res.status(400).json({
         error: 'Bad Request',
         message: 'Kindle service not configured. Please set up SMTP settings first.'
@@ -109,7 +99,7 @@ router.post('/test-smtp',
     }
 
     try {
-      const result = await kindleService.testConnection();
+      const result = await kindleService.testConnection(req.user.id);
       res.json({
         success: true,
         message: 'SMTP connection test successful',
@@ -0,0 +1,168 @@
+import express from 'express';
+import siteRuleService from '../services/siteRuleService.js';
+import articleProcessor from '../services/articleProcessor.js';
+import snapshotService from '../services/snapshotService.js';
+import { patternMatches } from '../utils/sitePattern.js';
+import { validateRequest, validationRules } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { getConnection } from '../database/index.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/site-rules
+ * List site rules, most specific pattern first
+ */
+router.get('/',
+  asyncHandler(async (req, res) => {
+    const rules = siteRuleService.listRules(req.user.id);
+
+    res.json({
+      rules
+    });
+  })
+);
+
+/**
+ * POST /api/site-rules
+ * Create site rule
+ */
+router.post('/',
+  validationRules.createSiteRule,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const rule = siteRuleService.createRule(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      rule
+    });
+  })
+);
+
+/**
+ * POST /api/site-rules/test
+ * Preview extraction of saved HTML with a rule, without saving anything
+ * Body: `rule` (unsaved fields; the user's matching rule if omitted) and
+ * either `html` and `url` or `article_id` of an article, whose snapshot is used.
+ * Images aren't downloaded and further pages aren't fetched.
+ */
+router.post('/test',
+  validationRules.testSiteRule,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    let { html, url } = req.body;
+
+    if (req.body.article_id !== undefined) {
+      const article = getConnection().prepare('SELECT id FROM articles WHERE id = ? AND user_id = ?')
+        .get(req.body.article_id, req.user.id);
+      const [page] = article ? snapshotService.getPages(article.id) : [];
+      if (!page) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'No saved HTML found for this article'
+        });
+      }
+      ({ html, url } = page);
+    }
+
+    const rule = req.body.rule
+      ? siteRuleService.draftRule(req.body.rule)
+      : siteRuleService.findRule(req.user.id, url);
+
+    const processed = await articleProcessor.processArticle(html, url, {
+      siteRule: rule,
+      singlePage: true
+    });
+
+    res.json({
+      rule,
+      // Whether the rule's pattern would select this page when capturing
+      url_matches: rule?.pattern ? patternMatches(rule.pattern, url) : null,
+      success: processed.success,
+      error: processed.success ? null : processed.error,
+      article: processed.success ? {
+        title: processed.title,
+        author: processed.author,
+        published_at: processed.publishedAt ? processed.publishedAt.toISOString() : null,
+        excerpt: processed.excerpt,
+        word_count: processed.wordCount,
+        reading_time_minutes: processed.readingTimeMinutes,
+        content_html: processed.contentHtml
+      } : null
+    });
+  })
+);
+
+/**
+ * GET /api/site-rules/:id
+ * Get site rule
+ */
+router.get('/:id',
+  validationRules.siteRuleId,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const rule = siteRuleService.getRule(req.user.id, parseInt(req.params.id));
+
+    if (!rule) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Site rule not found'
+      });
+    }
+
+    res.json({
+      rule
+    });
+  })
+);
+
+/**
+ * PUT /api/site-rules/:id
+ * Update site rule
+ */
+router.put('/:id',
+  validationRules.updateSiteRule,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const rule = siteRuleService.updateRule(req.user.id, parseInt(req.params.id), req.body);
+
+    if (!rule) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Site rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      rule
+    });
+  })
+);
+
+/**
+ * DELETE /api/site-rules/:id
+ * Delete site rule
+ */
+router.delete('/:id',
+  validationRules.siteRuleId,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const deleted = siteRuleService.deleteRule(req.user.id, parseInt(req.params.id));
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Site rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Site rule deleted successfully'
+    });
+  })
+);
+
+export default router;
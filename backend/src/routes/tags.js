@@ -0,0 +1,114 @@
+import express from 'express';
+import tagService from '../services/tagService.js';
+import { validateRequest, validationRules } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/tags
+ * List tags with article counts
+ */
+router.get('/',
+  asyncHandler(async (req, res) => {
+    const tags = tagService.listTags(req.user.id);
+
+    res.json({
+      tags
+    });
+  })
+);
+
+/**
+ * PUT /api/tags/:id
+ * Rename tag
+ */
+router.put('/:id',
+  validationRules.renameTag,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const tagId = parseInt(req.params.id);
+
+    let tag;
+    try {
+      tag = tagService.renameTag(req.user.id, tagId, req.body.name);
+    } catch (error) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: error.message
+      });
+    }
+
+    if (!tag) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Tag not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      tag
+    });
+  })
+);
+
+/**
+ * POST /api/tags/:id/merge
+ * Merge tag into another tag
+ */
+router.post('/:id/merge',
+  validationRules.mergeTag,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const sourceId = parseInt(req.params.id);
+    const targetId = parseInt(req.body.targetId);
+
+    if (sourceId === targetId) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Cannot merge a tag into itself'
+      });
+    }
+
+    if (!tagService.getTag(req.user.id, sourceId) || !tagService.getTag(req.user.id, targetId)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Tag not found'
+      });
+    }
+
+    const tag = tagService.mergeTags(req.user.id, sourceId, targetId);
+
+    res.json({
+      success: true,
+      tag
+    });
+  })
+);
+
+/**
+ * DELETE /api/tags/:id
+ * Delete tag (articles are kept)
+ */
+router.delete('/:id',
+  validationRules.tagId,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const deleted = tagService.deleteTag(req.user.id, parseInt(req.params.id));
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Tag not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tag deleted successfully'
+    });
+  })
+);
+
+export default router;
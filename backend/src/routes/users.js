@@ -0,0 +1,114 @@
+import express from 'express';
+import userService, { BOOTSTRAP_USER_ID } from '../services/userService.js';
+import sessionService from '../services/sessionService.js';
+import { validateRequest, validationRules } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+// Mounted behind requireAdmin
+const router = express.Router();
+
+/**
+ * GET /api/users
+ * List users with their article counts
+ */
+router.get('/',
+  asyncHandler(async (req, res) => {
+    const users = userService.listUsers();
+
+    res.json({
+      users
+    });
+  })
+);
+
+/**
+ * POST /api/users
+ * Create user and their first API key (the key is only returned here)
+ * Body: { name, is_admin?, password? }
+ */
+router.post('/',
+  validationRules.createUser,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    let result;
+    try {
+      result = await userService.createUser(req.body);
+    } catch (error) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      user: result.user,
+      key: result.key
+    });
+  })
+);
+
+/**
+ * PUT /api/users/:id/password
+ * Reset a user's password; ends their sessions
+ */
+router.put('/:id/password',
+  validationRules.setUserPassword,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const userId = parseInt(req.params.id);
+
+    if (!(await userService.setPassword(userId, req.body.password))) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'User not found'
+      });
+    }
+
+    sessionService.deleteUserSessions(userId, {
+      exceptSessionId: userId === req.user.id ? req.session?.id ?? null : null
+    });
+
+    res.json({
+      success: true,
+      message: 'Password updated'
+    });
+  })
+);
+
+/**
+ * DELETE /api/users/:id
+ * Delete user and everything in their library
+ */
+router.delete('/:id',
+  validationRules.userId,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const userId = parseInt(req.params.id);
+
+    if (userId === req.user.id || userId === BOOTSTRAP_USER_ID) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: userId === req.user.id
+          ? 'You cannot delete your own account'
+          : 'The bootstrap admin user cannot be deleted'
+      });
+    }
+
+    const deleted = await userService.deleteUser(userId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully'
+    });
+  })
+);
+
+export default router;
@@ -0,0 +1,161 @@
+import express from 'express';
+import webhookService, { WEBHOOK_EVENTS } from '../services/webhookService.js';
+import { validateRequest, validationRules } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/webhooks
+ * List webhooks and the events they can subscribe to
+ */
+router.get('/',
+  asyncHandler(async (req, res) => {
+    const webhooks = webhookService.listWebhooks(req.user.id);
+
+    res.json({
+      webhooks,
+      available_events: WEBHOOK_EVENTS
+    });
+  })
+);
+
+/**
+ * POST /api/webhooks
+ * Create webhook (the signing secret is only returned here)
+ */
+router.post('/',
+  validationRules.createWebhook,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const webhook = webhookService.createWebhook(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      webhook
+    });
+  })
+);
+
+/**
+ * GET /api/webhooks/:id
+ * Get webhook
+ */
+router.get('/:id',
+  validationRules.webhookId,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const webhook = webhookService.getWebhook(req.user.id, parseInt(req.params.id));
+
+    if (!webhook) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      webhook
+    });
+  })
+);
+
+/**
+ * PUT /api/webhooks/:id
+ * Update webhook
+ */
+router.put('/:id',
+  validationRules.updateWebhook,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const webhook = webhookService.updateWebhook(req.user.id, parseInt(req.params.id), req.body);
+
+    if (!webhook) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      webhook
+    });
+  })
+);
+
+/**
+ * DELETE /api/webhooks/:id
+ * Delete webhook and its delivery log
+ */
+router.delete('/:id',
+  validationRules.webhookId,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const deleted = webhookService.deleteWebhook(req.user.id, parseInt(req.params.id));
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  })
+);
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Delivery log for a webhook, newest first
+ */
+router.get('/:id/deliveries',
+  validationRules.webhookId,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const webhookId = parseInt(req.params.id);
+
+    if (!webhookService.getWebhook(req.user.id, webhookId)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Webhook not found'
+      });
+    }
+
+    const { limit = 50 } = req.query;
+    const deliveries = webhookService.listDeliveries(webhookId, { limit: parseInt(limit) || 50 });
+
+    res.json({
+      deliveries
+    });
+  })
+);
+
+/**
+ * POST /api/webhooks/:id/test
+ * Queue a ping delivery to the webhook
+ */
+router.post('/:id/test',
+  validationRules.webhookId,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const delivery = webhookService.sendTest(req.user.id, parseInt(req.params.id));
+
+    if (!delivery) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Webhook not found'
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      delivery
+    });
+  })
+);
+
+export default router;
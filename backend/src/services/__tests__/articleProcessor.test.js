@@ -157,6 +157,88 @@ describe('ArticleProcessor', () => {
     });
   });
 
+  describe('site rules', () => {
+    const page = `
+      <html>
+        <head><title>Site Name | Story</title></head>
+        <body>
+          <div class="story">
+            <h2 class="headline">The Real Headline</h2>
+            <span class="writer">By  Jane Doe</span>
+            <time datetime="2024-03-05T10:00:00Z">Yesterday</time>
+            <p>The first paragraph of the story is here.</p>
+            <div class="share">Share this on every network</div>
+            <img src="/placeholder.gif" data-original="/photo.jpg" srcset="/placeholder.gif 1x">
+            <p>The second paragraph of the story is here.</p>
+          </div>
+          <aside class="related"><p>Related reading that is not part of the story.</p></aside>
+        </body>
+      </html>
+    `;
+    const url = 'https://example.com/story';
+
+    function rule(fields) {
+      return { id: null, readability_options: {}, ...fields };
+    }
+
+    it('should use the content selector instead of Readability', async () => {
+      const result = await articleProcessor.processArticle(page, url, {
+        siteRule: rule({ content_selector: '.story p', strip_selector: '.share' })
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.contentText).toContain('first paragraph');
+      expect(result.contentText).toContain('second paragraph');
+      expect(result.contentText).not.toContain('Related reading');
+      expect(result.contentText).not.toContain('Jane Doe');
+    });
+
+    it('should strip elements and read metadata with selectors', async () => {
+      const result = await articleProcessor.processArticle(page, url, {
+        siteRule: rule({
+          content_selector: '.story',
+          strip_selector: '.share, .writer',
+          title_selector: '.headline',
+          author_selector: '.writer',
+          date_selector: 'time'
+        })
+      });
+
+      expect(result.title).toBe('The Real Headline');
+      expect(result.author).toBe('By Jane Doe');
+      expect(result.publishedAt.toISOString()).toBe('2024-03-05T10:00:00.000Z');
+      expect(result.contentText).not.toContain('Share this');
+      expect(result.contentText).not.toContain('Jane Doe');
+    });
+
+    it('should copy lazy-loaded image URLs into src', async () => {
+      const result = await articleProcessor.processArticle(page, url, {
+        siteRule: rule({ content_selector: '.story', lazy_image_attribute: 'data-original' })
+      });
+
+      expect(result.contentHtml).toContain('src="https://example.com/photo.jpg"');
+      expect(result.contentHtml).not.toContain('placeholder.gif');
+    });
+
+    it('should fall back to Readability when the selector matches nothing', async () => {
+      const result = await articleProcessor.processArticle(page, url, {
+        siteRule: rule({ content_selector: '.missing', readability_options: { charThreshold: 20 } })
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.contentText).toContain('first paragraph');
+    });
+
+    it('should ignore metadata that is missing or not a date', async () => {
+      const result = await articleProcessor.processArticle(page, url, {
+        siteRule: rule({ content_selector: '.story', title_selector: '.missing', date_selector: '.writer' })
+      });
+
+      expect(result.title).toBe('Site Name | Story');
+      expect(result.publishedAt).toBeNull();
+    });
+  });
+
   describe('saveFailedArticle', () => {
     it('should have saveFailedArticle method', async () => {
       expect(articleProcessor.saveFailedArticle).toBeDefined();
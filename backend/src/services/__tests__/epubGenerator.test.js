@@ -203,13 +203,13 @@ describe('EPUBGenerator', () => {
     });
 
     it('should throw error for empty article array', async () => {
-      await expect(epubGenerator.generateFromArticles([]))
+      await expect(epubGenerator.generateFromArticles(1, []))
         .rejects.toThrow('No valid articles found');
     });
 
     it('should throw error when no articles found in database', async () => {
       // Using non-existent article IDs
-      await expect(epubGenerator.generateFromArticles([999999, 999998]))
+      await expect(epubGenerator.generateFromArticles(1, [999999, 999998]))
         .rejects.toThrow();
     });
   });
@@ -229,6 +229,28 @@ describe('EPUBGenerator', () => {
       // Non-existent images should be removed or handled gracefully
       expect(processed).not.toContain('/images/non-existent.jpg');
     });
+
+    it('should drop images that were not saved locally', () => {
+      const html = '<img src="http://169.254.169.254/latest/meta-data/"><img src="file:///etc/passwd"><img src="//example.com/a.jpg"><img src="/images/../../config.json"><img src="data:image/png;base64,AAAA">';
+      const processed = epubGenerator._processImagesInHtml(html);
+      expect(processed).toBe('<img src="data:image/png;base64,AAAA">');
+    });
+
+    it('should swap in the given image variants', async () => {
+      const dir = path.join(epubGenerator.imagesDir, 'epub-variant-test');
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, 'eink.png'), 'png');
+
+      try {
+        const html = '<img src="/images/epub-variant-test/web.jpg" alt="Test">';
+        const imagePaths = new Map([['/images/epub-variant-test/web.jpg', '/images/epub-variant-test/eink.png']]);
+
+        const processed = epubGenerator._processImagesInHtml(html, imagePaths);
+        expect(processed).toBe(`<img src="${path.join(dir, 'eink.png')}" alt="Test">`);
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    });
   });
 
   describe('EPUB Generation Integration', () => {
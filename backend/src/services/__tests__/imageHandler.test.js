@@ -1,6 +1,14 @@
 import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
 import imageHandler from '../imageHandler.js';
+import httpClient from '../httpClient.js';
+import imageStore from '../imageStore.js';
 import fs from 'fs/promises';
+import sharp from 'sharp';
+import { JSDOM } from 'jsdom';
+
+function imgFrom(html) {
+  return new JSDOM(html).window.document.querySelector('img');
+}
 
 describe('ImageHandler', () => {
   describe('downloadAndReplaceImages', () => {
@@ -12,9 +20,9 @@ describe('ImageHandler', () => {
     it('should return object with html and images properties', async () => {
       const html = '<div><p>No images here</p></div>';
       const baseUrl = 'https://example.com/article';
-      const articleTitle = 'Test Article';
+      const storageKey = 'test-storage';
 
-      const result = await imageHandler.downloadAndReplaceImages(html, baseUrl, articleTitle);
+      const result = await imageHandler.downloadAndReplaceImages(html, baseUrl, storageKey);
 
       expect(result).toHaveProperty('html');
       expect(result).toHaveProperty('images');
@@ -24,9 +32,9 @@ describe('ImageHandler', () => {
     it('should handle HTML without images', async () => {
       const html = '<div><p>No images here</p></div>';
       const baseUrl = 'https://example.com/article';
-      const articleTitle = 'Test Article';
+      const storageKey = 'test-storage';
 
-      const result = await imageHandler.downloadAndReplaceImages(html, baseUrl, articleTitle);
+      const result = await imageHandler.downloadAndReplaceImages(html, baseUrl, storageKey);
 
       expect(result.images).toHaveLength(0);
       expect(result.html).toContain('No images here');
@@ -35,9 +43,9 @@ describe('ImageHandler', () => {
     it('should handle data URIs gracefully', async () => {
       const html = '<img src="data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==">';
       const baseUrl = 'https://example.com/article';
-      const articleTitle = 'Test Article';
+      const storageKey = 'test-storage';
 
-      const result = await imageHandler.downloadAndReplaceImages(html, baseUrl, articleTitle);
+      const result = await imageHandler.downloadAndReplaceImages(html, baseUrl, storageKey);
 
       // Data URIs should be skipped
       expect(result.images).toHaveLength(0);
@@ -46,9 +54,9 @@ describe('ImageHandler', () => {
     it('should preserve alt text from images', async () => {
       const html = '<img src="/test.jpg" alt="Test alt text">';
       const baseUrl = 'https://example.com/article';
-      const articleTitle = 'Test Article';
+      const storageKey = 'test-storage';
 
-      const result = await imageHandler.downloadAndReplaceImages(html, baseUrl, articleTitle);
+      const result = await imageHandler.downloadAndReplaceImages(html, baseUrl, storageKey);
 
       // The alt text should be preserved in the HTML
       expect(result.html).toContain('alt="Test alt text"');
@@ -57,15 +65,144 @@ describe('ImageHandler', () => {
     it('should handle invalid URLs gracefully', async () => {
       const html = '<img src="not-a-valid-url">';
       const baseUrl = 'https://example.com/article';
-      const articleTitle = 'Test Article';
+      const storageKey = 'test-storage';
 
       // Should not throw, but return the HTML with unchanged src
-      const result = await imageHandler.downloadAndReplaceImages(html, baseUrl, articleTitle);
+      const result = await imageHandler.downloadAndReplaceImages(html, baseUrl, storageKey);
 
       expect(result).toHaveProperty('html');
     });
   });
 
+  describe('downloadImages', () => {
+    let originalRetryBaseMs;
+
+    beforeEach(() => {
+      originalRetryBaseMs = imageHandler.retryBaseMs;
+      imageHandler.retryBaseMs = 1;
+    });
+
+    afterEach(() => {
+      imageHandler.retryBaseMs = originalRetryBaseMs;
+      jest.restoreAllMocks();
+    });
+
+    function httpError(status) {
+      const error = new Error(`HTTP ${status}: Error`);
+      error.status = status;
+      return error;
+    }
+
+    it('should stay within the global and per-host limits', async () => {
+      let active = 0;
+      let maxActive = 0;
+      const activeByHost = new Map();
+      const maxByHost = new Map();
+
+      jest.spyOn(imageHandler, '_downloadImage').mockImplementation(async (url) => {
+        const host = new URL(url).host;
+        active++;
+        activeByHost.set(host, (activeByHost.get(host) || 0) + 1);
+        maxActive = Math.max(maxActive, active);
+        maxByHost.set(host, Math.max(maxByHost.get(host) || 0, activeByHost.get(host)));
+
+        await new Promise(resolve => setTimeout(resolve, 5));
+
+        active--;
+        activeByHost.set(host, activeByHost.get(host) - 1);
+        return { localPath: `/images/${host}.jpg` };
+      });
+
+      const urls = [];
+      for (const host of ['a.example', 'b.example', 'c.example', 'd.example', 'e.example']) {
+        for (let i = 0; i < 4; i++) {
+          urls.push(`https://${host}/${i}.jpg`);
+        }
+      }
+
+      const results = await imageHandler.downloadImages(urls, 'https://example.com/article');
+
+      expect(results.size).toBe(20);
+      expect(maxActive).toBe(imageHandler.concurrency);
+      expect(Math.max(...maxByHost.values())).toBe(imageHandler.hostConcurrency);
+    });
+
+    it('should download each URL once', async () => {
+      const download = jest.spyOn(imageHandler, '_downloadImage').mockResolvedValue({ localPath: '/images/a.jpg' });
+
+      await imageHandler.downloadImages(['https://a.example/1.jpg', 'https://a.example/1.jpg'], 'https://example.com/article');
+
+      expect(download).toHaveBeenCalledTimes(1);
+    });
+
+    it('should retry server errors and timeouts', async () => {
+      const download = jest.spyOn(imageHandler, '_downloadImage')
+        .mockRejectedValueOnce(httpError(503))
+        .mockRejectedValueOnce(new Error('Timed out after 10000ms'))
+        .mockResolvedValueOnce({ localPath: '/images/a.jpg' });
+
+      const results = await imageHandler.downloadImages(['https://a.example/1.jpg'], 'https://example.com/article');
+
+      expect(download).toHaveBeenCalledTimes(3);
+      expect(results.get('https://a.example/1.jpg')).toEqual({ localPath: '/images/a.jpg' });
+    });
+
+    it('should not retry other failures', async () => {
+      const download = jest.spyOn(imageHandler, '_downloadImage').mockRejectedValue(httpError(404));
+
+      const results = await imageHandler.downloadImages(['https://a.example/1.jpg'], 'https://example.com/article');
+
+      expect(download).toHaveBeenCalledTimes(1);
+      expect(results.get('https://a.example/1.jpg')).toEqual({ error: 'HTTP 404: Error' });
+    });
+
+    it('should give up after the last attempt', async () => {
+      const download = jest.spyOn(imageHandler, '_downloadImage').mockRejectedValue(httpError(500));
+
+      const results = await imageHandler.downloadImages(['https://a.example/1.jpg'], 'https://example.com/article');
+
+      expect(download).toHaveBeenCalledTimes(imageHandler.maxAttempts);
+      expect(results.get('https://a.example/1.jpg').error).toBe('HTTP 500: Error');
+    });
+
+    it('should stop starting downloads once the time budget is spent', async () => {
+      const originalBudget = imageHandler.budgetMs;
+      imageHandler.budgetMs = 20;
+      jest.spyOn(imageHandler, '_downloadImage').mockImplementation(async (url, baseUrl, storageKey, timeout) => {
+        await new Promise(resolve => setTimeout(resolve, timeout));
+        throw new Error(`Timed out after ${timeout}ms`);
+      });
+
+      try {
+        const urls = ['https://a.example/1.jpg', 'https://a.example/2.jpg', 'https://a.example/3.jpg'];
+        const results = await imageHandler.downloadImages(urls, 'https://example.com/article');
+
+        expect(results.get('https://a.example/3.jpg').error).toBe('Time budget for images exceeded');
+      } finally {
+        imageHandler.budgetMs = originalBudget;
+      }
+    });
+
+    it('should record failed images with their absolute URL', async () => {
+      jest.spyOn(imageHandler, '_downloadImage').mockRejectedValue(httpError(404));
+
+      const result = await imageHandler.downloadAndReplaceImages(
+        '<img src="missing.jpg" srcset="missing.jpg 1x, missing@2x.jpg 2x" alt="Gone">',
+        'https://example.com/posts/article',
+        'test-storage'
+      );
+
+      expect(result.images).toEqual([expect.objectContaining({
+        originalUrl: 'https://example.com/posts/missing@2x.jpg',
+        localPath: null,
+        status: 'failed',
+        error: 'HTTP 404: Error'
+      })]);
+      expect(result.html).toContain('src="https://example.com/posts/missing@2x.jpg"');
+      expect(result.html).not.toContain('srcset');
+    });
+  });
+
   describe('_getImageSrc', () => {
     it('should get src from standard img src attribute', () => {
       const mockImg = {
@@ -121,96 +258,117 @@ describe('ImageHandler', () => {
       const src = imageHandler._getImageSrc(mockImg);
       expect(src).toBeNull();
     });
-  });
 
-  describe('_sanitizeFilename', () => {
-    it('should sanitize filenames by removing special characters', () => {
-      const filename = imageHandler._sanitizeFilename('Test Title! With Special @#$ Characters');
-      expect(filename).toMatch(/^[a-z0-9-]+$/);
-      expect(filename).not.toContain('!');
-      expect(filename).not.toContain('@');
-      expect(filename).not.toContain('#');
-      expect(filename).not.toContain('$');
+    it('should pick the srcset candidate that fills the slot at 2x', () => {
+      const img = imgFrom('<img src="small.jpg" srcset="a.jpg 320w, b.jpg 640w, c.jpg 1280w, d.jpg 2400w" sizes="(max-width: 600px) 100vw, 300px">');
+      expect(imageHandler._getImageSrc(img)).toBe('b.jpg');
     });
 
-    it('should convert to lowercase', () => {
-      const filename = imageHandler._sanitizeFilename('UPPERCASE Title');
-      expect(filename).toBe(filename.toLowerCase());
+    it('should cap srcset selection at the web width', () => {
+      const img = imgFrom('<img src="small.jpg" srcset="a.jpg 320w, c.jpg 1280w, d.jpg 2400w">');
+      expect(imageHandler._getImageSrc(img)).toBe('c.jpg');
     });
 
-    it('should replace spaces with hyphens', () => {
-      const filename = imageHandler._sanitizeFilename('test title here');
-      expect(filename).toContain('-');
-      expect(filename).not.toContain(' ');
+    it('should pick a 2x density candidate', () => {
+      const img = imgFrom('<img src="a.jpg" srcset="a.jpg, b.jpg 2x, c.jpg 3x">');
+      expect(imageHandler._getImageSrc(img)).toBe('b.jpg');
     });
 
-    it('should truncate long filenames', () => {
-      const longTitle = 'a'.repeat(100);
-      const filename = imageHandler._sanitizeFilename(longTitle);
-      expect(filename.length).toBeLessThanOrEqual(50);
+    it('should prefer data-srcset over a placeholder srcset', () => {
+      const img = imgFrom('<img src="data:image/gif;base64,R0lGOD" srcset="data:image/gif;base64,R0lGOD 1w" data-srcset="real.jpg 800w, big.jpg 1600w">');
+      expect(imageHandler._getImageSrc(img)).toBe('big.jpg');
     });
 
-    it('should remove leading and trailing hyphens', () => {
-      const filename = imageHandler._sanitizeFilename('---test---');
-      expect(filename).not.toMatch(/^-|-$/);
-    });
-
-    it('should handle unicode characters', () => {
-      const filename = imageHandler._sanitizeFilename('Title with émojis 🎉 and üñîçödé');
-      expect(filename).toMatch(/^[a-z0-9-]+$/);
+    it('should use the first matching picture source with a supported type', () => {
+      const img = imgFrom(`<picture>
+        <source type="image/jxl" srcset="photo.jxl">
+        <source media="(max-width: 600px)" srcset="mobile.avif" type="image/avif">
+        <source media="(min-width: 601px)" srcset="desktop-800.avif 800w, desktop-1600.avif 1600w" type="image/avif">
+        <img src="fallback.jpg">
+      </picture>`);
+      expect(imageHandler._getImageSrc(img)).toBe('desktop-1600.avif');
     });
   });
 
-  describe('_convertToJPEG', () => {
-    it('should have _convertToJPEG method', () => {
-      expect(imageHandler._convertToJPEG).toBeDefined();
-      expect(typeof imageHandler._convertToJPEG).toBe('function');
+  describe('_parseSrcset', () => {
+    it('should keep commas that are part of URLs', () => {
+      expect(imageHandler._parseSrcset('https://cdn.example.com/w_400,h_200/a.jpg 400w, https://cdn.example.com/w_800,h_400/a.jpg 800w')).toEqual([
+        { url: 'https://cdn.example.com/w_400,h_200/a.jpg', width: 400 },
+        { url: 'https://cdn.example.com/w_800,h_400/a.jpg', width: 800 }
+      ]);
     });
 
-    it('should return buffer', async () => {
-      // Create a minimal PNG buffer (1x1 pixel)
-      const pngBuffer = Buffer.from([
-        0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00, 0x00, 0x0D,
-        0x49, 0x48, 0x44, 0x52, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x01,
-        0x08, 0x02, 0x00, 0x00, 0x00, 0x90, 0x77, 0x53, 0xDE
+    it('should default to 1x and skip invalid descriptors', () => {
+      expect(imageHandler._parseSrcset('a.jpg, b.jpg 1.5x, c.jpg 100h')).toEqual([
+        { url: 'a.jpg', density: 1 },
+        { url: 'b.jpg', density: 1.5 }
       ]);
+    });
+  });
+
+  describe('_createWebVariant', () => {
+    it('should resize to the web width and keep PNG sources as PNG', async () => {
+      const png = await sharp({ create: { width: 2400, height: 1200, channels: 4, background: '#ff000080' } }).png().toBuffer();
 
-      const result = await imageHandler._convertToJPEG(pngBuffer);
-      expect(Buffer.isBuffer(result)).toBe(true);
+      const { buffer, ext } = await imageHandler._createWebVariant(png, true);
+      const metadata = await sharp(buffer).metadata();
+
+      expect(ext).toBe('png');
+      expect(metadata.format).toBe('png');
+      expect(metadata.width).toBe(imageHandler.webWidth);
+      expect(metadata.hasAlpha).toBe(true);
     });
 
-    it('should handle invalid buffer gracefully', async () => {
-      const invalidBuffer = Buffer.from('not-an-image');
+    it('should convert AVIF to JPEG', async () => {
+      const avif = await sharp({ create: { width: 200, height: 100, channels: 3, background: '#00ff00' } }).avif().toBuffer();
+
+      const { buffer, ext } = await imageHandler._createWebVariant(avif);
 
-      // Should not throw, but return original buffer
-      const result = await imageHandler._convertToJPEG(invalidBuffer);
-      expect(Buffer.isBuffer(result)).toBe(true);
+      expect(ext).toBe('jpg');
+      expect((await sharp(buffer).metadata()).format).toBe('jpeg');
     });
-  });
 
-  describe('_optimizeImage', () => {
-    it('should have _optimizeImage method', () => {
-      expect(imageHandler._optimizeImage).toBeDefined();
-      expect(typeof imageHandler._optimizeImage).toBe('function');
+    it('should rasterize SVG', async () => {
+      const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="100" height="50"><rect width="100" height="50" fill="red"/></svg>');
+
+      const { buffer, ext } = await imageHandler._createWebVariant(svg, true);
+      const metadata = await sharp(buffer).metadata();
+
+      expect(ext).toBe('png');
+      expect(metadata.format).toBe('png');
+      expect(metadata.width).toBeGreaterThan(100);
     });
 
-    it('should return buffer', async () => {
-      // Create a minimal JPEG buffer (1x1 pixel)
-      const jpegBuffer = Buffer.from([
-        0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46, 0x49, 0x46, 0x00, 0x01,
-        0x01, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00
-      ]);
+    it('should reject bytes that are not an image', async () => {
+      await expect(imageHandler._createWebVariant(Buffer.from('<svg onload="alert(1)"')))
+        .rejects.toThrow('Could not decode image');
+    });
+  });
 
-      const result = await imageHandler._optimizeImage(jpegBuffer);
-      expect(Buffer.isBuffer(result)).toBe(true);
+  describe('_createEinkVariant', () => {
+    it('should produce a grayscale PNG that fits the e-reader screen', async () => {
+      const jpeg = await sharp({ create: { width: 3000, height: 1000, channels: 3, background: '#3366cc' } }).jpeg().toBuffer();
+
+      const eink = await imageHandler._createEinkVariant(jpeg);
+      const metadata = await sharp(eink).metadata();
+      const { data, info } = await sharp(eink).raw().toBuffer({ resolveWithObject: true });
+
+      expect(metadata.format).toBe('png');
+      expect(metadata.width).toBeLessThanOrEqual(imageHandler.einkWidth);
+      expect(metadata.height).toBeLessThanOrEqual(imageHandler.einkHeight);
+      // Every pixel is a gray: R = G = B
+      let colored = 0;
+      for (let i = 0; i < data.length; i += info.channels) {
+        if (data[i] !== data[i + 1] || data[i] !== data[i + 2]) colored++;
+      }
+      expect(colored).toBe(0);
     });
 
-    it('should handle invalid buffer gracefully', async () => {
-      const invalidBuffer = Buffer.from('not-an-image');
+    it('should not enlarge small images', async () => {
+      const png = await sharp({ create: { width: 40, height: 20, channels: 3, background: '#000000' } }).png().toBuffer();
 
-      // Should not throw, but return original buffer
-      const result = await imageHandler._optimizeImage(invalidBuffer);
-      expect(Buffer.isBuffer(result)).toBe(true);
+      const metadata = await sharp(await imageHandler._createEinkVariant(png)).metadata();
+      expect(metadata.width).toBe(40);
     });
   });
 
@@ -237,6 +395,8 @@ describe('ImageHandler', () => {
       expect(imageHandler.supportedFormats).toContain('image/jpeg');
       expect(imageHandler.supportedFormats).toContain('image/png');
       expect(imageHandler.supportedFormats).toContain('image/webp');
+      expect(imageHandler.supportedFormats).toContain('image/avif');
+      expect(imageHandler.supportedFormats).toContain('image/svg+xml');
     });
 
     it('should have configured image quality', () => {
@@ -249,34 +409,42 @@ describe('ImageHandler', () => {
 
   describe('Image path handling', () => {
     it('should generate correct image paths with leading slash', async () => {
-      const html = '<img src="/test.jpg" alt="Test">';
+      const html = '<picture><source srcset="/test.webp" type="image/webp"><img src="/test.jpg" srcset="/test.jpg 1x, /test@2x.jpg 2x" alt="Test"></picture>';
       const baseUrl = 'https://example.com/article';
-      const articleTitle = 'Test Article';
-
-      // Create a mock fetch response
-      global.fetch = jest.fn(() =>
-        Promise.resolve({
-          ok: true,
-          headers: {
-            get: (header) => {
-              if (header === 'content-type') return 'image/jpeg';
-              if (header === 'content-length') return '1000';
-              return null;
-            }
-          },
-          arrayBuffer: () => Promise.resolve(new ArrayBuffer(1000))
-        })
-      );
-
-      const result = await imageHandler.downloadAndReplaceImages(html, baseUrl, articleTitle);
+      const storageKey = 'test-storage';
+      const jpeg = await sharp({ create: { width: 20, height: 10, channels: 3, background: '#ffffff' } }).jpeg().toBuffer();
+
+      // Create a mock HTTP response
+      const requestSpy = jest.spyOn(httpClient, 'request').mockResolvedValue({
+        ok: true,
+        headers: new Headers({ 'content-type': 'image/jpeg', 'content-length': String(jpeg.length) }),
+        buffer: () => Promise.resolve(jpeg),
+        discard: () => {}
+      });
+      const storeSpy = jest.spyOn(imageStore, 'store').mockImplementation(async (buffer, ext, key) => ({
+        localPath: `/images/${key}/ab/abcdef.${ext}`,
+        sizeBytes: buffer.length
+      }));
+
+      const result = await imageHandler.downloadAndReplaceImages(html, baseUrl, storageKey);
 
       // Check that image paths start with /images/
+      expect(result.images).toHaveLength(1);
       for (const image of result.images) {
         expect(image.localPath).toMatch(/^\/images\//);
       }
+      expect(requestSpy).toHaveBeenCalledWith('https://example.com/test.webp', expect.any(Object));
+      expect(storeSpy).toHaveBeenCalledWith(expect.any(Buffer), 'jpg', storageKey);
+      expect(storeSpy).toHaveBeenCalledWith(expect.any(Buffer), 'png', storageKey);
+      expect(result.images[0].einkPath).toBe('/images/test-storage/ab/abcdef.png');
+      expect(result.html).toContain('src="/images/test-storage/ab/abcdef.jpg"');
+      // Remote candidates would override the saved copy in the browser
+      expect(result.html).not.toContain('srcset');
+      expect(result.html).not.toContain('<source');
 
       // Cleanup mock
-      global.fetch = undefined;
+      requestSpy.mockRestore();
+      storeSpy.mockRestore();
     });
   });
 });
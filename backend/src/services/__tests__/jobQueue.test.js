@@ -0,0 +1,152 @@
+// Set test ID before any imports to ensure unique database file
+process.env.TEST_ID = 'job-queue';
+
+import { describe, it, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import { setupTestDatabase, cleanupTestDatabase, resetTestDatabase } from '../../__tests__/utils/testApp.js';
+import { getConnection } from '../../database/index.js';
+import jobQueue from '../jobQueue.js';
+
+describe('JobQueue', () => {
+  beforeAll(async () => {
+    await setupTestDatabase();
+    jobQueue.retryBaseDelay = 5000;
+  });
+
+  afterAll(() => {
+    cleanupTestDatabase();
+  });
+
+  afterEach(async () => {
+    await resetTestDatabase();
+  });
+
+  /**
+   * Make a queued job ready now, skipping its backoff
+   */
+  function skipBackoff(jobId) {
+    getConnection().prepare("UPDATE jobs SET run_at = datetime('now', '-1 seconds') WHERE id = ?").run(jobId);
+  }
+
+  it('should run a job and store its result', async () => {
+    jobQueue.register('test.echo', async (payload) => ({ echoed: payload.message }));
+
+    const queued = jobQueue.enqueue('test.echo', { message: 'hello' });
+    expect(queued.status).toBe('queued');
+    expect(queued).not.toHaveProperty('payload');
+
+    await jobQueue.drain();
+
+    const job = jobQueue.getJob(queued.id);
+    expect(job.status).toBe('completed');
+    expect(job.result).toEqual({ echoed: 'hello' });
+    expect(job.attempts).toBe(1);
+    expect(job.finished_at).toBeTruthy();
+  });
+
+  it('should record progress while the job runs', async () => {
+    let seenProgress;
+    jobQueue.register('test.progress', async (payload, { job, progress }) => {
+      progress('Halfway there');
+      seenProgress = jobQueue.getJob(job.id).progress;
+    });
+
+    const queued = jobQueue.enqueue('test.progress');
+    await jobQueue.drain();
+
+    expect(seenProgress).toBe('Halfway there');
+    expect(jobQueue.getJob(queued.id).progress).toBeNull();
+  });
+
+  it('should retry a failed job after a backoff', async () => {
+    let calls = 0;
+    jobQueue.register('test.flaky', async () => {
+      calls++;
+      if (calls === 1) throw new Error('Temporary glitch');
+      return { ok: true };
+    });
+
+    const queued = jobQueue.enqueue('test.flaky');
+    await jobQueue.drain();
+
+    // Backoff keeps the retry out of this drain
+    let job = jobQueue.getJob(queued.id);
+    expect(job.status).toBe('queued');
+    expect(job.attempts).toBe(1);
+    expect(job.error).toBe('Temporary glitch');
+    expect(new Date(job.run_at + 'Z').getTime()).toBeGreaterThan(Date.now());
+
+    skipBackoff(queued.id);
+    await jobQueue.drain();
+
+    job = jobQueue.getJob(queued.id);
+    expect(job.status).toBe('completed');
+    expect(job.attempts).toBe(2);
+    expect(job.error).toBeNull();
+  });
+
+  it('should fail a job once it runs out of attempts', async () => {
+    jobQueue.register('test.broken', async () => {
+      throw new Error('Always broken');
+    }, { maxAttempts: 2 });
+
+    const queued = jobQueue.enqueue('test.broken');
+    await jobQueue.drain();
+    skipBackoff(queued.id);
+    await jobQueue.drain();
+
+    const job = jobQueue.getJob(queued.id);
+    expect(job.status).toBe('failed');
+    expect(job.attempts).toBe(2);
+    expect(job.error).toBe('Always broken');
+  });
+
+  it('should not retry errors marked as not retryable', async () => {
+    jobQueue.register('test.permanent', async () => {
+      const error = new Error('Bad input');
+      error.retryable = false;
+      throw error;
+    });
+
+    const queued = jobQueue.enqueue('test.permanent');
+    await jobQueue.drain();
+
+    const job = jobQueue.getJob(queued.id);
+    expect(job.status).toBe('failed');
+    expect(job.attempts).toBe(1);
+  });
+
+  it('should reject unknown job types', () => {
+    expect(() => jobQueue.enqueue('test.unknown')).toThrow('Unknown job type');
+  });
+
+  it('should requeue jobs interrupted by a restart', () => {
+    jobQueue.register('test.echo', async () => null);
+    const db = getConnection();
+
+    const interrupted = jobQueue.enqueue('test.echo');
+    const exhausted = jobQueue.enqueue('test.echo');
+    db.prepare("UPDATE jobs SET status = 'running', attempts = 1 WHERE id = ?").run(interrupted.id);
+    db.prepare("UPDATE jobs SET status = 'running', attempts = max_attempts WHERE id = ?").run(exhausted.id);
+
+    jobQueue.recoverInterrupted();
+
+    expect(jobQueue.getJob(interrupted.id).status).toBe('queued');
+    expect(jobQueue.getJob(exhausted.id).status).toBe('failed');
+    expect(jobQueue.getJob(exhausted.id).error).toBe('Interrupted by server restart');
+  });
+
+  it('should prune finished jobs past the retention period', async () => {
+    jobQueue.register('test.echo', async () => null);
+    const db = getConnection();
+
+    const old = jobQueue.enqueue('test.echo');
+    const recent = jobQueue.enqueue('test.echo');
+    await jobQueue.drain();
+    db.prepare("UPDATE jobs SET finished_at = datetime('now', '-30 days') WHERE id = ?").run(old.id);
+
+    jobQueue.pruneFinished();
+
+    expect(jobQueue.getJob(old.id)).toBeNull();
+    expect(jobQueue.getJob(recent.id)).not.toBeNull();
+  });
+});
@@ -0,0 +1,109 @@
+// Set test ID before any imports to ensure unique database file
+process.env.TEST_ID = 'settings-service';
+process.env.SECRETS_MASTER_KEY = 'first master secret';
+
+import { describe, it, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import { setupTestDatabase, cleanupTestDatabase, resetTestDatabase } from '../../__tests__/utils/testApp.js';
+import { getConnection } from '../../database/index.js';
+import { BOOTSTRAP_USER_ID } from '../userService.js';
+import settingsService from '../settingsService.js';
+import { up as encryptSecretSettings } from '../../../migrations/012_encrypt_secret_settings.js';
+
+const SMTP = {
+  kindleEmail: 'me@kindle.com',
+  smtpHost: 'smtp.example.com',
+  smtpUser: 'me@example.com',
+  smtpPassword: 'hunter2 hunter2'
+};
+
+function storedValue(key) {
+  return getConnection()
+    .prepare('SELECT value FROM settings WHERE user_id = ? AND key = ?')
+    .get(BOOTSTRAP_USER_ID, key).value;
+}
+
+describe('SettingsService secret settings', () => {
+  beforeAll(async () => {
+    await setupTestDatabase();
+  });
+
+  afterAll(() => {
+    cleanupTestDatabase();
+  });
+
+  afterEach(async () => {
+    process.env.SECRETS_MASTER_KEY = 'first master secret';
+    delete process.env.SECRETS_PREVIOUS_MASTER_KEYS;
+    await resetTestDatabase();
+  });
+
+  it('should store the SMTP password encrypted and decrypt it on read', () => {
+    settingsService.setSmtpSettings(BOOTSTRAP_USER_ID, SMTP);
+
+    const stored = storedValue('SMTP_PASSWORD');
+    expect(stored).toMatch(/^enc:v1:/);
+    expect(stored).not.toContain('hunter2');
+    expect(storedValue('SMTP_HOST')).toBe('smtp.example.com');
+
+    expect(settingsService.getSmtpSettings(BOOTSTRAP_USER_ID).smtpPassword).toBe('hunter2 hunter2');
+    expect(settingsService.get(BOOTSTRAP_USER_ID, 'SMTP_PASSWORD')).toBe('hunter2 hunter2');
+    expect(settingsService.isSmtpConfigured(BOOTSTRAP_USER_ID)).toBe(true);
+  });
+
+  it('should use a fresh IV for every value', () => {
+    settingsService.set(BOOTSTRAP_USER_ID, 'SMTP_PASSWORD', 'same');
+    const first = storedValue('SMTP_PASSWORD');
+    settingsService.set(BOOTSTRAP_USER_ID, 'SMTP_PASSWORD', 'same');
+
+    expect(storedValue('SMTP_PASSWORD')).not.toBe(first);
+  });
+
+  it('should not reveal values under an unknown or wrong master secret', () => {
+    settingsService.setSmtpSettings(BOOTSTRAP_USER_ID, SMTP);
+    process.env.SECRETS_MASTER_KEY = 'someone else';
+
+    expect(settingsService.get(BOOTSTRAP_USER_ID, 'SMTP_PASSWORD')).toBeNull();
+    expect(settingsService.getSmtpSettings(BOOTSTRAP_USER_ID).smtpPassword).toBe('');
+    expect(settingsService.isSmtpConfigured(BOOTSTRAP_USER_ID)).toBe(false);
+  });
+
+  it('should reject tampered values', () => {
+    settingsService.setSmtpSettings(BOOTSTRAP_USER_ID, SMTP);
+    const parts = storedValue('SMTP_PASSWORD').split(':');
+    parts[5] = Buffer.from('hunter3 hunter3').toString('base64');
+    getConnection().prepare('UPDATE settings SET value = ? WHERE user_id = ? AND key = ?')
+      .run(parts.join(':'), BOOTSTRAP_USER_ID, 'SMTP_PASSWORD');
+
+    expect(settingsService.get(BOOTSTRAP_USER_ID, 'SMTP_PASSWORD')).toBeNull();
+  });
+
+  it('should re-encrypt with a new master secret while the previous one is still accepted', () => {
+    settingsService.setSmtpSettings(BOOTSTRAP_USER_ID, SMTP);
+    const before = storedValue('SMTP_PASSWORD');
+
+    process.env.SECRETS_MASTER_KEY = 'second master secret';
+    process.env.SECRETS_PREVIOUS_MASTER_KEYS = 'first master secret';
+    expect(settingsService.get(BOOTSTRAP_USER_ID, 'SMTP_PASSWORD')).toBe('hunter2 hunter2');
+
+    expect(settingsService.reencryptSecrets()).toBe(1);
+    expect(settingsService.reencryptSecrets()).toBe(0);
+    expect(storedValue('SMTP_PASSWORD').split(':')[2]).not.toBe(before.split(':')[2]);
+
+    delete process.env.SECRETS_PREVIOUS_MASTER_KEYS;
+    expect(settingsService.get(BOOTSTRAP_USER_ID, 'SMTP_PASSWORD')).toBe('hunter2 hunter2');
+  });
+
+  it('should encrypt existing plaintext values in the migration', () => {
+    getConnection().prepare('INSERT INTO settings (user_id, key, value) VALUES (?, ?, ?), (?, ?, ?)')
+      .run(BOOTSTRAP_USER_ID, 'SMTP_PASSWORD', 'legacy password', BOOTSTRAP_USER_ID, 'SMTP_USER', 'me@example.com');
+
+    // Plaintext is still readable until migrated
+    expect(settingsService.get(BOOTSTRAP_USER_ID, 'SMTP_PASSWORD')).toBe('legacy password');
+
+    encryptSecretSettings(getConnection());
+
+    expect(storedValue('SMTP_PASSWORD')).toMatch(/^enc:v1:/);
+    expect(storedValue('SMTP_USER')).toBe('me@example.com');
+    expect(settingsService.get(BOOTSTRAP_USER_ID, 'SMTP_PASSWORD')).toBe('legacy password');
+  });
+});
@@ -0,0 +1,158 @@
+import crypto from 'crypto';
+import { getConnection } from '../database/index.js';
+import logger from '../utils/logger.js';
+
+// Scopes a key can be granted; settings:admin implies all of them
+export const API_KEY_SCOPES = [
+  'articles:read',
+  'articles:write',
+  'epub:read',
+  'epub:write',
+  'settings:admin'
+];
+
+export const ADMIN_SCOPE = 'settings:admin';
+
+const KEY_PREFIX = 'bd_';
+
+// Don't write last_used_at on every request
+const LAST_USED_RESOLUTION_SECONDS = 60;
+
+/**
+ * Named API keys
+ *
+ * Only a SHA-256 hash of each key is stored. The plain key is returned once,
+ * when it is created.
+ */
+class ApiKeyService {
+  /**
+   * List a user's keys, newest first (hashes are not included)
+   */
+  listKeys(userId) {
+    const db = getConnection();
+    return db.prepare('SELECT * FROM api_keys WHERE user_id = ? ORDER BY id DESC')
+      .all(userId)
+      .map(row => this._format(row));
+  }
+
+  /**
+   * Get key by ID
+   * @returns {Object|null} - Key or null if not found
+   */
+  getKey(userId, keyId) {
+    const db = getConnection();
+    const row = db.prepare('SELECT * FROM api_keys WHERE id = ? AND user_id = ?').get(keyId, userId);
+    return row ? this._format(row) : null;
+  }
+
+  /**
+   * Create a key for a user
+   * @param {Object} data - { label, scopes, expires_in_days? }
+   * @returns {Object} - Created key, including the plain `key`
+   */
+  createKey(userId, { label, scopes, expires_in_days: expiresInDays }) {
+    const db = getConnection();
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+
+    const row = db.prepare(`
+      INSERT INTO api_keys (user_id, label, key_prefix, key_hash, scopes, expires_at)
+      VALUES (?, ?, ?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END)
+      RETURNING *
+    `).get(
+      userId,
+      label,
+      key.slice(0, KEY_PREFIX.length + 8),
+      this._hash(key),
+      JSON.stringify([...new Set(scopes)]),
+      expiresInDays ?? null,
+      `+${expiresInDays} days`
+    );
+
+    logger.info('API key created', { keyId: row.id, userId, label, scopes });
+
+    return {
+      ...this._format(row),
+      key
+    };
+  }
+
+  /**
+   * Revoke a key (the row is kept so the key list shows what was revoked)
+   * @returns {Object|null} - Revoked key or null if not found
+   */
+  revokeKey(userId, keyId) {
+    const db = getConnection();
+    const row = db.prepare(`
+      UPDATE api_keys SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+      WHERE id = ? AND user_id = ?
+      RETURNING *
+    `).get(keyId, userId);
+
+    if (row) {
+      logger.info('API key revoked', { keyId });
+    }
+    return row ? this._format(row) : null;
+  }
+
+  /**
+   * Look up an active key by its plain value and record that it was used
+   * @returns {Object|null} - Key or null if unknown, revoked or expired
+   */
+  authenticate(key) {
+    if (!key.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    const db = getConnection();
+    const row = db.prepare(`
+      SELECT * FROM api_keys
+      WHERE key_hash = ?
+        AND revoked_at IS NULL
+        AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+    `).get(this._hash(key));
+
+    if (!row) {
+      return null;
+    }
+
+    db.prepare(`
+      UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND (last_used_at IS NULL OR last_used_at < datetime('now', ?))
+    `).run(row.id, `-${LAST_USED_RESOLUTION_SECONDS} seconds`);
+
+    return this._format(row);
+  }
+
+  /**
+   * Whether a set of granted scopes allows a scope
+   */
+  hasScope(scopes, scope) {
+    return scopes.includes(ADMIN_SCOPE) || scopes.includes(scope);
+  }
+
+  _hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Format key row for API output
+   */
+  _format(row) {
+    return {
+      id: row.id,
+      user_id: row.user_id,
+      label: row.label,
+      key_prefix: row.key_prefix,
+      scopes: JSON.parse(row.scopes),
+      expires_at: row.expires_at,
+      last_used_at: row.last_used_at,
+      revoked_at: row.revoked_at,
+      created_at: row.created_at
+    };
+  }
+}
+
+// Create singleton instance
+const apiKeyService = new ApiKeyService();
+
+export default apiKeyService;
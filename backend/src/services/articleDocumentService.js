@@ -0,0 +1,92 @@
+import { getConnection } from '../database/index.js';
+
+/**
+ * Original documents of articles made from uploaded files (PDFs)
+ *
+ * An article comes either from web pages (see snapshotService) or from a
+ * document; capturing it from pages again drops the document.
+ */
+class ArticleDocumentService {
+  /**
+   * Store an article's document, replacing any earlier one
+   * Synchronous, so it can run inside the transaction saving the article.
+   * @param {Object} document - { filename, contentType, content (Buffer), sha256, pageCount }
+   */
+  replace(articleId, document) {
+    const db = getConnection();
+    db.prepare(`
+      INSERT OR REPLACE INTO article_documents
+      (article_id, filename, content_type, content, size_bytes, sha256, page_count)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      articleId,
+      document.filename,
+      document.contentType,
+      document.content,
+      document.content.length,
+      document.sha256,
+      document.pageCount || null
+    );
+  }
+
+  /**
+   * Remove an article's document
+   */
+  remove(articleId) {
+    const db = getConnection();
+    db.prepare('DELETE FROM article_documents WHERE article_id = ?').run(articleId);
+  }
+
+  /**
+   * An article's document with its content
+   * @returns {Object|null} - { filename, content_type, content, size_bytes, sha256, page_count }
+   */
+  get(articleId) {
+    const db = getConnection();
+    return db.prepare(`
+      SELECT filename, content_type, content, size_bytes, sha256, page_count FROM article_documents
+      WHERE article_id = ?
+    `).get(articleId) || null;
+  }
+
+  /**
+   * Documents of several articles, without their content
+   * @returns {Map} - Article ID -> { filename, content_type, size_bytes, page_count }
+   */
+  getInfo(articleIds) {
+    if (articleIds.length === 0) {
+      return new Map();
+    }
+
+    const db = getConnection();
+    const rows = db.prepare(`
+      SELECT article_id, filename, content_type, size_bytes, page_count FROM article_documents
+      WHERE article_id IN (${articleIds.map(() => '?').join(', ')})
+    `).all(...articleIds);
+
+    return new Map(rows.map(({ article_id: articleId, ...info }) => [articleId, info]));
+  }
+
+  /**
+   * Keep an uploaded file for the job capturing it
+   * It is deleted once the job finishes, or with the job (see pdf_uploads).
+   */
+  stageUpload(jobId, content) {
+    const db = getConnection();
+    db.prepare('INSERT INTO pdf_uploads (job_id, content) VALUES (?, ?)').run(jobId, content);
+  }
+
+  /**
+   * The file uploaded for a job
+   * @returns {Buffer|null}
+   */
+  getUpload(jobId) {
+    const db = getConnection();
+    return db.prepare('SELECT content FROM pdf_uploads WHERE job_id = ?').get(jobId)?.content || null;
+  }
+}
+
+// Create singleton instance
+const articleDocumentService = new ArticleDocumentService();
+
+export default articleDocumentService;
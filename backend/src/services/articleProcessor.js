@@ -1,8 +1,23 @@
+import { createHash } from 'crypto';
 import { Readability } from '@mozilla/readability';
 import { JSDOM, VirtualConsole } from 'jsdom';
 import createDOMPurify from 'dompurify';
 import { getConnection } from '../database/index.js';
 import imageHandler from './imageHandler.js';
+import highlightService from './highlightService.js';
+import articleVersionService from './articleVersionService.js';
+import pageFetcher from './pageFetcher.js';
+import siteRuleService from './siteRuleService.js';
+import snapshotService from './snapshotService.js';
+import articleDocumentService from './articleDocumentService.js';
+import userService from './userService.js';
+import eventBus from './eventBus.js';
+import { getConfig } from '../config.js';
+import { diffText } from '../utils/textDiff.js';
+import { buildParamRules, canonicalizeUrl, isSameSite } from '../utils/urlCanonical.js';
+import { simhash } from '../utils/simhash.js';
+import { findNextPageUrl } from '../utils/pagination.js';
+import { readPdf, reflowPdf, isGeneratedTitle } from '../utils/pdf.js';
 import logger from '../utils/logger.js';
 
 class ArticleProcessor {
@@ -14,6 +29,12 @@ class ArticleProcessor {
       charThreshold: 500
     };
 
+    // Overrides for retrying failed captures: accept shorter, less certain content
+    this.relaxedReadabilityOptions = {
+      nbTopCandidates: 10,
+      charThreshold: 100
+    };
+
     // Size limits
     this.MAX_HTML_SIZE = 10 * 1024 * 1024; // 10MB
     this.MAX_ARTICLE_LENGTH = 500000; // 500K chars
@@ -21,6 +42,16 @@ class ArticleProcessor {
 
   /**
    * Process article HTML with Readability
+   * Articles split across pages are followed up to MULTIPAGE_MAX_PAGES pages
+   * and joined into one. The user's site rule for the URL, if any, is applied
+   * (see _prepareDocument and _extract).
+   * The result's `sourcePages` ([{ url, html }]) are the pages it was extracted from.
+   * @param {Object} options - { preserveImages, userId (owner of downloaded images), onProgress, relaxed, siteRule, singlePage, storedPages, knownImages }
+   *   `relaxed` applies relaxedReadabilityOptions, for retrying failed captures
+   *   `siteRule` is applied instead of the user's matching rule (null for none)
+   *   `singlePage` skips fetching further pages
+   *   `storedPages` ([{ url, html }]) are used as the following pages instead of fetching any
+   *   `knownImages` (Map of image URL to download result) aren't downloaded again
    */
   async processArticle(html, url, options = {}) {
     // Validate input size
@@ -45,9 +76,30 @@ class ArticleProcessor {
       throw new Error(`Failed to parse HTML: ${error.message}`);
     }
 
-    // Extract with Readability
-    const reader = new Readability(dom.window.document, this.readabilityOptions);
-    const article = reader.parse();
+    const siteRule = options.siteRule !== undefined ? options.siteRule : siteRuleService.findRule(options.userId, url);
+    if (siteRule?.id) {
+      logger.info('Applying site rule', { url, ruleId: siteRule.id, pattern: siteRule.pattern });
+    }
+
+    // Read before Readability, which changes the document, and before the rule strips elements
+    const canonicalUrl = this._declaredUrl(dom.window.document, url);
+    const nextPageUrl = options.singlePage ? null : findNextPageUrl(dom.window.document, url);
+    const metadata = this._ruleMetadata(dom.window.document, siteRule);
+    this._prepareDocument(dom.window.document, siteRule);
+
+    // Readability changes the document it parses, so keep a copy for the fallback
+    const fallbackDocument = options.relaxed ? dom.window.document.cloneNode(true) : null;
+
+    const readerOptions = {
+      ...this.readabilityOptions,
+      ...(options.relaxed ? this.relaxedReadabilityOptions : {}),
+      ...siteRule?.readability_options
+    };
+    let article = this._extract(dom.window.document, siteRule, readerOptions);
+
+    if (!article && fallbackDocument) {
+      article = this._fallbackContent(fallbackDocument);
+    }
 
     if (!article) {
       logger.warn('Readability failed to extract article', { url });
@@ -62,6 +114,394 @@ class ArticleProcessor {
       };
     }
 
+    let sourcePages = [{ url, html }];
+    if (nextPageUrl) {
+      const pages = await this._extractNextPages(nextPageUrl, url, article, { siteRule, readerOptions }, options);
+      if (pages.length > 0) {
+        const all = [article, ...pages.map(page => page.article)];
+        article = {
+          ...article,
+          content: all.map(page => page.content).join('\n'),
+          textContent: all.map(page => page.textContent).join('\n\n'),
+          pageCount: all.length
+        };
+        sourcePages = [...sourcePages, ...pages.map(page => ({ url: page.url, html: page.html }))];
+      }
+    }
+
+    const processed = await this._buildArticle(dom, { ...article, ...metadata }, url, options, canonicalUrl);
+    return { ...processed, sourcePages };
+  }
+
+  /**
+   * Extract the article from a page
+   * A rule's content selector is used instead of Readability when it matches
+   * (all matches, in document order); otherwise Readability runs.
+   * @returns {Object|null} - Readability-shaped result, or null if nothing was found
+   * @private
+   */
+  _extract(document, siteRule, readerOptions) {
+    if (siteRule?.content_selector) {
+      const elements = this._queryAll(document, siteRule.content_selector)
+        // Skip matches inside other matches
+        .filter((element, index, all) => !all.some(other => other !== element && other.contains(element)));
+
+      if (elements.length > 0) {
+        const container = document.createElement('div');
+        elements.forEach(element => container.appendChild(element.cloneNode(true)));
+        container.querySelectorAll('script, style, noscript, template').forEach(element => element.remove());
+        // Readability makes links and image URLs absolute; do the same here
+        for (const element of container.querySelectorAll('[href], [src]')) {
+          for (const attribute of ['href', 'src']) {
+            const value = element.getAttribute(attribute);
+            if (value === null || value.startsWith('#')) continue;
+            try {
+              element.setAttribute(attribute, new URL(value, document.baseURI).href);
+            } catch {
+              // Leave unparseable URLs as they are
+            }
+          }
+        }
+        if (container.textContent.trim()) {
+          return this._elementContent(container);
+        }
+      }
+      logger.warn('Site rule content selector matched nothing, using Readability', {
+        ruleId: siteRule.id,
+        selector: siteRule.content_selector
+      });
+    }
+
+    return new Readability(document, readerOptions).parse();
+  }
+
+  /**
+   * Apply a site rule's clean-up to a page before extraction:
+   * copy lazy-loaded image URLs into src (or srcset) and remove stripped elements
+   * @private
+   */
+  _prepareDocument(document, siteRule) {
+    const attribute = siteRule?.lazy_image_attribute;
+    if (attribute) {
+      for (const element of document.querySelectorAll('img, picture source')) {
+        const value = element.getAttribute(attribute)?.trim();
+        if (!value) continue;
+        if (/srcset$/i.test(attribute)) {
+          element.setAttribute('srcset', value);
+        } else {
+          element.setAttribute('src', value);
+          // The srcset of a lazy-loaded image is usually a placeholder too
+          element.removeAttribute('srcset');
+        }
+      }
+    }
+
+    if (siteRule?.strip_selector) {
+      this._queryAll(document, siteRule.strip_selector).forEach(element => element.remove());
+    }
+  }
+
+  /**
+   * Title, author and date found by a site rule's selectors
+   * An element's `content` (meta tags) or `datetime` (time elements) is used
+   * before its text. Dates that don't parse are ignored.
+   * @returns {Object} - Readability-shaped { title, byline, publishedTime }, only those found
+   * @private
+   */
+  _ruleMetadata(document, siteRule) {
+    const read = selector => {
+      if (!selector) return null;
+      const element = this._queryAll(document, selector)[0];
+      const value = element?.getAttribute('content') || element?.getAttribute('datetime') || element?.textContent;
+      return value?.replace(/\s+/g, ' ').trim() || null;
+    };
+
+    const metadata = {};
+    const title = read(siteRule?.title_selector);
+    const byline = read(siteRule?.author_selector);
+    const publishedTime = read(siteRule?.date_selector);
+
+    if (title) metadata.title = title;
+    if (byline) metadata.byline = byline;
+    if (publishedTime && !isNaN(Date.parse(publishedTime))) metadata.publishedTime = publishedTime;
+
+    return metadata;
+  }
+
+  /**
+   * querySelectorAll that treats an invalid selector as matching nothing
+   * @private
+   */
+  _queryAll(root, selector) {
+    try {
+      return [...root.querySelectorAll(selector)];
+    } catch (error) {
+      logger.warn('Invalid site rule selector', { selector, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Fetch and extract the pages after an article's first
+   * Stops at MULTIPAGE_MAX_PAGES pages in all, at a page seen before, or at a
+   * page that can't be fetched or extracted, keeping the pages so far.
+   * Each page is extracted like the first, with the same site rule.
+   * @param {Object} extraction - { siteRule, readerOptions } used for the first page
+   * @returns {Promise<Object[]>} - The following pages: [{ article (Readability result), url, html }]
+   * @private
+   */
+  async _extractNextPages(nextUrl, firstUrl, firstPage, { siteRule, readerOptions }, options) {
+    const maxPages = parseInt(getConfig('MULTIPAGE_MAX_PAGES', 10));
+    const visited = new Set([this.canonicalizeUrl(firstUrl)]);
+    const pages = [];
+
+    while (nextUrl && pages.length + 1 < maxPages) {
+      if (visited.has(this.canonicalizeUrl(nextUrl))) {
+        break;
+      }
+      visited.add(this.canonicalizeUrl(nextUrl));
+
+      let page;
+      if (options.storedPages) {
+        // Pages are stored in the order they were followed
+        page = options.storedPages[pages.length];
+        if (!page) {
+          break;
+        }
+      } else {
+        options.onProgress?.(`Fetching page ${pages.length + 2}`);
+        try {
+          page = await pageFetcher.fetchPage(nextUrl);
+        } catch (error) {
+          logger.warn('Failed to fetch next page', { url: nextUrl, error: error.message });
+          break;
+        }
+      }
+
+      // Past the last page, some sites redirect back to an earlier one
+      if (page.url !== nextUrl && visited.has(this.canonicalizeUrl(page.url))) {
+        break;
+      }
+      visited.add(this.canonicalizeUrl(page.url));
+
+      const dom = new JSDOM(page.html, { url: page.url, virtualConsole: new VirtualConsole() });
+      const followingUrl = findNextPageUrl(dom.window.document, page.url, firstUrl);
+      this._prepareDocument(dom.window.document, siteRule);
+      const article = this._extract(dom.window.document, siteRule, readerOptions);
+
+      // Others ignore the page number and serve the same page again
+      if (!article || [firstPage, ...pages.map(previous => previous.article)]
+        .some(previous => previous.textContent === article.textContent)) {
+        break;
+      }
+
+      pages.push({ article, url: page.url, html: page.html });
+      nextUrl = followingUrl;
+    }
+
+    if (pages.length > 0) {
+      logger.info('Joined article pages', { url: firstUrl, pages: pages.length + 1 });
+    }
+
+    return pages;
+  }
+
+  /**
+   * Canonicalize a URL with the configured tracking parameter rules
+   * URL_TRACKING_PARAMS adds rules to the defaults (`-rule` removes one);
+   * it is read on use so it can be changed without a restart.
+   * @returns {string}
+   */
+  canonicalizeUrl(url) {
+    const raw = getConfig('URL_TRACKING_PARAMS', '');
+    if (this._urlRules?.raw !== raw) {
+      this._urlRules = { raw, rules: buildParamRules(raw) };
+    }
+    return canonicalizeUrl(url, this._urlRules.rules);
+  }
+
+  /**
+   * The page's own canonical URL (rel=canonical, then og:url), canonicalized
+   * Ignored when it points to another site, so a page can't pass itself off
+   * as an article saved from elsewhere, or to the home page of a deeper page,
+   * a common misconfiguration.
+   * @private
+   */
+  _declaredUrl(document, url) {
+    const declared = [
+      document.querySelector('link[rel~="canonical"][href]')?.getAttribute('href'),
+      document.querySelector('meta[property="og:url"][content]')?.getAttribute('content')
+    ];
+    const page = new URL(url);
+
+    for (const href of declared.filter(Boolean)) {
+      let candidate;
+      try {
+        candidate = new URL(href.trim(), url);
+      } catch {
+        continue;
+      }
+
+      if ((candidate.protocol === 'http:' || candidate.protocol === 'https:') &&
+        isSameSite(candidate.hostname, page.hostname) &&
+        (candidate.pathname !== '/' || page.pathname === '/')) {
+        return this.canonicalizeUrl(candidate.href);
+      }
+    }
+
+    return this.canonicalizeUrl(url);
+  }
+
+  /**
+   * Process content supplied by hand (for a page that can't be extracted)
+   * The content is used as is, without Readability; plain text becomes paragraphs.
+   * @param {Object} content - { title, html, text }
+   * @param {Object} options - As for processArticle
+   */
+  async processManualContent({ title, html, text }, url, options = {}) {
+    const size = (html || text || '').length;
+    if (size > this.MAX_HTML_SIZE) {
+      throw new Error(`HTML too large: ${size} bytes (max ${this.MAX_HTML_SIZE})`);
+    }
+
+    const dom = new JSDOM(html || '', { url, virtualConsole: new VirtualConsole() });
+    const { document } = dom.window;
+    if (!html) {
+      for (const paragraph of (text || '').split(/\n\s*\n/).map(part => part.trim()).filter(Boolean)) {
+        document.body.appendChild(document.createElement('p')).textContent = paragraph;
+      }
+    }
+    // Keep their text out of the article text
+    document.querySelectorAll('script, style, noscript, template').forEach(element => element.remove());
+
+    const processed = await this._buildArticle(dom, this._elementContent(document.body, title), url, options);
+    // There is no page to keep, so saving it removes any snapshot
+    return { ...processed, sourcePages: [] };
+  }
+
+  /**
+   * Make an article from a PDF file
+   * The text is reflowed into headings and paragraphs (see utils/pdf.js). The
+   * title, author and date come from the PDF's metadata; a title its software
+   * made up gives way to the largest text on the first page, then the file
+   * name. At most PDF_MAX_PAGES pages are read. The file is kept with the
+   * article (`document`), which is saved under the URL it came from, or
+   * under `pdf:<sha256>` so uploading the same file again updates it.
+   * @param {Buffer} pdf - The file
+   * @param {Object} source - { url (where the file was downloaded from), filename }
+   * @param {Object} options - As for processArticle
+   */
+  async processPdf(pdf, { url = null, filename = null } = {}, options = {}) {
+    let read;
+    try {
+      read = await readPdf(pdf, { maxPages: parseInt(getConfig('PDF_MAX_PAGES', 500)) });
+    } catch (error) {
+      throw new Error(`Failed to read PDF: ${error.message}`);
+    }
+
+    const { html, text, title } = reflowPdf(read.pages);
+    if (!text.trim()) {
+      throw new Error('The PDF has no text to extract (scanned pages need OCR first)');
+    }
+
+    const sha256 = createHash('sha256').update(pdf).digest('hex');
+    const sourceUrl = url || `pdf:${sha256}`;
+    const name = filename || this._pdfFilename(url) || `${sha256.slice(0, 12)}.pdf`;
+
+    const dom = new JSDOM(`<body>${html}</body>`, { url: sourceUrl, virtualConsole: new VirtualConsole() });
+    const article = {
+      title: [read.info.title, title].find(candidate => !isGeneratedTitle(candidate)) || name.replace(/\.pdf$/i, ''),
+      content: html,
+      textContent: text,
+      excerpt: (dom.window.document.querySelector('p')?.textContent || text).slice(0, 300),
+      byline: read.info.author,
+      publishedTime: read.info.createdAt?.toISOString(),
+      lang: read.info.language,
+      pageCount: read.pageCount
+    };
+
+    const processed = await this._buildArticle(dom, article, sourceUrl, options);
+    return {
+      ...processed,
+      // Replaces any page snapshot: the article now comes from the file
+      sourcePages: [],
+      document: {
+        filename: name,
+        contentType: 'application/pdf',
+        content: pdf,
+        sha256,
+        pageCount: read.pageCount
+      }
+    };
+  }
+
+  /**
+   * The file name at the end of a PDF's URL
+   * @private
+   */
+  _pdfFilename(url) {
+    try {
+      return decodeURIComponent(new URL(url).pathname.split('/').pop()) || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Last resort when relaxed extraction finds nothing: the page's main element
+   * (or body) without navigation and page furniture, with hidden parts shown,
+   * since Readability skips anything hidden (e.g. content revealed by scripts)
+   * @returns {Object|null} - Readability-shaped result, or null if there is no text
+   * @private
+   */
+  _fallbackContent(document) {
+    const root = document.querySelector('article, main, [role="main"]') || document.body;
+    if (!root) {
+      return null;
+    }
+
+    root.querySelectorAll('nav, header, footer, aside, form, script, style, noscript').forEach(element => element.remove());
+    root.querySelectorAll('template').forEach(template => template.replaceWith(template.content.cloneNode(true)));
+    root.querySelectorAll('[hidden], [aria-hidden]').forEach(element => {
+      element.removeAttribute('hidden');
+      element.removeAttribute('aria-hidden');
+    });
+    root.querySelectorAll('[style]').forEach(element => {
+      if (/display\s*:\s*none|visibility\s*:\s*hidden/i.test(element.getAttribute('style'))) {
+        element.removeAttribute('style');
+      }
+    });
+
+    return root.textContent.trim() ? this._elementContent(root) : null;
+  }
+
+  /**
+   * Readability-shaped result for an element's content as is
+   * @private
+   */
+  _elementContent(element, title = null) {
+    const document = element.ownerDocument;
+    const textContent = element.textContent || '';
+    const firstParagraph = [...element.querySelectorAll('p')]
+      .map(paragraph => paragraph.textContent.trim())
+      .find(Boolean) || textContent.trim();
+
+    return {
+      title: title || document.title || document.querySelector('h1')?.textContent.trim() || 'Untitled',
+      content: element.innerHTML,
+      textContent,
+      excerpt: firstParagraph.slice(0, 300)
+    };
+  }
+
+  /**
+   * Sanitize extracted content, download its images and work out its stats
+   * @param {Object} article - Readability-shaped result ({ title, content, textContent, excerpt, byline, ... })
+   * @param {string} url - Page URL, which images are resolved against
+   * @param {string} canonicalUrl - URL to save the article under
+   * @private
+   */
+  async _buildArticle(dom, article, url, options, canonicalUrl = this.canonicalizeUrl(url)) {
     // Validate article length
     if (article.content.length > this.MAX_ARTICLE_LENGTH) {
       logger.warn('Article too long, truncating', {
@@ -75,9 +515,9 @@ class ArticleProcessor {
     // Sanitize HTML to remove malicious content
     const DOMPurify = createDOMPurify(dom.window);
     const sanitizedContent = DOMPurify.sanitize(article.content, {
-      ALLOWED_ATTR: ['href', 'src', 'alt', 'title', 'width', 'height', 'class', 'style', 'loading', 'target', 'rel', 'data-*'],
+      ALLOWED_ATTR: ['href', 'src', 'alt', 'title', 'width', 'height', 'class', 'style', 'loading', 'target', 'rel', 'srcset', 'sizes', 'media', 'type', 'data-*'],
       ADD_TAGS: ['figure', 'figcaption'],
-      ADD_ATTR: ['loading', 'target', 'rel', 'data-*']
+      ADD_ATTR: ['loading', 'target', 'rel', 'srcset', 'sizes', 'media', 'type', 'data-*']
     });
 
     // Download and process images if enabled
@@ -85,18 +525,21 @@ class ArticleProcessor {
     let imageData = [];
 
     if (options.preserveImages) {
+      options.onProgress?.('Downloading images');
       try {
         const result = await imageHandler.downloadAndReplaceImages(
           sanitizedContent,
           url,
-          article.title
+          userService.getStorageKey(options.userId),
+          options.knownImages
         );
         processedHtml = result.html;
         imageData = result.images;
 
         logger.info('Images processed', {
           url,
-          imageCount: imageData.length
+          imageCount: imageData.length,
+          failedCount: imageData.filter(image => image.status === 'failed').length
         });
       } catch (error) {
         logger.error('Image processing failed', {
@@ -107,13 +550,15 @@ class ArticleProcessor {
       }
     }
 
+    const downloadedCount = imageData.filter(image => image.status !== 'failed').length;
+
     // Calculate reading time (average 200 WPM)
     const wordCount = (article.textContent || '').split(/\s+/).filter(w => w.length > 0).length;
     const readingTime = Math.max(1, Math.ceil(wordCount / 200));
 
     return {
       success: true,
-      url,
+      url: canonicalUrl,
       originalUrl: url,
       title: article.title || 'Untitled',
       contentHtml: processedHtml,
@@ -125,28 +570,90 @@ class ArticleProcessor {
       wordCount,
       readingTimeMinutes: readingTime,
       language: article.lang || 'en',
-      hasImages: imageData.length > 0,
-      imageCount: imageData.length,
-      images: imageData
+      hasImages: downloadedCount > 0,
+      imageCount: downloadedCount,
+      images: imageData,
+      simhash: simhash(article.textContent),
+      pageCount: article.pageCount || 1
     };
   }
 
   /**
-   * Save processed article to database
+   * Save processed article to a user's library
+   * Saving a URL the user already has updates that article, keeping the
+   * content it replaces as a version if the text or title changed.
+   * The pages it was extracted from replace the article's snapshot.
    */
-  async saveArticle(articleData) {
+  async saveArticle(userId, articleData) {
+    const snapshot = await snapshotService.compress(articleData.sourcePages);
+    const { articleId } = this._save(userId, articleData, { snapshot });
+    return articleId;
+  }
+
+  /**
+   * Replace an article's content with a fresh capture of its page
+   * The article keeps its URL even if the page now redirects elsewhere.
+   * Without `sourcePages` the article's snapshot is kept as it is.
+   * @returns {Promise<Object>} - { changed, versionId, added, removed } (words added/removed)
+   */
+  async refreshArticle(userId, articleId, articleData) {
+    const db = getConnection();
+    const article = db.prepare('SELECT url, original_url, content_text FROM articles WHERE id = ? AND user_id = ?')
+      .get(articleId, userId);
+    if (!article) {
+      throw new Error('Article not found');
+    }
+
+    const snapshot = await snapshotService.compress(articleData.sourcePages);
+    const { versionId } = this._save(userId, {
+      ...articleData,
+      url: article.url,
+      originalUrl: article.original_url
+    }, { articleId, snapshot });
+
+    const { added, removed } = diffText(article.content_text, articleData.contentText);
+    return { changed: versionId !== null, versionId, added, removed };
+  }
+
+  /**
+   * Insert or update an article, its images and its snapshot or document
+   * `articleData.document` (from processPdf) replaces the article's document;
+   * a new snapshot of pages drops it.
+   * @param {Object} options - { articleId } to only update that article,
+   *   { snapshot } (from snapshotService.compress) to replace its snapshot
+   * @returns {Object} - { articleId, created, versionId }
+   * @private
+   */
+  _save(userId, articleData, { articleId: expectedId = null, snapshot } = {}) {
     const db = getConnection();
 
     try {
-      return db.transaction(() => {
+      const { articleId, created, versionId } = db.transaction(() => {
+        // A URL merged into another article saves to that article
+        articleData = { ...articleData, url: this._resolveAlias(db, userId, articleData.url) };
+
+        const previous = db.prepare('SELECT id, title, content_text FROM articles WHERE user_id = ? AND url = ?')
+          .get(userId, articleData.url);
+
+        // Deleted while its refresh was running
+        if (expectedId !== null && previous?.id !== expectedId) {
+          throw new Error('Article not found');
+        }
+
+        // Keep what a changed re-capture replaces
+        const versionId = previous &&
+          (previous.content_text !== articleData.contentText || previous.title !== articleData.title)
+          ? articleVersionService.snapshot(previous.id)
+          : null;
+
         // Insert or update article
         const articleStmt = db.prepare(`
           INSERT INTO articles
-          (url, original_url, title, content_html, content_text, excerpt,
+          (user_id, url, original_url, title, content_html, content_text, excerpt,
            author, site_name, published_at, word_count, reading_time_minutes,
-           language, has_images, image_count, capture_success)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1)
-          ON CONFLICT(url) DO UPDATE SET
+           language, has_images, image_count, content_simhash, capture_success)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1)
+          ON CONFLICT(user_id, url) DO UPDATE SET
             title = excluded.title,
             content_html = excluded.content_html,
             content_text = excluded.content_text,
@@ -159,12 +666,15 @@ class ArticleProcessor {
             language = excluded.language,
             has_images = excluded.has_images,
             image_count = excluded.image_count,
+            content_simhash = excluded.content_simhash,
             capture_success = 1,
+            capture_error = NULL,
             updated_at = CURRENT_TIMESTAMP
           RETURNING id
         `);
 
         const result = articleStmt.get(
+          userId,
           articleData.url,
           articleData.originalUrl,
           articleData.title,
@@ -178,26 +688,62 @@ class ArticleProcessor {
           articleData.readingTimeMinutes,
           articleData.language,
           articleData.hasImages ? 1 : 0,
-          articleData.imageCount
+          articleData.imageCount,
+          articleData.simhash || null
         );
 
         const articleId = result.id;
 
+        // An earlier failed capture of the page is resolved, even if it was under another URL
+        if (articleData.originalUrl) {
+          db.prepare(`
+            DELETE FROM articles
+            WHERE user_id = ? AND capture_success = 0 AND url IN (?, ?) AND id != ?
+          `).run(userId, articleData.originalUrl, this.canonicalizeUrl(articleData.originalUrl), articleId);
+        }
+
+        // A re-capture replaces the article's images (dropping their references)
+        if (previous) {
+          db.prepare('DELETE FROM article_images WHERE article_id = ?').run(articleId);
+        }
+
         // Save images
         if (articleData.images && articleData.images.length > 0) {
           this._saveImages(db, articleId, articleData.images);
         }
 
+        if (snapshot !== undefined) {
+          snapshotService.replace(articleId, snapshot);
+        }
 
+        if (articleData.document) {
+          articleDocumentService.replace(articleId, articleData.document);
+        } else if (snapshot?.length > 0) {
+          articleDocumentService.remove(articleId);
+        }
+
+        // Re-capture keeps the row, so move existing highlights onto the new text
+        if (previous && previous.content_text !== articleData.contentText) {
+          highlightService.reanchorHighlights(articleId, articleData.contentText);
+        }
 
         logger.info('Article saved successfully', {
           articleId,
+          userId,
           title: articleData.title,
           url: articleData.url
         });
 
-        return articleId;
+        return { articleId, created: !previous, versionId };
       })();
+
+      // Re-captures update the existing row
+      eventBus.publish(created ? 'article.created' : 'article.updated', {
+        id: articleId,
+        title: articleData.title
+      }, { userId });
+
+      return { articleId, created, versionId };
     } catch (error) {
       logger.error('Failed to save article', {
         error: error.message,
@@ -207,14 +753,27 @@ class ArticleProcessor {
     }
   }
 
+  /**
+   * The URL of the article a URL was merged into, or the URL itself
+   * @private
+   */
+  _resolveAlias(db, userId, url) {
+    const alias = db.prepare(`
+      SELECT a.url FROM article_url_aliases al
+      JOIN articles a ON a.id = al.article_id
+      WHERE al.user_id = ? AND al.url = ?
+    `).get(userId, url);
+    return alias ? alias.url : url;
+  }
+
   /**
    * Save article images to database
    */
   _saveImages(db, articleId, images) {
     const imageStmt = db.prepare(`
       INSERT INTO article_images
-      (article_id, original_url, local_path, alt_text, width, height, size_bytes)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      (article_id, original_url, local_path, eink_path, alt_text, width, height, size_bytes, status, error)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     for (const image of images) {
@@ -223,10 +782,13 @@ class ArticleProcessor {
           articleId,
           image.originalUrl,
           image.localPath,
+          image.einkPath || null,
           image.altText || null,
           image.width || null,
           image.height || null,
-          image.sizeBytes || null
+          image.sizeBytes || null,
+          image.status || 'downloaded',
+          image.error || null
         );
       } catch (error) {
         logger.error('Failed to save image', {
@@ -238,27 +800,201 @@ class ArticleProcessor {
     }
   }
 
+  /**
+   * Download an article's images that failed at capture, and point the content at them
+   * @returns {Promise<Object>} - { retried, downloaded, failed }
+   */
+  async retryMissingImages(userId, articleId) {
+    const db = getConnection();
+    const article = db.prepare('SELECT id, url FROM articles WHERE id = ? AND user_id = ?').get(articleId, userId);
+    if (!article) {
+      throw new Error('Article not found');
+    }
+
+    const missing = db.prepare(`
+      SELECT DISTINCT original_url FROM article_images WHERE article_id = ? AND status = 'failed'
+    `).all(articleId).map(row => row.original_url);
+    if (missing.length === 0) {
+      return { retried: 0, downloaded: 0, failed: 0 };
+    }
+
+    const results = await imageHandler.downloadImages(missing, article.url, userService.getStorageKey(userId));
+
+    // Re-read inside the transaction: the article may have changed while downloading
+    const counts = db.transaction(() => {
+      const current = db.prepare('SELECT content_html, title FROM articles WHERE id = ?').get(articleId);
+      if (!current) {
+        return null;
+      }
+
+      const { document } = new JSDOM(current.content_html).window;
+      const updateImage = db.prepare(`
+        UPDATE article_images
+        SET status = 'downloaded', local_path = ?, eink_path = ?, size_bytes = ?, error = NULL, downloaded_at = CURRENT_TIMESTAMP
+        WHERE article_id = ? AND original_url = ? AND status = 'failed'
+      `);
+      const recordFailure = db.prepare(`
+        UPDATE article_images SET error = ? WHERE article_id = ? AND original_url = ? AND status = 'failed'
+      `);
+
+      let downloaded = 0;
+      for (const [url, result] of results) {
+        if (result.error) {
+          recordFailure.run(result.error, articleId, url);
+          continue;
+        }
+
+        // Rows gone means the article was re-captured meanwhile
+        if (updateImage.run(result.localPath, result.einkPath, result.sizeBytes, articleId, url).changes === 0) {
+          continue;
+        }
+        for (const img of document.querySelectorAll('img')) {
+          if (img.getAttribute('src') === url) {
+            img.setAttribute('src', result.localPath);
+          }
+        }
+        downloaded++;
+      }
+
+      const { count } = db.prepare(`
+        SELECT COUNT(*) as count FROM article_images WHERE article_id = ? AND status = 'downloaded'
+      `).get(articleId);
+      db.prepare('UPDATE articles SET content_html = ?, has_images = ?, image_count = ? WHERE id = ?')
+        .run(document.documentElement.outerHTML, count > 0 ? 1 : 0, count, articleId);
+
+      return { title: current.title, downloaded };
+    })();
+
+    if (!counts) {
+      throw new Error('Article not found');
+    }
+
+    eventBus.publish('article.updated', { id: articleId, title: counts.title }, { userId });
+
+    logger.info('Retried missing images', { articleId, retried: missing.length, downloaded: counts.downloaded });
+
+    return { retried: missing.length, downloaded: counts.downloaded, failed: missing.length - counts.downloaded };
+  }
+
 
 
   /**
-   * Mark article as failed
+   * Extract a saved article again from its snapshot (or its PDF) and save the result if it differs
+   * Uses the current extraction and site rules. Images the article already
+   * has (or failed to get) are reused; only new ones are downloaded. Nothing
+   * is fetched, and an article that no longer extracts is left as it was.
+   * @returns {Promise<Object>} - { changed, title, fields (columns that differ), versionId, added, removed }
    */
-  async saveFailedArticle(url, error, html = null) {
+  async reprocessArticle(userId, articleId) {
     const db = getConnection();
+    const article = db.prepare(`
+      SELECT id, url, title, author, published_at, content_html, content_text FROM articles
+      WHERE id = ? AND user_id = ? AND capture_success = 1
+    `).get(articleId, userId);
+    if (!article) {
+      throw new Error('Article not found');
+    }
+
+    const [first, ...following] = snapshotService.getPages(articleId);
+    const document = first ? null : articleDocumentService.get(articleId);
+    if (!first && !document) {
+      throw new Error('No snapshot was kept for this article');
+    }
+
+    const knownImages = new Map(db.prepare(`
+      SELECT original_url, local_path, eink_path, size_bytes, status, error FROM article_images
+      WHERE article_id = ? AND status IN ('downloaded', 'failed')
+    `).all(articleId).map(image => [
+      image.original_url,
+      image.status === 'downloaded'
+        ? { localPath: image.local_path, einkPath: image.eink_path, sizeBytes: image.size_bytes }
+        : { error: image.error || 'Download failed' }
+    ]));
+
+    const processed = document
+      ? await this.processPdf(document.content, { url: article.url, filename: document.filename }, { userId })
+      : await this.processArticle(first.html, first.url, {
+        preserveImages: true,
+        userId,
+        storedPages: following,
+        knownImages
+      });
+    if (!processed.success) {
+      throw new Error(`Extraction failed: ${processed.error}`);
+    }
+
+    const fields = this._changedFields(article, processed);
+    if (fields.length === 0) {
+      return { changed: false, title: article.title, fields, versionId: null, added: 0, removed: 0 };
+    }
+
+    // The snapshot or document stays as it is
+    const { versionId, added, removed } = await this.refreshArticle(userId, articleId, {
+      ...processed,
+      sourcePages: undefined,
+      document: undefined
+    });
+    return { changed: true, title: processed.title, fields, versionId, added, removed };
+  }
+
+  /**
+   * Columns of a saved article that a processed result would change
+   * @private
+   */
+  _changedFields(article, processed) {
+    const values = {
+      title: processed.title,
+      author: processed.author || null,
+      published_at: processed.publishedAt ? processed.publishedAt.toISOString() : null,
+      content_text: processed.contentText,
+      content_html: processed.contentHtml
+    };
+    return Object.keys(values).filter(field => (article[field] ?? null) !== values[field]);
+  }
+
+  /**
+   * Get a failed capture
+   * The HTML it failed on, if kept, is its snapshot (see snapshotService).
+   * @returns {Object|null} - { id, url, original_url }, or null if not found
+   */
+  getFailedCapture(userId, articleId) {
+    const db = getConnection();
+    return db.prepare(`
+      SELECT id, url, original_url FROM articles
+      WHERE id = ? AND user_id = ? AND capture_success = 0
+    `).get(articleId, userId) || null;
+  }
+
+  /**
+   * Mark article as failed, keeping the HTML as its snapshot for retries
+   * An article that was captured before keeps its content and snapshot.
+   */
+  async saveFailedArticle(userId, url, error, html = null) {
+    const db = getConnection();
+    const canonicalUrl = this._resolveAlias(db, userId, this.canonicalizeUrl(url));
+    const snapshot = html ? await snapshotService.compress([{ url, html }]) : undefined;
 
     try {
+      // Upsert rather than INSERT OR REPLACE: REPLACE deletes the old row without
+      // firing delete triggers, which would leave the full-text index stale
       const stmt = db.prepare(`
-        INSERT OR REPLACE INTO articles
-        (url, title, capture_success, capture_error, content_html, created_at, updated_at)
-        VALUES (?, ?, 0, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        INSERT INTO articles
+        (user_id, url, original_url, title, capture_success, capture_error, content_html, created_at, updated_at)
+        VALUES (?, ?, ?, ?, 0, ?, '', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        ON CONFLICT(user_id, url) DO UPDATE SET
+          capture_error = excluded.capture_error,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE articles.capture_success = 0
+        RETURNING id
       `);
 
-      stmt.run(
-        url,
-        'Failed Capture',
-        error,
-        html ? html.substring(0, 10000) : null
-      );
+      db.transaction(() => {
+        // No row comes back when the article was captured before
+        const row = stmt.get(userId, canonicalUrl, url, 'Failed Capture', error);
+        if (row && snapshot) {
+          snapshotService.replace(row.id, snapshot);
+        }
+      })();
 
       logger.warn('Failed article saved', { url, error });
     } catch (dbError) {
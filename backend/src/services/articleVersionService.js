@@ -0,0 +1,168 @@
+import { getConnection } from '../database/index.js';
+import { getConfig } from '../config.js';
+import highlightService from './highlightService.js';
+import eventBus from './eventBus.js';
+import { diffText } from '../utils/textDiff.js';
+import { simhash } from '../utils/simhash.js';
+import logger from '../utils/logger.js';
+
+// Article columns a version keeps, and the image columns kept with it
+const CONTENT_COLUMNS = [
+  'title', 'content_html', 'content_text', 'excerpt', 'author', 'site_name', 'published_at',
+  'word_count', 'reading_time_minutes', 'language', 'has_images', 'image_count'
+];
+const IMAGE_COLUMNS = [
+  'original_url', 'local_path', 'eink_path', 'alt_text', 'width', 'height', 'size_bytes', 'status', 'error'
+];
+
+/**
+ * Earlier content of re-captured articles
+ *
+ * Before an article's content is replaced, it is copied to article_versions
+ * along with its images (whose files stay referenced), so it can be compared
+ * with the current content or restored. Only the newest ARTICLE_MAX_VERSIONS
+ * versions of each article are kept.
+ */
+class ArticleVersionService {
+  constructor() {
+    this.maxVersions = parseInt(getConfig('ARTICLE_MAX_VERSIONS', 20));
+  }
+
+  /**
+   * Keep an article's current content and images as a version
+   * Call inside the transaction that replaces the content.
+   * @param {number} articleId - Article ID
+   * @returns {number|null} - Version ID, or null if the article has no captured content
+   */
+  snapshot(articleId) {
+    const db = getConnection();
+    const columns = CONTENT_COLUMNS.join(', ');
+    const version = db.prepare(`
+      INSERT INTO article_versions (article_id, ${columns})
+      SELECT id, ${columns} FROM articles WHERE id = ? AND capture_success = 1
+      RETURNING id
+    `).get(articleId);
+
+    if (!version) {
+      return null;
+    }
+
+    const imageColumns = IMAGE_COLUMNS.join(', ');
+    db.prepare(`
+      INSERT INTO article_version_images (version_id, ${imageColumns})
+      SELECT ?, ${imageColumns} FROM article_images WHERE article_id = ? ORDER BY id
+    `).run(version.id, articleId);
+
+    // Dropping old versions releases their images
+    db.prepare(`
+      DELETE FROM article_versions
+      WHERE article_id = ? AND id NOT IN (
+        SELECT id FROM article_versions WHERE article_id = ? ORDER BY id DESC LIMIT ?
+      )
+    `).run(articleId, articleId, Math.max(this.maxVersions, 1));
+
+    return version.id;
+  }
+
+  /**
+   * List an article's versions, newest first
+   * @returns {Array} - Versions without their content
+   */
+  listVersions(articleId) {
+    const db = getConnection();
+    return db.prepare(`
+      SELECT id, title, excerpt, word_count, reading_time_minutes, image_count, created_at
+      FROM article_versions
+      WHERE article_id = ?
+      ORDER BY id DESC
+    `).all(articleId);
+  }
+
+  /**
+   * Get a version with a diff from its text to the article's current text
+   * @returns {Object|null} - Version with `diff` ({ changes, added, removed }), or null if not found
+   */
+  getVersion(articleId, versionId) {
+    const db = getConnection();
+    const version = db.prepare(
+      'SELECT * FROM article_versions WHERE id = ? AND article_id = ?'
+    ).get(versionId, articleId);
+
+    if (!version) {
+      return null;
+    }
+
+    const current = db.prepare('SELECT content_text FROM articles WHERE id = ?').get(articleId);
+    return {
+      ...version,
+      has_images: Boolean(version.has_images),
+      diff: diffText(version.content_text, current?.content_text)
+    };
+  }
+
+  /**
+   * Make a version the article's content again
+   * The content it replaces is kept as a new version, so a restore can be undone.
+   * @returns {Object|null} - { versionId } of the replaced content, or null if not found
+   */
+  restoreVersion(userId, articleId, versionId) {
+    const db = getConnection();
+
+    const restored = db.transaction(() => {
+      const article = db.prepare(
+        'SELECT id, content_text FROM articles WHERE id = ? AND user_id = ?'
+      ).get(articleId, userId);
+      const version = article && db.prepare(
+        'SELECT * FROM article_versions WHERE id = ? AND article_id = ?'
+      ).get(versionId, articleId);
+
+      if (!version) {
+        return null;
+      }
+
+      // Read before the snapshot, which may prune this version
+      const images = db.prepare(
+        'SELECT * FROM article_version_images WHERE version_id = ? ORDER BY id'
+      ).all(versionId);
+
+      const replacedVersionId = this.snapshot(articleId);
+
+      db.prepare(`
+        UPDATE articles
+        SET ${CONTENT_COLUMNS.map(column => `${column} = ?`).join(', ')},
+          content_simhash = ?, capture_success = 1, capture_error = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(...CONTENT_COLUMNS.map(column => version[column]), simhash(version.content_text), articleId);
+
+      db.prepare('DELETE FROM article_images WHERE article_id = ?').run(articleId);
+      const insertImage = db.prepare(`
+        INSERT INTO article_images (article_id, ${IMAGE_COLUMNS.join(', ')})
+        VALUES (?, ${IMAGE_COLUMNS.map(() => '?').join(', ')})
+      `);
+      for (const image of images) {
+        insertImage.run(articleId, ...IMAGE_COLUMNS.map(column => image[column]));
+      }
+
+      if (article.content_text !== version.content_text) {
+        highlightService.reanchorHighlights(articleId, version.content_text);
+      }
+
+      return { title: version.title, versionId: replacedVersionId };
+    })();
+
+    if (!restored) {
+      return null;
+    }
+
+    eventBus.publish('article.updated', { id: articleId, title: restored.title }, { userId });
+
+    logger.info('Article version restored', { articleId, versionId });
+
+    return { versionId: restored.versionId };
+  }
+}
+
+// Create singleton instance
+const articleVersionService = new ArticleVersionService();
+
+export default articleVersionService;
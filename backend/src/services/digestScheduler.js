@@ -0,0 +1,75 @@
+import digestService from './digestService.js';
+import logger from '../utils/logger.js';
+import { getConfig } from '../config.js';
+
+/**
+ * In-process scheduler for digest schedules
+ * Checks for due schedules on a fixed interval and runs them one at a time.
+ */
+class DigestScheduler {
+  constructor() {
+    this.interval = parseInt(getConfig('DIGEST_CHECK_INTERVAL_MS', 60000));
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Start checking for due schedules
+   */
+  start() {
+    if (this.timer) return;
+
+    digestService.failInterruptedRuns();
+
+    this.timer = setInterval(() => this.tick(), this.interval);
+    // Don't keep the process alive just for the scheduler
+    this.timer.unref();
+
+    logger.info('Digest scheduler started', { intervalMs: this.interval });
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Digest scheduler stopped');
+    }
+  }
+
+  /**
+   * Run all schedules that are due
+   * A missed run (e.g. server was down) fires once, then the schedule moves
+   * on to its next future time.
+   */
+  async tick(now = new Date()) {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      for (const schedule of digestService.getDueSchedules(now)) {
+        digestService.advanceSchedule(schedule, now);
+
+        try {
+          await digestService.runSchedule(schedule.user_id, schedule.id, 'schedule');
+        } catch (error) {
+          logger.error('Scheduled digest could not start', {
+            scheduleId: schedule.id,
+            error: error.message
+          });
+        }
+      }
+    } catch (error) {
+      logger.error('Digest scheduler tick failed', { error: error.message });
+    } finally {
+      this.ticking = false;
+    }
+  }
+}
+
+// Create singleton instance
+const digestScheduler = new DigestScheduler();
+
+export default digestScheduler;
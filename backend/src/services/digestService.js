@@ -0,0 +1,375 @@
+import path from 'path';
+import { getConnection } from '../database/index.js';
+import epubGenerator from './epubGenerator.js';
+import kindleService from './kindleService.js';
+import eventBus from './eventBus.js';
+import { getNextRun } from '../utils/cron.js';
+import logger from '../utils/logger.js';
+
+// Columns that can be set through the API
+const SCHEDULE_FIELDS = [
+  'name',
+  'cron_expression',
+  'title_template',
+  'exclude_archived',
+  'exclude_sent',
+  'max_articles',
+  'max_reading_minutes',
+  'archive_after_send',
+  'is_enabled'
+];
+
+const BOOLEAN_FIELDS = ['exclude_archived', 'exclude_sent', 'archive_after_send', 'is_enabled'];
+
+class DigestService {
+  constructor() {
+    // Schedule IDs with a run in progress
+    this.activeRuns = new Set();
+  }
+
+  /**
+   * List a user's schedules with their most recent run
+   * @returns {Array} - Schedules ordered by name
+   */
+  listSchedules(userId) {
+    const db = getConnection();
+    const schedules = db.prepare(`
+      SELECT * FROM digest_schedules WHERE user_id = ? ORDER BY name COLLATE NOCASE ASC
+    `).all(userId);
+
+    const lastRunStmt = db.prepare(`
+      SELECT * FROM digest_runs WHERE schedule_id = ? ORDER BY id DESC LIMIT 1
+    `);
+
+    return schedules.map(schedule => ({
+      ...this._format(schedule),
+      last_run: lastRunStmt.get(schedule.id) || null
+    }));
+  }
+
+  /**
+   * Get schedule by ID
+   * @returns {Object|null} - Schedule or null if not found
+   */
+  getSchedule(userId, scheduleId) {
+    const db = getConnection();
+    const schedule = db.prepare('SELECT * FROM digest_schedules WHERE id = ? AND user_id = ?').get(scheduleId, userId);
+    return schedule ? this._format(schedule) : null;
+  }
+
+  /**
+   * Create a schedule
+   * @param {Object} data - Schedule fields
+   * @returns {Object} - Created schedule
+   */
+  createSchedule(userId, data) {
+    const db = getConnection();
+    const values = { ...this._pick(data), user_id: userId };
+    const columns = Object.keys(values);
+
+    const isEnabled = values.is_enabled ?? 1;
+    columns.push('next_run_at');
+    const params = [...Object.values(values), isEnabled ? this._nextRunAt(values.cron_expression) : null];
+
+    const result = db.prepare(`
+      INSERT INTO digest_schedules (${columns.join(', ')})
+      VALUES (${columns.map(() => '?').join(', ')})
+    `).run(...params);
+
+    logger.info('Digest schedule created', { scheduleId: result.lastInsertRowid, name: values.name, userId });
+    return this.getSchedule(userId, result.lastInsertRowid);
+  }
+
+  /**
+   * Update a schedule
+   * @returns {Object|null} - Updated schedule or null if not found
+   */
+  updateSchedule(userId, scheduleId, data) {
+    const db = getConnection();
+    const existing = this.getSchedule(userId, scheduleId);
+    if (!existing) {
+      return null;
+    }
+
+    const values = this._pick(data);
+    const cronExpression = values.cron_expression ?? existing.cron_expression;
+    const isEnabled = values.is_enabled ?? (existing.is_enabled ? 1 : 0);
+
+    // Re-plan the next run whenever timing or enablement changes
+    if (values.cron_expression !== undefined || values.is_enabled !== undefined) {
+      values.next_run_at = isEnabled ? this._nextRunAt(cronExpression) : null;
+    }
+
+    const columns = Object.keys(values);
+    if (columns.length > 0) {
+      db.prepare(`
+        UPDATE digest_schedules SET ${columns.map(column => `${column} = ?`).join(', ')}
+        WHERE id = ?
+      `).run(...Object.values(values), scheduleId);
+    }
+
+    return this.getSchedule(userId, scheduleId);
+  }
+
+  /**
+   * Delete a schedule (run history cascades)
+   * @returns {boolean} - True if deleted
+   */
+  deleteSchedule(userId, scheduleId) {
+    const db = getConnection();
+    const result = db.prepare('DELETE FROM digest_schedules WHERE id = ? AND user_id = ?').run(scheduleId, userId);
+    if (result.changes > 0) {
+      logger.info('Digest schedule deleted', { scheduleId });
+    }
+    return result.changes > 0;
+  }
+
+  /**
+   * List a user's run history, newest first
+   * @param {Object} options - { scheduleId, limit }
+   */
+  listRuns(userId, { scheduleId = null, limit = 50 } = {}) {
+    const db = getConnection();
+    const where = scheduleId ? 'WHERE s.user_id = ? AND r.schedule_id = ?' : 'WHERE s.user_id = ?';
+    const params = scheduleId ? [userId, scheduleId, limit] : [userId, limit];
+
+    return db.prepare(`
+      SELECT r.*, s.name as schedule_name, e.name as export_name
+      FROM digest_runs r
+      JOIN digest_schedules s ON s.id = r.schedule_id
+      LEFT JOIN epub_exports e ON e.id = r.export_id
+      ${where}
+      ORDER BY r.id DESC
+      LIMIT ?
+    `).all(...params);
+  }
+
+  /**
+   * Schedules that are due to run, across all users
+   * @param {Date} now - Current time
+   */
+  getDueSchedules(now = new Date()) {
+    const db = getConnection();
+    return db.prepare(`
+      SELECT * FROM digest_schedules
+      WHERE is_enabled = 1 AND next_run_at IS NOT NULL AND next_run_at <= ?
+      ORDER BY next_run_at ASC
+    `).all(now.toISOString()).map(schedule => this._format(schedule));
+  }
+
+  /**
+   * Select the articles a schedule would include right now
+   * Newest first, up to max_articles, stopping before the total reading time
+   * exceeds max_reading_minutes
+   * @returns {Array} - Articles (id, title, reading_time_minutes)
+   */
+  selectArticles(schedule) {
+    const db = getConnection();
+    const conditions = ['a.user_id = ?', 'a.capture_success = 1'];
+
+    if (schedule.exclude_archived) {
+      conditions.push('a.is_archived = 0');
+    }
+
+    if (schedule.exclude_sent) {
+      conditions.push(`NOT EXISTS (
+        SELECT 1 FROM epub_export_articles ea
+        JOIN epub_exports e ON e.id = ea.export_id
+        WHERE ea.article_id = a.id AND e.sent_to_kindle = 1
+      )`);
+    }
+
+    const candidates = db.prepare(`
+      SELECT a.id, a.title, a.reading_time_minutes
+      FROM articles a
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT ?
+    `).all(schedule.user_id, schedule.max_articles);
+
+    if (!schedule.max_reading_minutes) {
+      return candidates;
+    }
+
+    const selected = [];
+    let totalMinutes = 0;
+    for (const article of candidates) {
+      const minutes = article.reading_time_minutes || 0;
+      if (totalMinutes + minutes > schedule.max_reading_minutes) {
+        break;
+      }
+      totalMinutes += minutes;
+      selected.push(article);
+    }
+
+    return selected;
+  }
+
+  /**
+   * Render a title template
+   * Supports {date} (YYYY-MM-DD) and {count}
+   */
+  renderTitle(template, { date = new Date(), count = 0 } = {}) {
+    const pad = (value) => String(value).padStart(2, '0');
+    const dateText = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+    return template
+      .replace(/\{date\}/g, dateText)
+      .replace(/\{count\}/g, String(count));
+  }
+
+  /**
+   * Run a schedule: build the EPUB, send it to Kindle and optionally archive
+   * the included articles. Every run is recorded in the history, including
+   * skipped and failed ones.
+   * @param {number} userId - Owner of the schedule
+   * @param {number} scheduleId - Schedule ID
+   * @param {string} trigger - 'schedule' or 'manual'
+   * @returns {Object} - Run record
+   */
+  async runSchedule(userId, scheduleId, trigger = 'manual') {
+    const db = getConnection();
+    const schedule = this.getSchedule(userId, scheduleId);
+    if (!schedule) {
+      throw new Error('Schedule not found');
+    }
+
+    if (this.activeRuns.has(scheduleId)) {
+      throw new Error('Digest is already running');
+    }
+
+    this.activeRuns.add(scheduleId);
+    const runId = db.prepare(`
+      INSERT INTO digest_runs (schedule_id, trigger) VALUES (?, ?)
+    `).run(scheduleId, trigger).lastInsertRowid;
+
+    const finishRun = (status, fields = {}) => {
+      db.prepare(`
+        UPDATE digest_runs
+        SET status = ?, export_id = ?, article_count = ?, error = ?, finished_at = ?
+        WHERE id = ?
+      `).run(
+        status,
+        fields.exportId || null,
+        fields.articleCount || 0,
+        fields.error || null,
+        new Date().toISOString(),
+        runId
+      );
+      db.prepare('UPDATE digest_schedules SET last_run_at = ? WHERE id = ?')
+        .run(new Date().toISOString(), scheduleId);
+    };
+
+    try {
+      logger.info('Digest run started', { scheduleId, runId, trigger });
+
+      if (!kindleService.isConfigured(userId)) {
+        throw new Error('Kindle service not configured. Please set up SMTP settings.');
+      }
+
+      const articles = this.selectArticles(schedule);
+      if (articles.length === 0) {
+        finishRun('skipped', { error: 'No articles matched the selection rule' });
+        logger.info('Digest run skipped, no matching articles', { scheduleId, runId });
+        return this.getRun(runId);
+      }
+
+      const articleIds = articles.map(article => article.id);
+      const title = this.renderTitle(schedule.title_template, { count: articles.length });
+
+      const epub = await epubGenerator.generateFromArticles(userId, articleIds, { title });
+      await kindleService.sendEPUB(userId, epub.filepath, {
+        filename: path.basename(epub.filepath),
+        subject: title
+      });
+
+      if (schedule.archive_after_send) {
+        const placeholders = articleIds.map(() => '?').join(',');
+        const archived = db.prepare(`
+          UPDATE articles SET is_archived = 1 WHERE id IN (${placeholders}) AND is_archived = 0
+          RETURNING id
+        `).all(...articleIds);
+
+        for (const { id } of archived) {
+          eventBus.publish('article.updated', { id }, { userId });
+          eventBus.publish('article.archived', { id }, { userId });
+        }
+      }
+
+      finishRun('success', { exportId: epub.id, articleCount: epub.articleCount });
+      logger.info('Digest run completed', { scheduleId, runId, exportId: epub.id, articleCount: epub.articleCount });
+    } catch (error) {
+      finishRun('failed', { error: error.message });
+      logger.error('Digest run failed', { scheduleId, runId, error: error.message });
+    } finally {
+      this.activeRuns.delete(scheduleId);
+    }
+
+    return this.getRun(runId);
+  }
+
+  /**
+   * Get run by ID
+   */
+  getRun(runId) {
+    const db = getConnection();
+    return db.prepare('SELECT * FROM digest_runs WHERE id = ?').get(runId) || null;
+  }
+
+  /**
+   * Advance a schedule's next run time past now
+   */
+  advanceSchedule(schedule, now = new Date()) {
+    const db = getConnection();
+    db.prepare('UPDATE digest_schedules SET next_run_at = ? WHERE id = ?')
+      .run(this._nextRunAt(schedule.cron_expression, now), schedule.id);
+  }
+
+  /**
+   * Mark runs left in progress by a previous process as failed
+   */
+  failInterruptedRuns() {
+    const db = getConnection();
+    const result = db.prepare(`
+      UPDATE digest_runs
+      SET status = 'failed', error = 'Interrupted by server restart', finished_at = ?
+      WHERE status = 'running'
+    `).run(new Date().toISOString());
+
+    if (result.changes > 0) {
+      logger.warn('Marked interrupted digest runs as failed', { count: result.changes });
+    }
+  }
+
+  _nextRunAt(cronExpression, from = new Date()) {
+    return getNextRun(cronExpression, from).toISOString();
+  }
+
+  /**
+   * Keep known fields, normalizing booleans for SQLite
+   */
+  _pick(data) {
+    const values = {};
+    for (const field of SCHEDULE_FIELDS) {
+      if (data[field] === undefined) continue;
+      values[field] = BOOLEAN_FIELDS.includes(field) ? (data[field] ? 1 : 0) : data[field];
+    }
+    return values;
+  }
+
+  /**
+   * Format schedule row for API output
+   */
+  _format(row) {
+    const schedule = { ...row };
+    for (const field of BOOLEAN_FIELDS) {
+      schedule[field] = Boolean(row[field]);
+    }
+    return schedule;
+  }
+}
+
+// Create singleton instance
+const digestService = new DigestService();
+
+export default digestService;
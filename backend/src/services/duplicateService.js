@@ -0,0 +1,189 @@
+import { getConnection } from '../database/index.js';
+import { getConfig } from '../config.js';
+import articleProcessor from './articleProcessor.js';
+import highlightService from './highlightService.js';
+import tagService from './tagService.js';
+import eventBus from './eventBus.js';
+import { findSimilar } from '../utils/simhash.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Duplicate articles in a library
+ *
+ * Articles are duplicates when their URLs canonicalize to the same URL (saved
+ * before canonicalization, or under rules changed since) or when their text
+ * fingerprints are at most DUPLICATE_MAX_DISTANCE bits apart. Merging keeps
+ * one article and records the others' URLs as aliases of it.
+ */
+class DuplicateService {
+  constructor() {
+    this.maxDistance = parseInt(getConfig('DUPLICATE_MAX_DISTANCE', 6));
+  }
+
+  /**
+   * Find groups of duplicate articles
+   * @returns {Array} - Groups { reasons: ['url'|'content'], articles }, articles oldest first
+   */
+  findDuplicates(userId) {
+    const db = getConnection();
+    const articles = db.prepare(`
+      SELECT a.id, a.url, a.original_url, a.title, a.site_name, a.word_count, a.image_count,
+        a.is_archived, a.is_favorite, a.content_simhash, a.created_at,
+        (SELECT COUNT(*) FROM article_highlights h WHERE h.article_id = a.id) as highlight_count
+      FROM articles a
+      WHERE a.user_id = ? AND a.capture_success = 1
+      ORDER BY a.created_at, a.id
+    `).all(userId);
+
+    // Union-find over article IDs, remembering why each group formed
+    const parent = new Map(articles.map(article => [article.id, article.id]));
+    const reasons = new Map();
+    const find = id => {
+      while (parent.get(id) !== id) {
+        parent.set(id, parent.get(parent.get(id)));
+        id = parent.get(id);
+      }
+      return id;
+    };
+    const link = (a, b, reason) => {
+      const rootA = find(a);
+      const rootB = find(b);
+      const merged = new Set([...(reasons.get(rootA) || []), ...(reasons.get(rootB) || []), reason]);
+      parent.set(rootB, rootA);
+      reasons.set(rootA, merged);
+    };
+
+    const byUrl = new Map();
+    for (const article of articles) {
+      const url = articleProcessor.canonicalizeUrl(article.url);
+      if (byUrl.has(url)) {
+        link(byUrl.get(url), article.id, 'url');
+      } else {
+        byUrl.set(url, article.id);
+      }
+    }
+
+    const fingerprinted = articles
+      .filter(article => article.content_simhash)
+      .map(article => ({ id: article.id, hash: article.content_simhash }));
+    for (const { a, b } of findSimilar(fingerprinted, this.maxDistance)) {
+      link(a, b, 'content');
+    }
+
+    const groups = new Map();
+    articles.forEach(({ content_simhash: _hash, ...article }) => {
+      const root = find(article.id);
+      if (!reasons.has(root)) {
+        return;
+      }
+      if (!groups.has(root)) {
+        groups.set(root, { reasons: [...reasons.get(root)].sort(), articles: [] });
+      }
+      groups.get(root).articles.push({
+        ...article,
+        is_archived: Boolean(article.is_archived),
+        is_favorite: Boolean(article.is_favorite)
+      });
+    });
+
+    const result = [...groups.values()].filter(group => group.articles.length > 1);
+    const tagsByArticle = tagService.getTagsForArticles(result.flatMap(group => group.articles.map(article => article.id)));
+    for (const group of result) {
+      for (const article of group.articles) {
+        article.tags = tagsByArticle.get(article.id);
+      }
+    }
+
+    // Most recently saved duplicates first
+    const newest = group => group.articles[group.articles.length - 1].created_at;
+    return result.sort((a, b) => (newest(a) < newest(b) ? 1 : newest(a) > newest(b) ? -1 : 0));
+  }
+
+  /**
+   * Merge articles into one
+   * The kept article keeps its content and read state. It gains the others'
+   * tags and highlights, is a favorite if any of them was, and takes the
+   * earliest save date. The others are deleted, and saving one of their URLs
+   * again updates the kept article.
+   * @returns {Object|null} - { id, merged }, or null if an article wasn't found
+   */
+  mergeArticles(userId, keepId, articleIds) {
+    const db = getConnection();
+    const mergeIds = [...new Set(articleIds)].filter(id => id !== keepId);
+    const placeholders = mergeIds.map(() => '?').join(', ');
+
+    const kept = db.transaction(() => {
+      const articles = db.prepare(`
+        SELECT id, url, original_url, title, content_text, is_favorite, created_at FROM articles
+        WHERE user_id = ? AND capture_success = 1 AND id IN (?, ${placeholders})
+      `).all(userId, keepId, ...mergeIds);
+
+      if (articles.length !== mergeIds.length + 1) {
+        return null;
+      }
+
+      const keep = articles.find(article => article.id === keepId);
+      const others = articles.filter(article => article.id !== keepId);
+
+      db.prepare(`
+        INSERT OR IGNORE INTO article_tags (article_id, tag_id)
+        SELECT ?, tag_id FROM article_tags WHERE article_id IN (${placeholders})
+      `).run(keepId, ...mergeIds);
+
+      const moved = db.prepare(`
+        UPDATE article_highlights SET article_id = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE article_id IN (${placeholders})
+      `).run(keepId, ...mergeIds).changes;
+      if (moved > 0) {
+        highlightService.reanchorHighlights(keepId, keep.content_text);
+      }
+
+      db.prepare(`
+        UPDATE articles SET is_favorite = ?, created_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(
+        articles.some(article => article.is_favorite) ? 1 : 0,
+        articles.map(article => article.created_at).sort()[0],
+        keepId
+      );
+
+      // Aliases of the merged articles move to the kept one
+      db.prepare(`
+        UPDATE article_url_aliases SET article_id = ? WHERE article_id IN (${placeholders})
+      `).run(keepId, ...mergeIds);
+      const addAlias = db.prepare(`
+        INSERT INTO article_url_aliases (user_id, url, article_id) VALUES (?, ?, ?)
+        ON CONFLICT(user_id, url) DO UPDATE SET article_id = excluded.article_id
+      `);
+      const urls = new Set(others
+        .flatMap(article => [article.url, article.original_url])
+        .filter(Boolean)
+        .flatMap(url => [url, articleProcessor.canonicalizeUrl(url)]));
+      urls.delete(keep.url);
+      for (const url of urls) {
+        addAlias.run(userId, url, keepId);
+      }
+
+      db.prepare(`DELETE FROM articles WHERE id IN (${placeholders})`).run(...mergeIds);
+
+      return keep;
+    })();
+
+    if (!kept) {
+      return null;
+    }
+
+    for (const id of mergeIds) {
+      eventBus.publish('article.deleted', { id }, { userId });
+    }
+    eventBus.publish('article.updated', { id: keepId, title: kept.title }, { userId });
+
+    logger.info('Articles merged', { articleId: keepId, merged: mergeIds });
+
+    return { id: keepId, merged: mergeIds.length };
+  }
+}
+
+// Create singleton instance
+const duplicateService = new DuplicateService();
+
+export default duplicateService;
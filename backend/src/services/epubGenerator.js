@@ -9,6 +9,8 @@ import logger from '../utils/logger.js';
 import { getConfig } from '../config.js';
 import { getConnection } from '../database/index.js';
 import coverGenerator from './coverGenerator.js';
+import eventBus from './eventBus.js';
+import articleDocumentService from './articleDocumentService.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -34,20 +36,25 @@ class EPUBGenerator {
   }
 
   /**
-   * Generate EPUB from article IDs
+   * Generate EPUB from article IDs (articles outside the user's library are skipped)
+   * Images use their e-ink variant unless `options.imageVariant` is 'web'
+   * (for color screens). Articles made from PDFs use their reflowed text
+   * unless `options.pdfMode` is 'attach', which puts the PDF itself in the
+   * book, linked from a short chapter.
    */
-  async generateFromArticles(articleIds, options = {}) {
+  async generateFromArticles(userId, articleIds, options = {}) {
     const db = getConnection();
 
     // Fetch articles from database
     const placeholders = articleIds.map(() => '?').join(',');
     const articles = db.prepare(`
-      SELECT id, title, content_html, author, published_at, url, site_name
+      SELECT id, title, content_html, excerpt, author, published_at, url, site_name
       FROM articles
       WHERE id IN (${placeholders})
+        AND user_id = ?
         AND capture_success = 1
       ORDER BY published_at ASC, created_at ASC
-    `).all(...articleIds);
+    `).all(...articleIds, userId);
 
     if (articles.length === 0) {
       throw new Error('No valid articles found for EPUB generation');
@@ -83,12 +90,28 @@ class EPUBGenerator {
 
        // Prepare CSS (extract from chapter template)
        const css = this._prepareCss();
+
+       const imagePaths = options.imageVariant === 'web'
+         ? new Map()
+         : this._getEinkImagePaths(articles.map(article => article.id));
+
+       const documents = options.pdfMode === 'attach'
+         ? articleDocumentService.getInfo(articles.map(article => article.id))
+         : new Map();
+       const attachments = [];
        
        // Prepare content array for EPUB
        const content = [];
        for (let i = 0; i < articles.length; i++) {
          const article = articles[i];
-         const chapterHtml = this._prepareArticleContent(article, i + 1);
+         let attachment = null;
+         if (documents.has(article.id)) {
+           const document = documents.get(article.id);
+           const name = this._sanitizeFilename(document.filename.replace(/\.pdf$/i, '')) || 'document';
+           attachment = { ...document, articleId: article.id, href: `documents/${i + 1}-${name}.pdf` };
+           attachments.push(attachment);
+         }
+         const chapterHtml = this._prepareArticleContent(article, i + 1, imagePaths, attachment);
 
          content.push({
            title: article.title,
@@ -129,6 +152,10 @@ class EPUBGenerator {
        // Fix broken spine entries (library bug: generates content_0_item_0 but manifest has content_1_item_1)
        await this._fixEpubSpine(filepath);
 
+       if (attachments.length > 0) {
+         this._attachDocuments(filepath, attachments);
+       }
+
        logger.info('EPUB written to disk', { filepath });
 
        // Get file stats
@@ -137,18 +164,27 @@ class EPUBGenerator {
        // Save export record to database
        const exportStmt = db.prepare(`
          INSERT INTO epub_exports
-         (name, article_count, file_path, file_size)
-         VALUES (?, ?, ?, ?)
+         (user_id, name, article_count, file_path, file_size)
+         VALUES (?, ?, ?, ?, ?)
          RETURNING id
        `);
 
        const exportResult = exportStmt.get(
+         userId,
          options.title || `Bookmark Digest - ${new Date().toLocaleDateString()}`,
          articles.length,
          filepath,
          stats.size
        );
 
+       // Remember which articles went into this export
+       const exportArticleStmt = db.prepare(`
+         INSERT OR IGNORE INTO epub_export_articles (export_id, article_id) VALUES (?, ?)
+       `);
+       for (const article of articles) {
+         exportArticleStmt.run(exportResult.id, article.id);
+       }
+
        logger.info('EPUB generation completed', {
          exportId: exportResult.id,
          filename,
@@ -156,6 +192,12 @@ class EPUBGenerator {
          articleCount: articles.length
        });
 
+       eventBus.publish('epub.generated', {
+         id: exportResult.id,
+         title: options.title,
+         articleCount: articles.length
+       }, { userId });
+
        return {
          id: exportResult.id,
          filename,
@@ -316,8 +358,15 @@ a {
 
    /**
    * Prepare article content HTML fragment (without XHTML wrapper)
+   * With an `attachment` (a PDF put in the book), the chapter links to it
+   * and shows the article's excerpt instead of its content.
    */
-  _prepareArticleContent(article, chapterNumber) {
+  _prepareArticleContent(article, chapterNumber, imagePaths, attachment = null) {
+    const body = attachment
+      ? `<p class="attachment"><strong>Original PDF${attachment.page_count ? ` (${attachment.page_count} pages)` : ''}:</strong> <a href="${this._escapeHtml(attachment.href)}">${this._escapeHtml(attachment.filename)}</a></p>
+      ${article.excerpt ? `<p>${this._escapeHtml(article.excerpt)}</p>` : ''}`
+      : this._htmlToXhtml(article.content_html, imagePaths);
+
     return `
     <h1>Chapter ${chapterNumber}: ${this._escapeHtml(article.title)}</h1>
     <div class="metadata">
@@ -327,7 +376,7 @@ a {
       <p class="original-url"><strong>Original URL:</strong> ${this._escapeHtml(article.url)}</p>
     </div>
     <div class="content">
-      ${this._htmlToXhtml(article.content_html)}
+      ${body}
     </div>`;
   }
 
@@ -349,7 +398,7 @@ a {
     /**
    * Convert HTML to well-formed XHTML for EPUB
    */
-  _htmlToXhtml(html) {
+  _htmlToXhtml(html, imagePaths) {
     if (!html) return '';
     
     let xhtml = html;
@@ -365,7 +414,7 @@ a {
     xhtml = xhtml.replace(/&hellip;/g, '&#8230;');
     
     // Process images: extract from picture tags, convert paths to absolute URLs
-    xhtml = this._processImagesInHtml(xhtml);
+    xhtml = this._processImagesInHtml(xhtml, imagePaths);
     
     // Close self-closing tags (void elements in HTML)
     const voidElements = ['br', 'hr', 'meta', 'link', 'input', 'area', 'base', 'col', 'command', 'embed', 'keygen', 'param', 'track', 'wbr'];
@@ -377,10 +426,25 @@ a {
     return xhtml;
   }
 
+  /**
+   * Map each image's web path to its e-ink variant (images saved before variants have none)
+   */
+  _getEinkImagePaths(articleIds) {
+    const db = getConnection();
+    const placeholders = articleIds.map(() => '?').join(',');
+    const rows = db.prepare(`
+      SELECT local_path, eink_path FROM article_images
+      WHERE article_id IN (${placeholders}) AND eink_path IS NOT NULL
+    `).all(...articleIds);
+
+    return new Map(rows.map(row => [row.local_path, row.eink_path]));
+  }
+
   /**
    * Process images in HTML for EPUB generation
+   * @param {Map} imagePaths - Replacement for each /images/ path (e.g. its e-ink variant)
    */
-  _processImagesInHtml(html) {
+  _processImagesInHtml(html, imagePaths = new Map()) {
     let processed = html;
     
     // Extract img from picture tags and remove picture/source wrappers
@@ -399,7 +463,7 @@ a {
       // Parse src attribute
       const srcMatch = attributes.match(/src\s*=\s*['"]([^'"]*)['"]/i);
       if (srcMatch) {
-        let src = srcMatch[1];
+        let src = imagePaths.get(srcMatch[1]) || srcMatch[1];
         // Convert /images/ paths to file:// URLs
         if (src.startsWith('/images/')) {
           // Remove leading /images/ to get relative path
@@ -407,6 +471,9 @@ a {
           const absolutePath = path.join(this.imagesDir, relativePath);
           // Check if file exists
           try {
+            if (!absolutePath.startsWith(this.imagesDir + path.sep)) {
+              throw new Error('Path outside images directory');
+            }
             fsSync.accessSync(absolutePath, fsSync.constants.R_OK);
             // Use absolute file path (library may handle local files)
             src = absolutePath;
@@ -426,7 +493,15 @@ a {
             return ''; // Remove image if file doesn't exist
           }
         }
-        // Keep other src as-is (data URIs, http/https URLs, file:// URLs)
+
+        // The EPUB library would fetch remote and file:// images itself, bypassing
+        // the outbound request checks, so only images saved at capture are kept
+        if (/^(?!data:)[a-z][a-z0-9+.-]*:|^\/\//i.test(src)) {
+          logger.debug('Removing image that was not saved locally', { src });
+          return '';
+        }
+
+        // Keep other src as-is (data URIs)
       }
       return match;
     });
@@ -457,6 +532,25 @@ a {
     }
   }
 
+  /**
+   * Open a generated EPUB for changes
+   * The library flags its entries as followed by a data descriptor but puts
+   * their CRC and sizes in the local headers instead, which adm-zip refuses
+   * to read; the flag is cleared on such entries. Entries keep their order,
+   * since `mimetype` has to stay at the start.
+   */
+  _openEpub(epubPath) {
+    const zip = new AdmZip(epubPath, { noSort: true });
+    for (const entry of zip.getEntries()) {
+      // Loads the local header
+      entry.getCompressedData();
+      if (entry.header.flags_desc && entry.header.localHeader.crc === entry.header.crc) {
+        entry.header.flags_desc = false;
+      }
+    }
+    return zip;
+  }
+
   /**
    * Fix broken spine entries in generated EPUB
    * The @lesjoursfr/html-to-epub library has a bug where it generates spine entries
@@ -464,7 +558,7 @@ a {
    */
   async _fixEpubSpine(epubPath) {
     try {
-      const zip = new AdmZip(epubPath);
+      const zip = this._openEpub(epubPath);
       const opfEntry = zip.getEntry('OEBPS/content.opf');
 
       if (!opfEntry) {
@@ -527,13 +621,33 @@ a {
   }
 
   /**
-   * Get export by ID
+   * Add PDFs to a generated EPUB, next to the chapters linking to them
+   * They go in the manifest but not the spine: readers open them from the link.
+   * @param {Object[]} attachments - { articleId, href } of each PDF
+   */
+  _attachDocuments(epubPath, attachments) {
+    const zip = this._openEpub(epubPath);
+    let opfContent = zip.getEntry('OEBPS/content.opf').getData().toString('utf8');
+
+    const items = attachments.map(({ articleId, href }, index) => {
+      zip.addFile(`OEBPS/${href}`, articleDocumentService.get(articleId).content);
+      return `<item id="document_${index + 1}" href="${this._escapeHtml(href)}" media-type="application/pdf"/>`;
+    });
+    opfContent = opfContent.replace(/<\/manifest>/i, () => `${items.join('\n')}\n</manifest>`);
+
+    zip.updateFile('OEBPS/content.opf', Buffer.from(opfContent, 'utf8'));
+    zip.writeZip(epubPath);
+    logger.info('Attached documents to EPUB', { count: attachments.length, epubPath });
+  }
+
+  /**
+   * Get one of the user's exports by ID
    */
-  getExport(exportId) {
+  getExport(userId, exportId) {
     const db = getConnection();
     const exportRecord = db.prepare(`
-      SELECT * FROM epub_exports WHERE id = ?
-    `).get(exportId);
+      SELECT * FROM epub_exports WHERE id = ? AND user_id = ?
+    `).get(exportId, userId);
 
     if (!exportRecord) {
       throw new Error('Export not found');
@@ -543,15 +657,16 @@ a {
   }
 
   /**
-   * List all exports
+   * List the user's exports
    */
-  listExports(limit = 50) {
+  listExports(userId, limit = 50) {
     const db = getConnection();
     const exports = db.prepare(`
       SELECT * FROM epub_exports
+      WHERE user_id = ?
       ORDER BY created_at DESC
       LIMIT ?
-    `).all(limit);
+    `).all(userId, limit);
 
     return exports;
   }
@@ -0,0 +1,69 @@
+import { EventEmitter } from 'events';
+import logger from '../utils/logger.js';
+
+/**
+ * In-process publish/subscribe for library changes
+ *
+ * Services publish events after their changes are saved; the SSE route
+ * forwards them to connected clients. Events about a user's library carry
+ * that user's ID so they are only delivered to the same user.
+ */
+class EventBus {
+  constructor() {
+    this.emitter = new EventEmitter();
+    // One listener per connected client
+    this.emitter.setMaxListeners(0);
+    this.nextId = 1;
+  }
+
+  /**
+   * Publish an event to all subscribers
+   * @param {string} type - Event type, e.g. 'article.created'
+   * @param {Object} data - JSON-serializable event data
+   * @param {Object} options - { userId } of the user the event belongs to
+   * @returns {Object} - Published event
+   */
+  publish(type, data = {}, { userId = null } = {}) {
+    const event = {
+      id: this.nextId++,
+      type,
+      data,
+      userId,
+      timestamp: new Date().toISOString()
+    };
+
+    this.emitter.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Listen for all events
+   * A failing listener is logged and never breaks the publisher.
+   * @param {Function} listener - (event) => void
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(listener) {
+    const safeListener = (event) => {
+      try {
+        listener(event);
+      } catch (error) {
+        logger.warn('Event listener failed', { type: event.type, error: error.message });
+      }
+    };
+
+    this.emitter.on('event', safeListener);
+    return () => this.emitter.off('event', safeListener);
+  }
+
+  /**
+   * Number of active subscribers
+   */
+  subscriberCount() {
+    return this.emitter.listenerCount('event');
+  }
+}
+
+// Create singleton instance
+const eventBus = new EventBus();
+
+export default eventBus;
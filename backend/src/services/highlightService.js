@@ -0,0 +1,178 @@
+import { getConnection } from '../database/index.js';
+import { anchorQuote } from '../utils/textAnchor.js';
+import logger from '../utils/logger.js';
+
+class HighlightService {
+  constructor() {
+    this.colors = ['yellow', 'green', 'blue', 'pink', 'purple'];
+  }
+
+  /**
+   * List highlights for an article in reading order
+   * @returns {Array} - Highlights
+   */
+  listHighlights(articleId) {
+    const db = getConnection();
+    return db.prepare(`
+      SELECT * FROM article_highlights
+      WHERE article_id = ?
+      ORDER BY is_orphaned ASC, start_offset ASC, id ASC
+    `).all(articleId).map(row => this._format(row));
+  }
+
+  /**
+   * Get highlight by ID within an article
+   * @returns {Object|null} - Highlight or null if not found
+   */
+  getHighlight(articleId, highlightId) {
+    const db = getConnection();
+    const row = db.prepare(
+      'SELECT * FROM article_highlights WHERE id = ? AND article_id = ?'
+    ).get(highlightId, articleId);
+    return row ? this._format(row) : null;
+  }
+
+  /**
+   * Create a highlight, anchoring the quote in the article text
+   * @param {number} articleId - Article ID
+   * @param {Object} data - { exact, prefix, suffix, start, note, color }
+   * @returns {Object} - Created highlight
+   */
+  createHighlight(articleId, data) {
+    const db = getConnection();
+
+    const article = db.prepare('SELECT content_text FROM articles WHERE id = ?').get(articleId);
+    const position = anchorQuote(article?.content_text || '', data);
+    if (!position) {
+      throw new Error('Highlighted text was not found in the article');
+    }
+
+    const exact = article.content_text.slice(position.start, position.end);
+    const result = db.prepare(`
+      INSERT INTO article_highlights
+      (article_id, exact, prefix, suffix, start_offset, end_offset, note, color)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      articleId,
+      exact,
+      data.prefix || '',
+      data.suffix || '',
+      position.start,
+      position.end,
+      data.note || null,
+      data.color || 'yellow'
+    );
+
+    logger.info('Highlight created', { articleId, highlightId: result.lastInsertRowid });
+    return this.getHighlight(articleId, result.lastInsertRowid);
+  }
+
+  /**
+   * Update note and/or color of a highlight
+   * @returns {Object|null} - Updated highlight or null if not found
+   */
+  updateHighlight(articleId, highlightId, data) {
+    const db = getConnection();
+    const updates = [];
+    const params = [];
+
+    if (data.note !== undefined) {
+      updates.push('note = ?');
+      params.push(data.note || null);
+    }
+
+    if (data.color !== undefined) {
+      updates.push('color = ?');
+      params.push(data.color);
+    }
+
+    if (updates.length > 0) {
+      const result = db.prepare(`
+        UPDATE article_highlights SET ${updates.join(', ')}
+        WHERE id = ? AND article_id = ?
+      `).run(...params, highlightId, articleId);
+
+      if (result.changes === 0) {
+        return null;
+      }
+    }
+
+    return this.getHighlight(articleId, highlightId);
+  }
+
+  /**
+   * Delete a highlight
+   * @returns {boolean} - True if deleted
+   */
+  deleteHighlight(articleId, highlightId) {
+    const db = getConnection();
+    const result = db.prepare(
+      'DELETE FROM article_highlights WHERE id = ? AND article_id = ?'
+    ).run(highlightId, articleId);
+    return result.changes > 0;
+  }
+
+  /**
+   * Re-anchor an article's highlights after its text changed
+   * Highlights whose quote no longer exists are kept but marked orphaned,
+   * so notes aren't lost; they re-attach if the text comes back later.
+   * @param {number} articleId - Article ID
+   * @param {string} text - New article text
+   * @returns {Object} - { anchored, orphaned }
+   */
+  reanchorHighlights(articleId, text) {
+    const db = getConnection();
+    const highlights = db.prepare(
+      'SELECT * FROM article_highlights WHERE article_id = ?'
+    ).all(articleId);
+
+    if (highlights.length === 0) {
+      return { anchored: 0, orphaned: 0 };
+    }
+
+    const move = db.prepare(`
+      UPDATE article_highlights
+      SET start_offset = ?, end_offset = ?, exact = ?, is_orphaned = 0
+      WHERE id = ?
+    `);
+    const orphan = db.prepare('UPDATE article_highlights SET is_orphaned = 1 WHERE id = ?');
+
+    let anchored = 0;
+    let orphaned = 0;
+
+    for (const highlight of highlights) {
+      const position = anchorQuote(text || '', {
+        exact: highlight.exact,
+        prefix: highlight.prefix,
+        suffix: highlight.suffix,
+        start: highlight.start_offset
+      });
+
+      if (position) {
+        move.run(position.start, position.end, text.slice(position.start, position.end), highlight.id);
+        anchored++;
+      } else {
+        orphan.run(highlight.id);
+        orphaned++;
+      }
+    }
+
+    logger.info('Highlights re-anchored', { articleId, anchored, orphaned });
+    return { anchored, orphaned };
+  }
+
+  /**
+   * Format highlight row for API output
+   */
+  _format(row) {
+    return {
+      ...row,
+      is_orphaned: Boolean(row.is_orphaned)
+    };
+  }
+}
+
+// Create singleton instance
+const highlightService = new HighlightService();
+
+export default highlightService;
@@ -0,0 +1,388 @@
+import http from 'http';
+import https from 'https';
+import dns from 'dns';
+import net from 'net';
+import zlib from 'zlib';
+import { pipeline } from 'stream';
+import logger from '../utils/logger.js';
+import { getConfig } from '../config.js';
+
+/**
+ * Outbound HTTP client for every server-side fetch (pages, images, webhooks)
+ *
+ * Guards against SSRF: only http(s) on allowed ports, and host names are
+ * resolved before connecting so private, loopback and link-local addresses
+ * can be refused. The connection uses the checked address, so a second DNS
+ * answer can't swap in another one. Redirects are followed hop by hop with
+ * the same checks, and bodies are capped while streaming.
+ */
+
+// Addresses that never belong to a public web server
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['100::', 64, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockedAddresses = new net.BlockList();
+for (const [address, prefix, type] of BLOCKED_RANGES) {
+  blockedAddresses.addSubnet(address, prefix, type);
+}
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/**
+ * Request refused by the SSRF rules
+ */
+export class BlockedRequestError extends Error {
+  constructor(message) {
+    super(`Blocked request: ${message}`);
+    this.name = 'BlockedRequestError';
+  }
+}
+
+/**
+ * Response body exceeded the byte cap
+ */
+export class ResponseTooLargeError extends Error {
+  constructor(maxBytes) {
+    super(`Response too large: exceeded ${maxBytes} bytes`);
+    this.name = 'ResponseTooLargeError';
+    this.maxBytes = maxBytes;
+  }
+}
+
+class HttpClient {
+  constructor() {
+    // Defaults; callers pass their own limits
+    this.timeout = 15000;
+    this.maxRedirects = parseInt(getConfig('MAX_REDIRECTS', 5));
+    this.maxBytes = 20 * 1024 * 1024;
+    this._allowlist = null;
+  }
+
+  /**
+   * Make a request, following redirects for GET and HEAD
+   * @param {string} url - http(s) URL
+   * @param {Object} options - { method, headers, body, timeout, maxRedirects, maxBytes }
+   * @returns {Promise<Object>} - { url, status, statusText, ok, redirected, headers, buffer(), discard() }
+   *   `buffer()` reads the (decompressed) body, throwing ResponseTooLargeError past `maxBytes`
+   * @throws {BlockedRequestError} - If the URL or any redirect target is not allowed
+   */
+  async request(url, options = {}) {
+    const {
+      method = 'GET',
+      headers = {},
+      body = null,
+      timeout = this.timeout,
+      maxRedirects = this.maxRedirects,
+      maxBytes = this.maxBytes
+    } = options;
+
+    // One deadline for the whole exchange, including redirects and the body
+    const signal = AbortSignal.timeout(timeout);
+    const followRedirects = method === 'GET' || method === 'HEAD';
+    let currentUrl = url;
+
+    for (let redirects = 0; ; redirects++) {
+      const response = await this._send(currentUrl, { method, headers, body, signal, timeout });
+
+      const location = response.headers.get('location');
+      if (!followRedirects || !REDIRECT_STATUSES.includes(response.statusCode) || !location) {
+        return this._wrap(response, currentUrl, redirects > 0, { maxBytes, signal, timeout });
+      }
+
+      response.resume();
+      if (redirects >= maxRedirects) {
+        throw new Error(`Too many redirects (max ${maxRedirects})`);
+      }
+
+      const nextUrl = new URL(location, currentUrl).href;
+      logger.debug('Following redirect', { from: currentUrl, to: nextUrl });
+      currentUrl = nextUrl;
+    }
+  }
+
+  /**
+   * Issue a single request; resolves with the IncomingMessage once headers arrive
+   * @private
+   */
+  _send(url, { method, headers, body, signal, timeout }) {
+    const parsed = this._checkUrl(url);
+    const transport = parsed.url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(parsed.url, {
+        method,
+        headers: { 'Accept-Encoding': 'gzip, deflate, br', ...headers },
+        signal,
+        lookup: (hostname, lookupOptions, callback) => this._lookup(hostname, lookupOptions, callback)
+      }, (res) => {
+        res.headers = this._toHeaders(res.headers);
+        resolve(res);
+      });
+
+      req.on('error', (error) => reject(this._requestError(error, timeout)));
+      req.end(body ?? undefined);
+    });
+  }
+
+  /**
+   * dns.lookup replacement that refuses blocked addresses
+   * @private
+   */
+  _lookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        return callback(error);
+      }
+
+      try {
+        if (!this._isAllowlistedHost(hostname)) {
+          addresses.forEach(({ address }) => this._checkAddress(address, hostname));
+        }
+      } catch (blocked) {
+        return callback(blocked);
+      }
+
+      if (options.all) {
+        callback(null, addresses);
+      } else {
+        callback(null, addresses[0].address, addresses[0].family);
+      }
+    });
+  }
+
+  /**
+   * Check scheme and port, and IP literals; returns the URL and bare host
+   * @private
+   */
+  _checkUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new BlockedRequestError(`invalid URL ${url}`);
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw new BlockedRequestError(`unsupported protocol ${parsed.protocol}`);
+    }
+    if (parsed.username || parsed.password) {
+      throw new BlockedRequestError('credentials in URL');
+    }
+
+    // IPv6 literals come bracketed
+    const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    const port = parsed.port ? parseInt(parsed.port) : (parsed.protocol === 'https:' ? 443 : 80);
+    const allowlisted = this._isAllowlistedHost(host);
+
+    if (!allowlisted && !this._getAllowedPorts().includes(port)) {
+      throw new BlockedRequestError(`port ${port} is not allowed`);
+    }
+
+    // Literal addresses skip DNS, so they are checked here
+    if (net.isIP(host) && !allowlisted) {
+      this._checkAddress(host, host);
+    }
+
+    return { url: parsed, host };
+  }
+
+  /**
+   * @private
+   */
+  _checkAddress(address, hostname) {
+    // BlockList also matches IPv4-mapped IPv6 (::ffff:127.0.0.1) against IPv4 ranges
+    const type = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+
+    if (this._getAllowlist().addresses.check(address, type)) {
+      return;
+    }
+    if (blockedAddresses.check(address, type)) {
+      throw new BlockedRequestError(`${hostname} resolves to private address ${address}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _isAllowlistedHost(host) {
+    const allowlist = this._getAllowlist();
+    if (allowlist.hosts.includes(host)) {
+      return true;
+    }
+    if (net.isIP(host)) {
+      return allowlist.addresses.check(host, net.isIPv4(host) ? 'ipv4' : 'ipv6');
+    }
+    return false;
+  }
+
+  /**
+   * OUTBOUND_ALLOWLIST: comma-separated host names, addresses and CIDR ranges
+   * that may be fetched even though they are private (e.g. a LAN wiki)
+   * Read on use so it can be changed without restarting the singleton.
+   * @private
+   */
+  _getAllowlist() {
+    const raw = getConfig('OUTBOUND_ALLOWLIST', '');
+    if (this._allowlist?.raw === raw) {
+      return this._allowlist;
+    }
+
+    const hosts = [];
+    const addresses = new net.BlockList();
+    for (const entry of raw.split(',').map(item => item.trim().toLowerCase()).filter(Boolean)) {
+      const [address, prefix] = entry.split('/');
+      const type = net.isIPv4(address) ? 'ipv4' : (net.isIPv6(address) ? 'ipv6' : null);
+
+      if (!type) {
+        hosts.push(entry);
+      } else if (prefix) {
+        addresses.addSubnet(address, parseInt(prefix), type);
+      } else {
+        addresses.addAddress(address, type);
+      }
+    }
+
+    this._allowlist = { raw, hosts, addresses };
+    return this._allowlist;
+  }
+
+  /**
+   * @private
+   */
+  _getAllowedPorts() {
+    return getConfig('OUTBOUND_ALLOWED_PORTS', '80,443,8080,8443')
+      .split(',')
+      .map(port => parseInt(port))
+      .filter(Number.isInteger);
+  }
+
+  /**
+   * Fetch-like response around an IncomingMessage
+   * @private
+   */
+  _wrap(res, url, redirected, { maxBytes, signal, timeout }) {
+    return {
+      url,
+      status: res.statusCode,
+      statusText: res.statusMessage || '',
+      ok: res.statusCode >= 200 && res.statusCode < 300,
+      redirected,
+      headers: res.headers,
+      buffer: () => this._readBody(res, { maxBytes, signal, timeout }),
+      discard: () => res.resume()
+    };
+  }
+
+  /**
+   * Read the body, decompressing it, and stop once the cap is exceeded
+   * The cap applies to decompressed bytes, so a small compressed body can't
+   * expand past it. content-length is only used to fail early.
+   * @private
+   */
+  async _readBody(res, { maxBytes, signal, timeout }) {
+    const contentLength = parseInt(res.headers.get('content-length'));
+    if (contentLength > maxBytes && !res.headers.get('content-encoding')) {
+      res.destroy();
+      throw new ResponseTooLargeError(maxBytes);
+    }
+
+    const stream = this._decompress(res);
+    const chunks = [];
+    let total = 0;
+
+    try {
+      for await (const chunk of stream) {
+        total += chunk.length;
+        if (total > maxBytes) {
+          throw new ResponseTooLargeError(maxBytes);
+        }
+        chunks.push(chunk);
+      }
+    } catch (error) {
+      res.destroy();
+      stream.destroy();
+      if (error instanceof ResponseTooLargeError) {
+        throw error;
+      }
+      // The deadline aborts the request, which surfaces here as a reset connection
+      throw this._requestError(signal.aborted ? signal.reason : error, timeout);
+    }
+
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * The decoder is piped with pipeline() so that an aborted or failed
+   * response ends it with the error instead of leaving it waiting
+   * @private
+   */
+  _decompress(res) {
+    const encoding = (res.headers.get('content-encoding') || '').trim().toLowerCase();
+    const decoder = {
+      gzip: zlib.createGunzip,
+      'x-gzip': zlib.createGunzip,
+      deflate: zlib.createInflate,
+      br: zlib.createBrotliDecompress
+    }[encoding];
+
+    if (!decoder) {
+      return res;
+    }
+
+    return pipeline(res, decoder(), () => {});
+  }
+
+  /**
+   * @private
+   */
+  _toHeaders(rawHeaders) {
+    const headers = new Headers();
+    for (const [name, value] of Object.entries(rawHeaders)) {
+      for (const item of [].concat(value)) {
+        headers.append(name, item);
+      }
+    }
+    return headers;
+  }
+
+  /**
+   * Normalize low-level errors into readable messages
+   * @private
+   */
+  _requestError(error, timeout) {
+    if (error instanceof BlockedRequestError) {
+      return error;
+    }
+    if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+      return new Error(`Timed out after ${timeout}ms`);
+    }
+    return new Error(`Request failed: ${error.code || error.message}`);
+  }
+}
+
+// Create singleton instance
+const httpClient = new HttpClient();
+
+export default httpClient;
@@ -1,26 +1,43 @@
 import sharp from 'sharp';
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import logger from '../utils/logger.js';
 import { getConfig } from '../config.js';
+import httpClient, { ResponseTooLargeError } from './httpClient.js';
+import imageStore from './imageStore.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Viewport assumed when evaluating media queries in `sizes` and <source media>
+const VIEWPORT_WIDTH = 1200;
+
+// Formats kept as PNG so line art and transparency survive
+const LOSSLESS_FORMATS = ['image/png', 'image/svg+xml'];
 
 class ImageHandler {
   constructor() {
     this.timeout = parseInt(getConfig('IMAGE_TIMEOUT_MS', 10000));
     this.maxSize = parseInt(getConfig('MAX_IMAGE_SIZE_MB', 5)) * 1024 * 1024;
-    this.supportedFormats = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+    this.supportedFormats = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/avif', 'image/svg+xml'];
     this.imageQuality = parseInt(getConfig('IMAGE_QUALITY', 85));
-    this.baseImagesDir = path.join(__dirname, '../../images');
+    this.webWidth = 1200;
+    this.einkWidth = parseInt(getConfig('EINK_IMAGE_WIDTH', 1072));
+    this.einkHeight = parseInt(getConfig('EINK_IMAGE_HEIGHT', 1448));
+    this.concurrency = parseInt(getConfig('IMAGE_CONCURRENCY', 6));
+    this.hostConcurrency = parseInt(getConfig('IMAGE_HOST_CONCURRENCY', 2));
+    this.maxAttempts = parseInt(getConfig('IMAGE_MAX_ATTEMPTS', 3));
+    this.retryBaseMs = parseInt(getConfig('IMAGE_RETRY_BASE_MS', 500));
+    this.budgetMs = parseInt(getConfig('IMAGE_BUDGET_MS', 60000));
+    this.baseImagesDir = imageStore.baseDir;
   }
 
   /**
    * Download and replace images in HTML content
+   * Files are stored by content hash, so an image already saved for another
+   * of the owner's articles is reused rather than written again. Each image
+   * gets a web variant (used in the HTML) and an e-ink variant for EPUBs.
+   * Images that can't be downloaded are returned with status 'failed' and
+   * point at their absolute URL, so they can be retried later.
+   * @param {string} storageKey - Owner's images directory (see userService.getStorageKey)
+   * @param {Map} known - Results by image URL (as from downloadImages) to use instead of downloading
    */
-  async downloadAndReplaceImages(html, baseUrl, articleTitle) {
+  async downloadAndReplaceImages(html, baseUrl, storageKey = '', known = new Map()) {
     const { JSDOM, VirtualConsole } = await import('jsdom');
     
     // Suppress JSDOM console errors
@@ -31,24 +48,9 @@ class ImageHandler {
     
     const dom = new JSDOM(html, { virtualConsole });
     const doc = dom.window.document;
-    const images = doc.querySelectorAll('img');
-    const downloadedImages = [];
-
-    // Create safe filename for article directory
-    const safeTitle = this._sanitizeFilename(articleTitle);
-    const articleDir = path.join(this.baseImagesDir, safeTitle);
+    const found = [];
 
-    try {
-      await fs.mkdir(articleDir, { recursive: true });
-      logger.debug('Created article image directory', { path: articleDir });
-    } catch (error) {
-      logger.error('Failed to create image directory', { error: error.message });
-      return { html, images: [] };
-    }
-
-    // Process each image
-    for (let i = 0; i < images.length; i++) {
-      const img = images[i];
+    for (const img of doc.querySelectorAll('img')) {
       const src = this._getImageSrc(img);
 
       if (!src || src.startsWith('data:') || src.includes('this.src') || src.includes('javascript:')) {
@@ -56,43 +58,176 @@ class ImageHandler {
       }
 
       try {
-        const localPath = await this._downloadImage(src, baseUrl, articleDir, i);
+        found.push({ img, imageUrl: new URL(src, baseUrl).href });
+      } catch (error) {
+        logger.warn('Skipping image with invalid URL', { src, error: error.message });
+      }
+    }
 
-        // Update image src to relative path
-        img.setAttribute('src', localPath);
+    const missing = found.map(({ imageUrl }) => imageUrl).filter(imageUrl => !known.has(imageUrl));
+    const results = await this.downloadImages(missing, baseUrl, storageKey);
+    const images = [];
+
+    for (const { img, imageUrl } of found) {
+      const result = known.get(imageUrl) || results.get(imageUrl);
+
+      // Either way the img now has a single src, which later retries can replace
+      img.setAttribute('src', result.error ? imageUrl : result.localPath);
+      this._removeResponsiveSources(img);
+
+      images.push({
+        originalUrl: imageUrl,
+        localPath: result.localPath || null,
+        einkPath: result.einkPath || null,
+        altText: img.alt || '',
+        width: img.width || undefined,
+        height: img.height || undefined,
+        sizeBytes: result.sizeBytes,
+        status: result.error ? 'failed' : 'downloaded',
+        error: result.error || null
+      });
+    }
 
-        downloadedImages.push({
-          originalUrl: src,
-          localPath,
-          altText: img.alt || '',
-          width: img.width || undefined,
-          height: img.height || undefined
-        });
+    return {
+      html: doc.documentElement.outerHTML,
+      images
+    };
+  }
 
-        logger.debug('Image downloaded successfully', {
-          originalUrl: src,
-          localPath
-        });
-    } catch (error) {
-        logger.warn('Failed to download image', {
-          src,
-          error: error.message
+  /**
+   * Download images concurrently, within the global and per-host limits
+   * Timeouts and 5xx responses are retried with exponential backoff, and the
+   * whole batch shares one time budget (IMAGE_BUDGET_MS). Each URL is
+   * downloaded once however often it is listed.
+   * @param {string[]} urls - Absolute image URLs
+   * @param {string} baseUrl - Page the images are on (sent as Referer)
+   * @param {string} storageKey - Owner's images directory
+   * @returns {Promise<Map>} - URL -> { localPath, einkPath, sizeBytes } or { error }
+   */
+  async downloadImages(urls, baseUrl, storageKey = '') {
+    const deadline = Date.now() + this.budgetMs;
+    const limit = this._createLimiter();
+    const results = new Map();
+
+    await Promise.all([...new Set(urls)].map(async (url) => {
+      try {
+        const stored = await limit(new URL(url).host, () => this._downloadWithRetry(url, baseUrl, storageKey, deadline));
+        results.set(url, stored);
+        logger.debug('Image downloaded successfully', { originalUrl: url, localPath: stored.localPath });
+      } catch (error) {
+        results.set(url, { error: error.message });
+        logger.warn('Failed to download image', { src: url, error: error.message });
+      }
+    }));
+
+    return results;
+  }
+
+  /**
+   * Run tasks with at most `concurrency` at once, and `hostConcurrency` per host
+   * @returns {Function} - (host, task) => Promise of the task's result
+   * @private
+   */
+  _createLimiter() {
+    const queue = [];
+    const activeByHost = new Map();
+    let active = 0;
+
+    const next = () => {
+      for (let i = 0; i < queue.length && active < this.concurrency;) {
+        const item = queue[i];
+        if ((activeByHost.get(item.host) || 0) >= this.hostConcurrency) {
+          i++;
+          continue;
+        }
+
+        queue.splice(i, 1);
+        active++;
+        activeByHost.set(item.host, (activeByHost.get(item.host) || 0) + 1);
+
+        item.task().then(item.resolve, item.reject).finally(() => {
+          active--;
+          activeByHost.set(item.host, activeByHost.get(item.host) - 1);
+          next();
         });
-        // Keep original src on failure
+      }
+    };
+
+    return (host, task) => new Promise((resolve, reject) => {
+      queue.push({ host, task, resolve, reject });
+      next();
+    });
+  }
+
+  /**
+   * Download one image, retrying transient failures until the deadline
+   * @private
+   */
+  async _downloadWithRetry(imageUrl, baseUrl, storageKey, deadline) {
+    for (let attempt = 1; ; attempt++) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        throw new Error('Time budget for images exceeded');
+      }
+
+      try {
+        return await this._downloadImage(imageUrl, baseUrl, storageKey, Math.min(this.timeout, remaining));
+      } catch (error) {
+        const delay = this.retryBaseMs * 2 ** (attempt - 1);
+        if (!this._isRetryable(error) || attempt >= this.maxAttempts || Date.now() + delay >= deadline) {
+          throw error;
+        }
+
+        logger.debug('Retrying image download', { src: imageUrl, attempt, delay, error: error.message });
+        await new Promise(resolve => setTimeout(resolve, delay));
       }
     }
+  }
 
-    return {
-      html: doc.documentElement.outerHTML,
-      images: downloadedImages
-    };
+  /**
+   * Timeouts and server errors may succeed on another attempt
+   * @private
+   */
+  _isRetryable(error) {
+    return error.status >= 500 || error.message.startsWith('Timed out');
   }
 
   /**
-   * Get image src from element, handling lazy loading
-   * Check data attributes first as they contain the real URLs in lazy-loading scenarios
+   * Get image src from element, handling responsive images and lazy loading
+   * A matching <picture> <source> wins, as in a browser, then the img's own
+   * srcset. Data attributes come before src as they contain the real URLs in
+   * lazy-loading scenarios.
    */
   _getImageSrc(img) {
+    const sizes = img.getAttribute('sizes');
+    const sources = img.parentElement?.tagName === 'PICTURE'
+      ? Array.from(img.parentElement.querySelectorAll('source'))
+      : [];
+
+    for (const source of sources) {
+      const type = source.getAttribute('type');
+      const media = source.getAttribute('media');
+      if ((type && !this._isSupported(type)) || (media && !this._matchesMedia(media))) {
+        continue;
+      }
+
+      const candidate = this._pickCandidate(
+        this._parseSrcset(source.getAttribute('data-srcset') || source.getAttribute('srcset')),
+        source.getAttribute('sizes') || sizes
+      );
+      if (candidate) {
+        return candidate;
+      }
+    }
+
+    const candidate = this._pickCandidate(
+      this._parseSrcset(img.getAttribute('data-srcset') || img.getAttribute('data-lazy-srcset') || img.getAttribute('srcset')),
+      sizes
+    );
+    if (candidate) {
+      return candidate;
+    }
+
     return img.dataset?.src ||
            img.getAttribute('data-src') ||
            img.getAttribute('data-lazy-src') ||
@@ -100,6 +235,150 @@ class ImageHandler {
            img.src;
   }
 
+  /**
+   * Parse a srcset attribute into { url, width, density } candidates
+   * URLs may contain commas (e.g. image CDN transforms), so this follows the
+   * HTML parsing rules rather than splitting on commas.
+   */
+  _parseSrcset(srcset) {
+    const candidates = [];
+    if (!srcset) {
+      return candidates;
+    }
+
+    let pos = 0;
+    while (pos < srcset.length) {
+      while (pos < srcset.length && /[\s,]/.test(srcset[pos])) pos++;
+      if (pos >= srcset.length) break;
+
+      const urlStart = pos;
+      while (pos < srcset.length && !/\s/.test(srcset[pos])) pos++;
+      let url = srcset.slice(urlStart, pos);
+      let descriptor = '';
+
+      if (url.endsWith(',')) {
+        url = url.replace(/,+$/, '');
+      } else {
+        const descriptorStart = pos;
+        while (pos < srcset.length && srcset[pos] !== ',') pos++;
+        descriptor = srcset.slice(descriptorStart, pos).trim();
+      }
+
+      // Placeholders from lazy loaders are never the real image
+      if (!url || url.startsWith('data:')) {
+        continue;
+      }
+
+      const width = descriptor.match(/^(\d+)w$/);
+      const density = descriptor.match(/^(\d*\.?\d+)x$/);
+      if (width) {
+        candidates.push({ url, width: parseInt(width[1]) });
+      } else if (density || !descriptor) {
+        candidates.push({ url, density: density ? parseFloat(density[1]) : 1 });
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Choose the candidate that fills the slot at 2x, capped at the web variant's width
+   * @param {Array} candidates - From _parseSrcset
+   * @param {string} sizes - The sizes attribute, if any
+   * @returns {string|null}
+   */
+  _pickCandidate(candidates, sizes) {
+    const byWidth = candidates.filter(candidate => candidate.width).sort((a, b) => a.width - b.width);
+    if (byWidth.length > 0) {
+      const slot = this._slotWidth(sizes) || this.webWidth;
+      const target = Math.min(this.webWidth, slot * 2);
+      return (byWidth.find(candidate => candidate.width >= target) || byWidth[byWidth.length - 1]).url;
+    }
+
+    const byDensity = candidates.filter(candidate => candidate.density).sort((a, b) => a.density - b.density);
+    if (byDensity.length > 0) {
+      return (byDensity.find(candidate => candidate.density >= 2) || byDensity[byDensity.length - 1]).url;
+    }
+
+    return null;
+  }
+
+  /**
+   * Width in pixels that `sizes` gives the image at VIEWPORT_WIDTH, or null if unknown
+   */
+  _slotWidth(sizes) {
+    if (!sizes) {
+      return null;
+    }
+
+    for (const entry of sizes.split(',').map(item => item.trim()).filter(Boolean)) {
+      const match = entry.match(/^(?:(.*\))\s+)?(\S+)$/);
+      if (!match || (match[1] && !this._matchesMedia(match[1]))) {
+        continue;
+      }
+      return this._cssLength(match[2]);
+    }
+
+    return null;
+  }
+
+  /**
+   * Pixels for a simple CSS length (px, vw, em, rem)
+   */
+  _cssLength(value) {
+    const match = value.match(/^(\d*\.?\d+)(px|vw|r?em)$/);
+    if (!match) {
+      return null;
+    }
+
+    const number = parseFloat(match[1]);
+    switch (match[2]) {
+      case 'vw': return Math.round(VIEWPORT_WIDTH * number / 100);
+      case 'px': return Math.round(number);
+      default: return Math.round(number * 16);
+    }
+  }
+
+  /**
+   * Evaluate a media query against a desktop screen at VIEWPORT_WIDTH
+   * Only width conditions are understood; anything else doesn't match.
+   */
+  _matchesMedia(media) {
+    const parts = media.toLowerCase().split(/\s+and\s+/).map(part => part.trim());
+
+    return parts.every(part => {
+      if (part === 'screen' || part === 'all' || part === 'only screen') {
+        return true;
+      }
+
+      const match = part.match(/^\(\s*(min|max)-width\s*:\s*([^)]+?)\s*\)$/);
+      const width = match && this._cssLength(match[2]);
+      if (!width) {
+        return false;
+      }
+      return match[1] === 'min' ? VIEWPORT_WIDTH >= width : VIEWPORT_WIDTH <= width;
+    });
+  }
+
+  /**
+   * Drop srcset and <source> candidates, which still point at the original site
+   */
+  _removeResponsiveSources(img) {
+    for (const attribute of ['srcset', 'sizes', 'data-srcset', 'data-lazy-srcset']) {
+      img.removeAttribute(attribute);
+    }
+    if (img.parentElement?.tagName === 'PICTURE') {
+      img.parentElement.querySelectorAll('source').forEach(source => source.remove());
+    }
+  }
+
+  /**
+   * Whether a content type is one we can store
+   */
+  _isSupported(contentType) {
+    return this.supportedFormats.some(format => contentType.toLowerCase().includes(format));
+  }
+
   /**
    * Get realistic browser headers for image requests
    */
@@ -121,7 +400,7 @@ class ImageHandler {
   /**
    * Download single image
    */
-  async _downloadImage(src, baseUrl, articleDir, index) {
+  async _downloadImage(src, baseUrl, storageKey, timeout = this.timeout) {
     // Resolve relative URLs
     let imageUrl;
     try {
@@ -130,112 +409,105 @@ class ImageHandler {
       throw new Error(`Invalid URL: ${src}: ${error.message}`);
     }
 
-    // Fetch image with timeout
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-
-    let response;
-    try {
-      response = await fetch(imageUrl, {
-        signal: controller.signal,
-        headers: this._getBrowserHeaders(imageUrl, baseUrl)
-      });
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        throw new Error('Download timeout');
-      }
-      throw error;
-    } finally {
-      clearTimeout(timeoutId);
-    }
+    // Saved HTML is untrusted, so the URL goes through the SSRF checks
+    const response = await httpClient.request(imageUrl, {
+      headers: this._getBrowserHeaders(imageUrl, baseUrl),
+      timeout,
+      maxBytes: this.maxSize
+    });
 
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      response.discard();
+      const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+      error.status = response.status;
+      throw error;
     }
 
     const contentType = response.headers.get('content-type');
     if (!contentType) {
+      response.discard();
       throw new Error('No content-type header');
     }
 
-    const isSupported = this.supportedFormats.some(f => contentType.includes(f));
-    if (!isSupported) {
+    if (!this._isSupported(contentType)) {
+      response.discard();
       throw new Error(`Unsupported format: ${contentType}`);
     }
 
-    const contentLength = response.headers.get('content-length');
-    if (contentLength && parseInt(contentLength) > this.maxSize) {
-      throw new Error(`Image too large: ${contentLength} bytes`);
-    }
-
     // Download image buffer
-    let buffer = await response.arrayBuffer();
-
-    // Convert WebP to JPEG for EPUB compatibility
-    if (contentType.includes('webp')) {
-      buffer = await this._convertToJPEG(Buffer.from(buffer));
+    let buffer;
+    try {
+      buffer = await response.buffer();
+    } catch (error) {
+      if (error instanceof ResponseTooLargeError) {
+        throw new Error(`Image too large: exceeded ${this.maxSize} bytes`);
+      }
+      throw error;
     }
 
-    // Optimize image
-    const optimizedBuffer = await this._optimizeImage(Buffer.from(buffer));
+    const lossless = LOSSLESS_FORMATS.some(format => contentType.toLowerCase().includes(format));
+    const web = await this._createWebVariant(buffer, lossless);
+    const eink = await this._createEinkVariant(buffer);
 
-    // Determine file extension
-    const ext = contentType.includes('png') ? 'png' : 'jpg';
-    const filename = `image-${index}-${Date.now()}.${ext}`;
-    const localPath = path.join(articleDir, filename);
+    // Absolute paths for web display (served at /images/)
+    const stored = await imageStore.store(web.buffer, web.ext, storageKey);
+    const einkStored = await imageStore.store(eink, 'png', storageKey);
 
-    // Save to disk
-    await fs.writeFile(localPath, optimizedBuffer);
+    return { ...stored, einkPath: einkStored.localPath };
+  }
 
-    // Return absolute path for web display (will be served at /images/)
-    return `/images/${path.basename(articleDir)}/${filename}`;
+  /**
+   * Decode downloaded bytes; SVGs are rasterized at a density that keeps them sharp
+   * Only images sharp can decode are stored, so raw SVG (which can carry
+   * scripts) is never served back from /images.
+   * @private
+   */
+  _decode(buffer) {
+    return sharp(buffer, { density: 192 }).rotate();
   }
 
   /**
-   * Convert image to JPEG format
+   * Web-size variant shown in the article viewer and used for color EPUBs
+   * PNG for PNG and SVG sources, JPEG for everything else (EPUB readers
+   * don't support WebP or AVIF).
+   * @returns {Promise<Object>} - { buffer, ext }
    */
-  async _convertToJPEG(buffer) {
+  async _createWebVariant(buffer, lossless = false) {
+    const image = this._decode(buffer).resize({ width: this.webWidth, withoutEnlargement: true });
+
     try {
-      return await sharp(buffer)
-        .jpeg({ quality: this.imageQuality })
-        .toBuffer();
+      if (lossless) {
+        return { buffer: await image.png().toBuffer(), ext: 'png' };
+      }
+      return {
+        buffer: await image
+          .flatten({ background: '#ffffff' })
+          .jpeg({ quality: this.imageQuality, progressive: false })
+          .toBuffer(),
+        ext: 'jpg'
+      };
     } catch (error) {
-      logger.warn('Failed to convert to JPEG, using original', { error: error.message });
-      return buffer;
+      throw new Error(`Could not decode image: ${error.message}`);
     }
   }
 
   /**
-   * Optimize image for EPUB
+   * E-reader variant: fits EINK_IMAGE_WIDTH x EINK_IMAGE_HEIGHT, grayscale,
+   * dithered down to the 16 gray levels e-ink screens show
+   * @returns {Promise<Buffer>} - PNG
    */
-  async _optimizeImage(buffer) {
+  async _createEinkVariant(buffer) {
     try {
-      return await sharp(buffer)
-        .resize({
-          maxWidth: 1200,
-          withoutEnlargement: true
-        })
-        .jpeg({
-          quality: this.imageQuality,
-          progressive: false
-        })
+      return await this._decode(buffer)
+        .resize({ width: this.einkWidth, height: this.einkHeight, fit: 'inside', withoutEnlargement: true })
+        .flatten({ background: '#ffffff' })
+        .grayscale()
+        .png({ palette: true, colours: 16, dither: 1 })
         .toBuffer();
     } catch (error) {
-      logger.warn('Failed to optimize image, using original', { error: error.message });
-      return buffer;
+      throw new Error(`Could not decode image: ${error.message}`);
     }
   }
-
-  /**
-   * Sanitize filename
-   */
-  _sanitizeFilename(name) {
-    return name
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/^-+|-+$/g, '')
-      .substring(0, 50);
-  }
 }
 
 // Create singleton instance
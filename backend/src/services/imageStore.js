@@ -0,0 +1,203 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getConnection } from '../database/index.js';
+import { getConfig } from '../config.js';
+import jobQueue from './jobQueue.js';
+import logger from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const IMAGE_URL_PREFIX = '/images/';
+
+export const IMAGE_GC_JOB_TYPE = 'images.gc';
+
+/**
+ * Content-addressed image files
+ *
+ * Files live at images/<storage_key>/<hh>/<sha256>.<ext>, so the same image
+ * is stored once per user however many articles use it. image_blobs tracks
+ * each file; triggers on article_images keep its ref_count, and garbage
+ * collection deletes files that nothing references any more.
+ */
+class ImageStore {
+  constructor() {
+    this.baseDir = path.join(__dirname, '../../images');
+    this.gcGraceMinutes = parseInt(getConfig('IMAGE_GC_GRACE_MINUTES', 60));
+    this.gcInterval = parseInt(getConfig('IMAGE_GC_INTERVAL_HOURS', 24)) * 60 * 60 * 1000;
+    this.timer = null;
+  }
+
+  /**
+   * Queue a garbage collection job every IMAGE_GC_INTERVAL_HOURS (0 disables it)
+   */
+  start() {
+    if (this.timer || this.gcInterval <= 0) return;
+
+    this.timer = setInterval(() => jobQueue.enqueue(IMAGE_GC_JOB_TYPE), this.gcInterval);
+    // Don't keep the process alive just for the schedule
+    this.timer.unref();
+
+    logger.info('Image garbage collection scheduled', { intervalMs: this.gcInterval });
+  }
+
+  /**
+   * Stop scheduling garbage collection
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Store image bytes under their content hash in the owner's images directory
+   * Storing bytes that are already there only refreshes the record.
+   * @param {Buffer} buffer - Image data
+   * @param {string} ext - File extension
+   * @param {string} storageKey - Owner's images directory (see userService.getStorageKey)
+   * @returns {Promise<Object>} - { localPath, hash, sizeBytes }
+   */
+  async store(buffer, ext, storageKey = '') {
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const relative = path.posix.join(storageKey, hash.slice(0, 2), `${hash}.${ext}`);
+    const localPath = IMAGE_URL_PREFIX + relative;
+
+    // Record first, so a garbage collection run from now on leaves the file alone
+    this.track(localPath, buffer, hash);
+
+    const file = path.join(this.baseDir, relative);
+    try {
+      await fsp.access(file);
+    } catch {
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      // Write then rename, so a half-written file is never served
+      const tempFile = `${file}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      await fsp.writeFile(tempFile, buffer);
+      await fsp.rename(tempFile, file);
+    }
+
+    return { localPath, hash, sizeBytes: buffer.length };
+  }
+
+  /**
+   * Record (or refresh) the file behind an image path
+   * @param {string} localPath - /images/... path
+   * @param {Buffer} buffer - File contents
+   * @param {string} [hash] - SHA-256 of the contents, if already known
+   */
+  track(localPath, buffer, hash = crypto.createHash('sha256').update(buffer).digest('hex')) {
+    const db = getConnection();
+    db.prepare(`
+      INSERT INTO image_blobs (local_path, hash, size_bytes) VALUES (?, ?, ?)
+      ON CONFLICT(local_path) DO UPDATE SET updated_at = CURRENT_TIMESTAMP
+    `).run(localPath, hash, buffer.length);
+  }
+
+  /**
+   * Storage totals across all users
+   * @returns {Object} - Counts and bytes, including what deduplication and GC save
+   */
+  getStats() {
+    const db = getConnection();
+    const stats = db.prepare(`
+      SELECT
+        COUNT(*) as files,
+        COALESCE(SUM(size_bytes), 0) as bytes,
+        COALESCE(SUM(MAX(ref_count, 0)), 0) as references_count,
+        COALESCE(SUM(MAX(ref_count - 1, 0) * size_bytes), 0) as deduplicated_bytes,
+        COALESCE(SUM(ref_count <= 0), 0) as unreferenced_files,
+        COALESCE(SUM(CASE WHEN ref_count <= 0 THEN size_bytes ELSE 0 END), 0) as unreferenced_bytes
+      FROM image_blobs
+    `).get();
+
+    return {
+      files: stats.files,
+      bytes: stats.bytes,
+      references: stats.references_count,
+      deduplicated_bytes: stats.deduplicated_bytes,
+      unreferenced_files: stats.unreferenced_files,
+      unreferenced_bytes: stats.unreferenced_bytes
+    };
+  }
+
+  /**
+   * Delete image files that no article uses any more
+   * Files are kept for a grace period after their last change, so images
+   * downloaded for a capture that hasn't been saved yet aren't collected.
+   * @param {Object} options - { graceMinutes }
+   * @returns {Object} - { deleted_files, reclaimed_bytes, missing_files }
+   */
+  collectGarbage({ graceMinutes = this.gcGraceMinutes } = {}) {
+    const db = getConnection();
+    const blobs = db.prepare(`
+      DELETE FROM image_blobs
+      WHERE ref_count <= 0 AND updated_at <= datetime('now', ?)
+      RETURNING local_path, size_bytes
+    `).all(`-${graceMinutes} minutes`);
+
+    // Synchronous, so no capture can store one of these files again in between
+    let deleted = 0;
+    let reclaimed = 0;
+    let missing = 0;
+    for (const blob of blobs) {
+      const file = this.diskPath(blob.local_path);
+      if (!file) {
+        missing++;
+        continue;
+      }
+
+      try {
+        fs.unlinkSync(file);
+        deleted++;
+        reclaimed += blob.size_bytes;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          missing++;
+        } else {
+          logger.warn('Failed to delete image file', { path: blob.local_path, error: error.message });
+        }
+      }
+    }
+
+    const result = { deleted_files: deleted, reclaimed_bytes: reclaimed, missing_files: missing };
+    logger.info('Image garbage collection finished', result);
+    return result;
+  }
+
+  /**
+   * Delete a user's whole images directory and its records
+   * @param {string} storageKey - The user's images directory
+   */
+  async removeStorage(storageKey) {
+    if (!storageKey) {
+      throw new Error('Storage key required');
+    }
+
+    const db = getConnection();
+    db.prepare('DELETE FROM image_blobs WHERE local_path LIKE ?').run(`${IMAGE_URL_PREFIX}${storageKey}/%`);
+    await fsp.rm(path.join(this.baseDir, storageKey), { recursive: true, force: true });
+  }
+
+  /**
+   * Disk path for an /images/... path, or null if it would escape the images directory
+   * @param {string} localPath - /images/... path
+   * @returns {string|null}
+   */
+  diskPath(localPath) {
+    if (!localPath?.startsWith(IMAGE_URL_PREFIX)) {
+      return null;
+    }
+    const file = path.resolve(this.baseDir, localPath.slice(IMAGE_URL_PREFIX.length));
+    return file.startsWith(path.resolve(this.baseDir) + path.sep) ? file : null;
+  }
+}
+
+// Create singleton instance
+const imageStore = new ImageStore();
+
+export default imageStore;
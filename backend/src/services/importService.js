@@ -0,0 +1,281 @@
+import { getConnection } from '../database/index.js';
+import articleProcessor from './articleProcessor.js';
+import pageFetcher from './pageFetcher.js';
+import tagService from './tagService.js';
+import { parseExport } from '../utils/importFormats.js';
+import { getConfig } from '../config.js';
+import logger from '../utils/logger.js';
+
+class ImportService {
+  constructor() {
+    this.maxItems = parseInt(getConfig('IMPORT_MAX_ITEMS', 20000));
+    this.fetchDelay = parseInt(getConfig('IMPORT_FETCH_DELAY_MS', 1000));
+    this.queue = null;
+  }
+
+  /**
+   * Parse an export file and queue its bookmarks for fetching
+   * Bookmarks already in the user's library (or already queued for them) are
+   * reported as duplicates, so importing the same file twice is harmless.
+   * @param {number} userId - Owner of the import
+   * @param {string} source - Export format
+   * @param {string} content - File contents
+   * @param {string} filename - Original file name
+   * @returns {Object} - Import with counts and per-item status
+   */
+  createImport(userId, source, content, filename = null) {
+    const items = parseExport(content, source);
+
+    if (items.length === 0) {
+      throw new Error('No bookmarks found in the import file');
+    }
+
+    if (items.length > this.maxItems) {
+      throw new Error(`Too many bookmarks: ${items.length} (max ${this.maxItems})`);
+    }
+
+    const db = getConnection();
+
+    const importId = db.transaction(() => {
+      const id = db.prepare(`
+        INSERT INTO imports (user_id, source, filename, total_items) VALUES (?, ?, ?, ?)
+      `).run(userId, source, filename, items.length).lastInsertRowid;
+
+      // Saved under its canonical URL, as it was submitted, or merged into another article
+      const findArticle = db.prepare(`
+        SELECT id FROM articles
+        WHERE user_id = ? AND capture_success = 1 AND (
+          url IN (?, ?) OR original_url = ? OR
+          id IN (SELECT article_id FROM article_url_aliases WHERE user_id = ? AND url IN (?, ?))
+        )
+        LIMIT 1
+      `);
+      const findPending = db.prepare(`
+        SELECT ii.id FROM import_items ii
+        JOIN imports i ON i.id = ii.import_id
+        WHERE i.user_id = ? AND ii.url = ? AND ii.status = 'pending'
+        LIMIT 1
+      `);
+      const insertItem = db.prepare(`
+        INSERT INTO import_items
+        (import_id, url, title, tags, is_archived, is_favorite, saved_at, status, article_id, error)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+
+      const seen = new Set();
+
+      for (const item of items) {
+        let status = 'pending';
+        let articleId = null;
+        let error = null;
+        const canonicalUrl = articleProcessor.canonicalizeUrl(item.url);
+
+        if (!this._isFetchableUrl(item.url)) {
+          status = 'failed';
+          error = 'Invalid or unsupported URL';
+        } else if (seen.has(canonicalUrl)) {
+          status = 'duplicate';
+        } else {
+          const existing = findArticle.get(userId, canonicalUrl, item.url, item.url, userId, canonicalUrl, item.url);
+          if (existing) {
+            status = 'duplicate';
+            articleId = existing.id;
+          } else if (findPending.get(userId, item.url)) {
+            status = 'duplicate';
+          }
+        }
+
+        seen.add(canonicalUrl);
+
+        insertItem.run(
+          id,
+          item.url,
+          item.title,
+          JSON.stringify(item.tags || []),
+          item.isArchived ? 1 : 0,
+          item.isFavorite ? 1 : 0,
+          item.savedAt ? this._toSqlDate(item.savedAt) : null,
+          status,
+          articleId,
+          error
+        );
+      }
+
+      return id;
+    })();
+
+    logger.info('Import created', { importId, userId, source, items: items.length });
+
+    return this.getImport(userId, importId, { includeItems: true });
+  }
+
+  /**
+   * List a user's imports with status counts, newest first
+   */
+  listImports(userId, limit = 20) {
+    const db = getConnection();
+    return db.prepare('SELECT * FROM imports WHERE user_id = ? ORDER BY id DESC LIMIT ?')
+      .all(userId, limit)
+      .map(record => this._withCounts(record));
+  }
+
+  /**
+   * Get import by ID
+   * @param {number} importId - Import ID
+   * @param {Object} options - { includeItems }
+   * @returns {Object|null} - Import or null if not found
+   */
+  getImport(userId, importId, { includeItems = false } = {}) {
+    const db = getConnection();
+    const record = db.prepare('SELECT * FROM imports WHERE id = ? AND user_id = ?').get(importId, userId);
+    if (!record) {
+      return null;
+    }
+
+    const result = this._withCounts(record);
+
+    if (includeItems) {
+      result.items = db.prepare(`
+        SELECT id, url, title, status, article_id, error, saved_at
+        FROM import_items WHERE import_id = ? ORDER BY id ASC
+      `).all(importId);
+    }
+
+    return result;
+  }
+
+  /**
+   * Fetch pending items (of all users) one at a time until none are left
+   * Safe to call repeatedly; concurrent calls share the same run.
+   * @returns {Promise} - Resolves when the queue is empty
+   */
+  processQueue() {
+    if (!this.queue) {
+      this.queue = this._drain().finally(() => {
+        this.queue = null;
+      });
+    }
+    return this.queue;
+  }
+
+  async _drain() {
+    const db = getConnection();
+    const nextItem = db.prepare(`
+      SELECT ii.*, i.user_id FROM import_items ii
+      JOIN imports i ON i.id = ii.import_id
+      WHERE ii.status = 'pending'
+      ORDER BY ii.id ASC
+      LIMIT 1
+    `);
+
+    let processed = 0;
+    for (let item = nextItem.get(); item; item = nextItem.get()) {
+      if (processed > 0 && this.fetchDelay > 0) {
+        // Be polite to the sites we're fetching from
+        await new Promise(resolve => setTimeout(resolve, this.fetchDelay));
+      }
+
+      await this._processItem(item);
+      processed++;
+    }
+
+    if (processed > 0) {
+      logger.info('Import queue drained', { processed });
+    }
+  }
+
+  /**
+   * Fetch, extract and save a single bookmark
+   */
+  async _processItem(item) {
+    const db = getConnection();
+    const finish = db.prepare(`
+      UPDATE import_items SET status = ?, article_id = ?, error = ? WHERE id = ?
+    `);
+
+    try {
+      const page = await pageFetcher.fetchPage(item.url);
+      const processed = await articleProcessor.processArticle(page.html, page.url, {
+        preserveImages: true,
+        userId: item.user_id
+      });
+
+      if (!processed.success) {
+        await articleProcessor.saveFailedArticle(item.user_id, page.url, processed.error, page.html);
+        throw new Error(processed.error);
+      }
+
+      processed.originalUrl = page.originalUrl;
+      if (item.title && (!processed.title || processed.title === 'Untitled')) {
+        processed.title = item.title;
+      }
+
+      const articleId = await articleProcessor.saveArticle(item.user_id, processed);
+      this._applyMetadata(articleId, item);
+
+      finish.run('imported', articleId, null, item.id);
+      logger.info('Imported bookmark', { importId: item.import_id, url: item.url, articleId });
+    } catch (error) {
+      finish.run('failed', null, error.message, item.id);
+      logger.warn('Failed to import bookmark', { importId: item.import_id, url: item.url, error: error.message });
+    }
+  }
+
+  /**
+   * Carry over read state, favorite, tags and save date from the export
+   */
+  _applyMetadata(articleId, item) {
+    const db = getConnection();
+
+    db.prepare(`
+      UPDATE articles
+      SET is_archived = ?, is_favorite = ?, created_at = COALESCE(?, created_at)
+      WHERE id = ?
+    `).run(item.is_archived, item.is_favorite, item.saved_at, articleId);
+
+    const importedTags = JSON.parse(item.tags || '[]')
+      .map(tag => tagService.normalizeName(tag))
+      .filter(tag => tag.length > 0 && tag.length <= 50);
+
+    if (importedTags.length > 0) {
+      const existingTags = tagService.getTagsForArticles([articleId]).get(articleId).map(tag => tag.name);
+      tagService.setArticleTags(item.user_id, articleId, [...existingTags, ...importedTags]);
+    }
+  }
+
+  _withCounts(record) {
+    const db = getConnection();
+    const counts = { pending: 0, imported: 0, duplicate: 0, failed: 0 };
+
+    const rows = db.prepare(`
+      SELECT status, COUNT(*) as count FROM import_items WHERE import_id = ? GROUP BY status
+    `).all(record.id);
+
+    for (const row of rows) {
+      counts[row.status] = row.count;
+    }
+
+    return { ...record, counts };
+  }
+
+  _isFetchableUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Format a date like SQLite's CURRENT_TIMESTAMP so it sorts with existing rows
+   */
+  _toSqlDate(date) {
+    return date.toISOString().replace('T', ' ').substring(0, 19);
+  }
+}
+
+// Create singleton instance
+const importService = new ImportService();
+
+export default importService;
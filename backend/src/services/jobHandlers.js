@@ -0,0 +1,330 @@
+import jobQueue from './jobQueue.js';
+import articleProcessor from './articleProcessor.js';
+import snapshotService from './snapshotService.js';
+import articleDocumentService from './articleDocumentService.js';
+import pageFetcher from './pageFetcher.js';
+import epubGenerator from './epubGenerator.js';
+import webhookService, { WEBHOOK_JOB_TYPE } from './webhookService.js';
+import imageStore, { IMAGE_GC_JOB_TYPE } from './imageStore.js';
+
+export const JOB_TYPES = {
+  CAPTURE_ARTICLE: 'article.capture',
+  CAPTURE_URL: 'article.capture_url',
+  CAPTURE_PDF: 'article.capture_pdf',
+  GENERATE_EPUB: 'epub.generate',
+  RETRY_IMAGES: 'article.retry_images',
+  REFRESH_ARTICLE: 'article.refresh',
+  RETRY_CAPTURE: 'article.retry_capture',
+  SET_CONTENT: 'article.set_content',
+  REPROCESS_ARTICLES: 'article.reprocess',
+  DELIVER_WEBHOOK: WEBHOOK_JOB_TYPE,
+  COLLECT_IMAGES: IMAGE_GC_JOB_TYPE
+};
+
+/**
+ * Errors that won't go away on retry (bad input, unreadable page)
+ */
+function permanentError(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
+/**
+ * Fetch a page server-side
+ * Fetch errors are retried, since most are transient (timeouts, 5xx).
+ */
+async function fetchPage(url, progress) {
+  progress('Fetching page');
+  try {
+    return await pageFetcher.fetchPage(url);
+  } catch (error) {
+    // Client errors, unsupported pages and blocked addresses won't change on retry
+    if (/^HTTP 4\d\d|^Unsupported|^Page too large|^Too many redirects|^Blocked request/.test(error.message)) {
+      throw permanentError(`Failed to fetch page: ${error.message}`);
+    }
+    throw new Error(`Failed to fetch page: ${error.message}`);
+  }
+}
+
+/**
+ * Extract an article for the job's user, reporting progress on the job
+ * Failures are saved for review unless `saveFailure` is false.
+ */
+async function extractArticle(userId, html, url, progress, { saveFailure = true } = {}) {
+  progress('Extracting article');
+  const processed = await articleProcessor.processArticle(html, url, {
+    preserveImages: true,
+    userId,
+    onProgress: progress
+  });
+
+  if (!processed.success) {
+    // Save failed attempt for review
+    if (saveFailure) {
+      await articleProcessor.saveFailedArticle(userId, url, processed.error, html);
+    }
+    throw permanentError(`Failed to process article: ${processed.error}`);
+  }
+
+  return processed;
+}
+
+function articleSummary(articleId, processed) {
+  return {
+    id: articleId,
+    url: processed.url,
+    originalUrl: processed.originalUrl,
+    title: processed.title,
+    excerpt: processed.excerpt,
+    wordCount: processed.wordCount,
+    readingTimeMinutes: processed.readingTimeMinutes,
+    hasImages: processed.hasImages,
+    imageCount: processed.imageCount,
+    pageCount: processed.pageCount
+  };
+}
+
+/**
+ * Capture from HTML sent by the browser extension
+ */
+async function captureArticle({ html, url }, { job, progress }) {
+  const processed = await extractArticle(job.user_id, html, url, progress);
+
+  progress('Saving article');
+  const articleId = await articleProcessor.saveArticle(job.user_id, processed);
+
+  return { article: articleSummary(articleId, processed) };
+}
+
+/**
+ * Fetch a page server-side, then capture it
+ */
+async function captureUrl({ url }, { job, progress }) {
+  const page = await fetchPage(url, progress);
+
+  // Process article against the final resolved URL
+  const processed = await extractArticle(job.user_id, page.html, page.url, progress);
+
+  // Keep the submitted URL so redirects (short links, trackers) stay traceable
+  processed.originalUrl = page.originalUrl;
+
+  progress('Saving article');
+  const articleId = await articleProcessor.saveArticle(job.user_id, processed);
+
+  return { article: articleSummary(articleId, processed) };
+}
+
+/**
+ * Capture an uploaded PDF, staged in pdf_uploads until the job finishes
+ */
+async function capturePdf({ url, filename }, { job, progress }) {
+  const pdf = articleDocumentService.getUpload(job.id);
+  if (!pdf) {
+    throw permanentError('Uploaded PDF no longer exists');
+  }
+
+  progress('Extracting text');
+  let processed;
+  try {
+    processed = await articleProcessor.processPdf(pdf, { url, filename }, {
+      userId: job.user_id,
+      onProgress: progress
+    });
+  } catch (error) {
+    // The same file will fail the same way
+    throw permanentError(error.message);
+  }
+
+  progress('Saving article');
+  const articleId = await articleProcessor.saveArticle(job.user_id, processed);
+
+  return { article: articleSummary(articleId, processed) };
+}
+
+async function generateEpub({ articleIds, title, author, imageVariant, pdfMode }, { job, progress }) {
+  progress('Building EPUB');
+
+  try {
+    const epub = await epubGenerator.generateFromArticles(job.user_id, articleIds, { title, author, imageVariant, pdfMode });
+    return { epub };
+  } catch (error) {
+    if (error.message.startsWith('No valid articles')) {
+      throw permanentError(error.message);
+    }
+    throw error;
+  }
+}
+
+async function retryImages({ articleId }, { job, progress }) {
+  progress('Downloading missing images');
+
+  try {
+    const images = await articleProcessor.retryMissingImages(job.user_id, articleId);
+    return { images };
+  } catch (error) {
+    if (error.message === 'Article not found') {
+      throw permanentError(error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Fetch a saved article's page again and replace its content
+ * A page that no longer extracts leaves the article as it was.
+ */
+async function refreshArticle({ articleId, url }, { job, progress }) {
+  const page = await fetchPage(url, progress);
+  const processed = await extractArticle(job.user_id, page.html, page.url, progress, { saveFailure: false });
+
+  progress('Saving article');
+  try {
+    const { changed, versionId, added, removed } = await articleProcessor.refreshArticle(job.user_id, articleId, processed);
+    return {
+      article: articleSummary(articleId, processed),
+      changed,
+      versionId,
+      diff: { added, removed }
+    };
+  } catch (error) {
+    if (error.message === 'Article not found') {
+      throw permanentError(error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Capture a failed article again with relaxed extraction settings, from the
+ * HTML it failed on or a fresh fetch of its page
+ */
+async function retryCapture({ articleId, refetch }, { job, progress }) {
+  const failed = articleProcessor.getFailedCapture(job.user_id, articleId);
+  if (!failed) {
+    throw permanentError('Failed capture not found');
+  }
+
+  const [snapshot] = snapshotService.getPages(articleId);
+  let html = snapshot?.html;
+  let baseUrl = snapshot?.url || failed.url;
+  if (refetch) {
+    const page = await fetchPage(failed.url, progress);
+    html = page.html;
+    baseUrl = page.url;
+  }
+  if (!html) {
+    throw permanentError('No HTML was kept for this capture; fetch the page again instead');
+  }
+
+  progress('Extracting article');
+  const processed = await articleProcessor.processArticle(html, baseUrl, {
+    preserveImages: true,
+    userId: job.user_id,
+    onProgress: progress,
+    relaxed: true
+  });
+
+  if (!processed.success) {
+    await articleProcessor.saveFailedArticle(job.user_id, failed.url, processed.error, refetch ? html : null);
+    throw permanentError(`Failed to process article: ${processed.error}`);
+  }
+
+  return saveFailedCapture(job.user_id, articleId, processed, progress);
+}
+
+/**
+ * Use content supplied by hand for a failed capture
+ */
+async function setContent({ articleId, title, html, text }, { job, progress }) {
+  const failed = articleProcessor.getFailedCapture(job.user_id, articleId);
+  if (!failed) {
+    throw permanentError('Failed capture not found');
+  }
+
+  progress('Processing content');
+  const processed = await articleProcessor.processManualContent({ title, html, text }, failed.url, {
+    preserveImages: true,
+    userId: job.user_id,
+    onProgress: progress
+  });
+
+  if (!processed.contentText.trim()) {
+    throw permanentError('The content has no text');
+  }
+
+  return saveFailedCapture(job.user_id, articleId, processed, progress);
+}
+
+async function saveFailedCapture(userId, articleId, processed, progress) {
+  progress('Saving article');
+  try {
+    await articleProcessor.refreshArticle(userId, articleId, processed);
+    return { article: articleSummary(articleId, processed) };
+  } catch (error) {
+    if (error.message === 'Article not found') {
+      throw permanentError(error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Extract articles again from their snapshots, reporting which changed
+ * Articles that fail are listed and left as they were.
+ */
+async function reprocessArticles({ articleIds }, { job, progress }) {
+  const changed = [];
+  const failed = [];
+  let unchanged = 0;
+
+  for (const [index, articleId] of articleIds.entries()) {
+    progress(`Reprocessing article ${index + 1} of ${articleIds.length}`);
+    try {
+      const result = await articleProcessor.reprocessArticle(job.user_id, articleId);
+      if (!result.changed) {
+        unchanged++;
+        continue;
+      }
+      changed.push({
+        id: articleId,
+        title: result.title,
+        fields: result.fields,
+        versionId: result.versionId,
+        diff: { added: result.added, removed: result.removed }
+      });
+    } catch (error) {
+      failed.push({ id: articleId, error: error.message });
+    }
+  }
+
+  return { processed: articleIds.length, changed, unchanged, failed };
+}
+
+async function deliverWebhook({ deliveryId }, context) {
+  return webhookService.deliver(deliveryId, context);
+}
+
+async function collectImages(payload, { progress }) {
+  progress('Deleting unreferenced images');
+  return imageStore.collectGarbage();
+}
+
+/**
+ * Register handlers for every job type (safe to call more than once)
+ */
+export function registerJobHandlers() {
+  jobQueue.register(JOB_TYPES.CAPTURE_ARTICLE, captureArticle, { maxAttempts: 2 });
+  jobQueue.register(JOB_TYPES.CAPTURE_URL, captureUrl, { maxAttempts: 3 });
+  jobQueue.register(JOB_TYPES.CAPTURE_PDF, capturePdf, { maxAttempts: 2 });
+  jobQueue.register(JOB_TYPES.GENERATE_EPUB, generateEpub, { maxAttempts: 2 });
+  jobQueue.register(JOB_TYPES.RETRY_IMAGES, retryImages, { maxAttempts: 1 });
+  jobQueue.register(JOB_TYPES.REFRESH_ARTICLE, refreshArticle, { maxAttempts: 3 });
+  jobQueue.register(JOB_TYPES.RETRY_CAPTURE, retryCapture, { maxAttempts: 2 });
+  jobQueue.register(JOB_TYPES.SET_CONTENT, setContent, { maxAttempts: 1 });
+  jobQueue.register(JOB_TYPES.REPROCESS_ARTICLES, reprocessArticles, { maxAttempts: 1 });
+  jobQueue.register(JOB_TYPES.DELIVER_WEBHOOK, deliverWebhook, { maxAttempts: webhookService.maxAttempts });
+  jobQueue.register(JOB_TYPES.COLLECT_IMAGES, collectImages, { maxAttempts: 1 });
+}
+
+export default { JOB_TYPES, registerJobHandlers };
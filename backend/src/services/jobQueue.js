@@ -0,0 +1,290 @@
+import { getConnection } from '../database/index.js';
+import { getConfig } from '../config.js';
+import logger from '../utils/logger.js';
+import eventBus from './eventBus.js';
+
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Persistent, SQLite-backed job queue
+ *
+ * Handlers are registered per job type and receive the job payload plus a
+ * context with a progress() reporter. Failed jobs are retried with exponential
+ * backoff unless the handler throws an error with `retryable = false`.
+ * Every status or progress change is published as a `job.updated` event.
+ */
+class JobQueue {
+  constructor() {
+    this.concurrency = parseInt(getConfig('JOB_CONCURRENCY', 2));
+    this.pollInterval = parseInt(getConfig('JOB_POLL_INTERVAL_MS', 1000));
+    this.retryBaseDelay = parseInt(getConfig('JOB_RETRY_BASE_MS', 5000));
+    this.retentionDays = parseInt(getConfig('JOB_RETENTION_DAYS', 7));
+    this.handlers = new Map();
+    this.active = new Set();
+    this.timer = null;
+    this.lastPrunedAt = 0;
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type, e.g. 'article.capture'
+   * @param {Function} handler - async (payload, context) => result
+   * @param {Object} options - { maxAttempts }
+   */
+  register(type, handler, { maxAttempts = 3 } = {}) {
+    this.handlers.set(type, { handler, maxAttempts });
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Registered job type
+   * @param {Object} payload - JSON-serializable handler input
+   * @param {Object} options - { userId } of the user the job runs for
+   * @returns {Object} - Queued job
+   */
+  enqueue(type, payload = {}, { userId = null } = {}) {
+    const registration = this.handlers.get(type);
+    if (!registration) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const db = getConnection();
+    const id = db.prepare(`
+      INSERT INTO jobs (type, payload, max_attempts, user_id) VALUES (?, ?, ?, ?)
+    `).run(type, JSON.stringify(payload), registration.maxAttempts, userId).lastInsertRowid;
+
+    logger.info('Job queued', { jobId: id, type, userId });
+
+    if (this.timer) {
+      setImmediate(() => this._fill());
+    }
+
+    return this.getJob(id);
+  }
+
+  /**
+   * Get job by ID (payload is not included)
+   * @returns {Object|null} - Job or null if not found
+   */
+  getJob(jobId) {
+    const db = getConnection();
+    const row = db.prepare('SELECT * FROM jobs WHERE id = ?').get(jobId);
+    return row ? this._format(row) : null;
+  }
+
+  /**
+   * Start the workers
+   * Jobs left running by a previous process are queued again.
+   */
+  start() {
+    if (this.timer) return;
+
+    this.recoverInterrupted();
+    this.pruneFinished();
+
+    this.timer = setInterval(() => {
+      this._fill();
+      if (Date.now() - this.lastPrunedAt > PRUNE_INTERVAL_MS) {
+        this.pruneFinished();
+      }
+    }, this.pollInterval);
+    // Don't keep the process alive just for the queue
+    this.timer.unref();
+
+    logger.info('Job queue started', { concurrency: this.concurrency });
+    this._fill();
+  }
+
+  /**
+   * Stop picking up new jobs (running jobs finish on their own)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Job queue stopped');
+    }
+  }
+
+  /**
+   * Run every job that is ready now, one at a time, until none are left
+   * Jobs waiting on a retry backoff are left queued.
+   */
+  async drain() {
+    await Promise.all(this.active);
+
+    for (let job = this._claim(); job; job = this._claim()) {
+      await this._run(job);
+    }
+  }
+
+  /**
+   * Requeue jobs that were running when the server stopped
+   */
+  recoverInterrupted() {
+    const db = getConnection();
+
+    const failed = db.prepare(`
+      UPDATE jobs
+      SET status = 'failed', error = 'Interrupted by server restart', finished_at = CURRENT_TIMESTAMP
+      WHERE status = 'running' AND attempts >= max_attempts
+    `).run().changes;
+
+    const requeued = db.prepare(`
+      UPDATE jobs SET status = 'queued', run_at = CURRENT_TIMESTAMP WHERE status = 'running'
+    `).run().changes;
+
+    if (failed > 0 || requeued > 0) {
+      logger.warn('Recovered interrupted jobs', { requeued, failed });
+    }
+  }
+
+  /**
+   * Delete finished jobs older than the retention period
+   */
+  pruneFinished() {
+    const db = getConnection();
+    const { changes } = db.prepare(`
+      DELETE FROM jobs
+      WHERE status IN ('completed', 'failed')
+        AND finished_at < datetime('now', ?)
+    `).run(`-${this.retentionDays} days`);
+
+    this.lastPrunedAt = Date.now();
+
+    if (changes > 0) {
+      logger.info('Pruned finished jobs', { count: changes });
+    }
+  }
+
+  _fill() {
+    while (this.timer && this.active.size < this.concurrency) {
+      const job = this._claim();
+      if (!job) break;
+
+      const running = this._run(job).finally(() => {
+        this.active.delete(running);
+        this._fill();
+      });
+      this.active.add(running);
+    }
+  }
+
+  /**
+   * Atomically mark the next ready job as running
+   */
+  _claim() {
+    const db = getConnection();
+    return db.prepare(`
+      UPDATE jobs
+      SET status = 'running', attempts = attempts + 1, progress = NULL,
+          started_at = CURRENT_TIMESTAMP
+      WHERE id = (
+        SELECT id FROM jobs
+        WHERE status = 'queued' AND run_at <= CURRENT_TIMESTAMP
+        ORDER BY run_at ASC, id ASC
+        LIMIT 1
+      )
+      RETURNING *
+    `).get() || null;
+  }
+
+  async _run(job) {
+    const db = getConnection();
+    const registration = this.handlers.get(job.type);
+
+    const context = {
+      job: this._format(job),
+      progress: (message) => {
+        db.prepare('UPDATE jobs SET progress = ? WHERE id = ?').run(message, job.id);
+        this._publish(job.id);
+      }
+    };
+
+    this._publish(job.id);
+
+    try {
+      if (!registration) {
+        const error = new Error(`No handler registered for job type: ${job.type}`);
+        error.retryable = false;
+        throw error;
+      }
+
+      const result = await registration.handler(JSON.parse(job.payload), context);
+
+      db.prepare(`
+        UPDATE jobs
+        SET status = 'completed', result = ?, error = NULL, progress = NULL,
+            finished_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(JSON.stringify(result ?? null), job.id);
+
+      logger.info('Job completed', { jobId: job.id, type: job.type, attempts: job.attempts });
+    } catch (error) {
+      if (error.retryable !== false && job.attempts < job.max_attempts) {
+        const delay = Math.min(this.retryBaseDelay * 2 ** (job.attempts - 1), MAX_BACKOFF_MS);
+
+        db.prepare(`
+          UPDATE jobs
+          SET status = 'queued', error = ?, progress = NULL,
+              run_at = datetime('now', ?)
+          WHERE id = ?
+        `).run(error.message, `+${Math.ceil(delay / 1000)} seconds`, job.id);
+
+        logger.warn('Job failed, will retry', {
+          jobId: job.id,
+          type: job.type,
+          attempt: job.attempts,
+          retryInMs: delay,
+          error: error.message
+        });
+      } else {
+        db.prepare(`
+          UPDATE jobs
+          SET status = 'failed', error = ?, progress = NULL, finished_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `).run(error.message, job.id);
+
+        logger.error('Job failed', {
+          jobId: job.id,
+          type: job.type,
+          attempts: job.attempts,
+          error: error.message
+        });
+      }
+    }
+
+    this._publish(job.id);
+  }
+
+  _publish(jobId) {
+    const job = this.getJob(jobId);
+    if (job) {
+      eventBus.publish('job.updated', job, { userId: job.user_id });
+    }
+  }
+
+  _format(row) {
+    return {
+      id: row.id,
+      user_id: row.user_id,
+      type: row.type,
+      status: row.status,
+      progress: row.progress,
+      result: row.result ? JSON.parse(row.result) : null,
+      error: row.error,
+      attempts: row.attempts,
+      max_attempts: row.max_attempts,
+      run_at: row.run_at,
+      started_at: row.started_at,
+      finished_at: row.finished_at,
+      created_at: row.created_at
+    };
+  }
+}
+
+// Create singleton instance
+const jobQueue = new JobQueue();
+
+export default jobQueue;
@@ -5,9 +5,17 @@ import path from 'path';
 import logger from '../utils/logger.js';
 import { getConfig } from '../config.js';
 import { getConnection } from '../database/index.js';
-
-
-
+import eventBus from './eventBus.js';
+import settingsService from './settingsService.js';
+import { BOOTSTRAP_USER_ID } from './userService.js';
+
+/**
+ * Sends EPUBs to Kindle by email
+ *
+ * Each user's SMTP settings come from settingsService. The configuration
+ * passed to configure() (from the environment) is only a fallback for the
+ * bootstrap user, since it points at one person's Kindle.
+ */
 class KindleService {
   constructor() {
     this.transporter = null;
@@ -17,19 +25,11 @@ class KindleService {
   }
 
   /**
-   * Configure Kindle service with SMTP settings
+   * Configure the fallback SMTP settings
    */
   configure(config) {
     try {
-      this.transporter = nodemailer.createTransport({
-        host: config.smtpHost,
-        port: parseInt(config.smtpPort),
-        secure: config.smtpSecure === 'true' || config.smtpSecure === true,
-        auth: {
-          user: config.smtpUser,
-          pass: config.smtpPassword
-        }
-      });
+      this.transporter = this._createTransport(config);
 
       this.kindleEmail = config.kindleEmail;
       this.fromEmail = config.fromEmail || config.smtpUser;
@@ -47,10 +47,10 @@ class KindleService {
   }
 
   /**
-   * Check if service is configured
+   * Check if a user can send to Kindle
    */
-  isConfigured() {
-    return this.configured;
+  isConfigured(userId) {
+    return this._forUser(userId) !== null;
   }
 
   /**
@@ -85,10 +85,11 @@ class KindleService {
   }
 
   /**
-   * Send EPUB to Kindle
+   * Send EPUB to a user's Kindle
    */
-  async sendEPUB(filepath, options = {}) {
-    if (!this.configured) {
+  async sendEPUB(userId, filepath, options = {}) {
+    const delivery = this._forUser(userId);
+    if (!delivery) {
       throw new Error('Kindle service not configured. Please set up SMTP settings.');
     }
 
@@ -100,8 +101,8 @@ class KindleService {
       await fs.access(filepath);
 
       const mailOptions = {
-        from: this.fromEmail,
-        to: this.kindleEmail,
+        from: delivery.fromEmail,
+        to: delivery.kindleEmail,
         subject: subject,
         text: `EPUB file attached: ${filename}`,
         attachments: [{
@@ -113,10 +114,11 @@ class KindleService {
 
       logger.info('Sending EPUB to Kindle', {
         filename,
-        kindleEmail: this.kindleEmail
+        userId,
+        kindleEmail: delivery.kindleEmail
       });
 
-      const info = await this.transporter.sendMail(mailOptions);
+      const info = await delivery.transporter.sendMail(mailOptions);
 
       logger.info('EPUB sent to Kindle successfully', {
         messageId: info.messageId,
@@ -124,13 +126,16 @@ class KindleService {
       });
 
       // Update export record in database
+      let exportId = null;
       try {
         const db = getConnection();
-        db.prepare(`
+        const updated = db.prepare(`
           UPDATE epub_exports
           SET sent_to_kindle = 1, sent_at = ?
-          WHERE file_path = ?
-        `).run(new Date().toISOString(), filepath);
+          WHERE file_path = ? AND user_id = ?
+          RETURNING id
+        `).get(new Date().toISOString(), filepath, userId);
+        exportId = updated?.id ?? null;
       } catch (dbError) {
         logger.warn('Failed to update export record', {
           filepath,
@@ -138,6 +143,8 @@ class KindleService {
         });
       }
 
+      eventBus.publish('kindle.sent', { exportId, filename }, { userId });
+
       return {
         success: true,
         messageId: info.messageId,
@@ -149,20 +156,22 @@ class KindleService {
         filepath,
         error: error.message
       });
+      eventBus.publish('kindle.failed', { filename, error: error.message }, { userId });
       throw new Error(`Failed to send EPUB to Kindle: ${error.message}`);
     }
   }
 
   /**
-   * Test SMTP connection
+   * Test a user's SMTP connection
    */
-  async testConnection() {
-    if (!this.configured) {
+  async testConnection(userId) {
+    const delivery = this._forUser(userId);
+    if (!delivery) {
       throw new Error('Kindle service not configured');
     }
 
     try {
-      await this.transporter.verify();
+      await delivery.transporter.verify();
       logger.info('SMTP connection test successful');
       return {
         success: true,
@@ -173,6 +182,42 @@ class KindleService {
       throw new Error(`SMTP connection failed: ${error.message}`);
     }
   }
+
+  /**
+   * Transport and addresses for a user, or null if they have none
+   */
+  _forUser(userId) {
+    if (settingsService.isSmtpConfigured(userId)) {
+      const config = settingsService.getSmtpSettings(userId);
+      return {
+        transporter: this._createTransport(config),
+        kindleEmail: config.kindleEmail,
+        fromEmail: config.fromEmail || config.smtpUser
+      };
+    }
+
+    if (userId === BOOTSTRAP_USER_ID && this.configured) {
+      return {
+        transporter: this.transporter,
+        kindleEmail: this.kindleEmail,
+        fromEmail: this.fromEmail
+      };
+    }
+
+    return null;
+  }
+
+  _createTransport(config) {
+    return nodemailer.createTransport({
+      host: config.smtpHost,
+      port: parseInt(config.smtpPort),
+      secure: config.smtpSecure === 'true' || config.smtpSecure === true,
+      auth: {
+        user: config.smtpUser,
+        pass: config.smtpPassword
+      }
+    });
+  }
 }
 
 // Create singleton instance (don't auto-load from env - let index.js handle it)
@@ -0,0 +1,443 @@
+import fs from 'fs/promises';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import TurndownService from 'turndown';
+import { JSDOM } from 'jsdom';
+import { getConnection } from '../database/index.js';
+import imageHandler from './imageHandler.js';
+import epubGenerator from './epubGenerator.js';
+import imageStore from './imageStore.js';
+import tagService from './tagService.js';
+import logger from '../utils/logger.js';
+
+export const ARCHIVE_FORMAT = 'bookmark-digest-library';
+export const ARCHIVE_VERSION = 1;
+
+// Columns copied between the database and the manifest; content_html lives in the HTML files
+const ARTICLE_COLUMNS = [
+  'id', 'url', 'original_url', 'title', 'content_text', 'excerpt', 'author', 'site_name',
+  'published_at', 'word_count', 'reading_time_minutes', 'language', 'has_images', 'image_count',
+  'is_archived', 'is_favorite', 'capture_success', 'capture_error', 'created_at', 'updated_at'
+];
+const IMAGE_COLUMNS = [
+  'id', 'article_id', 'original_url', 'local_path', 'alt_text', 'width', 'height', 'size_bytes', 'downloaded_at',
+  'status', 'error'
+];
+const HIGHLIGHT_COLUMNS = [
+  'exact', 'prefix', 'suffix', 'start_offset', 'end_offset', 'note', 'color', 'is_orphaned', 'created_at', 'updated_at'
+];
+// file_path is the server's own; restores set it to where they write the bundled file
+const EXPORT_COLUMNS = [
+  'id', 'name', 'article_count', 'file_size', 'sent_to_kindle', 'sent_at', 'created_at'
+];
+
+const IMAGE_URL_PREFIX = '/images/';
+
+class LibraryExportService {
+  constructor() {
+    this.turndown = new TurndownService({
+      headingStyle: 'atx',
+      codeBlockStyle: 'fenced',
+      bulletListMarker: '-'
+    });
+  }
+
+  /**
+   * Write a user's whole library into a zip archive
+   *
+   * Layout:
+   *   manifest.json          - articles, article_images and epub_exports metadata
+   *   articles/<id>-<slug>.html / .md
+   *   images/<dir>/<file>    - bundled copies of backend/images
+   *   epubs/<id>.epub        - bundled EPUB files
+   *
+   * @param {Object} archive - archiver instance, already piped to its destination
+   * @param {number} userId - Owner of the library
+   * @returns {Promise<Object>} - Counts of exported records
+   */
+  async writeArchive(archive, userId) {
+    const db = getConnection();
+
+    const articles = db.prepare('SELECT * FROM articles WHERE user_id = ? ORDER BY id ASC').all(userId);
+    const images = db.prepare(`
+      SELECT i.* FROM article_images i
+      JOIN articles a ON a.id = i.article_id
+      WHERE a.user_id = ?
+      ORDER BY i.id ASC
+    `).all(userId);
+    const exports = db.prepare('SELECT * FROM epub_exports WHERE user_id = ? ORDER BY id ASC').all(userId);
+    const highlights = db.prepare(`
+      SELECT h.* FROM article_highlights h
+      JOIN articles a ON a.id = h.article_id
+      WHERE a.user_id = ?
+      ORDER BY h.article_id ASC, h.start_offset ASC
+    `).all(userId);
+    const exportArticles = db.prepare(`
+      SELECT ea.* FROM epub_export_articles ea
+      JOIN epub_exports e ON e.id = ea.export_id
+      WHERE e.user_id = ?
+    `).all(userId);
+    const tagsByArticle = tagService.getTagsForArticles(articles.map(article => article.id));
+
+    // Bundle image files that still exist on disk
+    const bundledImages = new Map();
+    for (const image of images) {
+      const file = this._imageArchivePath(image.local_path);
+      if (!file || bundledImages.has(image.local_path)) {
+        continue;
+      }
+
+      const diskPath = path.join(imageHandler.baseImagesDir, file.slice('images/'.length));
+      try {
+        await fs.access(diskPath);
+        archive.file(diskPath, { name: file, store: true });
+        bundledImages.set(image.local_path, file);
+      } catch {
+        logger.warn('Image missing from disk, not bundled', { articleId: image.article_id, path: image.local_path });
+      }
+    }
+
+    const bundledExports = new Map();
+    for (const record of exports) {
+      const file = `epubs/${record.id}.epub`;
+      try {
+        await fs.access(record.file_path);
+        archive.file(record.file_path, { name: file, store: true });
+        bundledExports.set(record.id, file);
+      } catch {
+        logger.warn('EPUB missing from disk, not bundled', { exportId: record.id, path: record.file_path });
+      }
+    }
+
+    const originalUrls = new Map(images.map(image => [image.local_path, image.original_url]));
+    const manifestArticles = [];
+
+    for (const article of articles) {
+      const base = `articles/${article.id}-${this._slugify(article.title)}`;
+      const files = { html: `${base}.html`, markdown: `${base}.md` };
+      const contentHtml = this._rewriteImages(article.content_html, bundledImages, originalUrls);
+
+      archive.append(this._renderHtml(article, contentHtml), { name: files.html });
+      archive.append(this._renderMarkdown(article, contentHtml), { name: files.markdown });
+
+      manifestArticles.push({
+        ...this._pick(article, ARTICLE_COLUMNS),
+        tags: tagsByArticle.get(article.id).map(tag => tag.name),
+        highlights: highlights
+          .filter(highlight => highlight.article_id === article.id)
+          .map(highlight => this._pick(highlight, HIGHLIGHT_COLUMNS)),
+        files
+      });
+    }
+
+    const manifest = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exported_at: new Date().toISOString(),
+      articles: manifestArticles,
+      article_images: images.map(image => ({
+        ...this._pick(image, IMAGE_COLUMNS),
+        file: bundledImages.get(image.local_path) || null
+      })),
+      epub_exports: exports.map(record => ({
+        ...this._pick(record, EXPORT_COLUMNS),
+        file: bundledExports.get(record.id) || null,
+        article_ids: exportArticles
+          .filter(row => row.export_id === record.id)
+          .map(row => row.article_id)
+      }))
+    };
+
+    archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+    await archive.finalize();
+
+    const counts = {
+      articles: articles.length,
+      images: bundledImages.size,
+      epubExports: bundledExports.size
+    };
+    logger.info('Library exported', { ...counts, userId });
+
+    return counts;
+  }
+
+  /**
+   * Whether the instance has no articles or exports yet, for any user
+   * Restores keep the original IDs, so they only go into an empty instance.
+   */
+  isLibraryEmpty() {
+    const db = getConnection();
+    const { articles } = db.prepare('SELECT COUNT(*) as articles FROM articles').get();
+    const { exports } = db.prepare('SELECT COUNT(*) as exports FROM epub_exports').get();
+    return articles === 0 && exports === 0;
+  }
+
+  /**
+   * Restore a library archive produced by writeArchive into a user's library
+   * @param {Buffer} buffer - Zip file contents
+   * @param {number} userId - Owner of the restored library
+   * @returns {Promise<Object>} - Counts of restored records
+   */
+  async restoreArchive(buffer, userId) {
+    let zip;
+    try {
+      zip = new AdmZip(buffer);
+    } catch (error) {
+      throw new Error(`Invalid zip archive: ${error.message}`);
+    }
+
+    const manifest = this._readManifest(zip);
+    const db = getConnection();
+
+    // Read article bodies up front so a broken archive fails before anything is written
+    const contentById = new Map();
+    for (const article of manifest.articles) {
+      const entry = article.files?.html && zip.getEntry(article.files.html);
+      if (!entry) {
+        throw new Error(`Archive is missing the HTML file for article ${article.id}`);
+      }
+      contentById.set(article.id, this._extractContent(entry.getData().toString('utf8')));
+    }
+
+    // Only exports with their file in the archive are restored, written where
+    // the server chooses; a path from the manifest is never used
+    const exports = manifest.epub_exports
+      .filter(record => Number.isInteger(record.id) && record.file?.startsWith('epubs/') && zip.getEntry(record.file))
+      .map(record => ({
+        record,
+        entry: zip.getEntry(record.file),
+        filePath: path.join(epubGenerator.outputDir, `restored-${record.id}.epub`)
+      }));
+
+    db.transaction(() => {
+      const insertArticle = this._insertStatement(db, 'articles', [...ARTICLE_COLUMNS, 'content_html', 'user_id']);
+      const insertImage = this._insertStatement(db, 'article_images', IMAGE_COLUMNS);
+      const insertHighlight = this._insertStatement(db, 'article_highlights', ['article_id', ...HIGHLIGHT_COLUMNS]);
+      const insertExport = this._insertStatement(db, 'epub_exports', [...EXPORT_COLUMNS, 'file_path', 'user_id']);
+      const insertExportArticle = db.prepare('INSERT OR IGNORE INTO epub_export_articles (export_id, article_id) VALUES (?, ?)');
+
+      for (const article of manifest.articles) {
+        insertArticle.run({
+          ...this._pick(article, ARTICLE_COLUMNS),
+          content_html: contentById.get(article.id),
+          user_id: userId
+        });
+
+        for (const highlight of article.highlights || []) {
+          insertHighlight.run({ ...this._pick(highlight, HIGHLIGHT_COLUMNS), article_id: article.id });
+        }
+
+        if (article.tags?.length > 0) {
+          tagService.setArticleTags(userId, article.id, article.tags);
+        }
+      }
+
+      // Record bundled files before their references, so ref counts start right
+      for (const image of manifest.article_images) {
+        const entry = image.file && this._imageDiskPath(image.file) && zip.getEntry(image.file);
+        if (entry) {
+          imageStore.track(image.local_path, entry.getData());
+        }
+      }
+
+      for (const image of manifest.article_images) {
+        // Archives from before download status was recorded only list downloaded images
+        insertImage.run({ ...this._pick(image, IMAGE_COLUMNS), status: image.status || 'downloaded' });
+      }
+
+      for (const { record, filePath } of exports) {
+        insertExport.run({ ...this._pick(record, EXPORT_COLUMNS), file_path: filePath, user_id: userId });
+        for (const articleId of record.article_ids || []) {
+          insertExportArticle.run(record.id, articleId);
+        }
+      }
+    })();
+
+    // Copy bundled images back under backend/images
+    let restoredImages = 0;
+    for (const image of manifest.article_images) {
+      const entry = image.file && zip.getEntry(image.file);
+      const target = entry && this._imageDiskPath(image.file);
+      if (!target) {
+        continue;
+      }
+
+      try {
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, entry.getData());
+        restoredImages++;
+      } catch (error) {
+        logger.warn('Failed to restore image', { path: image.local_path, error: error.message });
+      }
+    }
+
+    for (const { record, entry, filePath } of exports) {
+      try {
+        await fs.mkdir(epubGenerator.outputDir, { recursive: true });
+        await fs.writeFile(filePath, entry.getData());
+      } catch (error) {
+        logger.warn('Failed to restore EPUB', { exportId: record.id, error: error.message });
+      }
+    }
+
+    const counts = {
+      articles: manifest.articles.length,
+      images: restoredImages,
+      epubExports: exports.length
+    };
+    logger.info('Library restored', { ...counts, userId });
+
+    return counts;
+  }
+
+  _readManifest(zip) {
+    const entry = zip.getEntry('manifest.json');
+    if (!entry) {
+      throw new Error('Archive has no manifest.json');
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(entry.getData().toString('utf8'));
+    } catch (error) {
+      throw new Error(`Invalid manifest.json: ${error.message}`);
+    }
+
+    if (manifest.format !== ARCHIVE_FORMAT) {
+      throw new Error('Not a Bookmark Digest library archive');
+    }
+    if (manifest.version !== ARCHIVE_VERSION) {
+      throw new Error(`Unsupported archive version: ${manifest.version}`);
+    }
+    for (const key of ['articles', 'article_images', 'epub_exports']) {
+      if (!Array.isArray(manifest[key])) {
+        throw new Error(`Manifest is missing ${key}`);
+      }
+    }
+
+    return manifest;
+  }
+
+  /**
+   * Point images at the bundled copies, or back at the web when a file is missing
+   */
+  _rewriteImages(html, bundledImages, originalUrls) {
+    const { document } = new JSDOM(html || '').window;
+
+    for (const img of document.querySelectorAll('img[src]')) {
+      const src = img.getAttribute('src');
+      if (!src.startsWith(IMAGE_URL_PREFIX)) {
+        continue;
+      }
+
+      if (bundledImages.has(src)) {
+        img.setAttribute('src', `../${bundledImages.get(src)}`);
+      } else if (originalUrls.has(src)) {
+        img.setAttribute('src', originalUrls.get(src));
+      }
+    }
+
+    return document.body.innerHTML;
+  }
+
+  /**
+   * Recover stored content_html from an exported article page
+   */
+  _extractContent(pageHtml) {
+    const { document } = new JSDOM(pageHtml).window;
+    const content = document.querySelector('article');
+    if (!content) {
+      throw new Error('Article HTML file has no <article> element');
+    }
+
+    for (const img of content.querySelectorAll('img[src^="../images/"]')) {
+      img.setAttribute('src', IMAGE_URL_PREFIX + img.getAttribute('src').slice('../images/'.length));
+    }
+
+    return content.innerHTML;
+  }
+
+  _renderHtml(article, contentHtml) {
+    const escape = (value) => String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
+    const byline = [article.author, article.site_name].filter(Boolean).map(escape).join(' · ');
+
+    return `<!DOCTYPE html>
+<html lang="${escape(article.language || 'en')}">
+<head>
+<meta charset="utf-8">
+<title>${escape(article.title)}</title>
+<meta name="source" content="${escape(article.url)}">
+</head>
+<body>
+<header>
+<h1>${escape(article.title)}</h1>
+${byline ? `<p>${byline}</p>\n` : ''}<p><a href="${escape(article.url)}">${escape(article.url)}</a></p>
+</header>
+<article>${contentHtml}</article>
+</body>
+</html>
+`;
+  }
+
+  _renderMarkdown(article, contentHtml) {
+    const lines = [`# ${article.title}`, ''];
+    if (article.author) lines.push(`By ${article.author}  `);
+    lines.push(`Source: <${article.url}>`, '', '---', '');
+
+    return lines.join('\n') + this.turndown.turndown(contentHtml) + '\n';
+  }
+
+  _insertStatement(db, table, columns) {
+    return db.prepare(`
+      INSERT INTO ${table} (${columns.join(', ')})
+      VALUES (${columns.map(column => `@${column}`).join(', ')})
+    `);
+  }
+
+  _pick(row, columns) {
+    return Object.fromEntries(columns.map(column => [column, row[column] ?? null]));
+  }
+
+  /**
+   * Archive path for a stored image URL, or null for anything outside /images
+   */
+  _imageArchivePath(localPath) {
+    if (!localPath?.startsWith(IMAGE_URL_PREFIX)) {
+      return null;
+    }
+    const relative = path.posix.normalize(localPath.slice(IMAGE_URL_PREFIX.length));
+    if (relative.startsWith('..') || path.posix.isAbsolute(relative)) {
+      return null;
+    }
+    return `images/${relative}`;
+  }
+
+  /**
+   * Disk path for a bundled image; rejects entries that would escape the images directory
+   */
+  _imageDiskPath(file) {
+    const target = path.resolve(imageHandler.baseImagesDir, file.slice('images/'.length));
+    if (!file.startsWith('images/') || !target.startsWith(path.resolve(imageHandler.baseImagesDir) + path.sep)) {
+      return null;
+    }
+    return target;
+  }
+
+  _slugify(title) {
+    return String(title || 'untitled')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .substring(0, 60) || 'untitled';
+  }
+}
+
+// Create singleton instance
+const libraryExportService = new LibraryExportService();
+
+export default libraryExportService;
@@ -0,0 +1,92 @@
+import logger from '../utils/logger.js';
+import { getConfig } from '../config.js';
+import httpClient, { ResponseTooLargeError } from './httpClient.js';
+
+class PageFetcher {
+  constructor() {
+    this.timeout = parseInt(getConfig('PAGE_TIMEOUT_MS', 15000));
+    this.maxSize = parseInt(getConfig('MAX_ARTICLE_SIZE_MB', 10)) * 1024 * 1024;
+    this.maxRedirects = parseInt(getConfig('MAX_REDIRECTS', 5));
+    this.supportedFormats = ['text/html', 'application/xhtml+xml'];
+  }
+
+  /**
+   * Fetch a page server-side, following redirects
+   * Returns the decoded HTML and the final resolved URL
+   */
+  async fetchPage(url) {
+    const response = await httpClient.request(url, {
+      headers: this._getBrowserHeaders(),
+      timeout: this.timeout,
+      maxRedirects: this.maxRedirects,
+      maxBytes: this.maxSize
+    });
+
+    if (!response.ok) {
+      response.discard();
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    const isSupported = this.supportedFormats.some(f => contentType.includes(f));
+    if (!isSupported) {
+      response.discard();
+      throw new Error(`Unsupported content type: ${contentType || 'unknown'}`);
+    }
+
+    let buffer;
+    try {
+      buffer = await response.buffer();
+    } catch (error) {
+      if (error instanceof ResponseTooLargeError) {
+        throw new Error(`Page too large: exceeded ${this.maxSize} bytes`);
+      }
+      throw error;
+    }
+    const html = this._decode(buffer, contentType);
+
+    logger.info('Page fetched', {
+      url,
+      finalUrl: response.url,
+      size: buffer.length
+    });
+
+    return {
+      html,
+      url: response.url,
+      originalUrl: url,
+      contentType,
+      size: buffer.length
+    };
+  }
+
+  /**
+   * Decode body using the charset from the content-type header
+   */
+  _decode(buffer, contentType) {
+    const charsetMatch = contentType.match(/charset=["']?([\w-]+)/i);
+    const charset = charsetMatch ? charsetMatch[1].toLowerCase() : 'utf-8';
+
+    try {
+      return new TextDecoder(charset).decode(buffer);
+    } catch {
+      return new TextDecoder('utf-8').decode(buffer);
+    }
+  }
+
+  /**
+   * Get realistic browser headers for page requests
+   */
+  _getBrowserHeaders() {
+    return {
+      'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      'Accept-Language': 'en-US,en;q=0.9'
+    };
+  }
+}
+
+// Create singleton instance
+const pageFetcher = new PageFetcher();
+
+export default pageFetcher;
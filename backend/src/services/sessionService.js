@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+import { getConnection } from '../database/index.js';
+import { getConfig } from '../config.js';
+import logger from '../utils/logger.js';
+
+export const SESSION_COOKIE = 'bd_session';
+
+// Don't write last_used_at on every request
+const LAST_USED_RESOLUTION_SECONDS = 60;
+
+/**
+ * Browser sessions for the web frontend
+ *
+ * Sessions have a fixed lifetime from login. Like API keys, only a SHA-256
+ * hash of each token is stored; the plain token only lives in the cookie.
+ */
+class SessionService {
+  constructor() {
+    this.ttlHours = parseInt(getConfig('SESSION_TTL_HOURS', 168));
+  }
+
+  /**
+   * Start a session for a user
+   * @param {Object} options - { userAgent }
+   * @returns {Object} - { token, expires_at }
+   */
+  createSession(userId, { userAgent = null } = {}) {
+    const db = getConnection();
+    const token = crypto.randomBytes(32).toString('hex');
+
+    this.deleteExpired();
+
+    const row = db.prepare(`
+      INSERT INTO sessions (user_id, token_hash, user_agent, expires_at)
+      VALUES (?, ?, ?, datetime('now', ?))
+      RETURNING *
+    `).get(userId, this._hash(token), userAgent ? String(userAgent).slice(0, 255) : null, `+${this.ttlHours} hours`);
+
+    logger.info('Session started', { sessionId: row.id, userId });
+
+    return { token, expires_at: row.expires_at };
+  }
+
+  /**
+   * Look up an unexpired session by its token and record that it was used
+   * @returns {Object|null} - Session (id, user_id, expires_at) or null
+   */
+  authenticate(token) {
+    const db = getConnection();
+    const row = db.prepare(`
+      SELECT id, user_id, expires_at FROM sessions
+      WHERE token_hash = ? AND expires_at > CURRENT_TIMESTAMP
+    `).get(this._hash(token));
+
+    if (!row) {
+      return null;
+    }
+
+    db.prepare(`
+      UPDATE sessions SET last_used_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND (last_used_at IS NULL OR last_used_at < datetime('now', ?))
+    `).run(row.id, `-${LAST_USED_RESOLUTION_SECONDS} seconds`);
+
+    return row;
+  }
+
+  /**
+   * End the session with this token (logout)
+   * @returns {boolean} - Whether a session was deleted
+   */
+  deleteSession(token) {
+    const db = getConnection();
+    const result = db.prepare('DELETE FROM sessions WHERE token_hash = ?').run(this._hash(token));
+    return result.changes > 0;
+  }
+
+  /**
+   * End all of a user's sessions, except optionally one
+   * @returns {number} - Number of sessions deleted
+   */
+  deleteUserSessions(userId, { exceptSessionId = null } = {}) {
+    const db = getConnection();
+    const result = db.prepare('DELETE FROM sessions WHERE user_id = ? AND id IS NOT ?').run(userId, exceptSessionId);
+
+    if (result.changes > 0) {
+      logger.info('Sessions ended', { userId, count: result.changes });
+    }
+    return result.changes;
+  }
+
+  /**
+   * Remove expired sessions
+   */
+  deleteExpired() {
+    const db = getConnection();
+    return db.prepare('DELETE FROM sessions WHERE expires_at <= CURRENT_TIMESTAMP').run().changes;
+  }
+
+  _hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+// Create singleton instance
+const sessionService = new SessionService();
+
+export default sessionService;
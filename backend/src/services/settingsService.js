@@ -1,21 +1,28 @@
 import { getConnection } from '../database/index.js';
 import logger from '../utils/logger.js';
+import { SECRET_SETTING_KEYS, encryptSecret, decryptSecret, needsReencrypt } from '../utils/secrets.js';
 
+/**
+ * Per-user key/value settings (SMTP and Kindle delivery)
+ * Secret settings are encrypted at rest and decrypted transparently on read.
+ */
 class SettingsService {
-  constructor() {
-    this.db = getConnection();
+  // Resolved per call so a reopened connection is picked up
+  get db() {
+    return getConnection();
   }
 
   /**
    * Get setting value by key
+   * @param {number} userId - Owner of the setting
    * @param {string} key - Setting key
    * @returns {string|null} - Setting value or null if not found
    */
-  get(key) {
+  get(userId, key) {
     try {
-      const stmt = this.db.prepare('SELECT value FROM settings WHERE key = ?');
-      const row = stmt.get(key);
-      return row ? row.value : null;
+      const stmt = this.db.prepare('SELECT value FROM settings WHERE user_id = ? AND key = ?');
+      const row = stmt.get(userId, key);
+      return row ? this._decode(key, row.value) : null;
     } catch (error) {
       logger.error('Failed to get setting', { key, error: error.message });
       return null;
@@ -23,16 +30,21 @@ class SettingsService {
   }
 
   /**
-   * Get all settings as key-value object
+   * Get all of a user's settings as key-value object
+   * @param {number} userId - Owner of the settings
    * @returns {Object} - All settings
    */
-  getAll() {
+  getAll(userId) {
     try {
-      const stmt = this.db.prepare('SELECT key, value FROM settings');
-      const rows = stmt.all();
+      const stmt = this.db.prepare('SELECT key, value FROM settings WHERE user_id = ?');
+      const rows = stmt.all(userId);
       const settings = {};
       rows.forEach(row => {
-        settings[row.key] = row.value;
+        try {
+          settings[row.key] = this._decode(row.key, row.value);
+        } catch (error) {
+          logger.error('Failed to decrypt setting', { userId, key: row.key, error: error.message });
+        }
       });
       return settings;
     } catch (error) {
@@ -43,35 +55,67 @@ class SettingsService {
 
   /**
    * Set setting value
+   * @param {number} userId - Owner of the setting
    * @param {string} key - Setting key
    * @param {string} value - Setting value
    * @returns {boolean} - Success
    */
-  set(key, value) {
+  set(userId, key, value) {
     try {
       const stmt = this.db.prepare(`
-        INSERT OR REPLACE INTO settings (key, value, updated_at)
-        VALUES (?, ?, CURRENT_TIMESTAMP)
+        INSERT OR REPLACE INTO settings (user_id, key, value, updated_at)
+        VALUES (?, ?, ?, CURRENT_TIMESTAMP)
       `);
-      stmt.run(key, value);
-      logger.debug('Setting updated', { key });
+      stmt.run(userId, key, SECRET_SETTING_KEYS.includes(key) && value !== null ? encryptSecret(value) : value);
+      logger.debug('Setting updated', { userId, key });
       return true;
     } catch (error) {
-      logger.error('Failed to set setting', { key, value, error: error.message });
+      logger.error('Failed to set setting', { userId, key, error: error.message });
       return false;
     }
   }
 
+  /**
+   * Re-encrypt every user's secret settings with the current master secret
+   * Plaintext values are encrypted too. Used when rotating the master secret.
+   * @returns {number} - Number of values rewritten
+   */
+  reencryptSecrets() {
+    const placeholders = SECRET_SETTING_KEYS.map(() => '?').join(', ');
+    const rows = this.db.prepare(`SELECT user_id, key, value FROM settings WHERE key IN (${placeholders})`)
+      .all(...SECRET_SETTING_KEYS)
+      .filter(row => needsReencrypt(row.value));
+    const update = this.db.prepare('UPDATE settings SET value = ? WHERE user_id = ? AND key = ?');
+
+    this.db.transaction(() => {
+      for (const row of rows) {
+        update.run(encryptSecret(decryptSecret(row.value)), row.user_id, row.key);
+      }
+    })();
+
+    logger.info('Secret settings re-encrypted', { count: rows.length });
+    return rows.length;
+  }
+
+  /**
+   * Decrypt a stored value if the key is a secret setting
+   * @private
+   */
+  _decode(key, value) {
+    return SECRET_SETTING_KEYS.includes(key) ? decryptSecret(value) : value;
+  }
+
   /**
    * Delete setting
+   * @param {number} userId - Owner of the setting
    * @param {string} key - Setting key
    * @returns {boolean} - Success
    */
-  delete(key) {
+  delete(userId, key) {
     try {
-      const stmt = this.db.prepare('DELETE FROM settings WHERE key = ?');
-      const result = stmt.run(key);
-      logger.debug('Setting deleted', { key });
+      const stmt = this.db.prepare('DELETE FROM settings WHERE user_id = ? AND key = ?');
+      const result = stmt.run(userId, key);
+      logger.debug('Setting deleted', { userId, key });
       return result.changes > 0;
     } catch (error) {
       logger.error('Failed to delete setting', { key, error: error.message });
@@ -80,11 +124,12 @@ class SettingsService {
   }
 
   /**
-   * Get SMTP-related settings as an object
+   * Get a user's SMTP-related settings as an object
+   * @param {number} userId - Owner of the settings
    * @returns {Object} - SMTP configuration
    */
-  getSmtpSettings() {
-    const settings = this.getAll();
+  getSmtpSettings(userId) {
+    const settings = this.getAll(userId);
     return {
       kindleEmail: settings.KINDLE_EMAIL || '',
       smtpHost: settings.SMTP_HOST || '',
@@ -97,11 +142,12 @@ class SettingsService {
   }
 
   /**
-   * Update SMTP settings
+   * Update a user's SMTP settings
+   * @param {number} userId - Owner of the settings
    * @param {Object} config - SMTP configuration
    * @returns {boolean} - Success
    */
-  setSmtpSettings(config) {
+  setSmtpSettings(userId, config) {
     const {
       kindleEmail,
       smtpHost,
@@ -127,15 +173,16 @@ class SettingsService {
       ['FROM_EMAIL', fromEmail || smtpUser]
     ];
 
-    return updates.every(([key, value]) => this.set(key, value));
+    return updates.every(([key, value]) => this.set(userId, key, value));
   }
 
   /**
-   * Check if SMTP is configured
+   * Check if a user has SMTP configured
+   * @param {number} userId - Owner of the settings
    * @returns {boolean} - True if required fields are present
    */
-  isSmtpConfigured() {
-    const settings = this.getAll();
+  isSmtpConfigured(userId) {
+    const settings = this.getAll(userId);
     return !!(settings.KINDLE_EMAIL &&
               settings.SMTP_HOST &&
               settings.SMTP_USER &&
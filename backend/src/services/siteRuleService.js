@@ -0,0 +1,190 @@
+import { JSDOM } from 'jsdom';
+import { getConnection } from '../database/index.js';
+import { patternMatches, comparePatterns } from '../utils/sitePattern.js';
+import logger from '../utils/logger.js';
+
+// Readability options a rule can override, by type
+export const READABILITY_OPTIONS = {
+  charThreshold: 'number',
+  nbTopCandidates: 'number',
+  maxElemsToParse: 'number',
+  keepClasses: 'boolean',
+  classesToPreserve: 'array',
+  disableJSONLD: 'boolean'
+};
+
+// Columns that hold CSS selectors
+export const SELECTOR_FIELDS = ['content_selector', 'strip_selector', 'title_selector', 'author_selector', 'date_selector'];
+
+// Columns that can be set through the API
+const SITE_RULE_FIELDS = ['pattern', 'description', ...SELECTOR_FIELDS, 'lazy_image_attribute', 'readability_options', 'is_enabled'];
+
+let selectorDocument = null;
+
+/**
+ * Whether a string parses as a CSS selector (list)
+ */
+export function isValidSelector(selector) {
+  selectorDocument ||= new JSDOM('').window.document;
+  try {
+    selectorDocument.querySelector(selector);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Per-site extraction rules
+ *
+ * Each user keeps rules for the sites Readability gets wrong. A rule is
+ * matched against a page's URL by its pattern (see utils/sitePattern.js);
+ * the most specific enabled rule applies. articleProcessor does the applying.
+ */
+class SiteRuleService {
+  /**
+   * List a user's rules, most specific pattern first
+   */
+  listRules(userId) {
+    const db = getConnection();
+    return db.prepare('SELECT * FROM site_rules WHERE user_id = ? ORDER BY id ASC')
+      .all(userId)
+      .map(row => this._format(row))
+      .sort((a, b) => comparePatterns(a.pattern, b.pattern));
+  }
+
+  /**
+   * Get rule by ID
+   * @returns {Object|null} - Rule or null if not found
+   */
+  getRule(userId, ruleId) {
+    const db = getConnection();
+    const row = db.prepare('SELECT * FROM site_rules WHERE id = ? AND user_id = ?').get(ruleId, userId);
+    return row ? this._format(row) : null;
+  }
+
+  /**
+   * Create a rule
+   * @returns {Object} - Created rule
+   */
+  createRule(userId, data) {
+    const db = getConnection();
+    const values = { ...this._pick(data), user_id: userId };
+    const columns = Object.keys(values);
+
+    const result = db.prepare(`
+      INSERT INTO site_rules (${columns.join(', ')})
+      VALUES (${columns.map(() => '?').join(', ')})
+    `).run(...Object.values(values));
+
+    logger.info('Site rule created', { ruleId: result.lastInsertRowid, pattern: values.pattern });
+
+    return this.getRule(userId, result.lastInsertRowid);
+  }
+
+  /**
+   * Update a rule
+   * @returns {Object|null} - Updated rule or null if not found
+   */
+  updateRule(userId, ruleId, data) {
+    const db = getConnection();
+    if (!this.getRule(userId, ruleId)) {
+      return null;
+    }
+
+    const values = this._pick(data);
+    const columns = Object.keys(values);
+    if (columns.length > 0) {
+      db.prepare(`
+        UPDATE site_rules SET ${columns.map(column => `${column} = ?`).join(', ')}
+        WHERE id = ?
+      `).run(...Object.values(values), ruleId);
+    }
+
+    return this.getRule(userId, ruleId);
+  }
+
+  /**
+   * Delete a rule
+   * @returns {boolean} - Whether the rule existed
+   */
+  deleteRule(userId, ruleId) {
+    const db = getConnection();
+    const { changes } = db.prepare('DELETE FROM site_rules WHERE id = ? AND user_id = ?').run(ruleId, userId);
+    if (changes > 0) {
+      logger.info('Site rule deleted', { ruleId });
+    }
+    return changes > 0;
+  }
+
+  /**
+   * The enabled rule that applies to a URL
+   * @returns {Object|null} - The most specific matching rule, or null
+   */
+  findRule(userId, url) {
+    if (!userId) {
+      return null;
+    }
+
+    const db = getConnection();
+    const rules = db.prepare('SELECT * FROM site_rules WHERE user_id = ? AND is_enabled = 1 ORDER BY id ASC')
+      .all(userId)
+      .filter(row => patternMatches(row.pattern, url))
+      .sort((a, b) => comparePatterns(a.pattern, b.pattern));
+
+    return rules.length > 0 ? this._format(rules[0]) : null;
+  }
+
+  /**
+   * A rule as given in a request (not saved), in the shape findRule returns
+   */
+  draftRule(data) {
+    return {
+      id: null,
+      pattern: null,
+      description: null,
+      ...Object.fromEntries(SELECTOR_FIELDS.map(field => [field, null])),
+      lazy_image_attribute: null,
+      readability_options: {},
+      is_enabled: true,
+      ...Object.fromEntries(Object.entries(data).filter(([field]) => SITE_RULE_FIELDS.includes(field)))
+    };
+  }
+
+  /**
+   * Extract settable columns from request data
+   * Empty strings clear a selector or attribute.
+   */
+  _pick(data) {
+    const values = {};
+    for (const field of SITE_RULE_FIELDS) {
+      if (data[field] === undefined) continue;
+      if (field === 'readability_options') {
+        values.readability_options = JSON.stringify(data.readability_options || {});
+      } else if (field === 'is_enabled') {
+        values.is_enabled = data.is_enabled ? 1 : 0;
+      } else if (field === 'pattern') {
+        values.pattern = data.pattern.trim();
+      } else {
+        values[field] = data[field]?.trim() || null;
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Format rule row for API output
+   */
+  _format(row) {
+    return {
+      ...row,
+      readability_options: JSON.parse(row.readability_options),
+      is_enabled: Boolean(row.is_enabled)
+    };
+  }
+}
+
+// Create singleton instance
+const siteRuleService = new SiteRuleService();
+
+export default siteRuleService;
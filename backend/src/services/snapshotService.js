@@ -0,0 +1,81 @@
+import { getConnection } from '../database/index.js';
+import { HTML_ENCODING, compressHtml, decompressHtml } from '../utils/htmlCompression.js';
+
+/**
+ * Raw HTML snapshots of captured pages
+ *
+ * Every capture keeps the page HTML it was extracted from (each page of a
+ * multi-page article), compressed, so articles can be extracted again later
+ * without the original page. Failed captures keep theirs for retries.
+ */
+class SnapshotService {
+  /**
+   * Compress pages for storing with replace()
+   * @param {Object[]|undefined} pages - [{ url, html }], first page first
+   * @returns {Promise<Object[]|undefined>} - undefined if pages is
+   */
+  async compress(pages) {
+    if (pages === undefined) {
+      return undefined;
+    }
+
+    return Promise.all(pages.map(async ({ url, html }, index) => ({
+      page: index + 1,
+      url,
+      content: await compressHtml(html),
+      sizeBytes: Buffer.byteLength(html)
+    })));
+  }
+
+  /**
+   * Replace an article's snapshot (an empty list removes it)
+   * Synchronous, so it can run inside the transaction saving the article.
+   * @param {Object[]} pages - From compress()
+   */
+  replace(articleId, pages) {
+    const db = getConnection();
+    db.prepare('DELETE FROM article_snapshots WHERE article_id = ?').run(articleId);
+
+    const insert = db.prepare(`
+      INSERT INTO article_snapshots (article_id, page, url, encoding, content, size_bytes)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    for (const page of pages) {
+      insert.run(articleId, page.page, page.url, HTML_ENCODING, page.content, page.sizeBytes);
+    }
+  }
+
+  /**
+   * An article's snapshot pages, decompressed
+   * @returns {Object[]} - [{ page, url, html }], empty if there is no snapshot
+   */
+  getPages(articleId) {
+    const db = getConnection();
+    return db.prepare(`
+      SELECT page, url, encoding, content FROM article_snapshots WHERE article_id = ? ORDER BY page ASC
+    `).all(articleId).map(row => ({
+      page: row.page,
+      url: row.url,
+      html: decompressHtml(row.content, row.encoding)
+    }));
+  }
+
+  /**
+   * Summary of an article's snapshot
+   * @returns {Object|null} - { pages, size_bytes, compressed_bytes, captured_at }, or null if there is none
+   */
+  getInfo(articleId) {
+    const db = getConnection();
+    const info = db.prepare(`
+      SELECT COUNT(*) as pages, SUM(size_bytes) as size_bytes, SUM(length(content)) as compressed_bytes,
+             MAX(created_at) as captured_at
+      FROM article_snapshots WHERE article_id = ?
+    `).get(articleId);
+    return info.pages > 0 ? info : null;
+  }
+}
+
+// Create singleton instance
+const snapshotService = new SnapshotService();
+
+export default snapshotService;
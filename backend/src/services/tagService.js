@@ -0,0 +1,165 @@
+import { getConnection } from '../database/index.js';
+import logger from '../utils/logger.js';
+
+class TagService {
+  /**
+   * Normalize a tag name (trim and collapse whitespace)
+   */
+  normalizeName(name) {
+    return String(name).trim().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * List a user's tags with article counts
+   * @returns {Array} - Tags ordered by name
+   */
+  listTags(userId) {
+    const db = getConnection();
+    return db.prepare(`
+      SELECT t.id, t.name, t.created_at, COUNT(a.id) as article_count
+      FROM tags t
+      LEFT JOIN article_tags at ON at.tag_id = t.id
+      LEFT JOIN articles a ON a.id = at.article_id AND a.capture_success = 1
+      WHERE t.user_id = ?
+      GROUP BY t.id
+      ORDER BY t.name COLLATE NOCASE ASC
+    `).all(userId);
+  }
+
+  /**
+   * Get tag by ID
+   * @returns {Object|null} - Tag or null if not found
+   */
+  getTag(userId, tagId) {
+    const db = getConnection();
+    return db.prepare('SELECT * FROM tags WHERE id = ? AND user_id = ?').get(tagId, userId) || null;
+  }
+
+  /**
+   * Find tag by name (case-insensitive)
+   * @returns {Object|null} - Tag or null if not found
+   */
+  findByName(userId, name) {
+    const db = getConnection();
+    return db.prepare('SELECT * FROM tags WHERE user_id = ? AND name = ?').get(userId, this.normalizeName(name)) || null;
+  }
+
+  /**
+   * Rename a tag
+   * @returns {Object|null} - Updated tag or null if not found
+   */
+  renameTag(userId, tagId, newName) {
+    const db = getConnection();
+    const name = this.normalizeName(newName);
+
+    const existing = this.findByName(userId, name);
+    if (existing && existing.id !== tagId) {
+      throw new Error(`Tag "${existing.name}" already exists. Merge the tags instead.`);
+    }
+
+    const result = db.prepare('UPDATE tags SET name = ? WHERE id = ? AND user_id = ?').run(name, tagId, userId);
+    if (result.changes === 0) {
+      return null;
+    }
+
+    logger.info('Tag renamed', { tagId, name });
+    return this.getTag(userId, tagId);
+  }
+
+  /**
+   * Merge source tag into target tag (both must belong to the user)
+   * Articles tagged with the source are re-tagged with the target, then the source is deleted
+   * @returns {Object} - Target tag
+   */
+  mergeTags(userId, sourceId, targetId) {
+    const db = getConnection();
+
+    return db.transaction(() => {
+      const moved = db.prepare(`
+        INSERT OR IGNORE INTO article_tags (article_id, tag_id)
+        SELECT article_id, ? FROM article_tags WHERE tag_id = ?
+      `).run(targetId, sourceId);
+
+      db.prepare('DELETE FROM tags WHERE id = ? AND user_id = ?').run(sourceId, userId);
+
+      logger.info('Tags merged', { sourceId, targetId, articlesMoved: moved.changes });
+      return this.getTag(userId, targetId);
+    })();
+  }
+
+  /**
+   * Delete a tag (assignments cascade)
+   * @returns {boolean} - True if deleted
+   */
+  deleteTag(userId, tagId) {
+    const db = getConnection();
+    const result = db.prepare('DELETE FROM tags WHERE id = ? AND user_id = ?').run(tagId, userId);
+    if (result.changes > 0) {
+      logger.info('Tag deleted', { tagId });
+    }
+    return result.changes > 0;
+  }
+
+  /**
+   * Replace the tags assigned to an article, creating missing tags
+   * @param {number} userId - Owner of the article (tags are created for them)
+   * @param {number} articleId - Article ID
+   * @param {string[]} names - Tag names
+   */
+  setArticleTags(userId, articleId, names) {
+    const db = getConnection();
+    const uniqueNames = [...new Map(
+      names
+        .map(name => this.normalizeName(name))
+        .filter(name => name.length > 0)
+        .map(name => [name.toLowerCase(), name])
+    ).values()];
+
+    db.transaction(() => {
+      const insertTag = db.prepare('INSERT INTO tags (user_id, name) VALUES (?, ?) ON CONFLICT(user_id, name) DO NOTHING');
+      const findTag = db.prepare('SELECT id FROM tags WHERE user_id = ? AND name = ?');
+      const assignTag = db.prepare('INSERT OR IGNORE INTO article_tags (article_id, tag_id) VALUES (?, ?)');
+
+      db.prepare('DELETE FROM article_tags WHERE article_id = ?').run(articleId);
+
+      for (const name of uniqueNames) {
+        insertTag.run(userId, name);
+        const tag = findTag.get(userId, name);
+        assignTag.run(articleId, tag.id);
+      }
+    })();
+  }
+
+  /**
+   * Get tags for a set of articles
+   * @param {number[]} articleIds - Article IDs
+   * @returns {Map<number, Array>} - Map of article ID to tags
+   */
+  getTagsForArticles(articleIds) {
+    const tagsByArticle = new Map(articleIds.map(id => [id, []]));
+    if (articleIds.length === 0) {
+      return tagsByArticle;
+    }
+
+    const db = getConnection();
+    const placeholders = articleIds.map(() => '?').join(',');
+    const rows = db.prepare(`
+      SELECT at.article_id, t.id, t.name
+      FROM article_tags at
+      JOIN tags t ON t.id = at.tag_id
+      WHERE at.article_id IN (${placeholders})
+      ORDER BY t.name COLLATE NOCASE ASC
+    `).all(...articleIds);
+
+    for (const row of rows) {
+      tagsByArticle.get(row.article_id)?.push({ id: row.id, name: row.name });
+    }
+
+    return tagsByArticle;
+  }
+}
+
+// Create singleton instance
+const tagService = new TagService();
+
+export default tagService;
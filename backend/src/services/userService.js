@@ -0,0 +1,210 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { promisify } from 'util';
+import { getConnection } from '../database/index.js';
+import apiKeyService, { API_KEY_SCOPES } from './apiKeyService.js';
+import imageStore from './imageStore.js';
+import logger from '../utils/logger.js';
+
+// Owns everything created before accounts existed, and the config.json key
+export const BOOTSTRAP_USER_ID = 1;
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+const scrypt = promisify(crypto.scrypt);
+const PASSWORD_KEY_LENGTH = 64;
+
+/**
+ * User accounts
+ *
+ * Each user has their own library: articles, tags, EPUB exports, settings,
+ * digests, imports, webhooks and API keys all belong to one user.
+ */
+class UserService {
+  /**
+   * List users with library sizes
+   */
+  listUsers() {
+    const db = getConnection();
+    return db.prepare(`
+      SELECT u.*,
+        (SELECT COUNT(*) FROM articles a WHERE a.user_id = u.id AND a.capture_success = 1) as article_count
+      FROM users u
+      ORDER BY u.id ASC
+    `).all().map(row => this._format(row));
+  }
+
+  /**
+   * Get user by ID
+   * @returns {Object|null} - User or null if not found
+   */
+  getUser(userId) {
+    const db = getConnection();
+    const row = db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
+    return row ? this._format(row) : null;
+  }
+
+  /**
+   * Find user by name (case-insensitive)
+   * @returns {Object|null} - User or null if not found
+   */
+  findByName(name) {
+    const db = getConnection();
+    const row = db.prepare('SELECT * FROM users WHERE name = ?').get(String(name).trim());
+    return row ? this._format(row) : null;
+  }
+
+  /**
+   * Create a user with a first API key that can manage their own account
+   * @param {Object} data - { name, is_admin?, password? }
+   * @returns {Promise<Object>} - { user, key } where key includes the plain `key`
+   */
+  async createUser({ name, is_admin: isAdmin = false, password = null }) {
+    const db = getConnection();
+    const trimmedName = String(name).trim();
+
+    if (this.findByName(trimmedName)) {
+      throw new Error(`User "${trimmedName}" already exists`);
+    }
+
+    const passwordHash = password ? await this._hashPassword(password) : null;
+
+    return db.transaction(() => {
+      const row = db.prepare(`
+        INSERT INTO users (name, is_admin, storage_key, password_hash) VALUES (?, ?, ?, ?)
+        RETURNING *
+      `).get(trimmedName, isAdmin ? 1 : 0, crypto.randomBytes(16).toString('hex'), passwordHash);
+
+      const key = apiKeyService.createKey(row.id, {
+        label: `${trimmedName} (initial key)`,
+        scopes: API_KEY_SCOPES
+      });
+
+      logger.info('User created', { userId: row.id, name: trimmedName, isAdmin });
+
+      return { user: this._format(row), key };
+    })();
+  }
+
+  /**
+   * Delete a user and their whole library, including EPUB and image files
+   * @returns {boolean} - Whether the user existed
+   */
+  async deleteUser(userId) {
+    const db = getConnection();
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
+    if (!user) {
+      return false;
+    }
+
+    const exportFiles = db.prepare('SELECT file_path FROM epub_exports WHERE user_id = ?').all(userId);
+
+    // Rows cascade from users
+    db.prepare('DELETE FROM users WHERE id = ?').run(userId);
+
+    for (const { file_path: filePath } of exportFiles) {
+      await fs.rm(filePath, { force: true }).catch(error => {
+        logger.warn('Failed to delete EPUB file', { path: filePath, error: error.message });
+      });
+    }
+    await imageStore.removeStorage(user.storage_key).catch(error => {
+      logger.warn('Failed to delete user images', { userId, error: error.message });
+    });
+
+    logger.info('User deleted', { userId, name: user.name });
+    return true;
+  }
+
+  /**
+   * Set or replace a user's password
+   * @returns {Promise<boolean>} - Whether the user exists
+   */
+  async setPassword(userId, password) {
+    const db = getConnection();
+    const passwordHash = await this._hashPassword(password);
+    const result = db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(passwordHash, userId);
+
+    if (result.changes > 0) {
+      logger.info('User password changed', { userId });
+    }
+    return result.changes > 0;
+  }
+
+  /**
+   * Check a user's password
+   * @returns {Promise<boolean>} - False for a wrong password or a user without one
+   */
+  async verifyPassword(userId, password) {
+    const db = getConnection();
+    const row = db.prepare('SELECT password_hash FROM users WHERE id = ?').get(userId);
+    return this._checkPassword(password, row?.password_hash);
+  }
+
+  /**
+   * Look up a user by name and password
+   * @returns {Promise<Object|null>} - User, or null if the name or password is wrong
+   */
+  async authenticate(name, password) {
+    const db = getConnection();
+    const row = db.prepare('SELECT * FROM users WHERE name = ?').get(String(name).trim());
+
+    // Hash even for unknown users, so response times don't reveal which names exist
+    const valid = await this._checkPassword(password, row?.password_hash);
+    return valid && row ? this._format(row) : null;
+  }
+
+  /**
+   * Name of the user's directory under backend/images
+   * It is random, so one user can't guess the URLs of another user's images.
+   */
+  getStorageKey(userId) {
+    const db = getConnection();
+    const row = db.prepare('SELECT storage_key FROM users WHERE id = ?').get(userId);
+    if (!row) {
+      throw new Error(`User not found: ${userId}`);
+    }
+    return row.storage_key;
+  }
+
+  /**
+   * Hash a password as `scrypt:<salt>:<hash>` (hex)
+   */
+  async _hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(String(password), salt, PASSWORD_KEY_LENGTH);
+    return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+  }
+
+  async _checkPassword(password, stored) {
+    const [scheme, salt, expected] = (stored || 'scrypt::').split(':');
+    const hash = await scrypt(String(password), Buffer.from(salt, 'hex'), PASSWORD_KEY_LENGTH);
+    const expectedHash = Buffer.from(expected || '', 'hex');
+
+    if (scheme !== 'scrypt' || expectedHash.length !== hash.length) {
+      return false;
+    }
+    return crypto.timingSafeEqual(hash, expectedHash);
+  }
+
+  /**
+   * Format user row for API output (storage_key and password_hash are kept internal)
+   */
+  _format(row) {
+    const user = {
+      id: row.id,
+      name: row.name,
+      is_admin: Boolean(row.is_admin),
+      has_password: Boolean(row.password_hash),
+      created_at: row.created_at
+    };
+    if (row.article_count !== undefined) {
+      user.article_count = row.article_count;
+    }
+    return user;
+  }
+}
+
+// Create singleton instance
+const userService = new UserService();
+
+export default userService;
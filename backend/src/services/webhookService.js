@@ -0,0 +1,343 @@
+import crypto from 'crypto';
+import { getConnection } from '../database/index.js';
+import { getConfig } from '../config.js';
+import eventBus from './eventBus.js';
+import jobQueue from './jobQueue.js';
+import httpClient from './httpClient.js';
+import logger from '../utils/logger.js';
+
+// Events a webhook can subscribe to ('*' matches all of them)
+export const WEBHOOK_EVENTS = [
+  'article.created',
+  'article.updated',
+  'article.archived',
+  'epub.generated',
+  'kindle.sent',
+  'kindle.failed'
+];
+
+// Job type for a single delivery (handler registered in jobHandlers.js)
+export const WEBHOOK_JOB_TYPE = 'webhook.deliver';
+
+// Columns that can be set through the API
+const WEBHOOK_FIELDS = ['url', 'description', 'events', 'secret', 'is_enabled'];
+
+/**
+ * Outbound webhooks
+ *
+ * Subscribes to the event bus and queues one delivery job per matching
+ * webhook, so failed deliveries are retried with the job queue's backoff.
+ * Payloads are signed with HMAC-SHA256 of the raw body using the webhook's
+ * secret (`X-Webhook-Signature: sha256=<hex>`).
+ */
+class WebhookService {
+  constructor() {
+    this.timeout = parseInt(getConfig('WEBHOOK_TIMEOUT_MS', 10000));
+    this.maxAttempts = parseInt(getConfig('WEBHOOK_MAX_ATTEMPTS', 5));
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Start delivering library events (safe to call more than once)
+   */
+  start() {
+    if (this.unsubscribe) return;
+
+    this.unsubscribe = eventBus.subscribe((event) => {
+      if (WEBHOOK_EVENTS.includes(event.type) && event.userId) {
+        this.dispatch(event.userId, event.type, event.data);
+      }
+    });
+  }
+
+  stop() {
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+  }
+
+  /**
+   * List a user's webhooks (secrets are not included)
+   */
+  listWebhooks(userId) {
+    const db = getConnection();
+    return db.prepare('SELECT * FROM webhooks WHERE user_id = ? ORDER BY id ASC')
+      .all(userId)
+      .map(row => this._format(row));
+  }
+
+  /**
+   * Get webhook by ID (secret is not included)
+   * @returns {Object|null} - Webhook or null if not found
+   */
+  getWebhook(userId, webhookId) {
+    const db = getConnection();
+    const row = db.prepare('SELECT * FROM webhooks WHERE id = ? AND user_id = ?').get(webhookId, userId);
+    return row ? this._format(row) : null;
+  }
+
+  /**
+   * Create a webhook
+   * A signing secret is generated unless one is given.
+   * @returns {Object} - Created webhook, including its secret
+   */
+  createWebhook(userId, data) {
+    const db = getConnection();
+    const values = { ...this._pick({ secret: this._generateSecret(), ...data }), user_id: userId };
+    const columns = Object.keys(values);
+
+    const result = db.prepare(`
+      INSERT INTO webhooks (${columns.join(', ')})
+      VALUES (${columns.map(() => '?').join(', ')})
+    `).run(...Object.values(values));
+
+    logger.info('Webhook created', { webhookId: result.lastInsertRowid, url: values.url });
+
+    return {
+      ...this.getWebhook(userId, result.lastInsertRowid),
+      secret: values.secret
+    };
+  }
+
+  /**
+   * Update a webhook
+   * @returns {Object|null} - Updated webhook or null if not found
+   */
+  updateWebhook(userId, webhookId, data) {
+    const db = getConnection();
+    if (!this.getWebhook(userId, webhookId)) {
+      return null;
+    }
+
+    const values = this._pick(data);
+    const columns = Object.keys(values);
+    if (columns.length > 0) {
+      db.prepare(`
+        UPDATE webhooks SET ${columns.map(column => `${column} = ?`).join(', ')}
+        WHERE id = ?
+      `).run(...Object.values(values), webhookId);
+    }
+
+    return this.getWebhook(userId, webhookId);
+  }
+
+  /**
+   * Delete a webhook and its delivery log
+   * @returns {boolean} - Whether the webhook existed
+   */
+  deleteWebhook(userId, webhookId) {
+    const db = getConnection();
+    const { changes } = db.prepare('DELETE FROM webhooks WHERE id = ? AND user_id = ?').run(webhookId, userId);
+    if (changes > 0) {
+      logger.info('Webhook deleted', { webhookId });
+    }
+    return changes > 0;
+  }
+
+  /**
+   * Recent deliveries for a webhook, newest first
+   */
+  listDeliveries(webhookId, { limit = 50 } = {}) {
+    const db = getConnection();
+    return db.prepare(`
+      SELECT * FROM webhook_deliveries
+      WHERE webhook_id = ?
+      ORDER BY id DESC
+      LIMIT ?
+    `).all(webhookId, Math.min(Math.max(limit, 1), 200)).map(row => this._formatDelivery(row));
+  }
+
+  /**
+   * Queue deliveries of a user's event to each of their enabled webhooks subscribed to it
+   * @returns {Array} - Queued deliveries
+   */
+  dispatch(userId, event, data) {
+    const db = getConnection();
+    const webhooks = db.prepare('SELECT * FROM webhooks WHERE user_id = ? AND is_enabled = 1').all(userId)
+      .filter(row => {
+        const events = JSON.parse(row.events);
+        return events.includes('*') || events.includes(event);
+      });
+
+    if (webhooks.length === 0) {
+      return [];
+    }
+
+    const payloadData = this._enrich(event, data);
+    return webhooks.map(webhook => this._queueDelivery(webhook, event, payloadData));
+  }
+
+  /**
+   * Queue a `ping` delivery to check a webhook's endpoint
+   * @returns {Object|null} - Queued delivery or null if the webhook doesn't exist
+   */
+  sendTest(userId, webhookId) {
+    const webhook = this.getWebhook(userId, webhookId);
+    if (!webhook) {
+      return null;
+    }
+    return this._queueDelivery(webhook, 'ping', { webhook_id: webhookId });
+  }
+
+  /**
+   * Send one delivery (run by the job queue)
+   * Throws on failure so the job is retried.
+   */
+  async deliver(deliveryId, { job }) {
+    const db = getConnection();
+    const delivery = db.prepare(`
+      SELECT d.*, w.url, w.secret
+      FROM webhook_deliveries d
+      JOIN webhooks w ON w.id = d.webhook_id
+      WHERE d.id = ?
+    `).get(deliveryId);
+
+    // Webhook was deleted while the delivery was queued
+    if (!delivery) {
+      return null;
+    }
+
+    const startedAt = Date.now();
+    let responseStatus = null;
+    let error = null;
+
+    try {
+      const response = await httpClient.request(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'BookmarkDigest-Webhooks/1.0',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Signature': this.sign(delivery.secret, delivery.payload)
+        },
+        body: delivery.payload,
+        timeout: this.timeout
+      });
+
+      responseStatus = response.status;
+      response.discard();
+
+      if (!response.ok) {
+        error = `HTTP ${response.status}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    const lastAttempt = job.attempts >= job.max_attempts;
+    const status = !error ? 'success' : (lastAttempt ? 'failed' : 'pending');
+
+    db.prepare(`
+      UPDATE webhook_deliveries
+      SET status = ?, attempts = ?, response_status = ?, error = ?, duration_ms = ?,
+          delivered_at = CASE WHEN ? = 'success' THEN CURRENT_TIMESTAMP ELSE delivered_at END
+      WHERE id = ?
+    `).run(status, job.attempts, responseStatus, error, Date.now() - startedAt, status, delivery.id);
+
+    if (error) {
+      throw new Error(`Webhook delivery failed: ${error}`);
+    }
+
+    logger.info('Webhook delivered', { deliveryId, event: delivery.event, status: responseStatus });
+    return { delivery_id: delivery.id, response_status: responseStatus };
+  }
+
+  /**
+   * Signature header value for a payload
+   */
+  sign(secret, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+  }
+
+  _queueDelivery(webhook, event, data) {
+    const db = getConnection();
+    const payload = JSON.stringify({
+      event,
+      timestamp: new Date().toISOString(),
+      data
+    });
+
+    const row = db.prepare(`
+      INSERT INTO webhook_deliveries (webhook_id, event, payload) VALUES (?, ?, ?)
+      RETURNING *
+    `).get(webhook.id, event, payload);
+
+    jobQueue.enqueue(WEBHOOK_JOB_TYPE, { deliveryId: row.id }, { userId: webhook.user_id });
+
+    return this._formatDelivery(row);
+  }
+
+  /**
+   * Add article details so receivers don't need to call back into the API
+   */
+  _enrich(event, data) {
+    if (!event.startsWith('article.') || !data?.id) {
+      return data;
+    }
+
+    const db = getConnection();
+    const article = db.prepare(`
+      SELECT id, url, title, author, site_name, excerpt, word_count, reading_time_minutes,
+             is_archived, is_favorite, created_at, updated_at
+      FROM articles WHERE id = ?
+    `).get(data.id);
+
+    if (!article) {
+      return data;
+    }
+
+    return {
+      ...article,
+      is_archived: Boolean(article.is_archived),
+      is_favorite: Boolean(article.is_favorite)
+    };
+  }
+
+  _generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Extract settable columns from request data
+   */
+  _pick(data) {
+    const values = {};
+    for (const field of WEBHOOK_FIELDS) {
+      if (data[field] === undefined) continue;
+      if (field === 'events') {
+        values.events = JSON.stringify(data.events);
+      } else if (field === 'is_enabled') {
+        values.is_enabled = data.is_enabled ? 1 : 0;
+      } else {
+        values[field] = data[field];
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Format webhook row for API output
+   */
+  _format(row) {
+    const webhook = {
+      ...row,
+      events: JSON.parse(row.events),
+      is_enabled: Boolean(row.is_enabled)
+    };
+    // Secrets are only returned when a webhook is created
+    delete webhook.secret;
+    return webhook;
+  }
+
+  _formatDelivery(row) {
+    return {
+      ...row,
+      payload: JSON.parse(row.payload)
+    };
+  }
+}
+
+// Create singleton instance
+const webhookService = new WebhookService();
+
+export default webhookService;
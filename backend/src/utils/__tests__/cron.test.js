@@ -0,0 +1,66 @@
+import { describe, it, expect } from '@jest/globals';
+import { parseCron, isValidCron, getNextRun } from '../cron.js';
+
+describe('Cron expressions', () => {
+  describe('parseCron', () => {
+    it('should expand lists, ranges and steps', () => {
+      const cron = parseCron('0,30 9-11 */10 * 1-5');
+      expect([...cron.minutes]).toEqual([0, 30]);
+      expect([...cron.hours]).toEqual([9, 10, 11]);
+      expect([...cron.days]).toEqual([1, 11, 21, 31]);
+      expect([...cron.weekdays]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('should accept month and day names', () => {
+      const cron = parseCron('0 8 * jan,jul sun');
+      expect([...cron.months]).toEqual([1, 7]);
+      expect([...cron.weekdays]).toEqual([0]);
+    });
+
+    it('should treat 7 as Sunday', () => {
+      expect([...parseCron('0 0 * * 7').weekdays]).toEqual([0]);
+    });
+
+    it('should expand macros', () => {
+      expect([...parseCron('@weekly').weekdays]).toEqual([0]);
+    });
+
+    it('should reject invalid expressions', () => {
+      expect(isValidCron('* * * *')).toBe(false);
+      expect(isValidCron('60 * * * *')).toBe(false);
+      expect(isValidCron('* * * * mon-sun-x')).toBe(false);
+      expect(isValidCron('*/0 * * * *')).toBe(false);
+      expect(isValidCron('5-1 * * * *')).toBe(false);
+      expect(isValidCron('0 9 * * mon')).toBe(true);
+    });
+  });
+
+  describe('getNextRun', () => {
+    it('should find the next weekly run', () => {
+      // Wednesday 2024-01-03 10:15 local time
+      const from = new Date(2024, 0, 3, 10, 15);
+      const next = getNextRun('0 8 * * mon', from);
+      expect(next).toEqual(new Date(2024, 0, 8, 8, 0));
+    });
+
+    it('should be strictly after the start time', () => {
+      const from = new Date(2024, 0, 3, 8, 0);
+      expect(getNextRun('0 8 * * *', from)).toEqual(new Date(2024, 0, 4, 8, 0));
+    });
+
+    it('should roll over months and years', () => {
+      const from = new Date(2024, 11, 31, 23, 59);
+      expect(getNextRun('@monthly', from)).toEqual(new Date(2025, 0, 1, 0, 0));
+    });
+
+    it('should match either day field when both are restricted', () => {
+      // The 15th or any Friday, whichever comes first
+      const from = new Date(2024, 0, 1, 0, 0);
+      expect(getNextRun('0 0 15 * fri', from)).toEqual(new Date(2024, 0, 5, 0, 0));
+    });
+
+    it('should throw for expressions that never fire', () => {
+      expect(() => getNextRun('0 0 31 2 *')).toThrow('never fires');
+    });
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  detectFormat,
+  parseCsv,
+  parsePocketHtml,
+  parseInstapaperCsv,
+  parsePinboardJson,
+  parseNetscapeHtml
+} from '../importFormats.js';
+
+const POCKET_HTML = `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Pocket Export</title></head>
+<body>
+<h1>Unread</h1>
+<ul>
+<li><a href="https://example.com/a" time_added="1600000000" tags="news,tech">Article A</a></li>
+</ul>
+<h1>Read Archive</h1>
+<ul>
+<li><a href="https://example.com/b" time_added="1500000000" tags="">Article B</a></li>
+</ul>
+</body></html>`;
+
+const INSTAPAPER_CSV = `URL,Title,Selection,Folder,Timestamp
+https://example.com/a,"Article, with comma",,Unread,1600000000
+https://example.com/b,"Quoted ""title""",,Archive,1500000000
+https://example.com/c,Starred one,"multi
+line selection",Starred,1400000000
+https://example.com/d,In a folder,,Recipes,1300000000
+`;
+
+const PINBOARD_JSON = JSON.stringify([
+  { href: 'https://example.com/a', description: 'Unread one', time: '2020-09-13T12:26:40Z', toread: 'yes', tags: 'go rust' },
+  { href: 'https://example.com/b', description: 'Read one', time: '2017-07-14T02:40:00Z', toread: 'no', tags: '' }
+]);
+
+const NETSCAPE_HTML = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">
+<TITLE>Bookmarks</TITLE>
+<H1>Bookmarks</H1>
+<DL><p>
+    <DT><H3 ADD_DATE="1600000000" PERSONAL_TOOLBAR_FOLDER="true">Bookmarks bar</H3>
+    <DL><p>
+        <DT><A HREF="https://example.com/a" ADD_DATE="1600000000">Toolbar link</A>
+        <DT><H3 ADD_DATE="1600000000">Reading</H3>
+        <DL><p>
+            <DT><H3 ADD_DATE="1600000000">Science</H3>
+            <DL><p>
+                <DT><A HREF="https://example.com/b" ADD_DATE="1500000000" TAGS="space">Nested link</A>
+            </DL><p>
+        </DL><p>
+    </DL><p>
+</DL><p>`;
+
+describe('Import formats', () => {
+  describe('detectFormat', () => {
+    it('should detect each format', () => {
+      expect(detectFormat(POCKET_HTML)).toBe('pocket');
+      expect(detectFormat(INSTAPAPER_CSV)).toBe('instapaper');
+      expect(detectFormat(PINBOARD_JSON)).toBe('pinboard');
+      expect(detectFormat(NETSCAPE_HTML)).toBe('netscape');
+    });
+
+    it('should use the file extension as a hint', () => {
+      expect(detectFormat('whatever', 'export.csv')).toBe('instapaper');
+    });
+
+    it('should return null for unknown content', () => {
+      expect(detectFormat('just some text')).toBeNull();
+    });
+  });
+
+  describe('parseCsv', () => {
+    it('should handle quotes, escaped quotes and embedded newlines', () => {
+      expect(parseCsv('a,"b,c","d ""e"""\r\n"f\ng",h')).toEqual([
+        ['a', 'b,c', 'd "e"'],
+        ['f\ng', 'h']
+      ]);
+    });
+  });
+
+  describe('parsePocketHtml', () => {
+    it('should read sections, tags and save dates', () => {
+      const items = parsePocketHtml(POCKET_HTML);
+
+      expect(items).toHaveLength(2);
+      expect(items[0]).toEqual({
+        url: 'https://example.com/a',
+        title: 'Article A',
+        tags: ['news', 'tech'],
+        isArchived: false,
+        isFavorite: false,
+        savedAt: new Date(1600000000 * 1000)
+      });
+      expect(items[1].isArchived).toBe(true);
+      expect(items[1].tags).toEqual([]);
+    });
+  });
+
+  describe('parseInstapaperCsv', () => {
+    it('should map folders to archived, favorite and tags', () => {
+      const items = parseInstapaperCsv(INSTAPAPER_CSV);
+
+      expect(items.map(item => item.title)).toEqual([
+        'Article, with comma',
+        'Quoted "title"',
+        'Starred one',
+        'In a folder'
+      ]);
+      expect(items[0]).toMatchObject({ isArchived: false, isFavorite: false, tags: [] });
+      expect(items[1]).toMatchObject({ isArchived: true, isFavorite: false });
+      expect(items[2]).toMatchObject({ isArchived: false, isFavorite: true });
+      expect(items[3].tags).toEqual(['Recipes']);
+      expect(items[0].savedAt).toEqual(new Date(1600000000 * 1000));
+    });
+
+    it('should read a Tags column when present', () => {
+      const items = parseInstapaperCsv('URL,Title,Selection,Folder,Timestamp,Tags\nhttps://example.com/a,A,,Unread,1,"[""one"",""two""]"\n');
+      expect(items[0].tags).toEqual(['one', 'two']);
+    });
+
+    it('should reject CSV without a URL column', () => {
+      expect(() => parseInstapaperCsv('Title,Folder\nA,Unread')).toThrow('URL column');
+    });
+  });
+
+  describe('parsePinboardJson', () => {
+    it('should map toread and space-separated tags', () => {
+      const items = parsePinboardJson(PINBOARD_JSON);
+
+      expect(items[0]).toMatchObject({ title: 'Unread one', tags: ['go', 'rust'], isArchived: false });
+      expect(items[0].savedAt).toEqual(new Date('2020-09-13T12:26:40Z'));
+      expect(items[1]).toMatchObject({ isArchived: true, tags: [] });
+    });
+
+    it('should reject invalid JSON', () => {
+      expect(() => parsePinboardJson('[{')).toThrow('Invalid JSON');
+      expect(() => parsePinboardJson('{}')).toThrow('JSON array');
+    });
+  });
+
+  describe('parseNetscapeHtml', () => {
+    it('should turn folders into tags, skipping browser root folders', () => {
+      const items = parseNetscapeHtml(NETSCAPE_HTML);
+
+      expect(items).toHaveLength(2);
+      expect(items[0]).toMatchObject({ url: 'https://example.com/a', title: 'Toolbar link', tags: [] });
+      expect(items[1]).toMatchObject({
+        url: 'https://example.com/b',
+        tags: ['space', 'Reading', 'Science'],
+        savedAt: new Date(1500000000 * 1000)
+      });
+    });
+  });
+});
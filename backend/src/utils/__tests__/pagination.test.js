@@ -0,0 +1,67 @@
+import { describe, it, expect } from '@jest/globals';
+import { JSDOM } from 'jsdom';
+import { pageNumber, findNextPageUrl } from '../pagination.js';
+
+function documentOf(body, head = '') {
+  return new JSDOM(`<html><head>${head}</head><body>${body}</body></html>`).window.document;
+}
+
+describe('Pagination', () => {
+  describe('pageNumber', () => {
+    it('should number pages of the same article', () => {
+      const first = 'https://example.com/news/story';
+      expect(pageNumber(first, first)).toBe(1);
+      expect(pageNumber(first, 'https://example.com/news/story?page=2')).toBe(2);
+      expect(pageNumber(first, 'https://example.com/news/story/2')).toBe(2);
+      expect(pageNumber(first, 'https://example.com/news/story/page/3/')).toBe(3);
+      expect(pageNumber('https://example.com/story.html', 'https://example.com/story-2.html')).toBe(2);
+      expect(pageNumber('https://example.com/story?id=7', 'https://example.com/story?id=7&p=4')).toBe(4);
+      expect(pageNumber('https://example.com/story?id=7&page=1', 'https://example.com/story?id=7&page=2')).toBe(2);
+    });
+
+    it('should not count other articles as pages', () => {
+      const first = 'https://example.com/news/story';
+      expect(pageNumber(first, 'https://example.com/news/other-story')).toBeNull();
+      expect(pageNumber(first, 'https://example.com/news/story-2')).toBeNull();
+      expect(pageNumber(first, 'https://example.org/news/story/2')).toBeNull();
+      expect(pageNumber('https://example.com/story?id=7', 'https://example.com/story?id=8')).toBeNull();
+      expect(pageNumber('https://example.com/story?id=7', 'https://example.com/story?id=8&page=2')).toBeNull();
+      expect(pageNumber(first, 'https://example.com/news/story?section=world')).toBeNull();
+      expect(pageNumber('https://example.com/article/123', 'https://example.com/article/124')).toBeNull();
+    });
+  });
+
+  describe('findNextPageUrl', () => {
+    const url = 'https://example.com/news/story';
+
+    it('should follow rel="next"', () => {
+      expect(findNextPageUrl(documentOf('', '<link rel="next" href="/news/story?page=2">'), url))
+        .toBe('https://example.com/news/story?page=2');
+    });
+
+    it('should follow links labelled next, with an arrow or the next page number', () => {
+      expect(findNextPageUrl(documentOf('<a href="/news/story/2">Next page »</a>'), url))
+        .toBe('https://example.com/news/story/2');
+      expect(findNextPageUrl(documentOf('<a href="/news/story/2" aria-label="Next"><svg></svg></a>'), url))
+        .toBe('https://example.com/news/story/2');
+      expect(findNextPageUrl(documentOf('<a href="/news/story/2">›</a>'), url))
+        .toBe('https://example.com/news/story/2');
+      expect(findNextPageUrl(documentOf('<a href="/news/story/2">2</a><a href="/news/story/3">3</a>'), url))
+        .toBe('https://example.com/news/story/2');
+    });
+
+    it('should number from the first page when reading a later one', () => {
+      const document = documentOf('<a href="/news/story">1</a><a href="/news/story/2">2</a><a href="/news/story/3">3</a>');
+      expect(findNextPageUrl(document, 'https://example.com/news/story/2', url))
+        .toBe('https://example.com/news/story/3');
+    });
+
+    it('should ignore links to other articles and back to the first page', () => {
+      expect(findNextPageUrl(documentOf('<a rel="next" href="/news/next-story">Next story</a>'), url)).toBeNull();
+      expect(findNextPageUrl(documentOf('<a href="/news/story">Next</a>'), url)).toBeNull();
+      expect(findNextPageUrl(documentOf('<a href="#section-2">Next</a>'), url)).toBeNull();
+      expect(findNextPageUrl(documentOf('<a href="/article.php?id=124">Next</a>'), 'https://example.com/article.php?id=123')).toBeNull();
+      expect(findNextPageUrl(documentOf('<p>No pages</p>'), url)).toBeNull();
+    });
+  });
+});
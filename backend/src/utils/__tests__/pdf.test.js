@@ -0,0 +1,122 @@
+import { describe, it, expect } from '@jest/globals';
+import { isPdf, parsePdfDate, readPdf, reflowPdf, isGeneratedTitle } from '../pdf.js';
+import { buildPdf } from '../../__tests__/utils/pdf.js';
+
+// Text items as readPdf returns them, one per line
+function page(lines) {
+  return lines.map(({ text, y, size = 11, x = 72 }) => ({ str: text, x, y, size, hasEOL: false }));
+}
+
+describe('PDF', () => {
+  describe('isPdf', () => {
+    it('should recognise PDF files by their header', () => {
+      expect(isPdf(Buffer.from('%PDF-1.7\n...'))).toBe(true);
+      expect(isPdf(Buffer.from('\n\n%PDF-1.4\n'))).toBe(true);
+      expect(isPdf(Buffer.from('<html></html>'))).toBe(false);
+      expect(isPdf('%PDF-1.7')).toBe(false);
+    });
+  });
+
+  describe('parsePdfDate', () => {
+    it('should parse PDF and XMP dates', () => {
+      expect(parsePdfDate("D:20240315093000+01'00'").toISOString()).toBe('2024-03-15T08:30:00.000Z');
+      expect(parsePdfDate('D:20240315').toISOString()).toBe('2024-03-15T00:00:00.000Z');
+      expect(parsePdfDate('2024-03-15T09:30:00Z').toISOString()).toBe('2024-03-15T09:30:00.000Z');
+      expect(parsePdfDate('yesterday')).toBeNull();
+      expect(parsePdfDate(null)).toBeNull();
+    });
+  });
+
+  describe('isGeneratedTitle', () => {
+    it('should spot titles made up by authoring software', () => {
+      expect(isGeneratedTitle('Microsoft Word - draft3.docx')).toBe(true);
+      expect(isGeneratedTitle('report-final.pdf')).toBe(true);
+      expect(isGeneratedTitle('Untitled')).toBe(true);
+      expect(isGeneratedTitle('')).toBe(true);
+      expect(isGeneratedTitle('The Harbour Tram')).toBe(false);
+    });
+  });
+
+  describe('readPdf', () => {
+    it('should read metadata and positioned text', async () => {
+      const pdf = buildPdf({
+        info: { Title: 'Tram Report', Author: 'Sam Lee', CreationDate: "D:20240315093000+01'00'" },
+        pages: [
+          [{ text: 'The Harbour Tram', size: 20, y: 700 }, { text: 'First page.', y: 660 }],
+          [{ text: 'Second page.', y: 700 }]
+        ]
+      });
+
+      const { info, pages, pageCount } = await readPdf(pdf);
+      expect(info).toEqual({
+        title: 'Tram Report',
+        author: 'Sam Lee',
+        createdAt: new Date('2024-03-15T08:30:00Z'),
+        language: null
+      });
+      expect(pageCount).toBe(2);
+      expect(pages[0].filter(item => item.str)).toEqual([
+        expect.objectContaining({ str: 'The Harbour Tram', x: 72, y: 700, size: 20 }),
+        expect.objectContaining({ str: 'First page.', y: 660, size: 11 })
+      ]);
+    });
+
+    it('should stop after maxPages', async () => {
+      const pdf = buildPdf({ pages: [[{ text: 'One', y: 700 }], [{ text: 'Two', y: 700 }]] });
+      const { pages, pageCount } = await readPdf(pdf, { maxPages: 1 });
+      expect(pages).toHaveLength(1);
+      expect(pageCount).toBe(2);
+    });
+
+    it('should reject files that are not PDFs', async () => {
+      await expect(readPdf(Buffer.from('not a pdf'))).rejects.toThrow();
+    });
+  });
+
+  describe('reflowPdf', () => {
+    it('should make headings and paragraphs of lines', () => {
+      const { html, text, title } = reflowPdf([page([
+        { text: 'The Harbour Tram', size: 20, y: 720 },
+        { text: 'Opening day', size: 14, y: 680 },
+        { text: 'The tram opened in the spring after three years of build-', y: 660 },
+        { text: 'ing work along the waterfront, and crowds lined the quay to', y: 646 },
+        { text: 'watch the first cars.', y: 632 },
+        { text: 'Timetables were printed in four languages for the summer and', y: 608 },
+        { text: 'handed out at every stop along the line.', y: 594 }
+      ])]);
+
+      expect(title).toBe('The Harbour Tram');
+      expect(html).toBe([
+        '<h2>The Harbour Tram</h2>',
+        '<h3>Opening day</h3>',
+        '<p>The tram opened in the spring after three years of building work along the waterfront, and crowds lined the quay to watch the first cars.</p>',
+        '<p>Timetables were printed in four languages for the summer and handed out at every stop along the line.</p>'
+      ].join('\n'));
+      expect(text).toContain('building work along the waterfront');
+    });
+
+    it('should drop page numbers and running headers and join paragraphs across pages', () => {
+      const sentences = [
+        ['The quay was rebuilt in stone after the storm of the previous winter', 'washed away most of the timber piers and two of the old cranes, and'],
+        ['the harbour board raised the money for the work by a levy on every', 'ship that tied up there, which the fishing crews complained about for'],
+        ['years afterwards, long after the new cranes had paid for themselves', 'many times over in the busy summers that followed the reopening.']
+      ];
+      const pages = sentences.map((lines, index) => page([
+        { text: 'Harbour Quarterly', size: 9, y: 760 },
+        { text: lines[0], y: 700 },
+        { text: lines[1], y: 686 },
+        { text: String(index + 1), size: 9, y: 40 }
+      ]));
+
+      const { html } = reflowPdf(pages);
+      expect(html).not.toContain('Harbour Quarterly');
+      expect(html).not.toMatch(/<p>\d<\/p>/);
+      expect(html).toBe(`<p>${sentences.flat().join(' ')}</p>`);
+    });
+
+    it('should escape text', () => {
+      const { html } = reflowPdf([page([{ text: 'Fish & chips <on> the quay', y: 700 }])]);
+      expect(html).toBe('<p>Fish &amp; chips &lt;on&gt; the quay</p>');
+    });
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect } from '@jest/globals';
+import { buildMatchQuery, formatSnippet } from '../search.js';
+
+describe('Search helpers', () => {
+  describe('buildMatchQuery', () => {
+    it('should quote plain terms', () => {
+      expect(buildMatchQuery('hello world')).toBe('"hello" "world"');
+    });
+
+    it('should keep phrases and prefix terms', () => {
+      expect(buildMatchQuery('"exact phrase" foo*')).toBe('"exact phrase" "foo"*');
+    });
+
+    it('should keep boolean operators between terms', () => {
+      expect(buildMatchQuery('cats OR dogs')).toBe('"cats" OR "dogs"');
+      expect(buildMatchQuery('cats AND dogs NOT birds')).toBe('"cats" AND "dogs" NOT "birds"');
+    });
+
+    it('should turn -term into NOT', () => {
+      expect(buildMatchQuery('eggs -spam')).toBe('"eggs" NOT "spam"');
+    });
+
+    it('should drop dangling operators and leading exclusions', () => {
+      expect(buildMatchQuery('AND foo OR')).toBe('"foo"');
+      expect(buildMatchQuery('-spam eggs')).toBe('"eggs"');
+    });
+
+    it('should neutralize FTS syntax characters', () => {
+      expect(buildMatchQuery('title:foo (bar)')).toBe('"title:foo" "bar"');
+      expect(buildMatchQuery('"unbalanced')).toBe('"unbalanced"');
+    });
+
+    it('should return null when nothing searchable remains', () => {
+      expect(buildMatchQuery('*')).toBeNull();
+      expect(buildMatchQuery('   ')).toBeNull();
+    });
+  });
+
+  describe('formatSnippet', () => {
+    it('should escape HTML and mark matches', () => {
+      const snippet = formatSnippet('a <b> match & more');
+      expect(snippet).toBe('a &lt;b&gt; <mark>match</mark> &amp; more');
+    });
+
+    it('should return null for empty snippets', () => {
+      expect(formatSnippet(null)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect } from '@jest/globals';
+import { simhash, hammingDistance, findSimilar } from '../simhash.js';
+
+const STORY = 'The city council voted on Tuesday to extend the tram line to the harbour district. ' +
+  'Construction is expected to start next spring and take three years. Residents who spoke at the ' +
+  'meeting welcomed the plan but asked for quieter trams and more frequent night services. ' +
+  'The extension adds six stops, including one beside the ferry terminal and another at the new ' +
+  'hospital, and the council says journeys from the centre will take twelve minutes. Shop owners ' +
+  'along the route worry about the years of roadworks, and a fund will cover some of their lost ' +
+  'trade. Funding comes from the regional transport budget and a loan that will be repaid from ' +
+  'fares over thirty years. Opponents argued that buses could serve the district sooner and for a ' +
+  'fraction of the cost, but the motion passed by nineteen votes to eight after a debate of ' +
+  'almost four hours. The first trams on the new line are planned for the summer of the third year.';
+const OTHER = 'A rare orchid has flowered in the botanical garden for the first time in twelve years. ' +
+  'Gardeners kept the greenhouse humid and warm through the winter, and visitors queued for an hour ' +
+  'on the opening weekend to see the pale yellow blooms before they fade.';
+
+describe('SimHash', () => {
+  it('should give the same text the same fingerprint regardless of case and spacing', () => {
+    const hash = simhash(STORY);
+    expect(hash).toMatch(/^[0-9a-f]{16}$/);
+    expect(simhash(STORY.toUpperCase().replace(/ /g, '  '))).toBe(hash);
+  });
+
+  it('should give similar texts close fingerprints and different texts distant ones', () => {
+    const edited = `By Staff Reporter. ${STORY} Share this article.`;
+    expect(hammingDistance(simhash(STORY), simhash(edited))).toBeLessThanOrEqual(6);
+    expect(hammingDistance(simhash(STORY), simhash(OTHER))).toBeGreaterThan(10);
+  });
+
+  it('should not fingerprint short texts', () => {
+    expect(simhash('Too short to tell apart.')).toBeNull();
+    expect(simhash('')).toBeNull();
+    expect(simhash('Too short to tell apart.', { minWords: 3 })).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  it('should count differing bits', () => {
+    expect(hammingDistance('0000000000000000', '0000000000000000')).toBe(0);
+    expect(hammingDistance('ffffffffffffffff', '0000000000000000')).toBe(64);
+    expect(hammingDistance('0000000100000003', '0000000000000000')).toBe(3);
+  });
+
+  it('should find pairs within the distance', () => {
+    const items = [
+      { id: 1, hash: '0000000000000000' },
+      { id: 2, hash: '8000000000000001' },
+      { id: 3, hash: 'ffffffffffffffff' },
+      { id: 4, hash: '000000000000000f' }
+    ];
+
+    expect(findSimilar(items, 3)).toEqual([{ a: 1, b: 2, distance: 2 }]);
+    expect(findSimilar(items, 4)).toEqual(expect.arrayContaining([
+      { a: 1, b: 2, distance: 2 },
+      { a: 1, b: 4, distance: 4 }
+    ]));
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, it, expect } from '@jest/globals';
+import { isValidPattern, patternMatches, comparePatterns } from '../sitePattern.js';
+
+describe('Site patterns', () => {
+  it('should match a host and its subdomains', () => {
+    expect(patternMatches('example.com', 'https://example.com/story')).toBe(true);
+    expect(patternMatches('example.com', 'https://www.example.com/story')).toBe(true);
+    expect(patternMatches('Example.com', 'http://news.example.com/')).toBe(true);
+    expect(patternMatches('example.com', 'https://notexample.com/story')).toBe(false);
+    expect(patternMatches('example.com', 'https://example.com.evil.test/')).toBe(false);
+  });
+
+  it('should match globs in the host and path', () => {
+    expect(patternMatches('*.substack.com', 'https://writer.substack.com/p/post')).toBe(true);
+    expect(patternMatches('*.substack.com', 'https://substack.com/p/post')).toBe(false);
+    expect(patternMatches('example.com/blog/*', 'https://example.com/blog/post?id=1')).toBe(true);
+    expect(patternMatches('example.com/blog/*', 'https://example.com/news/post')).toBe(false);
+    expect(patternMatches('https://example.com/*/amp', 'https://example.com/story/amp')).toBe(true);
+    expect(patternMatches('localhost:8080', 'http://localhost:8080/page')).toBe(true);
+    expect(patternMatches('localhost:8080', 'http://localhost:3000/page')).toBe(false);
+  });
+
+  it('should validate patterns', () => {
+    expect(isValidPattern('example.com')).toBe(true);
+    expect(isValidPattern('*.example.com/blog/*')).toBe(true);
+    expect(isValidPattern('*')).toBe(false);
+    expect(isValidPattern('')).toBe(false);
+    expect(isValidPattern('exa mple.com')).toBe(false);
+  });
+
+  it('should order more specific patterns first', () => {
+    const patterns = ['*.example.com', 'example.com', 'example.com/blog/*', 'news.example.com'];
+    expect(patterns.sort(comparePatterns)).toEqual(['example.com/blog/*', 'news.example.com', 'example.com', '*.example.com']);
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect } from '@jest/globals';
+import { anchorQuote, describeRange } from '../textAnchor.js';
+
+describe('Text anchoring', () => {
+  const text = 'The cat sat on the mat. Later the cat sat on the sofa.';
+
+  it('should find a unique quote', () => {
+    expect(anchorQuote(text, { exact: 'mat' })).toEqual({ start: 19, end: 22 });
+  });
+
+  it('should use context to pick between repeated quotes', () => {
+    const second = anchorQuote(text, { exact: 'cat sat', prefix: 'Later the ', suffix: ' on the sofa' });
+    expect(second.start).toBe(text.lastIndexOf('cat sat'));
+
+    const first = anchorQuote(text, { exact: 'cat sat', prefix: 'The ', suffix: ' on the mat' });
+    expect(first.start).toBe(text.indexOf('cat sat'));
+  });
+
+  it('should prefer the occurrence nearest the old offset when context ties', () => {
+    const repeated = 'word word word';
+    expect(anchorQuote(repeated, { exact: 'word', start: 9 }).start).toBe(10);
+  });
+
+  it('should tolerate whitespace differences', () => {
+    const position = anchorQuote('The cat\n   sat down', { exact: 'cat sat' });
+    expect(position).toEqual({ start: 4, end: 14 });
+  });
+
+  it('should follow a quote that moved', () => {
+    const selector = describeRange(text, 19, 22);
+    const moved = anchorQuote(`New intro paragraph. ${text}`, selector);
+    expect(moved).toEqual({ start: 40, end: 43 });
+  });
+
+  it('should return null when the quote is gone', () => {
+    expect(anchorQuote(text, { exact: 'dog' })).toBeNull();
+    expect(anchorQuote('', { exact: 'cat' })).toBeNull();
+    expect(anchorQuote(text, { exact: '   ' })).toBeNull();
+  });
+
+  it('should treat regex characters literally', () => {
+    expect(anchorQuote('costs $5 (approx.)', { exact: '$5 (approx.)' })).toEqual({ start: 6, end: 18 });
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect } from '@jest/globals';
+import { diffText } from '../textDiff.js';
+
+describe('Text diff', () => {
+  it('should report identical texts as one unchanged run', () => {
+    expect(diffText('The cat sat.', 'The  cat\nsat.')).toEqual({
+      changes: [{ type: 'equal', text: 'The cat sat.' }],
+      added: 0,
+      removed: 0
+    });
+  });
+
+  it('should mark replaced, added and removed words', () => {
+    const diff = diffText(
+      'The cat sat on the mat. It was warm.',
+      'The dog sat on the mat. It was warm and sunny.'
+    );
+
+    expect(diff.changes).toEqual([
+      { type: 'equal', text: 'The' },
+      { type: 'removed', text: 'cat' },
+      { type: 'added', text: 'dog' },
+      { type: 'equal', text: 'sat on the mat. It was' },
+      { type: 'removed', text: 'warm.' },
+      { type: 'added', text: 'warm and sunny.' }
+    ]);
+    expect(diff).toMatchObject({ added: 4, removed: 2 });
+  });
+
+  it('should handle empty texts', () => {
+    expect(diffText('', 'New text')).toEqual({
+      changes: [{ type: 'added', text: 'New text' }],
+      added: 2,
+      removed: 0
+    });
+    expect(diffText(null, '')).toEqual({ changes: [], added: 0, removed: 0 });
+  });
+
+  it('should rebuild both texts from the changes', () => {
+    const before = 'one two three four five six seven eight nine ten';
+    const after = 'zero one three four six five seven nine ten eleven';
+    const { changes } = diffText(before, after);
+
+    const pick = types => changes.filter(({ type }) => types.includes(type)).map(({ text }) => text).join(' ');
+    expect(pick(['equal', 'removed'])).toBe(before);
+    expect(pick(['equal', 'added'])).toBe(after);
+  });
+
+  it('should fall back to a whole replacement past the edit limit', () => {
+    const diff = diffText('a b c d e', 'a v w x e', { maxEdits: 2 });
+
+    expect(diff.changes).toEqual([
+      { type: 'equal', text: 'a' },
+      { type: 'removed', text: 'b c d' },
+      { type: 'added', text: 'v w x' },
+      { type: 'equal', text: 'e' }
+    ]);
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from '@jest/globals';
+import { canonicalizeUrl, buildParamRules, isSameSite } from '../urlCanonical.js';
+
+describe('URL canonicalization', () => {
+  it('should strip tracking parameters and keep the rest, sorted', () => {
+    expect(canonicalizeUrl('https://example.com/story?utm_source=feed&id=7&fbclid=abc&UTM_Medium=x&a=1'))
+      .toBe('https://example.com/story?a=1&id=7');
+    expect(canonicalizeUrl('https://example.com/story?utm_campaign=spring')).toBe('https://example.com/story');
+  });
+
+  it('should only apply host-scoped rules on that host', () => {
+    expect(canonicalizeUrl('https://www.youtube.com/watch?v=abc&si=share')).toBe('https://www.youtube.com/watch?v=abc');
+    expect(canonicalizeUrl('https://example.com/search?si=1')).toBe('https://example.com/search?si=1');
+  });
+
+  it('should remove trailing slashes, fragments and default ports', () => {
+    expect(canonicalizeUrl('HTTPS://Example.COM:443/news/story/#comments')).toBe('https://example.com/news/story');
+    expect(canonicalizeUrl('https://example.com/')).toBe('https://example.com/');
+    expect(canonicalizeUrl('https://example.com/app#!/story/7')).toBe('https://example.com/app#!/story/7');
+  });
+
+  it('should map AMP versions to the regular page', () => {
+    expect(canonicalizeUrl('https://example.com/news/story/amp/')).toBe('https://example.com/news/story');
+    expect(canonicalizeUrl('https://example.com/amp/news/story')).toBe('https://example.com/news/story');
+    expect(canonicalizeUrl('https://example.com/news/story.amp.html')).toBe('https://example.com/news/story.html');
+    expect(canonicalizeUrl('https://example.com/story?amp=1')).toBe('https://example.com/story');
+    expect(canonicalizeUrl('https://example.com/story?outputType=amp')).toBe('https://example.com/story');
+    expect(canonicalizeUrl('https://example-com.cdn.ampproject.org/c/s/example.com/news/story/amp'))
+      .toBe('https://example.com/news/story');
+  });
+
+  it('should be idempotent', () => {
+    const url = canonicalizeUrl('https://example.com/amp/story/?b=2&utm_source=x&a=1#top');
+    expect(canonicalizeUrl(url)).toBe(url);
+  });
+
+  it('should leave other URLs alone', () => {
+    expect(canonicalizeUrl('not a url')).toBe('not a url');
+    expect(canonicalizeUrl('ftp://example.com/file/')).toBe('ftp://example.com/file/');
+  });
+
+  it('should add and remove rules', () => {
+    const rules = buildParamRules('ref, example.com:src, -fbclid');
+    expect(canonicalizeUrl('https://example.com/a?ref=home&src=nav&fbclid=1&utm_source=x', rules))
+      .toBe('https://example.com/a?fbclid=1');
+    expect(canonicalizeUrl('https://other.org/a?src=nav', rules)).toBe('https://other.org/a?src=nav');
+  });
+
+  it('should tell whether hosts belong to the same site', () => {
+    expect(isSameSite('www.example.com', 'example.com')).toBe(true);
+    expect(isSameSite('m.example.com', 'example.com')).toBe(true);
+    expect(isSameSite('example.com', 'notexample.com')).toBe(false);
+    expect(isSameSite('news.example.com', 'example.com')).toBe(true);
+    expect(isSameSite('example.com', 'example.org')).toBe(false);
+  });
+});
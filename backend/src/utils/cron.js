@@ -0,0 +1,195 @@
+/**
+ * Minimal cron expression support for digest schedules
+ *
+ * Standard five fields (minute hour day-of-month month day-of-week) with
+ * lists, ranges, steps and month/day names, plus @hourly, @daily, @weekly
+ * and @monthly. Times are evaluated in the server's local time zone.
+ */
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+// Give up if no match within this many years (e.g. "0 0 31 2 *")
+const MAX_YEARS = 5;
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Cron expression
+ * @returns {Object} - { minutes, hours, days, months, weekdays, anyDay, anyWeekday }
+ * @throws {Error} - If the expression is invalid
+ */
+export function parseCron(expression) {
+  const source = String(expression || '').trim().toLowerCase();
+  const fields = (MACROS[source] || source).split(/\s+/);
+
+  if (fields.length !== 5) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseField(field, FIELDS[i]));
+
+  // 7 is an alias for Sunday
+  if (weekdays.has(7)) {
+    weekdays.delete(7);
+    weekdays.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2] === '*',
+    anyWeekday: fields[4] === '*'
+  };
+}
+
+/**
+ * Check whether a cron expression is valid
+ */
+export function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the next time a cron expression fires, strictly after a date
+ * @param {string} expression - Cron expression
+ * @param {Date} from - Start date (default now)
+ * @returns {Date} - Next run time
+ */
+export function getNextRun(expression, from = new Date()) {
+  const cron = parseCron(expression);
+
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(from.getTime());
+  limit.setFullYear(limit.getFullYear() + MAX_YEARS);
+
+  while (date <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+
+    if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+
+    return date;
+  }
+
+  throw new Error(`Cron expression never fires: ${expression}`);
+}
+
+/**
+ * Day matching follows cron semantics: when both day-of-month and
+ * day-of-week are restricted, either one matching is enough
+ */
+function matchesDay(cron, date) {
+  const dayMatches = cron.days.has(date.getDate());
+  const weekdayMatches = cron.weekdays.has(date.getDay());
+
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay) return weekdayMatches;
+  if (cron.anyWeekday) return dayMatches;
+  return dayMatches || weekdayMatches;
+}
+
+/**
+ * Parse a single field into the set of values it matches
+ */
+function parseField(field, spec) {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInteger(stepText, spec);
+    if (step < 1) {
+      throw new Error(`Invalid step in ${spec.name}: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = spec.min;
+      end = spec.max;
+    } else if (range.includes('-')) {
+      const [low, high] = range.split('-');
+      start = parseValue(low, spec);
+      end = parseValue(high, spec);
+    } else {
+      start = parseValue(range, spec);
+      // "5/15" means starting at 5, every 15
+      end = stepText === undefined ? start : spec.max;
+    }
+
+    if (start > end) {
+      throw new Error(`Invalid range in ${spec.name}: ${part}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+function parseValue(text, spec) {
+  if (spec.names) {
+    const index = spec.names.indexOf(text);
+    if (index !== -1) return index + spec.offset;
+  }
+
+  const value = parseInteger(text, spec);
+  if (value < spec.min || value > spec.max) {
+    throw new Error(`Value out of range for ${spec.name}: ${text}`);
+  }
+  return value;
+}
+
+function parseInteger(text, spec) {
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`Invalid value in ${spec.name}: ${text}`);
+  }
+  return parseInt(text, 10);
+}
+
+export default { parseCron, isValidCron, getNextRun };
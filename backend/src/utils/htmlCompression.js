@@ -0,0 +1,50 @@
+/**
+ * Compression of stored page HTML
+ *
+ * Brotli at a middling quality: pages shrink to a tenth or less, and
+ * compressing a large page still takes only milliseconds.
+ */
+
+import zlib from 'zlib';
+import { promisify } from 'util';
+
+const brotliCompress = promisify(zlib.brotliCompress);
+
+export const HTML_ENCODING = 'br';
+
+function brotliOptions(html) {
+  return {
+    params: {
+      [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT,
+      [zlib.constants.BROTLI_PARAM_QUALITY]: 5,
+      [zlib.constants.BROTLI_PARAM_SIZE_HINT]: Buffer.byteLength(html)
+    }
+  };
+}
+
+/**
+ * Compress HTML (off the main thread)
+ * @returns {Promise<Buffer>}
+ */
+export function compressHtml(html) {
+  return brotliCompress(html, brotliOptions(html));
+}
+
+/**
+ * Compress HTML synchronously (for migrations)
+ * @returns {Buffer}
+ */
+export function compressHtmlSync(html) {
+  return zlib.brotliCompressSync(html, brotliOptions(html));
+}
+
+/**
+ * Decompress stored HTML
+ * @param {Buffer} content
+ * @param {string} encoding - 'br' or 'gzip'
+ * @returns {string}
+ */
+export function decompressHtml(content, encoding) {
+  const buffer = encoding === 'gzip' ? zlib.gunzipSync(content) : zlib.brotliDecompressSync(content);
+  return buffer.toString('utf8');
+}
@@ -0,0 +1,301 @@
+/**
+ * Parsers for bookmark export formats
+ *
+ * Every parser returns items shaped as:
+ *   { url, title, tags: string[], isArchived, isFavorite, savedAt: Date|null }
+ */
+import { JSDOM } from 'jsdom';
+
+export const IMPORT_FORMATS = ['pocket', 'instapaper', 'pinboard', 'netscape'];
+
+// Browser root folders that shouldn't become tags
+const ROOT_FOLDERS = new Set([
+  'bookmarks',
+  'bookmarks bar',
+  'bookmarks toolbar',
+  'bookmarks menu',
+  'other bookmarks',
+  'mobile bookmarks',
+  'favorites bar',
+  'favourites bar'
+]);
+
+/**
+ * Guess the format of an export file
+ * @param {string} content - File contents
+ * @param {string} filename - Optional file name
+ * @returns {string|null} - Format name or null if unknown
+ */
+export function detectFormat(content, filename = '') {
+  const text = String(content).trimStart();
+  const name = filename.toLowerCase();
+
+  if (name.endsWith('.json') || text.startsWith('[') || text.startsWith('{')) {
+    return 'pinboard';
+  }
+
+  if (name.endsWith('.csv') || /^"?url"?\s*,/i.test(text)) {
+    return 'instapaper';
+  }
+
+  if (/<title>\s*Pocket Export\s*<\/title>/i.test(text) || /\btime_added=/i.test(text)) {
+    return 'pocket';
+  }
+
+  if (/NETSCAPE-Bookmark-file/i.test(text) || /<dt>\s*<a\s/i.test(text)) {
+    return 'netscape';
+  }
+
+  return null;
+}
+
+/**
+ * Parse an export file
+ * @param {string} content - File contents
+ * @param {string} format - One of IMPORT_FORMATS
+ * @returns {Array} - Parsed items
+ */
+export function parseExport(content, format) {
+  switch (format) {
+    case 'pocket':
+      return parsePocketHtml(content);
+    case 'instapaper':
+      return parseInstapaperCsv(content);
+    case 'pinboard':
+      return parsePinboardJson(content);
+    case 'netscape':
+      return parseNetscapeHtml(content);
+    default:
+      throw new Error(`Unsupported import format: ${format}`);
+  }
+}
+
+/**
+ * Pocket HTML export: an <h1> per section ("Unread", "Read Archive") followed
+ * by a list of links with time_added and comma-separated tags attributes
+ */
+export function parsePocketHtml(content) {
+  const { document } = new JSDOM(content).window;
+  const items = [];
+
+  for (const link of document.querySelectorAll('a[href]')) {
+    const heading = findPrecedingHeading(link, 'H1');
+
+    items.push({
+      url: link.getAttribute('href').trim(),
+      title: cleanTitle(link.textContent),
+      tags: splitTags(link.getAttribute('tags'), ','),
+      isArchived: /archive/i.test(heading?.textContent || ''),
+      isFavorite: false,
+      savedAt: parseUnixTime(link.getAttribute('time_added'))
+    });
+  }
+
+  return items;
+}
+
+/**
+ * Instapaper CSV export: URL,Title,Selection,Folder,Timestamp[,Tags]
+ * Folder is Unread, Archive, Starred or the name of a custom folder
+ */
+export function parseInstapaperCsv(content) {
+  const [header, ...rows] = parseCsv(content);
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(column => column.trim().toLowerCase());
+  const column = (row, name) => {
+    const index = columns.indexOf(name);
+    return index === -1 ? '' : (row[index] || '').trim();
+  };
+
+  if (!columns.includes('url')) {
+    throw new Error('CSV is missing a URL column');
+  }
+
+  return rows
+    .filter(row => column(row, 'url'))
+    .map(row => {
+      const folder = column(row, 'folder');
+      const folderKey = folder.toLowerCase();
+      const tags = parseTagList(column(row, 'tags'));
+
+      // Custom folders are the closest thing Instapaper has to tags
+      if (folder && !['unread', 'archive', 'starred'].includes(folderKey)) {
+        tags.push(folder);
+      }
+
+      return {
+        url: column(row, 'url'),
+        title: cleanTitle(column(row, 'title')),
+        tags,
+        isArchived: folderKey === 'archive',
+        isFavorite: folderKey === 'starred',
+        savedAt: parseUnixTime(column(row, 'timestamp'))
+      };
+    });
+}
+
+/**
+ * Pinboard JSON export: array of { href, description, time, toread, tags }
+ * Bookmarks not marked "to read" count as already read, i.e. archived
+ */
+export function parsePinboardJson(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  if (!Array.isArray(data)) {
+    throw new Error('Pinboard export must be a JSON array');
+  }
+
+  return data
+    .filter(entry => entry && typeof entry.href === 'string')
+    .map(entry => ({
+      url: entry.href.trim(),
+      title: cleanTitle(entry.description),
+      tags: splitTags(entry.tags, ' '),
+      isArchived: entry.toread === 'no',
+      isFavorite: false,
+      savedAt: parseDate(entry.time)
+    }));
+}
+
+/**
+ * Netscape bookmark file (browser exports): nested <DL> lists where each
+ * folder is a <DT><H3> followed by its own <DL>. Folder names become tags.
+ */
+export function parseNetscapeHtml(content) {
+  const { document } = new JSDOM(content).window;
+  const items = [];
+
+  for (const link of document.querySelectorAll('dt > a[href]')) {
+    const folders = [];
+    for (let list = link.closest('dl'); list; list = list.parentElement?.closest('dl')) {
+      const heading = list.previousElementSibling;
+      if (heading?.tagName === 'H3' && !heading.hasAttribute('personal_toolbar_folder')) {
+        const name = heading.textContent.trim();
+        if (name && !ROOT_FOLDERS.has(name.toLowerCase())) {
+          folders.unshift(name);
+        }
+      }
+    }
+
+    items.push({
+      url: link.getAttribute('href').trim(),
+      title: cleanTitle(link.textContent),
+      tags: [...splitTags(link.getAttribute('tags'), ','), ...folders],
+      isArchived: false,
+      isFavorite: false,
+      savedAt: parseUnixTime(link.getAttribute('add_date'))
+    });
+  }
+
+  return items;
+}
+
+/**
+ * Parse CSV (RFC 4180: quoted fields, escaped quotes, embedded newlines)
+ * @returns {string[][]} - Rows of fields
+ */
+export function parseCsv(content) {
+  const text = String(content).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Find the nearest heading of a tag before an element in document order
+ */
+function findPrecedingHeading(element, tagName) {
+  for (let node = element; node; node = node.parentElement) {
+    for (let sibling = node.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+      if (sibling.tagName === tagName) return sibling;
+    }
+  }
+  return null;
+}
+
+/**
+ * Instapaper writes tags as a JSON array; accept a comma list too
+ */
+function parseTagList(value) {
+  if (!value) return [];
+  if (value.startsWith('[')) {
+    try {
+      const tags = JSON.parse(value);
+      return Array.isArray(tags) ? tags.map(String).filter(Boolean) : [];
+    } catch {
+      // Fall through to comma-separated
+    }
+  }
+  return splitTags(value, ',');
+}
+
+function splitTags(value, separator) {
+  if (!value) return [];
+  return String(value)
+    .split(separator)
+    .map(tag => tag.trim())
+    .filter(Boolean);
+}
+
+function cleanTitle(value) {
+  const title = String(value || '').trim().replace(/\s+/g, ' ');
+  return title || null;
+}
+
+function parseUnixTime(value) {
+  const seconds = parseInt(value, 10);
+  if (!Number.isFinite(seconds) || seconds <= 0) return null;
+  return new Date(seconds * 1000);
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+export default { IMPORT_FORMATS, detectFormat, parseExport, parseCsv };
@@ -0,0 +1,137 @@
+/**
+ * Pagination of multi-page articles
+ *
+ * Finds the link to an article's next page, and tells a link to another page
+ * of the same article (`?page=2`, `/story/2`, `story-2.html`) from a link to
+ * another article, so "next story" links aren't followed.
+ */
+
+// Link text of "next page" links, without arrows
+const NEXT_LABELS = [
+  'next', 'next page', 'continue', 'weiter', 'nächste seite', 'suivant', 'page suivante',
+  'siguiente', 'página siguiente', 'successiva', 'pagina successiva', 'volgende'
+];
+const ARROW = /[›»>→]/;
+// Query parameters that hold a page number even when the first page has them
+const PAGE_PARAMS = ['page', 'p', 'pg', 'paged'];
+
+function normalizePath(pathname) {
+  return pathname.replace(/\/+$/, '') || '/';
+}
+
+/**
+ * Page number in a path continuing the first page's path
+ * e.g. /story → /story/2, /story/page/2; /story.html → /story-2.html, /story/2.html
+ */
+function pathPageNumber(firstPath, path) {
+  const first = normalizePath(firstPath);
+  const extension = first.match(/\.(?:html?|php|aspx?)$/i)?.[0] || '';
+  const stem = first.slice(0, first.length - extension.length);
+  if (!path.startsWith(stem)) {
+    return null;
+  }
+
+  const rest = path.slice(stem.length);
+  const pattern = extension
+    ? new RegExp(`^(?:[-_/]|/page/?)(\\d+)\\${extension}$`, 'i')
+    : /^\/(?:page[-/]?)?(\d+)\/?$/i;
+  const match = rest.match(pattern);
+  return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * Page number in a query string that differs from the first page's in one numeric parameter
+ * e.g. /story?id=7 → /story?id=7&page=2
+ * The parameter must be new or named like a page, so /story?id=8 is another story.
+ */
+function queryPageNumber(first, url) {
+  const names = new Set([...first.searchParams.keys(), ...url.searchParams.keys()]);
+  const changed = [...names].filter(name =>
+    first.searchParams.getAll(name).join() !== url.searchParams.getAll(name).join()
+  );
+
+  if (changed.length !== 1) {
+    return null;
+  }
+  if (first.searchParams.has(changed[0]) && !PAGE_PARAMS.includes(changed[0].toLowerCase())) {
+    return null;
+  }
+
+  const value = url.searchParams.get(changed[0]);
+  return /^\d+$/.test(value || '') ? parseInt(value) : null;
+}
+
+/**
+ * Page number of a URL as a page of the article starting at firstUrl
+ * @returns {number|null} - 1 for the first page, null if the URL isn't a page of the article
+ */
+export function pageNumber(firstUrl, url) {
+  let first;
+  let candidate;
+  try {
+    first = new URL(firstUrl);
+    candidate = new URL(url);
+  } catch {
+    return null;
+  }
+
+  if (first.origin !== candidate.origin) {
+    return null;
+  }
+
+  if (normalizePath(first.pathname) === normalizePath(candidate.pathname)) {
+    return first.search === candidate.search ? 1 : queryPageNumber(first, candidate);
+  }
+
+  return first.search === candidate.search ? pathPageNumber(first.pathname, candidate.pathname) : null;
+}
+
+function isNextLink(link, currentPage) {
+  const text = (link.textContent.trim() || link.getAttribute('aria-label') || link.getAttribute('title') || '')
+    .replace(/\s+/g, ' ');
+  const label = text.replace(new RegExp(ARROW, 'g'), '').trim().toLowerCase();
+
+  if (NEXT_LABELS.includes(label) || (!label && ARROW.test(text))) {
+    return true;
+  }
+  // Numbered page links
+  if (label === String(currentPage + 1)) {
+    return true;
+  }
+  return /(?:^|[\s_-])next(?:$|[\s_-])/i.test(link.getAttribute('class') || '');
+}
+
+/**
+ * Find the URL of an article's next page
+ * Tries rel="next" first, then links labelled "next" (or an arrow, or the
+ * next page number). Only links to another page of the same article count.
+ * Read the document before Readability, which removes pagination.
+ * @param {Document} document - The page
+ * @param {string} pageUrl - URL of the page
+ * @param {string} firstUrl - URL of the article's first page
+ * @returns {string|null}
+ */
+export function findNextPageUrl(document, pageUrl, firstUrl = pageUrl) {
+  const currentPage = pageNumber(firstUrl, pageUrl) ?? 1;
+  const candidates = [
+    ...document.querySelectorAll('link[rel~="next"][href], a[rel~="next"][href]'),
+    ...[...document.querySelectorAll('a[href]')].filter(link => isNextLink(link, currentPage))
+  ];
+
+  for (const element of candidates) {
+    let url;
+    try {
+      url = new URL(element.getAttribute('href'), pageUrl);
+    } catch {
+      continue;
+    }
+    url.hash = '';
+
+    const number = pageNumber(firstUrl, url.href);
+    if (url.href !== pageUrl && number !== null && number !== 1) {
+      return url.href;
+    }
+  }
+
+  return null;
+}
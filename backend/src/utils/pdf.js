@@ -0,0 +1,266 @@
+/**
+ * Text and metadata from PDF files
+ *
+ * readPdf() reads a PDF with pdf.js (no native code); reflowPdf() turns the
+ * positioned text of its pages back into headings and paragraphs, dropping
+ * running headers, footers and page numbers and joining hyphenated words.
+ */
+
+import { getDocument, PDFDateString } from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+const PDF_MAGIC = '%PDF-';
+const PAGE_NUMBER = /^(?:page\s*)?\d{1,4}(?:\s*(?:of|\/)\s*\d{1,4})?$/i;
+const BULLET = /^(?:[•▪◦●‣∙–-]\s|\(?\d{1,2}[.)]\s|\(?[a-z][.)]\s)/i;
+const SENTENCE_END = /[.!?:;"”’)\]]$/;
+
+/**
+ * Whether a buffer holds a PDF file (by its header, which may follow some junk)
+ */
+export function isPdf(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.subarray(0, 1024).includes(PDF_MAGIC);
+}
+
+/**
+ * Parse a PDF date (`D:20240315093000+01'00'`) or an XMP (ISO 8601) date
+ * @returns {Date|null}
+ */
+export function parsePdfDate(value) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+  const date = value.startsWith('D:') || /^\d{8,14}(?:[Z+-]|$)/.test(value)
+    ? PDFDateString.toDateObject(value.startsWith('D:') ? value : `D:${value}`)
+    : new Date(value);
+  return date && !isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * Read a PDF's metadata and the positioned text of its pages
+ * @param {Buffer} buffer - The PDF file
+ * @param {Object} options - { maxPages } to read at most
+ * @returns {Promise<Object>} - { info: { title, author, createdAt, language }, pages: [[{ str, x, y, size, hasEOL }]], pageCount }
+ */
+export async function readPdf(buffer, { maxPages = Infinity } = {}) {
+  const document = await getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    disableFontFace: true,
+    useSystemFonts: false,
+    verbosity: 0
+  }).promise;
+
+  try {
+    const { info = {}, metadata } = await document.getMetadata();
+    const xmp = (name) => metadata?.get(name) || null;
+    const text = (value) => (typeof value === 'string' && value.trim()) || null;
+
+    const pages = [];
+    for (let number = 1; number <= Math.min(document.numPages, maxPages); number++) {
+      const page = await document.getPage(number);
+      const { items } = await page.getTextContent();
+      pages.push(items
+        .filter(item => item.str !== undefined && (item.str || item.hasEOL))
+        .map(item => ({
+          str: item.str,
+          x: item.transform[4],
+          y: item.transform[5],
+          size: Math.hypot(item.transform[2], item.transform[3]) || item.height,
+          hasEOL: item.hasEOL
+        })));
+      page.cleanup();
+    }
+
+    return {
+      info: {
+        title: text(info.Title) || text(xmp('dc:title')),
+        author: text(info.Author) || text([].concat(xmp('dc:creator') || []).join(', ')),
+        createdAt: parsePdfDate(info.CreationDate) || parsePdfDate(xmp('xmp:createdate')),
+        language: text(info.Language)
+      },
+      pages,
+      pageCount: document.numPages
+    };
+  } finally {
+    await document.destroy();
+  }
+}
+
+/**
+ * Group a page's text items into lines
+ * A line ends at an end-of-line mark or where the baseline moves.
+ */
+function pageLines(items) {
+  const lines = [];
+  let line = null;
+
+  for (const item of items) {
+    const sameBaseline = line && Math.abs(line.y - item.y) < Math.max(line.size, item.size) * 0.5;
+    if (!line || line.ended || !sameBaseline) {
+      line = { text: '', x: item.x, y: item.y, size: item.size, ended: false };
+      lines.push(line);
+    }
+    line.text += item.str;
+    line.size = Math.max(line.size, item.str.trim() ? item.size : 0);
+    line.ended = item.hasEOL;
+  }
+
+  return lines
+    .map(({ text, x, y, size }) => ({ text: text.replace(/\s+/g, ' ').trim(), x, y, size }))
+    .filter(({ text }) => text);
+}
+
+function median(values) {
+  const sorted = values.filter(value => value > 0).sort((a, b) => a - b);
+  return sorted.length > 0 ? sorted[Math.floor(sorted.length / 2)] : 0;
+}
+
+/**
+ * Lines repeated at the top or bottom of many pages (running headers and
+ * footers), and page numbers there
+ */
+function isPageFurniture(line, position, pageLineCount, repeated) {
+  const atEdge = position < 2 || position >= pageLineCount - 2;
+  return atEdge && (PAGE_NUMBER.test(line.text) || repeated.has(furnitureKey(line.text)));
+}
+
+function furnitureKey(text) {
+  return text.toLowerCase().replace(/\d+/g, '#');
+}
+
+function joinLines(previous, next) {
+  // "exam-" + "ple" → "example", but keep "well-" + "Known" and "2019-" + "20"
+  if (/[a-zà-ÿ]-$/i.test(previous) && /^[a-zà-ÿ]/.test(next)) {
+    return previous.slice(0, -1) + next;
+  }
+  return `${previous} ${next}`;
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
+
+/**
+ * Reflow the text of a PDF's pages into headings and paragraphs
+ * Body text is the most common font size; larger short lines are headings.
+ * A paragraph ends at a wider gap than the usual line spacing, at a short
+ * line ending a sentence, or before a list item; it continues across page
+ * and column breaks unless the text there ends a sentence.
+ * @param {Array[]} pages - Text items of each page, as from readPdf()
+ * @returns {Object} - { html, text, title (largest text on the first page, if larger than the body) }
+ */
+export function reflowPdf(pages) {
+  const linesByPage = pages.map(pageLines);
+
+  // Repeated lines only count as running headers on longer documents
+  const repeated = new Set();
+  if (linesByPage.length >= 3) {
+    const counts = new Map();
+    for (const lines of linesByPage) {
+      const keys = new Set([...lines.slice(0, 2), ...lines.slice(-2)].map(line => furnitureKey(line.text)));
+      for (const key of keys) {
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+    }
+    for (const [key, count] of counts) {
+      if (count >= Math.max(3, linesByPage.length / 2)) {
+        repeated.add(key);
+      }
+    }
+  }
+
+  const pageContent = linesByPage.map(lines =>
+    lines.filter((line, position) => !isPageFurniture(line, position, lines.length, repeated))
+  );
+  const allLines = pageContent.flat();
+
+  // Body size: the size most text is set in
+  const textBySize = new Map();
+  for (const line of allLines) {
+    const size = Math.round(line.size * 2) / 2;
+    textBySize.set(size, (textBySize.get(size) || 0) + line.text.length);
+  }
+  const bodySize = [...textBySize].sort((a, b) => b[1] - a[1])[0]?.[0] || 0;
+  const isHeading = line => bodySize > 0 && line.size >= bodySize * 1.15 && line.text.length <= 200;
+
+  const bodyLines = allLines.filter(line => !isHeading(line));
+  const lineLength = median(bodyLines.map(line => line.text.length));
+  const lineSpacing = median(pageContent.flatMap(lines =>
+    lines.slice(1).map((line, index) => (!isHeading(line) && !isHeading(lines[index]) ? lines[index].y - line.y : 0))
+  ));
+
+  const blocks = [];
+  let previous = null;
+
+  for (const [pageIndex, lines] of pageContent.entries()) {
+    for (const line of lines) {
+      const block = blocks[blocks.length - 1];
+      const heading = isHeading(line);
+
+      if (heading) {
+        const continuesHeading = block?.type === 'heading' && previous?.page === pageIndex &&
+          Math.abs(block.size - line.size) < 0.5 && previous.y - line.y <= line.size * 1.8;
+        if (continuesHeading) {
+          block.text = joinLines(block.text, line.text);
+        } else {
+          blocks.push({ type: 'heading', text: line.text, size: line.size });
+        }
+      } else {
+        let startsParagraph = !block || block.type !== 'paragraph' || BULLET.test(line.text);
+        if (!startsParagraph) {
+          const gap = previous.page === pageIndex ? previous.y - line.y : null;
+          if (gap !== null && gap > 0) {
+            // Wider spacing, or a short line that ended the last paragraph
+            startsParagraph = (lineSpacing > 0 && gap > lineSpacing * 1.4) ||
+              (previous.text.length < lineLength * 0.7 && SENTENCE_END.test(previous.text));
+          } else {
+            // Next page or column: the paragraph goes on unless it ended
+            startsParagraph = SENTENCE_END.test(block.text) && previous.text.length < lineLength * 0.7;
+          }
+        }
+
+        if (startsParagraph) {
+          blocks.push({ type: 'paragraph', text: line.text });
+        } else {
+          block.text = joinLines(block.text, line.text);
+        }
+      }
+
+      previous = { ...line, page: pageIndex };
+    }
+  }
+
+  const headingSizes = [...new Set(blocks.filter(block => block.type === 'heading').map(block => block.size))]
+    .sort((a, b) => b - a);
+  const html = blocks.map(block => {
+    if (block.type === 'paragraph') {
+      return `<p>${escapeHtml(block.text)}</p>`;
+    }
+    const level = Math.min(2 + headingSizes.indexOf(block.size), 4);
+    return `<h${level}>${escapeHtml(block.text)}</h${level}>`;
+  }).join('\n');
+
+  // The first run of lines in the largest size on the first page
+  const firstPage = pageContent[0] || [];
+  const largest = Math.max(0, ...firstPage.map(line => line.size));
+  const start = firstPage.findIndex(line => line.size === largest);
+  const end = firstPage.findIndex((line, index) => index > start && line.size !== largest);
+  const title = largest > bodySize
+    ? firstPage.slice(start, end === -1 ? undefined : end).map(line => line.text).join(' ').slice(0, 500)
+    : null;
+
+  return {
+    html,
+    text: blocks.map(block => block.text).join('\n\n'),
+    title
+  };
+}
+
+/**
+ * Whether a metadata title was made up by the software that wrote the PDF
+ * ("Microsoft Word - draft3.docx", "untitled", a file name)
+ */
+export function isGeneratedTitle(title) {
+  return !title || title.length < 3 ||
+    /^(?:microsoft (?:word|powerpoint|excel) - |untitled\b|document\d*$)/i.test(title) ||
+    /\.(?:docx?|pdf|tex|dvi|e?ps|indd|pptx?|odt|rtf|txt)$/i.test(title);
+}
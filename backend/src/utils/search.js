@@ -0,0 +1,106 @@
+/**
+ * Helpers for SQLite FTS5 full-text search
+ */
+
+// Private-use sentinels wrap matches in snippets so the text can be HTML-escaped
+// before the <mark> tags are inserted
+const MARK_START = '\uE000';
+const MARK_END = '\uE001';
+
+const OPERATORS = new Set(['AND', 'OR', 'NOT']);
+
+/**
+ * Build an FTS5 MATCH expression from user input
+ *
+ * Supports "quoted phrases", prefix* terms, AND/OR/NOT and -term exclusion.
+ * Every term is quoted so punctuation in user input can't cause syntax errors.
+ *
+ * @param {string} input - Raw search input
+ * @returns {string|null} - MATCH expression, or null if nothing searchable remains
+ */
+export function buildMatchQuery(input) {
+  const tokens = String(input).match(/-?"[^"]*"?|\S+/g) || [];
+  const parts = [];
+
+  for (const token of tokens) {
+    if (OPERATORS.has(token)) {
+      // Operators only make sense between terms
+      if (parts.length > 0 && !OPERATORS.has(parts[parts.length - 1])) {
+        parts.push(token);
+      }
+      continue;
+    }
+
+    let term = token;
+    let negate = false;
+    if (term.startsWith('-') && term.length > 1) {
+      negate = true;
+      term = term.substring(1);
+    }
+
+    let expression;
+    if (term.startsWith('"')) {
+      const phrase = term.replace(/^"|"$/g, '').trim();
+      if (!phrase) continue;
+      expression = quote(phrase);
+    } else {
+      const prefix = term.endsWith('*');
+      const word = term.replace(/\*+$/, '').replace(/["()]/g, '');
+      if (!/[\p{L}\p{N}]/u.test(word)) continue;
+      expression = prefix ? `${quote(word)}*` : quote(word);
+    }
+
+    if (negate) {
+      // FTS5 NOT is binary, so a leading exclusion has nothing to subtract from
+      if (parts.length === 0) continue;
+      if (OPERATORS.has(parts[parts.length - 1])) parts.pop();
+      parts.push('NOT');
+    }
+
+    parts.push(expression);
+  }
+
+  while (parts.length > 0 && OPERATORS.has(parts[parts.length - 1])) {
+    parts.pop();
+  }
+
+  return parts.length > 0 ? parts.join(' ') : null;
+}
+
+/**
+ * SQL fragment producing a snippet with sentinel-marked matches
+ * @param {string} table - FTS table name
+ * @param {number} tokens - Approximate snippet length in tokens
+ */
+export function snippetSql(table, tokens = 32) {
+  return `snippet(${table}, -1, '${MARK_START}', '${MARK_END}', '…', ${tokens})`;
+}
+
+/**
+ * Convert a raw snippet into safe HTML with <mark> around matches
+ * @param {string|null} snippet - Snippet from snippetSql()
+ * @returns {string|null} - HTML-escaped snippet
+ */
+export function formatSnippet(snippet) {
+  if (!snippet) return null;
+
+  const escaped = snippet
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\s+/g, ' ');
+
+  return escaped
+    .split(MARK_START).join('<mark>')
+    .split(MARK_END).join('</mark>');
+}
+
+/**
+ * Quote a term as an FTS5 string
+ */
+function quote(term) {
+  return `"${term.replace(/"/g, '""')}"`;
+}
+
+export default { buildMatchQuery, snippetSql, formatSnippet };
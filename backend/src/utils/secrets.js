@@ -0,0 +1,101 @@
+/**
+ * Encryption for secret settings (e.g. SMTP passwords)
+ *
+ * Values are sealed with AES-256-GCM under a key derived (HKDF-SHA256) from
+ * the server master secret, which lives outside the database. The stored form
+ * is `enc:v1:<keyId>:<iv>:<tag>:<ciphertext>`; the key id lets values sealed
+ * with a previous master secret be read while a rotation is in progress.
+ */
+
+import crypto from 'crypto';
+import { getMasterSecrets } from '../config.js';
+
+// Setting keys that are encrypted at rest
+export const SECRET_SETTING_KEYS = ['SMTP_PASSWORD'];
+
+const PREFIX = 'enc:v1:';
+const HKDF_SALT = 'bookmark-digest';
+const HKDF_INFO = 'settings-encryption';
+
+const derivedKeys = new Map();
+
+/**
+ * Derive the encryption key (and its id) for a master secret
+ * @param {string} masterSecret - Master secret
+ * @returns {Object} - { id, key }
+ */
+function deriveKey(masterSecret) {
+  if (!derivedKeys.has(masterSecret)) {
+    const key = Buffer.from(crypto.hkdfSync('sha256', masterSecret, HKDF_SALT, HKDF_INFO, 32));
+    const id = crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+    derivedKeys.set(masterSecret, { id, key });
+  }
+  return derivedKeys.get(masterSecret);
+}
+
+/**
+ * Check whether a stored value is encrypted
+ * @param {string|null} value - Stored value
+ * @returns {boolean}
+ */
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypt a value with the current master secret
+ * @param {string} plaintext - Value to encrypt
+ * @returns {string} - Encrypted value
+ */
+export function encryptSecret(plaintext) {
+  const { id, key } = deriveKey(getMasterSecrets().current);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return PREFIX + [id, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (typeof part === 'string' ? part : part.toString('base64')))
+    .join(':');
+}
+
+/**
+ * Decrypt a stored value; plaintext (not yet migrated) values pass through
+ * @param {string|null} value - Stored value
+ * @returns {string|null} - Decrypted value
+ * @throws {Error} - If no known master secret matches or the value was tampered with
+ */
+export function decryptSecret(value) {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [id, iv, tag, ciphertext] = value.slice(PREFIX.length).split(':');
+  const { current, previous } = getMasterSecrets();
+  const match = [current, ...previous].map(deriveKey).find(candidate => candidate.id === id);
+
+  if (!match) {
+    throw new Error('Secret was encrypted with an unknown master key');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', match.key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+/**
+ * Check whether a stored value needs (re-)encrypting with the current master secret
+ * @param {string|null} value - Stored value
+ * @returns {boolean}
+ */
+export function needsReencrypt(value) {
+  if (value === null || value === undefined) {
+    return false;
+  }
+  if (!isEncrypted(value)) {
+    return true;
+  }
+  return value.slice(PREFIX.length).split(':')[0] !== deriveKey(getMasterSecrets().current).id;
+}
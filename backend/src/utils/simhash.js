@@ -0,0 +1,115 @@
+/**
+ * SimHash fingerprints for finding near-duplicate text
+ *
+ * Similar texts get fingerprints that differ in few bits, so the same story
+ * saved from two URLs (with a different byline or footer) can be found by
+ * comparing 64-bit fingerprints instead of whole texts.
+ */
+
+const BITS = 64;
+// Words per shingle: pairs and triples of words carry word order into the hash
+const SHINGLE_SIZE = 3;
+// Too little text for a meaningful fingerprint
+export const MIN_WORDS = 30;
+
+/**
+ * FNV-1a (32-bit) with a seed, so two calls give one 64-bit hash
+ */
+function fnv1a(text, seed) {
+  let hash = 0x811c9dc5 ^ seed;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function words(text) {
+  return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Fingerprint a text
+ * @param {string} text
+ * @param {Object} options - { minWords }
+ * @returns {string|null} - 16 hex digits, or null if the text is too short
+ */
+export function simhash(text, { minWords = MIN_WORDS } = {}) {
+  const tokens = words(text);
+  if (tokens.length < Math.max(minWords, SHINGLE_SIZE)) {
+    return null;
+  }
+
+  const weights = new Int32Array(BITS);
+  for (let i = 0; i <= tokens.length - SHINGLE_SIZE; i++) {
+    const shingle = tokens.slice(i, i + SHINGLE_SIZE).join(' ');
+    const halves = [fnv1a(shingle, 0), fnv1a(shingle, 0x9e3779b9)];
+
+    for (let bit = 0; bit < BITS; bit++) {
+      const set = (halves[bit >> 5] >>> (bit & 31)) & 1;
+      weights[bit] += set ? 1 : -1;
+    }
+  }
+
+  const halves = [0, 0];
+  for (let bit = 0; bit < BITS; bit++) {
+    if (weights[bit] > 0) {
+      halves[bit >> 5] |= 1 << (bit & 31);
+    }
+  }
+
+  return halves.map(half => (half >>> 0).toString(16).padStart(8, '0')).join('');
+}
+
+function popcount(value) {
+  let count = 0;
+  while (value) {
+    value &= value - 1;
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Number of bits two fingerprints differ in
+ */
+export function hammingDistance(a, b) {
+  return popcount((parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16)) >>> 0) +
+    popcount((parseInt(a.slice(8), 16) ^ parseInt(b.slice(8), 16)) >>> 0);
+}
+
+/**
+ * Find pairs of fingerprints at most `maxDistance` bits apart
+ * Fingerprints are split into maxDistance + 1 bands; two within the distance
+ * share at least one band exactly, so only fingerprints sharing a band are compared.
+ * @param {Object[]} items - { id, hash }
+ * @returns {Object[]} - { a, b, distance } with the ids of each pair
+ */
+export function findSimilar(items, maxDistance) {
+  const bandCount = Math.min(Math.max(maxDistance + 1, 1), 16);
+  const bandSize = Math.floor(16 / bandCount);
+  const buckets = new Map();
+  const pairs = new Map();
+
+  for (const item of items) {
+    for (let band = 0; band < bandCount; band++) {
+      // The last band takes any leftover digits
+      const start = band * bandSize;
+      const end = band === bandCount - 1 ? 16 : start + bandSize;
+      const key = `${band}:${item.hash.slice(start, end)}`;
+
+      const bucket = buckets.get(key) || [];
+      for (const other of bucket) {
+        const pairKey = `${other.id}:${item.id}`;
+        if (!pairs.has(pairKey)) {
+          const distance = hammingDistance(other.hash, item.hash);
+          pairs.set(pairKey, distance <= maxDistance ? { a: other.id, b: item.id, distance } : null);
+        }
+      }
+      bucket.push(item);
+      buckets.set(key, bucket);
+    }
+  }
+
+  return [...pairs.values()].filter(Boolean);
+}
@@ -0,0 +1,74 @@
+/**
+ * Site patterns
+ *
+ * A pattern names the pages a site rule applies to: a host (`example.com`,
+ * which covers its subdomains too), optionally followed by a path
+ * (`example.com/blog/*`). `*` matches any run of characters, in the host
+ * (`*.substack.com`) as well as the path. A scheme, if given, is ignored.
+ */
+
+function globToRegExp(glob) {
+  const source = glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Split a pattern into its host and path parts
+ * @returns {Object} - { host, path } (path is null when the pattern has none)
+ */
+export function parsePattern(pattern) {
+  const trimmed = pattern.trim().replace(/^[a-z]+:\/\//i, '');
+  const slash = trimmed.indexOf('/');
+  return slash === -1
+    ? { host: trimmed.toLowerCase(), path: null }
+    : { host: trimmed.slice(0, slash).toLowerCase(), path: trimmed.slice(slash) };
+}
+
+/**
+ * Whether a string is a usable pattern
+ */
+export function isValidPattern(pattern) {
+  if (typeof pattern !== 'string') {
+    return false;
+  }
+  const { host } = parsePattern(pattern);
+  return /^[a-z0-9*][a-z0-9.*-]*(?::\d+)?$/.test(host) && host.replace(/\*/g, '') !== '';
+}
+
+/**
+ * Whether a pattern matches a URL
+ */
+export function patternMatches(pattern, url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+
+  const { host, path } = parsePattern(pattern);
+  const hostname = host.includes(':') ? parsed.host : parsed.hostname;
+  const hostMatches = host.includes('*')
+    ? globToRegExp(host).test(hostname)
+    : hostname === host || hostname.endsWith(`.${host}`);
+
+  if (!hostMatches) {
+    return false;
+  }
+  return path === null || globToRegExp(path).test(`${parsed.pathname}${parsed.search}`);
+}
+
+/**
+ * Sort order putting more specific patterns first
+ * A longer literal path ranks higher, then a host without wildcards, then a
+ * longer host, so `example.com/blog/*` wins over `example.com`, and
+ * `news.example.com` over `example.com` over `*.example.com`.
+ */
+export function comparePatterns(a, b) {
+  const literal = text => (text || '').replace(/\*/g, '').length;
+  const patternA = parsePattern(a);
+  const patternB = parsePattern(b);
+  return (literal(patternB.path) - literal(patternA.path)) ||
+    (Number(patternA.host.includes('*')) - Number(patternB.host.includes('*'))) ||
+    (literal(patternB.host) - literal(patternA.host));
+}
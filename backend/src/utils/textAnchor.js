@@ -0,0 +1,81 @@
+/**
+ * Text quote anchoring for highlights
+ *
+ * A highlight is stored as the quoted text (exact) with some surrounding
+ * context (prefix/suffix) and the offsets where it was last found. When the
+ * text changes, the quote is searched again and the candidate whose context
+ * matches best wins, with the distance from the old offset as a tie-breaker.
+ */
+
+// Characters of context stored on each side of a quote
+export const CONTEXT_LENGTH = 32;
+
+/**
+ * Find a quote in text
+ * @param {string} text - Text to search
+ * @param {Object} selector - { exact, prefix, suffix, start }
+ * @returns {{start: number, end: number}|null} - Offsets, or null if the quote is gone
+ */
+export function anchorQuote(text, selector) {
+  const exact = (selector.exact || '').trim();
+  if (!text || !exact) return null;
+
+  // Whitespace may differ between the stored text and what the reader saw
+  const pattern = new RegExp(escapeRegExp(exact).replace(/\s+/g, '\\s+'), 'g');
+  const prefix = collapse(selector.prefix || '');
+  const suffix = collapse(selector.suffix || '');
+  const hint = Number.isInteger(selector.start) ? selector.start : null;
+
+  let best = null;
+  for (const match of text.matchAll(pattern)) {
+    const start = match.index;
+    const end = start + match[0].length;
+
+    const before = collapse(text.slice(Math.max(0, start - prefix.length * 2), start));
+    const after = collapse(text.slice(end, end + suffix.length * 2));
+    const score = commonSuffixLength(before, prefix) + commonPrefixLength(after, suffix);
+    const distance = hint === null ? 0 : Math.abs(start - hint);
+
+    if (!best || score > best.score || (score === best.score && distance < best.distance)) {
+      best = { start, end, score, distance };
+    }
+  }
+
+  return best ? { start: best.start, end: best.end } : null;
+}
+
+/**
+ * Build a quote selector for a range of text
+ * @returns {Object} - { exact, prefix, suffix, start, end }
+ */
+export function describeRange(text, start, end) {
+  return {
+    exact: text.slice(start, end),
+    prefix: text.slice(Math.max(0, start - CONTEXT_LENGTH), start),
+    suffix: text.slice(end, end + CONTEXT_LENGTH),
+    start,
+    end
+  };
+}
+
+function collapse(value) {
+  return value.replace(/\s+/g, ' ');
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function commonSuffixLength(a, b) {
+  let i = 0;
+  while (i < a.length && i < b.length && a[a.length - 1 - i] === b[b.length - 1 - i]) i++;
+  return i;
+}
+
+function commonPrefixLength(a, b) {
+  let i = 0;
+  while (i < a.length && i < b.length && a[i] === b[i]) i++;
+  return i;
+}
+
+export default { anchorQuote, describeRange, CONTEXT_LENGTH };
@@ -0,0 +1,139 @@
+/**
+ * Word-level text diff for article versions
+ *
+ * Texts are compared word by word (whitespace is not significant, since
+ * extracted text reflows between captures) using Myers' algorithm, after
+ * trimming the words both texts start and end with. Past MAX_EDITS the
+ * changed middle is reported as one removal and one addition instead.
+ */
+
+// Edit distance past which the diff gives up on detail
+export const MAX_EDITS = 2000;
+
+/**
+ * Diff two texts
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @param {Object} options - { maxEdits }
+ * @returns {Object} - { changes: [{ type: 'equal'|'added'|'removed', text }], added, removed }
+ *   `added` and `removed` count words
+ */
+export function diffText(before, after, { maxEdits = MAX_EDITS } = {}) {
+  const a = words(before);
+  const b = words(after);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let end = 0;
+  while (end < a.length - start && end < b.length - start &&
+    a[a.length - 1 - end] === b[b.length - 1 - end]) {
+    end++;
+  }
+
+  const middleA = a.slice(start, a.length - end);
+  const middleB = b.slice(start, b.length - end);
+  const middle = shortestEdit(middleA, middleB, maxEdits) || [
+    ...middleA.map(word => ['removed', word]),
+    ...middleB.map(word => ['added', word])
+  ];
+
+  const ops = [
+    ...a.slice(0, start).map(word => ['equal', word]),
+    ...middle,
+    ...a.slice(a.length - end).map(word => ['equal', word])
+  ];
+
+  return {
+    changes: merge(ops),
+    added: ops.filter(([type]) => type === 'added').length,
+    removed: ops.filter(([type]) => type === 'removed').length
+  };
+}
+
+function words(text) {
+  return (text || '').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Myers' O((N+M)D) diff; null if it takes more than maxEdits edits
+ * @returns {Array|null} - [type, word] pairs in order
+ */
+function shortestEdit(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, maxEdits);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // trace[d] holds diagonals -d..d as they were before step d
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d, offset + d + 1));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b);
+      }
+    }
+  }
+
+  return null;
+}
+
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    const v = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && v[k - 1 + d] < v[k + 1 + d])) ? k + 1 : k - 1;
+    const prevX = v[prevK + d];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push(['equal', a[--x]]);
+      y--;
+    }
+    if (x === prevX) {
+      ops.push(['added', b[--y]]);
+    } else {
+      ops.push(['removed', a[--x]]);
+    }
+  }
+  while (x > 0 && y > 0) {
+    ops.push(['equal', a[--x]]);
+    y--;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Join runs of the same type into one change
+ */
+function merge(ops) {
+  const changes = [];
+  for (const [type, word] of ops) {
+    const last = changes[changes.length - 1];
+    if (last?.type === type) {
+      last.text += ` ${word}`;
+    } else {
+      changes.push({ type, text: word });
+    }
+  }
+  return changes;
+}
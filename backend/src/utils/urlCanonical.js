@@ -0,0 +1,152 @@
+/**
+ * URL canonicalization
+ *
+ * Reduces the URLs one story is shared under (tracking parameters, AMP
+ * versions, trailing slashes, fragments) to a single form, so saving it
+ * twice finds the same article.
+ */
+
+/**
+ * Query parameters that only track where a visit came from
+ * A rule is a parameter name, optionally ending in `*` to match a prefix, and
+ * optionally scoped to a host and its subdomains with `host:name`.
+ */
+export const DEFAULT_TRACKING_PARAMS = [
+  'utm_*', 'fbclid', 'gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid',
+  'twclid', 'ttclid', 'li_fat_id', 'igshid', 'mc_cid', 'mc_eid', 'mkt_tok',
+  '_hsenc', '_hsmi', '__hstc', '__hssc', '__hsfp', 'hsctatracking',
+  'oly_anon_id', 'oly_enc_id', 'vero_id', 'vero_conv', '_openstat', 'wt.mc_id', 'wt_mc',
+  'cmpid', 's_cid', 'ncid', 'ocid', 'sr_share', 'at_medium', 'at_campaign', 'ref_src', 'ref_url',
+  'youtube.com:si', 'youtu.be:si', 'spotify.com:si', 'twitter.com:s', 'twitter.com:t', 'x.com:s', 'x.com:t'
+];
+
+// Query parameters that ask for the AMP version of a page
+const AMP_PARAMS = ['amp', 'outputtype'];
+
+/**
+ * Parse tracking parameter rules
+ * @param {string[]} rules - Rules as in DEFAULT_TRACKING_PARAMS
+ * @returns {Object[]} - { host, name, prefix }
+ */
+export function parseParamRules(rules) {
+  return rules
+    .map(rule => rule.trim().toLowerCase())
+    .filter(Boolean)
+    .map(rule => {
+      const separator = rule.lastIndexOf(':');
+      const host = separator > 0 ? rule.slice(0, separator) : null;
+      const name = rule.slice(separator + 1);
+      return name.endsWith('*')
+        ? { host, name: name.slice(0, -1), prefix: true }
+        : { host, name, prefix: false };
+    });
+}
+
+/**
+ * Build the rule list from defaults and extra rules
+ * An extra rule starting with `-` removes that default rule instead.
+ * @param {string} extra - Comma-separated rules
+ */
+export function buildParamRules(extra = '') {
+  const entries = extra.split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+  const removed = new Set(entries.filter(entry => entry.startsWith('-')).map(entry => entry.slice(1)));
+  const added = entries.filter(entry => !entry.startsWith('-'));
+
+  return parseParamRules([...DEFAULT_TRACKING_PARAMS.filter(rule => !removed.has(rule)), ...added]);
+}
+
+const DEFAULT_RULES = parseParamRules(DEFAULT_TRACKING_PARAMS);
+
+function hostMatches(hostname, host) {
+  return hostname === host || hostname.endsWith(`.${host}`);
+}
+
+function isTrackingParam(name, hostname, rules) {
+  const key = name.toLowerCase();
+  return rules.some(rule =>
+    (!rule.host || hostMatches(hostname, rule.host)) &&
+    (rule.prefix ? key.startsWith(rule.name) : key === rule.name)
+  );
+}
+
+/**
+ * The page a Google AMP cache URL serves
+ * e.g. https://example-com.cdn.ampproject.org/c/s/example.com/story
+ */
+function unwrapAmpCache(parsed) {
+  if (!parsed.hostname.endsWith('.cdn.ampproject.org')) {
+    return parsed;
+  }
+
+  const match = parsed.pathname.match(/^\/(?:c|v|wp)\/(s\/)?(.+)$/);
+  if (!match) {
+    return parsed;
+  }
+
+  try {
+    return new URL(`${match[1] ? 'https' : 'http'}://${match[2]}${parsed.search}`);
+  } catch {
+    return parsed;
+  }
+}
+
+function stripAmpPath(pathname) {
+  return pathname
+    .replace(/\.amp\.html?$/i, '.html')
+    .replace(/^\/amp(?=\/.)/i, '')
+    .replace(/\/amp\/?$/i, '/');
+}
+
+/**
+ * Canonicalize a URL
+ * Unparseable URLs and non-HTTP(S) URLs are returned as they are.
+ * @param {string} url - Absolute URL
+ * @param {Object[]} rules - Tracking parameter rules from parseParamRules/buildParamRules
+ * @returns {string}
+ */
+export function canonicalizeUrl(url, rules = DEFAULT_RULES) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return url;
+  }
+
+  parsed = unwrapAmpCache(parsed);
+
+  // Hashbang routes address content; other fragments only scroll
+  if (!parsed.hash.startsWith('#!')) {
+    parsed.hash = '';
+  }
+
+  const params = [...parsed.searchParams]
+    .filter(([name]) => !isTrackingParam(name, parsed.hostname, rules))
+    .filter(([name, value]) => {
+      const key = name.toLowerCase();
+      return !AMP_PARAMS.includes(key) || (key === 'outputtype' && value.toLowerCase() !== 'amp');
+    })
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  parsed.search = new URLSearchParams(params).toString();
+
+  let pathname = stripAmpPath(parsed.pathname);
+  if (pathname.length > 1 && pathname.endsWith('/')) {
+    pathname = pathname.replace(/\/+$/, '') || '/';
+  }
+  parsed.pathname = pathname;
+
+  return parsed.href;
+}
+
+/**
+ * Whether two hosts belong to the same site (equal, or one a subdomain of the other)
+ */
+export function isSameSite(hostA, hostB) {
+  const strip = host => host.toLowerCase().replace(/^(?:www|m|amp)\./, '');
+  const a = strip(hostA);
+  const b = strip(hostB);
+  return a === b || a.endsWith(`.${b}`) || b.endsWith(`.${a}`);
+}
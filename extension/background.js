@@ -1,7 +1,10 @@
 // Background service worker for Bookmark Digest extension
 
 const API_BASE = 'http://localhost:3001/api';
+const JOB_POLL_INTERVAL_MS = 1000;
+const JOB_TIMEOUT_MS = 2 * 60 * 1000;
 const STORAGE_KEY_API = 'bookmarkDigestApiKey';
+const PDF_CONTENT_TYPE = 'application/pdf';
 
 /**
  * Get API key from chrome.storage
@@ -150,6 +153,75 @@ function capturePageContent() {
   }
 }
 
+/**
+ * Whether the tab shows a PDF (in the browser's PDF viewer)
+ * The URL usually says so; otherwise the document's content type does.
+ */
+async function isPdfTab(tab) {
+  let url;
+  try {
+    url = new URL(tab.url);
+  } catch {
+    return false;
+  }
+
+  if (url.pathname.toLowerCase().endsWith('.pdf')) {
+    return true;
+  }
+
+  try {
+    const [result] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: () => document.contentType
+    });
+    return result?.result === PDF_CONTENT_TYPE;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Download the PDF shown in a tab
+ * It is fetched again with the browser's cookies, so PDFs behind a login work too.
+ */
+async function capturePdf(tab) {
+  if (tab.url.startsWith('file:')) {
+    throw new Error('Local PDF files can\'t be read by the extension. Upload them in the web app instead.');
+  }
+
+  const response = await fetch(tab.url, { credentials: 'include' });
+  if (!response.ok) {
+    throw new Error(`Failed to download PDF (HTTP ${response.status})`);
+  }
+
+  let filename = null;
+  try {
+    filename = decodeURIComponent(new URL(tab.url).pathname.split('/').pop()) || null;
+  } catch {
+    // Keep the server's default name
+  }
+
+  return {
+    pdf: await response.blob(),
+    url: tab.url,
+    filename
+  };
+}
+
+/**
+ * Error for a failed request to the backend
+ */
+async function requestError(response, { fallback, tooLarge }) {
+  if (response.status === 401) {
+    return new Error('Invalid API key. Please check your settings.');
+  }
+  if (response.status === 413) {
+    return new Error(tooLarge);
+  }
+  const error = await response.json().catch(() => ({}));
+  return new Error(error.message || error.error || fallback);
+}
+
 /**
  * Send captured content to backend API
  */
@@ -160,8 +232,6 @@ async function saveArticle(data) {
     throw new Error('API key not configured. Please set it in extension options.');
   }
 
-
-
   const response = await fetch(`${API_BASE}/articles`, {
     method: 'POST',
     headers: {
@@ -175,19 +245,84 @@ async function saveArticle(data) {
   });
 
   if (!response.ok) {
-    if (response.status === 401) {
-      throw new Error('Invalid API key. Please check your settings.');
-    } else if (response.status === 413) {
-      throw new Error('Article too large. Try a shorter article.');
-    } else {
-      const error = await response.json();
-      throw new Error(error.error || 'Failed to save article');
-    }
+    throw await requestError(response, {
+      fallback: 'Failed to save article',
+      tooLarge: 'Article too large. Try a shorter article.'
+    });
+  }
+
+  return await response.json();
+}
+
+/**
+ * Send a downloaded PDF to the backend API
+ */
+async function uploadPdf(data) {
+  const apiKey = await getApiKey();
+
+  if (!apiKey) {
+    throw new Error('API key not configured. Please set it in extension options.');
+  }
+
+  const params = new URLSearchParams({ url: data.url });
+  if (data.filename) {
+    params.set('filename', data.filename);
+  }
+
+  const response = await fetch(`${API_BASE}/articles/upload?${params}`, {
+    method: 'POST',
+    headers: {
+      'X-API-Key': apiKey,
+      'Content-Type': PDF_CONTENT_TYPE
+    },
+    body: data.pdf
+  });
+
+  if (!response.ok) {
+    throw await requestError(response, {
+      fallback: 'Failed to save PDF',
+      tooLarge: 'PDF too large for the server (see PDF_MAX_SIZE_MB).'
+    });
   }
 
   return await response.json();
 }
 
+/**
+ * Poll a background job until it completes or fails
+ */
+async function waitForJob(jobId, onProgress) {
+  const apiKey = await getApiKey();
+  const deadline = Date.now() + JOB_TIMEOUT_MS;
+
+  while (Date.now() < deadline) {
+    const response = await fetch(`${API_BASE}/jobs/${jobId}`, {
+      headers: { 'X-API-Key': apiKey }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to check job status (HTTP ${response.status})`);
+    }
+
+    const { job } = await response.json();
+
+    if (job.status === 'completed') {
+      return job.result;
+    }
+    if (job.status === 'failed') {
+      throw new Error(job.error || 'Failed to save article');
+    }
+
+    if (job.progress) {
+      await onProgress(job.progress);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+  }
+
+  throw new Error('Timed out waiting for the server to process the article');
+}
+
 /**
  * Handle extension icon click
  */
@@ -205,15 +340,18 @@ chrome.action.onClicked.addListener(async (tab) => {
       return;
     }
 
+    // PDFs are sent as files rather than as the viewer's page
+    const pdf = await isPdfTab(tab);
+
     // Stage 1: Capturing
     setBadge('#ff4d2a');
     await showToast(tab.id, {
       title: 'Capturing Article',
-      message: 'Reading page content...',
+      message: pdf ? 'Downloading PDF...' : 'Reading page content...',
       type: 'capturing'
     });
 
-    const capturedData = await capturePage(tab);
+    const capturedData = pdf ? await capturePdf(tab) : await capturePage(tab);
 
     // Stage 2: Processing
     setBadge('#f59e0b');
@@ -223,8 +361,18 @@ chrome.action.onClicked.addListener(async (tab) => {
       type: 'processing'
     });
 
-    // Send to backend
-    const result = await saveArticle(capturedData);
+    // Send to backend, then wait for the capture job to finish
+    const { job } = pdf ? await uploadPdf(capturedData) : await saveArticle(capturedData);
+    let lastProgress = null;
+    const result = await waitForJob(job.id, async (progress) => {
+      if (progress === lastProgress) return;
+      lastProgress = progress;
+      await showToast(tab.id, {
+        title: 'Processing Article',
+        message: `${progress}...`,
+        type: 'processing'
+      });
+    });
 
     // Stage 3: Success!
     setBadge('#10b981');
@@ -1,20 +1,38 @@
 import { Routes, Route, Navigate } from 'react-router-dom';
 import Layout from './components/Layout/Layout';
+import RequireAuth from './components/Layout/RequireAuth';
+import Login from './pages/Login';
 import Articles from './pages/Articles';
 import ArticleViewer from './components/Articles/ArticleViewer';
 
 import Settings from './pages/Settings';
 import EPUB from './pages/EPUB';
+import Digests from './pages/Digests';
+import Import from './pages/Import';
+import FailedCaptures from './pages/FailedCaptures';
+import Duplicates from './pages/Duplicates';
 
 function App() {
   return (
     <Routes>
-      <Route path="/" element={<Layout />}>
+      <Route path="/login" element={<Login />} />
+      <Route
+        path="/"
+        element={(
+          <RequireAuth>
+            <Layout />
+          </RequireAuth>
+        )}
+      >
         <Route index element={<Articles />} />
         <Route path="articles/:id" element={<ArticleViewer />} />
 
         <Route path="settings" element={<Settings />} />
         <Route path="epub" element={<EPUB />} />
+        <Route path="digests" element={<Digests />} />
+        <Route path="import" element={<Import />} />
+        <Route path="failed" element={<FailedCaptures />} />
+        <Route path="duplicates" element={<Duplicates />} />
         <Route path="*" element={<Navigate to="/" replace />} />
       </Route>
     </Routes>
@@ -6,10 +6,12 @@ import {
   Archive,
   ExternalLink,
   FileText,
+  Tag,
 } from 'lucide-react';
 import { formatRelativeTime, formatReadingTime, formatWordCount } from '../../utils/format';
+import SearchSnippet from '../Common/SearchSnippet';
 
-export default function ArticleCard({ article, index = 0 }) {
+export default function ArticleCard({ article, index = 0, onTagClick }) {
   return (
     <article
       className="group card hover:border-gallery-300 hover:shadow-gallery-md transition-all duration-300 animate-fade-in-up"
@@ -64,12 +66,31 @@ export default function ArticleCard({ article, index = 0 }) {
               )}
             </div>
 
-            {/* Excerpt */}
-            {article.excerpt && (
+            {/* Search snippet, or excerpt when not searching */}
+            {article.snippet ? (
+              <SearchSnippet snippet={article.snippet} className="mt-4 line-clamp-3" />
+            ) : article.excerpt && (
               <p className="mt-4 text-gallery-600 leading-relaxed line-clamp-2 text-balance">
                 {article.excerpt}
               </p>
             )}
+
+            {/* Tags */}
+            {article.tags?.length > 0 && (
+              <div className="flex flex-wrap items-center gap-2 mt-4">
+                <Tag className="w-3.5 h-3.5 text-gallery-400" strokeWidth={2} />
+                {article.tags.map((tag) => (
+                  <button
+                    key={tag.id}
+                    onClick={() => onTagClick?.(tag.name)}
+                    className="badge badge-default hover:bg-gallery-200 transition-colors"
+                    title={`Show articles tagged ${tag.name}`}
+                  >
+                    {tag.name}
+                  </button>
+                ))}
+              </div>
+            )}
           </div>
 
           {/* Action Buttons */}
@@ -1,4 +1,4 @@
-import { Filter } from 'lucide-react';
+import { Filter, X } from 'lucide-react';
 
 const filterOptions = {
   status: [
@@ -13,11 +13,14 @@ const filterOptions = {
     { value: 'title', label: 'Title A-Z' },
     { value: 'title_desc', label: 'Title Z-A' },
     { value: 'reading_time', label: 'Reading Time' },
+    { value: 'relevance', label: 'Best Match', searchOnly: true },
   ],
 };
 
 export default function ArticleFilters({
   filters,
+  tags = [],
+  isSearching = false,
   onFiltersChange,
 }) {
   return (
@@ -56,7 +59,7 @@ export default function ArticleFilters({
               onChange={(e) => onFiltersChange({ ...filters, sortBy: e.target.value })}
               className="input appearance-none pr-10 text-sm font-medium cursor-pointer"
             >
-              {filterOptions.sortBy.map((option) => (
+              {filterOptions.sortBy.filter((option) => isSearching || !option.searchOnly).map((option) => (
                 <option key={option.value} value={option.value}>
                   {option.label}
                 </option>
@@ -68,6 +71,42 @@ export default function ArticleFilters({
               </svg>
             </div>
           </div>
+
+          {/* Tag Filter */}
+          {tags.length > 0 && (
+            <div className="relative">
+              <select
+                value={filters.tag}
+                onChange={(e) => onFiltersChange({ ...filters, tag: e.target.value })}
+                className="input appearance-none pr-10 text-sm font-medium cursor-pointer"
+                aria-label="Filter by tag"
+              >
+                <option value="">All Tags</option>
+                {tags.map((tag) => (
+                  <option key={tag.id} value={tag.name}>
+                    {tag.name} ({tag.article_count})
+                  </option>
+                ))}
+              </select>
+              <div className="absolute inset-y-0 right-0 flex items-center pr-3 pointer-events-none">
+                <svg className="h-4 w-4 text-gallery-400" fill="none" viewBox="0 0 24 24" strokeWidth={2.5} stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" d="M19.5 8.25l-7.5 7.5-7.5-7.5" />
+                </svg>
+              </div>
+            </div>
+          )}
+
+          {/* Active tag chip (also covers tags picked from a card) */}
+          {filters.tag && (
+            <button
+              onClick={() => onFiltersChange({ ...filters, tag: '' })}
+              className="badge badge-coral"
+              aria-label={`Clear tag filter ${filters.tag}`}
+            >
+              #{filters.tag}
+              <X className="w-3 h-3 ml-1" strokeWidth={2.5} />
+            </button>
+          )}
         </div>
       </div>
     </div>
@@ -1,7 +1,7 @@
 import LoadingSpinner from '../Common/LoadingSpinner';
 import ArticleCard from './ArticleCard';
 
-export default function ArticleList({ articles, isLoading }) {
+export default function ArticleList({ articles, isLoading, onTagClick }) {
   if (isLoading) {
     return (
       <div className="flex items-center justify-center py-16">
@@ -29,7 +29,7 @@ export default function ArticleList({ articles, isLoading }) {
   return (
     <div className="space-y-4">
       {articles.map((article, index) => (
-        <ArticleCard key={article.id} article={article} index={index} />
+        <ArticleCard key={article.id} article={article} index={index} onTagClick={onTagClick} />
       ))}
     </div>
   );
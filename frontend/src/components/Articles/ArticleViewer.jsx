@@ -1,3 +1,4 @@
+import { useEffect, useRef, useState } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import {
@@ -9,26 +10,115 @@ import {
   Calendar,
   Clock,
   FileText,
+  Tag,
+  X,
+  ImageOff,
+  RefreshCw,
+  ScanText,
+  FileDown,
+  Loader,
+  Check,
+  AlertCircle,
 } from 'lucide-react';
-import { articlesApi } from '../../services/api';
+import { articlesApi, articleVersionsApi, highlightsApi, jobsApi } from '../../services/api';
 import LoadingSpinner from '../Common/LoadingSpinner';
+import HighlightsPanel from './HighlightsPanel';
+import VersionHistoryPanel from './VersionHistoryPanel';
+import { cn } from '../../utils/cn';
+import {
+  HIGHLIGHT_COLORS,
+  HIGHLIGHT_SWATCHES,
+  applyHighlights,
+  selectionToSelector,
+} from '../../utils/highlights';
 import { formatRelativeTime, formatReadingTime, formatWordCount } from '../../utils/format';
 
+// Replacing the content moves highlights and changes every version's diff
+function invalidateContent(queryClient, id) {
+  queryClient.invalidateQueries({ queryKey: ['article', id] });
+  queryClient.invalidateQueries({ queryKey: ['articles'] });
+  queryClient.invalidateQueries({ queryKey: ['highlights', id] });
+  queryClient.invalidateQueries({ queryKey: ['article-versions', id] });
+  queryClient.invalidateQueries({ queryKey: ['article-version', id] });
+}
+
 export default function ArticleViewer() {
   const { id } = useParams();
   const navigate = useNavigate();
   const queryClient = useQueryClient();
+  const [newTag, setNewTag] = useState('');
+  const [selection, setSelection] = useState(null);
+  const [activeHighlightId, setActiveHighlightId] = useState(null);
+  const [retryJobId, setRetryJobId] = useState(null);
+  const [refreshJobId, setRefreshJobId] = useState(null);
+  const [reprocessJobId, setReprocessJobId] = useState(null);
+  const articleRef = useRef(null);
+  const contentRef = useRef(null);
 
   const { data: article, isLoading } = useQuery({
     queryKey: ['article', id],
     queryFn: () => articlesApi.get(id).then((res) => res.data.article),
   });
 
+  const { data: highlights = [] } = useQuery({
+    queryKey: ['highlights', id],
+    queryFn: () => highlightsApi.list(id).then((res) => res.data.highlights),
+  });
+
+  const { data: versions = [] } = useQuery({
+    queryKey: ['article-versions', id],
+    queryFn: () => articleVersionsApi.list(id).then((res) => res.data.versions),
+  });
+
+  // Render the article HTML ourselves so highlight marks can be woven into it
+  useEffect(() => {
+    const container = contentRef.current;
+    if (!container || !article) return;
+
+    container.innerHTML = article.content_html || '';
+    applyHighlights(container, highlights);
+  }, [article, highlights]);
+
+  useEffect(() => {
+    const container = contentRef.current;
+    if (!container) return;
+
+    container.querySelectorAll('mark[data-highlight-id]').forEach((mark) => {
+      mark.classList.toggle('highlight-active', Number(mark.dataset.highlightId) === activeHighlightId);
+    });
+  }, [activeHighlightId, article, highlights]);
+
+  const invalidateHighlights = () => {
+    queryClient.invalidateQueries({ queryKey: ['highlights', id] });
+  };
+
+  const createHighlightMutation = useMutation({
+    mutationFn: (data) => highlightsApi.create(id, data),
+    onSuccess: (res) => {
+      invalidateHighlights();
+      setActiveHighlightId(res.data.highlight.id);
+    },
+    onError: (error) => console.error('Failed to create highlight:', error),
+  });
+
+  const updateHighlightMutation = useMutation({
+    mutationFn: ({ highlightId, data }) => highlightsApi.update(id, highlightId, data),
+    onSuccess: invalidateHighlights,
+    onError: (error) => console.error('Failed to update highlight:', error),
+  });
+
+  const deleteHighlightMutation = useMutation({
+    mutationFn: (highlightId) => highlightsApi.delete(id, highlightId),
+    onSuccess: invalidateHighlights,
+    onError: (error) => console.error('Failed to delete highlight:', error),
+  });
+
   const updateMutation = useMutation({
     mutationFn: (data) => articlesApi.update(id, data),
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['article', id] });
       queryClient.invalidateQueries({ queryKey: ['articles'] });
+      queryClient.invalidateQueries({ queryKey: ['tags'] });
     },
     onError: (error) => console.error('Failed to update article:', error),
   });
@@ -42,6 +132,106 @@ export default function ArticleViewer() {
     onError: (error) => console.error('Failed to delete article:', error),
   });
 
+  // Retrying missing images runs as a background job
+  const retryImagesMutation = useMutation({
+    mutationFn: () => articlesApi.retryImages(id),
+    onSuccess: (res) => {
+      if (res.data.job) {
+        setRetryJobId(res.data.job.id);
+      } else {
+        queryClient.invalidateQueries({ queryKey: ['article', id] });
+      }
+    },
+    onError: (error) => console.error('Failed to retry images:', error),
+  });
+
+  const { data: retryJob } = useQuery({
+    queryKey: ['job', retryJobId],
+    queryFn: () => jobsApi.get(retryJobId).then((res) => res.data.job),
+    enabled: !!retryJobId,
+    refetchInterval: (query) => {
+      const status = query.state.data?.status;
+      return status === 'completed' || status === 'failed' ? false : 1000;
+    },
+  });
+
+  const retryStatus = retryJob?.status;
+  const isRetryingImages = retryImagesMutation.isPending
+    || (!!retryJobId && retryStatus !== 'completed' && retryStatus !== 'failed');
+
+  useEffect(() => {
+    if (retryStatus === 'completed' || retryStatus === 'failed') {
+      queryClient.invalidateQueries({ queryKey: ['article', id] });
+      setRetryJobId(null);
+    }
+  }, [retryStatus, id, queryClient]);
+
+  // Refreshing re-fetches the original page as a background job
+  const refreshMutation = useMutation({
+    mutationFn: () => articlesApi.refresh(id),
+    onSuccess: (res) => setRefreshJobId(res.data.job.id),
+    onError: (error) => console.error('Failed to refresh article:', error),
+  });
+
+  const { data: refreshJob } = useQuery({
+    queryKey: ['job', refreshJobId],
+    queryFn: () => jobsApi.get(refreshJobId).then((res) => res.data.job),
+    enabled: !!refreshJobId,
+    refetchInterval: (query) => {
+      const status = query.state.data?.status;
+      return status === 'completed' || status === 'failed' ? false : 1000;
+    },
+  });
+
+  const refreshStatus = refreshJob?.status;
+  const isRefreshing = refreshMutation.isPending
+    || (!!refreshJobId && refreshStatus !== 'completed' && refreshStatus !== 'failed');
+
+  useEffect(() => {
+    if (refreshStatus === 'completed') {
+      invalidateContent(queryClient, id);
+    }
+  }, [refreshStatus, id, queryClient]);
+
+  // Reprocessing extracts the article again from its snapshot, without fetching
+  const reprocessMutation = useMutation({
+    mutationFn: () => articlesApi.reprocess({ article_id: Number(id) }),
+    onSuccess: (res) => setReprocessJobId(res.data.job?.id ?? null),
+    onError: (error) => console.error('Failed to reprocess article:', error),
+  });
+
+  const { data: reprocessJob } = useQuery({
+    queryKey: ['job', reprocessJobId],
+    queryFn: () => jobsApi.get(reprocessJobId).then((res) => res.data.job),
+    enabled: !!reprocessJobId,
+    refetchInterval: (query) => {
+      const status = query.state.data?.status;
+      return status === 'completed' || status === 'failed' ? false : 1000;
+    },
+  });
+
+  const reprocessStatus = reprocessJob?.status;
+  const isReprocessing = reprocessMutation.isPending
+    || (!!reprocessJobId && reprocessStatus !== 'completed' && reprocessStatus !== 'failed');
+  const [reprocessChange] = reprocessJob?.result?.changed || [];
+  const [reprocessFailure] = reprocessJob?.result?.failed || [];
+
+  useEffect(() => {
+    if (reprocessStatus === 'completed') {
+      invalidateContent(queryClient, id);
+    }
+  }, [reprocessStatus, id, queryClient]);
+
+  const restoreMutation = useMutation({
+    mutationFn: (versionId) => articleVersionsApi.restore(id, versionId),
+    onSuccess: () => {
+      setRefreshJobId(null);
+      setReprocessJobId(null);
+      invalidateContent(queryClient, id);
+    },
+    onError: (error) => console.error('Failed to restore version:', error),
+  });
+
   const handleToggleFavorite = () => {
     updateMutation.mutate({ is_favorite: !article?.is_favorite });
   };
@@ -50,12 +240,80 @@ export default function ArticleViewer() {
     updateMutation.mutate({ is_archived: !article?.is_archived });
   };
 
+  const tagNames = article?.tags?.map((tag) => tag.name) || [];
+  // What reprocessing extracts from
+  const savedSource = article?.document ? 'PDF' : 'page';
+
+  const handleAddTag = (e) => {
+    e.preventDefault();
+    const name = newTag.trim();
+    if (!name) return;
+    updateMutation.mutate({ tags: [...tagNames, name] });
+    setNewTag('');
+  };
+
+  const handleRemoveTag = (name) => {
+    updateMutation.mutate({ tags: tagNames.filter((tagName) => tagName !== name) });
+  };
+
+  const handleContentMouseUp = () => {
+    const selector = selectionToSelector(contentRef.current);
+    if (!selector) {
+      setSelection(null);
+      return;
+    }
+
+    const bounds = articleRef.current.getBoundingClientRect();
+    setSelection({
+      ...selector,
+      top: selector.rect.top - bounds.top,
+      left: selector.rect.left - bounds.left + selector.rect.width / 2,
+    });
+  };
+
+  const handleContentClick = (e) => {
+    const mark = e.target.closest('mark[data-highlight-id]');
+    if (mark && window.getSelection()?.isCollapsed) {
+      setActiveHighlightId(Number(mark.dataset.highlightId));
+    }
+  };
+
+  const handleCreateHighlight = (color) => {
+    if (!selection) return;
+    const { exact, prefix, suffix, start } = selection;
+    createHighlightMutation.mutate({ exact, prefix, suffix, start, color });
+    window.getSelection()?.removeAllRanges();
+    setSelection(null);
+  };
+
+  const handleSelectHighlight = (highlightId) => {
+    setActiveHighlightId(highlightId);
+    contentRef.current
+      ?.querySelector(`mark[data-highlight-id="${highlightId}"]`)
+      ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  };
+
   const handleDelete = () => {
     if (confirm('Are you sure you want to delete this article?')) {
       deleteMutation.mutate();
     }
   };
 
+  const downloadDocumentMutation = useMutation({
+    mutationFn: async () => {
+      const response = await articlesApi.downloadDocument(id);
+      const url = window.URL.createObjectURL(response.data);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = article.document.filename;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    },
+    onError: (error) => console.error('Failed to download PDF:', error),
+  });
+
   if (isLoading) {
     return (
       <div className="flex items-center justify-center py-16">
@@ -175,6 +433,35 @@ export default function ArticleViewer() {
               <Archive className="w-5 h-5" strokeWidth={2} />
             </button>
 
+            {/* Articles from PDFs have no page to fetch again */}
+            {!article.document && (
+              <button
+                onClick={() => refreshMutation.mutate()}
+                disabled={isRefreshing}
+                className="btn-icon"
+                title="Refresh from original"
+                aria-label="Refresh from original"
+              >
+                <RefreshCw className={cn('w-5 h-5', isRefreshing && 'animate-spin')} strokeWidth={2} />
+              </button>
+            )}
+
+            {(article.snapshot || article.document) && (
+              <button
+                onClick={() => reprocessMutation.mutate()}
+                disabled={isReprocessing}
+                className="btn-icon"
+                title={`Extract again from the saved ${savedSource}`}
+                aria-label={`Extract again from the saved ${savedSource}`}
+              >
+                {isReprocessing ? (
+                  <Loader className="w-5 h-5 animate-spin" strokeWidth={2} />
+                ) : (
+                  <ScanText className="w-5 h-5" strokeWidth={2} />
+                )}
+              </button>
+            )}
+
             <button
               onClick={handleDelete}
               className="btn-icon hover:text-red-600 hover:bg-red-50"
@@ -184,22 +471,120 @@ export default function ArticleViewer() {
               <Trash2 className="w-5 h-5" strokeWidth={2} />
             </button>
 
-            <a
-              href={article.url}
-              target="_blank"
-              rel="noopener noreferrer"
-              className="btn-icon"
-              title="Open original"
-              aria-label="Open original article"
-            >
-              <ExternalLink className="w-5 h-5" strokeWidth={2} />
-            </a>
+            {article.document && (
+              <button
+                onClick={() => downloadDocumentMutation.mutate()}
+                disabled={downloadDocumentMutation.isPending}
+                className="btn-icon"
+                title={`Download original PDF (${article.document.filename})`}
+                aria-label="Download original PDF"
+              >
+                <FileDown className="w-5 h-5" strokeWidth={2} />
+              </button>
+            )}
+
+            {/^https?:/.test(article.url) && (
+              <a
+                href={article.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="btn-icon"
+                title="Open original"
+                aria-label="Open original article"
+              >
+                <ExternalLink className="w-5 h-5" strokeWidth={2} />
+              </a>
+            )}
           </div>
         </div>
+
+        {/* Tags */}
+        <div className="flex flex-wrap items-center gap-2 mt-6">
+          <Tag className="w-4 h-4 text-gallery-400" strokeWidth={2} />
+          {tagNames.map((name) => (
+            <span key={name} className="badge badge-default">
+              {name}
+              <button
+                onClick={() => handleRemoveTag(name)}
+                className="ml-1 text-gallery-400 hover:text-gallery-700"
+                aria-label={`Remove tag ${name}`}
+              >
+                <X className="w-3 h-3" strokeWidth={2.5} />
+              </button>
+            </span>
+          ))}
+          <form onSubmit={handleAddTag}>
+            <input
+              type="text"
+              value={newTag}
+              onChange={(e) => setNewTag(e.target.value)}
+              placeholder="Add tag..."
+              className="input h-8 w-36 text-sm"
+              maxLength={50}
+              aria-label="Add tag"
+            />
+          </form>
+        </div>
       </div>
 
+      {/* Refresh Result */}
+      {refreshStatus === 'completed' && (
+        <div className="flex items-center text-sm text-emerald-700 bg-emerald-50 px-4 py-3 rounded-lg mb-6">
+          <Check className="w-4 h-4 mr-1.5" strokeWidth={2} />
+          {refreshJob.result.changed
+            ? `Updated from the original: ${refreshJob.result.diff.added} words added, ${refreshJob.result.diff.removed} removed. The previous text is in the version history.`
+            : 'The original has not changed since it was saved.'}
+        </div>
+      )}
+      {(refreshMutation.isError || refreshStatus === 'failed') && (
+        <div className="flex items-center text-sm text-red-700 bg-red-50 px-4 py-3 rounded-lg mb-6">
+          <AlertCircle className="w-4 h-4 mr-1.5" strokeWidth={2} />
+          Refresh failed: {refreshJob?.error || refreshMutation.error?.response?.data?.message || refreshMutation.error?.message}
+        </div>
+      )}
+
+      {/* Reprocess Result */}
+      {reprocessStatus === 'completed' && !reprocessFailure && (
+        <div className="flex items-center text-sm text-emerald-700 bg-emerald-50 px-4 py-3 rounded-lg mb-6">
+          <Check className="w-4 h-4 mr-1.5" strokeWidth={2} />
+          {reprocessChange
+            ? `Extracted again from the saved ${savedSource}: ${reprocessChange.diff.added} words added, ${reprocessChange.diff.removed} removed. The previous text is in the version history.`
+            : `Extracting the saved ${savedSource} again gives the same article.`}
+        </div>
+      )}
+      {(reprocessMutation.isError || reprocessStatus === 'failed' || reprocessFailure) && (
+        <div className="flex items-center text-sm text-red-700 bg-red-50 px-4 py-3 rounded-lg mb-6">
+          <AlertCircle className="w-4 h-4 mr-1.5" strokeWidth={2} />
+          Reprocessing failed: {reprocessFailure?.error || reprocessJob?.error || reprocessMutation.error?.response?.data?.message || reprocessMutation.error?.message}
+        </div>
+      )}
+
+      {/* Missing Images */}
+      {article.missing_images > 0 && (
+        <div className="flex items-center justify-between gap-4 text-sm text-amber-800 bg-amber-50 px-4 py-3 rounded-lg mb-6">
+          <span className="flex items-center">
+            <ImageOff className="w-4 h-4 mr-2 flex-shrink-0" strokeWidth={2} />
+            {article.missing_images === 1
+              ? '1 image could not be downloaded and is still loaded from the original site.'
+              : `${article.missing_images} images could not be downloaded and are still loaded from the original site.`}
+          </span>
+          <button
+            onClick={() => retryImagesMutation.mutate()}
+            disabled={isRetryingImages}
+            className="btn btn-secondary text-sm flex-shrink-0"
+          >
+            {isRetryingImages ? (
+              <Loader className="w-4 h-4 mr-2 animate-spin" strokeWidth={2} />
+            ) : (
+              <RefreshCw className="w-4 h-4 mr-2" strokeWidth={2} />
+            )}
+            {isRetryingImages ? 'Retrying...' : 'Retry'}
+          </button>
+        </div>
+      )}
+
       {/* Article Content */}
-      <article className="card p-8 lg:p-12 shadow-gallery-sm">
+      <article ref={articleRef} className="relative card p-8 lg:p-12 shadow-gallery-sm">
         {article.excerpt && (
           <div className="mb-8 pb-8 border-b border-gallery-200">
             <p className="text-xl text-gallery-600 leading-relaxed italic font-serif">
@@ -209,10 +594,47 @@ export default function ArticleViewer() {
         )}
 
         <div
+          ref={contentRef}
           className="prose prose-gallery max-w-none"
-          dangerouslySetInnerHTML={{ __html: article.content_html }}
+          onMouseUp={handleContentMouseUp}
+          onClick={handleContentClick}
         />
+
+        {/* Selection Toolbar */}
+        {selection && (
+          <div
+            className="absolute z-10 flex items-center gap-2 px-3 py-2 -translate-x-1/2 -translate-y-full -mt-2 bg-gallery-900 rounded-lg shadow-gallery-md"
+            style={{ top: selection.top, left: selection.left }}
+            onMouseDown={(e) => e.preventDefault()}
+          >
+            <span className="text-xs font-semibold text-white mr-1">Highlight</span>
+            {HIGHLIGHT_COLORS.map((color) => (
+              <button
+                key={color}
+                onClick={() => handleCreateHighlight(color)}
+                className={cn('w-5 h-5 rounded-full hover:scale-110 transition-transform duration-200', HIGHLIGHT_SWATCHES[color])}
+                title={`Highlight ${color}`}
+                aria-label={`Highlight ${color}`}
+              />
+            ))}
+          </div>
+        )}
       </article>
+
+      <HighlightsPanel
+        highlights={highlights}
+        activeId={activeHighlightId}
+        onSelect={handleSelectHighlight}
+        onUpdate={(highlightId, data) => updateHighlightMutation.mutate({ highlightId, data })}
+        onDelete={(highlightId) => deleteHighlightMutation.mutate(highlightId)}
+      />
+
+      <VersionHistoryPanel
+        articleId={id}
+        versions={versions}
+        onRestore={(versionId) => restoreMutation.mutate(versionId)}
+        isRestoring={restoreMutation.isPending}
+      />
     </div>
   );
 }
@@ -0,0 +1,162 @@
+import { useEffect, useRef, useState } from 'react';
+import { Highlighter, Trash2, MessageSquare, AlertTriangle } from 'lucide-react';
+import { cn } from '../../utils/cn';
+import { HIGHLIGHT_COLORS, HIGHLIGHT_SWATCHES } from '../../utils/highlights';
+
+function ColorPicker({ value, onChange }) {
+  return (
+    <div className="flex items-center gap-1.5">
+      {HIGHLIGHT_COLORS.map((color) => (
+        <button
+          key={color}
+          type="button"
+          onClick={() => onChange(color)}
+          className={cn(
+            'w-4 h-4 rounded-full transition-transform duration-200 hover:scale-110',
+            HIGHLIGHT_SWATCHES[color],
+            value === color && 'ring-2 ring-offset-1 ring-gallery-700'
+          )}
+          title={color}
+          aria-label={`Color ${color}`}
+        />
+      ))}
+    </div>
+  );
+}
+
+function HighlightItem({ highlight, isActive, onUpdate, onDelete, onSelect }) {
+  const itemRef = useRef(null);
+  const [isEditing, setIsEditing] = useState(false);
+  const [note, setNote] = useState(highlight.note || '');
+
+  useEffect(() => {
+    if (isActive) {
+      itemRef.current?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+  }, [isActive]);
+
+  const handleSaveNote = (e) => {
+    e.preventDefault();
+    onUpdate(highlight.id, { note: note.trim() || null });
+    setIsEditing(false);
+  };
+
+  return (
+    <li
+      ref={itemRef}
+      className={cn(
+        'p-4 rounded-lg border transition-colors duration-200',
+        isActive ? 'border-coral-300 bg-coral-50' : 'border-gallery-200'
+      )}
+    >
+      <button
+        type="button"
+        onClick={() => onSelect(highlight.id)}
+        disabled={highlight.is_orphaned}
+        className="flex items-start gap-3 text-left w-full"
+      >
+        <span className={cn('mt-1.5 w-2 h-2 rounded-full flex-shrink-0', HIGHLIGHT_SWATCHES[highlight.color])} />
+        <span className="font-serif text-gallery-800 leading-relaxed">{highlight.exact}</span>
+      </button>
+
+      {isEditing ? (
+        <form onSubmit={handleSaveNote} className="mt-3 space-y-2">
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            className="input text-sm"
+            rows={3}
+            maxLength={10000}
+            placeholder="Add a note..."
+            autoFocus
+          />
+          <div className="flex items-center gap-2">
+            <button type="submit" className="btn btn-primary py-1.5 px-3">Save</button>
+            <button
+              type="button"
+              onClick={() => {
+                setNote(highlight.note || '');
+                setIsEditing(false);
+              }}
+              className="btn btn-ghost py-1.5 px-3"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        highlight.note && (
+          <p className="mt-2 ml-5 text-sm text-gallery-600 whitespace-pre-wrap">{highlight.note}</p>
+        )
+      )}
+
+      <div className="flex items-center justify-between mt-3 ml-5">
+        <ColorPicker value={highlight.color} onChange={(color) => onUpdate(highlight.id, { color })} />
+        <div className="flex items-center gap-1">
+          <button
+            type="button"
+            onClick={() => setIsEditing(true)}
+            className="btn-icon p-1.5"
+            title={highlight.note ? 'Edit note' : 'Add note'}
+            aria-label={highlight.note ? 'Edit note' : 'Add note'}
+          >
+            <MessageSquare className="w-4 h-4" strokeWidth={2} />
+          </button>
+          <button
+            type="button"
+            onClick={() => onDelete(highlight.id)}
+            className="btn-icon p-1.5 hover:text-red-600 hover:bg-red-50"
+            title="Delete highlight"
+            aria-label="Delete highlight"
+          >
+            <Trash2 className="w-4 h-4" strokeWidth={2} />
+          </button>
+        </div>
+      </div>
+    </li>
+  );
+}
+
+export default function HighlightsPanel({ highlights, activeId, onSelect, onUpdate, onDelete }) {
+  const anchored = highlights.filter((highlight) => !highlight.is_orphaned);
+  const orphaned = highlights.filter((highlight) => highlight.is_orphaned);
+
+  const renderItem = (highlight) => (
+    <HighlightItem
+      key={highlight.id}
+      highlight={highlight}
+      isActive={highlight.id === activeId}
+      onSelect={onSelect}
+      onUpdate={onUpdate}
+      onDelete={onDelete}
+    />
+  );
+
+  return (
+    <section className="card p-6 lg:p-8 mt-8 shadow-gallery-sm">
+      <h2 className="flex items-center gap-2 font-display font-semibold text-lg text-gallery-900 mb-4">
+        <Highlighter className="w-5 h-5 text-coral-500" strokeWidth={2} />
+        Highlights
+        <span className="badge badge-default">{highlights.length}</span>
+      </h2>
+
+      {highlights.length === 0 ? (
+        <p className="text-sm text-gallery-500">
+          Select text in the article to highlight it.
+        </p>
+      ) : (
+        <ul className="space-y-3">{anchored.map(renderItem)}</ul>
+      )}
+
+      {orphaned.length > 0 && (
+        <>
+          <h3 className="flex items-center gap-2 text-sm font-semibold text-gallery-600 mt-6 mb-3">
+            <AlertTriangle className="w-4 h-4" strokeWidth={2} />
+            No longer found in the article
+          </h3>
+          <ul className="space-y-3 opacity-75">{orphaned.map(renderItem)}</ul>
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,146 @@
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { History, RotateCcw, ChevronDown, ChevronRight, Loader } from 'lucide-react';
+import { articleVersionsApi } from '../../services/api';
+import LoadingSpinner from '../Common/LoadingSpinner';
+import { cn } from '../../utils/cn';
+import { formatRelativeTime, formatWordCount } from '../../utils/format';
+
+// Words of unchanged text kept on each side of a change
+const CONTEXT_WORDS = 12;
+
+/**
+ * Shorten long unchanged runs to the words next to the changes
+ */
+function trimEqual(text, { isFirst, isLast }) {
+  const words = text.split(' ');
+  if (words.length <= CONTEXT_WORDS * 2) return text;
+
+  const head = isFirst ? [] : words.slice(0, CONTEXT_WORDS);
+  const tail = isLast ? [] : words.slice(-CONTEXT_WORDS);
+  return [...head, '…', ...tail].join(' ');
+}
+
+function VersionDiff({ changes }) {
+  if (!changes.some((change) => change.type !== 'equal')) {
+    return <p className="text-sm text-gallery-500">The text is the same as the current version.</p>;
+  }
+
+  return (
+    <p className="font-serif text-sm text-gallery-700 leading-relaxed">
+      {changes.map((change, index) => {
+        if (change.type === 'equal') {
+          const text = trimEqual(change.text, { isFirst: index === 0, isLast: index === changes.length - 1 });
+          return <span key={index}>{` ${text} `}</span>;
+        }
+        return (
+          <span
+            key={index}
+            className={cn(
+              'rounded px-0.5',
+              change.type === 'removed' ? 'bg-red-50 text-red-700 line-through' : 'bg-emerald-50 text-emerald-700'
+            )}
+          >
+            {change.text}
+          </span>
+        );
+      })}
+    </p>
+  );
+}
+
+function VersionItem({ articleId, version, isOpen, onToggle, onRestore, isRestoring }) {
+  const { data: detail, isLoading } = useQuery({
+    queryKey: ['article-version', articleId, version.id],
+    queryFn: () => articleVersionsApi.get(articleId, version.id).then((res) => res.data.version),
+    enabled: isOpen,
+  });
+
+  return (
+    <li className={cn('rounded-lg border', isOpen ? 'border-gallery-300' : 'border-gallery-200')}>
+      <button
+        type="button"
+        onClick={onToggle}
+        className="flex items-center gap-3 text-left w-full p-4"
+      >
+        {isOpen ? (
+          <ChevronDown className="w-4 h-4 text-gallery-400 flex-shrink-0" strokeWidth={2} />
+        ) : (
+          <ChevronRight className="w-4 h-4 text-gallery-400 flex-shrink-0" strokeWidth={2} />
+        )}
+        <span className="flex-1 min-w-0">
+          <span className="block font-medium text-gallery-900 truncate">{version.title}</span>
+          <span className="block text-xs text-gallery-500 mt-0.5">
+            Replaced {formatRelativeTime(version.created_at)}
+            {version.word_count > 0 && ` · ${formatWordCount(version.word_count)}`}
+          </span>
+        </span>
+      </button>
+
+      {isOpen && (
+        <div className="px-4 pb-4 ml-7 space-y-4">
+          {isLoading || !detail ? (
+            <LoadingSpinner size="sm" />
+          ) : (
+            <>
+              <div className="flex items-center gap-3 text-xs font-medium">
+                <span className="text-red-700">−{detail.diff.removed} words</span>
+                <span className="text-emerald-700">+{detail.diff.added} words</span>
+                <span className="text-gallery-500">since this version</span>
+              </div>
+              <VersionDiff changes={detail.diff.changes} />
+            </>
+          )}
+
+          <button
+            type="button"
+            onClick={() => onRestore(version.id)}
+            disabled={isRestoring}
+            className="btn btn-secondary text-sm"
+          >
+            {isRestoring ? (
+              <Loader className="w-4 h-4 mr-2 animate-spin" strokeWidth={2} />
+            ) : (
+              <RotateCcw className="w-4 h-4 mr-2" strokeWidth={2} />
+            )}
+            Restore This Version
+          </button>
+        </div>
+      )}
+    </li>
+  );
+}
+
+export default function VersionHistoryPanel({ articleId, versions, onRestore, isRestoring }) {
+  const [openId, setOpenId] = useState(null);
+
+  return (
+    <section className="card p-6 lg:p-8 mt-8 shadow-gallery-sm">
+      <h2 className="flex items-center gap-2 font-display font-semibold text-lg text-gallery-900 mb-4">
+        <History className="w-5 h-5 text-coral-500" strokeWidth={2} />
+        Version History
+        <span className="badge badge-default">{versions.length}</span>
+      </h2>
+
+      {versions.length === 0 ? (
+        <p className="text-sm text-gallery-500">
+          Refresh the article to check the original for changes; earlier versions are kept here.
+        </p>
+      ) : (
+        <ul className="space-y-3">
+          {versions.map((version) => (
+            <VersionItem
+              key={version.id}
+              articleId={articleId}
+              version={version}
+              isOpen={version.id === openId}
+              onToggle={() => setOpenId(version.id === openId ? null : version.id)}
+              onRestore={onRestore}
+              isRestoring={isRestoring}
+            />
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
@@ -1,13 +1,18 @@
 import { Search, X } from 'lucide-react';
 import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import SearchSnippet from './SearchSnippet';
 
-export default function SearchBar({ value, onChange, placeholder = 'Search articles...' }) {
+export default function SearchBar({ value, onChange, results = [], placeholder = 'Search articles...' }) {
   const [isFocused, setIsFocused] = useState(false);
 
   const handleClear = () => {
     onChange('');
   };
 
+  // Top matches shown under the input while it has focus
+  const quickResults = isFocused && value ? results.slice(0, 5) : [];
+
   return (
     <div className={`relative transition-all duration-300 ${isFocused ? 'scale-[1.01]' : ''}`}>
       <div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none">
@@ -31,6 +36,24 @@ export default function SearchBar({ value, onChange, placeholder = 'Search artic
           <X className="h-4 w-4" strokeWidth={2} />
         </button>
       )}
+      {quickResults.length > 0 && (
+        <div className="absolute z-20 left-0 right-0 mt-2 card shadow-gallery-md divide-y divide-gallery-100 overflow-hidden">
+          {quickResults.map((article) => (
+            <Link
+              key={article.id}
+              to={`/articles/${article.id}`}
+              // Keep focus until the click lands, otherwise blur hides the list first
+              onMouseDown={(e) => e.preventDefault()}
+              className="block px-4 py-3 hover:bg-gallery-50 transition-colors"
+            >
+              <div className="text-sm font-semibold text-gallery-900 truncate">
+                {article.title}
+              </div>
+              <SearchSnippet snippet={article.snippet} className="mt-1 text-xs line-clamp-2" />
+            </Link>
+          ))}
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,19 @@
+import { cn } from '../../utils/cn';
+
+/**
+ * Render a search snippet from the API.
+ * The backend HTML-escapes snippet text and only adds <mark> around matches.
+ */
+export default function SearchSnippet({ snippet, className }) {
+  if (!snippet) return null;
+
+  return (
+    <p
+      className={cn(
+        'text-gallery-600 leading-relaxed [&_mark]:bg-coral-100 [&_mark]:text-gallery-900 [&_mark]:rounded-sm [&_mark]:px-0.5',
+        className,
+      )}
+      dangerouslySetInnerHTML={{ __html: snippet }}
+    />
+  );
+}
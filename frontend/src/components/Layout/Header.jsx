@@ -1,14 +1,31 @@
-import { Link, NavLink } from 'react-router-dom';
-import { BookOpen, FileText, Settings, Book } from 'lucide-react';
+import { Link, NavLink, useNavigate } from 'react-router-dom';
+import { useQueryClient } from '@tanstack/react-query';
+import { BookOpen, FileText, Settings, Book, CalendarClock, Upload, AlertTriangle, LogOut } from 'lucide-react';
+import { authApi } from '../../services/api';
 import { cn } from '../../utils/cn';
 
 const navItems = [
   { to: '/', icon: FileText, label: 'Articles' },
   { to: '/epub', icon: Book, label: 'EPUB' },
+  { to: '/digests', icon: CalendarClock, label: 'Digests' },
+  { to: '/import', icon: Upload, label: 'Import' },
+  { to: '/failed', icon: AlertTriangle, label: 'Failed' },
   { to: '/settings', icon: Settings, label: 'Settings' },
 ];
 
 export default function Header() {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+
+  const handleLogout = async () => {
+    try {
+      await authApi.logout();
+    } finally {
+      queryClient.clear();
+      navigate('/login', { replace: true });
+    }
+  };
+
   return (
     <header className="sticky top-0 z-50 border-b border-gallery-200/80 bg-white/80 backdrop-blur-xl">
       <div className="max-w-6xl mx-auto px-5 sm:px-6 lg:px-8">
@@ -49,6 +66,14 @@ export default function Header() {
                 <span>{item.label}</span>
               </NavLink>
             ))}
+            <button
+              onClick={handleLogout}
+              className="btn-icon ml-1"
+              title="Log out"
+              aria-label="Log out"
+            >
+              <LogOut className="w-4 h-4" strokeWidth={2} />
+            </button>
           </nav>
         </div>
       </div>
@@ -1,7 +1,45 @@
+import { useEffect } from 'react';
 import { Outlet } from 'react-router-dom';
+import { useQueryClient } from '@tanstack/react-query';
 import Header from './Header';
+import { eventsApi } from '../../services/api';
 
 export default function Layout() {
+  const queryClient = useQueryClient();
+
+  // Keep cached views in sync with changes made elsewhere (extension, digests, other tabs)
+  useEffect(() => {
+    const invalidate = (...queryKeys) => {
+      queryKeys.forEach((queryKey) => queryClient.invalidateQueries({ queryKey }));
+    };
+
+    return eventsApi.subscribe((type, data) => {
+      switch (type) {
+        case 'article.created':
+          invalidate(['articles'], ['stats']);
+          break;
+        case 'article.updated':
+        case 'article.deleted':
+          invalidate(['articles'], ['article', data.id], ['highlights', data.id], ['stats'], ['tags']);
+          break;
+        case 'epub.generated':
+          invalidate(['epub-exports']);
+          break;
+        case 'kindle.sent':
+          // Digests may archive the articles they sent
+          invalidate(['epub-exports'], ['digest-runs'], ['articles'], ['stats']);
+          break;
+        case 'job.updated':
+          queryClient.setQueryData(['jobs', data.id], data);
+          break;
+        default:
+          break;
+      }
+    }, {
+      onReconnect: () => queryClient.invalidateQueries(),
+    });
+  }, [queryClient]);
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-white via-gallery-50/30 to-gallery-100/20">
       <Header />
@@ -0,0 +1,32 @@
+import { Navigate, useLocation } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import { authApi } from '../../services/api';
+import LoadingSpinner from '../Common/LoadingSpinner';
+
+// Route guard: renders its children only with a valid session
+export default function RequireAuth({ children }) {
+  const location = useLocation();
+
+  const { data: session, isLoading, error } = useQuery({
+    queryKey: ['session'],
+    queryFn: async () => {
+      const response = await authApi.session();
+      return response.data;
+    },
+    retry: false,
+  });
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  if (error || !session?.user) {
+    return <Navigate to="/login" replace state={{ from: location.pathname + location.search }} />;
+  }
+
+  return children;
+}
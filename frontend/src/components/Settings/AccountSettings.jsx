@@ -0,0 +1,146 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { authApi } from '../../services/api';
+import { UserRound, Check, AlertCircle } from 'lucide-react';
+
+const EMPTY_FORM = {
+  current_password: '',
+  new_password: '',
+  confirm_password: '',
+};
+
+export default function AccountSettings({ user }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saved, setSaved] = useState(false);
+  const queryClient = useQueryClient();
+
+  const passwordMutation = useMutation({
+    mutationFn: (data) => authApi.changePassword(data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['session'] });
+      queryClient.invalidateQueries({ queryKey: ['api-key-me'] });
+      setForm(EMPTY_FORM);
+      setSaved(true);
+      setTimeout(() => setSaved(false), 3000);
+    },
+  });
+
+  const mismatch = form.confirm_password && form.new_password !== form.confirm_password;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    passwordMutation.mutate({
+      current_password: form.current_password || null,
+      new_password: form.new_password,
+    });
+  };
+
+  return (
+    <div className="card">
+      <div className="p-6 lg:p-7">
+        <div className="flex items-center gap-3 mb-6">
+          <div className="bg-gallery-100 rounded-lg p-2.5">
+            <UserRound className="w-5 h-5 text-gallery-700" strokeWidth={2} />
+          </div>
+          <div>
+            <h2 className="font-display font-semibold text-xl text-gallery-900">
+              Account
+            </h2>
+            <p className="text-sm text-gallery-500 mt-0.5">
+              {user ? (
+                <>Signed in as <span className="font-semibold text-gallery-700">{user.name}</span></>
+              ) : (
+                'Your login for this web app'
+              )}
+            </p>
+          </div>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+            {user?.has_password && (
+              <div>
+                <label htmlFor="currentPassword" className="block text-sm font-semibold text-gallery-700 mb-2">
+                  Current Password
+                </label>
+                <input
+                  id="currentPassword"
+                  type="password"
+                  required
+                  autoComplete="current-password"
+                  value={form.current_password}
+                  onChange={(e) => setForm({ ...form, current_password: e.target.value })}
+                  className="input"
+                />
+              </div>
+            )}
+            <div>
+              <label htmlFor="newPassword" className="block text-sm font-semibold text-gallery-700 mb-2">
+                New Password
+              </label>
+              <input
+                id="newPassword"
+                type="password"
+                required
+                minLength={8}
+                autoComplete="new-password"
+                value={form.new_password}
+                onChange={(e) => setForm({ ...form, new_password: e.target.value })}
+                className="input"
+              />
+            </div>
+            <div>
+              <label htmlFor="confirmPassword" className="block text-sm font-semibold text-gallery-700 mb-2">
+                Confirm New Password
+              </label>
+              <input
+                id="confirmPassword"
+                type="password"
+                required
+                autoComplete="new-password"
+                value={form.confirm_password}
+                onChange={(e) => setForm({ ...form, confirm_password: e.target.value })}
+                className="input"
+              />
+            </div>
+          </div>
+
+          <p className="text-sm text-gallery-500">
+            Changing your password logs out your other browsers.
+          </p>
+
+          <button
+            type="submit"
+            disabled={passwordMutation.isPending || mismatch}
+            className="btn btn-primary"
+          >
+            {passwordMutation.isPending ? 'Saving...' : 'Change Password'}
+          </button>
+        </form>
+
+        {mismatch && (
+          <div className="flex items-center text-sm text-red-700 bg-red-50 px-4 py-3 rounded-lg mt-5">
+            <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" strokeWidth={2} />
+            <span>Passwords don&apos;t match</span>
+          </div>
+        )}
+        {saved && (
+          <div className="flex items-center text-sm text-emerald-700 bg-emerald-50 px-4 py-3 rounded-lg mt-5">
+            <Check className="w-4 h-4 mr-2 flex-shrink-0" strokeWidth={2.5} />
+            <span>Password changed</span>
+          </div>
+        )}
+        {passwordMutation.error && (
+          <div className="flex items-center text-sm text-red-700 bg-red-50 px-4 py-3 rounded-lg mt-5">
+            <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" strokeWidth={2} />
+            <span>
+              {passwordMutation.error.response?.data?.details?.[0]?.msg
+                || passwordMutation.error.response?.data?.message
+                || passwordMutation.error.message}
+            </span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,229 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { apiKeysApi } from '../../services/api';
+import { KeyRound, Trash2, Check, AlertCircle, Loader } from 'lucide-react';
+import { formatDistanceToNow, format } from 'date-fns';
+
+const EMPTY_FORM = {
+  label: '',
+  scopes: ['articles:read', 'articles:write'],
+  expires_in_days: '',
+};
+
+function keyStatus(key) {
+  if (key.revoked_at) return { label: 'revoked', className: 'badge bg-red-50 text-red-700' };
+  if (key.expires_at && new Date(key.expires_at) < new Date()) {
+    return { label: 'expired', className: 'badge badge-default' };
+  }
+  return { label: 'active', className: 'badge badge-success' };
+}
+
+export default function ApiKeySettings() {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [createdKey, setCreatedKey] = useState(null);
+  const queryClient = useQueryClient();
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['api-keys'],
+    queryFn: async () => {
+      const response = await apiKeysApi.list();
+      return response.data;
+    },
+  });
+  const keys = data?.keys || [];
+  const availableScopes = data?.available_scopes || [];
+
+  const createMutation = useMutation({
+    mutationFn: (data) => apiKeysApi.create(data),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries({ queryKey: ['api-keys'] });
+      setCreatedKey(response.data.key);
+      setForm(EMPTY_FORM);
+    },
+  });
+
+  const revokeMutation = useMutation({
+    mutationFn: (id) => apiKeysApi.revoke(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['api-keys'] });
+    },
+  });
+
+  const toggleScope = (scope) => {
+    setForm((current) => ({
+      ...current,
+      scopes: current.scopes.includes(scope)
+        ? current.scopes.filter((s) => s !== scope)
+        : [...current.scopes, scope],
+    }));
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    createMutation.mutate({
+      label: form.label.trim(),
+      scopes: form.scopes,
+      expires_in_days: form.expires_in_days ? parseInt(form.expires_in_days) : null,
+    });
+  };
+
+  const handleRevoke = (key) => {
+    if (confirm(`Revoke "${key.label}"? Clients using it will stop working.`)) {
+      revokeMutation.mutate(key.id);
+    }
+  };
+
+  const mutationError = createMutation.error || revokeMutation.error;
+
+  return (
+    <div className="card">
+      <div className="p-6 lg:p-7">
+        <div className="flex items-center gap-3 mb-6">
+          <div className="bg-gallery-100 rounded-lg p-2.5">
+            <KeyRound className="w-5 h-5 text-gallery-700" strokeWidth={2} />
+          </div>
+          <div>
+            <h2 className="font-display font-semibold text-xl text-gallery-900">
+              API Keys
+            </h2>
+            <p className="text-sm text-gallery-500 mt-0.5">
+              Give the extension and your scripts their own keys, each with only the access it needs
+            </p>
+          </div>
+        </div>
+
+        <form onSubmit={handleCreate} className="space-y-4">
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="apiKeyLabel" className="block text-sm font-semibold text-gallery-700 mb-2">
+                Label
+              </label>
+              <input
+                id="apiKeyLabel"
+                type="text"
+                required
+                value={form.label}
+                onChange={(e) => setForm({ ...form, label: e.target.value })}
+                placeholder="Browser extension"
+                className="input"
+              />
+            </div>
+            <div>
+              <label htmlFor="apiKeyExpiry" className="block text-sm font-semibold text-gallery-700 mb-2">
+                Expires after <span className="text-gallery-400 font-normal">(days, optional)</span>
+              </label>
+              <input
+                id="apiKeyExpiry"
+                type="number"
+                min="1"
+                max="3650"
+                value={form.expires_in_days}
+                onChange={(e) => setForm({ ...form, expires_in_days: e.target.value })}
+                placeholder="Never"
+                className="input"
+              />
+            </div>
+          </div>
+
+          <div>
+            <span className="block text-sm font-semibold text-gallery-700 mb-2">Scopes</span>
+            <div className="flex flex-wrap gap-x-5 gap-y-2">
+              {availableScopes.map((scope) => (
+                <label key={scope} className="flex items-center gap-1.5 text-sm text-gallery-700">
+                  <input
+                    type="checkbox"
+                    checked={form.scopes.includes(scope)}
+                    onChange={() => toggleScope(scope)}
+                    className="h-4 w-4 text-coral-500 rounded focus:ring-coral-500"
+                  />
+                  <span className="font-mono text-xs">{scope}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <button
+            type="submit"
+            disabled={createMutation.isPending || form.scopes.length === 0}
+            className="btn btn-primary"
+          >
+            {createMutation.isPending ? 'Creating...' : 'Create Key'}
+          </button>
+        </form>
+
+        {createdKey && (
+          <div className="text-sm text-emerald-700 bg-emerald-50 px-4 py-3 rounded-lg mt-5">
+            <div className="flex items-center">
+              <Check className="w-4 h-4 mr-2 flex-shrink-0" strokeWidth={2.5} />
+              <span>Key &quot;{createdKey.label}&quot; created. Copy it now, it won&apos;t be shown again:</span>
+            </div>
+            <code className="block mt-2 bg-white px-2 py-1 rounded text-xs font-mono text-gallery-800 break-all">
+              {createdKey.key}
+            </code>
+          </div>
+        )}
+        {mutationError && (
+          <div className="flex items-center text-sm text-red-700 bg-red-50 px-4 py-3 rounded-lg mt-5">
+            <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" strokeWidth={2} />
+            <span>
+              {mutationError.response?.data?.details?.[0]?.msg
+                || mutationError.response?.data?.message
+                || mutationError.message}
+            </span>
+          </div>
+        )}
+
+        <div className="mt-6">
+          {isLoading ? (
+            <div className="flex justify-center py-6">
+              <Loader className="w-6 h-6 animate-spin text-gallery-400" strokeWidth={2} />
+            </div>
+          ) : keys.length === 0 ? (
+            <p className="text-gallery-500 text-sm">
+              No named keys yet. Create one for the browser extension or your scripts.
+            </p>
+          ) : (
+            <ul className="divide-y divide-gallery-200">
+              {keys.map((key) => {
+                const status = keyStatus(key);
+                return (
+                  <li key={key.id} className="py-3 flex items-start justify-between gap-4">
+                    <div className="min-w-0">
+                      <div className="flex items-center gap-2">
+                        <span className="text-sm font-medium text-gallery-900 truncate">{key.label}</span>
+                        <span className={status.className}>{status.label}</span>
+                      </div>
+                      <div className="text-xs text-gallery-500 mt-0.5">
+                        <span className="font-mono">{key.key_prefix}…</span>
+                        <span> • {key.scopes.join(', ')}</span>
+                      </div>
+                      <div className="text-xs text-gallery-500 mt-0.5">
+                        {key.last_used_at
+                          ? `Last used ${formatDistanceToNow(new Date(key.last_used_at), { addSuffix: true })}`
+                          : 'Never used'}
+                        {key.expires_at && !key.revoked_at && (
+                          <span> • Expires {format(new Date(key.expires_at), 'MMM d, yyyy')}</span>
+                        )}
+                      </div>
+                    </div>
+                    {!key.revoked_at && (
+                      <button
+                        onClick={() => handleRevoke(key)}
+                        disabled={revokeMutation.isPending}
+                        className="btn-icon hover:text-red-600 hover:bg-red-50"
+                        title="Revoke"
+                        aria-label="Revoke key"
+                      >
+                        <Trash2 className="w-4 h-4" strokeWidth={2} />
+                      </button>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,126 @@
+import { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { imagesApi, jobsApi } from '../../services/api';
+import { HardDrive, Trash2, Check, AlertCircle, Loader } from 'lucide-react';
+
+function formatMegabytes(bytes) {
+  return `${Math.round(bytes / 1024 / 1024 * 100) / 100} MB`;
+}
+
+export default function ImageStorageSettings() {
+  const [gcJobId, setGcJobId] = useState(null);
+  const queryClient = useQueryClient();
+
+  const { data: stats } = useQuery({
+    queryKey: ['image-stats'],
+    queryFn: async () => {
+      const response = await imagesApi.stats();
+      return response.data.stats;
+    },
+  });
+
+  const gcMutation = useMutation({
+    mutationFn: () => imagesApi.gc(),
+    onSuccess: (response) => {
+      setGcJobId(response.data.job.id);
+    },
+  });
+
+  const { data: gcJob } = useQuery({
+    queryKey: ['job', gcJobId],
+    queryFn: async () => {
+      const response = await jobsApi.get(gcJobId);
+      return response.data.job;
+    },
+    enabled: !!gcJobId,
+    refetchInterval: (query) => {
+      const status = query.state.data?.status;
+      return status === 'completed' || status === 'failed' ? false : 1000;
+    },
+  });
+
+  const gcStatus = gcJob?.status;
+  const isCollecting = gcMutation.isPending
+    || (!!gcJobId && gcStatus !== 'completed' && gcStatus !== 'failed');
+
+  useEffect(() => {
+    if (gcStatus === 'completed') {
+      queryClient.invalidateQueries({ queryKey: ['image-stats'] });
+    }
+  }, [gcStatus, queryClient]);
+
+  return (
+    <div className="card">
+      <div className="p-6 lg:p-7">
+        <div className="flex items-center gap-3 mb-6">
+          <div className="bg-gallery-100 rounded-lg p-2.5">
+            <HardDrive className="w-5 h-5 text-gallery-700" strokeWidth={2} />
+          </div>
+          <div>
+            <h2 className="font-display font-semibold text-xl text-gallery-900">
+              Image Storage
+            </h2>
+            <p className="text-sm text-gallery-500 mt-0.5">
+              Each image is stored once per user; files no article uses any more are cleaned up daily
+            </p>
+          </div>
+        </div>
+
+        {stats && (
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+            <div className="bg-gallery-50 rounded-xl p-5 text-center">
+              <div className="font-display font-bold text-2xl text-gallery-900 mb-1">
+                {stats.files}
+              </div>
+              <div className="text-sm text-gallery-600 font-medium">Files</div>
+            </div>
+            <div className="bg-gallery-50 rounded-xl p-5 text-center">
+              <div className="font-display font-bold text-2xl text-gallery-900 mb-1">
+                {formatMegabytes(stats.bytes)}
+              </div>
+              <div className="text-sm text-gallery-600 font-medium">On Disk</div>
+            </div>
+            <div className="bg-gallery-50 rounded-xl p-5 text-center">
+              <div className="font-display font-bold text-2xl text-emerald-600 mb-1">
+                {formatMegabytes(stats.deduplicated_bytes)}
+              </div>
+              <div className="text-sm text-gallery-600 font-medium">Saved by Sharing</div>
+            </div>
+            <div className="bg-gallery-50 rounded-xl p-5 text-center">
+              <div className="font-display font-bold text-2xl text-coral-500 mb-1">
+                {formatMegabytes(stats.unreferenced_bytes)}
+              </div>
+              <div className="text-sm text-gallery-600 font-medium">Unused</div>
+            </div>
+          </div>
+        )}
+
+        <button
+          onClick={() => gcMutation.mutate()}
+          disabled={isCollecting}
+          className="btn btn-secondary"
+        >
+          {isCollecting ? (
+            <Loader className="w-4 h-4 mr-2 animate-spin" strokeWidth={2} />
+          ) : (
+            <Trash2 className="w-4 h-4 mr-2" strokeWidth={2} />
+          )}
+          {isCollecting ? 'Cleaning Up...' : 'Clean Up Unused Images'}
+        </button>
+
+        {gcStatus === 'completed' && (
+          <div className="flex items-center text-sm text-emerald-700 bg-emerald-50 px-4 py-3 rounded-lg mt-5">
+            <Check className="w-4 h-4 mr-1.5" strokeWidth={2} />
+            Deleted {gcJob.result.deleted_files} files and reclaimed {formatMegabytes(gcJob.result.reclaimed_bytes)}
+          </div>
+        )}
+        {(gcMutation.isError || gcStatus === 'failed') && (
+          <div className="flex items-center text-sm text-red-700 bg-red-50 px-4 py-3 rounded-lg mt-5">
+            <AlertCircle className="w-4 h-4 mr-1.5" strokeWidth={2} />
+            Clean up failed: {gcJob?.error || gcMutation.error?.response?.data?.message || gcMutation.error?.message}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
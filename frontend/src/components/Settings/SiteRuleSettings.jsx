@@ -0,0 +1,466 @@
+import { useEffect, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { articlesApi, jobsApi, siteRulesApi } from '../../services/api';
+import { Crosshair, Pencil, Trash2, FlaskConical, ScanText, AlertCircle, Check, Loader } from 'lucide-react';
+
+const EMPTY_FORM = {
+  pattern: '',
+  description: '',
+  content_selector: '',
+  strip_selector: '',
+  title_selector: '',
+  author_selector: '',
+  date_selector: '',
+  lazy_image_attribute: '',
+  readability_options: '',
+};
+
+const SELECTOR_INPUTS = [
+  { field: 'content_selector', label: 'Content', placeholder: '.story-body' },
+  { field: 'strip_selector', label: 'Strip', placeholder: '.newsletter-signup, .related' },
+  { field: 'title_selector', label: 'Title', placeholder: 'h1.headline' },
+  { field: 'author_selector', label: 'Author', placeholder: '.byline a' },
+  { field: 'date_selector', label: 'Date', placeholder: 'time[datetime]' },
+  { field: 'lazy_image_attribute', label: 'Lazy image attribute', placeholder: 'data-original' },
+];
+
+function errorMessage(error) {
+  return error.response?.data?.details?.[0]?.msg
+    || error.response?.data?.message
+    || error.message;
+}
+
+function toForm(rule) {
+  return {
+    ...Object.fromEntries(Object.keys(EMPTY_FORM).map((field) => [field, rule[field] || ''])),
+    readability_options: Object.keys(rule.readability_options).length > 0
+      ? JSON.stringify(rule.readability_options)
+      : '',
+  };
+}
+
+/**
+ * Request body for a form, or throws if the Readability options aren't JSON
+ */
+function toRule(form) {
+  let readabilityOptions = {};
+  if (form.readability_options.trim()) {
+    try {
+      readabilityOptions = JSON.parse(form.readability_options);
+    } catch {
+      throw new Error('Readability options must be JSON, e.g. {"charThreshold": 200}');
+    }
+  }
+
+  return {
+    ...form,
+    pattern: form.pattern.trim(),
+    description: form.description.trim() || null,
+    readability_options: readabilityOptions,
+  };
+}
+
+// State of the test panel: the page to test against and the last result
+function useRulePreview() {
+  const [url, setUrl] = useState('');
+  const [html, setHtml] = useState('');
+  const testMutation = useMutation({
+    mutationFn: (data) => siteRulesApi.test(data),
+  });
+
+  return { url, setUrl, html, setHtml, testMutation };
+}
+
+function PreviewResult({ result }) {
+  if (!result.success) {
+    return (
+      <div className="flex items-center text-sm text-red-700 bg-red-50 px-4 py-3 rounded-lg mt-4">
+        <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" strokeWidth={2} />
+        <span>{result.error}</span>
+      </div>
+    );
+  }
+
+  const { article } = result;
+  return (
+    <div className="border border-gallery-200 rounded-xl p-4 mt-4">
+      {result.url_matches === false && (
+        <p className="text-xs text-amber-700 mb-2">The pattern doesn&apos;t match this URL, so captures won&apos;t use the rule.</p>
+      )}
+      <div className="font-medium text-gallery-900">{article.title}</div>
+      <div className="text-xs text-gallery-500 mt-0.5">
+        {article.author && <span>{article.author} • </span>}
+        {article.published_at && <span>{new Date(article.published_at).toLocaleDateString()} • </span>}
+        <span>{article.word_count} words</span>
+      </div>
+      <div
+        className="prose prose-gallery prose-sm max-w-none mt-3 max-h-80 overflow-y-auto"
+        dangerouslySetInnerHTML={{ __html: article.content_html }}
+      />
+    </div>
+  );
+}
+
+// Summary of a reprocessing job's result
+function reprocessSummary({ processed, changed, failed }) {
+  const parts = [`${changed.length} changed`];
+  if (failed.length > 0) {
+    parts.push(`${failed.length} could not be extracted`);
+  }
+  return `Reprocessed ${processed} ${processed === 1 ? 'article' : 'articles'}: ${parts.join(', ')}.`;
+}
+
+export default function SiteRuleSettings() {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [formError, setFormError] = useState(null);
+  const preview = useRulePreview();
+  const queryClient = useQueryClient();
+
+  const { data: rules = [], isLoading } = useQuery({
+    queryKey: ['site-rules'],
+    queryFn: async () => {
+      const response = await siteRulesApi.list();
+      return response.data.rules;
+    },
+  });
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+    setFormError(null);
+    preview.testMutation.reset();
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: (data) => (editingId ? siteRulesApi.update(editingId, data) : siteRulesApi.create(data)),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['site-rules'] });
+      resetForm();
+    },
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, data }) => siteRulesApi.update(id, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['site-rules'] });
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => siteRulesApi.delete(id),
+    onSuccess: (response, id) => {
+      queryClient.invalidateQueries({ queryKey: ['site-rules'] });
+      if (id === editingId) {
+        resetForm();
+      }
+    },
+  });
+
+  // Extracting the articles a rule matches again, from their snapshots
+  const [reprocessing, setReprocessing] = useState(null);
+
+  const reprocessMutation = useMutation({
+    mutationFn: (rule) => articlesApi.reprocess({ filter: { site: rule.pattern } }),
+    onSuccess: (response, rule) => setReprocessing({
+      pattern: rule.pattern,
+      jobId: response.data.job?.id ?? null,
+      message: response.data.message,
+    }),
+  });
+
+  const { data: reprocessJob } = useQuery({
+    queryKey: ['job', reprocessing?.jobId],
+    queryFn: () => jobsApi.get(reprocessing.jobId).then((res) => res.data.job),
+    enabled: !!reprocessing?.jobId,
+    refetchInterval: (query) => {
+      const status = query.state.data?.status;
+      return status === 'completed' || status === 'failed' ? false : 1000;
+    },
+  });
+
+  const reprocessStatus = reprocessJob?.status;
+  const isReprocessing = reprocessMutation.isPending
+    || (!!reprocessing?.jobId && reprocessStatus !== 'completed' && reprocessStatus !== 'failed');
+
+  useEffect(() => {
+    if (reprocessStatus === 'completed') {
+      queryClient.invalidateQueries({ queryKey: ['articles'] });
+      queryClient.invalidateQueries({ queryKey: ['article'] });
+    }
+  }, [reprocessStatus, queryClient]);
+
+  const handleReprocess = (rule) => {
+    if (confirm(`Extract the saved articles matching ${rule.pattern} again? Changed articles keep their previous text as a version.`)) {
+      reprocessMutation.mutate(rule);
+    }
+  };
+
+  const withRule = (callback) => {
+    try {
+      setFormError(null);
+      callback(toRule(form));
+    } catch (error) {
+      setFormError(error.message);
+    }
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    withRule((rule) => saveMutation.mutate(rule));
+  };
+
+  const handleTest = () => {
+    withRule((rule) => preview.testMutation.mutate({
+      rule: { ...rule, pattern: rule.pattern || undefined },
+      url: preview.url.trim(),
+      html: preview.html,
+    }));
+  };
+
+  const handleEdit = (rule) => {
+    setForm(toForm(rule));
+    setEditingId(rule.id);
+    setFormError(null);
+    preview.testMutation.reset();
+  };
+
+  const handleDelete = (rule) => {
+    if (confirm(`Delete the rule for ${rule.pattern}?`)) {
+      deleteMutation.mutate(rule.id);
+    }
+  };
+
+  const mutationError = formError
+    || [saveMutation.error, updateMutation.error, deleteMutation.error, preview.testMutation.error, reprocessMutation.error]
+      .filter(Boolean)
+      .map(errorMessage)[0];
+
+  return (
+    <div className="card">
+      <div className="p-6 lg:p-7">
+        <div className="flex items-center gap-3 mb-6">
+          <div className="bg-gallery-100 rounded-lg p-2.5">
+            <Crosshair className="w-5 h-5 text-gallery-700" strokeWidth={2} />
+          </div>
+          <div>
+            <h2 className="font-display font-semibold text-xl text-gallery-900">
+              Site Rules
+            </h2>
+            <p className="text-sm text-gallery-500 mt-0.5">
+              Tell the extractor where the article is on sites it gets wrong
+            </p>
+          </div>
+        </div>
+
+        <form onSubmit={handleSave} className="space-y-4">
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="siteRulePattern" className="block text-sm font-semibold text-gallery-700 mb-2">
+                Site
+              </label>
+              <input
+                id="siteRulePattern"
+                type="text"
+                required
+                value={form.pattern}
+                onChange={(e) => setForm({ ...form, pattern: e.target.value })}
+                placeholder="example.com or *.example.com/blog/*"
+                className="input"
+              />
+            </div>
+            <div>
+              <label htmlFor="siteRuleDescription" className="block text-sm font-semibold text-gallery-700 mb-2">
+                Description <span className="text-gallery-400 font-normal">(optional)</span>
+              </label>
+              <input
+                id="siteRuleDescription"
+                type="text"
+                value={form.description}
+                onChange={(e) => setForm({ ...form, description: e.target.value })}
+                placeholder="Skip the comment thread"
+                className="input"
+              />
+            </div>
+            {SELECTOR_INPUTS.map(({ field, label, placeholder }) => (
+              <div key={field}>
+                <label htmlFor={`siteRule-${field}`} className="block text-sm font-semibold text-gallery-700 mb-2">
+                  {label} <span className="text-gallery-400 font-normal">(optional)</span>
+                </label>
+                <input
+                  id={`siteRule-${field}`}
+                  type="text"
+                  value={form[field]}
+                  onChange={(e) => setForm({ ...form, [field]: e.target.value })}
+                  placeholder={placeholder}
+                  className="input font-mono text-xs"
+                />
+              </div>
+            ))}
+          </div>
+
+          <div>
+            <label htmlFor="siteRuleReadability" className="block text-sm font-semibold text-gallery-700 mb-2">
+              Readability options <span className="text-gallery-400 font-normal">(optional JSON)</span>
+            </label>
+            <input
+              id="siteRuleReadability"
+              type="text"
+              value={form.readability_options}
+              onChange={(e) => setForm({ ...form, readability_options: e.target.value })}
+              placeholder='{"charThreshold": 200, "keepClasses": true}'
+              className="input font-mono text-xs"
+            />
+          </div>
+
+          <details className="border border-gallery-200 rounded-xl p-4">
+            <summary className="text-sm font-semibold text-gallery-700 cursor-pointer">
+              Test against a page&apos;s HTML
+            </summary>
+            <div className="space-y-3 mt-3">
+              <input
+                type="url"
+                value={preview.url}
+                onChange={(e) => preview.setUrl(e.target.value)}
+                placeholder="https://example.com/the-page"
+                className="input"
+                aria-label="Page URL"
+              />
+              <textarea
+                value={preview.html}
+                onChange={(e) => preview.setHtml(e.target.value)}
+                placeholder="Paste the page source"
+                rows={5}
+                className="input font-mono text-xs"
+                aria-label="Page HTML"
+              />
+              <button
+                type="button"
+                onClick={handleTest}
+                disabled={!preview.url.trim() || !preview.html.trim() || preview.testMutation.isPending}
+                className="btn btn-secondary"
+              >
+                {preview.testMutation.isPending ? (
+                  <Loader className="w-4 h-4 mr-2 animate-spin" strokeWidth={2} />
+                ) : (
+                  <FlaskConical className="w-4 h-4 mr-2" strokeWidth={2} />
+                )}
+                Test Rule
+              </button>
+            </div>
+            {preview.testMutation.isSuccess && <PreviewResult result={preview.testMutation.data.data} />}
+          </details>
+
+          <div className="flex gap-3">
+            <button type="submit" disabled={saveMutation.isPending} className="btn btn-primary">
+              {saveMutation.isPending ? 'Saving...' : editingId ? 'Save Rule' : 'Add Rule'}
+            </button>
+            {editingId && (
+              <button type="button" onClick={resetForm} className="btn btn-ghost">
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+
+        {mutationError && (
+          <div className="flex items-center text-sm text-red-700 bg-red-50 px-4 py-3 rounded-lg mt-5">
+            <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" strokeWidth={2} />
+            <span>{mutationError}</span>
+          </div>
+        )}
+
+        {reprocessing && (
+          <div
+            className={
+              reprocessStatus === 'failed'
+                ? 'flex items-center text-sm text-red-700 bg-red-50 px-4 py-3 rounded-lg mt-5'
+                : 'flex items-center text-sm text-gallery-700 bg-gallery-50 px-4 py-3 rounded-lg mt-5'
+            }
+          >
+            {isReprocessing ? (
+              <Loader className="w-4 h-4 mr-2 flex-shrink-0 animate-spin" strokeWidth={2} />
+            ) : reprocessStatus === 'failed' ? (
+              <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" strokeWidth={2} />
+            ) : (
+              <Check className="w-4 h-4 mr-2 flex-shrink-0" strokeWidth={2} />
+            )}
+            <span>
+              <span className="font-mono">{reprocessing.pattern}</span>:{' '}
+              {!reprocessing.jobId
+                ? reprocessing.message
+                : reprocessStatus === 'completed'
+                  ? reprocessSummary(reprocessJob.result)
+                  : reprocessStatus === 'failed'
+                    ? reprocessJob.error
+                    : reprocessJob?.progress || 'Reprocessing...'}
+            </span>
+          </div>
+        )}
+
+        <div className="mt-6">
+          {isLoading ? (
+            <div className="flex justify-center py-6">
+              <Loader className="w-6 h-6 animate-spin text-gallery-400" strokeWidth={2} />
+            </div>
+          ) : rules.length === 0 ? (
+            <p className="text-gallery-500 text-sm">No site rules yet.</p>
+          ) : (
+            <div className="space-y-3">
+              {rules.map((rule) => (
+                <div key={rule.id} className="border border-gallery-200 rounded-xl p-4 flex items-start justify-between gap-4">
+                  <div className="min-w-0">
+                    <div className="font-medium text-gallery-900 font-mono text-sm truncate">{rule.pattern}</div>
+                    <div className="text-xs text-gallery-500 mt-0.5">
+                      {rule.description && <span>{rule.description} • </span>}
+                      <span className="font-mono">
+                        {rule.content_selector ? `content: ${rule.content_selector}` : 'Readability'}
+                        {rule.strip_selector && ` • strip: ${rule.strip_selector}`}
+                      </span>
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-1">
+                    <label className="flex items-center gap-1.5 text-xs text-gallery-500 mr-2">
+                      <input
+                        type="checkbox"
+                        checked={rule.is_enabled}
+                        onChange={(e) => updateMutation.mutate({ id: rule.id, data: { is_enabled: e.target.checked } })}
+                        className="h-3.5 w-3.5 text-coral-500 rounded focus:ring-coral-500"
+                      />
+                      Enabled
+                    </label>
+                    <button
+                      onClick={() => handleReprocess(rule)}
+                      disabled={isReprocessing}
+                      className="btn-icon"
+                      title="Reprocess matching articles"
+                      aria-label="Reprocess articles matching this rule"
+                    >
+                      <ScanText className="w-4 h-4" strokeWidth={2} />
+                    </button>
+                    <button
+                      onClick={() => handleEdit(rule)}
+                      className="btn-icon"
+                      title="Edit"
+                      aria-label="Edit site rule"
+                    >
+                      <Pencil className="w-4 h-4" strokeWidth={2} />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(rule)}
+                      className="btn-icon hover:text-red-600 hover:bg-red-50"
+                      title="Delete"
+                      aria-label="Delete site rule"
+                    >
+                      <Trash2 className="w-4 h-4" strokeWidth={2} />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,221 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { usersApi } from '../../services/api';
+import { Users, Trash2, KeyRound, Check, AlertCircle, Loader } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+
+const EMPTY_FORM = {
+  name: '',
+  password: '',
+  is_admin: false,
+};
+
+export default function UserSettings() {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [created, setCreated] = useState(null);
+  const [passwordReset, setPasswordReset] = useState(null);
+  const queryClient = useQueryClient();
+
+  const { data: users = [], isLoading } = useQuery({
+    queryKey: ['users'],
+    queryFn: async () => {
+      const response = await usersApi.list();
+      return response.data.users;
+    },
+  });
+
+  const createMutation = useMutation({
+    mutationFn: (data) => usersApi.create(data),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries({ queryKey: ['users'] });
+      setCreated(response.data);
+      setPasswordReset(null);
+      setForm(EMPTY_FORM);
+    },
+  });
+
+  const passwordMutation = useMutation({
+    mutationFn: ({ user, password }) => usersApi.setPassword(user.id, password),
+    onSuccess: (_response, { user }) => {
+      queryClient.invalidateQueries({ queryKey: ['users'] });
+      setPasswordReset(user.name);
+      setCreated(null);
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => usersApi.delete(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['users'] });
+    },
+  });
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    createMutation.mutate({
+      name: form.name.trim(),
+      password: form.password || null,
+      is_admin: form.is_admin,
+    });
+  };
+
+  const handleResetPassword = (user) => {
+    const password = prompt(`New password for "${user.name}" (at least 8 characters). Their sessions will be logged out.`);
+    if (password) {
+      passwordMutation.mutate({ user, password });
+    }
+  };
+
+  const handleDelete = (user) => {
+    if (confirm(`Delete "${user.name}" and their whole library? This cannot be undone.`)) {
+      deleteMutation.mutate(user.id);
+    }
+  };
+
+  const mutationError = createMutation.error || passwordMutation.error || deleteMutation.error;
+
+  return (
+    <div className="card">
+      <div className="p-6 lg:p-7">
+        <div className="flex items-center gap-3 mb-6">
+          <div className="bg-gallery-100 rounded-lg p-2.5">
+            <Users className="w-5 h-5 text-gallery-700" strokeWidth={2} />
+          </div>
+          <div>
+            <h2 className="font-display font-semibold text-xl text-gallery-900">
+              Users
+            </h2>
+            <p className="text-sm text-gallery-500 mt-0.5">
+              Everyone gets their own library, tags, digests and Kindle settings
+            </p>
+          </div>
+        </div>
+
+        <form onSubmit={handleCreate} className="flex flex-wrap items-end gap-4">
+          <div className="flex-1 min-w-[12rem]">
+            <label htmlFor="userName" className="block text-sm font-semibold text-gallery-700 mb-2">
+              Name
+            </label>
+            <input
+              id="userName"
+              type="text"
+              required
+              maxLength={100}
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="alice"
+              className="input"
+            />
+          </div>
+          <div className="flex-1 min-w-[12rem]">
+            <label htmlFor="userPassword" className="block text-sm font-semibold text-gallery-700 mb-2">
+              Password <span className="text-gallery-400 font-normal">(optional)</span>
+            </label>
+            <input
+              id="userPassword"
+              type="password"
+              minLength={8}
+              autoComplete="new-password"
+              value={form.password}
+              onChange={(e) => setForm({ ...form, password: e.target.value })}
+              placeholder="For logging in to the web app"
+              className="input"
+            />
+          </div>
+          <label className="flex items-center gap-1.5 text-sm text-gallery-700 pb-3">
+            <input
+              type="checkbox"
+              checked={form.is_admin}
+              onChange={(e) => setForm({ ...form, is_admin: e.target.checked })}
+              className="h-4 w-4 text-coral-500 rounded focus:ring-coral-500"
+            />
+            Admin
+          </label>
+          <button
+            type="submit"
+            disabled={createMutation.isPending}
+            className="btn btn-primary"
+          >
+            {createMutation.isPending ? 'Creating...' : 'Add User'}
+          </button>
+        </form>
+
+        {created && (
+          <div className="text-sm text-emerald-700 bg-emerald-50 px-4 py-3 rounded-lg mt-5">
+            <div className="flex items-center">
+              <Check className="w-4 h-4 mr-2 flex-shrink-0" strokeWidth={2.5} />
+              <span>User &quot;{created.user.name}&quot; created. Give them this API key, it won&apos;t be shown again:</span>
+            </div>
+            <code className="block mt-2 bg-white px-2 py-1 rounded text-xs font-mono text-gallery-800 break-all">
+              {created.key.key}
+            </code>
+          </div>
+        )}
+        {passwordReset && (
+          <div className="flex items-center text-sm text-emerald-700 bg-emerald-50 px-4 py-3 rounded-lg mt-5">
+            <Check className="w-4 h-4 mr-2 flex-shrink-0" strokeWidth={2.5} />
+            <span>Password for &quot;{passwordReset}&quot; updated</span>
+          </div>
+        )}
+        {mutationError && (
+          <div className="flex items-center text-sm text-red-700 bg-red-50 px-4 py-3 rounded-lg mt-5">
+            <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" strokeWidth={2} />
+            <span>
+              {mutationError.response?.data?.details?.[0]?.msg
+                || mutationError.response?.data?.message
+                || mutationError.message}
+            </span>
+          </div>
+        )}
+
+        <div className="mt-6">
+          {isLoading ? (
+            <div className="flex justify-center py-6">
+              <Loader className="w-6 h-6 animate-spin text-gallery-400" strokeWidth={2} />
+            </div>
+          ) : (
+            <ul className="divide-y divide-gallery-200">
+              {users.map((user) => (
+                <li key={user.id} className="py-3 flex items-start justify-between gap-4">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                      <span className="text-sm font-medium text-gallery-900 truncate">{user.name}</span>
+                      {user.is_admin && <span className="badge badge-default">admin</span>}
+                    </div>
+                    <div className="text-xs text-gallery-500 mt-0.5">
+                      {user.article_count} {user.article_count === 1 ? 'article' : 'articles'}
+                      <span> • Added {formatDistanceToNow(new Date(user.created_at), { addSuffix: true })}</span>
+                      {!user.has_password && <span> • No password (API keys only)</span>}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-1">
+                    <button
+                      onClick={() => handleResetPassword(user)}
+                      disabled={passwordMutation.isPending}
+                      className="btn-icon"
+                      title="Set password"
+                      aria-label="Set password"
+                    >
+                      <KeyRound className="w-4 h-4" strokeWidth={2} />
+                    </button>
+                    {user.id !== 1 && (
+                      <button
+                        onClick={() => handleDelete(user)}
+                        disabled={deleteMutation.isPending}
+                        className="btn-icon hover:text-red-600 hover:bg-red-50"
+                        title="Delete"
+                        aria-label="Delete user"
+                      >
+                        <Trash2 className="w-4 h-4" strokeWidth={2} />
+                      </button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
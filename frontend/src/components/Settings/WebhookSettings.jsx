@@ -0,0 +1,312 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { webhooksApi } from '../../services/api';
+import { Webhook, Send, Trash2, Check, AlertCircle, Loader, ChevronDown, ChevronRight } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+
+const DELIVERY_BADGES = {
+  success: 'badge badge-success',
+  pending: 'badge badge-coral',
+  failed: 'badge bg-red-50 text-red-700',
+};
+
+const EMPTY_FORM = {
+  url: '',
+  description: '',
+  events: [],
+};
+
+function DeliveryLog({ webhookId }) {
+  const { data: deliveries = [], isLoading } = useQuery({
+    queryKey: ['webhook-deliveries', webhookId],
+    queryFn: async () => {
+      const response = await webhooksApi.listDeliveries(webhookId, { limit: 20 });
+      return response.data.deliveries;
+    },
+    refetchInterval: (query) => (
+      query.state.data?.some((delivery) => delivery.status === 'pending') ? 3000 : false
+    ),
+  });
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-4">
+        <Loader className="w-5 h-5 animate-spin text-gallery-400" strokeWidth={2} />
+      </div>
+    );
+  }
+
+  if (deliveries.length === 0) {
+    return <p className="text-xs text-gallery-500 py-3">No deliveries yet.</p>;
+  }
+
+  return (
+    <ul className="divide-y divide-gallery-200 mt-3">
+      {deliveries.map((delivery) => (
+        <li key={delivery.id} className="py-2 flex items-start justify-between gap-4">
+          <div className="min-w-0">
+            <div className="text-sm font-mono text-gallery-900">{delivery.event}</div>
+            <div className="text-xs text-gallery-500 mt-0.5">
+              {formatDistanceToNow(new Date(delivery.created_at), { addSuffix: true })}
+              <span> • {delivery.attempts} {delivery.attempts === 1 ? 'attempt' : 'attempts'}</span>
+              {delivery.response_status && <span> • HTTP {delivery.response_status}</span>}
+              {delivery.duration_ms !== null && <span> • {delivery.duration_ms} ms</span>}
+            </div>
+            {delivery.error && (
+              <div className="text-xs text-gallery-600 mt-1">{delivery.error}</div>
+            )}
+          </div>
+          <span className={DELIVERY_BADGES[delivery.status]}>
+            {delivery.status === 'success' && <Check className="w-3 h-3 mr-1" strokeWidth={2.5} />}
+            {delivery.status}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default function WebhookSettings() {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [createdSecret, setCreatedSecret] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const queryClient = useQueryClient();
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['webhooks'],
+    queryFn: async () => {
+      const response = await webhooksApi.list();
+      return response.data;
+    },
+  });
+  const webhooks = data?.webhooks || [];
+  const availableEvents = data?.available_events || [];
+
+  const createMutation = useMutation({
+    mutationFn: (data) => webhooksApi.create(data),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries({ queryKey: ['webhooks'] });
+      setCreatedSecret({ url: response.data.webhook.url, secret: response.data.webhook.secret });
+      setForm(EMPTY_FORM);
+    },
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, data }) => webhooksApi.update(id, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['webhooks'] });
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => webhooksApi.delete(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['webhooks'] });
+    },
+  });
+
+  const testMutation = useMutation({
+    mutationFn: (id) => webhooksApi.test(id),
+    onSuccess: (response, id) => {
+      setExpandedId(id);
+      queryClient.invalidateQueries({ queryKey: ['webhook-deliveries', id] });
+    },
+  });
+
+  const toggleEvent = (event) => {
+    setForm((current) => ({
+      ...current,
+      events: current.events.includes(event)
+        ? current.events.filter((e) => e !== event)
+        : [...current.events, event],
+    }));
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    createMutation.mutate({
+      url: form.url.trim(),
+      description: form.description.trim() || undefined,
+      // No events selected means all of them
+      events: form.events.length > 0 ? form.events : ['*'],
+    });
+  };
+
+  const handleDelete = (webhook) => {
+    if (confirm(`Delete webhook for ${webhook.url}?`)) {
+      deleteMutation.mutate(webhook.id);
+    }
+  };
+
+  const mutationError = createMutation.error || updateMutation.error || deleteMutation.error || testMutation.error;
+
+  return (
+    <div className="card">
+      <div className="p-6 lg:p-7">
+        <div className="flex items-center gap-3 mb-6">
+          <div className="bg-gallery-100 rounded-lg p-2.5">
+            <Webhook className="w-5 h-5 text-gallery-700" strokeWidth={2} />
+          </div>
+          <div>
+            <h2 className="font-display font-semibold text-xl text-gallery-900">
+              Webhooks
+            </h2>
+            <p className="text-sm text-gallery-500 mt-0.5">
+              Notify other tools when articles are saved or EPUBs are sent
+            </p>
+          </div>
+        </div>
+
+        <form onSubmit={handleCreate} className="space-y-4">
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="webhookUrl" className="block text-sm font-semibold text-gallery-700 mb-2">
+                Target URL
+              </label>
+              <input
+                id="webhookUrl"
+                type="url"
+                required
+                value={form.url}
+                onChange={(e) => setForm({ ...form, url: e.target.value })}
+                placeholder="https://example.com/hooks/bookmarks"
+                className="input"
+              />
+            </div>
+            <div>
+              <label htmlFor="webhookDescription" className="block text-sm font-semibold text-gallery-700 mb-2">
+                Description <span className="text-gallery-400 font-normal">(optional)</span>
+              </label>
+              <input
+                id="webhookDescription"
+                type="text"
+                value={form.description}
+                onChange={(e) => setForm({ ...form, description: e.target.value })}
+                placeholder="Wiki sync"
+                className="input"
+              />
+            </div>
+          </div>
+
+          <div>
+            <span className="block text-sm font-semibold text-gallery-700 mb-2">
+              Events <span className="text-gallery-400 font-normal">(none selected = all)</span>
+            </span>
+            <div className="flex flex-wrap gap-x-5 gap-y-2">
+              {availableEvents.map((event) => (
+                <label key={event} className="flex items-center gap-1.5 text-sm text-gallery-700">
+                  <input
+                    type="checkbox"
+                    checked={form.events.includes(event)}
+                    onChange={() => toggleEvent(event)}
+                    className="h-4 w-4 text-coral-500 rounded focus:ring-coral-500"
+                  />
+                  <span className="font-mono text-xs">{event}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <button type="submit" disabled={createMutation.isPending} className="btn btn-primary">
+            {createMutation.isPending ? 'Adding...' : 'Add Webhook'}
+          </button>
+        </form>
+
+        {createdSecret && (
+          <div className="text-sm text-emerald-700 bg-emerald-50 px-4 py-3 rounded-lg mt-5">
+            <div className="flex items-center">
+              <Check className="w-4 h-4 mr-2 flex-shrink-0" strokeWidth={2.5} />
+              <span>Webhook added. Copy the signing secret now, it won&apos;t be shown again:</span>
+            </div>
+            <code className="block mt-2 bg-white px-2 py-1 rounded text-xs font-mono text-gallery-800 break-all">
+              {createdSecret.secret}
+            </code>
+          </div>
+        )}
+        {mutationError && (
+          <div className="flex items-center text-sm text-red-700 bg-red-50 px-4 py-3 rounded-lg mt-5">
+            <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" strokeWidth={2} />
+            <span>
+              {mutationError.response?.data?.details?.[0]?.msg
+                || mutationError.response?.data?.message
+                || mutationError.message}
+            </span>
+          </div>
+        )}
+
+        <div className="mt-6">
+          {isLoading ? (
+            <div className="flex justify-center py-6">
+              <Loader className="w-6 h-6 animate-spin text-gallery-400" strokeWidth={2} />
+            </div>
+          ) : webhooks.length === 0 ? (
+            <p className="text-gallery-500 text-sm">No webhooks yet.</p>
+          ) : (
+            <div className="space-y-3">
+              {webhooks.map((webhook) => (
+                <div key={webhook.id} className="border border-gallery-200 rounded-xl p-4">
+                  <div className="flex items-start justify-between gap-4">
+                    <button
+                      onClick={() => setExpandedId(expandedId === webhook.id ? null : webhook.id)}
+                      className="flex items-start gap-2 min-w-0 text-left"
+                      aria-expanded={expandedId === webhook.id}
+                    >
+                      {expandedId === webhook.id ? (
+                        <ChevronDown className="w-4 h-4 mt-0.5 text-gallery-400 flex-shrink-0" strokeWidth={2} />
+                      ) : (
+                        <ChevronRight className="w-4 h-4 mt-0.5 text-gallery-400 flex-shrink-0" strokeWidth={2} />
+                      )}
+                      <div className="min-w-0">
+                        <div className="font-medium text-gallery-900 truncate">{webhook.url}</div>
+                        <div className="text-xs text-gallery-500 mt-0.5">
+                          {webhook.description && <span>{webhook.description} • </span>}
+                          <span className="font-mono">
+                            {webhook.events.includes('*') ? 'all events' : webhook.events.join(', ')}
+                          </span>
+                        </div>
+                      </div>
+                    </button>
+                    <div className="flex items-center gap-1">
+                      <label className="flex items-center gap-1.5 text-xs text-gallery-500 mr-2">
+                        <input
+                          type="checkbox"
+                          checked={webhook.is_enabled}
+                          onChange={(e) => updateMutation.mutate({ id: webhook.id, data: { is_enabled: e.target.checked } })}
+                          className="h-3.5 w-3.5 text-coral-500 rounded focus:ring-coral-500"
+                        />
+                        Enabled
+                      </label>
+                      <button
+                        onClick={() => testMutation.mutate(webhook.id)}
+                        disabled={testMutation.isPending}
+                        className="btn-icon"
+                        title="Send test ping"
+                        aria-label="Send test ping"
+                      >
+                        {testMutation.isPending && testMutation.variables === webhook.id ? (
+                          <Loader className="w-4 h-4 animate-spin" strokeWidth={2} />
+                        ) : (
+                          <Send className="w-4 h-4" strokeWidth={2} />
+                        )}
+                      </button>
+                      <button
+                        onClick={() => handleDelete(webhook)}
+                        className="btn-icon hover:text-red-600 hover:bg-red-50"
+                        title="Delete"
+                        aria-label="Delete webhook"
+                      >
+                        <Trash2 className="w-4 h-4" strokeWidth={2} />
+                      </button>
+                    </div>
+                  </div>
+
+                  {expandedId === webhook.id && <DeliveryLog webhookId={webhook.id} />}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,17 +1,23 @@
-import { useState } from 'react';
-import { useQuery } from '@tanstack/react-query';
-import { articlesApi } from '../services/api';
+import { useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Copy, FileUp, Loader, Check, AlertCircle } from 'lucide-react';
+import { articlesApi, jobsApi, tagsApi } from '../services/api';
 import SearchBar from '../components/Common/SearchBar';
 import ArticleList from '../components/Articles/ArticleList';
 import ArticleFilters from '../components/Articles/ArticleFilters';
 import Pagination from '../components/Common/Pagination';
 
 export default function Articles() {
+  const queryClient = useQueryClient();
+  const fileInputRef = useRef(null);
+  const [uploadJobId, setUploadJobId] = useState(null);
   const [page, setPage] = useState(1);
   const [search, setSearch] = useState('');
   const [filters, setFilters] = useState({
     status: 'all',
     sortBy: 'created_at',
+    tag: '',
   });
 
   // Fetch articles
@@ -22,44 +28,149 @@ export default function Articles() {
         page,
         limit: 20,
         search: search || undefined,
+        tag: filters.tag || undefined,
         is_archived: filters.status === 'archived' ? 1 : filters.status === 'unread' ? 0 : undefined,
         is_favorite: filters.status === 'favorite' ? 1 : undefined,
         sort_by: filters.sortBy,
       }),
   });
 
+  // Fetch tags for the filter dropdown
+  const { data: tags = [] } = useQuery({
+    queryKey: ['tags'],
+    queryFn: () => tagsApi.list().then((res) => res.data.tags),
+  });
+
+  // A PDF is captured as a background job, like pages from the extension
+  const uploadMutation = useMutation({
+    mutationFn: (file) => articlesApi.upload(file),
+    onSuccess: (res) => setUploadJobId(res.data.job.id),
+    onError: (error) => console.error('Failed to upload PDF:', error),
+  });
+
+  const { data: uploadJob } = useQuery({
+    queryKey: ['job', uploadJobId],
+    queryFn: () => jobsApi.get(uploadJobId).then((res) => res.data.job),
+    enabled: !!uploadJobId,
+    refetchInterval: (query) => {
+      const status = query.state.data?.status;
+      return status === 'completed' || status === 'failed' ? false : 1000;
+    },
+  });
+
+  const uploadStatus = uploadJob?.status;
+  const isUploading = uploadMutation.isPending
+    || (!!uploadJobId && uploadStatus !== 'completed' && uploadStatus !== 'failed');
+
+  useEffect(() => {
+    if (uploadStatus === 'completed') {
+      queryClient.invalidateQueries({ queryKey: ['articles'] });
+    }
+  }, [uploadStatus, queryClient]);
+
+  const handleFileChange = (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (file) {
+      setUploadJobId(null);
+      uploadMutation.mutate(file);
+    }
+  };
+
   const articles = articlesData?.data?.data?.articles || [];
   const total = articlesData?.data?.data?.total || 0;
 
   const handleSearch = (value) => {
+    // Rank by relevance while searching, fall back to newest first afterwards
+    if (value && !search && filters.sortBy === 'created_at') {
+      setFilters({ ...filters, sortBy: 'relevance' });
+    } else if (!value && filters.sortBy === 'relevance') {
+      setFilters({ ...filters, sortBy: 'created_at' });
+    }
     setSearch(value);
     setPage(1);
   };
 
+  const handleFiltersChange = (value) => {
+    setFilters(value);
+    setPage(1);
+  };
+
+  const handleTagClick = (tagName) => {
+    handleFiltersChange({ ...filters, tag: tagName });
+  };
+
   return (
     <div className="animate-fade-in-up">
       {/* Page Header */}
-      <div className="mb-8">
-        <h1 className="font-display font-bold text-3xl lg:text-4xl text-gallery-900 tracking-tight mb-2">
-          Library
-        </h1>
-        <p className="text-gallery-500 text-lg">
-          Your curated collection of saved articles
-        </p>
+      <div className="flex items-start justify-between gap-4 mb-8">
+        <div>
+          <h1 className="font-display font-bold text-3xl lg:text-4xl text-gallery-900 tracking-tight mb-2">
+            Library
+          </h1>
+          <p className="text-gallery-500 text-lg">
+            Your curated collection of saved articles
+          </p>
+        </div>
+        <div className="flex items-center gap-2 flex-shrink-0">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/pdf,.pdf"
+            onChange={handleFileChange}
+            className="hidden"
+          />
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            disabled={isUploading}
+            className="btn btn-ghost text-sm"
+          >
+            {isUploading ? (
+              <Loader className="w-4 h-4 mr-2 animate-spin" strokeWidth={2} />
+            ) : (
+              <FileUp className="w-4 h-4 mr-2" strokeWidth={2} />
+            )}
+            {isUploading ? uploadJob?.progress || 'Uploading...' : 'Upload PDF'}
+          </button>
+          <Link to="/duplicates" className="btn btn-ghost text-sm">
+            <Copy className="w-4 h-4 mr-2" strokeWidth={2} />
+            Find Duplicates
+          </Link>
+        </div>
       </div>
 
+      {/* Upload Result */}
+      {uploadStatus === 'completed' && (
+        <div className="flex items-center text-sm text-emerald-700 bg-emerald-50 px-4 py-3 rounded-lg mb-6">
+          <Check className="w-4 h-4 mr-1.5" strokeWidth={2} />
+          Saved&nbsp;
+          <Link to={`/articles/${uploadJob.result.article.id}`} className="font-semibold underline">
+            {uploadJob.result.article.title}
+          </Link>
+          &nbsp;from the PDF.
+        </div>
+      )}
+      {(uploadMutation.isError || uploadStatus === 'failed') && (
+        <div className="flex items-center text-sm text-red-700 bg-red-50 px-4 py-3 rounded-lg mb-6">
+          <AlertCircle className="w-4 h-4 mr-1.5" strokeWidth={2} />
+          Upload failed: {uploadJob?.error || uploadMutation.error?.response?.data?.message || uploadMutation.error?.message}
+        </div>
+      )}
+
       {/* Search */}
-      <SearchBar value={search} onChange={handleSearch} />
+      <SearchBar value={search} onChange={handleSearch} results={search ? articles : []} />
 
       {/* Filters */}
       <ArticleFilters
         filters={filters}
-        onFiltersChange={setFilters}
+        tags={tags}
+        isSearching={!!search}
+        onFiltersChange={handleFiltersChange}
       />
 
       {/* Article List */}
       <div className="mt-6">
-        <ArticleList articles={articles} isLoading={articlesLoading} />
+        <ArticleList articles={articles} isLoading={articlesLoading} onTagClick={handleTagClick} />
       </div>
 
       {/* Pagination */}
@@ -0,0 +1,418 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { digestsApi } from '../services/api';
+import { CalendarClock, Play, Pencil, Trash2, Check, AlertCircle, Loader } from 'lucide-react';
+import { formatDistanceToNow, format } from 'date-fns';
+
+const EMPTY_FORM = {
+  name: '',
+  cron_expression: '0 8 * * mon',
+  title_template: 'Weekly Digest {date}',
+  exclude_archived: true,
+  exclude_sent: true,
+  max_articles: 10,
+  max_reading_minutes: '',
+  archive_after_send: false,
+  is_enabled: true,
+};
+
+const CRON_PRESETS = [
+  { label: 'Every Monday 8:00', value: '0 8 * * mon' },
+  { label: 'Every day 7:00', value: '0 7 * * *' },
+  { label: 'Weekdays 18:00', value: '0 18 * * mon-fri' },
+  { label: 'Saturday 9:00', value: '0 9 * * sat' },
+];
+
+const RUN_BADGES = {
+  success: 'badge badge-success',
+  skipped: 'badge badge-default',
+  failed: 'badge bg-red-50 text-red-700',
+  running: 'badge badge-coral',
+};
+
+export default function Digests() {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const queryClient = useQueryClient();
+
+  const { data: schedules = [], isLoading: schedulesLoading } = useQuery({
+    queryKey: ['digests'],
+    queryFn: async () => {
+      const response = await digestsApi.list();
+      return response.data.schedules;
+    },
+  });
+
+  const { data: runs = [], isLoading: runsLoading } = useQuery({
+    queryKey: ['digest-runs'],
+    queryFn: async () => {
+      const response = await digestsApi.listRuns({ limit: 20 });
+      return response.data.runs;
+    },
+  });
+
+  const invalidateDigests = () => {
+    queryClient.invalidateQueries({ queryKey: ['digests'] });
+    queryClient.invalidateQueries({ queryKey: ['digest-runs'] });
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: (data) => (editingId ? digestsApi.update(editingId, data) : digestsApi.create(data)),
+    onSuccess: () => {
+      invalidateDigests();
+      setForm(EMPTY_FORM);
+      setEditingId(null);
+    },
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, data }) => digestsApi.update(id, data),
+    onSuccess: invalidateDigests,
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => digestsApi.delete(id),
+    onSuccess: invalidateDigests,
+  });
+
+  const runMutation = useMutation({
+    mutationFn: (id) => digestsApi.run(id),
+    onSuccess: () => {
+      invalidateDigests();
+      queryClient.invalidateQueries({ queryKey: ['epub-exports'] });
+      queryClient.invalidateQueries({ queryKey: ['articles'] });
+    },
+  });
+
+  const setField = (field, value) => setForm((current) => ({ ...current, [field]: value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    saveMutation.mutate({
+      ...form,
+      max_articles: parseInt(form.max_articles) || 10,
+      max_reading_minutes: form.max_reading_minutes ? parseInt(form.max_reading_minutes) : null,
+    });
+  };
+
+  const handleEdit = (schedule) => {
+    setEditingId(schedule.id);
+    setForm({
+      name: schedule.name,
+      cron_expression: schedule.cron_expression,
+      title_template: schedule.title_template,
+      exclude_archived: schedule.exclude_archived,
+      exclude_sent: schedule.exclude_sent,
+      max_articles: schedule.max_articles,
+      max_reading_minutes: schedule.max_reading_minutes || '',
+      archive_after_send: schedule.archive_after_send,
+      is_enabled: schedule.is_enabled,
+    });
+  };
+
+  const handleCancelEdit = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const handleDelete = (schedule) => {
+    if (!confirm(`Delete the "${schedule.name}" schedule and its run history?`)) {
+      return;
+    }
+    deleteMutation.mutate(schedule.id);
+  };
+
+  const handleRunNow = (schedule) => {
+    if (!confirm(`Build "${schedule.name}" now and send it to your Kindle?`)) {
+      return;
+    }
+    runMutation.mutate(schedule.id);
+  };
+
+  const saveError = saveMutation.error?.response?.data?.details?.[0]?.msg
+    || saveMutation.error?.response?.data?.message
+    || saveMutation.error?.message;
+
+  return (
+    <div className="max-w-6xl animate-fade-in-up">
+      {/* Page Header */}
+      <div className="mb-8">
+        <h1 className="font-display font-bold text-3xl lg:text-4xl text-gallery-900 tracking-tight mb-2">
+          Scheduled Digests
+        </h1>
+        <p className="text-gallery-500 text-lg">
+          Deliver your reading list to Kindle automatically
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        {/* Left column: Schedule form */}
+        <form onSubmit={handleSubmit} className="card p-6 space-y-5 self-start">
+          <h2 className="font-display font-semibold text-xl text-gallery-900">
+            {editingId ? 'Edit Schedule' : 'New Schedule'}
+          </h2>
+
+          <div>
+            <label htmlFor="digestName" className="block text-sm font-semibold text-gallery-700 mb-2">
+              Name
+            </label>
+            <input
+              id="digestName"
+              type="text"
+              value={form.name}
+              onChange={(e) => setField('name', e.target.value)}
+              placeholder="Weekly reading"
+              className="input"
+              maxLength={100}
+              required
+            />
+          </div>
+
+          <div>
+            <label htmlFor="digestCron" className="block text-sm font-semibold text-gallery-700 mb-2">
+              Schedule <span className="text-gallery-400 font-normal">(cron: minute hour day month weekday)</span>
+            </label>
+            <input
+              id="digestCron"
+              type="text"
+              value={form.cron_expression}
+              onChange={(e) => setField('cron_expression', e.target.value)}
+              className="input font-mono"
+              required
+            />
+            <div className="flex flex-wrap gap-2 mt-2">
+              {CRON_PRESETS.map((preset) => (
+                <button
+                  key={preset.value}
+                  type="button"
+                  onClick={() => setField('cron_expression', preset.value)}
+                  className="badge badge-default hover:bg-gallery-200"
+                >
+                  {preset.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label htmlFor="digestTitle" className="block text-sm font-semibold text-gallery-700 mb-2">
+              Title <span className="text-gallery-400 font-normal">({'{date}'} and {'{count}'} are replaced)</span>
+            </label>
+            <input
+              id="digestTitle"
+              type="text"
+              value={form.title_template}
+              onChange={(e) => setField('title_template', e.target.value)}
+              className="input"
+              maxLength={200}
+              required
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="digestMaxArticles" className="block text-sm font-semibold text-gallery-700 mb-2">
+                Newest articles
+              </label>
+              <input
+                id="digestMaxArticles"
+                type="number"
+                min={1}
+                max={100}
+                value={form.max_articles}
+                onChange={(e) => setField('max_articles', e.target.value)}
+                className="input"
+              />
+            </div>
+            <div>
+              <label htmlFor="digestMaxMinutes" className="block text-sm font-semibold text-gallery-700 mb-2">
+                Max reading time <span className="text-gallery-400 font-normal">(min)</span>
+              </label>
+              <input
+                id="digestMaxMinutes"
+                type="number"
+                min={1}
+                value={form.max_reading_minutes}
+                onChange={(e) => setField('max_reading_minutes', e.target.value)}
+                placeholder="No limit"
+                className="input"
+              />
+            </div>
+          </div>
+
+          <div className="space-y-3">
+            {[
+              ['exclude_archived', 'Only unread (not archived) articles'],
+              ['exclude_sent', 'Skip articles already sent to Kindle'],
+              ['archive_after_send', 'Archive articles after sending'],
+              ['is_enabled', 'Enabled'],
+            ].map(([field, label]) => (
+              <label key={field} className="flex items-center gap-3 text-sm text-gallery-700">
+                <input
+                  type="checkbox"
+                  checked={form[field]}
+                  onChange={(e) => setField(field, e.target.checked)}
+                  className="h-4 w-4 text-coral-500 rounded focus:ring-coral-500"
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+
+          <div className="flex items-center gap-3 pt-5 border-t border-gallery-200">
+            <button type="submit" disabled={saveMutation.isPending} className="btn btn-coral">
+              {saveMutation.isPending ? (
+                <Loader className="w-4 h-4 mr-2 animate-spin" strokeWidth={2} />
+              ) : (
+                <CalendarClock className="w-4 h-4 mr-2" strokeWidth={2} />
+              )}
+              {editingId ? 'Save Schedule' : 'Create Schedule'}
+            </button>
+            {editingId && (
+              <button type="button" onClick={handleCancelEdit} className="btn btn-ghost">
+                Cancel
+              </button>
+            )}
+          </div>
+          {saveMutation.isError && (
+            <div className="flex items-center text-sm text-red-600">
+              <AlertCircle className="w-4 h-4 mr-1.5 flex-shrink-0" strokeWidth={2} />
+              <span>Failed to save schedule: {saveError}</span>
+            </div>
+          )}
+        </form>
+
+        {/* Right column: Schedules and history */}
+        <div className="space-y-8">
+          <div className="card p-6">
+            <h2 className="font-display font-semibold text-xl text-gallery-900 mb-5">
+              Schedules
+            </h2>
+
+            {schedulesLoading ? (
+              <div className="flex justify-center py-10">
+                <Loader className="w-6 h-6 animate-spin text-gallery-400" strokeWidth={2} />
+              </div>
+            ) : schedules.length === 0 ? (
+              <div className="text-center py-10">
+                <div className="inline-flex items-center justify-center w-12 h-12 rounded-xl bg-gallery-100 mb-3">
+                  <CalendarClock className="w-6 h-6 text-gallery-400" strokeWidth={2} />
+                </div>
+                <p className="text-gallery-500 text-sm">No schedules yet. Create your first digest!</p>
+              </div>
+            ) : (
+              <div className="space-y-4">
+                {schedules.map((schedule) => (
+                  <div key={schedule.id} className="border border-gallery-200 rounded-xl p-5 hover:border-gallery-300 transition-colors duration-200">
+                    <div className="flex items-start justify-between gap-4">
+                      <div className="flex-1 min-w-0">
+                        <div className="font-medium text-gallery-900 truncate mb-1">
+                          {schedule.name}
+                        </div>
+                        <div className="text-xs text-gallery-500 mb-3">
+                          <span className="font-mono">{schedule.cron_expression}</span>
+                          <span> • up to {schedule.max_articles} articles</span>
+                          {schedule.max_reading_minutes && (
+                            <span> • {schedule.max_reading_minutes} min</span>
+                          )}
+                        </div>
+                        <div className="flex flex-wrap items-center gap-2 text-xs text-gallery-500">
+                          <label className="flex items-center gap-1.5">
+                            <input
+                              type="checkbox"
+                              checked={schedule.is_enabled}
+                              onChange={(e) => updateMutation.mutate({ id: schedule.id, data: { is_enabled: e.target.checked } })}
+                              className="h-3.5 w-3.5 text-coral-500 rounded focus:ring-coral-500"
+                            />
+                            Enabled
+                          </label>
+                          {schedule.is_enabled && schedule.next_run_at && (
+                            <span>• Next {format(new Date(schedule.next_run_at), 'EEE MMM d, HH:mm')}</span>
+                          )}
+                          {schedule.last_run && (
+                            <span className={RUN_BADGES[schedule.last_run.status]}>
+                              Last run {schedule.last_run.status}
+                            </span>
+                          )}
+                        </div>
+                      </div>
+                      <div className="flex items-center gap-1">
+                        <button
+                          onClick={() => handleRunNow(schedule)}
+                          disabled={runMutation.isPending}
+                          className="btn-icon"
+                          title="Run now"
+                          aria-label="Run digest now"
+                        >
+                          {runMutation.isPending && runMutation.variables === schedule.id ? (
+                            <Loader className="w-4 h-4 animate-spin" strokeWidth={2} />
+                          ) : (
+                            <Play className="w-4 h-4" strokeWidth={2} />
+                          )}
+                        </button>
+                        <button
+                          onClick={() => handleEdit(schedule)}
+                          className="btn-icon"
+                          title="Edit"
+                          aria-label="Edit schedule"
+                        >
+                          <Pencil className="w-4 h-4" strokeWidth={2} />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(schedule)}
+                          className="btn-icon hover:text-red-600 hover:bg-red-50"
+                          title="Delete"
+                          aria-label="Delete schedule"
+                        >
+                          <Trash2 className="w-4 h-4" strokeWidth={2} />
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="card p-6">
+            <h2 className="font-display font-semibold text-xl text-gallery-900 mb-5">
+              Run History
+            </h2>
+
+            {runsLoading ? (
+              <div className="flex justify-center py-10">
+                <Loader className="w-6 h-6 animate-spin text-gallery-400" strokeWidth={2} />
+              </div>
+            ) : runs.length === 0 ? (
+              <p className="text-gallery-500 text-sm">No runs yet.</p>
+            ) : (
+              <ul className="divide-y divide-gallery-200">
+                {runs.map((run) => (
+                  <li key={run.id} className="py-3 flex items-start justify-between gap-4">
+                    <div className="min-w-0">
+                      <div className="text-sm font-medium text-gallery-900 truncate">
+                        {run.export_name || run.schedule_name}
+                      </div>
+                      <div className="text-xs text-gallery-500 mt-0.5">
+                        {formatDistanceToNow(new Date(run.started_at), { addSuffix: true })}
+                        <span> • {run.trigger === 'manual' ? 'Run manually' : 'Scheduled'}</span>
+                        {run.article_count > 0 && <span> • {run.article_count} articles</span>}
+                      </div>
+                      {run.error && (
+                        <div className="text-xs text-gallery-600 mt-1">{run.error}</div>
+                      )}
+                    </div>
+                    <span className={RUN_BADGES[run.status]}>
+                      {run.status === 'success' && <Check className="w-3 h-3 mr-1" strokeWidth={2.5} />}
+                      {run.status}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,181 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Copy, GitMerge, Star, Highlighter, AlertCircle, Loader } from 'lucide-react';
+import { articlesApi } from '../services/api';
+import LoadingSpinner from '../components/Common/LoadingSpinner';
+import { cn } from '../utils/cn';
+import { formatRelativeTime, formatWordCount } from '../utils/format';
+
+const REASON_LABELS = {
+  url: 'Same URL',
+  content: 'Similar text',
+};
+
+function DuplicateGroup({ group }) {
+  const queryClient = useQueryClient();
+  // The oldest article is kept unless another is picked
+  const [keepId, setKeepId] = useState(group.articles[0].id);
+  const [skipped, setSkipped] = useState(() => new Set());
+
+  const mergeIds = group.articles
+    .map((article) => article.id)
+    .filter((id) => id !== keepId && !skipped.has(id));
+
+  const mergeMutation = useMutation({
+    mutationFn: () => articlesApi.mergeDuplicates({ keep_id: keepId, article_ids: mergeIds }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['duplicates'] });
+      queryClient.invalidateQueries({ queryKey: ['articles'] });
+    },
+  });
+
+  const toggleSkipped = (id) => {
+    const next = new Set(skipped);
+    if (next.has(id)) {
+      next.delete(id);
+    } else {
+      next.add(id);
+    }
+    setSkipped(next);
+  };
+
+  return (
+    <li className="card p-6">
+      <div className="flex items-center gap-2 mb-4">
+        {group.reasons.map((reason) => (
+          <span key={reason} className="badge badge-default">{REASON_LABELS[reason]}</span>
+        ))}
+        <span className="text-sm text-gallery-500">{group.articles.length} articles</span>
+      </div>
+
+      <ul className="space-y-3">
+        {group.articles.map((article) => {
+          const isKept = article.id === keepId;
+          return (
+            <li
+              key={article.id}
+              className={cn(
+                'flex items-start gap-3 rounded-lg border p-4',
+                isKept ? 'border-coral-300 bg-coral-50/40' : 'border-gallery-200'
+              )}
+            >
+              <input
+                type="radio"
+                name={`keep-${group.articles[0].id}`}
+                checked={isKept}
+                onChange={() => setKeepId(article.id)}
+                className="mt-1"
+                aria-label={`Keep ${article.title}`}
+              />
+              <div className="flex-1 min-w-0">
+                <Link
+                  to={`/articles/${article.id}`}
+                  className="block font-medium text-gallery-900 hover:text-coral-600 truncate"
+                >
+                  {article.title}
+                </Link>
+                <p className="text-xs text-gallery-500 break-all mt-0.5">{article.url}</p>
+                <p className="flex flex-wrap items-center gap-x-3 gap-y-1 text-xs text-gallery-500 mt-1.5">
+                  <span>Saved {formatRelativeTime(article.created_at)}</span>
+                  {article.word_count > 0 && <span>{formatWordCount(article.word_count)}</span>}
+                  {article.highlight_count > 0 && (
+                    <span className="flex items-center gap-1">
+                      <Highlighter className="w-3 h-3" strokeWidth={2} />
+                      {article.highlight_count}
+                    </span>
+                  )}
+                  {article.is_favorite && <Star className="w-3 h-3 text-coral-500 fill-current" strokeWidth={2} />}
+                  {article.tags.map((tag) => (
+                    <span key={tag.id} className="badge badge-default">{tag.name}</span>
+                  ))}
+                </p>
+              </div>
+              {isKept ? (
+                <span className="badge badge-coral flex-shrink-0">Keep</span>
+              ) : (
+                <label className="flex items-center gap-1.5 text-xs text-gallery-600 flex-shrink-0">
+                  <input
+                    type="checkbox"
+                    checked={!skipped.has(article.id)}
+                    onChange={() => toggleSkipped(article.id)}
+                    className="rounded border-gallery-300"
+                  />
+                  Merge
+                </label>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {mergeMutation.isError && (
+        <div className="flex items-center text-sm text-red-700 bg-red-50 px-4 py-3 rounded-lg mt-4">
+          <AlertCircle className="w-4 h-4 mr-1.5 flex-shrink-0" strokeWidth={2} />
+          {mergeMutation.error.response?.data?.message || mergeMutation.error.message}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between gap-4 mt-4">
+        <p className="text-xs text-gallery-500">
+          Tags, highlights and favorites of merged articles move to the one kept.
+        </p>
+        <button
+          onClick={() => mergeMutation.mutate()}
+          disabled={mergeIds.length === 0 || mergeMutation.isPending}
+          className="btn btn-primary text-sm flex-shrink-0"
+        >
+          {mergeMutation.isPending ? (
+            <Loader className="w-4 h-4 mr-2 animate-spin" strokeWidth={2} />
+          ) : (
+            <GitMerge className="w-4 h-4 mr-2" strokeWidth={2} />
+          )}
+          Merge {mergeIds.length > 0 && mergeIds.length}
+        </button>
+      </div>
+    </li>
+  );
+}
+
+export default function Duplicates() {
+  const { data: groups = [], isLoading } = useQuery({
+    queryKey: ['duplicates'],
+    queryFn: async () => {
+      const response = await articlesApi.duplicates();
+      return response.data.groups;
+    },
+  });
+
+  return (
+    <div className="max-w-4xl animate-fade-in-up">
+      {/* Page Header */}
+      <div className="mb-8">
+        <h1 className="font-display font-bold text-3xl lg:text-4xl text-gallery-900 tracking-tight mb-2">
+          Duplicates
+        </h1>
+        <p className="text-gallery-500 text-lg">
+          Articles saved more than once, under different URLs or as near-identical text.
+        </p>
+      </div>
+
+      {isLoading ? (
+        <div className="py-16">
+          <LoadingSpinner />
+        </div>
+      ) : groups.length === 0 ? (
+        <div className="card text-center py-16">
+          <div className="inline-flex items-center justify-center w-12 h-12 rounded-xl bg-gallery-100 mb-3">
+            <Copy className="w-6 h-6 text-gallery-400" strokeWidth={2} />
+          </div>
+          <p className="text-gallery-500 text-sm">No duplicates found.</p>
+        </div>
+      ) : (
+        <ul className="space-y-4">
+          {groups.map((group) => (
+            <DuplicateGroup key={group.articles.map((article) => article.id).join('-')} group={group} />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
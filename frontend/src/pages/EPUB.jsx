@@ -1,12 +1,15 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { articlesApi, epubApi } from '../services/api';
+import { articlesApi, epubApi, jobsApi } from '../services/api';
 import { Book, Download, Mail, Check, AlertCircle, Loader } from 'lucide-react';
 import { formatDistanceToNow } from 'date-fns';
 
 export default function EPUB() {
   const [selectedArticles, setSelectedArticles] = useState(new Set());
   const [epubTitle, setEpubTitle] = useState('');
+  const [colorImages, setColorImages] = useState(false);
+  const [attachPdfs, setAttachPdfs] = useState(false);
+  const [generationJobId, setGenerationJobId] = useState(null);
   const queryClient = useQueryClient();
 
   // Fetch all articles for EPUB selection (max 100, backend limit)
@@ -16,7 +19,6 @@ export default function EPUB() {
       const response = await articlesApi.list({ limit: 100 });
       return response.data;
     },
-    enabled: !!localStorage.getItem('bookmark_digest_api_key'),
   });
 
   // Fetch EPUB exports
@@ -26,18 +28,41 @@ export default function EPUB() {
       const response = await epubApi.listExports();
       return response.data.exports;
     },
-    enabled: !!localStorage.getItem('bookmark_digest_api_key'),
   });
 
-  // Generate EPUB mutation
+  // Generate EPUB mutation (queues a background job)
   const generateEpubMutation = useMutation({
     mutationFn: (data) => epubApi.generate(data),
-    onSuccess: () => {
+    onSuccess: (response) => {
+      setGenerationJobId(response.data.job.id);
+    },
+  });
+
+  // Poll the generation job until it finishes
+  const { data: generationJob } = useQuery({
+    queryKey: ['jobs', generationJobId],
+    queryFn: async () => {
+      const response = await jobsApi.get(generationJobId);
+      return response.data.job;
+    },
+    enabled: !!generationJobId,
+    refetchInterval: (query) => {
+      const status = query.state.data?.status;
+      return status === 'completed' || status === 'failed' ? false : 1000;
+    },
+  });
+
+  const generationStatus = generationJob?.status;
+  const isGenerating = generateEpubMutation.isPending
+    || (!!generationJobId && generationStatus !== 'completed' && generationStatus !== 'failed');
+
+  useEffect(() => {
+    if (generationStatus === 'completed') {
       queryClient.invalidateQueries({ queryKey: ['epub-exports'] });
       setSelectedArticles(new Set());
       setEpubTitle('');
-    },
-  });
+    }
+  }, [generationStatus, queryClient]);
 
   // Send to Kindle mutation
   const sendToKindleMutation = useMutation({
@@ -101,7 +126,9 @@ export default function EPUB() {
     }
     generateEpubMutation.mutate({
       articleIds: Array.from(selectedArticles),
-      title: epubTitle || `Bookmark Digest - ${new Date().toLocaleDateString()}`
+      title: epubTitle || `Bookmark Digest - ${new Date().toLocaleDateString()}`,
+      imageVariant: colorImages ? 'web' : 'eink',
+      pdfMode: attachPdfs ? 'attach' : 'reflow'
     });
   };
 
@@ -168,6 +195,24 @@ export default function EPUB() {
                 placeholder="My Reading Digest"
                 className="input"
               />
+              <label className="flex items-center gap-1.5 text-sm text-gallery-700 mt-3">
+                <input
+                  type="checkbox"
+                  checked={colorImages}
+                  onChange={(e) => setColorImages(e.target.checked)}
+                  className="h-4 w-4 text-coral-500 rounded focus:ring-coral-500"
+                />
+                Color images <span className="text-gallery-400">(otherwise grayscale, sized for e-ink)</span>
+              </label>
+              <label className="flex items-center gap-1.5 text-sm text-gallery-700 mt-2">
+                <input
+                  type="checkbox"
+                  checked={attachPdfs}
+                  onChange={(e) => setAttachPdfs(e.target.checked)}
+                  className="h-4 w-4 text-coral-500 rounded focus:ring-coral-500"
+                />
+                Attach PDFs as they are <span className="text-gallery-400">(otherwise their text is reflowed into the book)</span>
+              </label>
             </div>
 
             {/* Select All Button */}
@@ -229,13 +274,13 @@ export default function EPUB() {
             <div className="mt-6 pt-6 border-t border-gallery-200">
               <button
                 onClick={handleGenerateEpub}
-                disabled={generateEpubMutation.isPending || selectedArticles.size === 0}
+                disabled={isGenerating || selectedArticles.size === 0}
                 className="btn btn-coral w-full"
               >
-                {generateEpubMutation.isPending ? (
+                {isGenerating ? (
                   <>
                     <Loader className="w-4 h-4 mr-2 animate-spin" strokeWidth={2} />
-                    Generating...
+                    {generationJob?.progress || (generationStatus === 'queued' ? 'Queued...' : 'Generating...')}
                   </>
                 ) : (
                   <>
@@ -247,7 +292,19 @@ export default function EPUB() {
               {generateEpubMutation.isError && (
                 <div className="mt-3 flex items-center text-sm text-red-600">
                   <AlertCircle className="w-4 h-4 mr-1.5 flex-shrink-0" strokeWidth={2} />
-                  <span>Failed to generate EPUB: {generateEpubMutation.error.message}</span>
+                  <span>Failed to generate EPUB: {generateEpubMutation.error.response?.data?.message || generateEpubMutation.error.message}</span>
+                </div>
+              )}
+              {generationStatus === 'failed' && (
+                <div className="mt-3 flex items-center text-sm text-red-600">
+                  <AlertCircle className="w-4 h-4 mr-1.5 flex-shrink-0" strokeWidth={2} />
+                  <span>Failed to generate EPUB: {generationJob.error}</span>
+                </div>
+              )}
+              {generationStatus === 'queued' && generationJob.attempts > 0 && (
+                <div className="mt-3 flex items-center text-sm text-amber-600">
+                  <AlertCircle className="w-4 h-4 mr-1.5 flex-shrink-0" strokeWidth={2} />
+                  <span>Attempt {generationJob.attempts} failed ({generationJob.error}), retrying...</span>
                 </div>
               )}
             </div>
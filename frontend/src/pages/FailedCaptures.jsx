@@ -0,0 +1,276 @@
+import { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { failedCapturesApi, jobsApi } from '../services/api';
+import {
+  AlertTriangle,
+  RefreshCw,
+  Globe,
+  ClipboardPaste,
+  Trash2,
+  ExternalLink,
+  AlertCircle,
+  Loader,
+  FileUp,
+} from 'lucide-react';
+import { formatRelativeTime } from '../utils/format';
+
+function formatKilobytes(bytes) {
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+function ContentForm({ onSubmit, onCancel, isPending }) {
+  const [title, setTitle] = useState('');
+  const [content, setContent] = useState('');
+  const [isHtml, setIsHtml] = useState(false);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setContent(await file.text());
+    setIsHtml(/\.html?$/i.test(file.name));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!content.trim()) return;
+    onSubmit({
+      title: title.trim() || undefined,
+      [isHtml ? 'html' : 'text']: content,
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-4 space-y-3">
+      <input
+        type="text"
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        placeholder="Title (optional)"
+        className="input"
+        maxLength={500}
+        aria-label="Title"
+      />
+      <textarea
+        value={content}
+        onChange={(e) => setContent(e.target.value)}
+        placeholder={isHtml ? 'Paste the article HTML...' : 'Paste the article text; blank lines separate paragraphs...'}
+        className="input font-mono text-sm"
+        rows={8}
+        aria-label="Content"
+      />
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex items-center gap-4">
+          <label className="flex items-center gap-2 text-sm text-gallery-700">
+            <input
+              type="checkbox"
+              checked={isHtml}
+              onChange={(e) => setIsHtml(e.target.checked)}
+              className="rounded border-gallery-300"
+            />
+            Content is HTML
+          </label>
+          <label className="flex items-center gap-1.5 text-sm text-gallery-700 cursor-pointer hover:text-gallery-900">
+            <FileUp className="w-4 h-4" strokeWidth={2} />
+            Upload file
+            <input type="file" accept=".html,.htm,.txt" onChange={handleFile} className="sr-only" />
+          </label>
+        </div>
+        <div className="flex items-center gap-2">
+          <button type="button" onClick={onCancel} className="btn btn-ghost py-1.5 px-3">
+            Cancel
+          </button>
+          <button type="submit" disabled={!content.trim() || isPending} className="btn btn-primary py-1.5 px-3">
+            Save Article
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+}
+
+function FailedCaptureItem({ capture }) {
+  const queryClient = useQueryClient();
+  const [jobId, setJobId] = useState(null);
+  const [isEditing, setIsEditing] = useState(false);
+
+  const onQueued = (response) => {
+    setJobId(response.data.job.id);
+    setIsEditing(false);
+  };
+
+  const retryMutation = useMutation({
+    mutationFn: (refetch) => failedCapturesApi.retry(capture.id, { refetch }),
+    onSuccess: onQueued,
+  });
+
+  const contentMutation = useMutation({
+    mutationFn: (data) => failedCapturesApi.setContent(capture.id, data),
+    onSuccess: onQueued,
+  });
+
+  const discardMutation = useMutation({
+    mutationFn: () => failedCapturesApi.discard(capture.id),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['failed-captures'] }),
+  });
+
+  const { data: job } = useQuery({
+    queryKey: ['job', jobId],
+    queryFn: () => jobsApi.get(jobId).then((res) => res.data.job),
+    enabled: !!jobId,
+    refetchInterval: (query) => {
+      const status = query.state.data?.status;
+      return status === 'completed' || status === 'failed' ? false : 1000;
+    },
+  });
+
+  const jobStatus = job?.status;
+  const isWorking = retryMutation.isPending || contentMutation.isPending
+    || (!!jobId && jobStatus !== 'completed' && jobStatus !== 'failed');
+
+  // A saved article leaves the list; a failed attempt updates its error
+  useEffect(() => {
+    if (jobStatus === 'completed' || jobStatus === 'failed') {
+      queryClient.invalidateQueries({ queryKey: ['failed-captures'] });
+      queryClient.invalidateQueries({ queryKey: ['articles'] });
+    }
+  }, [jobStatus, queryClient]);
+
+  const requestError = [retryMutation, contentMutation, discardMutation].find((mutation) => mutation.isError)?.error;
+  const errorMessage = jobStatus === 'failed'
+    ? job.error
+    : requestError?.response?.data?.details?.[0]?.msg || requestError?.response?.data?.message || requestError?.message;
+
+  const handleDiscard = () => {
+    if (confirm('Discard this failed capture?')) {
+      discardMutation.mutate();
+    }
+  };
+
+  return (
+    <li className="card p-6">
+      <div className="flex items-start justify-between gap-4">
+        <div className="min-w-0">
+          <a
+            href={capture.url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="flex items-center gap-1.5 font-medium text-gallery-900 hover:text-coral-600 break-all"
+          >
+            {capture.url}
+            <ExternalLink className="w-3.5 h-3.5 flex-shrink-0" strokeWidth={2} />
+          </a>
+          <p className="text-xs text-gallery-500 mt-1">
+            Failed {formatRelativeTime(capture.updated_at)}
+            {capture.html_size > 0 ? ` • ${formatKilobytes(capture.html_size)} of HTML kept` : ' • no HTML kept'}
+          </p>
+          <p className="flex items-start gap-1.5 text-sm text-red-700 mt-3">
+            <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" strokeWidth={2} />
+            {capture.capture_error}
+          </p>
+        </div>
+        <button
+          onClick={handleDiscard}
+          disabled={isWorking || discardMutation.isPending}
+          className="btn-icon hover:text-red-600 hover:bg-red-50 flex-shrink-0"
+          title="Discard"
+          aria-label="Discard failed capture"
+        >
+          <Trash2 className="w-5 h-5" strokeWidth={2} />
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mt-5">
+        <button
+          onClick={() => retryMutation.mutate(false)}
+          disabled={isWorking || capture.html_size === 0}
+          className="btn btn-secondary text-sm"
+          title="Extract again from the kept HTML with relaxed settings"
+        >
+          <RefreshCw className="w-4 h-4 mr-2" strokeWidth={2} />
+          Retry
+        </button>
+        <button
+          onClick={() => retryMutation.mutate(true)}
+          disabled={isWorking}
+          className="btn btn-secondary text-sm"
+          title="Fetch the page again and extract it with relaxed settings"
+        >
+          <Globe className="w-4 h-4 mr-2" strokeWidth={2} />
+          Fetch Again
+        </button>
+        <button
+          onClick={() => setIsEditing(!isEditing)}
+          disabled={isWorking}
+          className="btn btn-secondary text-sm"
+        >
+          <ClipboardPaste className="w-4 h-4 mr-2" strokeWidth={2} />
+          Paste Content
+        </button>
+        {isWorking && (
+          <span className="flex items-center gap-2 text-sm text-gallery-500">
+            <Loader className="w-4 h-4 animate-spin" strokeWidth={2} />
+            {job?.progress || 'Working...'}
+          </span>
+        )}
+      </div>
+
+      {errorMessage && (
+        <div className="flex items-center text-sm text-red-700 bg-red-50 px-4 py-3 rounded-lg mt-4">
+          <AlertCircle className="w-4 h-4 mr-1.5 flex-shrink-0" strokeWidth={2} />
+          {errorMessage}
+        </div>
+      )}
+
+      {isEditing && (
+        <ContentForm
+          onSubmit={(data) => contentMutation.mutate(data)}
+          onCancel={() => setIsEditing(false)}
+          isPending={contentMutation.isPending}
+        />
+      )}
+    </li>
+  );
+}
+
+export default function FailedCaptures() {
+  const { data: captures = [], isLoading } = useQuery({
+    queryKey: ['failed-captures'],
+    queryFn: async () => {
+      const response = await failedCapturesApi.list();
+      return response.data.failed_captures;
+    },
+  });
+
+  return (
+    <div className="max-w-4xl animate-fade-in-up">
+      {/* Page Header */}
+      <div className="mb-8">
+        <h1 className="font-display font-bold text-3xl lg:text-4xl text-gallery-900 tracking-tight mb-2">
+          Failed Captures
+        </h1>
+        <p className="text-gallery-500 text-lg">
+          Pages whose article couldn&apos;t be extracted. Retry them, paste the content yourself, or discard them.
+        </p>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-16">
+          <Loader className="w-6 h-6 animate-spin text-gallery-400" strokeWidth={2} />
+        </div>
+      ) : captures.length === 0 ? (
+        <div className="card text-center py-16">
+          <div className="inline-flex items-center justify-center w-12 h-12 rounded-xl bg-gallery-100 mb-3">
+            <AlertTriangle className="w-6 h-6 text-gallery-400" strokeWidth={2} />
+          </div>
+          <p className="text-gallery-500 text-sm">No failed captures.</p>
+        </div>
+      ) : (
+        <ul className="space-y-4">
+          {captures.map((capture) => (
+            <FailedCaptureItem key={capture.id} capture={capture} />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
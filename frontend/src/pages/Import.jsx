@@ -0,0 +1,290 @@
+import { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Link } from 'react-router-dom';
+import { importApi } from '../services/api';
+import { Upload, FileUp, Check, AlertCircle, Loader, Copy } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+
+const FORMATS = [
+  { value: '', label: 'Detect automatically' },
+  { value: 'pocket', label: 'Pocket (HTML export)' },
+  { value: 'instapaper', label: 'Instapaper (CSV export)' },
+  { value: 'pinboard', label: 'Pinboard (JSON export)' },
+  { value: 'netscape', label: 'Browser bookmarks (HTML)' },
+];
+
+const SOURCE_LABELS = {
+  pocket: 'Pocket',
+  instapaper: 'Instapaper',
+  pinboard: 'Pinboard',
+  netscape: 'Browser bookmarks',
+};
+
+const STATUS_BADGES = {
+  pending: 'badge badge-coral',
+  imported: 'badge badge-success',
+  duplicate: 'badge badge-default',
+  failed: 'badge bg-red-50 text-red-700',
+};
+
+const STATUS_ICONS = {
+  pending: Loader,
+  imported: Check,
+  duplicate: Copy,
+  failed: AlertCircle,
+};
+
+function StatusCounts({ counts }) {
+  return (
+    <div className="flex flex-wrap gap-2">
+      {Object.entries(counts).map(([status, count]) => (
+        <span key={status} className={STATUS_BADGES[status]}>
+          {count} {status}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+export default function Import() {
+  const [file, setFile] = useState(null);
+  const [format, setFormat] = useState('');
+  const [selectedImportId, setSelectedImportId] = useState(null);
+  const queryClient = useQueryClient();
+
+  const { data: imports = [] } = useQuery({
+    queryKey: ['imports'],
+    queryFn: async () => {
+      const response = await importApi.list();
+      return response.data.imports;
+    },
+  });
+
+  // Poll the selected import while bookmarks are still being fetched
+  const { data: selectedImport } = useQuery({
+    queryKey: ['imports', selectedImportId],
+    queryFn: async () => {
+      const response = await importApi.get(selectedImportId);
+      return response.data.import;
+    },
+    enabled: !!selectedImportId,
+    refetchInterval: (query) => (query.state.data?.counts.pending > 0 ? 2000 : false),
+  });
+
+  const isRunning = selectedImport ? selectedImport.counts.pending > 0 : undefined;
+
+  // Refresh the library once the background fetch finishes
+  useEffect(() => {
+    if (selectedImportId && isRunning === false) {
+      queryClient.invalidateQueries({ queryKey: ['articles'] });
+      queryClient.invalidateQueries({ queryKey: ['tags'] });
+      queryClient.invalidateQueries({ queryKey: ['imports'], exact: true });
+    }
+  }, [selectedImportId, isRunning, queryClient]);
+
+  const importMutation = useMutation({
+    mutationFn: async () => {
+      const content = await file.text();
+      return importApi.create({ content, filename: file.name, format: format || undefined });
+    },
+    onSuccess: (response) => {
+      const created = response.data.import;
+      queryClient.setQueryData(['imports', created.id], created);
+      queryClient.invalidateQueries({ queryKey: ['imports'], exact: true });
+      setSelectedImportId(created.id);
+      setFile(null);
+    },
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (file) {
+      importMutation.mutate();
+    }
+  };
+
+  const importError = importMutation.error?.response?.data?.message
+    || importMutation.error?.response?.data?.details?.[0]?.msg
+    || importMutation.error?.message;
+
+  return (
+    <div className="max-w-6xl animate-fade-in-up">
+      {/* Page Header */}
+      <div className="mb-8">
+        <h1 className="font-display font-bold text-3xl lg:text-4xl text-gallery-900 tracking-tight mb-2">
+          Import
+        </h1>
+        <p className="text-gallery-500 text-lg">
+          Bring your saved links from Pocket, Instapaper, Pinboard or your browser
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        {/* Left column: Upload and history */}
+        <div className="space-y-8">
+          <form onSubmit={handleSubmit} className="card p-6 space-y-5">
+            <h2 className="font-display font-semibold text-xl text-gallery-900">
+              Upload Export
+            </h2>
+
+            <label
+              htmlFor="importFile"
+              className="flex flex-col items-center justify-center gap-2 p-8 border-2 border-dashed border-gallery-200 rounded-xl cursor-pointer hover:border-coral-300 hover:bg-coral-50/30 transition-colors duration-200"
+            >
+              <FileUp className="w-8 h-8 text-gallery-400" strokeWidth={1.5} />
+              <span className="text-sm font-medium text-gallery-700">
+                {file ? file.name : 'Choose an export file'}
+              </span>
+              <span className="text-xs text-gallery-500">.html, .csv or .json (max 10MB)</span>
+              <input
+                id="importFile"
+                type="file"
+                accept=".html,.htm,.csv,.json"
+                onChange={(e) => setFile(e.target.files[0] || null)}
+                className="sr-only"
+              />
+            </label>
+
+            <div>
+              <label htmlFor="importFormat" className="block text-sm font-semibold text-gallery-700 mb-2">
+                Format
+              </label>
+              <select
+                id="importFormat"
+                value={format}
+                onChange={(e) => setFormat(e.target.value)}
+                className="input"
+              >
+                {FORMATS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <p className="text-xs text-gallery-500">
+              Archived and favorite state, tags and original save dates are kept. Links already in your
+              library are skipped, so importing the same file again is safe.
+            </p>
+
+            <button
+              type="submit"
+              disabled={!file || importMutation.isPending}
+              className="btn btn-coral w-full"
+            >
+              {importMutation.isPending ? (
+                <>
+                  <Loader className="w-4 h-4 mr-2 animate-spin" strokeWidth={2} />
+                  Uploading...
+                </>
+              ) : (
+                <>
+                  <Upload className="w-4 h-4 mr-2" strokeWidth={2} />
+                  Import
+                </>
+              )}
+            </button>
+            {importMutation.isError && (
+              <div className="flex items-center text-sm text-red-600">
+                <AlertCircle className="w-4 h-4 mr-1.5 flex-shrink-0" strokeWidth={2} />
+                <span>Import failed: {importError}</span>
+              </div>
+            )}
+          </form>
+
+          <div className="card p-6">
+            <h2 className="font-display font-semibold text-xl text-gallery-900 mb-5">
+              Recent Imports
+            </h2>
+            {imports.length === 0 ? (
+              <p className="text-gallery-500 text-sm">No imports yet.</p>
+            ) : (
+              <div className="space-y-3">
+                {imports.map((item) => (
+                  <button
+                    key={item.id}
+                    onClick={() => setSelectedImportId(item.id)}
+                    className={`w-full text-left border rounded-xl p-4 transition-colors duration-200 ${
+                      item.id === selectedImportId ? 'border-coral-300 bg-coral-50/50' : 'border-gallery-200 hover:border-gallery-300'
+                    }`}
+                  >
+                    <div className="font-medium text-gallery-900 truncate">
+                      {item.filename || SOURCE_LABELS[item.source]}
+                    </div>
+                    <div className="text-xs text-gallery-500 mt-0.5 mb-3">
+                      {SOURCE_LABELS[item.source]} • {item.total_items} bookmarks •{' '}
+                      {formatDistanceToNow(new Date(item.created_at), { addSuffix: true })}
+                    </div>
+                    <StatusCounts counts={item.counts} />
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Right column: Per-item status */}
+        <div className="card p-6 self-start">
+          <h2 className="font-display font-semibold text-xl text-gallery-900 mb-5">
+            Import Status
+          </h2>
+
+          {!selectedImport ? (
+            <div className="text-center py-10">
+              <div className="inline-flex items-center justify-center w-12 h-12 rounded-xl bg-gallery-100 mb-3">
+                <Upload className="w-6 h-6 text-gallery-400" strokeWidth={2} />
+              </div>
+              <p className="text-gallery-500 text-sm">Upload an export or pick a recent import.</p>
+            </div>
+          ) : (
+            <>
+              <div className="mb-5 pb-5 border-b border-gallery-200">
+                <StatusCounts counts={selectedImport.counts} />
+                {isRunning && (
+                  <p className="flex items-center gap-2 text-sm text-gallery-500 mt-3">
+                    <Loader className="w-4 h-4 animate-spin" strokeWidth={2} />
+                    Fetching articles in the background...
+                  </p>
+                )}
+              </div>
+
+              <ul className="divide-y divide-gallery-200 max-h-[32rem] overflow-y-auto pr-2">
+                {selectedImport.items?.map((item) => {
+                  const StatusIcon = STATUS_ICONS[item.status];
+                  return (
+                    <li key={item.id} className="py-3 flex items-start justify-between gap-4">
+                      <div className="min-w-0">
+                        {item.article_id ? (
+                          <Link
+                            to={`/articles/${item.article_id}`}
+                            className="block text-sm font-medium text-gallery-900 hover:text-coral-600 truncate"
+                          >
+                            {item.title || item.url}
+                          </Link>
+                        ) : (
+                          <div className="text-sm font-medium text-gallery-900 truncate">
+                            {item.title || item.url}
+                          </div>
+                        )}
+                        <div className="text-xs text-gallery-500 truncate">{item.url}</div>
+                        {item.error && (
+                          <div className="text-xs text-red-600 mt-0.5">{item.error}</div>
+                        )}
+                      </div>
+                      <span className={STATUS_BADGES[item.status]}>
+                        <StatusIcon
+                          className={`w-3 h-3 mr-1 ${item.status === 'pending' ? 'animate-spin' : ''}`}
+                          strokeWidth={2.5}
+                        />
+                        {item.status}
+                      </span>
+                    </li>
+                  );
+                })}
+              </ul>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+import { useState } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { authApi } from '../services/api';
+import { BookOpen, AlertCircle } from 'lucide-react';
+
+export default function Login() {
+  const [name, setName] = useState('');
+  const [password, setPassword] = useState('');
+  const navigate = useNavigate();
+  const location = useLocation();
+  const queryClient = useQueryClient();
+
+  const loginMutation = useMutation({
+    mutationFn: () => authApi.login(name.trim(), password),
+    onSuccess: (response) => {
+      queryClient.clear();
+      queryClient.setQueryData(['session'], { user: response.data.user, expires_at: response.data.expires_at });
+      navigate(location.state?.from || '/', { replace: true });
+    },
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    loginMutation.mutate();
+  };
+
+  const error = loginMutation.error;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-white via-gallery-50/30 to-gallery-100/20 flex items-center justify-center px-5">
+      <div className="w-full max-w-sm animate-fade-in-up">
+        <div className="flex items-center justify-center gap-3 mb-8">
+          <div className="bg-gallery-900 rounded-xl p-2.5">
+            <BookOpen className="w-5 h-5 text-white" strokeWidth={2.5} />
+          </div>
+          <span className="font-display font-bold text-2xl tracking-tight text-gallery-900">
+            Bookmark Digest
+          </span>
+        </div>
+
+        <div className="card">
+          <form onSubmit={handleSubmit} className="p-6 lg:p-7 space-y-5">
+            <div>
+              <label htmlFor="loginName" className="block text-sm font-semibold text-gallery-700 mb-2">
+                Name
+              </label>
+              <input
+                id="loginName"
+                type="text"
+                required
+                autoFocus
+                autoComplete="username"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                className="input"
+              />
+            </div>
+            <div>
+              <label htmlFor="loginPassword" className="block text-sm font-semibold text-gallery-700 mb-2">
+                Password
+              </label>
+              <input
+                id="loginPassword"
+                type="password"
+                required
+                autoComplete="current-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="input"
+              />
+            </div>
+
+            {error && (
+              <div className="flex items-center text-sm text-red-700 bg-red-50 px-4 py-3 rounded-lg">
+                <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" strokeWidth={2} />
+                <span>
+                  {error.response?.data?.details?.[0]?.msg
+                    || error.response?.data?.message
+                    || error.message}
+                </span>
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={loginMutation.isPending}
+              className="btn btn-primary w-full"
+            >
+              {loginMutation.isPending ? 'Logging in...' : 'Log In'}
+            </button>
+          </form>
+        </div>
+
+        <p className="text-sm text-gallery-500 text-center mt-6">
+          No password yet? Ask an admin, or run <code className="bg-gallery-100 px-1.5 py-0.5 rounded text-xs font-mono">npm run reset-password</code> in <code className="bg-gallery-100 px-1.5 py-0.5 rounded text-xs font-mono">backend</code> on the server.
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -1,10 +1,15 @@
 import { useState } from 'react';
 import { useQuery, useQueryClient, useMutation } from '@tanstack/react-query';
-import { articlesApi, settingsApi } from '../services/api';
-import { Key, Check, AlertCircle, Mail, BarChart3 } from 'lucide-react';
+import { articlesApi, settingsApi, libraryApi, apiKeysApi } from '../services/api';
+import { Check, AlertCircle, Mail, BarChart3, Archive, Download, Upload, Loader } from 'lucide-react';
+import WebhookSettings from '../components/Settings/WebhookSettings';
+import ApiKeySettings from '../components/Settings/ApiKeySettings';
+import UserSettings from '../components/Settings/UserSettings';
+import AccountSettings from '../components/Settings/AccountSettings';
+import ImageStorageSettings from '../components/Settings/ImageStorageSettings';
+import SiteRuleSettings from '../components/Settings/SiteRuleSettings';
 
 export default function Settings() {
-  const [apiKey, setApiKey] = useState(localStorage.getItem('bookmark_digest_api_key') || '');
   const [status, setStatus] = useState(null);
   const [smtpSettings, setSmtpSettings] = useState({
     kindleEmail: '',
@@ -23,16 +28,25 @@ export default function Settings() {
       const response = await articlesApi.getStats();
       return response.data;
     },
-    enabled: !!localStorage.getItem('bookmark_digest_api_key'),
   });
 
+  // Browser sessions have full access to their user's account
+  const { data: me } = useQuery({
+    queryKey: ['api-key-me'],
+    queryFn: async () => {
+      const response = await apiKeysApi.me();
+      return response.data;
+    },
+  });
+  const isAdmin = me?.key.scopes.includes('settings:admin');
+  const canManageUsers = isAdmin && me?.user.is_admin;
+
   const { data: _settings } = useQuery({
     queryKey: ['settings'],
     queryFn: async () => {
       const response = await settingsApi.get();
       return response.data.settings;
     },
-    enabled: !!localStorage.getItem('bookmark_digest_api_key'),
     onSuccess: (data) => {
       if (data) {
         setSmtpSettings({
@@ -75,6 +89,35 @@ export default function Settings() {
     }
   });
 
+  const exportLibraryMutation = useMutation({
+    mutationFn: async () => {
+      const response = await libraryApi.export();
+      const url = window.URL.createObjectURL(response.data);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `bookmark-digest-library-${new Date().toISOString().split('T')[0]}.zip`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    },
+  });
+
+  const restoreLibraryMutation = useMutation({
+    mutationFn: (file) => libraryApi.restore(file),
+    onSuccess: () => {
+      queryClient.invalidateQueries();
+    },
+  });
+
+  const handleRestoreLibrary = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file && confirm(`Restore library from ${file.name}?`)) {
+      restoreLibraryMutation.mutate(file);
+    }
+  };
+
   const handleSaveSmtpSettings = () => {
     // Remove empty strings from optional fields
     const cleanedSettings = { ...smtpSettings };
@@ -88,39 +131,6 @@ export default function Settings() {
     testSmtpMutation.mutate();
   };
 
-  const handleSaveApiKey = () => {
-    localStorage.setItem('bookmark_digest_api_key', apiKey.trim());
-    setStatus('saved');
-    queryClient.invalidateQueries({ queryKey: ['stats'] });
-    setTimeout(() => setStatus(null), 3000);
-  };
-
-  const handleClearApiKey = () => {
-    localStorage.removeItem('bookmark_digest_api_key');
-    setApiKey('');
-    setStatus('cleared');
-    queryClient.clear();
-    setTimeout(() => setStatus(null), 3000);
-  };
-
-  const handleTestConnection = async () => {
-    setStatus('testing');
-    try {
-      const response = await articlesApi.list({ page: 1, limit: 1 });
-      if (response.data && response.data.data) {
-        setStatus('success');
-        setTimeout(() => setStatus(null), 3000);
-      } else {
-        setStatus('error');
-        setTimeout(() => setStatus(null), 3000);
-      }
-    } catch (error) {
-      console.error('Connection test failed:', error);
-      setStatus('error');
-      setTimeout(() => setStatus(null), 3000);
-    }
-  };
-
   return (
     <div className="max-w-3xl animate-fade-in-up">
       {/* Page Header */}
@@ -134,88 +144,7 @@ export default function Settings() {
       </div>
 
       <div className="space-y-6">
-        {/* API Key Section */}
-        <div className="card">
-          <div className="p-6 lg:p-7">
-            <div className="flex items-center gap-3 mb-6">
-              <div className="bg-gallery-100 rounded-lg p-2.5">
-                <Key className="w-5 h-5 text-gallery-700" strokeWidth={2} />
-              </div>
-              <div>
-                <h2 className="font-display font-semibold text-xl text-gallery-900">
-                  API Configuration
-                </h2>
-                <p className="text-sm text-gallery-500 mt-0.5">
-                  Connect to your backend server
-                </p>
-              </div>
-            </div>
-
-            <div className="space-y-5">
-              <div>
-                <label htmlFor="apiKey" className="block text-sm font-semibold text-gallery-700 mb-2">
-                  API Key
-                </label>
-                <input
-                  id="apiKey"
-                  type="password"
-                  value={apiKey}
-                  onChange={(e) => setApiKey(e.target.value)}
-                  placeholder="Enter your API key"
-                  className="input font-mono text-sm"
-                />
-                <p className="mt-2 text-sm text-gallery-500 flex items-center gap-1.5">
-                  <svg className="w-4 h-4 text-gallery-400" fill="none" viewBox="0 0 24 24" strokeWidth={2} stroke="currentColor">
-                    <path strokeLinecap="round" strokeLinejoin="round" d="M13.5 16.5L9 21m0 0l-4.5-4.5M9 21V9a2.25 2.25 0 012.25-2.25h5.25A2.25 2.25 0 0118.5 9v12" />
-                  </svg>
-                  Found in <code className="bg-gallery-100 px-2 py-0.5 rounded text-xs font-mono text-gallery-700">backend/config.json</code>
-                </p>
-              </div>
-
-              <div className="flex flex-wrap items-center gap-3">
-                <button onClick={handleSaveApiKey} className="btn btn-primary">
-                  Save API Key
-                </button>
-                {apiKey && (
-                  <>
-                    <button onClick={handleTestConnection} className="btn btn-secondary">
-                      {status === 'testing' ? 'Testing...' : 'Test Connection'}
-                    </button>
-                    <button onClick={handleClearApiKey} className="btn btn-ghost text-red-600">
-                      Clear
-                    </button>
-                  </>
-                )}
-              </div>
-
-              {/* Status Messages */}
-              {status === 'saved' && (
-                <div className="flex items-center text-sm text-emerald-700 bg-emerald-50 px-4 py-3 rounded-lg">
-                  <Check className="w-4 h-4 mr-2 flex-shrink-0" strokeWidth={2.5} />
-                  <span>API key saved successfully</span>
-                </div>
-              )}
-              {status === 'cleared' && (
-                <div className="flex items-center text-sm text-gallery-700 bg-gallery-100 px-4 py-3 rounded-lg">
-                  <Check className="w-4 h-4 mr-2 flex-shrink-0" strokeWidth={2.5} />
-                  <span>API key cleared</span>
-                </div>
-              )}
-              {status === 'success' && (
-                <div className="flex items-center text-sm text-emerald-700 bg-emerald-50 px-4 py-3 rounded-lg">
-                  <Check className="w-4 h-4 mr-2 flex-shrink-0" strokeWidth={2.5} />
-                  <span>Connection successful! Your API key is working.</span>
-                </div>
-              )}
-              {status === 'error' && (
-                <div className="flex items-center text-sm text-red-700 bg-red-50 px-4 py-3 rounded-lg">
-                  <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" strokeWidth={2} />
-                  <span>Connection failed. Please check your API key.</span>
-                </div>
-              )}
-            </div>
-          </div>
-        </div>
+        <AccountSettings user={me?.user} />
 
         {/* SMTP Settings Section */}
         <div className="card">
@@ -430,6 +359,82 @@ export default function Settings() {
           </div>
         )}
 
+        {/* Library Backup Section */}
+        <div className="card">
+          <div className="p-6 lg:p-7">
+            <div className="flex items-center gap-3 mb-6">
+              <div className="bg-gallery-100 rounded-lg p-2.5">
+                <Archive className="w-5 h-5 text-gallery-700" strokeWidth={2} />
+              </div>
+              <div>
+                <h2 className="font-display font-semibold text-xl text-gallery-900">
+                  Library Backup
+                </h2>
+                <p className="text-sm text-gallery-500 mt-0.5">
+                  Export everything as a zip of HTML, Markdown and images, or restore one into an empty library
+                </p>
+              </div>
+            </div>
+
+            <div className="flex flex-wrap gap-3">
+              <button
+                onClick={() => exportLibraryMutation.mutate()}
+                disabled={exportLibraryMutation.isPending}
+                className="btn btn-primary"
+              >
+                {exportLibraryMutation.isPending ? (
+                  <Loader className="w-4 h-4 mr-2 animate-spin" strokeWidth={2} />
+                ) : (
+                  <Download className="w-4 h-4 mr-2" strokeWidth={2} />
+                )}
+                {exportLibraryMutation.isPending ? 'Exporting...' : 'Export Library'}
+              </button>
+              <label className={`btn btn-secondary cursor-pointer ${restoreLibraryMutation.isPending ? 'opacity-50 pointer-events-none' : ''}`}>
+                {restoreLibraryMutation.isPending ? (
+                  <Loader className="w-4 h-4 mr-2 animate-spin" strokeWidth={2} />
+                ) : (
+                  <Upload className="w-4 h-4 mr-2" strokeWidth={2} />
+                )}
+                {restoreLibraryMutation.isPending ? 'Restoring...' : 'Restore from Archive'}
+                <input
+                  type="file"
+                  accept=".zip,application/zip"
+                  onChange={handleRestoreLibrary}
+                  className="sr-only"
+                />
+              </label>
+            </div>
+
+            {restoreLibraryMutation.isSuccess && (
+              <div className="flex items-center text-sm text-emerald-700 bg-emerald-50 px-4 py-3 rounded-lg mt-5">
+                <Check className="w-4 h-4 mr-1.5" strokeWidth={2} />
+                Restored {restoreLibraryMutation.data.data.restored.articles} articles
+                and {restoreLibraryMutation.data.data.restored.images} images
+              </div>
+            )}
+            {(exportLibraryMutation.isError || restoreLibraryMutation.isError) && (
+              <div className="flex items-center text-sm text-red-700 bg-red-50 px-4 py-3 rounded-lg mt-5">
+                <AlertCircle className="w-4 h-4 mr-1.5" strokeWidth={2} />
+                {restoreLibraryMutation.isError
+                  ? `Restore failed: ${restoreLibraryMutation.error.response?.data?.message || restoreLibraryMutation.error.message}`
+                  : 'Library export failed'}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <SiteRuleSettings />
+
+        {/* Admin Sections */}
+        {isAdmin && (
+          <>
+            {canManageUsers && <UserSettings />}
+            {canManageUsers && <ImageStorageSettings />}
+            <ApiKeySettings />
+            <WebhookSettings />
+          </>
+        )}
+
         {/* Browser Extension Instructions */}
         <div className="card">
           <div className="p-6 lg:p-7">
@@ -451,7 +456,7 @@ export default function Settings() {
               </li>
               <li className="flex gap-3">
                 <span className="flex-shrink-0 w-6 h-6 rounded-full bg-gallery-900 text-white flex items-center justify-center text-xs font-bold">4</span>
-                <span className="pt-0.5">Click the extension icon to configure your API key</span>
+                <span className="pt-0.5">Create an API key above with the <code className="bg-gallery-100 px-2 py-0.5 rounded text-sm font-mono">articles</code> scopes, then click the extension icon to enter it</span>
               </li>
               <li className="flex gap-3">
                 <span className="flex-shrink-0 w-6 h-6 rounded-full bg-gallery-900 text-white flex items-center justify-center text-xs font-bold">5</span>
@@ -2,50 +2,80 @@ import axios from 'axios';
 
 const API_BASE = import.meta.env.VITE_API_BASE || '/api';
 
-// Get API key from localStorage
-const getApiKey = () => localStorage.getItem('bookmark_digest_api_key');
-
+// Requests are authenticated by the HttpOnly session cookie set at login
 const api = axios.create({
   baseURL: API_BASE,
+  withCredentials: true,
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
-// Add API key to requests
-api.interceptors.request.use((config) => {
-  const apiKey = getApiKey();
-  if (apiKey) {
-    config.headers['X-API-Key'] = apiKey;
-  }
-  return config;
-});
-
 // Handle auth errors
 api.interceptors.response.use(
   (response) => response,
   (error) => {
-    if (error.response?.status === 401) {
-      // Clear invalid API key
-      localStorage.removeItem('bookmark_digest_api_key');
-      window.location.href = '/settings';
+    // Session expired; the login page and route guard handle /auth/* themselves
+    if (error.response?.status === 401 && !error.config?.url?.startsWith('/auth/')) {
+      window.location.href = '/login';
     }
     return Promise.reject(error);
   }
 );
 
+// Auth API
+export const authApi = {
+  login: (name, password) => api.post('/auth/login', { name, password }),
+  logout: () => api.post('/auth/logout'),
+  session: () => api.get('/auth/session'),
+  changePassword: (data) => api.put('/auth/password', data),
+};
+
 // Articles API
 export const articlesApi = {
   list: (params) => api.get('/articles', { params }),
   get: (id) => api.get(`/articles/${id}`),
   create: (data) => api.post('/articles', data),
+  createFromUrl: (url) => api.post('/articles/from-url', { url }),
+  upload: (file) => api.post('/articles/upload', file, {
+    params: { filename: file.name },
+    headers: { 'Content-Type': 'application/pdf' },
+  }),
+  downloadDocument: (id) => api.get(`/articles/${id}/document`, { responseType: 'blob' }),
   update: (id, data) => api.put(`/articles/${id}`, data),
   delete: (id) => api.delete(`/articles/${id}`),
+  retryImages: (id) => api.post(`/articles/${id}/images/retry`),
+  refresh: (id) => api.post(`/articles/${id}/refresh`),
+  reprocess: (data) => api.post('/articles/reprocess', data),
+  duplicates: () => api.get('/articles/duplicates'),
+  mergeDuplicates: (data) => api.post('/articles/duplicates/merge', data),
 
   getStats: () => api.get('/articles/stats'),
 };
 
 
+// Tags API
+export const tagsApi = {
+  list: () => api.get('/tags'),
+  rename: (id, name) => api.put(`/tags/${id}`, { name }),
+  merge: (id, targetId) => api.post(`/tags/${id}/merge`, { targetId }),
+  delete: (id) => api.delete(`/tags/${id}`),
+};
+
+// Highlights API
+export const highlightsApi = {
+  list: (articleId) => api.get(`/articles/${articleId}/highlights`),
+  create: (articleId, data) => api.post(`/articles/${articleId}/highlights`, data),
+  update: (articleId, highlightId, data) => api.put(`/articles/${articleId}/highlights/${highlightId}`, data),
+  delete: (articleId, highlightId) => api.delete(`/articles/${articleId}/highlights/${highlightId}`),
+};
+
+// Article versions API
+export const articleVersionsApi = {
+  list: (articleId) => api.get(`/articles/${articleId}/versions`),
+  get: (articleId, versionId) => api.get(`/articles/${articleId}/versions/${versionId}`),
+  restore: (articleId, versionId) => api.post(`/articles/${articleId}/versions/${versionId}/restore`),
+};
 
 // EPUB API
 export const epubApi = {
@@ -57,6 +87,124 @@ export const epubApi = {
   sendToKindle: (id) => api.post(`/epub/exports/${id}/send-to-kindle`),
 };
 
+// Digest Schedules API
+export const digestsApi = {
+  list: () => api.get('/digests'),
+  create: (data) => api.post('/digests', data),
+  update: (id, data) => api.put(`/digests/${id}`, data),
+  delete: (id) => api.delete(`/digests/${id}`),
+  run: (id) => api.post(`/digests/${id}/run`),
+  listRuns: (params) => api.get('/digests/runs', { params }),
+};
+
+// Failed Captures API
+export const failedCapturesApi = {
+  list: () => api.get('/failed-captures'),
+  retry: (id, data) => api.post(`/failed-captures/${id}/retry`, data),
+  setContent: (id, data) => api.put(`/failed-captures/${id}/content`, data),
+  discard: (id) => api.delete(`/failed-captures/${id}`),
+};
+
+// Import API
+export const importApi = {
+  create: (data) => api.post('/import', data),
+  list: () => api.get('/import'),
+  get: (id) => api.get(`/import/${id}`),
+};
+
+// Background Jobs API
+export const jobsApi = {
+  get: (id) => api.get(`/jobs/${id}`),
+};
+
+// Live Events API (Server-Sent Events)
+const EVENT_TYPES = [
+  'article.created',
+  'article.updated',
+  'article.deleted',
+  'epub.generated',
+  'kindle.sent',
+  'job.updated',
+];
+
+export const eventsApi = {
+  // The session cookie authenticates the stream.
+  // Returns a function that closes the stream.
+  subscribe: (onEvent, { onReconnect } = {}) => {
+    if (typeof EventSource === 'undefined') {
+      return () => {};
+    }
+
+    const source = new EventSource(`${API_BASE}/events`, { withCredentials: true });
+    let disconnected = false;
+
+    EVENT_TYPES.forEach((type) => {
+      source.addEventListener(type, (event) => onEvent(type, JSON.parse(event.data)));
+    });
+    source.onerror = () => {
+      disconnected = true;
+    };
+    source.onopen = () => {
+      // Events sent while disconnected are lost, so let the caller catch up
+      if (disconnected) {
+        disconnected = false;
+        onReconnect?.();
+      }
+    };
+
+    return () => source.close();
+  },
+};
+
+// Webhooks API
+export const webhooksApi = {
+  list: () => api.get('/webhooks'),
+  create: (data) => api.post('/webhooks', data),
+  update: (id, data) => api.put(`/webhooks/${id}`, data),
+  delete: (id) => api.delete(`/webhooks/${id}`),
+  test: (id) => api.post(`/webhooks/${id}/test`),
+  listDeliveries: (id, params) => api.get(`/webhooks/${id}/deliveries`, { params }),
+};
+
+// Site Rules API
+export const siteRulesApi = {
+  list: () => api.get('/site-rules'),
+  create: (data) => api.post('/site-rules', data),
+  update: (id, data) => api.put(`/site-rules/${id}`, data),
+  delete: (id) => api.delete(`/site-rules/${id}`),
+  test: (data) => api.post('/site-rules/test', data),
+};
+
+// API Keys API
+export const apiKeysApi = {
+  me: () => api.get('/keys/me'),
+  list: () => api.get('/keys'),
+  create: (data) => api.post('/keys', data),
+  revoke: (id) => api.delete(`/keys/${id}`),
+};
+
+// Users API (admin only)
+export const usersApi = {
+  list: () => api.get('/users'),
+  create: (data) => api.post('/users', data),
+  setPassword: (id, password) => api.put(`/users/${id}/password`, { password }),
+  delete: (id) => api.delete(`/users/${id}`),
+};
+
+// Image Storage API (admin only)
+export const imagesApi = {
+  stats: () => api.get('/images/stats'),
+  gc: () => api.post('/images/gc'),
+};
+
+// Library Export API
+export const libraryApi = {
+  export: () => api.get('/export/library', { responseType: 'blob' }),
+  restore: (file) => api.post('/export/library/restore', file, {
+    headers: { 'Content-Type': 'application/zip' },
+  }),
+};
+
 // Settings API
 export const settingsApi = {
   get: () => api.get('/settings'),
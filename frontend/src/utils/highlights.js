@@ -0,0 +1,179 @@
+// Characters of context stored on each side of a highlight (matches the backend)
+const CONTEXT_LENGTH = 32;
+
+export const HIGHLIGHT_COLORS = ['yellow', 'green', 'blue', 'pink', 'purple'];
+
+// Full class names so Tailwind keeps them
+export const HIGHLIGHT_CLASSES = {
+  yellow: 'highlight highlight-yellow',
+  green: 'highlight highlight-green',
+  blue: 'highlight highlight-blue',
+  pink: 'highlight highlight-pink',
+  purple: 'highlight highlight-purple',
+};
+
+export const HIGHLIGHT_SWATCHES = {
+  yellow: 'bg-yellow-300',
+  green: 'bg-emerald-300',
+  blue: 'bg-sky-300',
+  pink: 'bg-pink-300',
+  purple: 'bg-violet-300',
+};
+
+/**
+ * Collect the text nodes of a container with their offsets in its text
+ */
+function getTextNodes(container) {
+  const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  let text = '';
+
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    nodes.push({ node, start: text.length, end: text.length + node.data.length });
+    text += node.data;
+  }
+
+  return { nodes, text };
+}
+
+/**
+ * Character offset of a DOM position within a container's text
+ */
+function offsetOf(container, node, offset) {
+  const range = document.createRange();
+  range.selectNodeContents(container);
+  range.setEnd(node, offset);
+  return range.toString().length;
+}
+
+/**
+ * Find a quote in text, using context and the old offset to pick between repeats
+ * Mirrors anchorQuote() in backend/src/utils/textAnchor.js
+ */
+export function anchorQuote(text, selector) {
+  const exact = (selector.exact || '').trim();
+  if (!text || !exact) return null;
+
+  const escaped = exact.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(escaped.replace(/\s+/g, '\\s+'), 'g');
+  const prefix = collapse(selector.prefix || '');
+  const suffix = collapse(selector.suffix || '');
+  const hint = Number.isInteger(selector.start) ? selector.start : null;
+
+  let best = null;
+  for (const match of text.matchAll(pattern)) {
+    const start = match.index;
+    const end = start + match[0].length;
+
+    const before = collapse(text.slice(Math.max(0, start - prefix.length * 2), start));
+    const after = collapse(text.slice(end, end + suffix.length * 2));
+    const score = commonSuffixLength(before, prefix) + commonPrefixLength(after, suffix);
+    const distance = hint === null ? 0 : Math.abs(start - hint);
+
+    if (!best || score > best.score || (score === best.score && distance < best.distance)) {
+      best = { start, end, score, distance };
+    }
+  }
+
+  return best ? { start: best.start, end: best.end } : null;
+}
+
+/**
+ * Describe the current selection inside a container as a quote selector
+ * @returns {Object|null} - { exact, prefix, suffix, start, rect } or null if nothing usable is selected
+ */
+export function selectionToSelector(container) {
+  const selection = window.getSelection();
+  if (!selection || selection.isCollapsed || selection.rangeCount === 0) return null;
+
+  const range = selection.getRangeAt(0);
+  if (!container.contains(range.startContainer) || !container.contains(range.endContainer)) {
+    return null;
+  }
+
+  const { text } = getTextNodes(container);
+  let start = offsetOf(container, range.startContainer, range.startOffset);
+  let end = offsetOf(container, range.endContainer, range.endOffset);
+
+  // Drop surrounding whitespace from the selection
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  if (start === end) return null;
+
+  return {
+    exact: text.slice(start, end),
+    prefix: text.slice(Math.max(0, start - CONTEXT_LENGTH), start),
+    suffix: text.slice(end, end + CONTEXT_LENGTH),
+    start,
+    rect: range.getBoundingClientRect(),
+  };
+}
+
+/**
+ * Wrap a range of a container's text in <mark> elements
+ */
+function wrapRange(container, start, end, highlight) {
+  const { nodes } = getTextNodes(container);
+
+  for (const { node, start: nodeStart, end: nodeEnd } of nodes) {
+    if (nodeEnd <= start || nodeStart >= end) continue;
+
+    let target = node;
+    const from = Math.max(start, nodeStart) - nodeStart;
+    const to = Math.min(end, nodeEnd) - nodeStart;
+
+    // Whitespace between block elements can't carry a highlight
+    if (target.data.trim() === '') continue;
+
+    if (to < target.data.length) target.splitText(to);
+    if (from > 0) target = target.splitText(from);
+
+    const mark = document.createElement('mark');
+    mark.className = HIGHLIGHT_CLASSES[highlight.color] || HIGHLIGHT_CLASSES.yellow;
+    mark.dataset.highlightId = highlight.id;
+    if (highlight.note) mark.title = highlight.note;
+
+    target.parentNode.insertBefore(mark, target);
+    mark.appendChild(target);
+  }
+}
+
+/**
+ * Render highlights into a container holding the article HTML
+ * Highlights are re-anchored by quote, so small differences between the stored
+ * text and the rendered text don't matter.
+ */
+export function applyHighlights(container, highlights) {
+  for (const highlight of highlights) {
+    if (highlight.is_orphaned) continue;
+
+    const { text } = getTextNodes(container);
+    const position = anchorQuote(text, {
+      exact: highlight.exact,
+      prefix: highlight.prefix,
+      suffix: highlight.suffix,
+      start: highlight.start_offset,
+    });
+
+    if (position) {
+      wrapRange(container, position.start, position.end, highlight);
+    }
+  }
+}
+
+function collapse(value) {
+  return value.replace(/\s+/g, ' ');
+}
+
+function commonSuffixLength(a, b) {
+  let i = 0;
+  while (i < a.length && i < b.length && a[a.length - 1 - i] === b[b.length - 1 - i]) i++;
+  return i;
+}
+
+function commonPrefixLength(a, b) {
+  let i = 0;
+  while (i < a.length && i < b.length && a[i] === b[i]) i++;
+  return i;
+}